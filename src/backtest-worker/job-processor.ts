@@ -6,7 +6,20 @@
  */
 
 import { Job } from 'bullmq';
-import { BacktestEngine, BacktestConfig } from '../backtest/enhanced-backtest';
+import {
+  BacktestEngine,
+  BacktestConfig,
+  WalkForwardConfig,
+  WalkForwardResult,
+  MonteCarloConfig,
+  MonteCarloReport,
+  runMonteCarlo,
+  L2History,
+  FundingHistory,
+  PortfolioLeg,
+  PortfolioBacktestConfig,
+  PortfolioBacktestResult,
+} from '../backtest/enhanced-backtest';
 import { Strategy, MarketData, BacktestResult } from '../shared/types';
 import logger from '../shared/logger';
 import BetterSqlite3 from 'better-sqlite3';
@@ -15,6 +28,16 @@ import { assessStrategy, StrategyAssessment } from './result-analyzer';
 // Database path from environment or default
 const DB_PATH = process.env.TRADING_DB_PATH || './data/trading.db';
 
+// Minimum out-of-sample Sharpe required for activation (unset = not required)
+const MIN_OOS_SHARPE = process.env.BACKTEST_MIN_OOS_SHARPE !== undefined
+  ? Number.parseFloat(process.env.BACKTEST_MIN_OOS_SHARPE)
+  : undefined;
+
+// Maximum Monte Carlo risk of ruin (0-1) allowed for activation (unset = not required)
+const MAX_RISK_OF_RUIN = process.env.BACKTEST_MAX_RISK_OF_RUIN !== undefined
+  ? Number.parseFloat(process.env.BACKTEST_MAX_RISK_OF_RUIN)
+  : undefined;
+
 export interface BacktestJobData {
   jobId: string;
   strategy: Strategy;
@@ -23,6 +46,24 @@ export interface BacktestJobData {
   days: number;
   config?: BacktestConfig;
   priority?: number;
+  /** Run walk-forward validation alongside the full-period backtest */
+  walkForward?: WalkForwardConfig | boolean;
+  /** Overrides BACKTEST_MIN_OOS_SHARPE for this job */
+  minOosSharpe?: number;
+  /** Monte Carlo settings; false disables the robustness check */
+  monteCarlo?: MonteCarloConfig | false;
+  /** Overrides BACKTEST_MAX_RISK_OF_RUIN for this job */
+  maxRiskOfRuin?: number;
+  /** Set for parameter sweep variants, which must not change the base strategy's status */
+  sweepId?: string;
+  /**
+   * Run these legs against one cross-margined account instead of `strategy`
+   * on `symbol` alone. Portfolio results never change a strategy's status.
+   */
+  portfolio?: {
+    legs: PortfolioLeg[];
+    config?: PortfolioBacktestConfig;
+  };
 }
 
 export interface BacktestJobResult {
@@ -30,7 +71,9 @@ export interface BacktestJobResult {
   strategyId: string;
   symbol: string;
   success: boolean;
-  result?: BacktestResult;
+  result?: BacktestResult | PortfolioBacktestResult;
+  walkForward?: WalkForwardResult;
+  monteCarlo?: MonteCarloReport;
   assessment?: StrategyAssessment;
   error?: string;
   processingTimeMs: number;
@@ -147,13 +190,59 @@ async function fetchFromCache(
   return [];
 }
 
+/**
+ * Load recorded L2 snapshots and trades covering the candle range, for the
+ * QUEUE_POSITION fill model
+ */
+function loadL2History(symbol: string, candles: MarketData[]): L2History {
+  const db = new BetterSqlite3(DB_PATH, { readonly: true });
+  try {
+    const history = L2History.fromDatabase(
+      db,
+      [symbol],
+      candles[0].timestamp.getTime(),
+      candles[candles.length - 1].timestamp.getTime() + 24 * 60 * 60 * 1000
+    );
+    logger.info(`[JobProcessor] Loaded ${history.snapshotCount} book snapshots and ${history.printCount} trades for ${symbol}`);
+    return history;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load recorded funding rates covering the candle range. Missing data is not
+ * an error: the engine falls back to a flat rate for uncovered periods.
+ */
+function loadFundingHistory(symbols: string[], candles: MarketData[]): FundingHistory | undefined {
+  let db: BetterSqlite3.Database | undefined;
+  try {
+    db = new BetterSqlite3(DB_PATH, { readonly: true });
+    const times = candles.map(c => c.timestamp.getTime());
+    const history = FundingHistory.fromDatabase(db, symbols, Math.min(...times), Math.max(...times));
+    logger.info(`[JobProcessor] Loaded ${history.size} funding rate records for ${symbols.join(', ')}`);
+    return history;
+  } catch (error) {
+    logger.warn(`[JobProcessor] Funding history unavailable for ${symbols.join(', ')}: ${error instanceof Error ? error.message : error}`);
+    return undefined;
+  } finally {
+    db?.close();
+  }
+}
+
 /**
  * Process a single backtest job
  */
 export async function processBacktestJob(job: Job<BacktestJobData>): Promise<BacktestJobResult> {
   const startTime = Date.now();
   const { jobId, strategy, symbol, timeframe, days, config } = job.data;
+  const minOosSharpe = job.data.minOosSharpe ?? (Number.isFinite(MIN_OOS_SHARPE) ? MIN_OOS_SHARPE : undefined);
+  const maxRiskOfRuin = job.data.maxRiskOfRuin ?? (Number.isFinite(MAX_RISK_OF_RUIN) ? MAX_RISK_OF_RUIN : undefined);
   
+  if (job.data.portfolio) {
+    return processPortfolioJob(job, startTime);
+  }
+
   logger.info(`[JobProcessor] Processing backtest job ${job.id} for strategy ${strategy.id} on ${symbol}`);
   
   try {
@@ -173,26 +262,53 @@ export async function processBacktestJob(job: Job<BacktestJobData>): Promise<Bac
       logger.warn(`[JobProcessor] Limited data available: ${candles.length} candles for ${symbol}`);
     }
     
+    const fillModel = config?.fillModel || 'STANDARD';
+    const l2History = fillModel === 'QUEUE_POSITION' ? loadL2History(symbol, candles) : undefined;
+    if (l2History && !l2History.hasSymbol(symbol)) {
+      throw new Error(`No recorded order book data for ${symbol}; QUEUE_POSITION fill model needs L2 snapshots`);
+    }
+    
     // Run backtest using the enhanced backtest engine
     const engine = new BacktestEngine({
       initialCapital: config?.initialCapital || 10000,
-      fillModel: config?.fillModel || 'STANDARD',
+      fillModel,
       commissionRate: config?.commissionRate || 0.0005,
       slippageBps: config?.slippageBps || 5,
       latencyMs: config?.latencyMs || 10,
       randomSeed: config?.randomSeed,
+      l2History,
+      fundingHistory: loadFundingHistory([symbol], candles),
     });
     
     const result = await engine.runBacktest(strategy, candles);
+
+    // Walk-forward validation when requested or when an OOS score is required
+    let walkForward: WalkForwardResult | undefined;
+    if (job.data.walkForward || minOosSharpe !== undefined) {
+      const wfConfig = typeof job.data.walkForward === 'object' ? job.data.walkForward : {};
+      try {
+        walkForward = await engine.runWalkForward(strategy, candles, wfConfig);
+      } catch (error) {
+        logger.warn(`[JobProcessor] Walk-forward skipped for ${strategy.id}: ${error instanceof Error ? error.message : error}`);
+      }
+    }
+    
+    // Monte Carlo robustness of the trade sequence (seeded for reproducibility)
+    const monteCarlo = job.data.monteCarlo === false
+      ? undefined
+      : runMonteCarlo(result, { randomSeed: config?.randomSeed, ...job.data.monteCarlo });
     
     // Assess strategy performance
-    const assessment = assessStrategy(result, strategy);
+    const assessment = assessStrategy(result, strategy, { minOosSharpe, maxRiskOfRuin }, { walkForward, monteCarlo });
     
     // Store results in database
-    await storeBacktestResult(result, assessment, jobId);
+    await storeBacktestResult(result, assessment, jobId, { walkForward, monteCarlo });
     
-    // Update strategy status based on assessment
-    await updateStrategyStatus(strategy.id, assessment);
+    // Update strategy status based on assessment (sweep variants share the
+    // base strategy's id, so they only record results)
+    if (!job.data.sweepId) {
+      await updateStrategyStatus(strategy.id, assessment);
+    }
     
     const processingTimeMs = Date.now() - startTime;
     
@@ -211,6 +327,8 @@ export async function processBacktestJob(job: Job<BacktestJobData>): Promise<Bac
       symbol,
       success: true,
       result,
+      walkForward,
+      monteCarlo,
       assessment,
       processingTimeMs,
       candlesProcessed: candles.length,
@@ -234,13 +352,107 @@ export async function processBacktestJob(job: Job<BacktestJobData>): Promise<Bac
   }
 }
 
+/**
+ * Process a portfolio job: every leg's candles run through one cross-margined
+ * account. The result carries per-leg contribution, leg correlation, margin
+ * usage and any liquidations; it is stored but no strategy is (de)activated.
+ */
+async function processPortfolioJob(job: Job<BacktestJobData>, startTime: number): Promise<BacktestJobResult> {
+  const { jobId, timeframe, days, config } = job.data;
+  const { legs, config: portfolioConfig } = job.data.portfolio!;
+  const symbols = legs.map(leg => leg.symbol);
+  const strategyId = portfolioConfig?.id ?? `portfolio:${legs.map(leg => leg.strategy.id).join('+')}`;
+
+  logger.info(`[JobProcessor] Processing portfolio backtest job ${job.id}: ${symbols.join(', ')}`);
+
+  try {
+    if (legs.length === 0) {
+      throw new Error('Portfolio backtest needs at least one leg');
+    }
+    if (config?.fillModel === 'QUEUE_POSITION') {
+      throw new Error('QUEUE_POSITION fill model is not supported for portfolio backtests');
+    }
+
+    const candles: MarketData[] = [];
+    for (const symbol of symbols) {
+      const legCandles = await fetchHistoricalData(symbol, timeframe, days);
+      if (legCandles.length === 0) {
+        throw new Error(`No historical data available for ${symbol} (${timeframe}) over ${days} days`);
+      }
+      candles.push(...legCandles);
+    }
+
+    const engine = new BacktestEngine({
+      initialCapital: config?.initialCapital || 10000,
+      fillModel: config?.fillModel || 'STANDARD',
+      commissionRate: config?.commissionRate || 0.0005,
+      slippageBps: config?.slippageBps || 5,
+      latencyMs: config?.latencyMs || 10,
+      randomSeed: config?.randomSeed,
+      fundingHistory: loadFundingHistory(symbols, candles),
+    });
+
+    const result = await engine.runPortfolioBacktest(legs, candles, { ...portfolioConfig, id: strategyId });
+
+    const monteCarlo = job.data.monteCarlo === false
+      ? undefined
+      : runMonteCarlo(result, { randomSeed: config?.randomSeed, ...job.data.monteCarlo });
+    const assessment = assessStrategy(result, legs[0].strategy, {}, { monteCarlo });
+
+    await storeBacktestResult(result, assessment, jobId, {
+      monteCarlo,
+      portfolio: {
+        legs: result.legs,
+        correlation: result.correlation,
+        margin: result.margin,
+        liquidations: result.liquidations,
+      },
+    });
+
+    const processingTimeMs = Date.now() - startTime;
+    logger.info(`[JobProcessor] Completed portfolio backtest job ${job.id} in ${processingTimeMs}ms:`, {
+      strategyId,
+      totalReturn: result.totalReturn.toFixed(2),
+      liquidations: result.liquidations.length,
+    });
+
+    return {
+      jobId,
+      strategyId,
+      symbol: symbols.join(','),
+      success: true,
+      result,
+      monteCarlo,
+      assessment,
+      processingTimeMs,
+      candlesProcessed: candles.length,
+    };
+  } catch (error) {
+    logger.error(`[JobProcessor] Failed to process portfolio backtest job ${job.id}:`, error);
+    return {
+      jobId,
+      strategyId,
+      symbol: symbols.join(','),
+      success: false,
+      error: error instanceof Error ? error.message : String(error),
+      processingTimeMs: Date.now() - startTime,
+      candlesProcessed: 0,
+    };
+  }
+}
+
 /**
  * Store backtest result in database
  */
 async function storeBacktestResult(
   result: BacktestResult,
   assessment: StrategyAssessment,
-  jobId: string
+  jobId: string,
+  validation: {
+    walkForward?: WalkForwardResult;
+    monteCarlo?: MonteCarloReport;
+    portfolio?: Pick<PortfolioBacktestResult, 'legs' | 'correlation' | 'margin' | 'liquidations'>;
+  } = {}
 ): Promise<void> {
   const db = new BetterSqlite3(DB_PATH);
   
@@ -251,6 +463,9 @@ async function storeBacktestResult(
       isViable: assessment.isViable,
       performanceTier: assessment.performanceTier,
       shouldActivate: assessment.shouldActivate,
+      ...(validation.walkForward && { walkForward: validation.walkForward }),
+      ...(validation.monteCarlo && { monteCarlo: validation.monteCarlo }),
+      ...(validation.portfolio && { portfolio: validation.portfolio }),
     };
 
     // Ensure backtest_results table exists
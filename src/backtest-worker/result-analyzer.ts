@@ -6,6 +6,8 @@
  */
 
 import { BacktestResult, Strategy } from '../shared/types';
+import type { WalkForwardResult } from '../backtest/walk-forward';
+import type { MonteCarloReport } from '../backtest/monte-carlo';
 import logger from '../shared/logger';
 
 export interface PerformanceMetrics {
@@ -44,11 +46,46 @@ export interface StrategyAssessment {
     maxDrawdown: number;
     minProfitFactor: number;
     minTotalTrades: number;
+    minOosSharpe?: number;
+    maxRiskOfRuin?: number;
   };
+  walkForward?: {
+    oosScore: number;
+    inSampleSharpe: number;
+    outOfSampleSharpe: number;
+    sharpeGap: number;
+    profitableWindows: number;
+    windows: number;
+  };
+  monteCarlo?: {
+    riskOfRuin: number;
+    probabilityOfLoss: number;
+    finalEquityLower: number;
+    maxDrawdownUpper: number;
+    confidenceLevel: number;
+  };
+}
+
+/** Robustness checks run in addition to the full-period backtest */
+export interface AssessmentValidation {
+  walkForward?: WalkForwardResult;
+  monteCarlo?: MonteCarloReport;
+}
+
+export interface AssessmentThresholds {
+  minSharpe: number;
+  minWinRate: number;
+  maxDrawdown: number;
+  minProfitFactor: number;
+  minTotalTrades: number;
+  /** When set, a walk-forward result with at least this out-of-sample score is required */
+  minOosSharpe?: number;
+  /** When set, a Monte Carlo report with at most this risk of ruin (0-1) is required */
+  maxRiskOfRuin?: number;
 }
 
 // Performance thresholds
-const DEFAULT_THRESHOLDS = {
+const DEFAULT_THRESHOLDS: AssessmentThresholds = {
   minSharpe: 1.5,
   minWinRate: 55,
   maxDrawdown: 20,
@@ -123,8 +160,10 @@ export function calculateMetrics(result: BacktestResult): PerformanceMetrics {
 export function assessStrategy(
   result: BacktestResult,
   strategy: Strategy,
-  customThresholds?: Partial<typeof DEFAULT_THRESHOLDS>
+  customThresholds?: Partial<AssessmentThresholds>,
+  validation: AssessmentValidation = {}
 ): StrategyAssessment {
+  const { walkForward, monteCarlo } = validation;
   const thresholds = { ...DEFAULT_THRESHOLDS, ...customThresholds };
   const metrics = calculateMetrics(result);
   
@@ -173,6 +212,45 @@ export function assessStrategy(
     reasons.push(`Sample size ${metrics.totalTrades} trades insufficient (${thresholds.minTotalTrades}+)`);
     recommendations.push('Collect more historical data or reduce timeframe granularity');
   }
+
+  // Out-of-sample gate (only when a minimum OOS score is required)
+  let oosPass = true;
+  if (thresholds.minOosSharpe !== undefined) {
+    if (!walkForward) {
+      oosPass = false;
+      reasons.push(`No walk-forward result; out-of-sample score required (${thresholds.minOosSharpe})`);
+      recommendations.push('Run walk-forward validation before promoting');
+    } else {
+      oosPass = walkForward.oosScore >= thresholds.minOosSharpe;
+      const gap = walkForward.gap.sharpeRatio.toFixed(2);
+      if (oosPass) {
+        reasons.push(`Out-of-sample Sharpe ${walkForward.oosScore.toFixed(2)} meets threshold (${thresholds.minOosSharpe}), IS/OOS gap ${gap}`);
+      } else {
+        reasons.push(`Out-of-sample Sharpe ${walkForward.oosScore.toFixed(2)} below threshold (${thresholds.minOosSharpe}), IS/OOS gap ${gap}`);
+        recommendations.push('Strategy degrades on unseen data; reduce parameter count or widen the training window');
+      }
+    }
+  }
+
+  // Monte Carlo gate (only when a maximum risk of ruin is set)
+  let robustnessPass = true;
+  if (thresholds.maxRiskOfRuin !== undefined) {
+    if (!monteCarlo) {
+      robustnessPass = false;
+      reasons.push(`No Monte Carlo report; risk of ruin limit required (${(thresholds.maxRiskOfRuin * 100).toFixed(1)}%)`);
+      recommendations.push('Run a Monte Carlo robustness check before promoting');
+    } else {
+      robustnessPass = monteCarlo.riskOfRuin <= thresholds.maxRiskOfRuin;
+      const ruin = `${(monteCarlo.riskOfRuin * 100).toFixed(1)}%`;
+      const limit = `${(thresholds.maxRiskOfRuin * 100).toFixed(1)}%`;
+      if (robustnessPass) {
+        reasons.push(`Monte Carlo risk of ruin ${ruin} within limit (${limit})`);
+      } else {
+        reasons.push(`Monte Carlo risk of ruin ${ruin} exceeds limit (${limit})`);
+        recommendations.push('Result depends on a favourable trade sequence; reduce position size or improve the loss profile');
+      }
+    }
+  }
   
   // Determine performance tier
   let performanceTier: StrategyAssessment['performanceTier'];
@@ -190,8 +268,8 @@ export function assessStrategy(
     performanceTier = 'REJECTED';
   }
   
-  // Determine viability - must pass sharpe AND win rate thresholds
-  const isViable = sharpePass && winRatePass && drawdownPass;
+  // Determine viability - must pass sharpe AND win rate thresholds (and OOS when required)
+  const isViable = sharpePass && winRatePass && drawdownPass && oosPass && robustnessPass;
   
   // Only activate if viable and has good sample size
   const shouldActivate = isViable && sampleSizePass;
@@ -204,6 +282,8 @@ export function assessStrategy(
       sharpe: metrics.sharpeRatio.toFixed(2),
       winRate: metrics.winRate.toFixed(1),
       drawdown: metrics.maxDrawdown.toFixed(1),
+      oosSharpe: walkForward?.oosScore.toFixed(2),
+      riskOfRuin: monteCarlo?.riskOfRuin.toFixed(3),
     },
   });
   
@@ -216,6 +296,25 @@ export function assessStrategy(
     reasons,
     recommendations,
     thresholds,
+    ...(walkForward && {
+      walkForward: {
+        oosScore: walkForward.oosScore,
+        inSampleSharpe: walkForward.inSample.sharpeRatio,
+        outOfSampleSharpe: walkForward.outOfSample.sharpeRatio,
+        sharpeGap: walkForward.gap.sharpeRatio,
+        profitableWindows: walkForward.profitableWindows,
+        windows: walkForward.windows.length,
+      },
+    }),
+    ...(monteCarlo && {
+      monteCarlo: {
+        riskOfRuin: monteCarlo.riskOfRuin,
+        probabilityOfLoss: monteCarlo.probabilityOfLoss,
+        finalEquityLower: monteCarlo.finalEquity.lower,
+        maxDrawdownUpper: monteCarlo.maxDrawdown.upper,
+        confidenceLevel: monteCarlo.confidenceLevel,
+      },
+    }),
   };
 }
 
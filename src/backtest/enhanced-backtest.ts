@@ -8,12 +8,27 @@
 import { MarketData, BacktestResult, Trade, Strategy } from '../shared/types';
 import { v4 as uuidv4 } from 'uuid';
 import { TestClock, createClock, ClockMode } from './simulation-clock';
-import { FillModel, OrderBookBuilder, SimulatedOrder, PositionCalculator, FillModels } from './fill-models';
+import { FillModel, OrderBookBuilder, SimulatedOrder, SimulatedFill, PositionCalculator, FillModels } from './fill-models';
+import { L2History, QueuePositionFillModel, QueueOrderStatus } from './queue-position';
+import { FundingHistory } from './funding-history';
+import {
+    PortfolioLeg,
+    PortfolioBacktestConfig,
+    PortfolioBacktestResult,
+    PortfolioLiquidation,
+    MarginPosition,
+    MarginState,
+    computeMarginState,
+    correlationMatrix,
+} from './portfolio';
+import { WalkForwardConfig, WalkForwardResult, buildWalkForwardWindows, buildWalkForwardResult } from './walk-forward';
+import { CompiledStrategy, StrategyBarSignal, compileStrategy } from '../strategy-dsl';
 import logger from '../shared/logger';
 
 export interface BacktestConfig {
     initialCapital?: number;
-    fillModel?: keyof typeof FillModels;
+    /** QUEUE_POSITION replays recorded L2 data and needs `l2History` on the engine config */
+    fillModel?: keyof typeof FillModels | 'QUEUE_POSITION';
     commissionRate?: number;
     slippageBps?: number;
     latencyMs?: number;
@@ -23,6 +38,24 @@ export interface BacktestConfig {
 export interface BacktestEngineConfig extends BacktestConfig {
     clockMode?: ClockMode;
     startTime?: number;
+    /** Recorded book snapshots and prints for the QUEUE_POSITION fill model */
+    l2History?: L2History;
+    /** How long a passive order rests before being cancelled. Default: one bar */
+    queueOrderTtlMs?: number;
+    /** Recorded funding rates; the flat fallback rate is only used where these are missing */
+    fundingHistory?: FundingHistory;
+    /** Hours between funding payments the recorded rates apply to. Default: 1 (Hyperliquid) */
+    fundingIntervalHours?: number;
+}
+
+export type QueueOrderStats = Record<QueueOrderStatus, number> & { submitted: number };
+
+export interface BacktestRunOptions {
+    /**
+     * Candles before this time only feed indicator state: no orders are placed
+     * and they are excluded from the reported period and metrics.
+     */
+    warmupUntil?: Date;
 }
 
 /**
@@ -32,11 +65,18 @@ export class BacktestEngine {
     private config: BacktestEngineConfig;
     private clock: TestClock;
     private fillModel: FillModel;
+    private queueFillModel?: QueuePositionFillModel;
+    private queueStats: QueueOrderStats = { submitted: 0, FILLED: 0, PARTIAL: 0, UNFILLED: 0, REJECTED: 0 };
+    private barDurationMs: number = 60 * 60 * 1000;
     private capital: number;
     private totalFees: number;
     private totalSlippageCost: number;
     private positions: Map<string, { qty: number; avgPx: number; side: 'LONG' | 'SHORT'; entryBar: number }> = new Map();
     private trades: Trade[] = [];
+    private fundingBySymbol: Map<string, number> = new Map();
+    private lastFundingAt: Map<string, number> = new Map();
+    private fundingPeriods = { recorded: 0, fallback: 0 };
+    private fundingHistory?: FundingHistory;
     private orderBooks: Map<string, any> = new Map();
 
     // Realism settings
@@ -58,7 +98,10 @@ export class BacktestEngine {
             randomSeed: config.randomSeed,
             clockMode: config.clockMode ?? 'SIMULATION',
             startTime: config.startTime,
+            queueOrderTtlMs: config.queueOrderTtlMs,
+            fundingIntervalHours: config.fundingIntervalHours ?? 1,
         };
+        this.fundingHistory = config.fundingHistory;
 
         // Initialize clock
         this.clock = new TestClock(this.config.startTime);
@@ -78,6 +121,16 @@ export class BacktestEngine {
             this.fillModel.setSeed(this.config.randomSeed);
         }
 
+        if (this.config.fillModel === 'QUEUE_POSITION') {
+            if (!config.l2History) {
+                throw new Error('QUEUE_POSITION fill model requires recorded L2 history (l2History)');
+            }
+            this.queueFillModel = new QueuePositionFillModel(config.l2History, {
+                commissionRate: this.config.commissionRate,
+                latencyMs: this.config.latencyMs,
+            });
+        }
+
         this.capital = this.config.initialCapital ?? 10000;
         this.totalFees = 0;
         this.totalSlippageCost = 0;
@@ -86,7 +139,7 @@ export class BacktestEngine {
         this.minBarsBetweenEntries = 3;
         this.nextBarExecution = true;
         this.intrabarStopCheck = true;
-        this.hourlyFundingRate = 0.00001; // 0.001% per hour
+        this.hourlyFundingRate = 0.00001; // 0.001% per hour, fallback when no recorded rate
 
         // Cap capital at 10x initial to prevent unrealistic compounding
         this.maxCapital = this.capital * 10;
@@ -99,23 +152,39 @@ export class BacktestEngine {
      */
     async runBacktest(
         strategy: Strategy,
-        candles: MarketData[]
+        candles: MarketData[],
+        options: BacktestRunOptions = {}
     ): Promise<BacktestResult> {
         logger.info(`[BacktestEngine] Running backtest for ${strategy.name} on ${candles.length} candles`);
 
-        this.reset();
+        this.reset(candles[0]?.timestamp.getTime());
         this.initializeOrderBooks(candles);
 
         const strategyState = this.initializeStrategyState(strategy);
 
         // Estimate hours per candle
         const hoursPerCandle = this.estimateHoursPerCandle(candles);
+        this.barDurationMs = hoursPerCandle * 60 * 60 * 1000;
+
+        const warmupUntilMs = options.warmupUntil?.getTime() ?? -Infinity;
+        const tradedCandles = candles.filter(c => c.timestamp.getTime() >= warmupUntilMs);
+        if (tradedCandles.length === 0) {
+            throw new Error('No candles left to trade after warmup period');
+        }
 
         // Main backtesting loop
         for (let i = 0; i < candles.length; i++) {
             const candle = candles[i];
             const time = candle.timestamp.getTime() * 1_000_000; // Convert to nanoseconds
 
+            // Warmup bars only build indicator history; they never start the entry cooldown
+            if (candle.timestamp.getTime() < warmupUntilMs) {
+                this.clock.setTime(time);
+                this.updateOrderBook(candle);
+                this.advanceRules(candle, strategyState, i);
+                continue;
+            }
+
             // Advance clock
             this.clock.setTime(time);
 
@@ -160,8 +229,304 @@ export class BacktestEngine {
         // Close any remaining positions
         this.closeAllPositions(candles[candles.length - 1]);
 
+        if (this.fundingHistory && this.fundingPeriods.fallback > 0) {
+            logger.warn(
+                `[BacktestEngine] ${strategy.name}: ${this.fundingPeriods.fallback} of ` +
+                `${this.fundingPeriods.recorded + this.fundingPeriods.fallback} funding periods had no recorded rate; used flat fallback`
+            );
+        }
+
+        if (this.queueFillModel) {
+            const q = this.queueStats;
+            logger.info(
+                `[BacktestEngine] Queue fills for ${strategy.name}: ${q.submitted} orders, ${q.FILLED} filled, ` +
+                `${q.PARTIAL} partial, ${q.UNFILLED} unfilled, ${q.REJECTED} rejected`
+            );
+        }
+
         // Calculate results
-        return this.calculateResults(strategy, candles, hoursPerCandle);
+        return this.calculateResults(strategy.id, tradedCandles, hoursPerCandle);
+    }
+
+    /**
+     * Walk-forward validation: run the strategy on each rolling train window
+     * (in-sample) and on the following unseen test window (out-of-sample).
+     * Test windows are warmed up on the tail of their train window so
+     * indicators are primed, but only test bars are traded and scored.
+     */
+    async runWalkForward(
+        strategy: Strategy,
+        candles: MarketData[],
+        config: WalkForwardConfig = {}
+    ): Promise<WalkForwardResult> {
+        const windows = buildWalkForwardWindows(candles, config);
+        if (windows.length === 0) {
+            throw new Error(`Not enough candles (${candles.length}) for walk-forward validation`);
+        }
+
+        logger.info(`[BacktestEngine] Walk-forward for ${strategy.name}: ${windows.length} windows`);
+
+        const runs: Array<{ parameters: Record<string, any>; inSample: BacktestResult; outOfSample: BacktestResult }> = [];
+        for (const window of windows) {
+            const fitted = config.optimize
+                ? await config.optimize(strategy, window.trainCandles)
+                : strategy;
+
+            const inSample = await this.runBacktest(fitted, window.trainCandles);
+            const outOfSample = await this.runBacktest(fitted, window.testCandles, { warmupUntil: window.testStart });
+            runs.push({ parameters: fitted.parameters || {}, inSample, outOfSample });
+        }
+
+        const result = buildWalkForwardResult(strategy.id, windows, runs);
+        logger.info(
+            `[BacktestEngine] Walk-forward ${strategy.name}: IS Sharpe ${result.inSample.sharpeRatio.toFixed(2)}, ` +
+            `OOS Sharpe ${result.outOfSample.sharpeRatio.toFixed(2)}, gap ${result.gap.sharpeRatio.toFixed(2)}`
+        );
+        return result;
+    }
+
+    /**
+     * Portfolio backtest: run several symbol/strategy legs against one
+     * cross-margined account. Orders need free initial margin, and the whole
+     * account is liquidated when its value at the bar's adverse extremes
+     * falls below total maintenance margin.
+     */
+    async runPortfolioBacktest(
+        legs: PortfolioLeg[],
+        candles: MarketData[],
+        config: PortfolioBacktestConfig = {}
+    ): Promise<PortfolioBacktestResult> {
+        if (legs.length === 0) {
+            throw new Error('Portfolio backtest needs at least one leg');
+        }
+
+        const legBySymbol = new Map<string, PortfolioLeg>();
+        for (const leg of legs) {
+            if (legBySymbol.has(leg.symbol)) {
+                throw new Error(`Portfolio backtest has more than one leg for ${leg.symbol}`);
+            }
+            legBySymbol.set(leg.symbol, leg);
+        }
+
+        const sorted = candles
+            .filter(c => legBySymbol.has(c.symbol))
+            .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime() || a.symbol.localeCompare(b.symbol));
+        if (sorted.length === 0) {
+            throw new Error('No candles for any portfolio leg');
+        }
+
+        const portfolioId = config.id ?? `portfolio:${legs.map(l => l.strategy.id).join('+')}`;
+        const liquidationSlippage = (config.liquidationSlippageBps ?? 50) / 10000;
+        const maxLeverageFor = (symbol: string) => config.maxLeverage?.[symbol] ?? config.defaultMaxLeverage ?? 20;
+        const leverageFor = new Map(legs.map(leg => [
+            leg.symbol,
+            Math.max(1, Math.min(leg.leverage ?? leg.strategy.riskParameters?.maxLeverage ?? 1, maxLeverageFor(leg.symbol))),
+        ]));
+
+        logger.info(`[BacktestEngine] Running portfolio backtest ${portfolioId}: ${legs.length} legs, ${sorted.length} candles`);
+
+        this.reset(sorted[0]?.timestamp.getTime());
+        this.initializeOrderBooks(sorted);
+
+        const states = new Map(legs.map(leg => [leg.symbol, this.initializeStrategyState(leg.strategy)]));
+        const hoursPerCandle = this.estimateHoursPerCandle(sorted.filter(c => c.symbol === legs[0].symbol));
+        this.barDurationMs = hoursPerCandle * 60 * 60 * 1000;
+
+        const marks = new Map<string, MarketData>();
+        const barIndex = new Map<string, number>();
+        const pending = new Map<string, SimulatedOrder[]>();
+        const liquidations: PortfolioLiquidation[] = [];
+        let rejectedOrders = 0;
+        let maxMarginUsage = 0;
+        let maxMaintenanceRatio = 0;
+
+        // Per-leg net PnL after each bar, for contribution and correlation
+        const realizedBySymbol = new Map<string, number>();
+        const legPnlSeries = new Map<string, number[]>(legs.map(leg => [leg.symbol, []]));
+        let tradesSeen = 0;
+        const recordLegPnl = () => {
+            for (; tradesSeen < this.trades.length; tradesSeen++) {
+                const trade = this.trades[tradesSeen];
+                realizedBySymbol.set(trade.symbol, (realizedBySymbol.get(trade.symbol) || 0) + (trade.pnl || 0) - trade.fee);
+            }
+            for (const leg of legs) {
+                const pos = this.positions.get(leg.symbol);
+                const mark = marks.get(leg.symbol);
+                const unrealized = pos && mark ? pos.qty * (mark.close - pos.avgPx) : 0;
+                const net = (realizedBySymbol.get(leg.symbol) || 0) - (this.fundingBySymbol.get(leg.symbol) || 0) + unrealized;
+                legPnlSeries.get(leg.symbol)!.push(net);
+            }
+        };
+
+        const marginState = (mode: 'MARK' | 'ADVERSE'): MarginState => {
+            const positions: MarginPosition[] = [];
+            for (const [symbol, pos] of this.positions) {
+                const mark = marks.get(symbol);
+                if (pos.qty === 0 || !mark) continue;
+                const price = mode === 'MARK' ? mark.close : pos.qty > 0 ? mark.low : mark.high;
+                positions.push({
+                    symbol,
+                    qty: pos.qty,
+                    entryPrice: pos.avgPx,
+                    markPrice: price,
+                    leverage: leverageFor.get(symbol) ?? 1,
+                    maxLeverage: maxLeverageFor(symbol),
+                });
+            }
+            return computeMarginState(this.capital, positions);
+        };
+
+        const hasMarginFor = (signal: SimulatedOrder, price: number): boolean => {
+            const currentQty = this.positions.get(signal.symbol)?.qty ?? 0;
+            const newQty = currentQty + (signal.side === 'BUY' ? signal.quantity : -signal.quantity);
+            if (Math.abs(newQty) <= Math.abs(currentQty)) return true; // reducing exposure is always allowed
+
+            const state = marginState('MARK');
+            const addedMargin = (Math.abs(newQty) - Math.abs(currentQty)) * price / (leverageFor.get(signal.symbol) ?? 1);
+            return state.accountValue - state.initialMargin >= addedMargin;
+        };
+
+        let index = 0;
+        while (index < sorted.length) {
+            const time = sorted[index].timestamp.getTime();
+            const group: MarketData[] = [];
+            while (index < sorted.length && sorted[index].timestamp.getTime() === time) {
+                group.push(sorted[index++]);
+            }
+
+            this.clock.setTime(time * 1_000_000);
+            const currentTime = this.clock.timestampMs();
+
+            for (const candle of group) {
+                const leg = legBySymbol.get(candle.symbol)!;
+                const i = (barIndex.get(candle.symbol) ?? -1) + 1;
+                barIndex.set(candle.symbol, i);
+                marks.set(candle.symbol, candle);
+                this.updateOrderBook(candle);
+
+                // Signals from the symbol's previous bar execute on this bar
+                for (const signal of pending.get(candle.symbol) || []) {
+                    if (hasMarginFor(signal, candle.close)) {
+                        await this.executeSignal(signal, candle, currentTime, i);
+                    } else {
+                        rejectedOrders++;
+                    }
+                }
+                pending.delete(candle.symbol);
+
+                if (this.intrabarStopCheck) {
+                    this.checkIntrabarExits(leg.strategy, candle, currentTime, i);
+                }
+                this.checkExitConditions(leg.strategy, candle, currentTime);
+                this.chargeFunding(candle, hoursPerCandle);
+            }
+
+            // Cross-margin check with every position at its worst price of the bar
+            const stressed = marginState('ADVERSE');
+            if (stressed.notional > 0 && stressed.accountValue < stressed.maintenanceMargin) {
+                const event: PortfolioLiquidation = {
+                    timestamp: new Date(currentTime),
+                    accountValue: stressed.accountValue,
+                    maintenanceMargin: stressed.maintenanceMargin,
+                    positions: [],
+                };
+                for (const [symbol, pos] of this.positions) {
+                    const mark = marks.get(symbol);
+                    if (pos.qty === 0 || !mark) continue;
+                    const price = pos.qty > 0
+                        ? mark.low * (1 - liquidationSlippage)
+                        : mark.high * (1 + liquidationSlippage);
+                    const size = Math.abs(pos.qty);
+                    event.positions.push({ symbol, side: pos.side, size, price, pnl: pos.qty * (price - pos.avgPx) });
+                    this.closePositionWithFill(symbol, price, currentTime, 'LIQUIDATION');
+                }
+                liquidations.push(event);
+                logger.warn(
+                    `[BacktestEngine] Portfolio liquidated at ${event.timestamp.toISOString()}: ` +
+                    `account ${stressed.accountValue.toFixed(2)} < maintenance ${stressed.maintenanceMargin.toFixed(2)}`
+                );
+            }
+
+            const state = marginState('MARK');
+            if (state.accountValue > 0) {
+                maxMarginUsage = Math.max(maxMarginUsage, state.initialMargin / state.accountValue);
+                maxMaintenanceRatio = Math.max(maxMaintenanceRatio, state.maintenanceMargin / state.accountValue);
+            }
+
+            recordLegPnl();
+
+            if (this.capital <= 0) {
+                logger.warn(`[BacktestEngine] Portfolio ${portfolioId} wiped out; stopping`);
+                this.capital = 0;
+                break;
+            }
+
+            // Always execute on the symbol's next bar
+            for (const candle of group) {
+                const leg = legBySymbol.get(candle.symbol)!;
+                const signals = this.generateSignals(leg.strategy, candle, states.get(candle.symbol), barIndex.get(candle.symbol)!);
+                if (signals.length > 0) pending.set(candle.symbol, signals);
+            }
+        }
+
+        // Close what is left at each symbol's last close
+        for (const [symbol, pos] of this.positions) {
+            const mark = marks.get(symbol);
+            if (pos.qty !== 0 && mark) {
+                this.closePosition(symbol, mark.close, mark.timestamp.getTime(), 'END_OF_BACKTEST');
+            }
+        }
+        recordLegPnl();
+
+        const result = this.calculateResults(portfolioId, sorted, hoursPerCandle);
+        const initialCapital = this.config.initialCapital ?? 10000;
+        const totalNet = legs.reduce((sum, leg) => sum + (realizedBySymbol.get(leg.symbol) || 0) - (this.fundingBySymbol.get(leg.symbol) || 0), 0);
+
+        const legResults = legs.map(leg => {
+            const legTrades = this.trades.filter(t => t.symbol === leg.symbol);
+            const fees = legTrades.reduce((sum, t) => sum + t.fee, 0);
+            const funding = this.fundingBySymbol.get(leg.symbol) || 0;
+            const netPnl = (realizedBySymbol.get(leg.symbol) || 0) - funding;
+            return {
+                symbol: leg.symbol,
+                strategyId: leg.strategy.id,
+                strategyName: leg.strategy.name,
+                leverage: leverageFor.get(leg.symbol) ?? 1,
+                trades: legTrades.filter(t => t.entryExit === 'EXIT').length,
+                realizedPnl: netPnl + fees + funding,
+                fees,
+                funding,
+                netPnl,
+                returnPct: (netPnl / initialCapital) * 100,
+                contributionPct: totalNet !== 0 ? (netPnl / Math.abs(totalNet)) * 100 : 0,
+            };
+        });
+
+        // Correlate bar-to-bar PnL changes
+        const deltas = legs.map(leg => {
+            const series = legPnlSeries.get(leg.symbol)!;
+            return series.slice(1).map((v, i) => v - series[i]);
+        });
+
+        logger.info(
+            `[BacktestEngine] Portfolio ${portfolioId}: return ${result.totalReturn.toFixed(2)}%, ` +
+            `${liquidations.length} liquidations, ${rejectedOrders} orders rejected for margin`
+        );
+
+        return {
+            ...result,
+            legs: legResults,
+            correlation: {
+                symbols: legs.map(leg => leg.symbol),
+                matrix: correlationMatrix(deltas),
+            },
+            margin: {
+                maxMarginUsage,
+                maxMaintenanceRatio,
+                rejectedOrders,
+            },
+            liquidations,
+        };
     }
 
     /**
@@ -209,6 +574,8 @@ export class BacktestEngine {
             indicators: {},
             lastSignal: null,
             lastSignalTime: 0,
+            // Entry/exit rules, shared with the vectorized backtester
+            compiled: compileStrategy(strategy),
             // Per-symbol state to prevent indicator corruption across symbols
             symbolState: {},
         };
@@ -218,26 +585,52 @@ export class BacktestEngine {
     private getSymbolState(state: any, symbol: string, barIndex: number): any {
         if (!state.symbolState[symbol]) {
             state.symbolState[symbol] = {
-                closes: [],
                 lastEntryBar: -this.minBarsBetweenEntries,
-                rsiState: null,
+                runner: null,
             };
         }
         return state.symbolState[symbol];
     }
 
     /**
-     * Charge funding rate for open positions
+     * Charge funding for the candle's open position. With recorded funding
+     * history, each funding time since the symbol's previous bar settles at the
+     * recorded rate (longs pay positive rates, shorts receive them). Periods
+     * without a recorded rate, and runs without history, fall back to the flat
+     * hourly rate charged to either side.
      */
     private chargeFunding(candle: MarketData, hoursPerCandle: number): void {
-        for (const [symbol, pos] of this.positions) {
-            if (pos.qty === 0) continue;
+        const symbol = candle.symbol;
+        const now = candle.timestamp.getTime();
+        const previous = this.lastFundingAt.get(symbol);
+        this.lastFundingAt.set(symbol, now);
+
+        const pos = this.positions.get(symbol);
+        if (!pos || pos.qty === 0) return;
 
-            const notional = Math.abs(pos.qty) * candle.close;
-            const fundingCost = notional * this.hourlyFundingRate * hoursPerCandle;
-            this.capital -= fundingCost;
-            this.totalFees += fundingCost;
+        const signedNotional = pos.qty * candle.close;
+        let fundingCost = 0;
+
+        if (this.fundingHistory) {
+            const intervalHours = this.config.fundingIntervalHours ?? 1;
+            const intervalMs = intervalHours * 60 * 60 * 1000;
+            const from = previous ?? now - hoursPerCandle * 60 * 60 * 1000;
+            for (let t = Math.floor(from / intervalMs) * intervalMs + intervalMs; t <= now; t += intervalMs) {
+                const rate = this.fundingHistory.rateAt(symbol, t);
+                if (rate !== undefined) {
+                    fundingCost += signedNotional * rate;
+                    this.fundingPeriods.recorded++;
+                } else {
+                    fundingCost += Math.abs(signedNotional) * this.hourlyFundingRate * intervalHours;
+                    this.fundingPeriods.fallback++;
+                }
+            }
+        } else {
+            fundingCost = Math.abs(signedNotional) * this.hourlyFundingRate * hoursPerCandle;
         }
+
+        this.capital -= fundingCost;
+        this.fundingBySymbol.set(symbol, (this.fundingBySymbol.get(symbol) || 0) + fundingCost);
     }
 
     /**
@@ -253,7 +646,7 @@ export class BacktestEngine {
         if (!riskParams) return;
 
         for (const [symbol, pos] of this.positions) {
-            if (pos.qty === 0) continue;
+            if (pos.qty === 0 || symbol !== candle.symbol) continue;
 
             const slippageBps = this.config.slippageBps ?? 5;
             const slippageFactor = slippageBps / 10000;
@@ -294,7 +687,21 @@ export class BacktestEngine {
     }
 
     /**
-     * Generate trading signals from strategy using indicator-based logic
+     * Feed a bar to the symbol's rule runner and return what the rules said.
+     * Every bar goes through here, including warmup and cooldown bars, so
+     * indicator state matches the vectorized backtester bar for bar.
+     */
+    private advanceRules(candle: MarketData, state: any, barIndex: number): StrategyBarSignal {
+        // Use per-symbol state to prevent indicator corruption across symbols
+        const symState = this.getSymbolState(state, candle.symbol, barIndex);
+        if (!symState.runner) {
+            symState.runner = (state.compiled as CompiledStrategy).createRunner();
+        }
+        return symState.runner.next(candle);
+    }
+
+    /**
+     * Generate trading signals from the strategy's compiled entry/exit rules
      */
     private generateSignals(
         strategy: Strategy,
@@ -303,145 +710,35 @@ export class BacktestEngine {
         barIndex: number
     ): SimulatedOrder[] {
         const signals: SimulatedOrder[] = [];
-
-        // Use per-symbol state to prevent indicator corruption across symbols
+        const flags = this.advanceRules(candle, state, barIndex);
         const symState = this.getSymbolState(state, candle.symbol, barIndex);
 
-        // Check cooldown per-symbol
-        if (barIndex - symState.lastEntryBar < this.minBarsBetweenEntries) {
+        // Rule-based exits close the whole position and are not subject to the entry cooldown
+        let qty = this.positions.get(candle.symbol)?.qty || 0;
+        if ((qty > 0 && flags.longExit) || (qty < 0 && flags.shortExit)) {
+            signals.push(qty > 0 ? this.createSellSignal(candle, qty) : this.createBuySignal(candle, -qty));
+            qty = 0;
+        }
+
+        // Check warmup and cooldown per-symbol
+        if (!(state.compiled as CompiledStrategy).isWarmedUp(barIndex) ||
+            barIndex - symState.lastEntryBar < this.minBarsBetweenEntries) {
             return signals;
         }
 
-        const params = strategy.parameters || {};
         // Use capped capital for position sizing to prevent unrealistic compounding
         const effectiveCapital = Math.min(this.capital, this.maxCapital);
         const positionSize = (effectiveCapital * (strategy.riskParameters?.maxPositionSize || 0.05)) / candle.close;
 
-        // Build close price history PER SYMBOL
-        symState.closes.push(candle.close);
-        const closes = symState.closes;
-
-        // Helper: compute RSI using Wilder's EMA (industry standard)
-        const rsi = (period: number): number => {
-            if (closes.length <= period + 1) return 50;
-            // Cache state for incremental computation
-            if (!state.rsiState) {
-                state.rsiState = { avgGain: 0, avgLoss: 0, initialized: false, period };
-            }
-            const st = state.rsiState;
-            if (st.period !== period) {
-                st.period = period;
-                st.initialized = false;
-                st.avgGain = 0;
-                st.avgLoss = 0;
-            }
-            // Compute all changes up to current bar
-            const startIdx = closes.length - (st.initialized ? 1 : period);
-            for (let i = Math.max(1, startIdx); i < closes.length; i++) {
-                const change = closes[i] - closes[i - 1];
-                if (!st.initialized) {
-                    // First `period` changes: simple average
-                    if (change > 0) st.avgGain += change; else st.avgLoss -= change;
-                    if (i === closes.length - 1 || (i - startIdx + 1) === period) {
-                        st.avgGain /= period;
-                        st.avgLoss /= period;
-                        if ((i - startIdx + 1) >= period) st.initialized = true;
-                    }
-                } else {
-                    // Wilder's EMA: alpha = 1/period
-                    st.avgGain = (st.avgGain * (period - 1) + (change > 0 ? change : 0)) / period;
-                    st.avgLoss = (st.avgLoss * (period - 1) + (change < 0 ? -change : 0)) / period;
-                }
-            }
-            return st.avgLoss === 0 ? 100 : 100 - (100 / (1 + st.avgGain / st.avgLoss));
-        };
-
-        // Helper: compute SMA from close series
-        const sma = (period: number): number => {
-            if (closes.length < period) return closes[closes.length - 1] || 0;
-            let sum = 0;
-            for (let i = closes.length - period; i < closes.length; i++) sum += closes[i];
-            return sum / period;
-        };
-
-        // Helper: compute Bollinger Bands
-        const bollinger = (period: number, stdMult: number): { upper: number; middle: number; lower: number } => {
-            const middle = sma(period);
-            if (closes.length < period) return { upper: middle, middle, lower: middle };
-            let sumSq = 0;
-            for (let i = closes.length - period; i < closes.length; i++) sumSq += (closes[i] - middle) ** 2;
-            const std = Math.sqrt(sumSq / period);
-            return { upper: middle + std * stdMult, middle, lower: middle - std * stdMult };
-        };
-
-        switch (strategy.type) {
-            case 'TREND_FOLLOWING': {
-                const fastPeriod = params.fastPeriod ?? params.smaFast ?? params.emaFast ?? params.fast ?? 10;
-                const slowPeriod = params.slowPeriod ?? params.smaSlow ?? params.emaSlow ?? params.slow ?? 30;
-                const minBars = Math.max(fastPeriod, slowPeriod) + 1;
-
-                if (closes.length >= minBars) {
-                    const fastNow = sma(fastPeriod);
-                    const slowNow = sma(slowPeriod);
-                    const fastPrev = closes.length >= minBars + 1
-                        ? closes.slice(0, -1).reduce((s, v, i, a) => i >= a.length - fastPeriod ? s + v : s, 0) / fastPeriod
-                        : fastNow;
-                    const slowPrev = closes.length >= minBars + 1
-                        ? closes.slice(0, -1).reduce((s, v, i, a) => i >= a.length - slowPeriod ? s + v : s, 0) / slowPeriod
-                        : slowNow;
-
-                    if (fastNow > slowNow && fastPrev <= slowPrev) {
-                        signals.push(this.createBuySignal(candle, positionSize));
-                        symState.lastEntryBar = barIndex;
-                    } else if (fastNow < slowNow && fastPrev >= slowPrev) {
-                        signals.push(this.createSellSignal(candle, positionSize));
-                        symState.lastEntryBar = barIndex;
-                    }
-                }
-                break;
-            }
-
-            case 'MEAN_REVERSION': {
-                const rsiPeriod = params.rsiPeriod || params.rsiLength || 14;
-                const oversold = params.oversold || params.rsiOversold || 35;
-                const overbought = params.overbought || params.rsiOverbought || 65;
-                const bbPeriod = params.bbPeriod || params.bollingerPeriod || 20;
-                const bbStdDev = params.bbStdDev || params.bollingerStdDev || 2;
-
-                if (closes.length > Math.max(rsiPeriod, bbPeriod)) {
-                    const currentRSI = rsi(rsiPeriod);
-                    const bb = bollinger(bbPeriod, bbStdDev);
-                    const price = candle.close;
-
-                    if (price < bb.lower && currentRSI < oversold) {
-                        signals.push(this.createBuySignal(candle, positionSize));
-                        symState.lastEntryBar = barIndex;
-                    } else if (price > bb.upper && currentRSI > overbought) {
-                        signals.push(this.createSellSignal(candle, positionSize));
-                        symState.lastEntryBar = barIndex;
-                    }
-                }
-                break;
-            }
-
-            default: {
-                // Generic RSI-based signals for MARKET_MAKING, ARBITRAGE, AI_PREDICTION, etc.
-                const rsiPeriod = params.rsiPeriod || params.rsiLength || 14;
-                const oversold = params.oversold || params.rsiOversold || 30;
-                const overbought = params.overbought || params.rsiOverbought || 70;
-
-                if (closes.length > rsiPeriod) {
-                    const currentRSI = rsi(rsiPeriod);
-                    if (currentRSI < oversold) {
-                        signals.push(this.createBuySignal(candle, positionSize));
-                        symState.lastEntryBar = barIndex;
-                    } else if (currentRSI > overbought) {
-                        signals.push(this.createSellSignal(candle, positionSize));
-                        symState.lastEntryBar = barIndex;
-                    }
-                }
-                break;
-            }
+        // Entries open a position on their side, closing the opposite one first
+        if (flags.longEntry && qty <= 0) {
+            if (qty < 0) signals.push(this.createBuySignal(candle, -qty));
+            signals.push(this.createBuySignal(candle, positionSize));
+            symState.lastEntryBar = barIndex;
+        } else if (flags.shortEntry && qty >= 0) {
+            if (qty > 0) signals.push(this.createSellSignal(candle, qty));
+            signals.push(this.createSellSignal(candle, positionSize));
+            symState.lastEntryBar = barIndex;
         }
 
         return signals;
@@ -478,11 +775,16 @@ export class BacktestEngine {
         currentTime: number,
         barIndex: number
     ): Promise<void> {
-        const book = this.orderBooks.get(signal.symbol);
-        if (!book) return;
-
-        // Simulate fills through order book
-        const fills = this.fillModel.simulateFill(signal, book);
+        let fills: SimulatedFill[];
+        if (this.queueFillModel) {
+            fills = this.simulateQueuedOrder(signal, currentTime);
+        } else {
+            const book = this.orderBooks.get(signal.symbol);
+            if (!book) return;
+
+            // Simulate fills through order book
+            fills = this.fillModel.simulateFill(signal, book);
+        }
 
         for (const fill of fills) {
             const symbol = signal.symbol;
@@ -506,6 +808,11 @@ export class BacktestEngine {
                 entryBar: isExit ? 0 : barIndex,
             });
 
+            // A new position owes funding from the bar it was filled on, not for the interval before it
+            if (currentPos.qty === 0 && qty !== 0) {
+                this.lastFundingAt.set(symbol, candle.timestamp.getTime());
+            }
+
             // Deduct commission from capital — THIS IS THE KEY FIX
             // Cap capital at maxCapital to prevent unrealistic compounding
             this.capital = Math.min(this.capital + realizedPnL - fill.commission, this.maxCapital);
@@ -521,20 +828,43 @@ export class BacktestEngine {
                 price: fill.price,
                 fee: fill.commission,
                 pnl: realizedPnL,
-                timestamp: new Date(currentTime),
-                type: 'MARKET',
+                timestamp: new Date(this.queueFillModel ? fill.timestamp : currentTime),
+                type: this.queueFillModel ? 'LIMIT' : 'MARKET',
                 status: 'FILLED',
                 entryExit: isExit ? 'EXIT' : 'ENTRY',
             });
         }
     }
 
+    /**
+     * Post the signal as a passive limit order at the recorded touch (best bid
+     * for buys, best ask for sells) and replay the L2 tape until it fills or
+     * its time-to-live runs out. Unfilled quantity is cancelled.
+     */
+    private simulateQueuedOrder(signal: SimulatedOrder, currentTime: number): SimulatedFill[] {
+        const model = this.queueFillModel!;
+        this.queueStats.submitted++;
+
+        const book = model.getBook(signal.symbol, currentTime);
+        const touch = signal.side === 'BUY' ? book?.bids[0]?.price : book?.asks[0]?.price;
+        if (!touch) {
+            this.queueStats.REJECTED++;
+            return [];
+        }
+
+        const order: SimulatedOrder = { ...signal, type: 'LIMIT', price: touch, timeInForce: 'ALO' };
+        const ttl = this.config.queueOrderTtlMs ?? this.barDurationMs;
+        const result = model.simulateLimitOrder(order, currentTime, currentTime + ttl);
+        this.queueStats[result.status]++;
+        return result.fills;
+    }
+
     /**
      * Check and execute stop loss / take profit (close-based fallback)
      */
     private checkExitConditions(strategy: Strategy, candle: MarketData, currentTime: number): void {
         for (const [symbol, pos] of this.positions) {
-            if (pos.qty === 0) continue;
+            if (pos.qty === 0 || symbol !== candle.symbol) continue;
 
             const riskParams = strategy.riskParameters;
             if (!riskParams) continue;
@@ -649,7 +979,7 @@ export class BacktestEngine {
     /**
      * Calculate backtest results with proper metrics
      */
-    private calculateResults(strategy: Strategy, candles: MarketData[], hoursPerCandle: number): BacktestResult {
+    private calculateResults(strategyId: string, candles: MarketData[], hoursPerCandle: number): BacktestResult {
         const exitTrades = this.trades.filter(t => t.entryExit === 'EXIT');
         const winningTrades = exitTrades.filter(t => (t.pnl || 0) > 0);
         const losingTrades = exitTrades.filter(t => (t.pnl || 0) < 0);
@@ -761,7 +1091,7 @@ export class BacktestEngine {
         const calmarRatio = maxDrawdown > 0 ? Math.abs(annualizedReturn) / maxDrawdown : 0;
 
         return {
-            strategyId: strategy.id,
+            strategyId,
             period: {
                 start: candles[0]?.timestamp || new Date(),
                 end: candles[candles.length - 1]?.timestamp || new Date(),
@@ -789,6 +1119,10 @@ export class BacktestEngine {
                 totalFees: this.totalFees,
                 avgSlippageCost: exitTrades.length > 0 ? this.totalSlippageCost / exitTrades.length : 0,
                 expectancy,
+                fundingPnl: -Array.from(this.fundingBySymbol.values()).reduce((a, b) => a + b, 0),
+                fundingCoverage: this.fundingHistory
+                    ? this.fundingPeriods.recorded / Math.max(1, this.fundingPeriods.recorded + this.fundingPeriods.fallback)
+                    : 0,
             },
         };
     }
@@ -808,15 +1142,20 @@ export class BacktestEngine {
     }
 
     /**
-     * Reset engine state
+     * Reset engine state and rewind the clock to the run's first candle, so
+     * historical bars move it forward and trades carry their bar's time
      */
-    private reset(): void {
+    private reset(startTime?: number): void {
         this.capital = this.config.initialCapital ?? 10000;
         this.totalFees = 0;
         this.totalSlippageCost = 0;
         this.positions.clear();
         this.trades = [];
-        this.clock.reset();
+        this.fundingBySymbol.clear();
+        this.lastFundingAt.clear();
+        this.fundingPeriods = { recorded: 0, fallback: 0 };
+        this.queueStats = { submitted: 0, FILLED: 0, PARTIAL: 0, UNFILLED: 0, REJECTED: 0 };
+        this.clock.reset(startTime ?? this.config.startTime);
         logger.debug('[BacktestEngine] Reset complete');
     }
 
@@ -840,8 +1179,29 @@ export class BacktestEngine {
     getCapital(): number {
         return this.capital;
     }
+
+    /**
+     * Order outcomes of the last run under the QUEUE_POSITION fill model
+     */
+    getQueueStats(): QueueOrderStats {
+        return { ...this.queueStats };
+    }
 }
 
+export type { WalkForwardConfig, WalkForwardResult } from './walk-forward';
+export { runMonteCarlo } from './monte-carlo';
+export type { MonteCarloConfig, MonteCarloReport } from './monte-carlo';
+export { L2History } from './queue-position';
+export { FundingHistory } from './funding-history';
+export type { FundingRecord } from './funding-history';
+export type {
+    PortfolioLeg,
+    PortfolioBacktestConfig,
+    PortfolioBacktestResult,
+    PortfolioLegContribution,
+    PortfolioLiquidation,
+} from './portfolio';
+
 /**
  * Convenience function to run a quick backtest
  */
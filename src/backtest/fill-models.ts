@@ -82,7 +82,7 @@ export interface LatencyModelConfig {
 /**
  * Simple seeded random number generator for deterministic backtesting
  */
-class SeededRNG {
+export class SeededRNG {
     private seed: number;
 
     constructor(seed: number) {
@@ -0,0 +1,106 @@
+/**
+ * Funding Rate History
+ *
+ * Recorded per-symbol funding rates (the `funding_rates` table written by
+ * MarketIngester.handleFunding and FundingArbitrageScanner) indexed by time,
+ * so backtests can charge the funding that was actually paid.
+ *
+ * Rates are per funding interval (Hyperliquid: hourly). A positive rate means
+ * longs pay shorts.
+ */
+
+import type BetterSqlite3 from 'better-sqlite3';
+
+export interface FundingRecord {
+    symbol: string;
+    /** Epoch milliseconds */
+    timestamp: number;
+    fundingRate: number;
+}
+
+export interface FundingHistoryOptions {
+    /** Records older than this are treated as missing. Default: 3 hours */
+    maxAgeMs?: number;
+}
+
+/**
+ * Normalize a stored timestamp: MarketIngester writes epoch seconds, the
+ * funding scanner writes epoch milliseconds.
+ */
+export function toEpochMs(timestamp: number): number {
+    return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+}
+
+export class FundingHistory {
+    private records: Map<string, FundingRecord[]> = new Map();
+    private maxAgeMs: number;
+
+    constructor(records: FundingRecord[] = [], options: FundingHistoryOptions = {}) {
+        this.maxAgeMs = options.maxAgeMs ?? 3 * 60 * 60 * 1000;
+        for (const record of records) {
+            if (!Number.isFinite(record.fundingRate)) continue;
+            const symbol = record.symbol.toUpperCase();
+            const list = this.records.get(symbol) || [];
+            list.push({ symbol, timestamp: toEpochMs(record.timestamp), fundingRate: record.fundingRate });
+            this.records.set(symbol, list);
+        }
+        for (const list of this.records.values()) list.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Load recorded rates for the given symbols from `startMs` (minus the max
+     * age, so the first bars have a rate) to `endMs`.
+     */
+    static fromDatabase(
+        db: BetterSqlite3.Database,
+        symbols: string[],
+        startMs: number,
+        endMs: number,
+        options: FundingHistoryOptions = {}
+    ): FundingHistory {
+        const maxAgeMs = options.maxAgeMs ?? 3 * 60 * 60 * 1000;
+        const from = startMs - maxAgeMs;
+        const stmt = db.prepare(`
+            SELECT symbol, timestamp, fundingRate FROM funding_rates
+            WHERE symbol = ?
+              AND ((timestamp >= ? AND timestamp <= ?) OR (timestamp >= ? AND timestamp <= ?))
+            ORDER BY timestamp ASC
+        `);
+
+        const records: FundingRecord[] = [];
+        for (const symbol of symbols) {
+            const rows = stmt.all(
+                symbol.toUpperCase(),
+                Math.floor(from / 1000), Math.ceil(endMs / 1000),
+                from, endMs
+            ) as FundingRecord[];
+            records.push(...rows);
+        }
+        return new FundingHistory(records, options);
+    }
+
+    get size(): number {
+        let count = 0;
+        for (const list of this.records.values()) count += list.length;
+        return count;
+    }
+
+    /**
+     * Funding rate in effect at the given time, or undefined when no recent record exists
+     */
+    rateAt(symbol: string, timestamp: number): number | undefined {
+        const list = this.records.get(symbol.toUpperCase());
+        if (!list || list.length === 0) return undefined;
+
+        let lo = 0;
+        let hi = list.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (list[mid].timestamp <= timestamp) lo = mid + 1;
+            else hi = mid;
+        }
+        const record = lo > 0 ? list[lo - 1] : undefined;
+        if (!record || timestamp - record.timestamp > this.maxAgeMs) return undefined;
+        return record.fundingRate;
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Monte Carlo Robustness Analysis
+ *
+ * Re-runs a backtest's trade list many times, reordering (shuffle) or
+ * resampling (bootstrap) the round trips and perturbing slippage, to show how
+ * much of the result depends on one lucky sequence of trades.
+ */
+
+import { BacktestResult, Trade } from '../shared/types';
+import { SeededRNG } from './fill-models';
+
+export type MonteCarloMethod = 'SHUFFLE' | 'BOOTSTRAP';
+
+export interface MonteCarloConfig {
+    /** Number of simulated paths. Default: 1000 */
+    simulations?: number;
+    /** SHUFFLE reorders the same trades; BOOTSTRAP resamples with replacement. Default: BOOTSTRAP */
+    method?: MonteCarloMethod;
+    /** Std-dev of extra slippage per round trip, in bps of notional. Default: 5 */
+    slippageStdBps?: number;
+    /** A path is ruined when equity falls this far below initial capital (0-1). Default: 0.5 */
+    ruinDrawdown?: number;
+    /** Lower/upper percentile for confidence intervals (0-100). Default: 5 / 95 */
+    lowerPercentile?: number;
+    upperPercentile?: number;
+    randomSeed?: number;
+}
+
+export interface ConfidenceInterval {
+    lower: number;
+    median: number;
+    upper: number;
+    mean: number;
+}
+
+export interface MonteCarloReport {
+    method: MonteCarloMethod;
+    simulations: number;
+    roundTrips: number;
+    seed: number;
+    confidenceLevel: number;
+    initialCapital: number;
+    /** Final equity in account currency */
+    finalEquity: ConfidenceInterval;
+    /** Total return in percent */
+    totalReturn: ConfidenceInterval;
+    /** Max drawdown in percent */
+    maxDrawdown: ConfidenceInterval;
+    /** Share of paths (0-1) that breached the ruin threshold */
+    riskOfRuin: number;
+    ruinThreshold: number;
+    /** Share of paths (0-1) that finished below initial capital */
+    probabilityOfLoss: number;
+    /** Where the original backtest ranks among simulated final equities (0-100) */
+    originalPercentile: number;
+}
+
+interface RoundTrip {
+    /** Net PnL as a fraction of equity at the time of the trade */
+    returnFraction: number;
+    /** Round-trip notional as a fraction of equity, used to scale slippage */
+    notionalFraction: number;
+}
+
+/**
+ * Turn a chronological trade list into round trips. Entry fees are charged
+ * to the exit that closes them so each round trip carries its full cost.
+ */
+function buildRoundTrips(trades: Trade[], initialCapital: number): RoundTrip[] {
+    const pendingEntryCost = new Map<string, number>();
+    const roundTrips: RoundTrip[] = [];
+    let equity = initialCapital;
+
+    for (const trade of trades) {
+        if (trade.entryExit !== 'EXIT') {
+            pendingEntryCost.set(trade.symbol, (pendingEntryCost.get(trade.symbol) || 0) + (trade.fee || 0));
+            continue;
+        }
+
+        const entryCost = pendingEntryCost.get(trade.symbol) || 0;
+        pendingEntryCost.delete(trade.symbol);
+
+        const netPnl = (trade.pnl || 0) - (trade.fee || 0) - entryCost;
+        const notional = Math.abs(trade.size * trade.price) * 2;
+        if (equity <= 0) break;
+
+        roundTrips.push({
+            returnFraction: netPnl / equity,
+            notionalFraction: notional / equity,
+        });
+        equity += netPnl;
+    }
+
+    return roundTrips;
+}
+
+function percentile(sorted: number[], p: number): number {
+    if (sorted.length === 0) return 0;
+    const idx = Math.min(sorted.length - 1, Math.max(0, (p / 100) * (sorted.length - 1)));
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function interval(values: number[], lower: number, upper: number): ConfidenceInterval {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        lower: percentile(sorted, lower),
+        median: percentile(sorted, 50),
+        upper: percentile(sorted, upper),
+        mean: sorted.length > 0 ? sorted.reduce((a, b) => a + b, 0) / sorted.length : 0,
+    };
+}
+
+/**
+ * Run a Monte Carlo robustness analysis on a completed backtest.
+ */
+export function runMonteCarlo(result: BacktestResult, config: MonteCarloConfig = {}): MonteCarloReport {
+    const simulations = Math.max(1, config.simulations ?? 1000);
+    const method = config.method ?? 'BOOTSTRAP';
+    const slippageStd = (config.slippageStdBps ?? 5) / 10000;
+    const ruinDrawdown = Math.min(Math.max(config.ruinDrawdown ?? 0.5, 0.01), 1);
+    const lowerPct = config.lowerPercentile ?? 5;
+    const upperPct = config.upperPercentile ?? 95;
+    const seed = config.randomSeed ?? 42;
+    const rng = new SeededRNG(seed);
+
+    const initialCapital = result.initialCapital || 10000;
+    const roundTrips = buildRoundTrips(result.trades || [], initialCapital);
+    const ruinEquity = initialCapital * (1 - ruinDrawdown);
+
+    const finalEquities: number[] = [];
+    const maxDrawdowns: number[] = [];
+    let ruined = 0;
+    let losses = 0;
+
+    for (let sim = 0; sim < simulations; sim++) {
+        const path = method === 'SHUFFLE' ? [...roundTrips] : new Array<RoundTrip>(roundTrips.length);
+        if (method === 'SHUFFLE') {
+            // Fisher-Yates
+            for (let i = path.length - 1; i > 0; i--) {
+                const j = Math.floor(rng.next() * (i + 1));
+                [path[i], path[j]] = [path[j], path[i]];
+            }
+        } else {
+            for (let i = 0; i < path.length; i++) {
+                path[i] = roundTrips[Math.floor(rng.next() * roundTrips.length)];
+            }
+        }
+
+        let equity = initialCapital;
+        let peak = initialCapital;
+        let maxDrawdown = 0;
+        let pathRuined = false;
+
+        for (const trip of path) {
+            // Extra slippage is always a cost: half-normal on the round-trip notional
+            const gaussian = rng.nextGaussian();
+            const slippage = Number.isFinite(gaussian) ? Math.abs(gaussian) * slippageStd * trip.notionalFraction : 0;
+            equity *= 1 + trip.returnFraction - slippage;
+
+            if (equity <= ruinEquity) pathRuined = true;
+            if (equity <= 0) {
+                equity = 0;
+                maxDrawdown = 100;
+                break;
+            }
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, ((peak - equity) / peak) * 100);
+        }
+
+        finalEquities.push(equity);
+        maxDrawdowns.push(maxDrawdown);
+        if (pathRuined) ruined++;
+        if (equity < initialCapital) losses++;
+    }
+
+    const belowOriginal = finalEquities.filter(e => e < result.finalCapital).length;
+
+    return {
+        method,
+        simulations,
+        roundTrips: roundTrips.length,
+        seed,
+        confidenceLevel: upperPct - lowerPct,
+        initialCapital,
+        finalEquity: interval(finalEquities, lowerPct, upperPct),
+        totalReturn: interval(finalEquities.map(e => ((e - initialCapital) / initialCapital) * 100), lowerPct, upperPct),
+        maxDrawdown: interval(maxDrawdowns, lowerPct, upperPct),
+        riskOfRuin: ruined / simulations,
+        ruinThreshold: ruinDrawdown,
+        probabilityOfLoss: losses / simulations,
+        originalPercentile: (belowOriginal / simulations) * 100,
+    };
+}
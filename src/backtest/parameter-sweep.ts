@@ -0,0 +1,247 @@
+/**
+ * Parameter Sweep
+ *
+ * Expands per-parameter ranges into a full grid of strategy variants and folds
+ * the finished backtests back into a results matrix, pairwise heatmaps and
+ * one-dimensional sensitivity curves. Running the backtests is left to the
+ * caller (the API fans the grid out to the backtest workers).
+ */
+
+/** Explicit values, or an inclusive min..max range walked in `step` increments */
+export type ParameterRange = number[] | { min: number; max: number; step: number };
+
+export const SWEEP_METRICS = ['sharpeRatio', 'totalReturn', 'maxDrawdown', 'winRate', 'totalTrades'] as const;
+export type SweepMetric = typeof SWEEP_METRICS[number];
+
+export type SweepCellStatus = 'PENDING' | 'RUNNING' | 'COMPLETED' | 'FAILED';
+
+export interface SweepCell {
+    jobId: string;
+    parameters: Record<string, number>;
+    symbol: string;
+    timeframe: string;
+    status: SweepCellStatus;
+    metrics?: Partial<Record<SweepMetric, number>>;
+    error?: string;
+}
+
+export interface SweepMatrixRow {
+    parameters: Record<string, number>;
+    /** Metric per column; null until that backtest has completed */
+    values: Array<number | null>;
+    /** Mean over the completed columns */
+    mean: number | null;
+}
+
+export interface SweepMatrix {
+    /** One column per `symbol:timeframe` */
+    columns: string[];
+    rows: SweepMatrixRow[];
+}
+
+export interface SweepHeatmap {
+    x: string;
+    y: string;
+    xValues: number[];
+    yValues: number[];
+    /** values[yIndex][xIndex]: metric averaged over every other parameter and all markets */
+    values: Array<Array<number | null>>;
+}
+
+export interface ParameterSensitivity {
+    parameter: string;
+    values: number[];
+    /** Metric averaged over everything else at each value */
+    mean: Array<number | null>;
+    /** max(mean) - min(mean); large means the result hinges on this parameter */
+    spread: number | null;
+}
+
+export interface SweepSummary {
+    matrix: SweepMatrix;
+    heatmaps: SweepHeatmap[];
+    sensitivity: ParameterSensitivity[];
+    best: SweepMatrixRow | null;
+}
+
+export class ParameterSweepError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'ParameterSweepError';
+    }
+}
+
+/** Metrics where a smaller value is the better one */
+const LOWER_IS_BETTER: ReadonlySet<SweepMetric> = new Set<SweepMetric>(['maxDrawdown']);
+
+/** Trim floating-point noise from stepped values (0.1 + 0.2 -> 0.3) */
+function roundStep(value: number): number {
+    return Math.round(value * 1e10) / 1e10;
+}
+
+export function isSweepMetric(value: unknown): value is SweepMetric {
+    return typeof value === 'string' && (SWEEP_METRICS as readonly string[]).includes(value);
+}
+
+/**
+ * Values for one parameter, sorted and de-duplicated
+ */
+export function expandParameterRange(name: string, range: ParameterRange): number[] {
+    let values: number[];
+
+    if (Array.isArray(range)) {
+        if (range.length === 0) {
+            throw new ParameterSweepError(`${name}: no values given`);
+        }
+        values = range.map(v => Number(v));
+    } else if (range && typeof range === 'object') {
+        const min = Number(range.min);
+        const max = Number(range.max);
+        const step = Number(range.step);
+        if (![min, max, step].every(Number.isFinite)) {
+            throw new ParameterSweepError(`${name}: min, max and step must be numbers`);
+        }
+        if (step <= 0) {
+            throw new ParameterSweepError(`${name}: step must be positive`);
+        }
+        if (max < min) {
+            throw new ParameterSweepError(`${name}: max is below min`);
+        }
+        const count = Math.floor((max - min) / step + 1e-9) + 1;
+        values = Array.from({ length: count }, (_, i) => roundStep(min + i * step));
+    } else {
+        throw new ParameterSweepError(`${name}: expected an array of values or {min, max, step}`);
+    }
+
+    if (!values.every(Number.isFinite)) {
+        throw new ParameterSweepError(`${name}: values must be numbers`);
+    }
+    return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/**
+ * Cartesian product of every parameter's values, first parameter varying slowest
+ */
+export function expandParameterGrid(
+    ranges: Record<string, ParameterRange>,
+    maxCombinations: number = 1000
+): Array<Record<string, number>> {
+    const names = Object.keys(ranges || {});
+    if (names.length === 0) {
+        throw new ParameterSweepError('at least one parameter range is required');
+    }
+
+    const axes = names.map(name => expandParameterRange(name, ranges[name]));
+    const total = axes.reduce((product, values) => product * values.length, 1);
+    if (total > maxCombinations) {
+        throw new ParameterSweepError(`${total} combinations exceeds the limit of ${maxCombinations}`);
+    }
+
+    let grid: Array<Record<string, number>> = [{}];
+    names.forEach((name, axis) => {
+        grid = grid.flatMap(partial => axes[axis].map(value => ({ ...partial, [name]: value })));
+    });
+    return grid;
+}
+
+function mean(values: number[]): number | null {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function metricOf(cell: SweepCell, metric: SweepMetric): number | undefined {
+    const value = cell.status === 'COMPLETED' ? cell.metrics?.[metric] : undefined;
+    return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Average the metric of every completed cell into buckets keyed by `keyOf`
+ */
+function bucketMeans(cells: SweepCell[], metric: SweepMetric, keyOf: (cell: SweepCell) => string): Map<string, number | null> {
+    const buckets = new Map<string, number[]>();
+    for (const cell of cells) {
+        const value = metricOf(cell, metric);
+        if (value === undefined) continue;
+        const key = keyOf(cell);
+        const bucket = buckets.get(key);
+        if (bucket) {
+            bucket.push(value);
+        } else {
+            buckets.set(key, [value]);
+        }
+    }
+    return new Map([...buckets].map(([key, values]) => [key, mean(values)]));
+}
+
+function parameterKey(parameters: Record<string, number>, names: string[]): string {
+    return names.map(name => parameters[name]).join('|');
+}
+
+/**
+ * Fold sweep cells into the matrix, heatmaps and sensitivity curves.
+ * `axes` gives the swept values per parameter, in sweep order.
+ */
+export function summarizeSweep(axes: Record<string, number[]>, cells: SweepCell[], metric: SweepMetric): SweepSummary {
+    const names = Object.keys(axes);
+
+    const columns: string[] = [];
+    const rowsByKey = new Map<string, { parameters: Record<string, number>; cells: Map<string, SweepCell> }>();
+    for (const cell of cells) {
+        const column = `${cell.symbol}:${cell.timeframe}`;
+        if (!columns.includes(column)) columns.push(column);
+        const key = parameterKey(cell.parameters, names);
+        let row = rowsByKey.get(key);
+        if (!row) {
+            row = { parameters: cell.parameters, cells: new Map() };
+            rowsByKey.set(key, row);
+        }
+        row.cells.set(column, cell);
+    }
+
+    const rows: SweepMatrixRow[] = [...rowsByKey.values()].map(row => {
+        const values = columns.map(column => {
+            const cell = row.cells.get(column);
+            return cell ? metricOf(cell, metric) ?? null : null;
+        });
+        return {
+            parameters: row.parameters,
+            values,
+            mean: mean(values.filter((v): v is number => v !== null)),
+        };
+    });
+
+    const direction = LOWER_IS_BETTER.has(metric) ? -1 : 1;
+    const best = rows.reduce<SweepMatrixRow | null>((current, row) => {
+        if (row.mean === null) return current;
+        return current === null || direction * row.mean > direction * current.mean! ? row : current;
+    }, null);
+
+    const heatmaps: SweepHeatmap[] = [];
+    for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+            const x = names[i];
+            const y = names[j];
+            const means = bucketMeans(cells, metric, cell => `${cell.parameters[x]}|${cell.parameters[y]}`);
+            heatmaps.push({
+                x,
+                y,
+                xValues: axes[x],
+                yValues: axes[y],
+                values: axes[y].map(yValue => axes[x].map(xValue => means.get(`${xValue}|${yValue}`) ?? null)),
+            });
+        }
+    }
+
+    const sensitivity: ParameterSensitivity[] = names.map(name => {
+        const means = bucketMeans(cells, metric, cell => String(cell.parameters[name]));
+        const curve = axes[name].map(value => means.get(String(value)) ?? null);
+        const known = curve.filter((v): v is number => v !== null);
+        return {
+            parameter: name,
+            values: axes[name],
+            mean: curve,
+            spread: known.length > 0 ? Math.max(...known) - Math.min(...known) : null,
+        };
+    });
+
+    return { matrix: { columns, rows }, heatmaps, sensitivity, best };
+}
@@ -0,0 +1,157 @@
+/**
+ * Portfolio Backtest Types and Cross-Margin Math
+ *
+ * Used by BacktestEngine.runPortfolioBacktest to run several symbol/strategy
+ * legs against one shared account. Margin follows Hyperliquid's cross-margin
+ * rules: initial margin is notional / leverage, maintenance margin is half of
+ * the initial margin at the asset's max leverage, and the whole account is
+ * liquidated when account value falls below total maintenance margin.
+ */
+
+import { BacktestResult, Strategy } from '../shared/types';
+
+export interface PortfolioLeg {
+    strategy: Strategy;
+    symbol: string;
+    /** Leverage used for this leg's initial margin. Default: strategy.riskParameters.maxLeverage, capped at the asset max */
+    leverage?: number;
+}
+
+export interface PortfolioBacktestConfig {
+    /** Identifier reported as strategyId on the result. Default: joined leg strategy ids */
+    id?: string;
+    /** Exchange max leverage per symbol; sets the maintenance margin rate */
+    maxLeverage?: Record<string, number>;
+    /** Max leverage for symbols not listed in maxLeverage. Default: 20 */
+    defaultMaxLeverage?: number;
+    /** Extra slippage on forced liquidation fills, in bps. Default: 50 */
+    liquidationSlippageBps?: number;
+}
+
+export interface MarginPosition {
+    symbol: string;
+    /** Signed quantity: positive long, negative short */
+    qty: number;
+    entryPrice: number;
+    markPrice: number;
+    leverage: number;
+    maxLeverage: number;
+}
+
+export interface MarginState {
+    accountValue: number;
+    unrealizedPnl: number;
+    initialMargin: number;
+    maintenanceMargin: number;
+    notional: number;
+}
+
+export interface PortfolioLiquidation {
+    timestamp: Date;
+    accountValue: number;
+    maintenanceMargin: number;
+    positions: Array<{ symbol: string; side: 'LONG' | 'SHORT'; size: number; price: number; pnl: number }>;
+}
+
+export interface PortfolioLegContribution {
+    symbol: string;
+    strategyId: string;
+    strategyName: string;
+    leverage: number;
+    trades: number;
+    realizedPnl: number;
+    fees: number;
+    funding: number;
+    netPnl: number;
+    /** netPnl as a percentage of initial capital */
+    returnPct: number;
+    /** Share of the portfolio's net PnL (percent, sign kept) */
+    contributionPct: number;
+}
+
+export interface PortfolioBacktestResult extends BacktestResult {
+    legs: PortfolioLegContribution[];
+    /** Pearson correlation of per-bar PnL changes between legs */
+    correlation: {
+        symbols: string[];
+        matrix: number[][];
+    };
+    margin: {
+        /** Peak initial margin / account value (0-1+) */
+        maxMarginUsage: number;
+        /** Peak maintenance margin / account value; liquidation happens at 1 */
+        maxMaintenanceRatio: number;
+        /** Orders skipped for lack of free margin */
+        rejectedOrders: number;
+    };
+    liquidations: PortfolioLiquidation[];
+}
+
+/**
+ * Maintenance margin rate for an asset (Hyperliquid: half of initial margin at max leverage)
+ */
+export function maintenanceMarginRate(maxLeverage: number): number {
+    return 1 / (2 * Math.max(1, maxLeverage));
+}
+
+/**
+ * Cross-margin account state for a set of positions marked at `markPrice`
+ */
+export function computeMarginState(cash: number, positions: MarginPosition[]): MarginState {
+    let unrealizedPnl = 0;
+    let initialMargin = 0;
+    let maintenanceMargin = 0;
+    let notional = 0;
+
+    for (const pos of positions) {
+        if (pos.qty === 0) continue;
+        const posNotional = Math.abs(pos.qty) * pos.markPrice;
+        notional += posNotional;
+        unrealizedPnl += pos.qty * (pos.markPrice - pos.entryPrice);
+        initialMargin += posNotional / Math.max(1, pos.leverage);
+        maintenanceMargin += posNotional * maintenanceMarginRate(pos.maxLeverage);
+    }
+
+    return {
+        accountValue: cash + unrealizedPnl,
+        unrealizedPnl,
+        initialMargin,
+        maintenanceMargin,
+        notional,
+    };
+}
+
+/**
+ * Pearson correlation matrix of equally long series. Series with no
+ * variance correlate 0 with everything else (1 with themselves).
+ */
+export function correlationMatrix(series: number[][]): number[][] {
+    const n = series.length;
+    const stats = series.map(values => {
+        const mean = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+        const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0));
+        return { mean, std };
+    });
+
+    const matrix: number[][] = [];
+    for (let a = 0; a < n; a++) {
+        matrix.push([]);
+        for (let b = 0; b < n; b++) {
+            if (a === b) {
+                matrix[a].push(1);
+                continue;
+            }
+            if (stats[a].std === 0 || stats[b].std === 0) {
+                matrix[a].push(0);
+                continue;
+            }
+            let cov = 0;
+            const len = Math.min(series[a].length, series[b].length);
+            for (let i = 0; i < len; i++) {
+                cov += (series[a][i] - stats[a].mean) * (series[b][i] - stats[b].mean);
+            }
+            matrix[a].push(cov / (stats[a].std * stats[b].std));
+        }
+    }
+    return matrix;
+}
@@ -0,0 +1,389 @@
+/**
+ * Queue-Position Fill Model
+ *
+ * Replays recorded Hyperliquid L2 snapshots and trade prints (the
+ * `order_book` and `market_trades` tables written by MarketIngester) to
+ * decide when a resting limit order would actually have filled.
+ *
+ * A passive order joins the back of the queue at its price level. The queue
+ * ahead of it shrinks when prints trade at that level and when the level
+ * shrinks by more than the traded volume (cancellations, assumed to be spread
+ * evenly through the queue). The order fills only with volume that trades
+ * through after the queue ahead is exhausted, or when the market trades
+ * through / crosses its price.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import type BetterSqlite3 from 'better-sqlite3';
+import { BookLevel, OrderBook, SimulatedFill, SimulatedOrder } from './fill-models';
+
+export interface L2Snapshot {
+    symbol: string;
+    /** Epoch milliseconds */
+    timestamp: number;
+    /** Best first */
+    bids: BookLevel[];
+    /** Best first */
+    asks: BookLevel[];
+}
+
+export interface TapePrint {
+    symbol: string;
+    /** Epoch milliseconds */
+    timestamp: number;
+    price: number;
+    size: number;
+    /** Aggressor side: 'buy' prints lift asks, 'sell' prints hit bids */
+    side: 'buy' | 'sell';
+}
+
+export interface QueuePositionConfig {
+    /** Base (taker) commission rate. Default: 0.0005 */
+    commissionRate?: number;
+    /** Discount applied to maker fills. Default: 0.0002 */
+    makerDiscount?: number;
+    /** Delay between order submission and reaching the book. Default: 10 */
+    latencyMs?: number;
+    /** Snapshots older than this are not used to place an order. Default: 60000 */
+    maxBookAgeMs?: number;
+}
+
+export type QueueOrderStatus = 'FILLED' | 'PARTIAL' | 'UNFILLED' | 'REJECTED';
+
+export interface QueueFillResult {
+    status: QueueOrderStatus;
+    fills: SimulatedFill[];
+    filledQuantity: number;
+    remainingQuantity: number;
+    /** Displayed size ahead of the order when it joined the queue */
+    queueAheadAtEntry: number;
+    reason?: string;
+}
+
+/**
+ * Time-indexed store of recorded book snapshots and prints per symbol.
+ */
+export class L2History {
+    private books: Map<string, L2Snapshot[]> = new Map();
+    private prints: Map<string, TapePrint[]> = new Map();
+
+    constructor(snapshots: L2Snapshot[] = [], prints: TapePrint[] = []) {
+        for (const snapshot of snapshots) {
+            const symbol = snapshot.symbol.toUpperCase();
+            const list = this.books.get(symbol) || [];
+            list.push({ ...snapshot, symbol });
+            this.books.set(symbol, list);
+        }
+        for (const print of prints) {
+            const symbol = print.symbol.toUpperCase();
+            const list = this.prints.get(symbol) || [];
+            list.push({ ...print, symbol });
+            this.prints.set(symbol, list);
+        }
+        for (const list of this.books.values()) list.sort((a, b) => a.timestamp - b.timestamp);
+        for (const list of this.prints.values()) list.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Load recorded data for the given symbols and time range. MarketIngester
+     * stores timestamps in epoch seconds.
+     */
+    static fromDatabase(db: BetterSqlite3.Database, symbols: string[], startMs: number, endMs: number): L2History {
+        const startSec = Math.floor(startMs / 1000);
+        const endSec = Math.ceil(endMs / 1000);
+        const snapshots: L2Snapshot[] = [];
+        const prints: TapePrint[] = [];
+
+        const bookStmt = db.prepare(`
+            SELECT symbol, timestamp, bids, asks FROM order_book
+            WHERE symbol = ? AND timestamp >= ? AND timestamp <= ?
+            ORDER BY timestamp ASC, id ASC
+        `);
+        const tradeStmt = db.prepare(`
+            SELECT symbol, timestamp, price, size, side FROM market_trades
+            WHERE symbol = ? AND timestamp >= ? AND timestamp <= ?
+            ORDER BY timestamp ASC, id ASC
+        `);
+
+        for (const rawSymbol of symbols) {
+            const symbol = rawSymbol.toUpperCase();
+            const bookRows = bookStmt.all(symbol, startSec, endSec) as Array<{ symbol: string; timestamp: number; bids: string; asks: string }>;
+            for (const row of bookRows) {
+                try {
+                    snapshots.push({
+                        symbol,
+                        timestamp: row.timestamp * 1000,
+                        bids: JSON.parse(row.bids),
+                        asks: JSON.parse(row.asks),
+                    });
+                } catch {
+                    // Skip malformed rows
+                }
+            }
+
+            const tradeRows = tradeStmt.all(symbol, startSec, endSec) as Array<{ symbol: string; timestamp: number; price: number; size: number; side: string }>;
+            for (const row of tradeRows) {
+                prints.push({
+                    symbol,
+                    timestamp: row.timestamp * 1000,
+                    price: row.price,
+                    size: row.size,
+                    side: row.side === 'buy' ? 'buy' : 'sell',
+                });
+            }
+        }
+
+        return new L2History(snapshots, prints);
+    }
+
+    hasSymbol(symbol: string): boolean {
+        return (this.books.get(symbol.toUpperCase())?.length ?? 0) > 0;
+    }
+
+    get snapshotCount(): number {
+        let count = 0;
+        for (const list of this.books.values()) count += list.length;
+        return count;
+    }
+
+    get printCount(): number {
+        let count = 0;
+        for (const list of this.prints.values()) count += list.length;
+        return count;
+    }
+
+    /**
+     * Latest snapshot at or before the given time
+     */
+    bookAt(symbol: string, timestamp: number): L2Snapshot | undefined {
+        const list = this.books.get(symbol.toUpperCase());
+        if (!list || list.length === 0) return undefined;
+        const idx = upperBound(list, timestamp) - 1;
+        return idx >= 0 ? list[idx] : undefined;
+    }
+
+    /**
+     * Snapshots and prints strictly after `from` and up to `to`. At equal
+     * timestamps prints come first, since a snapshot reflects the book after them.
+     */
+    eventsBetween(symbol: string, from: number, to: number): Array<{ kind: 'print'; print: TapePrint } | { kind: 'book'; book: L2Snapshot }> {
+        const key = symbol.toUpperCase();
+        const books = this.books.get(key) || [];
+        const prints = this.prints.get(key) || [];
+        const events: Array<{ kind: 'print'; print: TapePrint } | { kind: 'book'; book: L2Snapshot }> = [];
+
+        let b = upperBound(books, from);
+        let p = upperBound(prints, from);
+        while (b < books.length || p < prints.length) {
+            const nextBook = b < books.length && books[b].timestamp <= to ? books[b] : undefined;
+            const nextPrint = p < prints.length && prints[p].timestamp <= to ? prints[p] : undefined;
+            if (!nextBook && !nextPrint) break;
+
+            if (nextPrint && (!nextBook || nextPrint.timestamp <= nextBook.timestamp)) {
+                events.push({ kind: 'print', print: nextPrint });
+                p++;
+            } else if (nextBook) {
+                events.push({ kind: 'book', book: nextBook });
+                b++;
+            }
+        }
+        return events;
+    }
+}
+
+/** Index of the first element with timestamp > t */
+function upperBound(list: Array<{ timestamp: number }>, t: number): number {
+    let lo = 0;
+    let hi = list.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (list[mid].timestamp <= t) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+function samePrice(a: number, b: number): boolean {
+    return Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * 1e-9;
+}
+
+function sizeAt(levels: BookLevel[], price: number): number {
+    const level = levels.find(l => samePrice(l.price, price));
+    return level ? level.size : 0;
+}
+
+/**
+ * Fill model that replays recorded L2 data instead of a synthetic book
+ */
+export class QueuePositionFillModel {
+    private history: L2History;
+    private config: Required<QueuePositionConfig>;
+
+    constructor(history: L2History, config: QueuePositionConfig = {}) {
+        this.history = history;
+        this.config = {
+            commissionRate: config.commissionRate ?? 0.0005,
+            makerDiscount: config.makerDiscount ?? 0.0002,
+            latencyMs: config.latencyMs ?? 10,
+            maxBookAgeMs: config.maxBookAgeMs ?? 60000,
+        };
+    }
+
+    /**
+     * Recorded book as of the given time, in the FillModel OrderBook shape
+     */
+    getBook(symbol: string, timestamp: number): OrderBook | undefined {
+        const snapshot = this.history.bookAt(symbol, timestamp);
+        if (!snapshot || timestamp - snapshot.timestamp > this.config.maxBookAgeMs) return undefined;
+        const bestBid = snapshot.bids[0]?.price ?? 0;
+        const bestAsk = snapshot.asks[0]?.price ?? 0;
+        return {
+            symbol: snapshot.symbol,
+            bids: snapshot.bids,
+            asks: snapshot.asks,
+            timestamp: snapshot.timestamp,
+            spread: bestAsk - bestBid,
+            midPrice: (bestBid + bestAsk) / 2,
+        };
+    }
+
+    /**
+     * Simulate a limit order submitted at `submittedAt` (epoch ms) that rests
+     * until `expiresAt` (epoch ms), after which the unfilled part is cancelled.
+     * The marketable part of the order (if any) takes liquidity immediately
+     * unless it is post-only (ALO). IOC/FOK orders never rest.
+     */
+    simulateLimitOrder(order: SimulatedOrder, submittedAt: number, expiresAt: number): QueueFillResult {
+        const result: QueueFillResult = {
+            status: 'UNFILLED',
+            fills: [],
+            filledQuantity: 0,
+            remainingQuantity: order.quantity,
+            queueAheadAtEntry: 0,
+        };
+
+        const limitPrice = order.price;
+        if (!limitPrice || limitPrice <= 0 || order.quantity <= 0) {
+            return { ...result, status: 'REJECTED', reason: 'invalid limit order' };
+        }
+
+        const arrival = submittedAt + this.config.latencyMs;
+        const book = this.getBook(order.symbol, arrival);
+        if (!book) {
+            return { ...result, status: 'REJECTED', reason: 'no recorded book' };
+        }
+
+        const isBuy = order.side === 'BUY';
+        const opposite = isBuy ? book.asks : book.bids;
+        const crosses = (price: number) => (isBuy ? price <= limitPrice : price >= limitPrice);
+
+        // Marketable part takes liquidity from the recorded book
+        if (opposite.length > 0 && crosses(opposite[0].price)) {
+            if (order.timeInForce === 'ALO') {
+                return { ...result, status: 'REJECTED', reason: 'post-only order would cross' };
+            }
+
+            const available = opposite.filter(l => crosses(l.price)).reduce((sum, l) => sum + l.size, 0);
+            if (order.timeInForce === 'FOK' && available < order.quantity) {
+                return { ...result, status: 'REJECTED', reason: 'fill-or-kill not fully marketable' };
+            }
+
+            for (const level of opposite) {
+                if (result.remainingQuantity <= 0 || !crosses(level.price)) break;
+                const qty = Math.min(result.remainingQuantity, level.size);
+                this.addFill(result, order, qty, level.price, arrival, 'TAKER');
+            }
+        }
+
+        if (result.remainingQuantity <= 0 || order.timeInForce === 'IOC' || order.timeInForce === 'FOK') {
+            return this.finish(result);
+        }
+
+        // Join the back of the queue at our price
+        const ownSide = isBuy ? book.bids : book.asks;
+        let queueAhead = sizeAt(ownSide, limitPrice);
+        let levelSize = queueAhead;
+        let tradedAtLevel = 0;
+        result.queueAheadAtEntry = queueAhead;
+
+        for (const event of this.history.eventsBetween(order.symbol, arrival, expiresAt)) {
+            if (result.remainingQuantity <= 0) break;
+
+            if (event.kind === 'print') {
+                const print = event.print;
+                // Only aggressors on the other side trade against a resting order
+                if (print.side === (isBuy ? 'buy' : 'sell')) continue;
+
+                if (samePrice(print.price, limitPrice)) {
+                    tradedAtLevel += print.size;
+                    const consumedAhead = Math.min(queueAhead, print.size);
+                    queueAhead -= consumedAhead;
+                    const qty = Math.min(result.remainingQuantity, print.size - consumedAhead);
+                    if (qty > 0) this.addFill(result, order, qty, limitPrice, print.timestamp, 'MAKER');
+                } else if (crosses(print.price)) {
+                    // Traded through our price: the whole level was taken out
+                    this.addFill(result, order, result.remainingQuantity, limitPrice, print.timestamp, 'MAKER');
+                }
+                continue;
+            }
+
+            const snapshot = event.book;
+            const bookOpposite = isBuy ? snapshot.asks : snapshot.bids;
+            if (bookOpposite.length > 0 && crosses(bookOpposite[0].price)) {
+                // Opposite side moved onto our price; it would have matched us first
+                this.addFill(result, order, result.remainingQuantity, limitPrice, snapshot.timestamp, 'MAKER');
+                break;
+            }
+
+            const newLevelSize = sizeAt(isBuy ? snapshot.bids : snapshot.asks, limitPrice);
+            const expected = Math.max(0, levelSize - tradedAtLevel);
+            if (newLevelSize < expected && expected > 0) {
+                // Size that left without trading was cancelled, spread evenly through the queue
+                const cancelled = expected - newLevelSize;
+                queueAhead -= cancelled * (queueAhead / expected);
+            }
+            queueAhead = Math.max(0, Math.min(queueAhead, newLevelSize));
+            levelSize = newLevelSize;
+            tradedAtLevel = 0;
+        }
+
+        return this.finish(result);
+    }
+
+    private addFill(
+        result: QueueFillResult,
+        order: SimulatedOrder,
+        quantity: number,
+        price: number,
+        timestamp: number,
+        liquiditySide: 'MAKER' | 'TAKER'
+    ): void {
+        if (quantity <= 0) return;
+        const rate = liquiditySide === 'MAKER'
+            ? this.config.commissionRate - this.config.makerDiscount
+            : this.config.commissionRate;
+
+        result.fills.push({
+            fillId: uuidv4(),
+            orderId: order.orderId,
+            symbol: order.symbol,
+            side: order.side,
+            quantity,
+            price,
+            commission: price * quantity * Math.max(0, rate),
+            timestamp,
+            liquiditySide,
+            slippage: 0,
+        });
+        result.filledQuantity += quantity;
+        result.remainingQuantity = Math.max(0, order.quantity - result.filledQuantity);
+    }
+
+    private finish(result: QueueFillResult): QueueFillResult {
+        if (result.status === 'REJECTED') return result;
+        result.status = result.remainingQuantity <= 0
+            ? 'FILLED'
+            : result.filledQuantity > 0 ? 'PARTIAL' : 'UNFILLED';
+        return result;
+    }
+}
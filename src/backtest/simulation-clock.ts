@@ -307,10 +307,10 @@ export class TestClock implements IClock {
     }
 
     /**
-     * Reset clock to initial time
+     * Reset clock to the given time in ms (default: now)
      */
-    reset(): void {
-        this.currentTimeNs = Date.now() * 1_000_000;
+    reset(initialTime?: number): void {
+        this.currentTimeNs = (initialTime ?? Date.now()) * 1_000_000;
         this.timers.clear();
         this.alerts.clear();
         this.triggeredEvents = [];
@@ -0,0 +1,233 @@
+/**
+ * Walk-Forward Validation
+ *
+ * Splits a candle set into rolling (or anchored) train/test windows so a
+ * strategy is scored on data it was not fit to. Windows are cut on unique
+ * timestamps, so multi-symbol candle sets stay aligned in time.
+ */
+
+import { MarketData, BacktestResult, Strategy } from '../shared/types';
+
+export interface WalkForwardConfig {
+    /** Bars in each training (in-sample) window. Default: trainRatio of all bars */
+    trainBars?: number;
+    /** Bars in each test (out-of-sample) window. Default: remaining bars / folds */
+    testBars?: number;
+    /** Bars to roll forward between windows. Default: testBars */
+    stepBars?: number;
+    /** Number of test windows when testBars is not given. Default: 4 */
+    folds?: number;
+    /** Share of bars used for the first training window when trainBars is not given. Default: 0.5 */
+    trainRatio?: number;
+    /** Expanding train window starting at bar 0 instead of a rolling one */
+    anchored?: boolean;
+    /** Bars from the end of the train window replayed (without trading) to warm up indicators. Default: 50 */
+    warmupBars?: number;
+    /**
+     * Optional fitting step: return the strategy to use on the test window,
+     * e.g. with parameters optimized on the train window.
+     */
+    optimize?: (strategy: Strategy, trainCandles: MarketData[]) => Promise<Strategy> | Strategy;
+}
+
+export interface WalkForwardWindowBounds {
+    index: number;
+    trainStart: Date;
+    trainEnd: Date;
+    testStart: Date;
+    testEnd: Date;
+    trainCandles: MarketData[];
+    /** Warmup candles followed by test candles */
+    testCandles: MarketData[];
+}
+
+export interface WalkForwardSummary {
+    totalReturn: number;
+    sharpeRatio: number;
+    maxDrawdown: number;
+    winRate: number;
+    totalTrades: number;
+    profitFactor: number;
+}
+
+export interface WalkForwardWindow {
+    index: number;
+    trainPeriod: { start: Date; end: Date };
+    testPeriod: { start: Date; end: Date };
+    parameters: Record<string, any>;
+    inSample: WalkForwardSummary;
+    outOfSample: WalkForwardSummary;
+}
+
+export interface WalkForwardResult {
+    strategyId: string;
+    windows: WalkForwardWindow[];
+    inSample: WalkForwardSummary;
+    outOfSample: WalkForwardSummary;
+    /** In-sample minus out-of-sample; positive values mean the strategy degrades out of sample */
+    gap: {
+        sharpeRatio: number;
+        totalReturn: number;
+        winRate: number;
+        maxDrawdown: number;
+    };
+    /** Out-of-sample Sharpe / in-sample Sharpe (1 = no degradation, 0 when in-sample Sharpe <= 0) */
+    efficiency: number;
+    /** Share of test windows that ended profitable (0-1) */
+    profitableWindows: number;
+    /** Score used by promotion gates: the aggregate out-of-sample Sharpe ratio */
+    oosScore: number;
+}
+
+/**
+ * Cut candles into walk-forward windows. Returns an empty list when there is
+ * not enough data for at least one train + test window.
+ */
+export function buildWalkForwardWindows(candles: MarketData[], config: WalkForwardConfig = {}): WalkForwardWindowBounds[] {
+    const times = Array.from(new Set(candles.map(c => c.timestamp.getTime()))).sort((a, b) => a - b);
+    const totalBars = times.length;
+
+    const folds = Math.max(1, config.folds ?? 4);
+    const trainBars = Math.max(1, config.trainBars ?? Math.floor(totalBars * (config.trainRatio ?? 0.5)));
+    const testBars = Math.max(1, config.testBars ?? Math.floor((totalBars - trainBars) / folds));
+    const stepBars = Math.max(1, config.stepBars ?? testBars);
+    const warmupBars = Math.max(0, config.warmupBars ?? 50);
+
+    if (trainBars + testBars > totalBars) return [];
+
+    const inRange = (fromIdx: number, toIdx: number): MarketData[] => {
+        const from = times[fromIdx];
+        const to = times[toIdx];
+        return candles.filter(c => {
+            const t = c.timestamp.getTime();
+            return t >= from && t <= to;
+        });
+    };
+
+    const windows: WalkForwardWindowBounds[] = [];
+    for (let testStartIdx = trainBars; testStartIdx + testBars <= totalBars; testStartIdx += stepBars) {
+        const trainStartIdx = config.anchored ? 0 : testStartIdx - trainBars;
+        const trainEndIdx = testStartIdx - 1;
+        const testEndIdx = testStartIdx + testBars - 1;
+        const warmupStartIdx = Math.max(trainStartIdx, testStartIdx - warmupBars);
+
+        windows.push({
+            index: windows.length,
+            trainStart: new Date(times[trainStartIdx]),
+            trainEnd: new Date(times[trainEndIdx]),
+            testStart: new Date(times[testStartIdx]),
+            testEnd: new Date(times[testEndIdx]),
+            trainCandles: inRange(trainStartIdx, trainEndIdx),
+            testCandles: inRange(warmupStartIdx, testEndIdx),
+        });
+    }
+
+    return windows;
+}
+
+/**
+ * Summarize a single backtest result in the walk-forward shape.
+ */
+export function summarizeResult(result: BacktestResult): WalkForwardSummary {
+    return {
+        totalReturn: result.totalReturn,
+        sharpeRatio: result.sharpeRatio,
+        maxDrawdown: result.maxDrawdown,
+        winRate: result.winRate,
+        totalTrades: result.totalTrades,
+        profitFactor: result.profitFactor,
+    };
+}
+
+/**
+ * Aggregate consecutive window results as if they were one stitched run:
+ * returns compound, drawdown is measured on the stitched equity curve and
+ * Sharpe is the trade-weighted mean of the window Sharpe ratios.
+ */
+export function aggregateResults(results: BacktestResult[]): WalkForwardSummary {
+    if (results.length === 0) {
+        return { totalReturn: 0, sharpeRatio: 0, maxDrawdown: 0, winRate: 0, totalTrades: 0, profitFactor: 0 };
+    }
+
+    let equity = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    let wins = 0;
+    let grossWin = 0;
+    let grossLoss = 0;
+    let totalTrades = 0;
+    let weightedSharpe = 0;
+
+    for (const result of results) {
+        const startEquity = equity;
+        const initialCapital = result.initialCapital || 1;
+
+        for (const trade of result.trades) {
+            if (trade.entryExit !== 'EXIT') continue;
+            const pnl = trade.pnl || 0;
+            equity += startEquity * (pnl - (trade.fee || 0)) / initialCapital;
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, peak > 0 ? ((peak - equity) / peak) * 100 : 0);
+            if (pnl > 0) {
+                wins++;
+                grossWin += pnl;
+            } else if (pnl < 0) {
+                grossLoss += -pnl;
+            }
+        }
+
+        // Re-anchor on the reported final capital so funding/entry fees are included
+        equity = startEquity * (result.finalCapital / initialCapital);
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, peak > 0 ? ((peak - equity) / peak) * 100 : 0);
+
+        totalTrades += result.totalTrades;
+        weightedSharpe += result.sharpeRatio * result.totalTrades;
+    }
+
+    return {
+        totalReturn: (equity - 1) * 100,
+        sharpeRatio: totalTrades > 0 ? weightedSharpe / totalTrades : 0,
+        maxDrawdown,
+        winRate: totalTrades > 0 ? (wins / totalTrades) * 100 : 0,
+        totalTrades,
+        profitFactor: grossLoss > 0 ? grossWin / grossLoss : grossWin > 0 ? 999 : 0,
+    };
+}
+
+/**
+ * Build the final walk-forward report from per-window in-sample and
+ * out-of-sample results.
+ */
+export function buildWalkForwardResult(
+    strategyId: string,
+    windows: WalkForwardWindowBounds[],
+    runs: Array<{ parameters: Record<string, any>; inSample: BacktestResult; outOfSample: BacktestResult }>
+): WalkForwardResult {
+    const inSample = aggregateResults(runs.map(r => r.inSample));
+    const outOfSample = aggregateResults(runs.map(r => r.outOfSample));
+    const profitable = runs.filter(r => r.outOfSample.finalCapital > r.outOfSample.initialCapital).length;
+
+    return {
+        strategyId,
+        windows: runs.map((run, i) => ({
+            index: windows[i].index,
+            trainPeriod: { start: windows[i].trainStart, end: windows[i].trainEnd },
+            testPeriod: { start: windows[i].testStart, end: windows[i].testEnd },
+            parameters: run.parameters,
+            inSample: summarizeResult(run.inSample),
+            outOfSample: summarizeResult(run.outOfSample),
+        })),
+        inSample,
+        outOfSample,
+        gap: {
+            sharpeRatio: inSample.sharpeRatio - outOfSample.sharpeRatio,
+            totalReturn: inSample.totalReturn - outOfSample.totalReturn,
+            winRate: inSample.winRate - outOfSample.winRate,
+            maxDrawdown: inSample.maxDrawdown - outOfSample.maxDrawdown,
+        },
+        efficiency: inSample.sharpeRatio > 0 ? outOfSample.sharpeRatio / inSample.sharpeRatio : 0,
+        profitableWindows: runs.length > 0 ? profitable / runs.length : 0,
+        oosScore: outOfSample.sharpeRatio,
+    };
+}
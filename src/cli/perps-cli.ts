@@ -648,7 +648,7 @@ program
 // perps backtest
 // ===========================================================================
 
-program
+const backtestCmd = program
   .command('backtest')
   .description('Show backtest results')
   .option('--strategy <name>', 'Filter by strategy name', 'all')
@@ -685,6 +685,128 @@ program
     } catch (e) { await handleError(e); }
   });
 
+/** Parse `name=min:max:step` or `name=v1,v2,...` into a sweep parameter range */
+function parseSweepParam(spec: string, ranges: Record<string, any> = {}): Record<string, any> {
+  const match = /^([A-Za-z_][\w]*)=(.+)$/.exec(spec.trim());
+  if (!match) {
+    throw new Error(`Invalid --param "${spec}" (expected name=min:max:step or name=v1,v2,...)`);
+  }
+  const [, name, value] = match;
+  const parts = value.split(value.includes(':') ? ':' : ',').map(Number);
+  if (parts.some(n => !Number.isFinite(n)) || (value.includes(':') && parts.length !== 3)) {
+    throw new Error(`Invalid --param "${spec}" (expected name=min:max:step or name=v1,v2,...)`);
+  }
+  return { ...ranges, [name]: value.includes(':') ? { min: parts[0], max: parts[1], step: parts[2] } : parts };
+}
+
+function formatMetric(value: number | null | undefined): string {
+  return value == null ? chalk.gray('·') : value.toFixed(2);
+}
+
+function printSweepResults(data: any): void {
+  const { progress } = data;
+  console.log();
+  console.log(chalk.bold(`  Sweep ${data.sweepId}  ${data.strategyName || data.strategyId}`));
+  console.log(chalk.gray(`  ${data.status}  ${progress.completed}/${progress.total} done, ${progress.failed} failed  ·  metric: ${data.metric}`));
+  console.log();
+
+  const names = Object.keys(data.parameters || {});
+  const rows = [...(data.matrix?.rows || [])]
+    .filter((r: any) => r.mean != null)
+    .sort((a: any, b: any) => data.metric === 'maxDrawdown' ? a.mean - b.mean : b.mean - a.mean)
+    .slice(0, 15);
+  printTable(
+    [...names, ...(data.matrix?.columns || []), 'Mean'],
+    rows.map((r: any) => [
+      ...names.map(n => String(r.parameters[n])),
+      ...r.values.map(formatMetric),
+      chalk.bold(formatMetric(r.mean)),
+    ])
+  );
+
+  for (const heatmap of (data.heatmaps || []).slice(0, 1)) {
+    console.log();
+    console.log(chalk.bold(`  ${heatmap.y} (rows) × ${heatmap.x} (columns)`));
+    printTable(
+      [heatmap.y, ...heatmap.xValues.map(String)],
+      heatmap.yValues.map((y: number, i: number) => [String(y), ...heatmap.values[i].map(formatMetric)])
+    );
+  }
+
+  if ((data.sensitivity || []).length > 0) {
+    console.log();
+    console.log(chalk.bold('  Sensitivity'));
+    printTable(
+      ['Parameter', 'Spread', 'Mean by value'],
+      data.sensitivity.map((s: any) => [
+        s.parameter,
+        formatMetric(s.spread),
+        s.values.map((v: number, i: number) => `${v}:${formatMetric(s.mean[i])}`).join('  '),
+      ])
+    );
+  }
+  console.log();
+}
+
+backtestCmd
+  .command('sweep <strategyId>')
+  .description('Backtest a grid of parameter values and show the results matrix')
+  .option('--param <spec>', 'Parameter range, name=min:max:step or name=v1,v2 (repeatable)', parseSweepParam)
+  .option('--symbols <list>', 'Comma-separated symbols (default: the strategy\'s)')
+  .option('--timeframes <list>', 'Comma-separated timeframes (default: the strategy\'s)')
+  .option('--days <n>', 'Days of history per backtest', '30')
+  .option('--metric <name>', 'sharpeRatio, totalReturn, maxDrawdown, winRate or totalTrades', 'sharpeRatio')
+  .option('--wait', 'Poll until every backtest has finished, then print the results', false)
+  .action(async function (this: Command, strategyId: string) {
+    try {
+      // --json belongs to `backtest` as well, so read it with the parent's options
+      const opts = this.optsWithGlobals();
+      if (!opts.param) {
+        throw new Error('At least one --param is required');
+      }
+      const split = (list?: string) => list ? list.split(',').map(v => v.trim()).filter(Boolean) : undefined;
+
+      const data = await apiPost(this.parent!, '/backtest/sweep', {
+        strategyId,
+        parameters: opts.param,
+        symbols: split(opts.symbols),
+        timeframes: split(opts.timeframes),
+        days: Number(opts.days),
+        metric: opts.metric,
+      });
+
+      if (!opts.wait) {
+        if (opts.json) { printJson(data); return; }
+        console.log(chalk.green(`\n  ✓ ${data.message}`));
+        console.log(chalk.gray(`    ${data.combinations} combinations × markets = ${data.jobs} backtests`));
+        console.log(chalk.gray(`    perps backtest sweep-results ${data.sweepId}\n`));
+        return;
+      }
+
+      let results = await apiGet(this.parent!, `/backtest/sweep/${data.sweepId}`);
+      while (results.status !== 'COMPLETED') {
+        if (!opts.json) {
+          process.stdout.write(chalk.gray(`\r  ${results.progress.completed + results.progress.failed}/${results.progress.total} backtests finished`));
+        }
+        await new Promise(resolve => setTimeout(resolve, 5000));
+        results = await apiGet(this.parent!, `/backtest/sweep/${data.sweepId}`);
+      }
+      if (opts.json) { printJson(results); return; }
+      printSweepResults(results);
+    } catch (e) { await handleError(e); }
+  });
+
+backtestCmd
+  .command('sweep-results <sweepId>')
+  .description('Show progress, results matrix and heatmap of a parameter sweep')
+  .action(async function (this: Command, sweepId: string) {
+    try {
+      const data = await apiGet(this.parent!, `/backtest/sweep/${sweepId}`);
+      if (this.optsWithGlobals().json) { printJson(data); return; }
+      printSweepResults(data);
+    } catch (e) { await handleError(e); }
+  });
+
 // ===========================================================================
 // perps research
 // ===========================================================================
@@ -876,6 +998,248 @@ program
     } catch (e) { await handleError(e); }
   });
 
+// ===========================================================================
+// perps dlq
+// ===========================================================================
+
+const dlqCmd = program.command('dlq').alias('dead-letters').description('Inspect, replay and purge message bus dead letters');
+
+/** Request body selecting dead letters by id arguments or filters */
+function deadLetterSelection(ids: string[], opts: { channel?: string; subscriber?: string; all?: boolean }): Record<string, any> {
+  if (ids.length === 0 && !opts.channel && !opts.subscriber && !opts.all) {
+    throw new Error('Give dead letter ids, --channel, --subscriber or --all');
+  }
+  return {
+    ...(ids.length > 0 && { ids: ids.map(Number) }),
+    ...(opts.channel && { channel: opts.channel }),
+    ...(opts.subscriber && { subscriber: opts.subscriber }),
+    ...(opts.all && { all: true }),
+  };
+}
+
+dlqCmd
+  .command('list')
+  .description('List dead letters, newest first')
+  .option('--channel <channel>', 'Filter by channel')
+  .option('--subscriber <name>', 'Filter by subscriber')
+  .option('--status <status>', 'PENDING, REPLAY_REQUESTED or REPLAYED')
+  .option('--limit <n>', 'Number of results', '50')
+  .option('--json', 'Output raw JSON', false)
+  .action(async function (this: Command) {
+    try {
+      const { channel, subscriber, status, limit } = this.opts();
+      const data = await apiGet(this.parent!, '/dead-letters', { channel, subscriber, status, limit });
+      if (this.opts().json) { printJson(data); return; }
+
+      const rows = data.deadLetters || [];
+      console.log();
+      console.log(chalk.bold(`  Dead Letters  (${rows.length} of ${data.total ?? rows.length})`));
+      console.log();
+      printTable(
+        ['ID', 'Channel', 'Subscriber', 'Attempts', 'Status', 'Last Failure', 'Error'],
+        rows.map((d: any) => [
+          String(d.id),
+          chalk.white.bold(d.channel),
+          d.subscriber,
+          String(d.attempts),
+          d.status === 'PENDING' ? chalk.yellow(d.status) : chalk.gray(d.status),
+          new Date(d.lastFailedAt).toLocaleString(),
+          chalk.red(String(d.error).slice(0, 50)),
+        ])
+      );
+      console.log();
+    } catch (e) { await handleError(e); }
+  });
+
+dlqCmd
+  .command('show <id>')
+  .description('Show one dead letter with its message payload')
+  .option('--json', 'Output raw JSON', false)
+  .action(async function (this: Command, id: string) {
+    try {
+      const data = await apiGet(this.parent!, `/dead-letters/${id}`);
+      if (this.opts().json) { printJson(data); return; }
+
+      console.log();
+      console.log(chalk.bold(`  Dead Letter #${data.id}`));
+      console.log(chalk.gray('  ' + '─'.repeat(48)));
+      console.log(chalk.cyan('  Channel:     ') + chalk.white(data.channel));
+      console.log(chalk.cyan('  Subscriber:  ') + chalk.white(data.subscriber));
+      console.log(chalk.cyan('  Status:      ') + chalk.white(data.status));
+      console.log(chalk.cyan('  Attempts:    ') + chalk.white(String(data.attempts)));
+      console.log(chalk.cyan('  First fail:  ') + chalk.white(data.firstFailedAt));
+      console.log(chalk.cyan('  Last fail:   ') + chalk.white(data.lastFailedAt));
+      console.log(chalk.cyan('  Error:       ') + chalk.red(data.error));
+      console.log(chalk.cyan('  Message:'));
+      console.log(JSON.stringify(data.message, null, 2).split('\n').map(line => `    ${line}`).join('\n'));
+      console.log();
+    } catch (e) { await handleError(e); }
+  });
+
+dlqCmd
+  .command('replay [ids...]')
+  .description('Redeliver dead letters to the subscriber that failed them')
+  .option('--channel <channel>', 'Replay every pending dead letter on a channel')
+  .option('--subscriber <name>', 'Replay every pending dead letter of a subscriber')
+  .option('--all', 'Replay every pending dead letter', false)
+  .option('--json', 'Output raw JSON', false)
+  .action(async function (this: Command, ids: string[]) {
+    try {
+      const data = await apiPost(this.parent!, '/dead-letters/replay', deadLetterSelection(ids, this.opts()));
+      if (this.opts().json) { printJson(data); return; }
+
+      console.log();
+      console.log(chalk.green(`  ✓ ${data.message}`));
+      if (data.replayed || data.failed) {
+        console.log(chalk.gray(`    ${data.replayed} replayed now, ${data.failed} failed again`));
+      }
+      console.log();
+    } catch (e) { await handleError(e); }
+  });
+
+dlqCmd
+  .command('purge [ids...]')
+  .description('Delete dead letters')
+  .option('--channel <channel>', 'Purge a channel')
+  .option('--subscriber <name>', 'Purge a subscriber')
+  .option('--status <status>', 'Only rows in this status (e.g. REPLAYED)')
+  .option('--all', 'Purge everything matching the other filters', false)
+  .option('--json', 'Output raw JSON', false)
+  .action(async function (this: Command, ids: string[]) {
+    try {
+      const opts = this.opts();
+      const data = await apiPost(this.parent!, '/dead-letters/purge', {
+        ...deadLetterSelection(ids, opts),
+        ...(opts.status && { status: opts.status }),
+      });
+      if (opts.json) { printJson(data); return; }
+
+      console.log();
+      console.log(chalk.green(`  ✓ ${data.message}`));
+      console.log();
+    } catch (e) { await handleError(e); }
+  });
+
+dlqCmd
+  .command('stats')
+  .description('Dead letter counts per channel and growth')
+  .option('--json', 'Output raw JSON', false)
+  .action(async function (this: Command) {
+    try {
+      const data = await apiGet(this.parent!, '/dead-letters/stats');
+      if (this.opts().json) { printJson(data); return; }
+
+      const growth = data.addedLastHour >= data.alertPerHour ? chalk.red.bold : chalk.white;
+      console.log();
+      console.log(chalk.bold('  Dead Letter Queue'));
+      console.log(chalk.gray('  ' + '─'.repeat(48)));
+      console.log(chalk.cyan('  Pending:          ') + chalk.white(String(data.pending)));
+      console.log(chalk.cyan('  Replay requested: ') + chalk.white(String(data.replayRequested)));
+      console.log(chalk.cyan('  Replayed:         ') + chalk.gray(String(data.replayed)));
+      console.log(chalk.cyan('  Added last hour:  ') + growth(String(data.addedLastHour)) + chalk.gray(`  (alert at ${data.alertPerHour})`));
+      console.log(chalk.cyan('  Added last 24h:   ') + chalk.white(String(data.addedLast24h)));
+      console.log(chalk.cyan('  Oldest pending:   ') + chalk.white(data.oldestPendingAt || '-'));
+      const channels = Object.entries(data.byChannel || {});
+      if (channels.length > 0) {
+        console.log();
+        printTable(['Channel', 'Unreplayed'], channels.map(([channel, n]) => [channel, String(n)]));
+      }
+      console.log();
+    } catch (e) { await handleError(e); }
+  });
+
+// ===========================================================================
+// perps shadow
+// ===========================================================================
+
+const shadowCmd = program.command('shadow').description('Compare live fills with the paper fills recorded in shadow mode');
+
+function formatBps(val: number): string {
+  const text = `${val >= 0 ? '+' : ''}${val.toFixed(1)}bp`;
+  return val > 0 ? chalk.red(text) : val < 0 ? chalk.green(text) : chalk.gray(text);
+}
+
+function shadowLegCell(leg: any): string {
+  if (leg.status !== 'FILLED') {
+    const color = leg.status === 'WORKING' ? chalk.yellow : chalk.red;
+    return color(leg.status) + (leg.error ? chalk.gray(` ${String(leg.error).slice(0, 30)}`) : '');
+  }
+  return `${leg.size} @ ${leg.price} ` + formatBps(leg.slippageBps);
+}
+
+shadowCmd
+  .command('report')
+  .description('Slippage, missed fills and PnL divergence per strategy')
+  .option('--strategy <id>', 'Only this strategy')
+  .option('--symbol <symbol>', 'Only this symbol')
+  .option('--since <hours|date>', 'Hours back or an ISO date')
+  .option('--json', 'Output raw JSON', false)
+  .action(async function (this: Command) {
+    try {
+      const { strategy, symbol, since } = this.opts();
+      const data = await apiGet(this.parent!, '/shadow/report', { strategyId: strategy, symbol, since });
+      if (this.opts().json) { printJson(data); return; }
+
+      console.log();
+      console.log(chalk.bold('  Shadow Trading') + (data.enabled ? chalk.green('  (active)') : chalk.gray('  (inactive)')));
+      if (data.since) console.log(chalk.gray(`  Since ${new Date(data.since).toLocaleString()}`));
+      console.log();
+      const rows = [...data.strategies, { strategyId: chalk.bold('TOTAL'), ...data.totals }];
+      printTable(
+        ['Strategy', 'Pairs', 'Both', 'Live Missed', 'Paper Missed', 'Working', 'Live Slip', 'Paper Slip', 'Slip Div', 'Live PnL', 'Paper PnL', 'PnL Div'],
+        rows.map((r: any) => [
+          r.strategyId,
+          String(r.pairs),
+          String(r.bothFilled),
+          r.liveMissed > 0 ? chalk.red(String(r.liveMissed)) : '0',
+          r.paperMissed > 0 ? chalk.yellow(String(r.paperMissed)) : '0',
+          String(r.working),
+          formatBps(r.avgLiveSlippageBps),
+          formatBps(r.avgPaperSlippageBps),
+          formatBps(r.slippageDivergenceBps),
+          formatPnl(r.livePnL),
+          formatPnl(r.paperPnL),
+          formatPnl(r.pnlDivergence),
+        ])
+      );
+      console.log();
+    } catch (e) { await handleError(e); }
+  });
+
+shadowCmd
+  .command('fills')
+  .description('List recorded live/paper fill pairs, newest first')
+  .option('--strategy <id>', 'Only this strategy')
+  .option('--symbol <symbol>', 'Only this symbol')
+  .option('--since <hours|date>', 'Hours back or an ISO date')
+  .option('--limit <n>', 'Number of results', '50')
+  .option('--json', 'Output raw JSON', false)
+  .action(async function (this: Command) {
+    try {
+      const { strategy, symbol, since, limit } = this.opts();
+      const data = await apiGet(this.parent!, '/shadow/fills', { strategyId: strategy, symbol, since, limit });
+      if (this.opts().json) { printJson(data); return; }
+
+      console.log();
+      console.log(chalk.bold(`  Shadow Fills  (${data.total})`));
+      console.log();
+      printTable(
+        ['Time', 'Strategy', 'Symbol', 'Side', 'Signal', 'Venue', 'Live', 'Paper'],
+        (data.fills || []).map((f: any) => [
+          new Date(f.createdAt).toLocaleString(),
+          f.strategyId,
+          chalk.white.bold(f.symbol),
+          f.side === 'BUY' ? chalk.green(f.side) : chalk.red(f.side),
+          `${f.requestedSize} @ ${f.signalPrice}`,
+          f.venue,
+          shadowLegCell(f.live),
+          shadowLegCell(f.paper),
+        ])
+      );
+      console.log();
+    } catch (e) { await handleError(e); }
+  });
+
 // ===========================================================================
 // Parse
 // ===========================================================================
@@ -12,6 +12,28 @@ import {
   PredictionPosition,
   NewsMarketLink,
 } from '../shared/types';
+import type {
+  ParameterRange,
+  SweepMetric,
+  SweepCell,
+  SweepMatrix,
+  SweepMatrixRow,
+  SweepHeatmap,
+  ParameterSensitivity,
+} from '../backtest/parameter-sweep';
+import type {
+  ShadowLeg,
+  ShadowStrategyReport,
+} from '../execution-engine/shadow-trading';
+import type {
+  TcaGroupBy,
+  TcaGroupSummary,
+  TcaOrder,
+} from '../execution-engine/execution-tca';
+import type { PortfolioRiskReport } from '../risk-manager/portfolio-var';
+import type { PortfolioBacktestResult } from '../backtest/portfolio';
+import type { SizingMode } from '../risk-manager/position-sizing';
+import type { SizingPreview } from '../risk-manager/risk-manager';
 
 // -----------------------------------------------------------------------------
 // Shared
@@ -39,6 +61,11 @@ export interface SystemStatusResponse {
   cache: {
     connected: boolean;
   };
+  /** Failed message bus deliveries awaiting replay, and how many were added in the last hour */
+  deadLetters?: {
+    pending: number;
+    addedLastHour: number;
+  };
   errors: string[];
 }
 
@@ -377,6 +404,8 @@ export interface RiskResponse {
   riskScore: number;
   riskLevel: 'LOW' | 'MEDIUM' | 'HIGH' | 'CRITICAL';
   warnings: string[];
+  /** VaR/CVaR, correlations and stress tests of the open positions (absent without an engine) */
+  portfolioVar?: PortfolioRiskReport;
 }
 
 export interface CircuitBreakerInfo {
@@ -395,15 +424,44 @@ export interface RiskLimitsRequest {
   dailyLossLimit?: number;
   consecutiveLossLimit?: number;
   maxTradesPerDay?: number;
+  /** Net exposure cap per symbol category, fraction of equity (0 disables) */
+  maxCategoryExposure?: number;
+  /** Per-category caps merged over the current ones; null removes a category's override */
+  categoryExposureLimits?: Record<string, number | null>;
+  /** Net exposure cap per correlation cluster, fraction of equity (0 disables) */
+  maxClusterExposure?: number;
+  /** Correlation (0-1) at or above which symbols share a cluster */
+  clusterCorrelation?: number;
 }
 
+export type RiskLimitValue = number | Record<string, number>;
+
 export interface RiskLimitsResponse {
   success: boolean;
-  previousLimits: Record<string, number>;
-  newLimits: Record<string, number>;
+  previousLimits: Record<string, RiskLimitValue>;
+  newLimits: Record<string, RiskLimitValue>;
   message: string;
 }
 
+export interface SizingPreviewRequest {
+  symbol: string;
+  side: 'BUY' | 'SELL';
+  price: number;
+  /** 0-1, default 0.7 */
+  confidence?: number;
+  /** Picks up the strategy's sizing override */
+  strategyId?: string;
+  /** Force a mode instead of the configured one */
+  mode?: SizingMode;
+  /** Sizes against this equity instead of the live portfolio */
+  equity?: number;
+}
+
+export interface SizingPreviewResponse extends SizingPreview {
+  equity: number;
+  timestamp: string;
+}
+
 export interface EmergencyStopResponse {
   success: boolean;
   message: string;
@@ -470,11 +528,37 @@ export interface BacktestResultsResponse {
   profitFactor: number;
   trades: BacktestTrade[];
   equityCurve?: { timestamp: string; equity: number }[];
+  /** Net funding received over the backtest (negative when paid), from recorded rates where available */
+  fundingPnl?: number;
+  monteCarlo?: BacktestMonteCarlo;
   error?: string;
   createdAt: string;
   completedAt?: string;
 }
 
+export interface BacktestConfidenceInterval {
+  lower: number;
+  median: number;
+  upper: number;
+  mean: number;
+}
+
+export interface BacktestMonteCarlo {
+  method: 'SHUFFLE' | 'BOOTSTRAP';
+  simulations: number;
+  roundTrips: number;
+  seed: number;
+  confidenceLevel: number;
+  initialCapital: number;
+  finalEquity: BacktestConfidenceInterval;
+  totalReturn: BacktestConfidenceInterval;
+  maxDrawdown: BacktestConfidenceInterval;
+  riskOfRuin: number;
+  ruinThreshold: number;
+  probabilityOfLoss: number;
+  originalPercentile: number;
+}
+
 export interface BacktestHistoryItem {
   id: string;
   strategyId: string;
@@ -497,6 +581,98 @@ export interface BacktestHistoryResponse {
   timestamp: string;
 }
 
+export interface BacktestSweepRequest {
+  strategyId: string;
+  /** Per-parameter values: an explicit list or an inclusive {min, max, step} range */
+  parameters: Record<string, ParameterRange>;
+  /** Defaults to the strategy's symbols */
+  symbols?: string[];
+  /** Default: ['1h'] */
+  timeframes?: string[];
+  /** Days of history per backtest. Default: 30 */
+  days?: number;
+  /** Metric used for the matrix, heatmaps and best row. Default: sharpeRatio */
+  metric?: SweepMetric;
+}
+
+export interface BacktestSweepResponse {
+  success: boolean;
+  sweepId: string;
+  strategyId: string;
+  combinations: number;
+  jobs: number;
+  message: string;
+  timestamp: string;
+}
+
+export interface BacktestSweepResultsResponse {
+  sweepId: string;
+  strategyId: string;
+  strategyName: string;
+  metric: SweepMetric;
+  status: 'RUNNING' | 'COMPLETED';
+  progress: {
+    total: number;
+    completed: number;
+    failed: number;
+    pending: number;
+  };
+  /** Swept values per parameter */
+  parameters: Record<string, number[]>;
+  symbols: string[];
+  timeframes: string[];
+  days: number;
+  cells: SweepCell[];
+  matrix: SweepMatrix;
+  heatmaps: SweepHeatmap[];
+  sensitivity: ParameterSensitivity[];
+  best: SweepMatrixRow | null;
+  createdAt: string;
+  timestamp: string;
+}
+
+export interface BacktestPortfolioLegRequest {
+  strategyId: string;
+  symbol: string;
+  /** Default: the strategy's maxLeverage, capped at the asset max */
+  leverage?: number;
+}
+
+export interface BacktestPortfolioRequest {
+  /** One leg per symbol, all trading one cross-margined account */
+  legs: BacktestPortfolioLegRequest[];
+  /** Default: '1h' */
+  timeframe?: string;
+  /** Days of history. Default: 30 */
+  days?: number;
+  /** Default: 10000 */
+  initialCapital?: number;
+  /** Exchange max leverage per symbol; sets the maintenance margin rate */
+  maxLeverage?: Record<string, number>;
+  /** Default: 20 */
+  defaultMaxLeverage?: number;
+  /** Extra slippage on forced liquidation fills. Default: 50 */
+  liquidationSlippageBps?: number;
+}
+
+export interface BacktestPortfolioResponse {
+  success: boolean;
+  jobId: string;
+  symbols: string[];
+  message: string;
+  timestamp: string;
+}
+
+export interface BacktestPortfolioResultsResponse {
+  jobId: string;
+  status: 'PENDING' | 'RUNNING' | 'COMPLETED' | 'FAILED';
+  symbols: string[];
+  /** Present once the job has completed */
+  result?: PortfolioBacktestResult;
+  error?: string;
+  timestamp: string;
+}
+
 // -----------------------------------------------------------------------------
 // Historical Data Queries
 // -----------------------------------------------------------------------------
@@ -628,6 +804,8 @@ export interface WebhookConfig {
   createdAt: string;
   lastTriggered?: string;
   description?: string;
+  consecutiveFailures?: number;
+  disabledReason?: string;
 }
 
 export interface WebhookRegisterRequest {
@@ -655,6 +833,175 @@ export interface WebhooksListResponse {
   timestamp: string;
 }
 
+export type WebhookDeliveryStatus = 'pending' | 'success' | 'failed';
+
+export interface WebhookDelivery {
+  id: string;
+  webhookId: string;
+  event: WebhookEvent;
+  channel: string;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  responseStatus: number | null;
+  error: string | null;
+  payload: Record<string, unknown>;
+  createdAt: string;
+  lastAttemptAt: string | null;
+  nextAttemptAt: string | null;
+  deliveredAt: string | null;
+  replayOf: string | null;
+}
+
+export interface WebhookDeliveriesResponse {
+  webhookId: string;
+  deliveries: WebhookDelivery[];
+  total: number;
+  timestamp: string;
+}
+
+export interface WebhookReplayResponse {
+  success: boolean;
+  delivery: WebhookDelivery;
+  message: string;
+}
+
+// -----------------------------------------------------------------------------
+// Dead Letter Queue
+// -----------------------------------------------------------------------------
+
+export type DeadLetterStatus = 'PENDING' | 'REPLAY_REQUESTED' | 'REPLAYED';
+
+export interface DeadLetterEntry {
+  id: number;
+  messageId: string;
+  channel: string;
+  subscriber: string;
+  error: string;
+  attempts: number;
+  status: DeadLetterStatus;
+  message: {
+    id: string;
+    type: string;
+    source: string;
+    timestamp: string;
+    data: unknown;
+    correlationId?: string;
+    causationId?: string;
+    metadata?: Record<string, any>;
+  };
+  firstFailedAt: string;
+  lastFailedAt: string;
+  replayRequestedAt?: string;
+  replayedAt?: string;
+}
+
+export interface DeadLettersResponse {
+  deadLetters: DeadLetterEntry[];
+  total: number;
+  timestamp: string;
+}
+
+export interface DeadLetterStatsResponse {
+  total: number;
+  pending: number;
+  replayRequested: number;
+  replayed: number;
+  byChannel: Record<string, number>;
+  addedLastHour: number;
+  addedLast24h: number;
+  oldestPendingAt: string | null;
+  /** addedLastHour at or above which /status reports DEGRADED */
+  alertPerHour: number;
+  timestamp: string;
+}
+
+/** Select by ids, or by channel/subscriber; `all: true` is required to match everything */
+export interface DeadLetterSelectRequest {
+  ids?: number[];
+  channel?: string;
+  subscriber?: string;
+  all?: boolean;
+}
+
+export interface DeadLetterReplayResponse {
+  success: boolean;
+  /** Dead letters marked for replay */
+  requested: number;
+  /** Replayed immediately because their subscriber runs in the API process */
+  replayed: number;
+  failed: number;
+  message: string;
+  timestamp: string;
+}
+
+export interface DeadLetterPurgeRequest extends DeadLetterSelectRequest {
+  status?: DeadLetterStatus;
+}
+
+export interface DeadLetterPurgeResponse {
+  success: boolean;
+  purged: number;
+  message: string;
+  timestamp: string;
+}
+
+// -----------------------------------------------------------------------------
+// Shadow Trading
+// -----------------------------------------------------------------------------
+
+export interface ShadowReportResponse {
+  /** SHADOW_TRADING is on for this process */
+  enabled: boolean;
+  since: string | null;
+  strategies: ShadowStrategyReport[];
+  totals: Omit<ShadowStrategyReport, 'strategyId'>;
+  timestamp: string;
+}
+
+export interface ShadowFillEntry {
+  id: number;
+  strategyId: string;
+  symbol: string;
+  side: 'BUY' | 'SELL';
+  venue: 'LIVE' | 'TESTNET';
+  signalPrice: number;
+  requestedSize: number;
+  live: ShadowLeg;
+  paper: ShadowLeg;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ShadowFillsResponse {
+  fills: ShadowFillEntry[];
+  total: number;
+  timestamp: string;
+}
+
+// -----------------------------------------------------------------------------
+// Execution Quality (TCA)
+// -----------------------------------------------------------------------------
+
+export interface TcaSummaryResponse {
+  groupBy: TcaGroupBy;
+  since: string | null;
+  groups: TcaGroupSummary[];
+  totals: TcaGroupSummary;
+  timestamp: string;
+}
+
+export interface TcaOrderEntry extends Omit<TcaOrder, 'decisionAt' | 'submittedAt' | 'filledAt'> {
+  decisionAt: string;
+  submittedAt: string;
+  filledAt: string | null;
+}
+
+export interface TcaOrdersResponse {
+  orders: TcaOrderEntry[];
+  total: number;
+  timestamp: string;
+}
+
 // -----------------------------------------------------------------------------
 // Generic error response
 // -----------------------------------------------------------------------------
@@ -20,6 +20,7 @@ import pumpfunStore from '../data/pumpfun-store';
 import newsHeatmapService from './news-heatmap-service';
 import messageBus, { Channel } from '../shared/message-bus';
 import redisCache from '../shared/redis-cache';
+import webhookDispatcher from './webhook-dispatcher';
 import {
   restoreAgents,
   ensureAgent,
@@ -33,6 +34,7 @@ import {
   stopAllAgents,
   close as closeAgentRegistry,
 } from './agent-registry';
+import type { Portfolio } from '../shared/types';
 import type {
   AgentName,
   AgentStatus,
@@ -60,12 +62,21 @@ import type {
   EvolutionResponse,
   RiskResponse,
   RiskLimitsResponse,
+  RiskLimitValue,
+  SizingPreviewRequest,
+  SizingPreviewResponse,
   EmergencyStopResponse,
   AgentApiError,
   BacktestRunRequest,
   BacktestRunResponse,
   BacktestResultsResponse,
   BacktestHistoryResponse,
+  BacktestSweepRequest,
+  BacktestSweepResponse,
+  BacktestSweepResultsResponse,
+  BacktestPortfolioRequest,
+  BacktestPortfolioResponse,
+  BacktestPortfolioResultsResponse,
   CandlesResponse,
   TradesResponse,
   FundingRatesResponse,
@@ -80,7 +91,36 @@ import type {
   WebhookRegisterResponse,
   WebhookDeleteResponse,
   WebhooksListResponse,
+  WebhookDeliveryStatus,
+  WebhookDeliveriesResponse,
+  WebhookReplayResponse,
+  DeadLetterStatus,
+  DeadLetterEntry,
+  DeadLettersResponse,
+  DeadLetterStatsResponse,
+  DeadLetterSelectRequest,
+  DeadLetterReplayResponse,
+  DeadLetterPurgeRequest,
+  DeadLetterPurgeResponse,
+  ShadowReportResponse,
+  ShadowFillsResponse,
+  TcaSummaryResponse,
+  TcaOrdersResponse,
 } from './agent-api-types';
+import {
+  SweepCell,
+  SweepMetric,
+  ParameterSweepError,
+  expandParameterGrid,
+  expandParameterRange,
+  isSweepMetric,
+  summarizeSweep,
+} from '../backtest/parameter-sweep';
+import { validateStrategyRules } from '../strategy-dsl';
+import enhancedMessageBus from '../infrastructure/enhanced-message-bus';
+import deadLetterStore, { DeadLetterRecord } from '../infrastructure/dead-letter-store';
+import shadowTradingLedger, { isShadowTradingEnabled } from '../execution-engine/shadow-trading';
+import executionTca, { TCA_GROUP_BY, TcaGroupBy, TcaOutcome } from '../execution-engine/execution-tca';
 
 const router = Router();
 
@@ -89,6 +129,9 @@ const router = Router();
 // ---------------------------------------------------------------------------
 const PROCESS_START = Date.now();
 
+// New dead letters per hour at which /status reports DEGRADED
+const DEAD_LETTER_ALERT_PER_HOUR = Number.parseInt(process.env.DEAD_LETTER_ALERT_PER_HOUR || '25', 10);
+
 // ---------------------------------------------------------------------------
 // Persistent agent registry — restored from SQLite on startup
 // ---------------------------------------------------------------------------
@@ -166,10 +209,21 @@ router.get('/status', async (_req: Request, res: Response) => {
 
     // Determine overall health
     let health: HealthLevel = 'HEALTHY';
+    const errors: string[] = [];
     const breakerTripped = breakers.some((b: any) => b.state === 'OPEN');
     if (breakerTripped) health = 'DEGRADED';
     if (!mbStatus.connected) health = 'DEGRADED';
 
+    let deadLetters: SystemStatusResponse['deadLetters'];
+    try {
+      const dlq = deadLetterStore.stats();
+      deadLetters = { pending: dlq.pending + dlq.replayRequested, addedLastHour: dlq.addedLastHour };
+      if (dlq.addedLastHour >= DEAD_LETTER_ALERT_PER_HOUR) {
+        health = 'DEGRADED';
+        errors.push(`${dlq.addedLastHour} message bus deliveries dead-lettered in the last hour`);
+      }
+    } catch { /* dead letter store unavailable */ }
+
     const agentSummaries: any[] = [];
     forEachAgent((state, name) => {
       agentSummaries.push({
@@ -191,7 +245,8 @@ router.get('/status', async (_req: Request, res: Response) => {
       agents: agentSummaries,
       messageBus: { connected: mbStatus.connected, subscriptions: mbStatus.subscriptions },
       cache: { connected: cacheStatus.connected },
-      errors: [],
+      ...(deadLetters && { deadLetters }),
+      errors,
     };
 
     res.json(response);
@@ -1121,12 +1176,14 @@ router.get('/risk', async (_req: Request, res: Response) => {
     let positions: any[] = [];
     let realizedPnL = 0;
     let recentTrades: any[] = [];
+    let portfolio: any = null;
 
     if (engine) {
-      [positions, realizedPnL, recentTrades] = await Promise.all([
+      [positions, realizedPnL, recentTrades, portfolio] = await Promise.all([
         engine.getPositions().catch(() => []),
         engine.getRealizedPnL?.().catch(() => 0) ?? 0,
         engine.getRecentTrades?.().catch(() => []) ?? [],
+        engine.getPortfolio().catch(() => null),
       ]);
     }
 
@@ -1178,6 +1235,22 @@ router.get('/risk', async (_req: Request, res: Response) => {
       warnings.push('One or more circuit breakers are OPEN');
     }
 
+    let portfolioVar: RiskResponse['portfolioVar'];
+    if (engine) {
+      try {
+        const { default: portfolioRiskAnalyzer, PortfolioRiskAnalyzer } = await import('../risk-manager/portfolio-var');
+        portfolioVar = portfolioRiskAnalyzer.analyze(positions, portfolio?.totalValue || 0);
+        const tail = PortfolioRiskAnalyzer.tailLoss(portfolioVar);
+        const maxCvarPct = Number.parseFloat(process.env.RISK_MAX_CVAR_PCT || '');
+        if (tail && Number.isFinite(maxCvarPct) && maxCvarPct > 0 && tail.cvarPct > maxCvarPct) {
+          riskScore += 20;
+          warnings.push(`Portfolio CVaR ${(tail.cvarPct * 100).toFixed(2)}% of equity is above the ${(maxCvarPct * 100).toFixed(2)}% limit`);
+        }
+      } catch (error) {
+        logger.warn('[AgentAPI] /risk portfolio VaR unavailable:', error);
+      }
+    }
+
     const riskLevel = riskScore >= 70 ? 'CRITICAL' : riskScore >= 40 ? 'HIGH' : riskScore >= 20 ? 'MEDIUM' : 'LOW';
 
     const response: RiskResponse = {
@@ -1211,6 +1284,7 @@ router.get('/risk', async (_req: Request, res: Response) => {
       riskScore,
       riskLevel,
       warnings,
+      portfolioVar,
     };
     res.json(response);
   } catch (error) {
@@ -1228,7 +1302,105 @@ router.get('/risk', async (_req: Request, res: Response) => {
   }
 });
 
+// POST /risk/sizing/preview — Size a hypothetical signal under each sizing mode
+router.post('/risk/sizing/preview', async (req: Request, res: Response) => {
+  const body = (req.body || {}) as SizingPreviewRequest;
+  const fail = (error: string) => res.status(400).json({ error, timestamp: new Date().toISOString() } satisfies AgentApiError);
+
+  if (!body.symbol || typeof body.symbol !== 'string') return fail('symbol is required');
+  if (body.side !== 'BUY' && body.side !== 'SELL') return fail('side must be BUY or SELL');
+  if (!(Number(body.price) > 0)) return fail('price must be a positive number');
+  if (body.confidence !== undefined && !(Number(body.confidence) >= 0 && Number(body.confidence) <= 1)) {
+    return fail('confidence must be between 0 and 1');
+  }
+  if (body.equity !== undefined && !(Number(body.equity) > 0)) return fail('equity must be a positive number');
+
+  try {
+    const { default: riskManager } = await import('../risk-manager/risk-manager');
+    const { isSizingMode, SIZING_MODES } = await import('../risk-manager/position-sizing');
+    if (body.mode !== undefined && !isSizingMode(body.mode)) {
+      return fail(`mode must be one of ${SIZING_MODES.join(', ')}`);
+    }
+
+    let portfolio: Portfolio | null = null;
+    if (body.equity === undefined) {
+      const engine = await getExecutionEngine();
+      portfolio = engine ? await engine.getPortfolio().catch(() => null) : null;
+      if (!portfolio) return fail('No live portfolio available; pass equity');
+    } else {
+      const equity = Number(body.equity);
+      portfolio = { totalValue: equity, availableBalance: equity, usedBalance: 0, positions: [], dailyPnL: 0, unrealizedPnL: 0 };
+    }
+
+    const preview = await riskManager.previewPositionSize({
+      id: `sizing-preview-${Date.now()}`,
+      symbol: body.symbol.toUpperCase(),
+      action: body.side,
+      size: 0,
+      price: Number(body.price),
+      type: 'MARKET',
+      timestamp: new Date(),
+      confidence: body.confidence !== undefined ? Number(body.confidence) : 0.7,
+      strategyId: body.strategyId || 'manual',
+      reason: 'Agent API sizing preview',
+    }, portfolio, body.mode);
+
+    res.json({
+      ...preview,
+      equity: portfolio.totalValue,
+      timestamp: new Date().toISOString(),
+    } satisfies SizingPreviewResponse);
+  } catch (error) {
+    logger.error('[AgentAPI] /risk/sizing/preview error:', error);
+    res.status(500).json({
+      error: 'Failed to preview position size',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
 // POST /risk/limits — Update risk limits
+function currentRiskLimits(): Record<string, RiskLimitValue> {
+  const cfg = configManager.get();
+  return {
+    maxPositionSize: cfg.risk.maxPositionSize,
+    maxDailyLoss: cfg.risk.maxDailyLoss,
+    maxLeverage: cfg.risk.maxLeverage,
+    maxDrawdownPercent: cfg.safety.maxDrawdownPercent,
+    dailyLossLimit: cfg.safety.dailyLossLimit,
+    consecutiveLossLimit: cfg.safety.consecutiveLossLimit,
+    maxTradesPerDay: cfg.safety.maxTradesPerDay,
+    maxCategoryExposure: cfg.risk.maxCategoryExposure ?? 0,
+    categoryExposureLimits: { ...cfg.risk.categoryExposureLimits },
+    maxClusterExposure: cfg.risk.maxClusterExposure ?? 0,
+    clusterCorrelation: cfg.risk.clusterCorrelation ?? 0,
+  };
+}
+
+function validateExposureLimits(body: RiskLimitsRequest): string | null {
+  const isFraction = (value: unknown) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  for (const field of ['maxCategoryExposure', 'maxClusterExposure'] as const) {
+    if (body[field] !== undefined && !isFraction(body[field])) {
+      return `${field} must be a non-negative number (fraction of equity, 0 disables)`;
+    }
+  }
+  if (body.clusterCorrelation !== undefined && !(isFraction(body.clusterCorrelation) && body.clusterCorrelation <= 1)) {
+    return 'clusterCorrelation must be a number between 0 and 1';
+  }
+  if (body.categoryExposureLimits !== undefined) {
+    if (!body.categoryExposureLimits || typeof body.categoryExposureLimits !== 'object' || Array.isArray(body.categoryExposureLimits)) {
+      return 'categoryExposureLimits must be an object of category -> fraction of equity';
+    }
+    for (const [category, limit] of Object.entries(body.categoryExposureLimits)) {
+      if (limit !== null && !isFraction(limit)) {
+        return `categoryExposureLimits.${category} must be a non-negative number or null`;
+      }
+    }
+  }
+  return null;
+}
+
 router.post('/risk/limits', (req: Request, res: Response) => {
   const body = req.body as RiskLimitsRequest;
 
@@ -1239,23 +1411,37 @@ router.post('/risk/limits', (req: Request, res: Response) => {
     } satisfies AgentApiError);
   }
 
+  const exposureError = validateExposureLimits(body);
+  if (exposureError) {
+    return res.status(400).json({
+      error: exposureError,
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
   try {
     const cfg = configManager.get();
-    const previousLimits: Record<string, number> = {
-      maxPositionSize: cfg.risk.maxPositionSize,
-      maxDailyLoss: cfg.risk.maxDailyLoss,
-      maxLeverage: cfg.risk.maxLeverage,
-      maxDrawdownPercent: cfg.safety.maxDrawdownPercent,
-      dailyLossLimit: cfg.safety.dailyLossLimit,
-      consecutiveLossLimit: cfg.safety.consecutiveLossLimit,
-      maxTradesPerDay: cfg.safety.maxTradesPerDay,
-    };
+    const previousLimits = currentRiskLimits();
 
     // Update risk section
     const riskUpdates: Record<string, any> = {};
     if (body.maxPositionSize !== undefined) riskUpdates.maxPositionSize = body.maxPositionSize;
     if (body.maxDailyLoss !== undefined) riskUpdates.maxDailyLoss = body.maxDailyLoss;
     if (body.maxLeverage !== undefined) riskUpdates.maxLeverage = body.maxLeverage;
+    if (body.maxCategoryExposure !== undefined) riskUpdates.maxCategoryExposure = body.maxCategoryExposure;
+    if (body.maxClusterExposure !== undefined) riskUpdates.maxClusterExposure = body.maxClusterExposure;
+    if (body.clusterCorrelation !== undefined) riskUpdates.clusterCorrelation = body.clusterCorrelation;
+    if (body.categoryExposureLimits !== undefined) {
+      const categoryLimits = { ...cfg.risk.categoryExposureLimits };
+      for (const [category, limit] of Object.entries(body.categoryExposureLimits)) {
+        if (limit === null) {
+          delete categoryLimits[category];
+        } else {
+          categoryLimits[category] = limit;
+        }
+      }
+      riskUpdates.categoryExposureLimits = categoryLimits;
+    }
     if (Object.keys(riskUpdates).length > 0) {
       configManager.update('risk', riskUpdates);
     }
@@ -1270,16 +1456,7 @@ router.post('/risk/limits', (req: Request, res: Response) => {
       configManager.update('safety', safetyUpdates);
     }
 
-    const newCfg = configManager.get();
-    const newLimits: Record<string, number> = {
-      maxPositionSize: newCfg.risk.maxPositionSize,
-      maxDailyLoss: newCfg.risk.maxDailyLoss,
-      maxLeverage: newCfg.risk.maxLeverage,
-      maxDrawdownPercent: newCfg.safety.maxDrawdownPercent,
-      dailyLossLimit: newCfg.safety.dailyLossLimit,
-      consecutiveLossLimit: newCfg.safety.consecutiveLossLimit,
-      maxTradesPerDay: newCfg.safety.maxTradesPerDay,
-    };
+    const newLimits = currentRiskLimits();
 
     logger.info('[AgentAPI] Risk limits updated:', { previous: previousLimits, new: newLimits });
 
@@ -1389,6 +1566,8 @@ interface InMemoryWebhook {
   createdAt: string;
   lastTriggered?: string;
   description?: string;
+  consecutiveFailures?: number;
+  disabledReason?: string;
 }
 
 const webhookStore: Map<string, InMemoryWebhook> = new Map();
@@ -1409,18 +1588,35 @@ async function initWebhookTable(): Promise<void> {
         description TEXT
       )
     `);
-    // Restore from DB into memory
-    const rows = db.prepare('SELECT * FROM agent_webhooks WHERE active = 1').all();
+    const migrations = [
+      'ALTER TABLE agent_webhooks ADD COLUMN consecutive_failures INTEGER DEFAULT 0',
+      'ALTER TABLE agent_webhooks ADD COLUMN disabled_reason TEXT',
+    ];
+    for (const sql of migrations) {
+      try { db.exec(sql); } catch { /* column already exists */ }
+    }
+    try {
+      db.exec('ALTER TABLE agent_webhooks ADD COLUMN deleted_at TEXT');
+      // Before deleted_at existed, DELETE /webhooks/:id set active = 0 without a disabled reason
+      db.prepare(`
+        UPDATE agent_webhooks SET deleted_at = ?
+        WHERE active = 0 AND disabled_reason IS NULL
+      `).run(new Date().toISOString());
+    } catch { /* column already exists */ }
+    // Restore from DB into memory, auto-disabled webhooks included so they can be inspected and replayed
+    const rows = db.prepare('SELECT * FROM agent_webhooks WHERE deleted_at IS NULL').all();
     for (const row of rows as any[]) {
       webhookStore.set(row.id, {
         id: row.id,
         url: row.url,
         events: JSON.parse(row.events),
         secret: row.secret,
-        active: true,
+        active: row.active === 1,
         createdAt: row.created_at,
         lastTriggered: row.last_triggered,
         description: row.description,
+        consecutiveFailures: row.consecutive_failures ?? 0,
+        disabledReason: row.disabled_reason ?? undefined,
       });
     }
     logger.info(`[AgentAPI] Restored ${rows.length} webhooks from DB`);
@@ -1431,16 +1627,25 @@ async function initWebhookTable(): Promise<void> {
   }
 }
 
-// Initialize webhooks on load
-initWebhookTable().catch(() => { /* best effort */ });
+// Initialize webhooks on load, then start delivering bus events to them
+initWebhookTable()
+  .catch(() => { /* best effort */ })
+  .then(() => webhookDispatcher.start({
+    getWebhook: (id) => webhookStore.get(id),
+    getWebhooks: () => webhookStore.values(),
+    // A delivery still in flight when its webhook is deleted must not write the row back
+    onWebhookUpdated: (webhook) => webhookStore.has(webhook.id) ? persistWebhook(webhook as InMemoryWebhook) : undefined,
+    agentNames: VALID_AGENTS,
+  }))
+  .catch((error) => logger.error('[AgentAPI] Failed to start webhook dispatcher:', error));
 
 async function persistWebhook(webhook: InMemoryWebhook): Promise<void> {
   const db = await getTradingDb();
   if (!db) return;
   try {
     db.prepare(`
-      INSERT OR REPLACE INTO agent_webhooks (id, url, events, secret, active, created_at, last_triggered, description)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO agent_webhooks (id, url, events, secret, active, created_at, last_triggered, description, consecutive_failures, disabled_reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       webhook.id,
       webhook.url,
@@ -1450,6 +1655,8 @@ async function persistWebhook(webhook: InMemoryWebhook): Promise<void> {
       webhook.createdAt,
       webhook.lastTriggered || null,
       webhook.description || null,
+      webhook.consecutiveFailures ?? 0,
+      webhook.disabledReason || null,
     );
   } catch (error) {
     logger.error('[AgentAPI] Failed to persist webhook:', error);
@@ -1462,7 +1669,7 @@ async function removeWebhookFromDb(id: string): Promise<void> {
   const db = await getTradingDb();
   if (!db) return;
   try {
-    db.prepare('UPDATE agent_webhooks SET active = 0 WHERE id = ?').run(id);
+    db.prepare('UPDATE agent_webhooks SET active = 0, deleted_at = ? WHERE id = ?').run(new Date().toISOString(), id);
   } catch (error) {
     logger.error('[AgentAPI] Failed to remove webhook from DB:', error);
   } finally {
@@ -1576,6 +1783,19 @@ router.get('/backtest/:id/results', async (req: Request, res: Response) => {
         } catch { resultData = null; }
       }
 
+      // Monte Carlo report and funding PnL: research engine stores them in the
+      // job results, backtest workers store them in backtest_results.metrics
+      let monteCarlo = resultData?.monteCarlo;
+      let fundingPnl = resultData?.fundingPnl;
+      if (!monteCarlo || fundingPnl === undefined) {
+        try {
+          const stored = db.prepare('SELECT metrics FROM backtest_results WHERE id = ?').get(id) as any;
+          const storedMetrics = stored?.metrics ? JSON.parse(stored.metrics) : undefined;
+          monteCarlo = monteCarlo || storedMetrics?.monteCarlo;
+          fundingPnl = fundingPnl ?? storedMetrics?.fundingPnl;
+        } catch { /* backtest_results may not exist yet */ }
+      }
+
       const trades: any[] = [];
       if (resultData && Array.isArray(resultData.trades)) {
         for (const t of resultData.trades) {
@@ -1614,6 +1834,8 @@ router.get('/backtest/:id/results', async (req: Request, res: Response) => {
         profitFactor: resultData?.profitFactor || 0,
         trades,
         equityCurve: resultData?.equityCurve || [],
+        ...(typeof fundingPnl === 'number' && { fundingPnl }),
+        ...(monteCarlo && { monteCarlo }),
         error: job.error || undefined,
         createdAt: job.created_at,
         completedAt: job.completed_at || undefined,
@@ -1692,6 +1914,402 @@ router.get('/backtest/history', async (req: Request, res: Response) => {
   }
 });
 
+// Upper bound on backtest jobs one sweep may queue
+const MAX_SWEEP_JOBS = Number.parseInt(process.env.BACKTEST_SWEEP_MAX_JOBS || '500', 10);
+
+function ensureSweepTable(db: any): void {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS backtest_sweeps (
+      id TEXT PRIMARY KEY,
+      strategy_id TEXT NOT NULL,
+      strategy_name TEXT,
+      metric TEXT NOT NULL,
+      parameters TEXT NOT NULL,
+      symbols TEXT NOT NULL,
+      timeframes TEXT NOT NULL,
+      days INTEGER NOT NULL,
+      cells TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )
+  `);
+}
+
+// POST /backtest/sweep — Fan a parameter grid out to the backtest workers
+router.post('/backtest/sweep', async (req: Request, res: Response) => {
+  const body = req.body as BacktestSweepRequest;
+
+  if (!body.strategyId || !body.parameters || typeof body.parameters !== 'object' || Array.isArray(body.parameters)) {
+    return res.status(400).json({
+      error: 'strategyId and parameters (an object of parameter ranges) are required',
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  const metric: SweepMetric = body.metric ?? 'sharpeRatio';
+  if (!isSweepMetric(metric)) {
+    return res.status(400).json({
+      error: `Unknown metric: ${metric}`,
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    const dataManager = await safeImport<any>('../data-manager/data-manager');
+    const jobQueue = await safeImport<any>('../shared/job-queue');
+    if (!dataManager || !jobQueue) {
+      return res.status(503).json({
+        error: 'Backtest queue not available',
+        timestamp: new Date().toISOString(),
+      } satisfies AgentApiError);
+    }
+
+    const strategy = await dataManager.getStrategy(body.strategyId);
+    if (!strategy) {
+      return res.status(404).json({
+        error: `Strategy ${body.strategyId} not found`,
+        timestamp: new Date().toISOString(),
+      } satisfies AgentApiError);
+    }
+
+    const symbols: string[] = body.symbols?.length ? body.symbols.map(s => s.toUpperCase()) : strategy.symbols || [];
+    const timeframes: string[] = body.timeframes?.length ? body.timeframes : [strategy.timeframe || '1h'];
+    const days = Number(body.days) > 0 ? Number(body.days) : 30;
+    if (symbols.length === 0) {
+      return res.status(400).json({
+        error: 'No symbols given and the strategy has none',
+        timestamp: new Date().toISOString(),
+      } satisfies AgentApiError);
+    }
+
+    let grid: Array<Record<string, number>>;
+    const axes: Record<string, number[]> = {};
+    try {
+      const markets = symbols.length * timeframes.length;
+      grid = expandParameterGrid(body.parameters, Math.floor(MAX_SWEEP_JOBS / markets));
+      for (const name of Object.keys(body.parameters)) {
+        axes[name] = expandParameterRange(name, body.parameters[name]);
+      }
+      if (strategy.rules) {
+        for (const combination of grid) {
+          const invalid = validateStrategyRules(strategy.rules, { ...strategy.parameters, ...combination });
+          if (invalid) {
+            throw new ParameterSweepError(`${JSON.stringify(combination)}: ${invalid}`);
+          }
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof ParameterSweepError)) throw error;
+      return res.status(400).json({
+        error: `Invalid parameter ranges: ${error.message}`,
+        timestamp: new Date().toISOString(),
+      } satisfies AgentApiError);
+    }
+
+    const sweepId = `sweep_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    const cells: Array<Pick<SweepCell, 'jobId' | 'parameters' | 'symbol' | 'timeframe'>> = [];
+    for (const combination of grid) {
+      for (const symbol of symbols) {
+        for (const timeframe of timeframes) {
+          cells.push({ jobId: `${sweepId}_${cells.length}`, parameters: combination, symbol, timeframe });
+        }
+      }
+    }
+
+    // Variants keep the strategy's id so results group under it; sweepId
+    // stops the workers from activating or deactivating the strategy itself
+    for (const cell of cells) {
+      await jobQueue.addBacktestJob({
+        jobId: cell.jobId,
+        strategy: { ...strategy, parameters: { ...strategy.parameters, ...cell.parameters } },
+        symbol: cell.symbol,
+        timeframe: cell.timeframe,
+        days,
+        priority: 10,
+        sweepId,
+      });
+    }
+
+    const db = await getTradingDb();
+    if (db) {
+      try {
+        ensureSweepTable(db);
+        db.prepare(`
+          INSERT INTO backtest_sweeps (id, strategy_id, strategy_name, metric, parameters, symbols, timeframes, days, cells, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          sweepId,
+          strategy.id,
+          strategy.name || '',
+          metric,
+          JSON.stringify(axes),
+          JSON.stringify(symbols),
+          JSON.stringify(timeframes),
+          days,
+          JSON.stringify(cells),
+          new Date().toISOString(),
+        );
+      } finally {
+        db.close();
+      }
+    }
+
+    logger.info(`[AgentAPI] Sweep ${sweepId} queued ${cells.length} backtests for strategy ${strategy.id}`);
+
+    const response: BacktestSweepResponse = {
+      success: true,
+      sweepId,
+      strategyId: strategy.id,
+      combinations: grid.length,
+      jobs: cells.length,
+      message: `Sweep ${sweepId} queued ${cells.length} backtest jobs`,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error('[AgentAPI] /backtest/sweep error:', error);
+    res.status(500).json({
+      error: 'Failed to start parameter sweep',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// GET /backtest/sweep/:id — Sweep progress, results matrix and heatmaps
+router.get('/backtest/sweep/:id', async (req: Request, res: Response) => {
+  const { id } = req.params;
+
+  try {
+    const db = await getTradingDb();
+    if (!db) {
+      return res.status(503).json({
+        error: 'Database not available',
+        timestamp: new Date().toISOString(),
+      } satisfies AgentApiError);
+    }
+
+    let sweep: any;
+    const stored = new Map<string, any>();
+    try {
+      ensureSweepTable(db);
+      sweep = db.prepare('SELECT * FROM backtest_sweeps WHERE id = ?').get(id);
+      if (sweep) {
+        try {
+          const rows = db.prepare(`
+            SELECT id, totalReturn, sharpeRatio, maxDrawdown, winRate, totalTrades
+            FROM backtest_results WHERE id LIKE ?
+          `).all(`${id}_%`) as any[];
+          for (const row of rows) stored.set(row.id, row);
+        } catch { /* backtest_results may not exist yet */ }
+      }
+    } finally {
+      db.close();
+    }
+
+    if (!sweep) {
+      return res.status(404).json({
+        error: `Sweep ${id} not found`,
+        timestamp: new Date().toISOString(),
+      } satisfies AgentApiError);
+    }
+
+    const jobQueue = await safeImport<any>('../shared/job-queue');
+    const cells: SweepCell[] = [];
+    for (const cell of JSON.parse(sweep.cells) as SweepCell[]) {
+      const row = stored.get(cell.jobId);
+      if (row) {
+        cells.push({
+          ...cell,
+          status: 'COMPLETED',
+          metrics: {
+            totalReturn: row.totalReturn,
+            sharpeRatio: row.sharpeRatio,
+            maxDrawdown: row.maxDrawdown,
+            winRate: row.winRate,
+            totalTrades: row.totalTrades,
+          },
+        });
+        continue;
+      }
+
+      // No stored result yet: ask the queue how the job is doing
+      let status: SweepCell['status'] = 'PENDING';
+      let error: string | undefined;
+      try {
+        const job = await jobQueue?.getBacktestJob(cell.jobId);
+        const state = job ? await job.getState() : undefined;
+        if (!job) {
+          status = 'FAILED';
+          error = 'Job no longer in the queue';
+        } else if (state === 'failed' || (state === 'completed' && job.returnvalue?.success === false)) {
+          status = 'FAILED';
+          error = job.returnvalue?.error || job.failedReason;
+        } else if (state === 'active') {
+          status = 'RUNNING';
+        }
+      } catch { /* queue unreachable; leave the cell pending */ }
+      cells.push({ ...cell, status, ...(error && { error }) });
+    }
+
+    const axes = JSON.parse(sweep.parameters) as Record<string, number[]>;
+    const summary = summarizeSweep(axes, cells, sweep.metric);
+    const completed = cells.filter(c => c.status === 'COMPLETED').length;
+    const failed = cells.filter(c => c.status === 'FAILED').length;
+
+    const response: BacktestSweepResultsResponse = {
+      sweepId: id,
+      strategyId: sweep.strategy_id,
+      strategyName: sweep.strategy_name || '',
+      metric: sweep.metric,
+      status: completed + failed === cells.length ? 'COMPLETED' : 'RUNNING',
+      progress: {
+        total: cells.length,
+        completed,
+        failed,
+        pending: cells.length - completed - failed,
+      },
+      parameters: axes,
+      symbols: JSON.parse(sweep.symbols),
+      timeframes: JSON.parse(sweep.timeframes),
+      days: sweep.days,
+      cells,
+      ...summary,
+      createdAt: sweep.created_at,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error(`[AgentAPI] /backtest/sweep/${id} error:`, error);
+    res.status(500).json({
+      error: 'Failed to get sweep results',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// POST /backtest/portfolio — Queue a cross-margin portfolio backtest over several legs
+router.post('/backtest/portfolio', async (req: Request, res: Response) => {
+  const body = req.body as BacktestPortfolioRequest;
+
+  if (!Array.isArray(body.legs) || body.legs.length === 0 || body.legs.some(leg => !leg?.strategyId || !leg?.symbol)) {
+    return res.status(400).json({
+      error: 'legs (non-empty array of {strategyId, symbol}) is required',
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  const symbols = body.legs.map(leg => leg.symbol.toUpperCase());
+  if (new Set(symbols).size !== symbols.length) {
+    return res.status(400).json({
+      error: 'Each symbol may appear in only one leg',
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    const dataManager = await safeImport<any>('../data-manager/data-manager');
+    const jobQueue = await safeImport<any>('../shared/job-queue');
+    if (!dataManager || !jobQueue) {
+      return res.status(503).json({
+        error: 'Backtest queue not available',
+        timestamp: new Date().toISOString(),
+      } satisfies AgentApiError);
+    }
+
+    const legs = [];
+    for (const [i, leg] of body.legs.entries()) {
+      const strategy = await dataManager.getStrategy(leg.strategyId);
+      if (!strategy) {
+        return res.status(404).json({
+          error: `Strategy ${leg.strategyId} not found`,
+          timestamp: new Date().toISOString(),
+        } satisfies AgentApiError);
+      }
+      legs.push({ strategy, symbol: symbols[i], ...(leg.leverage && { leverage: Number(leg.leverage) }) });
+    }
+
+    const jobId = `portfolio_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    await jobQueue.addBacktestJob({
+      jobId,
+      strategy: legs[0].strategy,
+      symbol: symbols.join(','),
+      timeframe: body.timeframe || '1h',
+      days: Number(body.days) > 0 ? Number(body.days) : 30,
+      priority: 5,
+      config: { initialCapital: Number(body.initialCapital) > 0 ? Number(body.initialCapital) : 10000 },
+      portfolio: {
+        legs,
+        config: {
+          ...(body.maxLeverage && { maxLeverage: body.maxLeverage }),
+          ...(body.defaultMaxLeverage && { defaultMaxLeverage: Number(body.defaultMaxLeverage) }),
+          ...(body.liquidationSlippageBps !== undefined && { liquidationSlippageBps: Number(body.liquidationSlippageBps) }),
+        },
+      },
+    });
+
+    logger.info(`[AgentAPI] Portfolio backtest ${jobId} queued: ${symbols.join(', ')}`);
+
+    const response: BacktestPortfolioResponse = {
+      success: true,
+      jobId,
+      symbols,
+      message: `Portfolio backtest ${jobId} queued with ${legs.length} legs`,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error('[AgentAPI] /backtest/portfolio error:', error);
+    res.status(500).json({
+      error: 'Failed to queue portfolio backtest',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// GET /backtest/portfolio/:id — Portfolio backtest status, then result with per-leg contribution
+router.get('/backtest/portfolio/:id', async (req: Request, res: Response) => {
+  const { id } = req.params;
+
+  try {
+    const jobQueue = await safeImport<any>('../shared/job-queue');
+    if (!jobQueue) {
+      return res.status(503).json({
+        error: 'Backtest queue not available',
+        timestamp: new Date().toISOString(),
+      } satisfies AgentApiError);
+    }
+
+    const job = await jobQueue.getBacktestJob(id);
+    if (!job || !job.data?.portfolio) {
+      return res.status(404).json({
+        error: `Portfolio backtest ${id} not found`,
+        timestamp: new Date().toISOString(),
+      } satisfies AgentApiError);
+    }
+
+    const state = await job.getState();
+    const failed = state === 'failed' || (state === 'completed' && job.returnvalue?.success === false);
+    const response: BacktestPortfolioResultsResponse = {
+      jobId: id,
+      status: failed ? 'FAILED' : state === 'completed' ? 'COMPLETED' : state === 'active' ? 'RUNNING' : 'PENDING',
+      symbols: job.data.portfolio.legs.map((leg: any) => leg.symbol),
+      ...(state === 'completed' && job.returnvalue?.result && { result: job.returnvalue.result }),
+      ...(failed && { error: job.returnvalue?.error || job.failedReason }),
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error(`[AgentAPI] /backtest/portfolio/${id} error:`, error);
+    res.status(500).json({
+      error: 'Failed to get portfolio backtest',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
 // ===========================================================================
 // HISTORICAL DATA QUERIES
 // ===========================================================================
@@ -2267,7 +2885,7 @@ router.delete('/webhooks/:id', async (req: Request, res: Response) => {
   }
 });
 
-// GET /webhooks — List active webhooks
+// GET /webhooks — List registered webhooks, auto-disabled ones included
 router.get('/webhooks', (_req: Request, res: Response) => {
   try {
     const webhooks: WebhookConfig[] = Array.from(webhookStore.values()).map(wh => ({
@@ -2279,6 +2897,8 @@ router.get('/webhooks', (_req: Request, res: Response) => {
       ...(wh.secret && { secret: wh.secret }),
       ...(wh.lastTriggered && { lastTriggered: wh.lastTriggered }),
       ...(wh.description && { description: wh.description }),
+      ...(wh.consecutiveFailures && { consecutiveFailures: wh.consecutiveFailures }),
+      ...(wh.disabledReason && { disabledReason: wh.disabledReason }),
     }));
 
     const response: WebhooksListResponse = {
@@ -2297,4 +2917,467 @@ router.get('/webhooks', (_req: Request, res: Response) => {
   }
 });
 
+// GET /webhooks/:id/deliveries — Delivery history for a webhook
+router.get('/webhooks/:id/deliveries', (req: Request, res: Response) => {
+  const { id } = req.params;
+
+  if (!webhookStore.has(id)) {
+    return res.status(404).json({
+      error: `Webhook ${id} not found`,
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  const status = req.query.status as WebhookDeliveryStatus | undefined;
+  if (status && !['pending', 'success', 'failed'].includes(status)) {
+    return res.status(400).json({
+      error: 'status must be one of: pending, success, failed',
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit as string) || 50, 1), 500);
+    const offset = Math.max(Number.parseInt(req.query.offset as string) || 0, 0);
+    const { deliveries, total } = webhookDispatcher.getDeliveries(id, { status, limit, offset });
+
+    const response: WebhookDeliveriesResponse = {
+      webhookId: id,
+      deliveries,
+      total,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error(`[AgentAPI] GET /webhooks/${id}/deliveries error:`, error);
+    res.status(500).json({
+      error: 'Failed to load webhook deliveries',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// POST /webhooks/:id/deliveries/:deliveryId/replay — Re-send a recorded delivery
+router.post('/webhooks/:id/deliveries/:deliveryId/replay', async (req: Request, res: Response) => {
+  const { id, deliveryId } = req.params;
+
+  const original = webhookDispatcher.getDelivery(deliveryId);
+  if (!webhookStore.has(id) || !original || original.webhookId !== id) {
+    return res.status(404).json({
+      error: `Delivery ${deliveryId} not found for webhook ${id}`,
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    const delivery = await webhookDispatcher.replay(deliveryId);
+    if (!delivery) {
+      throw new Error('Delivery log unavailable');
+    }
+
+    const response: WebhookReplayResponse = {
+      success: delivery.status === 'success',
+      delivery,
+      message: delivery.status === 'success'
+        ? `Delivery ${deliveryId} replayed as ${delivery.id}`
+        : `Replay ${delivery.id} failed: ${delivery.error ?? 'unknown error'}`,
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error(`[AgentAPI] POST /webhooks/${id}/deliveries/${deliveryId}/replay error:`, error);
+    res.status(500).json({
+      error: 'Failed to replay webhook delivery',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// ===========================================================================
+// DEAD LETTER QUEUE
+// ===========================================================================
+
+const DEAD_LETTER_STATUSES: DeadLetterStatus[] = ['PENDING', 'REPLAY_REQUESTED', 'REPLAYED'];
+
+function toDeadLetterEntry(record: DeadLetterRecord): DeadLetterEntry {
+  const { originalMessage: message } = record;
+  return {
+    id: record.id,
+    messageId: record.messageId,
+    channel: record.channel,
+    subscriber: record.subscriber,
+    error: record.error,
+    attempts: record.attempts,
+    status: record.status,
+    message: {
+      id: message.id,
+      type: message.type,
+      source: message.source,
+      timestamp: new Date(message.timestamp).toISOString(),
+      data: message.data,
+      ...(message.correlationId && { correlationId: message.correlationId }),
+      ...(message.causationId && { causationId: message.causationId }),
+      ...(message.metadata && { metadata: message.metadata }),
+    },
+    firstFailedAt: new Date(record.firstFailedAt).toISOString(),
+    lastFailedAt: new Date(record.lastFailedAt).toISOString(),
+    replayRequestedAt: record.replayRequestedAt ? new Date(record.replayRequestedAt).toISOString() : undefined,
+    replayedAt: record.replayedAt ? new Date(record.replayedAt).toISOString() : undefined,
+  };
+}
+
+/** Ids/channel/subscriber selection from a request body, or an error message */
+function parseDeadLetterSelection(body: DeadLetterSelectRequest): { ids?: number[]; channel?: string; subscriber?: string } | string {
+  const ids = Array.isArray(body.ids) ? body.ids.map(Number) : undefined;
+  if (ids && ids.some(id => !Number.isInteger(id))) {
+    return 'ids must be integers';
+  }
+  if (!ids?.length && !body.channel && !body.subscriber && body.all !== true) {
+    return 'Provide ids, channel or subscriber, or all: true';
+  }
+  return {
+    ...(ids?.length && { ids }),
+    ...(body.channel && { channel: body.channel }),
+    ...(body.subscriber && { subscriber: body.subscriber }),
+  };
+}
+
+// GET /dead-letters — List failed message bus deliveries
+router.get('/dead-letters', (req: Request, res: Response) => {
+  const status = req.query.status as DeadLetterStatus | undefined;
+  if (status && !DEAD_LETTER_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${DEAD_LETTER_STATUSES.join(', ')}`,
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit as string) || 50, 1), 500);
+    const offset = Math.max(Number.parseInt(req.query.offset as string) || 0, 0);
+    const { records, total } = deadLetterStore.list({
+      channel: req.query.channel as string | undefined,
+      subscriber: req.query.subscriber as string | undefined,
+      status,
+      limit,
+      offset,
+    });
+
+    const response: DeadLettersResponse = {
+      deadLetters: records.map(toDeadLetterEntry),
+      total,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error('[AgentAPI] GET /dead-letters error:', error);
+    res.status(500).json({
+      error: 'Failed to load dead letters',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// GET /dead-letters/stats — Dead letter counts and growth
+router.get('/dead-letters/stats', (_req: Request, res: Response) => {
+  try {
+    const stats = deadLetterStore.stats();
+    const response: DeadLetterStatsResponse = {
+      ...stats,
+      oldestPendingAt: stats.oldestPendingAt ? new Date(stats.oldestPendingAt).toISOString() : null,
+      alertPerHour: DEAD_LETTER_ALERT_PER_HOUR,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error('[AgentAPI] GET /dead-letters/stats error:', error);
+    res.status(500).json({
+      error: 'Failed to load dead letter stats',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// GET /dead-letters/:id — One dead letter with its full message
+router.get('/dead-letters/:id', (req: Request, res: Response) => {
+  const id = Number.parseInt(req.params.id, 10);
+
+  try {
+    const record = Number.isInteger(id) ? deadLetterStore.get(id) : null;
+    if (!record) {
+      return res.status(404).json({
+        error: `Dead letter ${req.params.id} not found`,
+        timestamp: new Date().toISOString(),
+      } satisfies AgentApiError);
+    }
+    res.json(toDeadLetterEntry(record));
+  } catch (error) {
+    logger.error(`[AgentAPI] GET /dead-letters/${req.params.id} error:`, error);
+    res.status(500).json({
+      error: 'Failed to load dead letter',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// POST /dead-letters/replay — Redeliver selected (or all) dead letters to their subscriber
+router.post('/dead-letters/replay', async (req: Request, res: Response) => {
+  const selection = parseDeadLetterSelection((req.body || {}) as DeadLetterSelectRequest);
+  if (typeof selection === 'string') {
+    return res.status(400).json({
+      error: selection,
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    // Subscribers in other processes pick their rows up on their next poll
+    const requested = deadLetterStore.requestReplay(selection);
+    const local = await enhancedMessageBus.processReplayRequests();
+
+    logger.info(`[AgentAPI] Dead letter replay requested for ${requested} messages (${local.replayed} replayed locally)`);
+
+    const response: DeadLetterReplayResponse = {
+      success: true,
+      requested,
+      replayed: local.replayed,
+      failed: local.failed,
+      message: `${requested} dead letters queued for replay`,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error('[AgentAPI] POST /dead-letters/replay error:', error);
+    res.status(500).json({
+      error: 'Failed to replay dead letters',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// POST /dead-letters/purge — Delete selected (or all) dead letters
+router.post('/dead-letters/purge', (req: Request, res: Response) => {
+  const body = (req.body || {}) as DeadLetterPurgeRequest;
+  const selection = parseDeadLetterSelection(body);
+  if (typeof selection === 'string') {
+    return res.status(400).json({
+      error: selection,
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+  if (body.status && !DEAD_LETTER_STATUSES.includes(body.status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${DEAD_LETTER_STATUSES.join(', ')}`,
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    const purged = deadLetterStore.purge({ ...selection, ...(body.status && { status: body.status }) });
+
+    const response: DeadLetterPurgeResponse = {
+      success: true,
+      purged,
+      message: `Purged ${purged} dead letters`,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error('[AgentAPI] POST /dead-letters/purge error:', error);
+    res.status(500).json({
+      error: 'Failed to purge dead letters',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// ===========================================================================
+// SHADOW TRADING
+// ===========================================================================
+
+/** `since` as hours back or an ISO date; undefined when absent, null when invalid */
+function parseSinceQuery(raw: unknown): number | undefined | null {
+  if (raw === undefined || raw === '') return undefined;
+  const value = String(raw);
+  if (/^\d+(\.\d+)?$/.test(value)) return Date.now() - Number.parseFloat(value) * 3600000;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// GET /shadow/report — Live vs paper divergence per strategy
+router.get('/shadow/report', (req: Request, res: Response) => {
+  const since = parseSinceQuery(req.query.since);
+  if (since === null) {
+    return res.status(400).json({
+      error: 'since must be a number of hours or an ISO date',
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    const report = shadowTradingLedger.report({
+      strategyId: req.query.strategyId as string | undefined,
+      symbol: req.query.symbol as string | undefined,
+      since,
+    });
+
+    const response: ShadowReportResponse = {
+      enabled: isShadowTradingEnabled(),
+      since: report.since !== null ? new Date(report.since).toISOString() : null,
+      strategies: report.strategies,
+      totals: report.totals,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error('[AgentAPI] GET /shadow/report error:', error);
+    res.status(500).json({
+      error: 'Failed to build shadow report',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// GET /shadow/fills — Recorded live/paper fill pairs, newest first
+router.get('/shadow/fills', (req: Request, res: Response) => {
+  const since = parseSinceQuery(req.query.since);
+  if (since === null) {
+    return res.status(400).json({
+      error: 'since must be a number of hours or an ISO date',
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit as string) || 50, 1), 500);
+    const fills = shadowTradingLedger.listPairs({
+      strategyId: req.query.strategyId as string | undefined,
+      symbol: req.query.symbol as string | undefined,
+      since,
+      limit,
+    });
+
+    const response: ShadowFillsResponse = {
+      fills: fills.map(pair => ({
+        ...pair,
+        createdAt: new Date(pair.createdAt).toISOString(),
+        updatedAt: new Date(pair.updatedAt).toISOString(),
+      })),
+      total: fills.length,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error('[AgentAPI] GET /shadow/fills error:', error);
+    res.status(500).json({
+      error: 'Failed to load shadow fills',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// ===========================================================================
+// EXECUTION QUALITY (TCA)
+// ===========================================================================
+
+const TCA_OUTCOMES: TcaOutcome[] = ['PENDING', 'FILLED', 'RESTING', 'CANCELLED', 'REJECTED', 'BLOCKED'];
+
+// GET /execution/tca — Shortfall, markouts and fill times per symbol, strategy or failure category
+router.get('/execution/tca', (req: Request, res: Response) => {
+  const groupBy = (req.query.groupBy as TcaGroupBy | undefined) || 'symbol';
+  if (!TCA_GROUP_BY.includes(groupBy)) {
+    return res.status(400).json({
+      error: `groupBy must be one of: ${TCA_GROUP_BY.join(', ')}`,
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+  const since = parseSinceQuery(req.query.since);
+  if (since === null) {
+    return res.status(400).json({
+      error: 'since must be a number of hours or an ISO date',
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    const { groups, totals } = executionTca.summarize(groupBy, {
+      symbol: req.query.symbol as string | undefined,
+      strategyId: req.query.strategyId as string | undefined,
+      since,
+    });
+
+    const response: TcaSummaryResponse = {
+      groupBy,
+      since: since !== undefined ? new Date(since).toISOString() : null,
+      groups,
+      totals,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error('[AgentAPI] GET /execution/tca error:', error);
+    res.status(500).json({
+      error: 'Failed to build TCA summary',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
+// GET /execution/tca/orders — Per-order TCA, newest first
+router.get('/execution/tca/orders', (req: Request, res: Response) => {
+  const outcome = req.query.outcome as TcaOutcome | undefined;
+  if (outcome && !TCA_OUTCOMES.includes(outcome)) {
+    return res.status(400).json({
+      error: `outcome must be one of: ${TCA_OUTCOMES.join(', ')}`,
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+  const since = parseSinceQuery(req.query.since);
+  if (since === null) {
+    return res.status(400).json({
+      error: 'since must be a number of hours or an ISO date',
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+
+  try {
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit as string) || 50, 1), 500);
+    const orders = executionTca.listOrders({
+      symbol: req.query.symbol as string | undefined,
+      strategyId: req.query.strategyId as string | undefined,
+      outcome,
+      since,
+      limit,
+    });
+
+    const response: TcaOrdersResponse = {
+      orders: orders.map(order => ({
+        ...order,
+        decisionAt: new Date(order.decisionAt).toISOString(),
+        submittedAt: new Date(order.submittedAt).toISOString(),
+        filledAt: order.filledAt !== null ? new Date(order.filledAt).toISOString() : null,
+      })),
+      total: orders.length,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    logger.error('[AgentAPI] GET /execution/tca/orders error:', error);
+    res.status(500).json({
+      error: 'Failed to load TCA orders',
+      details: error instanceof Error ? error.message : String(error),
+      timestamp: new Date().toISOString(),
+    } satisfies AgentApiError);
+  }
+});
+
 export default router;
@@ -13,6 +13,10 @@ import traceStore from '../data/trace-store';
 import newsStore from '../data/news-store';
 import predictionStore from '../data/prediction-store';
 import polymarketClient from '../prediction-markets/polymarket-client';
+import calibrationTracker from '../prediction-markets/calibration';
+import { PredictionEventBacktester } from '../prediction-markets/event-backtester';
+import { simulateMarketMaking } from '../prediction-markets/market-maker';
+import { findConsistencyViolations, groupRelatedMarkets, loadConsistencyOptions } from '../prediction-markets/consistency-arbitrage';
 import glmService from '../shared/glm-service';
 import messageBus, { Channel } from '../shared/message-bus';
 import redisCache from '../shared/redis-cache';
@@ -1387,6 +1391,69 @@ class DashboardServer {
       }
     });
 
+    this.app.get('/api/predictions/calibration', (req, res) => {
+      try {
+        res.json(calibrationTracker.getReport());
+      } catch (error) {
+        logger.error('Predictions calibration endpoint error:', error);
+        res.status(500).json({ error: 'Failed to build calibration report' });
+      }
+    });
+
+    this.app.get('/api/predictions/backtest/replay', async (req, res) => {
+      try {
+        const date = (value: unknown) => {
+          const parsed = typeof value === 'string' ? new Date(value) : null;
+          return parsed && !Number.isNaN(parsed.getTime()) ? parsed : undefined;
+        };
+        const stakeUsd = parseFloat(req.query.stake as string);
+        const feeRate = parseFloat(req.query.fee as string);
+        const report = await new PredictionEventBacktester(undefined, {
+          start: date(req.query.start),
+          end: date(req.query.end),
+          ...(stakeUsd > 0 && { stakeUsd }),
+          ...(feeRate >= 0 && feeRate < 0.5 && { feeRate }),
+        }).run();
+        res.json(report);
+      } catch (error) {
+        logger.error('Predictions replay backtest endpoint error:', error);
+        res.status(500).json({ error: 'Failed to run prediction replay backtest' });
+      }
+    });
+
+    this.app.get('/api/predictions/market-making/simulate', async (req, res) => {
+      try {
+        const marketId = req.query.marketId as string;
+        const fairYes = parseFloat(req.query.fair as string);
+        if (!marketId || !(fairYes > 0 && fairYes < 1)) {
+          return res.status(400).json({ error: 'marketId and fair (YES probability between 0 and 1) are required' });
+        }
+        const limit = parseInt(req.query.limit as string) || 1000;
+        const snapshots = predictionStore.getMarketPrices(marketId, limit);
+        res.json(await simulateMarketMaking(marketId, snapshots, fairYes));
+      } catch (error) {
+        logger.error('Predictions market-making simulation endpoint error:', error);
+        res.status(500).json({ error: 'Failed to simulate market making' });
+      }
+    });
+
+    this.app.get('/api/predictions/consistency', (req, res) => {
+      try {
+        const options = loadConsistencyOptions();
+        const markets = predictionStore.getMarkets(options.storeLimit, { statuses: ['OPEN'] });
+        const groups = groupRelatedMarkets(markets).map(group => ({
+          key: group.key,
+          kind: group.kind,
+          source: group.source,
+          markets: group.markets.map(market => ({ id: market.id, title: market.title, yesPrice: market.yesPrice })),
+        }));
+        res.json({ groups, violations: findConsistencyViolations(markets, { ...options, maxBaskets: 50 }) });
+      } catch (error) {
+        logger.error('Predictions consistency endpoint error:', error);
+        res.status(500).json({ error: 'Failed to check market consistency' });
+      }
+    });
+
     this.app.get('/api/predictions/traces', (req, res) => {
       try {
         const limit = parseInt(req.query.limit as string) || 200;
@@ -1913,6 +1980,7 @@ class DashboardServer {
         regime: state.regime,
         indicators: state.indicators,
         candles: state.candles?.slice(-20), // Keep more candles for analysis
+        portfolio: state.portfolio,
         similarPatternsCount: state.similarPatterns?.length || 0,
         strategyIdeas: state.strategyIdeas,
         backtestResults: state.backtestResults,
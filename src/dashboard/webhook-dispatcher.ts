@@ -0,0 +1,506 @@
+// =============================================================================
+// Webhook Dispatcher — delivers Agent API webhook events
+// =============================================================================
+//
+// Subscribes to the message bus and POSTs every matching event to the webhooks
+// registered through POST /api/agent/webhooks. Each delivery is:
+//   - signed with HMAC-SHA256 over `${timestamp}.${body}` using the webhook secret
+//   - retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached
+//   - recorded in agent_webhook_deliveries so it can be queried and replayed
+//
+// A webhook whose deliveries keep failing (WEBHOOK_DISABLE_AFTER_FAILURES
+// consecutive failed deliveries) is disabled. A successful manual replay
+// re-enables it.
+// =============================================================================
+
+import crypto from 'crypto';
+import axios from 'axios';
+import BetterSqlite3 from 'better-sqlite3';
+import configManager from '../shared/config';
+import logger from '../shared/logger';
+import messageBus, { Channel, Message } from '../shared/message-bus';
+import type {
+  AgentName,
+  WebhookEvent,
+  WebhookDelivery,
+  WebhookDeliveryStatus,
+} from './agent-api-types';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+/**
+ * The subset of a registered webhook the dispatcher needs. The dispatcher
+ * mutates lastTriggered / consecutiveFailures / active in place and hands the
+ * object back through onWebhookUpdated so the owner can persist it.
+ */
+export interface DispatchableWebhook {
+  id: string;
+  url: string;
+  events: string[];
+  secret?: string;
+  active: boolean;
+  lastTriggered?: string;
+  consecutiveFailures?: number;
+  disabledReason?: string;
+}
+
+export interface WebhookDispatcherOptions {
+  getWebhook: (id: string) => DispatchableWebhook | undefined;
+  getWebhooks: () => Iterable<DispatchableWebhook>;
+  onWebhookUpdated: (webhook: DispatchableWebhook) => void | Promise<void>;
+  agentNames: AgentName[];
+}
+
+interface DeliveryRow {
+  id: string;
+  webhook_id: string;
+  event: string;
+  channel: string;
+  payload: string;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  response_status: number | null;
+  error: string | null;
+  created_at: string;
+  last_attempt_at: string | null;
+  next_attempt_at: string | null;
+  delivered_at: string | null;
+  replay_of: string | null;
+}
+
+// ---------------------------------------------------------------------------
+// Event → message bus channel mapping
+// ---------------------------------------------------------------------------
+
+const STATIC_EVENT_CHANNELS: Record<Exclude<WebhookEvent, 'agent_status'>, string[]> = {
+  trade: [Channel.EXECUTION_FILLED],
+  signal: [Channel.SIGNAL_GENERATED],
+  risk_alert: [Channel.RISK_LIMIT_BREACH, Channel.CIRCUIT_BREAKER_OPEN],
+  backtest_complete: [Channel.BACKTEST_COMPLETE, 'research:backtest:complete'],
+  position_change: [Channel.POSITION_OPENED, Channel.POSITION_CLOSED, Channel.POSITION_UPDATED],
+};
+
+export const SIGNATURE_HEADER = 'X-PerpsTrader-Signature';
+export const TIMESTAMP_HEADER = 'X-PerpsTrader-Timestamp';
+export const EVENT_HEADER = 'X-PerpsTrader-Event';
+export const DELIVERY_HEADER = 'X-PerpsTrader-Delivery';
+
+/**
+ * Compute the signature header value for a payload. Receivers recompute this
+ * with their copy of the secret and compare using a constant-time check.
+ */
+export function signWebhookPayload(secret: string, timestamp: string, body: string): string {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// ---------------------------------------------------------------------------
+// Dispatcher
+// ---------------------------------------------------------------------------
+
+export class WebhookDispatcher {
+  private db: BetterSqlite3.Database | null = null;
+  private readonly dbPath?: string;
+  private options: WebhookDispatcherOptions | null = null;
+  private started = false;
+  private readonly retryTimers = new Map<string, NodeJS.Timeout>();
+  private readonly maxAttempts: number;
+  private readonly baseBackoffMs: number;
+  private readonly maxBackoffMs: number;
+  private readonly timeoutMs: number;
+  private readonly disableAfterFailures: number;
+  private readonly historyPerWebhook: number;
+
+  /**
+   * @param dbPath Delivery log location; defaults to the trading database
+   */
+  constructor(dbPath?: string) {
+    this.dbPath = dbPath;
+    this.maxAttempts = Math.max(1, Number.parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10) || 5);
+    this.baseBackoffMs = Math.max(100, Number.parseInt(process.env.WEBHOOK_BACKOFF_MS || '2000', 10) || 2000);
+    this.maxBackoffMs = Math.max(this.baseBackoffMs, Number.parseInt(process.env.WEBHOOK_MAX_BACKOFF_MS || '300000', 10) || 300000);
+    this.timeoutMs = Math.max(1000, Number.parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10) || 10000);
+    this.disableAfterFailures = Math.max(1, Number.parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES || '10', 10) || 10);
+    this.historyPerWebhook = Math.max(10, Number.parseInt(process.env.WEBHOOK_HISTORY_LIMIT || '500', 10) || 500);
+  }
+
+  /**
+   * Open the delivery log, subscribe to the message bus and resume any
+   * deliveries that were still pending when the process last stopped.
+   */
+  async start(options: WebhookDispatcherOptions): Promise<void> {
+    if (this.started) return;
+    this.options = options;
+    this.started = true;
+
+    this.openDb();
+
+    for (const [event, channels] of Object.entries(this.getEventChannels(options.agentNames))) {
+      for (const channel of channels) {
+        await messageBus.subscribe(channel, (message: Message) => {
+          this.dispatch(event as WebhookEvent, channel, message);
+        });
+      }
+    }
+
+    this.resumePending();
+    logger.info('[WebhookDispatcher] Started');
+  }
+
+  /**
+   * Stop retry timers and close the delivery log.
+   */
+  stop(): void {
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.started = false;
+  }
+
+  /**
+   * Fan a message bus event out to every active webhook subscribed to it.
+   */
+  dispatch(event: WebhookEvent, channel: string, message: Pick<Message, 'data' | 'id' | 'timestamp' | 'source'>): void {
+    if (!this.options) return;
+
+    for (const webhook of this.options.getWebhooks()) {
+      if (!webhook.active || !webhook.events.includes(event)) continue;
+
+      const payload = {
+        event,
+        channel,
+        webhookId: webhook.id,
+        messageId: message.id ?? null,
+        source: message.source,
+        occurredAt: new Date(message.timestamp ?? Date.now()).toISOString(),
+        data: message.data,
+      };
+
+      const delivery = this.createDelivery(webhook.id, event, channel, payload);
+      void this.attempt(delivery.id).catch((error) => {
+        logger.error(`[WebhookDispatcher] Delivery ${delivery.id} failed:`, error);
+      });
+    }
+  }
+
+  /**
+   * Delivery history for a webhook, newest first.
+   */
+  getDeliveries(webhookId: string, opts: { status?: WebhookDeliveryStatus; limit?: number; offset?: number } = {}): {
+    deliveries: WebhookDelivery[];
+    total: number;
+  } {
+    if (!this.db) return { deliveries: [], total: 0 };
+
+    const limit = Math.min(Math.max(opts.limit ?? 50, 1), 500);
+    const offset = Math.max(opts.offset ?? 0, 0);
+    const where = opts.status ? 'webhook_id = ? AND status = ?' : 'webhook_id = ?';
+    const params: any[] = opts.status ? [webhookId, opts.status] : [webhookId];
+
+    const rows = this.db.prepare(`
+      SELECT * FROM agent_webhook_deliveries
+      WHERE ${where}
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset) as DeliveryRow[];
+    const { count } = this.db.prepare(`
+      SELECT COUNT(*) as count FROM agent_webhook_deliveries WHERE ${where}
+    `).get(...params) as { count: number };
+
+    return { deliveries: rows.map(row => this.toDelivery(row)), total: count };
+  }
+
+  getDelivery(deliveryId: string): WebhookDelivery | null {
+    const row = this.getDeliveryRow(deliveryId);
+    return row ? this.toDelivery(row) : null;
+  }
+
+  /**
+   * Re-send a recorded delivery as a new delivery with the original payload
+   * (its body carries the new delivery id). Resolves once the first attempt
+   * has completed.
+   */
+  async replay(deliveryId: string): Promise<WebhookDelivery | null> {
+    const original = this.getDeliveryRow(deliveryId);
+    if (!original) return null;
+
+    const replay = this.createDelivery(
+      original.webhook_id,
+      original.event as WebhookEvent,
+      original.channel,
+      JSON.parse(original.payload),
+      original.id,
+    );
+    await this.attempt(replay.id, { manual: true });
+    return this.getDelivery(replay.id);
+  }
+
+  // -------------------------------------------------------------------------
+  // Delivery
+  // -------------------------------------------------------------------------
+
+  private async attempt(deliveryId: string, opts: { manual?: boolean } = {}): Promise<void> {
+    this.retryTimers.delete(deliveryId);
+
+    const row = this.getDeliveryRow(deliveryId);
+    if (!row || row.status !== 'pending' || !this.options) return;
+
+    const webhook = this.options.getWebhook(row.webhook_id);
+    if (!webhook) {
+      this.finishDelivery(row, 'failed', null, 'Webhook no longer registered');
+      return;
+    }
+    if (!webhook.active && !opts.manual) {
+      this.finishDelivery(row, 'failed', null, 'Webhook disabled');
+      return;
+    }
+
+    const attemptNumber = row.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PerpsTrader-Webhooks/1.0',
+      [EVENT_HEADER]: row.event,
+      [DELIVERY_HEADER]: row.id,
+      [TIMESTAMP_HEADER]: timestamp,
+    };
+    if (webhook.secret) {
+      headers[SIGNATURE_HEADER] = signWebhookPayload(webhook.secret, timestamp, row.payload);
+    }
+
+    let responseStatus: number | null = null;
+    let error: string | null = null;
+
+    try {
+      const response = await axios.post(webhook.url, row.payload, {
+        headers,
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        // payload is already serialized; the signature covers these exact bytes
+        transformRequest: [(data: string) => data],
+      });
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err instanceof Error ? err.message : String(err);
+    }
+
+    const now = new Date().toISOString();
+
+    if (!error) {
+      this.db?.prepare(`
+        UPDATE agent_webhook_deliveries
+        SET status = 'success', attempts = ?, response_status = ?, error = NULL,
+            last_attempt_at = ?, next_attempt_at = NULL, delivered_at = ?
+        WHERE id = ?
+      `).run(attemptNumber, responseStatus, now, now, row.id);
+
+      webhook.lastTriggered = now;
+      webhook.consecutiveFailures = 0;
+      if (!webhook.active && opts.manual) {
+        webhook.active = true;
+        webhook.disabledReason = undefined;
+        logger.info(`[WebhookDispatcher] Webhook ${webhook.id} re-enabled after successful replay`);
+      }
+      await this.options.onWebhookUpdated(webhook);
+      return;
+    }
+
+    // Manual replays get a single attempt; automatic deliveries back off and retry.
+    if (!opts.manual && attemptNumber < this.maxAttempts) {
+      const delay = this.backoffDelay(attemptNumber);
+      this.db?.prepare(`
+        UPDATE agent_webhook_deliveries
+        SET attempts = ?, response_status = ?, error = ?, last_attempt_at = ?, next_attempt_at = ?
+        WHERE id = ?
+      `).run(attemptNumber, responseStatus, error, now, new Date(Date.now() + delay).toISOString(), row.id);
+      this.scheduleRetry(row.id, delay);
+      logger.debug(`[WebhookDispatcher] Delivery ${row.id} attempt ${attemptNumber} failed (${error}), retrying in ${delay}ms`);
+      return;
+    }
+
+    this.finishDelivery({ ...row, attempts: attemptNumber }, 'failed', responseStatus, error);
+    logger.warn(`[WebhookDispatcher] Delivery ${row.id} to ${webhook.url} failed after ${attemptNumber} attempt(s): ${error}`);
+
+    webhook.lastTriggered = now;
+    webhook.consecutiveFailures = (webhook.consecutiveFailures ?? 0) + 1;
+    if (webhook.active && webhook.consecutiveFailures >= this.disableAfterFailures) {
+      webhook.active = false;
+      webhook.disabledReason = `Disabled after ${webhook.consecutiveFailures} consecutive failed deliveries (last error: ${error})`;
+      logger.warn(`[WebhookDispatcher] Webhook ${webhook.id} disabled: ${webhook.disabledReason}`);
+      this.cancelPendingFor(webhook.id);
+    }
+    await this.options.onWebhookUpdated(webhook);
+  }
+
+  private backoffDelay(attemptNumber: number): number {
+    const exponential = this.baseBackoffMs * Math.pow(2, attemptNumber - 1);
+    const jitter = Math.random() * this.baseBackoffMs;
+    return Math.min(exponential + jitter, this.maxBackoffMs);
+  }
+
+  private scheduleRetry(deliveryId: string, delayMs: number): void {
+    const timer = setTimeout(() => {
+      void this.attempt(deliveryId).catch((error) => {
+        logger.error(`[WebhookDispatcher] Retry of ${deliveryId} failed:`, error);
+      });
+    }, delayMs);
+    timer.unref?.();
+    this.retryTimers.set(deliveryId, timer);
+  }
+
+  private cancelPendingFor(webhookId: string): void {
+    if (!this.db) return;
+    const pending = this.db.prepare(`
+      SELECT id FROM agent_webhook_deliveries WHERE webhook_id = ? AND status = 'pending'
+    `).all(webhookId) as Array<{ id: string }>;
+    for (const { id } of pending) {
+      const timer = this.retryTimers.get(id);
+      if (timer) clearTimeout(timer);
+      this.retryTimers.delete(id);
+    }
+    this.db.prepare(`
+      UPDATE agent_webhook_deliveries
+      SET status = 'failed', error = 'Webhook disabled', next_attempt_at = NULL
+      WHERE webhook_id = ? AND status = 'pending'
+    `).run(webhookId);
+  }
+
+  private resumePending(): void {
+    if (!this.db) return;
+    const rows = this.db.prepare(`
+      SELECT id, next_attempt_at FROM agent_webhook_deliveries WHERE status = 'pending'
+    `).all() as Array<{ id: string; next_attempt_at: string | null }>;
+
+    for (const row of rows) {
+      const dueAt = row.next_attempt_at ? new Date(row.next_attempt_at).getTime() : Date.now();
+      this.scheduleRetry(row.id, Math.max(dueAt - Date.now(), 0));
+    }
+    if (rows.length > 0) {
+      logger.info(`[WebhookDispatcher] Resumed ${rows.length} pending deliveries`);
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Persistence
+  // -------------------------------------------------------------------------
+
+  private openDb(): void {
+    try {
+      const dbPath = this.dbPath || configManager.get().database?.connection || './data/trading.db';
+      this.db = new BetterSqlite3(dbPath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('busy_timeout = 5000');
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS agent_webhook_deliveries (
+          id TEXT PRIMARY KEY,
+          webhook_id TEXT NOT NULL,
+          event TEXT NOT NULL,
+          channel TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          response_status INTEGER,
+          error TEXT,
+          created_at TEXT NOT NULL,
+          last_attempt_at TEXT,
+          next_attempt_at TEXT,
+          delivered_at TEXT,
+          replay_of TEXT
+        )
+      `);
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+        ON agent_webhook_deliveries(webhook_id, created_at DESC)
+      `);
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status
+        ON agent_webhook_deliveries(status)
+      `);
+    } catch (error) {
+      logger.error('[WebhookDispatcher] Failed to open delivery log:', error);
+      this.db = null;
+    }
+  }
+
+  private createDelivery(
+    webhookId: string,
+    event: WebhookEvent,
+    channel: string,
+    payload: unknown,
+    replayOf?: string,
+  ): { id: string } {
+    const id = `whd_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const createdAt = new Date().toISOString();
+
+    this.db?.prepare(`
+      INSERT INTO agent_webhook_deliveries (id, webhook_id, event, channel, payload, status, attempts, created_at, replay_of)
+      VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?)
+    `).run(id, webhookId, event, channel, JSON.stringify({ ...(payload as object), id }), createdAt, replayOf ?? null);
+
+    this.pruneHistory(webhookId);
+    return { id };
+  }
+
+  private finishDelivery(row: DeliveryRow, status: WebhookDeliveryStatus, responseStatus: number | null, error: string | null): void {
+    this.db?.prepare(`
+      UPDATE agent_webhook_deliveries
+      SET status = ?, attempts = ?, response_status = ?, error = ?, last_attempt_at = ?, next_attempt_at = NULL
+      WHERE id = ?
+    `).run(status, row.attempts, responseStatus, error, new Date().toISOString(), row.id);
+  }
+
+  private pruneHistory(webhookId: string): void {
+    this.db?.prepare(`
+      DELETE FROM agent_webhook_deliveries
+      WHERE webhook_id = ? AND status != 'pending' AND id NOT IN (
+        SELECT id FROM agent_webhook_deliveries WHERE webhook_id = ?
+        ORDER BY created_at DESC LIMIT ?
+      )
+    `).run(webhookId, webhookId, this.historyPerWebhook);
+  }
+
+  private getDeliveryRow(deliveryId: string): DeliveryRow | null {
+    if (!this.db) return null;
+    return (this.db.prepare('SELECT * FROM agent_webhook_deliveries WHERE id = ?').get(deliveryId) as DeliveryRow) ?? null;
+  }
+
+  private toDelivery(row: DeliveryRow): WebhookDelivery {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      event: row.event as WebhookEvent,
+      channel: row.channel,
+      status: row.status,
+      attempts: row.attempts,
+      responseStatus: row.response_status,
+      error: row.error,
+      payload: JSON.parse(row.payload),
+      createdAt: row.created_at,
+      lastAttemptAt: row.last_attempt_at,
+      nextAttemptAt: row.next_attempt_at,
+      deliveredAt: row.delivered_at,
+      replayOf: row.replay_of,
+    };
+  }
+
+  private getEventChannels(agentNames: AgentName[]): Record<WebhookEvent, string[]> {
+    return {
+      ...STATIC_EVENT_CHANNELS,
+      agent_status: agentNames.flatMap(name => [`agent:${name}:start`, `agent:${name}:stop`]),
+    };
+  }
+}
+
+const webhookDispatcher = new WebhookDispatcher();
+export default webhookDispatcher;
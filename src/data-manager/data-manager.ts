@@ -50,6 +50,9 @@ export class DataManager {
         CREATE INDEX IF NOT EXISTS idx_strategies_params_hash ON strategies(name, params_hash);
       `);
 
+      // Declarative entry/exit rules (added after the initial schema)
+      try { this.db.exec('ALTER TABLE strategies ADD COLUMN rules TEXT'); } catch { /* column already exists */ }
+
       // Strategy generations (evolution tracking)
       this.db.exec(`
         CREATE TABLE IF NOT EXISTS strategy_generations (
@@ -232,9 +235,9 @@ export class DataManager {
       const stmt = this.db.prepare(`
         INSERT OR REPLACE INTO strategies (
           id, name, description, type, symbols, timeframe, parameters,
-          entryConditions, exitConditions, riskParameters, isActive,
+          entryConditions, exitConditions, rules, riskParameters, isActive,
           performance, createdAt, updatedAt
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       stmt.run(
@@ -247,6 +250,7 @@ export class DataManager {
         JSON.stringify(strategy.parameters),
         JSON.stringify(strategy.entryConditions),
         JSON.stringify(strategy.exitConditions),
+        strategy.rules ? JSON.stringify(strategy.rules) : null,
         JSON.stringify(strategy.riskParameters),
         strategy.isActive ? 1 : 0,
         JSON.stringify(strategy.performance),
@@ -730,6 +734,7 @@ export class DataManager {
       parameters: this._safeJson(row.parameters, {}),
       entryConditions: this._safeJson(row.entryConditions, []),
       exitConditions: this._safeJson(row.exitConditions, []),
+      rules: this._safeJson(row.rules, undefined),
       riskParameters: this._safeJson(row.riskParameters, {}),
       isActive: row.isActive === 1,
       performance: this._safeJson(row.performance, {}),
@@ -9,6 +9,7 @@ import {
   PredictionTrade,
   PredictionPosition,
   PredictionBacktestResult,
+  PredictionForecast,
 } from '../shared/types';
 
 interface PredictionAgentStatus {
@@ -31,13 +32,13 @@ interface PredictionMarketFilter {
   maxAgeDays?: number;
 }
 
-class PredictionStore {
+export class PredictionStore {
   private db: BetterSqlite3.Database | null = null;
   private initialized = false;
   private dbPath: string;
 
-  constructor() {
-    this.dbPath = process.env.PREDICTION_DB_PATH || './data/predictions.db';
+  constructor(dbPath: string = process.env.PREDICTION_DB_PATH || './data/predictions.db') {
+    this.dbPath = dbPath;
   }
 
   private coerceTimestamp(value: unknown): number {
@@ -54,6 +55,40 @@ class PredictionStore {
     return 0;
   }
 
+  private toMarket(row: any): PredictionMarket {
+    return {
+      id: row.id,
+
+      slug: row.slug || undefined,
+      title: row.title,
+      category: row.category || undefined,
+      status: (row.status || 'UNKNOWN') as PredictionMarket['status'],
+      outcomes: (() => {
+        if (!row.outcomes) return [];
+        try {
+          return JSON.parse(row.outcomes);
+        } catch (error) {
+          return [];
+        }
+      })(),
+      yesPrice: Number.isFinite(row.yes_price) ? row.yes_price : undefined,
+      noPrice: Number.isFinite(row.no_price) ? row.no_price : undefined,
+      volume: Number.isFinite(row.volume) ? row.volume : undefined,
+      liquidity: Number.isFinite(row.liquidity) ? row.liquidity : undefined,
+      closeTime: row.close_time ? new Date(row.close_time) : null,
+      source: 'POLYMARKET' as const,
+      updatedAt: row.updated_at ? new Date(row.updated_at) : new Date(),
+      metadata: (() => {
+        if (!row.metadata) return undefined;
+        try {
+          return JSON.parse(row.metadata);
+        } catch (error) {
+          return undefined;
+        }
+      })(),
+    };
+  }
+
   private resolveMarketTimestamp(market: PredictionMarket): number {
     const meta = market.metadata as Record<string, any> | undefined;
     const metaTimestamp = this.coerceTimestamp(meta?.marketTimestamp);
@@ -153,6 +188,27 @@ class PredictionStore {
         )
       `);
 
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS prediction_forecasts (
+          id TEXT PRIMARY KEY,
+          market_id TEXT NOT NULL,
+          market_title TEXT NOT NULL,
+          idea_type TEXT NOT NULL,
+          outcome TEXT NOT NULL,
+          implied_probability REAL NOT NULL,
+          predicted_probability REAL NOT NULL,
+          edge_multiplier REAL NOT NULL,
+          created_at TEXT NOT NULL,
+          resolved_outcome TEXT,
+          resolved_at TEXT
+        )
+      `);
+
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_prediction_forecasts_market
+        ON prediction_forecasts(market_id, resolved_outcome)
+      `);
+
       this.db.exec(`
         CREATE TABLE IF NOT EXISTS prediction_agent_status (
           id INTEGER PRIMARY KEY CHECK (id = 1),
@@ -284,36 +340,7 @@ class PredictionStore {
       LIMIT ?
     `).all(scanLimit) as any[];
 
-    let markets = rows.map(row => ({
-      id: row.id,
-      slug: row.slug || undefined,
-      title: row.title,
-      category: row.category || undefined,
-      status: (row.status || 'UNKNOWN') as PredictionMarket['status'],
-      outcomes: (() => {
-        if (!row.outcomes) return [];
-        try {
-          return JSON.parse(row.outcomes);
-        } catch (error) {
-          return [];
-        }
-      })(),
-      yesPrice: Number.isFinite(row.yes_price) ? row.yes_price : undefined,
-      noPrice: Number.isFinite(row.no_price) ? row.no_price : undefined,
-      volume: Number.isFinite(row.volume) ? row.volume : undefined,
-      liquidity: Number.isFinite(row.liquidity) ? row.liquidity : undefined,
-      closeTime: row.close_time ? new Date(row.close_time) : null,
-      source: 'POLYMARKET' as const,
-      updatedAt: row.updated_at ? new Date(row.updated_at) : new Date(),
-      metadata: (() => {
-        if (!row.metadata) return undefined;
-        try {
-          return JSON.parse(row.metadata);
-        } catch (error) {
-          return undefined;
-        }
-      })(),
-    }));
+    let markets = rows.map(row => this.toMarket(row));
 
     if (filter.statuses && filter.statuses.length) {
       const allowed = new Set(filter.statuses);
@@ -336,6 +363,33 @@ class PredictionStore {
     return markets.slice(0, resolvedLimit) as PredictionMarket[];
   }
 
+  getMarket(marketId: string): PredictionMarket | null {
+    if (!this.db) this.initialize();
+    if (!this.db) return null;
+
+    const row = this.db.prepare(`
+      SELECT * FROM prediction_markets WHERE id = ?
+    `).get(marketId) as any;
+    return row ? this.toMarket(row) : null;
+  }
+
+  /**
+   * Markets with at least one price snapshot in [start, end]
+   */
+  getSnapshotMarketIds(start?: Date, end?: Date): string[] {
+    if (!this.db) this.initialize();
+    if (!this.db) return [];
+
+    const rows = this.db.prepare(`
+      SELECT DISTINCT market_id FROM prediction_market_prices
+      WHERE timestamp >= ? AND timestamp <= ?
+    `).all(
+      start ? start.toISOString() : '',
+      end ? end.toISOString() : '9999'
+    ) as any[];
+    return rows.map(row => row.market_id);
+  }
+
   getMarketPrices(marketId: string, limit: number = 200): PredictionMarketSnapshot[] {
     if (!this.db) this.initialize();
     if (!this.db) return [];
@@ -521,6 +575,113 @@ class PredictionStore {
     }));
   }
 
+  /**
+   * Keeps the first forecast per id (market + idea type); later ones are ignored
+   */
+  recordForecasts(forecasts: PredictionForecast[]): number {
+    if (!this.db) this.initialize();
+    if (!this.db || !forecasts.length) return 0;
+
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO prediction_forecasts (
+        id, market_id, market_title, idea_type, outcome, implied_probability,
+        predicted_probability, edge_multiplier, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const batch = this.db.transaction((items: PredictionForecast[]) => {
+      let inserted = 0;
+      for (const forecast of items) {
+        inserted += stmt.run(
+          forecast.id,
+          forecast.marketId,
+          forecast.marketTitle,
+          forecast.ideaType,
+          forecast.outcome,
+          forecast.impliedProbability,
+          forecast.predictedProbability,
+          forecast.edgeMultiplier,
+          forecast.createdAt.toISOString()
+        ).changes;
+      }
+      return inserted;
+    });
+
+    return batch(forecasts);
+  }
+
+  getPendingForecastMarketIds(): string[] {
+    if (!this.db) this.initialize();
+    if (!this.db) return [];
+
+    const rows = this.db.prepare(`
+      SELECT market_id, MIN(created_at) AS first_seen FROM prediction_forecasts
+      WHERE resolved_outcome IS NULL
+      GROUP BY market_id
+      ORDER BY first_seen ASC
+    `).all() as any[];
+
+    return rows.map(row => row.market_id);
+  }
+
+  resolveForecasts(marketId: string, outcome: 'YES' | 'NO', resolvedAt: Date): number {
+    if (!this.db) this.initialize();
+    if (!this.db) return 0;
+
+    return this.db.prepare(`
+      UPDATE prediction_forecasts
+      SET resolved_outcome = ?, resolved_at = ?
+      WHERE market_id = ? AND resolved_outcome IS NULL
+    `).run(outcome, resolvedAt.toISOString(), marketId).changes;
+  }
+
+  /**
+   * Outcomes recorded by the calibration tracker, keyed by market id
+   */
+  getForecastResolutions(): Record<string, { outcome: 'YES' | 'NO'; resolvedAt: Date }> {
+    if (!this.db) this.initialize();
+    if (!this.db) return {};
+
+    const rows = this.db.prepare(`
+      SELECT market_id, resolved_outcome, MIN(resolved_at) AS resolved_at FROM prediction_forecasts
+      WHERE resolved_outcome IS NOT NULL
+      GROUP BY market_id, resolved_outcome
+    `).all() as any[];
+
+    const resolutions: Record<string, { outcome: 'YES' | 'NO'; resolvedAt: Date }> = {};
+    for (const row of rows) {
+      resolutions[row.market_id] = { outcome: row.resolved_outcome, resolvedAt: new Date(row.resolved_at) };
+    }
+    return resolutions;
+  }
+
+  getResolvedForecasts(limit: number = 5000): PredictionForecast[] {
+    if (!this.db) this.initialize();
+    if (!this.db) return [];
+
+    const resolvedLimit = Number.isFinite(limit) ? limit : 5000;
+    const rows = this.db.prepare(`
+      SELECT * FROM prediction_forecasts
+      WHERE resolved_outcome IS NOT NULL
+      ORDER BY resolved_at DESC
+      LIMIT ?
+    `).all(resolvedLimit) as any[];
+
+    return rows.map(row => ({
+      id: row.id,
+      marketId: row.market_id,
+      marketTitle: row.market_title,
+      ideaType: row.idea_type,
+      outcome: row.outcome,
+      impliedProbability: row.implied_probability,
+      predictedProbability: row.predicted_probability,
+      edgeMultiplier: row.edge_multiplier,
+      createdAt: new Date(row.created_at),
+      resolvedOutcome: row.resolved_outcome,
+      resolvedAt: row.resolved_at ? new Date(row.resolved_at) : undefined,
+    }));
+  }
+
   updateAgentStatus(status: PredictionAgentStatus): void {
     if (!this.db) this.initialize();
     if (!this.db) return;
@@ -7,7 +7,8 @@ export type SafetyEventType =
   | 'consecutive_loss'
   | 'drawdown'
   | 'volatility'
-  | 'frequency_limit';
+  | 'frequency_limit'
+  | 'liquidation_distance';
 
 export interface SafetyEventPayload {
   eventType: SafetyEventType;
@@ -57,6 +57,8 @@ export interface TraceData {
     indicators: Record<string, any> | null;
     marketIntel?: Record<string, any> | null;
     candles: any[];
+    /** Account state the cycle saw; lets replays start from the same balance and positions */
+    portfolio?: Record<string, any> | null;
     similarPatternsCount: number;
     strategyIdeas: any[];
     backtestResults: any[];
@@ -17,6 +17,7 @@ export {
   ParameterBounds,
   PARAMETER_BOUNDS,
   TIMEFRAME_OPTIONS,
+  EVOLVED_STRATEGY_RULES,
   createRandomGenome,
   genomeToStrategy,
 } from './types';
@@ -3,6 +3,8 @@
  * Defines the parameter space for genetic optimization
  */
 
+import { StrategyRules } from '../strategy-dsl';
+
 export interface StrategyParameters {
   // Entry threshold parameters
   entryThresholds: {
@@ -159,6 +161,34 @@ export function createRandomGenome(generation: number = 0): StrategyGenome {
   };
 }
 
+/**
+ * Entry/exit rules every evolved strategy shares. Thresholds and periods are
+ * $parameters, so mutation and crossover change behaviour without touching
+ * the rules themselves.
+ */
+export const EVOLVED_STRATEGY_RULES: StrategyRules = {
+  long: {
+    entry: {
+      all: [
+        ['ema($emaFast)', 'crossesAbove', 'ema($emaSlow)'],
+        ['rsi(14)', '<', '$rsiOverbought'],
+        ['volume', '>', '$volumeThreshold*sma(20,volume)'],
+      ],
+    },
+    exit: ['rsi(14)', 'crossesBelow', '$rsiOverbought'],
+  },
+  short: {
+    entry: {
+      all: [
+        ['ema($emaFast)', 'crossesBelow', 'ema($emaSlow)'],
+        ['rsi(14)', '>', '$rsiOversold'],
+        ['volume', '>', '$volumeThreshold*sma(20,volume)'],
+      ],
+    },
+    exit: ['rsi(14)', 'crossesAbove', '$rsiOversold'],
+  },
+};
+
 /**
  * Convert genome parameters to Strategy format
  */
@@ -185,12 +215,13 @@ export function genomeToStrategy(genome: StrategyGenome): any {
       minHoldTime: genome.parameters.timingParameters.minHoldTime,
     },
     entryConditions: [
-      `RSI crosses above ${genome.parameters.entryThresholds.rsiOversold}`,
-      `RSI crosses below ${genome.parameters.entryThresholds.rsiOverbought}`,
-      `Volume > ${genome.parameters.entryThresholds.volumeThreshold}x average`,
       `Fast EMA (${genome.parameters.entryThresholds.emaFast}) crosses Slow EMA (${genome.parameters.entryThresholds.emaSlow})`,
+      `RSI below ${genome.parameters.entryThresholds.rsiOverbought} (long) / above ${genome.parameters.entryThresholds.rsiOversold} (short)`,
+      `Volume > ${genome.parameters.entryThresholds.volumeThreshold}x 20-bar average`,
     ],
+    rules: EVOLVED_STRATEGY_RULES,
     exitConditions: [
+      `RSI crosses below ${genome.parameters.entryThresholds.rsiOverbought} (long) / above ${genome.parameters.entryThresholds.rsiOversold} (short)`,
       `Stop loss ${(genome.parameters.riskParameters.stopLoss * 100).toFixed(1)}%`,
       `Take profit ${(genome.parameters.riskParameters.takeProfit * 100).toFixed(1)}%`,
       `Max hold time ${genome.parameters.timingParameters.maxHoldTime} minutes`,
@@ -0,0 +1,631 @@
+/**
+ * Execution Algorithms
+ *
+ * Works large entries as a parent order split into child orders instead of one
+ * order that walks a thin book:
+ *  - TWAP: equal slices spread over a time window
+ *  - ICEBERG: one visible clip at a time, the next clip once the previous one is done
+ *  - POV: children sized to a share of the market volume traded since the parent
+ *    started (fed from MarketIngester trade flow via Channel.MARKET_TRADES)
+ *
+ * The manager is tick-driven: a timer calls `tick()` while parents are working.
+ * Children go out through injected place/cancel/lookup functions, so
+ * scheduling does not depend on a live exchange connection. A child only
+ * counts as filled by what the venue reports for it; one whose state cannot
+ * be read stays unresolved and is looked at again on the next tick.
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../shared/logger';
+import type { VenueOrderResult, VenueOrderState } from './venues';
+
+export type ExecutionAlgoType = 'TWAP' | 'ICEBERG' | 'POV';
+export type RiskTier = 'LOW' | 'MEDIUM' | 'HIGH';
+
+export interface ExecutionAlgoSpec {
+  type: ExecutionAlgoType;
+  /** TWAP: window the parent is spread over */
+  durationMs?: number;
+  /** TWAP: number of slices */
+  slices?: number;
+  /** ICEBERG: visible size per child in base units */
+  clipSize?: number;
+  /** ICEBERG: clip as a fraction of the parent when clipSize is not set */
+  clipFraction?: number;
+  /** POV: target share of market volume (0-1) */
+  participationRate?: number;
+  /** POV: smallest child worth sending, as a fraction of the parent */
+  minChildFraction?: number;
+  /** ICEBERG / POV: unfilled remainder is abandoned after this long */
+  maxDurationMs?: number;
+  /** Orders below this notional skip the algo and go out as a single order */
+  minNotionalUsd?: number;
+}
+
+export interface ExecutionAlgoConfig {
+  /** Per-strategy choice; 'DIRECT' opts a strategy out of its tier's algo */
+  strategies?: Record<string, ExecutionAlgoSpec | 'DIRECT'>;
+  /** Fallback per risk tier (see riskTierFor) */
+  tiers?: Partial<Record<RiskTier, ExecutionAlgoSpec>>;
+}
+
+export type ParentOrderStatus = 'WORKING' | 'COMPLETED' | 'EXPIRED' | 'CANCELLED' | 'FAILED';
+export type ChildOrderStatus = 'FILLED' | 'RESTING' | 'CANCELLED' | 'FAILED';
+
+export interface ChildOrder {
+  id: string;
+  orderId?: string;
+  size: number;
+  filledSize: number;
+  filledPrice?: number;
+  status: ChildOrderStatus;
+  submittedAt: number;
+  error?: string;
+}
+
+export interface ParentOrder {
+  id: string;
+  symbol: string;
+  side: 'BUY' | 'SELL';
+  strategyId: string;
+  algo: ExecutionAlgoSpec;
+  totalSize: number;
+  filledSize: number;
+  /** Size-weighted average price over filled children (0 until the first fill) */
+  avgFillPrice: number;
+  /** Reference / limit price handed to each child */
+  price?: number;
+  orderType: 'limit' | 'market';
+  reduceOnly: boolean;
+  /** Market volume seen on the symbol since the parent started */
+  marketVolume: number;
+  status: ParentOrderStatus;
+  children: ChildOrder[];
+  createdAt: number;
+  updatedAt: number;
+  nextChildAt: number;
+  completedAt?: number;
+  reason?: string;
+}
+
+export interface ChildOrderRequest {
+  parentId: string;
+  symbol: string;
+  side: 'BUY' | 'SELL';
+  size: number;
+  price?: number;
+  orderType: 'limit' | 'market';
+  reduceOnly: boolean;
+}
+
+export interface StartParentOrderParams {
+  symbol: string;
+  side: 'BUY' | 'SELL';
+  size: number;
+  strategyId: string;
+  algo: ExecutionAlgoSpec;
+  price?: number;
+  orderType?: 'limit' | 'market';
+  reduceOnly?: boolean;
+}
+
+export interface ExecutionAlgoDeps {
+  placeChild: (request: ChildOrderRequest) => Promise<VenueOrderResult>;
+  /** Resolves true when the order was cancelled while still resting */
+  cancelChild: (symbol: string, orderId: string) => Promise<boolean>;
+  /** Whether the order is still open and what it filled at or after `since` */
+  getChildState: (symbol: string, orderId: string, since: number) => Promise<VenueOrderState>;
+  now?: () => number;
+}
+
+export class ExecutionAlgoError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ExecutionAlgoError';
+  }
+}
+
+const ALGO_TYPES: ReadonlySet<string> = new Set<ExecutionAlgoType>(['TWAP', 'ICEBERG', 'POV']);
+const RISK_TIERS: readonly RiskTier[] = ['LOW', 'MEDIUM', 'HIGH'];
+
+const DEFAULT_TWAP_DURATION_MS = 5 * 60 * 1000;
+const DEFAULT_TWAP_SLICES = 10;
+const DEFAULT_CLIP_FRACTION = 0.1;
+const DEFAULT_PARTICIPATION_RATE = 0.1;
+const DEFAULT_MIN_CHILD_FRACTION = 0.05;
+const DEFAULT_MAX_DURATION_MS = 10 * 60 * 1000;
+
+const TICK_INTERVAL_MS = 1000;
+/** A resting child is cancelled and its size rescheduled after this long */
+const CHILD_RESTING_TIMEOUT_MS = 30000;
+/** How far before a child's submission its fills are searched (venue clocks drift) */
+const CHILD_FILL_LOOKBACK_MS = 60000;
+/** Wait before retrying after a child was rejected / not filled */
+const CHILD_RETRY_DELAY_MS = 5000;
+const MAX_CONSECUTIVE_CHILD_FAILURES = 5;
+const MAX_FINISHED_PARENTS = 200;
+
+/**
+ * Bucket the risk manager's 0-1 risk score (trades above 0.7 are rejected outright)
+ */
+export function riskTierFor(riskScore: number): RiskTier {
+  if (!Number.isFinite(riskScore) || riskScore < 0.3) return 'LOW';
+  return riskScore < 0.6 ? 'MEDIUM' : 'HIGH';
+}
+
+/**
+ * Check a spec and fill in the defaults for its algo type
+ */
+export function normalizeAlgoSpec(spec: ExecutionAlgoSpec): ExecutionAlgoSpec {
+  if (!spec || !ALGO_TYPES.has(spec.type)) {
+    throw new ExecutionAlgoError(`unknown execution algo type: ${spec?.type}`);
+  }
+
+  const positive = (name: keyof ExecutionAlgoSpec, value: number | undefined, max?: number): void => {
+    if (value === undefined) return;
+    if (!Number.isFinite(value) || value <= 0 || (max !== undefined && value > max)) {
+      throw new ExecutionAlgoError(`${spec.type}: ${name} must be a positive number${max !== undefined ? ` <= ${max}` : ''}`);
+    }
+  };
+  positive('durationMs', spec.durationMs);
+  positive('slices', spec.slices);
+  positive('clipSize', spec.clipSize);
+  positive('clipFraction', spec.clipFraction, 1);
+  positive('participationRate', spec.participationRate, 1);
+  positive('minChildFraction', spec.minChildFraction, 1);
+  positive('maxDurationMs', spec.maxDurationMs);
+
+  switch (spec.type) {
+    case 'TWAP':
+      return {
+        ...spec,
+        durationMs: spec.durationMs ?? DEFAULT_TWAP_DURATION_MS,
+        slices: Math.max(1, Math.round(spec.slices ?? DEFAULT_TWAP_SLICES)),
+      };
+    case 'ICEBERG':
+      return {
+        ...spec,
+        clipFraction: spec.clipFraction ?? DEFAULT_CLIP_FRACTION,
+        maxDurationMs: spec.maxDurationMs ?? DEFAULT_MAX_DURATION_MS,
+      };
+    case 'POV':
+      return {
+        ...spec,
+        participationRate: spec.participationRate ?? DEFAULT_PARTICIPATION_RATE,
+        minChildFraction: spec.minChildFraction ?? DEFAULT_MIN_CHILD_FRACTION,
+        maxDurationMs: spec.maxDurationMs ?? DEFAULT_MAX_DURATION_MS,
+      };
+  }
+}
+
+/**
+ * Parse EXECUTION_ALGOS, e.g.
+ * {"strategies":{"alt-breakout":{"type":"ICEBERG","clipSize":50}},"tiers":{"HIGH":{"type":"TWAP","durationMs":300000}}}
+ * Throws ExecutionAlgoError on malformed input.
+ */
+export function parseExecutionAlgoConfig(raw: string | undefined): ExecutionAlgoConfig {
+  if (!raw || raw.trim() === '') return {};
+
+  let parsed: any;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new ExecutionAlgoError(`invalid JSON: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ExecutionAlgoError('expected an object with "strategies" and/or "tiers"');
+  }
+
+  const config: ExecutionAlgoConfig = {};
+  if (parsed.strategies) {
+    config.strategies = {};
+    for (const [strategyId, spec] of Object.entries<any>(parsed.strategies)) {
+      config.strategies[strategyId] = spec === 'DIRECT' ? 'DIRECT' : normalizeAlgoSpec(spec);
+    }
+  }
+  if (parsed.tiers) {
+    config.tiers = {};
+    for (const [tier, spec] of Object.entries<any>(parsed.tiers)) {
+      if (!RISK_TIERS.includes(tier as RiskTier)) {
+        throw new ExecutionAlgoError(`unknown risk tier: ${tier}`);
+      }
+      config.tiers[tier as RiskTier] = normalizeAlgoSpec(spec);
+    }
+  }
+  return config;
+}
+
+/**
+ * Pick the algo for an entry: the strategy's own choice first, then its risk
+ * tier. Returns null when the order should go out as a single order.
+ */
+export function selectExecutionAlgo(
+  config: ExecutionAlgoConfig,
+  order: { strategyId: string; riskScore: number; notionalUsd: number }
+): ExecutionAlgoSpec | null {
+  const byStrategy = config.strategies?.[order.strategyId];
+  if (byStrategy === 'DIRECT') return null;
+
+  const spec = byStrategy ?? config.tiers?.[riskTierFor(order.riskScore)];
+  if (!spec) return null;
+  if (spec.minNotionalUsd !== undefined && !(order.notionalUsd >= spec.minNotionalUsd)) return null;
+  return spec;
+}
+
+/**
+ * Schedules child orders for working parents and tracks their fills.
+ * Emits 'fill' with a ParentOrder snapshot each time a child fills, and
+ * 'finished' once a parent reaches a terminal status.
+ */
+export class ExecutionAlgoManager extends EventEmitter {
+  private parents: Map<string, ParentOrder> = new Map();
+  private timer: NodeJS.Timeout | null = null;
+  private inFlightTick: Promise<void> | null = null;
+  private readonly now: () => number;
+
+  constructor(private deps: ExecutionAlgoDeps) {
+    super();
+    this.now = deps.now ?? Date.now;
+  }
+
+  start(params: StartParentOrderParams): ParentOrder {
+    if (!Number.isFinite(params.size) || params.size <= 0) {
+      throw new ExecutionAlgoError(`invalid parent size for ${params.symbol}: ${params.size}`);
+    }
+
+    const now = this.now();
+    const parent: ParentOrder = {
+      id: uuidv4(),
+      symbol: params.symbol.toUpperCase(),
+      side: params.side,
+      strategyId: params.strategyId,
+      algo: normalizeAlgoSpec(params.algo),
+      totalSize: params.size,
+      filledSize: 0,
+      avgFillPrice: 0,
+      price: params.price,
+      orderType: params.orderType ?? 'market',
+      reduceOnly: params.reduceOnly ?? false,
+      marketVolume: 0,
+      status: 'WORKING',
+      children: [],
+      createdAt: now,
+      updatedAt: now,
+      nextChildAt: now,
+    };
+    this.parents.set(parent.id, parent);
+    this.ensureTimer();
+
+    logger.info(
+      `[ExecutionAlgos] Started ${parent.algo.type} parent ${parent.id}: ${parent.side} ${parent.totalSize} ${parent.symbol}`
+    );
+    return this.snapshot(parent);
+  }
+
+  /**
+   * Feed one print from the public trade stream (drives POV sizing)
+   */
+  recordMarketTrade(symbol: string, size: number): void {
+    if (!Number.isFinite(size) || size <= 0) return;
+    const symbolKey = symbol.toUpperCase();
+    for (const parent of this.parents.values()) {
+      if (parent.status === 'WORKING' && parent.symbol === symbolKey) {
+        parent.marketVolume += size;
+      }
+    }
+  }
+
+  /**
+   * Advance every working parent: settle stale resting children, place the
+   * next child when one is due and finish parents that are done or out of time.
+   */
+  async tick(): Promise<void> {
+    if (this.inFlightTick) return this.inFlightTick;
+
+    this.inFlightTick = (async () => {
+      for (const parent of this.parents.values()) {
+        if (parent.status !== 'WORKING') continue;
+        try {
+          await this.work(parent);
+        } catch (error) {
+          const message = error instanceof Error ? error.message : String(error);
+          logger.error(`[ExecutionAlgos] Parent ${parent.id} failed:`, error);
+          this.finish(parent, 'FAILED', message);
+        }
+      }
+    })();
+
+    try {
+      await this.inFlightTick;
+    } finally {
+      this.inFlightTick = null;
+      if (!this.hasWorking()) this.stopTimer();
+    }
+  }
+
+  /**
+   * Stop scheduling a parent and cancel its resting child. Fills already
+   * received stay on the parent. Returns false if it was not working.
+   */
+  async cancel(parentId: string, reason: string = 'cancelled'): Promise<boolean> {
+    const parent = this.parents.get(parentId);
+    if (!parent || parent.status !== 'WORKING') return false;
+
+    // Mark first so an in-flight tick places nothing further, then let it land
+    parent.status = 'CANCELLED';
+    if (this.inFlightTick) {
+      await this.inFlightTick.catch(() => { /* failures are recorded on the parent */ });
+    }
+
+    const unresolved: string[] = [];
+    for (const child of parent.children) {
+      if (child.status === 'RESTING' && !(await this.settleRestingChild(parent, child))) {
+        unresolved.push(child.orderId ?? child.id);
+      }
+    }
+    if (unresolved.length > 0) {
+      logger.error(`[ExecutionAlgos] Parent ${parent.id} cancelled with child order(s) ${unresolved.join(', ')} in an unknown state on the venue`);
+    }
+    this.finish(parent, 'CANCELLED', unresolved.length > 0 ? `${reason}; unresolved child ${unresolved.join(', ')}` : reason);
+    return true;
+  }
+
+  async cancelAll(reason: string = 'cancelled'): Promise<number> {
+    const working = [...this.parents.values()].filter(parent => parent.status === 'WORKING');
+    let cancelled = 0;
+    for (const parent of working) {
+      if (await this.cancel(parent.id, reason)) cancelled++;
+    }
+    this.stopTimer();
+    return cancelled;
+  }
+
+  getParentOrder(parentId: string): ParentOrder | null {
+    const parent = this.parents.get(parentId);
+    return parent ? this.snapshot(parent) : null;
+  }
+
+  getParentOrders(status?: ParentOrderStatus): ParentOrder[] {
+    return [...this.parents.values()]
+      .filter(parent => !status || parent.status === status)
+      .map(parent => this.snapshot(parent));
+  }
+
+  hasWorkingParent(symbol: string): boolean {
+    const symbolKey = symbol.toUpperCase();
+    for (const parent of this.parents.values()) {
+      if (parent.status === 'WORKING' && parent.symbol === symbolKey) return true;
+    }
+    return false;
+  }
+
+  private async work(parent: ParentOrder): Promise<void> {
+    const now = this.now();
+
+    const resting = parent.children.find(child => child.status === 'RESTING');
+    if (resting) {
+      // Market children are only waiting on their fill report; limits get time on the book
+      if (parent.orderType === 'limit' && now - resting.submittedAt < CHILD_RESTING_TIMEOUT_MS) return;
+      if (!(await this.settleRestingChild(parent, resting))) return;
+      if (parent.status !== 'WORKING') return;
+    }
+
+    const remaining = this.remaining(parent);
+    if (remaining <= 0) {
+      this.finish(parent, 'COMPLETED');
+      return;
+    }
+    if (now - parent.createdAt >= this.deadlineMs(parent.algo)) {
+      this.finish(parent, 'EXPIRED', `${parent.algo.type} window elapsed with ${remaining} unfilled`);
+      return;
+    }
+    if (now < parent.nextChildAt) return;
+
+    const size = this.nextChildSize(parent, now - parent.createdAt, remaining);
+    if (size <= 0) return;
+
+    await this.placeChild(parent, size, now);
+    if (parent.status === 'WORKING' && this.remaining(parent) <= 0) {
+      this.finish(parent, 'COMPLETED');
+    }
+  }
+
+  private nextChildSize(parent: ParentOrder, elapsedMs: number, remaining: number): number {
+    const { algo } = parent;
+    switch (algo.type) {
+      case 'TWAP': {
+        const slices = algo.slices!;
+        const interval = algo.durationMs! / slices;
+        const due = Math.min(slices, Math.floor(elapsedMs / interval) + 1);
+        // Catch up on slices that did not fill, never run ahead of schedule
+        return Math.min(remaining, Math.max(0, (parent.totalSize * due) / slices - parent.filledSize));
+      }
+      case 'ICEBERG':
+        return Math.min(remaining, algo.clipSize ?? parent.totalSize * algo.clipFraction!);
+      case 'POV': {
+        // Our own prints are part of the tape, so the cap includes them
+        const allowed = algo.participationRate! * parent.marketVolume - parent.filledSize;
+        if (allowed < remaining && allowed < parent.totalSize * algo.minChildFraction!) return 0;
+        return Math.min(remaining, allowed);
+      }
+    }
+  }
+
+  private async placeChild(parent: ParentOrder, size: number, now: number): Promise<void> {
+    const child: ChildOrder = {
+      id: uuidv4(),
+      size,
+      filledSize: 0,
+      status: 'FAILED',
+      submittedAt: now,
+    };
+    parent.children.push(child);
+
+    let result: VenueOrderResult;
+    try {
+      result = await this.deps.placeChild({
+        parentId: parent.id,
+        symbol: parent.symbol,
+        side: parent.side,
+        size,
+        price: parent.price,
+        orderType: parent.orderType,
+        reduceOnly: parent.reduceOnly,
+      });
+    } catch (error) {
+      result = { success: false, status: 'ERROR', error: error instanceof Error ? error.message : String(error) };
+    }
+
+    child.orderId = result.orderId;
+    if (result.success && result.status === 'FILLED' && result.filledPrice && result.filledPrice > 0) {
+      this.applyFill(parent, child, result.filledSize ?? size, result.filledPrice);
+    } else if (result.success && (result.status === 'FILLED' || result.status === 'RESTING' || result.status === 'PENDING')) {
+      // Filled without a price, or not yet: settled from the venue's fills
+      child.status = 'RESTING';
+    } else {
+      child.error = result.error || result.status;
+      logger.warn(`[ExecutionAlgos] Child of ${parent.id} not filled (${result.status}): ${child.error}`);
+    }
+
+    parent.updatedAt = this.now();
+    parent.nextChildAt = child.status === 'FAILED'
+      ? now + CHILD_RETRY_DELAY_MS
+      : this.nextScheduledAt(parent, now);
+
+    if (this.consecutiveFailures(parent) >= MAX_CONSECUTIVE_CHILD_FAILURES && parent.status === 'WORKING') {
+      this.finish(parent, 'FAILED', `${MAX_CONSECUTIVE_CHILD_FAILURES} consecutive child orders failed: ${child.error}`);
+    }
+  }
+
+  /**
+   * Cancel a resting child and book what the venue says it filled. A failed
+   * cancel proves nothing on its own (the order may have filled, or the
+   * request never arrived), so the order's state decides. Returns false, with
+   * the child still RESTING, while that state is unknown.
+   */
+  private async settleRestingChild(parent: ParentOrder, child: ChildOrder): Promise<boolean> {
+    if (!child.orderId) {
+      child.status = 'CANCELLED';
+      parent.updatedAt = this.now();
+      return true;
+    }
+
+    let cancelled = false;
+    let state: VenueOrderState;
+    try {
+      cancelled = await this.deps.cancelChild(parent.symbol, child.orderId);
+    } catch (error) {
+      logger.warn(`[ExecutionAlgos] Cancel of child ${child.orderId} for ${parent.symbol} failed:`, error);
+    }
+    try {
+      state = await this.deps.getChildState(parent.symbol, child.orderId, child.submittedAt - CHILD_FILL_LOOKBACK_MS);
+    } catch (error) {
+      logger.warn(`[ExecutionAlgos] State of child ${child.orderId} for ${parent.symbol} unknown, retrying next tick:`, error);
+      return false;
+    }
+
+    // Still on the book, or gone without a cancel and without a reported fill yet
+    if (state.open || (!cancelled && state.filledSize <= 0)) {
+      logger.warn(`[ExecutionAlgos] Child ${child.orderId} for ${parent.symbol} not settled yet (${state.open ? 'still open' : 'no fills reported'})`);
+      return false;
+    }
+
+    if (state.filledSize > 0 && state.avgPrice) {
+      this.applyFill(parent, child, Math.min(state.filledSize, child.size), state.avgPrice);
+      // Cancelled part way through: the rest is rescheduled
+      if (child.size - child.filledSize > child.size * 1e-3) child.status = 'CANCELLED';
+    } else {
+      child.status = 'CANCELLED';
+    }
+    parent.updatedAt = this.now();
+    return true;
+  }
+
+  private applyFill(parent: ParentOrder, child: ChildOrder, size: number, price: number): void {
+    child.status = 'FILLED';
+    child.filledSize = size;
+    child.filledPrice = price;
+
+    const filled = parent.filledSize + size;
+    parent.avgFillPrice = filled > 0 ? (parent.avgFillPrice * parent.filledSize + price * size) / filled : 0;
+    parent.filledSize = filled;
+    this.emit('fill', this.snapshot(parent));
+  }
+
+  private nextScheduledAt(parent: ParentOrder, now: number): number {
+    if (parent.algo.type !== 'TWAP') return now;
+    const interval = parent.algo.durationMs! / parent.algo.slices!;
+    const sliceIndex = Math.floor((now - parent.createdAt) / interval) + 1;
+    return parent.createdAt + sliceIndex * interval;
+  }
+
+  /** TWAP gets one slice interval of grace for a final catch-up child */
+  private deadlineMs(algo: ExecutionAlgoSpec): number {
+    return algo.type === 'TWAP'
+      ? algo.durationMs! + algo.durationMs! / algo.slices!
+      : algo.maxDurationMs!;
+  }
+
+  private remaining(parent: ParentOrder): number {
+    const remaining = parent.totalSize - parent.filledSize;
+    // Exchange size rounding leaves dust; anything under 0.1% counts as done
+    return remaining > parent.totalSize * 1e-3 ? remaining : 0;
+  }
+
+  private consecutiveFailures(parent: ParentOrder): number {
+    let count = 0;
+    for (let i = parent.children.length - 1; i >= 0 && parent.children[i].status === 'FAILED'; i--) {
+      count++;
+    }
+    return count;
+  }
+
+  private finish(parent: ParentOrder, status: ParentOrderStatus, reason?: string): void {
+    parent.status = status;
+    parent.reason = reason;
+    parent.completedAt = this.now();
+    parent.updatedAt = parent.completedAt;
+
+    logger.info(
+      `[ExecutionAlgos] ${parent.algo.type} parent ${parent.id} ${status}: ` +
+      `${parent.filledSize}/${parent.totalSize} ${parent.symbol} @ ${parent.avgFillPrice}` +
+      (reason ? ` (${reason})` : '')
+    );
+    this.emit('finished', this.snapshot(parent));
+    this.pruneFinished();
+  }
+
+  private pruneFinished(): void {
+    const finished = [...this.parents.values()].filter(parent => parent.status !== 'WORKING');
+    for (const parent of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_PARENTS))) {
+      this.parents.delete(parent.id);
+    }
+  }
+
+  private hasWorking(): boolean {
+    for (const parent of this.parents.values()) {
+      if (parent.status === 'WORKING') return true;
+    }
+    return false;
+  }
+
+  private ensureTimer(): void {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      void this.tick();
+    }, TICK_INTERVAL_MS);
+    this.timer.unref?.();
+  }
+
+  private stopTimer(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private snapshot(parent: ParentOrder): ParentOrder {
+    return { ...parent, algo: { ...parent.algo }, children: parent.children.map(child => ({ ...child })) };
+  }
+}
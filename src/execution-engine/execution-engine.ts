@@ -8,6 +8,26 @@ import dataManager from '../data-manager/data-manager';
 import riskManager from '../risk-manager/risk-manager';
 import messageBus, { Channel, Message } from '../shared/message-bus';
 import { PaperPortfolioManager } from './paper-portfolio';
+import unifiedCache from '../infrastructure/unified-cache';
+import {
+  ChildOrderRequest,
+  ExecutionAlgoConfig,
+  ExecutionAlgoManager,
+  ExecutionAlgoSpec,
+  ParentOrder,
+  normalizeAlgoSpec,
+  parseExecutionAlgoConfig,
+  selectExecutionAlgo,
+} from './execution-algos';
+import shadowTradingLedger, {
+  ShadowLeg,
+  isShadowTradingEnabled,
+  skippedShadowLeg,
+  slippageBps,
+  toShadowLeg,
+} from './shadow-trading';
+import executionTca, { TcaOrderResult } from './execution-tca';
+import { ExchangeAdapter, VenueOrderResult, getExchangeAdapter } from './venues';
 
 // Track current prices for portfolio valuation
 const paperPortfolio = PaperPortfolioManager.getInstance();
@@ -63,6 +83,21 @@ function parsePositiveFloatEnv(envName: string, fallback: number): number {
   return parsed;
 }
 
+function loadExecutionAlgoConfig(): ExecutionAlgoConfig {
+  try {
+    return parseExecutionAlgoConfig(process.env.EXECUTION_ALGOS);
+  } catch (error) {
+    logger.warn(
+      `[ExecutionEngine] Invalid EXECUTION_ALGOS (${error instanceof Error ? error.message : String(error)}); ` +
+      `sending every order directly`
+    );
+    return {};
+  }
+}
+
+/** Parent orders cancelled by emergencyStop skip native stop placement */
+const EMERGENCY_STOP_REASON = 'emergency stop';
+
 // Signal deduplication tracking
 interface SignalFingerprint {
   action: 'BUY' | 'SELL' | 'HOLD';
@@ -92,6 +127,36 @@ interface NativeStopOrderTracking {
   createdAt: number;
 }
 
+interface OrderBookUpdateMessage {
+  symbol: string;
+  midPrice: number;
+  bids?: Array<{ price: number; size: number }>;
+  asks?: Array<{ price: number; size: number }>;
+}
+
+interface ParentOrderContext {
+  signal: TradingSignal;
+  riskAssessment: RiskAssessment;
+  /** Filled size the exit plan and hard stop were registered for */
+  coveredSize: number;
+  /** Filled size the native SL/TP orders are sized to */
+  stopsSize: number;
+  /** Protection updates for this parent, run one at a time */
+  protection: Promise<void>;
+}
+
+/** A live order that passed the pre-trade gates, sized and ready to send */
+interface CheckedLiveOrder {
+  symbolKey: string;
+  now: number;
+  openPosition: Position | undefined;
+  isExitOrder: boolean;
+  signalFingerprint: SignalFingerprint;
+  effectiveConfidence: number;
+  requestedOrderType: 'limit' | 'market';
+  adjustedSize: number;
+}
+
 interface ExecutionOrderStats {
   submitted: number;
   filled: number;
@@ -215,7 +280,20 @@ export class ExecutionEngine {
   // Message bus price subscription state (singleton guard)
   private static priceSubscriptionInitialized = false;
   private marketDataHandler: ((msg: Message<{ symbol: string; price: number }>) => void) | null = null;
-  private orderBookHandler: ((msg: Message<{ symbol: string; midPrice: number }>) => void) | null = null;
+  private orderBookHandler: ((msg: Message<OrderBookUpdateMessage>) => void) | null = null;
+  private marketTradesHandler: ((msg: Message<{ symbol: string; size: number }>) => void) | null = null;
+
+  // Home venue for signal execution
+  private readonly venue: ExchangeAdapter = getExchangeAdapter('hyperliquid');
+
+  // Parent/child execution (TWAP, iceberg, POV) for entries matched by EXECUTION_ALGOS
+  private executionAlgoConfig: ExecutionAlgoConfig = loadExecutionAlgoConfig();
+  private executionAlgos = new ExecutionAlgoManager({
+    placeChild: (request) => this.placeChildOrder(request),
+    cancelChild: (symbol, orderId) => this.venue.cancelOrder(symbol, orderId, { trackCooldown: false, force: true }),
+    getChildState: (symbol, orderId, since) => this.venue.getOrderState(symbol, orderId, since),
+  });
+  private parentOrderContext: Map<string, ParentOrderContext> = new Map();
 
   constructor() {
     const hyperliquidConfig = config.getSection('hyperliquid');
@@ -228,6 +306,17 @@ export class ExecutionEngine {
       `failureCooldownBase=${this.FAILURE_COOLDOWN_BASE_MS}ms, minEntryNotional=$${this.MIN_ENTRY_NOTIONAL_USD.toFixed(2)}`
     );
 
+    this.executionAlgos.on('fill', (parent: ParentOrder) => {
+      const context = this.parentOrderContext.get(parent.id);
+      // A parent being cancelled (emergency stop clears the book) settles its stops when it finishes
+      if (context) void this.protectParentFills(parent, context, parent.status === 'WORKING');
+    });
+    this.executionAlgos.on('finished', (parent: ParentOrder) => {
+      this.handleParentOrderFinished(parent).catch((error) => {
+        logger.error(`[ExecutionEngine] Failed to settle parent order ${parent.id}:`, error);
+      });
+    });
+
     // Initialize the Hyperliquid client asynchronously
     this.initializeClient();
     this.startExitPlanMonitor();
@@ -236,12 +325,14 @@ export class ExecutionEngine {
 
   private async initializeClient(): Promise<void> {
     try {
-      await hyperliquidClient.initialize();
+      await this.venue.initialize();
 
       // Log account state on startup if configured
-      if (hyperliquidClient.isConfigured()) {
-        const state = await hyperliquidClient.getAccountState();
-        logger.info(`Hyperliquid account connected - Equity: $${state.equity.toFixed(2)}, Withdrawable: $${state.withdrawable.toFixed(2)}`);
+      if (this.venue.isConfigured()) {
+        const state = await this.venue.getAccountState();
+        logger.info(`Hyperliquid account connected - Equity: $${state.equity.toFixed(2)}, Withdrawable: $${state.available.toFixed(2)}`);
+        // Resting orders fill after placeOrder returns; TCA settles them from the fills stream
+        this.venue.onFill((fill) => executionTca.recordFill(fill));
       } else {
         logger.warn('Hyperliquid client NOT configured. Please check your .env file.');
       }
@@ -271,16 +362,33 @@ export class ExecutionEngine {
     };
     void messageBus.subscribe(Channel.MARKET_DATA, this.marketDataHandler);
 
-    // ORDER_BOOK_UPDATE: { symbol, midPrice, ... } — more granular from order book
-    this.orderBookHandler = (msg: Message<{ symbol: string; midPrice: number }>) => {
-      const { symbol, midPrice } = msg.data;
+    // ORDER_BOOK_UPDATE: { symbol, midPrice, bids?, asks? } — more granular from order book;
+    // the depth feeds the L2 book that paper fills walk
+    this.orderBookHandler = (msg: Message<OrderBookUpdateMessage>) => {
+      const { symbol, midPrice, bids, asks } = msg.data;
       if (symbol && Number.isFinite(midPrice) && midPrice > 0) {
         currentPrices.set(symbol, midPrice);
       }
+      if (symbol && Array.isArray(bids) && Array.isArray(asks)) {
+        unifiedCache.updateOrderBook(
+          symbol.toUpperCase(),
+          bids.map(level => [level.price, level.size] as [number, number]),
+          asks.map(level => [level.price, level.size] as [number, number])
+        );
+      }
     };
     void messageBus.subscribe(Channel.ORDER_BOOK_UPDATE, this.orderBookHandler);
 
-    logger.info('[ExecutionEngine] Subscribed to MARKET_DATA and ORDER_BOOK_UPDATE for live price tracking');
+    // MARKET_TRADES: { symbol, size, ... } — trade flow for participation-rate parents
+    this.marketTradesHandler = (msg: Message<{ symbol: string; size: number }>) => {
+      const { symbol, size } = msg.data;
+      if (symbol) {
+        this.executionAlgos.recordMarketTrade(symbol, size);
+      }
+    };
+    void messageBus.subscribe(Channel.MARKET_TRADES, this.marketTradesHandler);
+
+    logger.info('[ExecutionEngine] Subscribed to MARKET_DATA, ORDER_BOOK_UPDATE and MARKET_TRADES for live price tracking');
   }
 
   /**
@@ -296,9 +404,13 @@ export class ExecutionEngine {
       promises.push(messageBus.unsubscribe(Channel.ORDER_BOOK_UPDATE, this.orderBookHandler));
       this.orderBookHandler = null;
     }
+    if (this.marketTradesHandler) {
+      promises.push(messageBus.unsubscribe(Channel.MARKET_TRADES, this.marketTradesHandler));
+      this.marketTradesHandler = null;
+    }
     ExecutionEngine.priceSubscriptionInitialized = false;
     await Promise.all(promises);
-    logger.info('[ExecutionEngine] Unsubscribed from MARKET_DATA and ORDER_BOOK_UPDATE');
+    logger.info('[ExecutionEngine] Unsubscribed from MARKET_DATA, ORDER_BOOK_UPDATE and MARKET_TRADES');
   }
 
   /**
@@ -672,6 +784,11 @@ export class ExecutionEngine {
     // BUG FIX: Was `!hyperliquidClient.isConfigured() && PAPER_TRADING` which skipped
     // this branch when HL wallet was configured. Changed to check PAPER_TRADING only.
     if (process.env.PAPER_TRADING === 'true') {
+      try {
+        paperPortfolio.accrueFunding(currentPrices);
+      } catch (error) {
+        logger.warn('[PaperExit] Funding accrual failed:', error);
+      }
       if (this.positionExitPlans.size === 0 && paperPortfolio.getPositions().length === 0) {
         this.isEnforcing = false;
         return;
@@ -955,8 +1072,121 @@ export class ExecutionEngine {
   }
 
   async executeSignal(signal: TradingSignal, riskAssessment: RiskAssessment): Promise<Trade> {
+    if (signal.action !== 'HOLD' && isShadowTradingEnabled()) {
+      return this.executeShadowSignal(signal, riskAssessment);
+    }
+    return this.executeSignalDirect(signal, riskAssessment);
+  }
+
+  /**
+   * SHADOW MODE: run the live pre-trade gates once, then send the signal live
+   * and to the paper portfolio at the same time and record the fill pair. A
+   * blocked signal is recorded as SKIPPED on both sides. The live outcome is
+   * what callers see.
+   */
+  private async executeShadowSignal(signal: TradingSignal, riskAssessment: RiskAssessment): Promise<Trade> {
+    const referencePrice = signal.price || currentPrices.get(signal.symbol) || 0;
+    paperPortfolio.accrueFunding(currentPrices);
+
+    // Gates run once for the pair, so a blocked signal reaches neither side
+    let order: CheckedLiveOrder;
+    try {
+      order = await this.checkLiveOrder(signal, riskAssessment);
+    } catch (error) {
+      logger.error('Signal execution failed:', error);
+      const reason = error instanceof Error ? error.message : String(error);
+      this.recordBlockedSignal(signal, riskAssessment, reason);
+      this.recordShadowPair(signal, riskAssessment, referencePrice, skippedShadowLeg(reason), skippedShadowLeg(reason));
+      throw error;
+    }
+
+    const [live, paper] = await Promise.allSettled([
+      this.sendLiveOrder(signal, riskAssessment, order),
+      this.executeShadowPaperLeg(signal, riskAssessment, referencePrice),
+    ]);
+    if (live.status === 'rejected') {
+      logger.error('Signal execution failed:', live.reason);
+    }
+
+    const paperLeg = paper.status === 'fulfilled' && paper.value === null
+      ? skippedShadowLeg('No paper position to close')
+      : toShadowLeg(paper as PromiseSettledResult<Trade>, referencePrice);
+    const working = live.status === 'fulfilled' && this.parentOrderContext.has(live.value.id);
+    this.recordShadowPair(signal, riskAssessment, referencePrice, toShadowLeg(live, referencePrice, working), paperLeg);
+
+    if (live.status === 'rejected') throw live.reason;
+    return live.value;
+  }
+
+  private recordShadowPair(
+    signal: TradingSignal,
+    riskAssessment: RiskAssessment,
+    referencePrice: number,
+    live: ShadowLeg,
+    paper: ShadowLeg
+  ): void {
+    try {
+      shadowTradingLedger.recordPair({
+        strategyId: signal.strategyId,
+        symbol: signal.symbol,
+        side: signal.action as 'BUY' | 'SELL',
+        venue: this.isTestnet ? 'TESTNET' : 'LIVE',
+        signalPrice: referencePrice,
+        requestedSize: Math.abs(riskAssessment.suggestedSize || signal.size || 0),
+        live,
+        paper,
+      });
+    } catch (error) {
+      logger.warn('[ExecutionEngine] Failed to record shadow fill pair:', error);
+    }
+  }
+
+  /**
+   * Paper side of a shadow signal. Returns null for an exit the paper
+   * portfolio has no position for, rather than opening the opposite side.
+   */
+  private async executeShadowPaperLeg(
+    signal: TradingSignal,
+    riskAssessment: RiskAssessment,
+    referencePrice: number
+  ): Promise<Trade | null> {
+    const paperPosition = paperPortfolio.getPositions().find(
+      p => p.symbol.toUpperCase() === signal.symbol.toUpperCase()
+    );
+    const closesPaperPosition = paperPosition
+      ? (paperPosition.side === 'LONG') === (signal.action === 'SELL')
+      : false;
+    if (this.isExitIntent(signal, riskAssessment) && !closesPaperPosition) {
+      return null;
+    }
+
+    const size = closesPaperPosition
+      ? Math.abs(signal.size || paperPosition!.size)
+      : Math.abs(riskAssessment.suggestedSize || signal.size || 0);
+    if (!Number.isFinite(size) || size <= 0) {
+      throw new Error(`Invalid shadow paper size for ${signal.symbol}: ${size}`);
+    }
+
+    return paperPortfolio.executeTrade(
+      signal.symbol,
+      signal.action as 'BUY' | 'SELL',
+      size,
+      referencePrice,
+      signal.strategyId,
+      riskAssessment.leverage || 50,
+      signal.type === 'LIMIT' ? 'LIMIT' : 'MARKET'
+    );
+  }
+
+  private isExitIntent(signal: TradingSignal, riskAssessment: RiskAssessment): boolean {
+    return riskAssessment.warnings.some(w => w.toLowerCase().includes('exit'))
+      || signal.strategyId === 'position-recovery'
+      || signal.strategyId === 'risk-managed-exit'
+      || (riskAssessment.stopLoss === 0 && riskAssessment.takeProfit === 0);
+  }
+
+  private async executeSignalDirect(signal: TradingSignal, riskAssessment: RiskAssessment): Promise<Trade> {
     const symbolKey = signal.symbol.toUpperCase();
-    const now = Date.now();
 
     // PAPER TRADING MODE: bypass Hyperliquid entirely
     if (process.env.PAPER_TRADING === 'true') {
@@ -1015,7 +1245,8 @@ export class ExecutionEngine {
         signal.size,
         signal.price || currentPrices.get(signal.symbol) || 0,
         signal.strategyId,
-        riskAssessment.leverage || 50
+        riskAssessment.leverage || 50,
+        signal.type === 'LIMIT' ? 'LIMIT' : 'MARKET'
       );
 
       // Register managed exit plan for paper entries (SL/TP monitoring)
@@ -1048,7 +1279,7 @@ export class ExecutionEngine {
       // CRITICAL FIX: Clear exit plan after paper exit (matches live path L1351)
       // Without this, the stale exit plan persists and causes duplicate exits
       // when positions are re-opened for the same symbol.
-      if (isPaperExit || isRecoveryExit) {
+      if ((isPaperExit || isRecoveryExit) && trade.status === 'FILLED') {
         this.clearManagedExitPlan(signal.symbol);
         try {
           const rm = require('../risk-manager/risk-manager').default;
@@ -1076,398 +1307,718 @@ export class ExecutionEngine {
       return trade;
     }
 
+    let order: CheckedLiveOrder;
+    try {
+      order = await this.checkLiveOrder(signal, riskAssessment);
+    } catch (error) {
+      logger.error('Signal execution failed:', error);
+      this.recordBlockedSignal(signal, riskAssessment, error instanceof Error ? error.message : String(error));
+      throw error;
+    }
     try {
-      if (signal.action === 'HOLD') {
-        throw new Error('Cannot execute HOLD signal');
+      return await this.sendLiveOrder(signal, riskAssessment, order);
+    } catch (error) {
+      logger.error('Signal execution failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a BUY/SELL signal the pre-trade gates stopped as a BLOCKED TCA row
+   */
+  private recordBlockedSignal(signal: TradingSignal, riskAssessment: RiskAssessment, reason: string): void {
+    if (signal.action !== 'BUY' && signal.action !== 'SELL') return;
+    executionTca.recordBlocked({
+      symbol: signal.symbol,
+      side: signal.action,
+      size: Math.abs(riskAssessment.suggestedSize || signal.size || 0),
+      strategyId: signal.strategyId,
+      orderType: signal.type?.toLowerCase() === 'limit' ? 'limit' : 'market',
+      decisionPrice: signal.price || currentPrices.get(signal.symbol) || 0,
+      decisionAt: signal.timestamp ? new Date(signal.timestamp).getTime() : undefined,
+    }, reason);
+  }
+
+  /**
+   * Pre-trade gates for a live order: exit checks, churn cooldowns, pending
+   * orders and working parents, confidence, size and the safety monitor.
+   * Throws when the order must not be sent.
+   */
+  private async checkLiveOrder(signal: TradingSignal, riskAssessment: RiskAssessment): Promise<CheckedLiveOrder> {
+    const symbolKey = signal.symbol.toUpperCase();
+    const now = Date.now();
+
+    if (signal.action === 'HOLD') {
+      throw new Error('Cannot execute HOLD signal');
+    }
+    if (!Number.isFinite(signal.confidence) || signal.confidence <= 0 || signal.confidence > 1) {
+      throw new Error(`Invalid signal confidence for ${signal.symbol}: ${signal.confidence}`);
+    }
+
+    // Update price
+    if (signal.price) {
+      currentPrices.set(signal.symbol, signal.price);
+    }
+
+    // Check configuration before trading
+    if (!hyperliquidClient.isConfigured()) {
+      throw new Error('Hyperliquid Client is not configured. Cannot execute live trade.');
+    }
+
+    const portfolio = await this.getPortfolio();
+    const openPosition = portfolio.positions.find(
+      p => p.symbol.toUpperCase() === symbolKey
+    );
+    const isExitOrder = this.isExitSignalForPosition(openPosition, signal.action);
+
+    const exitIntent = this.isExitIntent(signal, riskAssessment);
+
+    if (exitIntent && !openPosition && !isExitOrder) {
+      throw new Error(`No open ${signal.symbol} position found to close`);
+    }
+
+    const signalFingerprint = this.generateSignalFingerprint(signal);
+
+    let effectiveConfidence = signal.confidence;
+    const requestedOrderType = signal.type?.toLowerCase() === 'limit' ? 'limit' : 'market';
+    const requestedSizeForValidation = Math.max(0, Math.abs(riskAssessment.suggestedSize || signal.size || 0));
+
+    if (!isExitOrder) {
+      const failureCooldownUntil = this.failureCooldownUntil.get(symbolKey) || 0;
+      if (failureCooldownUntil > now) {
+        const remainingSec = Math.ceil((failureCooldownUntil - now) / 1000);
+        const cooldownMessage = `Failure cooldown active for ${signal.symbol}. Retry in ${remainingSec}s`;
+        logger.warn(`[ExecutionEngine] [ChurnPrevention] ${cooldownMessage}`);
+        throw new Error(cooldownMessage);
       }
-      if (!Number.isFinite(signal.confidence) || signal.confidence <= 0 || signal.confidence > 1) {
-        throw new Error(`Invalid signal confidence for ${signal.symbol}: ${signal.confidence}`);
+
+      // ANTI-CHURN: Hourly attempt limit per coin (max 3 per hour)
+      const hourlyAttempts = this.hourlyOrderAttempts.get(symbolKey);
+      if (hourlyAttempts && now - hourlyAttempts.windowStart < 3600000 && hourlyAttempts.count >= this.MAX_ORDERS_PER_COIN_PER_HOUR) {
+        const remainingMin = Math.ceil((3600000 - (now - hourlyAttempts.windowStart)) / 60000);
+        const hourlyMessage = `Hourly order limit reached for ${signal.symbol}: ${hourlyAttempts.count}/${this.MAX_ORDERS_PER_COIN_PER_HOUR}. Retry in ${remainingMin}min`;
+        logger.warn(`[ExecutionEngine] [ChurnPrevention] ${hourlyMessage}`);
+        throw new Error(hourlyMessage);
       }
 
-      // Update price
-      if (signal.price) {
-        currentPrices.set(signal.symbol, signal.price);
+      // ANTI-CHURN: 2-minute cooldown after any cancellation
+      const lastCancelTime = this.lastCancellationTime.get(symbolKey) || 0;
+      if (lastCancelTime > 0 && now - lastCancelTime < this.CANCELLATION_COOLDOWN_MS) {
+        const remainingSec = Math.ceil((this.CANCELLATION_COOLDOWN_MS - (now - lastCancelTime)) / 1000);
+        const cooldownMessage = `Cancellation cooldown active for ${signal.symbol}. Retry in ${remainingSec}s`;
+        logger.warn(`[ExecutionEngine] [ChurnPrevention] ${cooldownMessage}`);
+        throw new Error(cooldownMessage);
       }
 
-      // Check configuration before trading
-      if (!hyperliquidClient.isConfigured()) {
-        throw new Error('Hyperliquid Client is not configured. Cannot execute live trade.');
+      if (hyperliquidClient.hasPendingOrder(signal.symbol) || this.executionAlgos.hasWorkingParent(signal.symbol)) {
+        const pendingMessage = `Pending order already exists for ${signal.symbol}; waiting for lifecycle resolution`;
+        logger.warn(`[ExecutionEngine] [ChurnPrevention] ${pendingMessage}`);
+        throw new Error(pendingMessage);
       }
 
-      const portfolio = await this.getPortfolio();
-      const openPosition = portfolio.positions.find(
-        p => p.symbol.toUpperCase() === symbolKey
+      // ENHANCED: Higher confidence threshold (entries only)
+      if (signal.confidence < this.MIN_SIGNAL_CONFIDENCE) {
+        const confidenceMessage = `Signal confidence ${signal.confidence.toFixed(2)} below minimum threshold ${this.MIN_SIGNAL_CONFIDENCE}`;
+        logger.warn(`[ExecutionEngine] [ChurnPrevention] ${confidenceMessage} for ${signal.symbol}`);
+        throw new Error(confidenceMessage);
+      }
+
+      // Signal deduplication check (entries only)
+      if (this.isDuplicateSignal(signal.symbol, signalFingerprint)) {
+        const dupMessage = `Duplicate signal rejected for ${signal.symbol} - conditions unchanged`;
+        logger.warn(`[ExecutionEngine] [ChurnPrevention] ${dupMessage}`);
+        throw new Error(dupMessage);
+      }
+
+      // Signal rate limiting (entries only)
+      const rateLimitCheck = this.checkSignalRateLimit(signal.symbol);
+      if (!rateLimitCheck.allowed) {
+        logger.warn(`[ExecutionEngine] [ChurnPrevention] ${rateLimitCheck.reason}`);
+        throw new Error(rateLimitCheck.reason);
+      }
+
+      // Validate confidence against current market conditions and enforce stricter market-order threshold.
+      const confidenceValidation = await orderValidator.validateConfidence(
+        signal.symbol,
+        signal.confidence,
+        requestedSizeForValidation
       );
-      const isExitOrder = this.isExitSignalForPosition(openPosition, signal.action);
 
-      const exitIntent = riskAssessment.warnings.some(w => w.toLowerCase().includes('exit'))
-        || signal.strategyId === 'position-recovery'
-        || signal.strategyId === 'risk-managed-exit'
-        || (riskAssessment.stopLoss === 0 && riskAssessment.takeProfit === 0);
+      if (!confidenceValidation.valid) {
+        const validationMessage = confidenceValidation.reason || 'Order validation failed';
+        logger.warn(`[ExecutionEngine] [ChurnPrevention] ${validationMessage} for ${signal.symbol}`);
+        throw new Error(validationMessage);
+      }
+
+      effectiveConfidence = confidenceValidation.adjustedConfidence ?? signal.confidence;
+      const requiredConfidence = requestedOrderType === 'market'
+        ? this.MIN_MARKET_SIGNAL_CONFIDENCE
+        : this.MIN_SIGNAL_CONFIDENCE;
 
-      if (exitIntent && !openPosition && !isExitOrder) {
-        throw new Error(`No open ${signal.symbol} position found to close`);
+      if (effectiveConfidence < requiredConfidence) {
+        const adjustedMessage = `Adjusted confidence ${effectiveConfidence.toFixed(2)} below ${requestedOrderType.toUpperCase()} threshold ${requiredConfidence.toFixed(2)}`;
+        logger.warn(`[ExecutionEngine] [ChurnPrevention] ${adjustedMessage} for ${signal.symbol}`);
+        throw new Error(adjustedMessage);
       }
+    } else {
+      logger.info(`[ExecutionEngine] Exit signal detected for ${signal.symbol}; bypassing entry churn gates`);
+      effectiveConfidence = Math.max(signal.confidence, this.MIN_SIGNAL_CONFIDENCE);
+    }
 
-      const signalFingerprint = this.generateSignalFingerprint(signal);
+    // Validate size
+    let requestedSize = Math.max(0, Math.abs(riskAssessment.suggestedSize || 0));
+    const minSizes: Record<string, number> = { BTC: 0.0001, ETH: 0.001, SOL: 0.01, DEFAULT: 0.01 };
+    const minSize = minSizes[signal.symbol] || minSizes['DEFAULT'];
+
+    if (isExitOrder && openPosition) {
+      const requestedFromSignal = Math.max(0, Math.abs(signal.size || requestedSize));
+      const fallbackSize = requestedFromSignal > 0 ? requestedFromSignal : Math.abs(openPosition.size);
+      requestedSize = Math.min(Math.abs(openPosition.size), fallbackSize);
+    } else if (requestedSize < minSize) {
+      logger.warn(`[ExecutionEngine] Order size ${requestedSize} below minimum ${minSize} for ${signal.symbol}, adjusting up`);
+      requestedSize = minSize;
+      riskAssessment.suggestedSize = minSize;
+    }
+
+    if (requestedSize <= 0) {
+      throw new Error(`Order size resolved to 0 for ${signal.symbol}`);
+    }
 
-      let effectiveConfidence = signal.confidence;
-      const requestedOrderType = signal.type?.toLowerCase() === 'limit' ? 'limit' : 'market';
-      const requestedSizeForValidation = Math.max(0, Math.abs(riskAssessment.suggestedSize || signal.size || 0));
+    if (!isExitOrder) {
+      // ENHANCED: Stricter cooldown check with minimum interval (entries only)
+      const lastOrderAt = this.lastOrderTime.get(symbolKey);
+      if (lastOrderAt !== undefined) {
+        const elapsedMs = now - lastOrderAt;
 
-      if (!isExitOrder) {
-        const failureCooldownUntil = this.failureCooldownUntil.get(symbolKey) || 0;
-        if (failureCooldownUntil > now) {
-          const remainingSec = Math.ceil((failureCooldownUntil - now) / 1000);
-          const cooldownMessage = `Failure cooldown active for ${signal.symbol}. Retry in ${remainingSec}s`;
+        // Absolute minimum interval between any orders
+        if (elapsedMs < this.MIN_ORDER_COOLDOWN_MS) {
+          const remainingSeconds = Math.ceil((this.MIN_ORDER_COOLDOWN_MS - elapsedMs) / 1000);
+          const cooldownMessage = `Minimum order interval not met for ${signal.symbol}. Retry in ${remainingSeconds}s`;
           logger.warn(`[ExecutionEngine] [ChurnPrevention] ${cooldownMessage}`);
           throw new Error(cooldownMessage);
         }
 
-        // ANTI-CHURN: Hourly attempt limit per coin (max 3 per hour)
-        const hourlyAttempts = this.hourlyOrderAttempts.get(symbolKey);
-        if (hourlyAttempts && now - hourlyAttempts.windowStart < 3600000 && hourlyAttempts.count >= this.MAX_ORDERS_PER_COIN_PER_HOUR) {
-          const remainingMin = Math.ceil((3600000 - (now - hourlyAttempts.windowStart)) / 60000);
-          const hourlyMessage = `Hourly order limit reached for ${signal.symbol}: ${hourlyAttempts.count}/${this.MAX_ORDERS_PER_COIN_PER_HOUR}. Retry in ${remainingMin}min`;
-          logger.warn(`[ExecutionEngine] [ChurnPrevention] ${hourlyMessage}`);
-          throw new Error(hourlyMessage);
-        }
-
-        // ANTI-CHURN: 2-minute cooldown after any cancellation
-        const lastCancelTime = this.lastCancellationTime.get(symbolKey) || 0;
-        if (lastCancelTime > 0 && now - lastCancelTime < this.CANCELLATION_COOLDOWN_MS) {
-          const remainingSec = Math.ceil((this.CANCELLATION_COOLDOWN_MS - (now - lastCancelTime)) / 1000);
-          const cooldownMessage = `Cancellation cooldown active for ${signal.symbol}. Retry in ${remainingSec}s`;
+        // Full cooldown period
+        if (elapsedMs < this.ORDER_COOLDOWN_MS) {
+          const remainingSeconds = Math.ceil((this.ORDER_COOLDOWN_MS - elapsedMs) / 1000);
+          const cooldownMessage = `Order cooldown active for ${signal.symbol}. Retry in ${remainingSeconds}s`;
           logger.warn(`[ExecutionEngine] [ChurnPrevention] ${cooldownMessage}`);
           throw new Error(cooldownMessage);
         }
+      }
+    }
 
-        if (hyperliquidClient.hasPendingOrder(signal.symbol)) {
-          const pendingMessage = `Pending order already exists for ${signal.symbol}; waiting for lifecycle resolution`;
-          logger.warn(`[ExecutionEngine] [ChurnPrevention] ${pendingMessage}`);
-          throw new Error(pendingMessage);
-        }
+    // Safety monitor gate + volatility-aware position scaling
+    const circuitBreaker = require('../shared/circuit-breaker').default as {
+      canEnterNewTrade?: (symbol: string) => boolean;
+      getPositionSizeMultiplier?: () => number;
+      recordTrade?: (trade: { id?: string; symbol: string; pnl: number; timestamp: Date | string | number }) => void;
+    };
 
-        // ENHANCED: Higher confidence threshold (entries only)
-        if (signal.confidence < this.MIN_SIGNAL_CONFIDENCE) {
-          const confidenceMessage = `Signal confidence ${signal.confidence.toFixed(2)} below minimum threshold ${this.MIN_SIGNAL_CONFIDENCE}`;
-          logger.warn(`[ExecutionEngine] [ChurnPrevention] ${confidenceMessage} for ${signal.symbol}`);
-          throw new Error(confidenceMessage);
-        }
+    let adjustedSize = requestedSize;
+    if (!isExitOrder) {
+      // SAFETY: Default to FALSE if circuit breaker can't be checked — fail closed
+      const canEnter = circuitBreaker.canEnterNewTrade?.(signal.symbol) ?? false;
+      if (!canEnter) {
+        throw new Error(`Safety monitor blocked new trade for ${signal.symbol}`);
+      }
 
-        // Signal deduplication check (entries only)
-        if (this.isDuplicateSignal(signal.symbol, signalFingerprint)) {
-          const dupMessage = `Duplicate signal rejected for ${signal.symbol} - conditions unchanged`;
-          logger.warn(`[ExecutionEngine] [ChurnPrevention] ${dupMessage}`);
-          throw new Error(dupMessage);
-        }
+      const sizeMultiplier = Math.max(0, Math.min(1, circuitBreaker.getPositionSizeMultiplier?.() ?? 1));
+      if (sizeMultiplier <= 0) {
+        throw new Error('Safety monitor blocked new trade due volatility stop threshold');
+      }
 
-        // Signal rate limiting (entries only)
-        const rateLimitCheck = this.checkSignalRateLimit(signal.symbol);
-        if (!rateLimitCheck.allowed) {
-          logger.warn(`[ExecutionEngine] [ChurnPrevention] ${rateLimitCheck.reason}`);
-          throw new Error(rateLimitCheck.reason);
-        }
+      adjustedSize = requestedSize * sizeMultiplier;
+      if (adjustedSize <= 0) {
+        throw new Error('Adjusted order size is zero after safety limits');
+      }
 
-        // Validate confidence against current market conditions and enforce stricter market-order threshold.
-        const confidenceValidation = await orderValidator.validateConfidence(
-          signal.symbol,
-          signal.confidence,
-          requestedSizeForValidation
+      if (sizeMultiplier < 1) {
+        logger.warn(
+          `[ExecutionEngine] Applying safety size multiplier ${sizeMultiplier.toFixed(2)} to ${signal.symbol}`
         );
+      }
+    } else if (openPosition) {
+      adjustedSize = Math.min(adjustedSize, Math.abs(openPosition.size));
+    }
 
-        if (!confidenceValidation.valid) {
-          const validationMessage = confidenceValidation.reason || 'Order validation failed';
-          logger.warn(`[ExecutionEngine] [ChurnPrevention] ${validationMessage} for ${signal.symbol}`);
-          throw new Error(validationMessage);
+    if (!isExitOrder) {
+      const referencePrice = signal.price && signal.price > 0
+        ? signal.price
+        : (currentPrices.get(signal.symbol) || 0);
+      if (referencePrice > 0) {
+        const notional = adjustedSize * referencePrice;
+        if (notional < this.MIN_ENTRY_NOTIONAL_USD) {
+          throw new Error(
+            `Entry notional $${notional.toFixed(2)} below minimum $${this.MIN_ENTRY_NOTIONAL_USD.toFixed(2)} for ${signal.symbol}`
+          );
         }
+      }
+    }
 
-        effectiveConfidence = confidenceValidation.adjustedConfidence ?? signal.confidence;
-        const requiredConfidence = requestedOrderType === 'market'
-          ? this.MIN_MARKET_SIGNAL_CONFIDENCE
-          : this.MIN_SIGNAL_CONFIDENCE;
+    return {
+      symbolKey,
+      now,
+      openPosition,
+      isExitOrder,
+      signalFingerprint,
+      effectiveConfidence,
+      requestedOrderType,
+      adjustedSize,
+    };
+  }
 
-        if (effectiveConfidence < requiredConfidence) {
-          const adjustedMessage = `Adjusted confidence ${effectiveConfidence.toFixed(2)} below ${requestedOrderType.toUpperCase()} threshold ${requiredConfidence.toFixed(2)}`;
-          logger.warn(`[ExecutionEngine] [ChurnPrevention] ${adjustedMessage} for ${signal.symbol}`);
-          throw new Error(adjustedMessage);
-        }
-      } else {
-        logger.info(`[ExecutionEngine] Exit signal detected for ${signal.symbol}; bypassing entry churn gates`);
-        effectiveConfidence = Math.max(signal.confidence, this.MIN_SIGNAL_CONFIDENCE);
-      }
+  /**
+   * Send an order that passed checkLiveOrder and record its outcome
+   */
+  private async sendLiveOrder(
+    signal: TradingSignal,
+    riskAssessment: RiskAssessment,
+    order: CheckedLiveOrder
+  ): Promise<Trade> {
+    const { symbolKey, now, openPosition, isExitOrder, signalFingerprint, effectiveConfidence, requestedOrderType, adjustedSize } = order;
+    const circuitBreaker = require('../shared/circuit-breaker').default as {
+      recordTrade?: (trade: { id?: string; symbol: string; pnl: number; timestamp: Date | string | number }) => void;
+    };
 
-      // Validate size
-      let requestedSize = Math.max(0, Math.abs(riskAssessment.suggestedSize || 0));
-      const minSizes: Record<string, number> = { BTC: 0.0001, ETH: 0.001, SOL: 0.01, DEFAULT: 0.01 };
-      const minSize = minSizes[signal.symbol] || minSizes['DEFAULT'];
-
-      if (isExitOrder && openPosition) {
-        const requestedFromSignal = Math.max(0, Math.abs(signal.size || requestedSize));
-        const fallbackSize = requestedFromSignal > 0 ? requestedFromSignal : Math.abs(openPosition.size);
-        requestedSize = Math.min(Math.abs(openPosition.size), fallbackSize);
-      } else if (requestedSize < minSize) {
-        logger.warn(`[ExecutionEngine] Order size ${requestedSize} below minimum ${minSize} for ${signal.symbol}, adjusting up`);
-        requestedSize = minSize;
-        riskAssessment.suggestedSize = minSize;
+    // LIVE TRADING with Hyperliquid SDK
+    logger.info(
+      `[LIVE ${this.isTestnet ? 'TESTNET' : 'MAINNET'}] Executing ${isExitOrder ? 'EXIT' : 'ENTRY'} ${signal.action} ${adjustedSize} ${signal.symbol} at ${signal.price}`
+    );
+    
+    // Record order time and signal fingerprint BEFORE execution to prevent race conditions
+    this.lastOrderTime.set(symbolKey, now);
+    this.lastSignalFingerprint.set(symbolKey, signalFingerprint);
+    // Track hourly attempt count
+    if (!isExitOrder) {
+      const existing = this.hourlyOrderAttempts.get(symbolKey);
+      if (!existing || now - existing.windowStart >= 3600000) {
+        this.hourlyOrderAttempts.set(symbolKey, { count: 1, windowStart: now });
+      } else {
+        existing.count++;
       }
+    }
 
-      if (requestedSize <= 0) {
-        throw new Error(`Order size resolved to 0 for ${signal.symbol}`);
+    if (!isExitOrder) {
+      const referencePrice = signal.price || currentPrices.get(signal.symbol) || 0;
+      const algo = selectExecutionAlgo(this.executionAlgoConfig, {
+        strategyId: signal.strategyId,
+        riskScore: riskAssessment.riskScore,
+        notionalUsd: adjustedSize * referencePrice,
+      });
+      if (algo) {
+        return this.startParentOrder(signal, riskAssessment, algo, adjustedSize, requestedOrderType);
       }
+    }
 
-      if (!isExitOrder) {
-        // ENHANCED: Stricter cooldown check with minimum interval (entries only)
-        const lastOrderAt = this.lastOrderTime.get(symbolKey);
-        if (lastOrderAt !== undefined) {
-          const elapsedMs = now - lastOrderAt;
-
-          // Absolute minimum interval between any orders
-          if (elapsedMs < this.MIN_ORDER_COOLDOWN_MS) {
-            const remainingSeconds = Math.ceil((this.MIN_ORDER_COOLDOWN_MS - elapsedMs) / 1000);
-            const cooldownMessage = `Minimum order interval not met for ${signal.symbol}. Retry in ${remainingSeconds}s`;
-            logger.warn(`[ExecutionEngine] [ChurnPrevention] ${cooldownMessage}`);
-            throw new Error(cooldownMessage);
-          }
+    const tcaId = executionTca.startOrder({
+      symbol: signal.symbol,
+      side: signal.action as 'BUY' | 'SELL',
+      size: adjustedSize,
+      strategyId: signal.strategyId,
+      orderType: requestedOrderType,
+      decisionPrice: signal.price || currentPrices.get(signal.symbol) || 0,
+      decisionAt: signal.timestamp ? new Date(signal.timestamp).getTime() : undefined,
+    });
+    const result = await this.venue.placeOrder({
+      symbol: signal.symbol,
+      side: signal.action as 'BUY' | 'SELL',
+      size: adjustedSize,
+      price: signal.price,
+      orderType: requestedOrderType,
+      reduceOnly: isExitOrder,
+      confidence: effectiveConfidence,
+      bypassCooldown: false
+    });
+    executionTca.finishOrder(tcaId, this.tcaResultFor(result));
+
+    // CRITICAL FIX: Track order stats for fill rate monitoring
+    const currentStats: ExecutionOrderStats = this.orderStats.get(symbolKey) || {
+      submitted: 0,
+      filled: 0,
+      resting: 0,
+      cancelled: 0,
+      rejected: 0,
+      blocked: 0
+    };
+    currentStats.submitted++;
+
+    const orderFilled = result.success && result.status === 'FILLED';
+    const orderResting = result.success && (result.status === 'RESTING' || result.status === 'PENDING');
+
+    const tradeSize = orderFilled ? (result.filledSize || adjustedSize) : adjustedSize;
+    const tradePrice = orderFilled ? (result.filledPrice || signal.price || 0) : (signal.price || 0);
+
+    const trade: Trade = {
+      id: uuidv4(),
+      strategyId: signal.strategyId,
+      symbol: signal.symbol,
+      side: signal.action as 'BUY' | 'SELL',
+      size: tradeSize,
+      price: tradePrice,
+      fee: 0,
+      pnl: isExitOrder && openPosition
+        ? (openPosition.side === 'LONG'
+          ? (tradePrice - openPosition.entryPrice) * tradeSize
+          : (openPosition.entryPrice - tradePrice) * tradeSize)
+        : 0,
+      timestamp: new Date(),
+      type: signal.type,
+      status: orderFilled ? 'FILLED' : (orderResting ? 'PARTIAL' : 'CANCELLED'),
+      entryExit: isExitOrder ? 'EXIT' : 'ENTRY'
+    };
 
-          // Full cooldown period
-          if (elapsedMs < this.ORDER_COOLDOWN_MS) {
-            const remainingSeconds = Math.ceil((this.ORDER_COOLDOWN_MS - elapsedMs) / 1000);
-            const cooldownMessage = `Order cooldown active for ${signal.symbol}. Retry in ${remainingSeconds}s`;
-            logger.warn(`[ExecutionEngine] [ChurnPrevention] ${cooldownMessage}`);
-            throw new Error(cooldownMessage);
-          }
-        }
-      }
+    let failureToThrow: Error | null = null;
 
-      // Safety monitor gate + volatility-aware position scaling
-      const circuitBreaker = require('../shared/circuit-breaker').default as {
-        canEnterNewTrade?: (symbol: string) => boolean;
-        getPositionSizeMultiplier?: () => number;
-        recordTrade?: (trade: { id?: string; symbol: string; pnl: number; timestamp: Date | string | number }) => void;
-      };
+    if (result.success) {
+      if (orderFilled) {
+        currentStats.filled++;
+        this.clearFailureCooldown(symbolKey);
+        logger.info(`[ExecutionEngine] Trade FILLED: ${JSON.stringify(trade)}`);
+        // Persist filled trade to database for Dashboard
+        await dataManager.saveTrade(trade);
 
-      let adjustedSize = requestedSize;
-      if (!isExitOrder) {
-        // SAFETY: Default to FALSE if circuit breaker can't be checked — fail closed
-        const canEnter = circuitBreaker.canEnterNewTrade?.(signal.symbol) ?? false;
-        if (!canEnter) {
-          throw new Error(`Safety monitor blocked new trade for ${signal.symbol}`);
+        if (isExitOrder) {
+          await this.cancelTrackedNativeStopOrders(signal.symbol);
+          this.clearManagedExitPlan(signal.symbol);
+          // CRITICAL FIX: Clear risk manager tracking on position close
+          const exitSide = signal.action === 'SELL' ? 'LONG' : 'SHORT';
+          riskManager.clearPositionTracking(signal.symbol, exitSide);
+        } else {
+          await this.protectFilledEntry(signal, riskAssessment, trade);
         }
 
-        const sizeMultiplier = Math.max(0, Math.min(1, circuitBreaker.getPositionSizeMultiplier?.() ?? 1));
-        if (sizeMultiplier <= 0) {
-          throw new Error('Safety monitor blocked new trade due volatility stop threshold');
+        try {
+          circuitBreaker.recordTrade?.({
+            id: trade.id,
+            symbol: trade.symbol,
+            pnl: trade.pnl || 0,
+            timestamp: trade.timestamp,
+          });
+        } catch (safetyError) {
+          logger.warn('[ExecutionEngine] Failed to record trade in safety monitor:', safetyError);
         }
-
-        adjustedSize = requestedSize * sizeMultiplier;
-        if (adjustedSize <= 0) {
-          throw new Error('Adjusted order size is zero after safety limits');
+      } else {
+        if (orderResting) {
+          currentStats.resting++;
         }
-
-        if (sizeMultiplier < 1) {
-          logger.warn(
-            `[ExecutionEngine] Applying safety size multiplier ${sizeMultiplier.toFixed(2)} to ${signal.symbol}`
-          );
+        logger.info(
+          `[ExecutionEngine] Order accepted but not yet filled (${result.status}) for ${signal.symbol}; ` +
+          `keeping lifecycle in pending state`
+        );
+        // Persist partial trade to database for Dashboard (skip cancelled)
+        if (orderResting) {
+          await dataManager.saveTrade(trade);
         }
-      } else if (openPosition) {
-        adjustedSize = Math.min(adjustedSize, Math.abs(openPosition.size));
+      }
+    } else {
+      const failureCategory = this.classifyOrderFailure(result.status, result.error);
+      const failureReason = result.error || result.status || 'Unknown placement error';
+
+      if (failureCategory === 'CANCELLED') {
+        currentStats.cancelled++;
+        this.lastCancellationTime.set(symbolKey, Date.now());
+      } else if (failureCategory === 'REJECTED') {
+        currentStats.rejected++;
+      } else {
+        currentStats.blocked++;
       }
 
-      if (!isExitOrder) {
-        const referencePrice = signal.price && signal.price > 0
-          ? signal.price
-          : (currentPrices.get(signal.symbol) || 0);
-        if (referencePrice > 0) {
-          const notional = adjustedSize * referencePrice;
-          if (notional < this.MIN_ENTRY_NOTIONAL_USD) {
-            throw new Error(
-              `Entry notional $${notional.toFixed(2)} below minimum $${this.MIN_ENTRY_NOTIONAL_USD.toFixed(2)} for ${signal.symbol}`
-            );
-          }
-        }
+      if (!isExitOrder && failureCategory !== 'BLOCKED') {
+        const hardFailures = currentStats.cancelled + currentStats.rejected;
+        this.applyFailureCooldown(symbolKey, hardFailures);
       }
 
-      // LIVE TRADING with Hyperliquid SDK
-      logger.info(
-        `[LIVE ${this.isTestnet ? 'TESTNET' : 'MAINNET'}] Executing ${isExitOrder ? 'EXIT' : 'ENTRY'} ${signal.action} ${adjustedSize} ${signal.symbol} at ${signal.price}`
+      const cancelRatio = currentStats.submitted > 0 ? currentStats.cancelled / currentStats.submitted : 0;
+      const rejectRatio = currentStats.submitted > 0 ? currentStats.rejected / currentStats.submitted : 0;
+      const blockedRatio = currentStats.submitted > 0 ? currentStats.blocked / currentStats.submitted : 0;
+
+      logger.error(
+        `[ExecutionEngine] Trade failed [${failureCategory}]: ${failureReason} | ` +
+        `Cancel ${(cancelRatio * 100).toFixed(1)}% (${currentStats.cancelled}/${currentStats.submitted}), ` +
+        `Reject ${(rejectRatio * 100).toFixed(1)}% (${currentStats.rejected}/${currentStats.submitted}), ` +
+        `Blocked ${(blockedRatio * 100).toFixed(1)}% (${currentStats.blocked}/${currentStats.submitted})`
       );
-      
-      // Record order time and signal fingerprint BEFORE execution to prevent race conditions
-      this.lastOrderTime.set(symbolKey, now);
-      this.lastSignalFingerprint.set(symbolKey, signalFingerprint);
-      // Track hourly attempt count
-      if (!isExitOrder) {
-        const existing = this.hourlyOrderAttempts.get(symbolKey);
-        if (!existing || now - existing.windowStart >= 3600000) {
-          this.hourlyOrderAttempts.set(symbolKey, { count: 1, windowStart: now });
-        } else {
-          existing.count++;
-        }
-      }
 
-      const result = await hyperliquidClient.placeOrder({
-        symbol: signal.symbol,
-        side: signal.action,
-        size: adjustedSize,
-        price: signal.price,
-        orderType: requestedOrderType,
-        reduceOnly: isExitOrder,
-        confidence: effectiveConfidence,
-        bypassCooldown: false
-      });
+      failureToThrow = new Error(`Order ${failureCategory.toLowerCase()}: ${failureReason}`);
+    }
+    
+    // CRITICAL FIX: Log fill rate for monitoring
+    const fillRate = currentStats.submitted > 0 ? (currentStats.filled / currentStats.submitted) * 100 : 0;
+    logger.info(`[ExecutionEngine] Fill Rate for ${symbolKey}: ${fillRate.toFixed(2)}% (${currentStats.filled}/${currentStats.submitted})`);
+    
+    this.orderStats.set(symbolKey, currentStats);
 
-      // CRITICAL FIX: Track order stats for fill rate monitoring
-      const currentStats: ExecutionOrderStats = this.orderStats.get(symbolKey) || {
-        submitted: 0,
-        filled: 0,
-        resting: 0,
-        cancelled: 0,
-        rejected: 0,
-        blocked: 0
-      };
-      currentStats.submitted++;
+    if (failureToThrow) {
+      throw failureToThrow;
+    }
 
-      const orderFilled = result.success && result.status === 'FILLED';
-      const orderResting = result.success && (result.status === 'RESTING' || result.status === 'PENDING');
+    return trade;
+  }
 
-      const tradeSize = orderFilled ? (result.filledSize || adjustedSize) : adjustedSize;
-      const tradePrice = orderFilled ? (result.filledPrice || signal.price || 0) : (signal.price || 0);
+  /**
+   * Exit plan, native SL/TP orders and risk tracking for a filled entry
+   */
+  private async protectFilledEntry(
+    signal: TradingSignal,
+    riskAssessment: RiskAssessment,
+    trade: Trade,
+    placeNativeStops: boolean = true
+  ): Promise<void> {
+    const entryPrice = trade.price > 0 ? trade.price : (signal.price || 0);
+    const entrySide: 'LONG' | 'SHORT' = signal.action === 'BUY' ? 'LONG' : 'SHORT';
+    this.registerManagedExitPlan(
+      signal.symbol,
+      entrySide,
+      entryPrice,
+      riskAssessment.stopLoss,
+      riskAssessment.takeProfit
+    );
+    if (placeNativeStops) {
+      await this.submitNativeStopOrders(
+        signal.symbol,
+        entrySide,
+        trade.size,
+        entryPrice,
+        riskAssessment.stopLoss,
+        riskAssessment.takeProfit
+      );
+    }
+    // CRITICAL FIX: Register position with risk manager for hard stop tracking only after fill
+    riskManager.registerPositionOpen(signal.symbol, entrySide, riskAssessment.stopLoss);
+  }
 
-      const trade: Trade = {
-        id: uuidv4(),
-        strategyId: signal.strategyId,
-        symbol: signal.symbol,
-        side: signal.action as 'BUY' | 'SELL',
-        size: tradeSize,
-        price: tradePrice,
-        fee: 0,
-        pnl: isExitOrder && openPosition
-          ? (openPosition.side === 'LONG'
-            ? (tradePrice - openPosition.entryPrice) * tradeSize
-            : (openPosition.entryPrice - tradePrice) * tradeSize)
-          : 0,
-        timestamp: new Date(),
-        type: signal.type,
-        status: orderFilled ? 'FILLED' : (orderResting ? 'PARTIAL' : 'CANCELLED'),
-        entryExit: isExitOrder ? 'EXIT' : 'ENTRY'
-      };
+  /**
+   * Place an execution algo child, recorded in TCA against its parent's signal
+   */
+  private async placeChildOrder(request: ChildOrderRequest): Promise<VenueOrderResult> {
+    const { parentId, ...order } = request;
+    const signal = this.parentOrderContext.get(parentId)?.signal;
+    const tcaId = executionTca.startOrder({
+      symbol: order.symbol,
+      side: order.side,
+      size: order.size,
+      strategyId: signal?.strategyId,
+      orderType: order.orderType,
+      decisionPrice: signal?.price || currentPrices.get(order.symbol) || 0,
+      decisionAt: signal?.timestamp ? new Date(signal.timestamp).getTime() : undefined,
+      parentId,
+    });
+    const result = await this.venue.placeOrder({ ...order, bypassCooldown: true });
+    executionTca.finishOrder(tcaId, this.tcaResultFor(result));
+    return result;
+  }
 
-      let failureToThrow: Error | null = null;
+  private tcaResultFor(result: VenueOrderResult): TcaOrderResult {
+    if (result.success && result.status === 'FILLED') {
+      return { outcome: 'FILLED', orderId: result.orderId, filledSize: result.filledSize, fillPrice: result.filledPrice };
+    }
+    if (result.success && (result.status === 'RESTING' || result.status === 'PENDING')) {
+      return { outcome: 'RESTING', orderId: result.orderId };
+    }
+    return {
+      outcome: result.success ? 'CANCELLED' : this.classifyOrderFailure(result.status, result.error),
+      orderId: result.orderId,
+      error: result.error || result.status,
+    };
+  }
 
-      if (result.success) {
-        if (orderFilled) {
-          currentStats.filled++;
-          this.clearFailureCooldown(symbolKey);
-          logger.info(`[ExecutionEngine] Trade FILLED: ${JSON.stringify(trade)}`);
-          // Persist filled trade to database for Dashboard
-          await dataManager.saveTrade(trade);
+  /**
+   * Hand an entry to the execution algos. The returned trade is PARTIAL; each
+   * child fill is protected as it arrives and the filled aggregate is
+   * persisted when the parent finishes.
+   */
+  private startParentOrder(
+    signal: TradingSignal,
+    riskAssessment: RiskAssessment,
+    algo: ExecutionAlgoSpec,
+    size: number,
+    orderType: 'limit' | 'market'
+  ): Trade {
+    const parent = this.executionAlgos.start({
+      symbol: signal.symbol,
+      side: signal.action as 'BUY' | 'SELL',
+      size,
+      strategyId: signal.strategyId,
+      algo,
+      price: signal.price,
+      orderType,
+    });
+    this.parentOrderContext.set(parent.id, { signal, riskAssessment, coveredSize: 0, stopsSize: 0, protection: Promise.resolve() });
 
-          if (isExitOrder) {
-            await this.cancelTrackedNativeStopOrders(signal.symbol);
-            this.clearManagedExitPlan(signal.symbol);
-            // CRITICAL FIX: Clear risk manager tracking on position close
-            const exitSide = signal.action === 'SELL' ? 'LONG' : 'SHORT';
-            riskManager.clearPositionTracking(signal.symbol, exitSide);
-          } else {
-            const entryPrice = trade.price > 0 ? trade.price : (signal.price || 0);
-            const entrySide: 'LONG' | 'SHORT' = signal.action === 'BUY' ? 'LONG' : 'SHORT';
-            this.registerManagedExitPlan(
-              signal.symbol,
-              entrySide,
-              entryPrice,
-              riskAssessment.stopLoss,
-              riskAssessment.takeProfit
-            );
-            await this.submitNativeStopOrders(
-              signal.symbol,
-              entrySide,
-              trade.size,
-              entryPrice,
-              riskAssessment.stopLoss,
-              riskAssessment.takeProfit
-            );
-            // CRITICAL FIX: Register position with risk manager for hard stop tracking only after fill
-            riskManager.registerPositionOpen(signal.symbol, entrySide, riskAssessment.stopLoss);
-          }
+    logger.info(`[ExecutionEngine] Working ${signal.action} ${size} ${signal.symbol} as ${algo.type} parent ${parent.id}`);
 
-          try {
-            circuitBreaker.recordTrade?.({
-              id: trade.id,
-              symbol: trade.symbol,
-              pnl: trade.pnl || 0,
-              timestamp: trade.timestamp,
-            });
-          } catch (safetyError) {
-            logger.warn('[ExecutionEngine] Failed to record trade in safety monitor:', safetyError);
-          }
-        } else {
-          if (orderResting) {
-            currentStats.resting++;
-          }
-          logger.info(
-            `[ExecutionEngine] Order accepted but not yet filled (${result.status}) for ${signal.symbol}; ` +
-            `keeping lifecycle in pending state`
-          );
-          // Persist partial trade to database for Dashboard (skip cancelled)
-          if (orderResting) {
-            await dataManager.saveTrade(trade);
-          }
-        }
-      } else {
-        const failureCategory = this.classifyOrderFailure(result.status, result.error);
-        const failureReason = result.error || result.status || 'Unknown placement error';
-
-        if (failureCategory === 'CANCELLED') {
-          currentStats.cancelled++;
-          this.lastCancellationTime.set(symbolKey, Date.now());
-        } else if (failureCategory === 'REJECTED') {
-          currentStats.rejected++;
-        } else {
-          currentStats.blocked++;
-        }
+    return {
+      id: parent.id,
+      strategyId: signal.strategyId,
+      symbol: signal.symbol,
+      side: parent.side,
+      size: 0,
+      price: signal.price || 0,
+      fee: 0,
+      pnl: 0,
+      timestamp: new Date(parent.createdAt),
+      type: signal.type,
+      status: 'PARTIAL',
+      entryExit: 'ENTRY'
+    };
+  }
 
-        if (!isExitOrder && failureCategory !== 'BLOCKED') {
-          const hardFailures = currentStats.cancelled + currentStats.rejected;
-          this.applyFailureCooldown(symbolKey, hardFailures);
-        }
+  private async handleParentOrderFinished(parent: ParentOrder): Promise<void> {
+    const context = this.parentOrderContext.get(parent.id);
+    this.parentOrderContext.delete(parent.id);
+    if (!context) return;
+
+    const { signal, riskAssessment } = context;
+    const symbolKey = parent.symbol.toUpperCase();
+    const stats: ExecutionOrderStats = this.orderStats.get(symbolKey) || {
+      submitted: 0,
+      filled: 0,
+      resting: 0,
+      cancelled: 0,
+      rejected: 0,
+      blocked: 0
+    };
+    stats.submitted++;
 
-        const cancelRatio = currentStats.submitted > 0 ? currentStats.cancelled / currentStats.submitted : 0;
-        const rejectRatio = currentStats.submitted > 0 ? currentStats.rejected / currentStats.submitted : 0;
-        const blockedRatio = currentStats.submitted > 0 ? currentStats.blocked / currentStats.submitted : 0;
+    if (parent.filledSize <= 0) {
+      if (parent.status === 'FAILED') {
+        stats.rejected++;
+        this.applyFailureCooldown(symbolKey, stats.cancelled + stats.rejected);
+      } else {
+        stats.cancelled++;
+      }
+      this.orderStats.set(symbolKey, stats);
+      logger.warn(`[ExecutionEngine] Parent ${parent.id} for ${parent.symbol} ended ${parent.status} with no fills`);
+      this.resolveShadowParent(parent, signal);
+      return;
+    }
 
-        logger.error(
-          `[ExecutionEngine] Trade failed [${failureCategory}]: ${failureReason} | ` +
-          `Cancel ${(cancelRatio * 100).toFixed(1)}% (${currentStats.cancelled}/${currentStats.submitted}), ` +
-          `Reject ${(rejectRatio * 100).toFixed(1)}% (${currentStats.rejected}/${currentStats.submitted}), ` +
-          `Blocked ${(blockedRatio * 100).toFixed(1)}% (${currentStats.blocked}/${currentStats.submitted})`
-        );
+    stats.filled++;
+    this.orderStats.set(symbolKey, stats);
+    this.clearFailureCooldown(symbolKey);
+
+    const trade: Trade = {
+      id: parent.id,
+      strategyId: parent.strategyId,
+      symbol: signal.symbol,
+      side: parent.side,
+      size: parent.filledSize,
+      price: parent.avgFillPrice > 0 ? parent.avgFillPrice : (signal.price || 0),
+      fee: 0,
+      pnl: 0,
+      timestamp: new Date(parent.completedAt ?? Date.now()),
+      type: signal.type,
+      status: 'FILLED',
+      entryExit: 'ENTRY'
+    };
+    logger.info(
+      `[ExecutionEngine] Parent ${parent.id} ${parent.status}: filled ${parent.filledSize}/${parent.totalSize} ` +
+      `${parent.symbol} @ ${trade.price}`
+    );
+    await dataManager.saveTrade(trade);
+    this.resolveShadowParent(parent, signal, trade);
+    await this.protectParentFills(parent, context, parent.reason !== EMERGENCY_STOP_REASON);
 
-        failureToThrow = new Error(`Order ${failureCategory.toLowerCase()}: ${failureReason}`);
+    try {
+      const circuitBreaker = require('../shared/circuit-breaker').default;
+      circuitBreaker.recordTrade?.({ id: trade.id, symbol: trade.symbol, pnl: 0, timestamp: trade.timestamp });
+    } catch (safetyError) {
+      logger.warn('[ExecutionEngine] Failed to record trade in safety monitor:', safetyError);
+    }
+  }
+  /**
+   * Cover a parent's fills so far: exit plan and hard stop from the first
+   * fill, native SL/TP resized to the filled size on every later one, so a
+   * TWAP or POV position is never unprotected while the parent works.
+   */
+  private protectParentFills(parent: ParentOrder, context: ParentOrderContext, placeNativeStops: boolean): Promise<void> {
+    context.protection = context.protection.then(async () => {
+      const { signal, riskAssessment } = context;
+      const entryPrice = parent.avgFillPrice > 0 ? parent.avgFillPrice : (signal.price || 0);
+      const entrySide: 'LONG' | 'SHORT' = parent.side === 'BUY' ? 'LONG' : 'SHORT';
+
+      if (parent.filledSize > context.coveredSize) {
+        this.registerManagedExitPlan(signal.symbol, entrySide, entryPrice, riskAssessment.stopLoss, riskAssessment.takeProfit);
+        if (context.coveredSize === 0) {
+          riskManager.registerPositionOpen(signal.symbol, entrySide, riskAssessment.stopLoss);
+        }
+        context.coveredSize = parent.filledSize;
       }
-      
-      // CRITICAL FIX: Log fill rate for monitoring
-      const fillRate = currentStats.submitted > 0 ? (currentStats.filled / currentStats.submitted) * 100 : 0;
-      logger.info(`[ExecutionEngine] Fill Rate for ${symbolKey}: ${fillRate.toFixed(2)}% (${currentStats.filled}/${currentStats.submitted})`);
-      
-      this.orderStats.set(symbolKey, currentStats);
-
-      if (failureToThrow) {
-        throw failureToThrow;
+      if (placeNativeStops && parent.filledSize > context.stopsSize) {
+        await this.submitNativeStopOrders(
+          signal.symbol,
+          entrySide,
+          parent.filledSize,
+          entryPrice,
+          riskAssessment.stopLoss,
+          riskAssessment.takeProfit
+        );
+        context.stopsSize = parent.filledSize;
       }
+    }).catch((error) => {
+      logger.error(`[ExecutionEngine] Failed to protect fills of parent ${parent.id}:`, error);
+    });
+    return context.protection;
+  }
 
-      return trade;
-
+  /**
+   * Settle the live side of a shadow pair once its parent order is done
+   */
+  private resolveShadowParent(parent: ParentOrder, signal: TradingSignal, trade?: Trade): void {
+    if (!isShadowTradingEnabled()) return;
+    try {
+      const referencePrice = signal.price || 0;
+      shadowTradingLedger.resolveLive(parent.id, trade
+        ? {
+          status: 'FILLED',
+          size: trade.size,
+          price: trade.price,
+          fee: trade.fee,
+          pnl: trade.pnl || 0,
+          slippageBps: slippageBps(trade.side, trade.price, referencePrice),
+        }
+        : {
+          status: 'REJECTED',
+          size: 0,
+          price: 0,
+          fee: 0,
+          pnl: 0,
+          slippageBps: 0,
+          error: parent.reason || `Parent ended ${parent.status} with no fills`,
+        });
     } catch (error) {
-      logger.error('Signal execution failed:', error);
-      throw error;
+      logger.warn(`[ExecutionEngine] Failed to settle shadow pair for parent ${parent.id}:`, error);
+    }
+  }
+
+
+  /**
+   * Choose the execution algo for a strategy at runtime, overriding
+   * EXECUTION_ALGOS. 'DIRECT' opts it out of tier algos; null clears the override.
+   */
+  setStrategyExecutionAlgo(strategyId: string, algo: ExecutionAlgoSpec | 'DIRECT' | null): void {
+    const strategies = { ...(this.executionAlgoConfig.strategies || {}) };
+    if (algo === null) {
+      delete strategies[strategyId];
+    } else {
+      strategies[strategyId] = algo === 'DIRECT' ? 'DIRECT' : normalizeAlgoSpec(algo);
     }
+    this.executionAlgoConfig = { ...this.executionAlgoConfig, strategies };
+  }
+
+  getParentOrders(): ParentOrder[] {
+    return this.executionAlgos.getParentOrders();
+  }
+
+  async cancelParentOrder(parentId: string): Promise<boolean> {
+    return this.executionAlgos.cancel(parentId, 'cancelled by request');
   }
 
   async getPortfolio(): Promise<Portfolio> {
     try {
       // Get live portfolio from Hyperliquid
-      if (!hyperliquidClient.isConfigured()) {
+      if (!this.venue.isConfigured()) {
         // Return empty portfolio if not configured, rather than throwing hard error?
         // Or maybe throw to alert user? usage seems to expect a Portfolio object.
         return {
@@ -1480,7 +2031,7 @@ export class ExecutionEngine {
         };
       }
 
-      const state = await hyperliquidClient.getAccountState();
+      const state = await this.venue.getAccountState();
 
       const positions: Position[] = state.positions.map(pos => ({
         symbol: pos.symbol,
@@ -1495,7 +2046,7 @@ export class ExecutionEngine {
 
       return {
         totalValue: state.equity,
-        availableBalance: state.withdrawable,
+        availableBalance: state.available,
         usedBalance: state.marginUsed,
         positions,
         dailyPnL: 0, // Hyperliquid API might provide this in summary, but for now 0 or calculate
@@ -1519,7 +2070,7 @@ export class ExecutionEngine {
     this.lastCancellationTime.set(symbolKey, Date.now());
     logger.info(`[ExecutionEngine] Recording cancellation for ${symbolKey} - 5s cooldown active`);
 
-    return await hyperliquidClient.cancelOrder(symbol, orderId);
+    return await this.venue.cancelOrder(symbol, orderId);
   }
 
   async getOpenOrders(symbol?: string): Promise<any[]> {
@@ -1581,7 +2132,13 @@ export class ExecutionEngine {
     try {
       logger.info('Executing emergency stop - cancelling all orders');
 
-      await hyperliquidClient.cancelAllOrders(true);
+      // Stop parent orders first so no new child goes out while the book is being cleared
+      const cancelledParents = await this.executionAlgos.cancelAll(EMERGENCY_STOP_REASON);
+      if (cancelledParents > 0) {
+        logger.info(`Emergency stop cancelled ${cancelledParents} working parent order(s)`);
+      }
+
+      await this.venue.cancelAllOrders(true);
 
       logger.info('Emergency stop completed - all orders canceled');
     } catch (error) {
@@ -1592,9 +2149,9 @@ export class ExecutionEngine {
 
   async validateCredentials(): Promise<boolean> {
     try {
-      if (!hyperliquidClient.isConfigured()) return false;
+      if (!this.venue.isConfigured()) return false;
 
-      const state = await hyperliquidClient.getAccountState();
+      const state = await this.venue.getAccountState();
       logger.info(`Credentials validated - Account equity: $${state.equity.toFixed(2)}`);
       return true;
     } catch (error) {
@@ -1604,7 +2161,7 @@ export class ExecutionEngine {
   }
 
   isConfigured(): boolean {
-    return hyperliquidClient.isConfigured();
+    return this.venue.isConfigured();
   }
 
   getEnvironment(): string {
@@ -0,0 +1,507 @@
+/**
+ * Execution TCA (transaction cost analysis)
+ *
+ * One row per live order in the execution_tca table: the decision price the
+ * signal was generated at, the arrival mid from UnifiedCache when the order
+ * was sent, the fill, fees and time to fill. From those:
+ *
+ *   delay      = arrival mid vs decision price (cost of waiting to send)
+ *   impact     = fill vs arrival mid (cost of crossing / walking the book)
+ *   shortfall  = fill vs decision price, plus fees (implementation shortfall)
+ *   markout    = mid 1s / 10s / 60s after the fill vs the fill price
+ *
+ * Costs are in basis points with positive = worse for us; markouts are
+ * positive when the price moved our way after the fill. Orders that rest on
+ * the book are recorded as RESTING and settled from the venue fills stream
+ * (recordFill); they turn FILLED once their whole size has filled. Signals the
+ * pre-trade gates stop get a BLOCKED row with no fill (recordBlocked).
+ */
+
+import { randomUUID } from 'crypto';
+import BetterSqlite3 from 'better-sqlite3';
+import configManager from '../shared/config';
+import logger from '../shared/logger';
+import unifiedCache from '../infrastructure/unified-cache';
+import { VenueFill } from './venues/exchange-adapter';
+
+export type TcaOutcome = 'PENDING' | 'FILLED' | 'RESTING' | 'CANCELLED' | 'REJECTED' | 'BLOCKED';
+export type TcaGroupBy = 'symbol' | 'strategy' | 'failureCategory';
+
+export const TCA_GROUP_BY: TcaGroupBy[] = ['symbol', 'strategy', 'failureCategory'];
+export const TCA_MARKOUT_HORIZONS_MS = [1000, 10000, 60000] as const;
+
+/**
+ * Order results from the exchange carry no fee, so fills are charged the
+ * Hyperliquid base tier taker rate unless TCA_TAKER_FEE_RATE says otherwise
+ */
+const TAKER_FEE_RATE = (() => {
+    const parsed = Number.parseFloat(process.env.TCA_TAKER_FEE_RATE || '');
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : 0.00045;
+})();
+
+export interface TcaOrderStart {
+    symbol: string;
+    side: 'BUY' | 'SELL';
+    size: number;
+    strategyId?: string;
+    orderType: 'limit' | 'market';
+    /** Price the signal was generated at */
+    decisionPrice: number;
+    decisionAt?: number;
+    /** Parent order id for execution algo children */
+    parentId?: string;
+}
+
+export interface TcaOrderResult {
+    outcome: Exclude<TcaOutcome, 'PENDING'>;
+    orderId?: string;
+    filledSize?: number;
+    fillPrice?: number;
+    /** Defaults to the taker fee estimate */
+    fee?: number;
+    error?: string;
+}
+
+export interface TcaOrder {
+    id: string;
+    orderId: string | null;
+    parentId: string | null;
+    symbol: string;
+    side: 'BUY' | 'SELL';
+    strategyId: string | null;
+    orderType: string;
+    size: number;
+    decisionPrice: number;
+    decisionAt: number;
+    arrivalMid: number | null;
+    submittedAt: number;
+    outcome: TcaOutcome;
+    /** Outcome of orders that failed outright (CANCELLED / REJECTED / BLOCKED) */
+    failureCategory: string | null;
+    error: string | null;
+    filledSize: number;
+    fillPrice: number | null;
+    fee: number;
+    filledAt: number | null;
+    timeToFillMs: number | null;
+    delayBps: number | null;
+    impactBps: number | null;
+    feeBps: number | null;
+    shortfallBps: number | null;
+    markout1sBps: number | null;
+    markout10sBps: number | null;
+    markout60sBps: number | null;
+}
+
+export interface TcaGroupSummary {
+    key: string;
+    orders: number;
+    filled: number;
+    resting: number;
+    failed: number;
+    fillRate: number;
+    filledNotional: number;
+    /** Notional-weighted averages over filled orders */
+    avgShortfallBps: number | null;
+    avgDelayBps: number | null;
+    avgImpactBps: number | null;
+    avgFeeBps: number | null;
+    avgMarkout1sBps: number | null;
+    avgMarkout10sBps: number | null;
+    avgMarkout60sBps: number | null;
+    avgTimeToFillMs: number | null;
+    totalFees: number;
+}
+
+export interface TcaQuery {
+    symbol?: string;
+    strategyId?: string;
+    outcome?: TcaOutcome;
+    since?: number;
+    limit?: number;
+}
+
+export type MidPriceProvider = (symbol: string) => number | undefined;
+
+/** Signed cost of `price` vs `reference` in bps; positive = worse for `side` */
+function costBps(side: 'BUY' | 'SELL', price: number | null, reference: number | null): number | null {
+    if (!price || !reference || price <= 0 || reference <= 0) return null;
+    return ((price - reference) / reference) * 10000 * (side === 'BUY' ? 1 : -1);
+}
+
+function rowToOrder(row: any): TcaOrder {
+    return {
+        id: row.id,
+        orderId: row.order_id,
+        parentId: row.parent_id,
+        symbol: row.symbol,
+        side: row.side,
+        strategyId: row.strategy_id,
+        orderType: row.order_type,
+        size: row.size,
+        decisionPrice: row.decision_price,
+        decisionAt: row.decision_at,
+        arrivalMid: row.arrival_mid,
+        submittedAt: row.submitted_at,
+        outcome: row.outcome,
+        failureCategory: row.failure_category,
+        error: row.error,
+        filledSize: row.filled_size,
+        fillPrice: row.fill_price,
+        fee: row.fee,
+        filledAt: row.filled_at,
+        timeToFillMs: row.time_to_fill_ms,
+        delayBps: row.delay_bps,
+        impactBps: row.impact_bps,
+        feeBps: row.fee_bps,
+        shortfallBps: row.shortfall_bps,
+        markout1sBps: row.markout_1s_bps,
+        markout10sBps: row.markout_10s_bps,
+        markout60sBps: row.markout_60s_bps,
+    };
+}
+
+function weightedAverage(orders: TcaOrder[], pick: (order: TcaOrder) => number | null): number | null {
+    let weight = 0;
+    let total = 0;
+    for (const order of orders) {
+        const value = pick(order);
+        if (value === null || order.fillPrice === null) continue;
+        const notional = order.filledSize * order.fillPrice;
+        weight += notional;
+        total += value * notional;
+    }
+    return weight > 0 ? total / weight : null;
+}
+
+export function summarizeTca(key: string, orders: TcaOrder[]): TcaGroupSummary {
+    const filled = orders.filter(order => order.outcome === 'FILLED');
+    const resting = orders.filter(order => order.outcome === 'RESTING').length;
+    const failed = orders.filter(order => order.failureCategory !== null).length;
+    const fillTimes = filled.map(order => order.timeToFillMs).filter((ms): ms is number => ms !== null);
+
+    return {
+        key,
+        orders: orders.length,
+        filled: filled.length,
+        resting,
+        failed,
+        fillRate: orders.length > 0 ? filled.length / orders.length : 0,
+        filledNotional: filled.reduce((sum, order) => sum + order.filledSize * (order.fillPrice ?? 0), 0),
+        avgShortfallBps: weightedAverage(filled, order => order.shortfallBps),
+        avgDelayBps: weightedAverage(filled, order => order.delayBps),
+        avgImpactBps: weightedAverage(filled, order => order.impactBps),
+        avgFeeBps: weightedAverage(filled, order => order.feeBps),
+        avgMarkout1sBps: weightedAverage(filled, order => order.markout1sBps),
+        avgMarkout10sBps: weightedAverage(filled, order => order.markout10sBps),
+        avgMarkout60sBps: weightedAverage(filled, order => order.markout60sBps),
+        avgTimeToFillMs: fillTimes.length > 0 ? fillTimes.reduce((a, b) => a + b, 0) / fillTimes.length : null,
+        totalFees: filled.reduce((sum, order) => sum + order.fee, 0),
+    };
+}
+
+interface PendingMarkout {
+    id: string;
+    symbol: string;
+    side: 'BUY' | 'SELL';
+    fillPrice: number;
+    dueAt: number;
+    column: string;
+}
+
+export class ExecutionTca {
+    private db: BetterSqlite3.Database | null = null;
+    private pendingMarkouts: PendingMarkout[] = [];
+    private markoutTimer: NodeJS.Timeout | null = null;
+
+    constructor(
+        private dbPath: string = configManager.get().database?.connection || './data/trading.db',
+        private getMid: MidPriceProvider = (symbol) => unifiedCache.getMidPrice(symbol),
+        private now: () => number = Date.now
+    ) {}
+
+    private getDb(): BetterSqlite3.Database {
+        if (this.db) return this.db;
+
+        this.db = new BetterSqlite3(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS execution_tca (
+                id TEXT PRIMARY KEY,
+                order_id TEXT,
+                parent_id TEXT,
+                symbol TEXT NOT NULL,
+                side TEXT NOT NULL,
+                strategy_id TEXT,
+                order_type TEXT NOT NULL,
+                size REAL NOT NULL,
+                decision_price REAL NOT NULL,
+                decision_at INTEGER NOT NULL,
+                arrival_mid REAL,
+                submitted_at INTEGER NOT NULL,
+                outcome TEXT NOT NULL DEFAULT 'PENDING',
+                failure_category TEXT,
+                error TEXT,
+                filled_size REAL NOT NULL DEFAULT 0,
+                fill_price REAL,
+                fee REAL NOT NULL DEFAULT 0,
+                filled_at INTEGER,
+                time_to_fill_ms INTEGER,
+                delay_bps REAL,
+                impact_bps REAL,
+                fee_bps REAL,
+                shortfall_bps REAL,
+                markout_1s_bps REAL,
+                markout_10s_bps REAL,
+                markout_60s_bps REAL
+            )
+        `);
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_execution_tca_submitted
+            ON execution_tca(submitted_at)
+        `);
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_execution_tca_order
+            ON execution_tca(order_id)
+        `);
+        return this.db;
+    }
+
+    /**
+     * Record an order as it is sent; captures the arrival mid. Returns the TCA id.
+     */
+    startOrder(order: TcaOrderStart): string {
+        const id = randomUUID();
+        const symbol = order.symbol.toUpperCase();
+        const submittedAt = this.now();
+        const arrivalMid = this.mid(symbol);
+
+        try {
+            this.getDb().prepare(`
+                INSERT INTO execution_tca (
+                    id, parent_id, symbol, side, strategy_id, order_type, size,
+                    decision_price, decision_at, arrival_mid, submitted_at, delay_bps
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                id, order.parentId ?? null, symbol, order.side, order.strategyId ?? null, order.orderType, order.size,
+                order.decisionPrice, order.decisionAt ?? submittedAt, arrivalMid, submittedAt,
+                costBps(order.side, arrivalMid, order.decisionPrice)
+            );
+        } catch (error) {
+            logger.warn(`[ExecutionTca] Failed to record order for ${symbol}:`, error);
+        }
+        return id;
+    }
+
+    /**
+     * Record how the order ended and schedule its markouts if it filled
+     */
+    finishOrder(id: string, result: TcaOrderResult): void {
+        try {
+            const row = this.getDb().prepare('SELECT * FROM execution_tca WHERE id = ?').get(id);
+            if (!row) return;
+            const order = rowToOrder(row);
+            const filledAt = this.now();
+            const filled = result.outcome === 'FILLED' && (result.fillPrice ?? 0) > 0;
+            const filledSize = filled ? (result.filledSize || order.size) : 0;
+            const fillPrice = filled ? result.fillPrice! : null;
+            const fee = filled ? (result.fee ?? filledSize * fillPrice! * TAKER_FEE_RATE) : 0;
+            const feeBps = fillPrice ? (fee / (filledSize * fillPrice)) * 10000 : null;
+            const slippage = costBps(order.side, fillPrice, order.decisionPrice);
+            const failureCategory = ['CANCELLED', 'REJECTED', 'BLOCKED'].includes(result.outcome) ? result.outcome : null;
+
+            this.getDb().prepare(`
+                UPDATE execution_tca SET
+                    order_id = ?, outcome = ?, failure_category = ?, error = ?,
+                    filled_size = ?, fill_price = ?, fee = ?, filled_at = ?, time_to_fill_ms = ?,
+                    impact_bps = ?, fee_bps = ?, shortfall_bps = ?
+                WHERE id = ?
+            `).run(
+                result.orderId ?? order.orderId, result.outcome, failureCategory, result.error ?? null,
+                filledSize, fillPrice, fee, filled ? filledAt : null, filled ? filledAt - order.submittedAt : null,
+                costBps(order.side, fillPrice, order.arrivalMid),
+                feeBps,
+                slippage === null ? null : slippage + (feeBps ?? 0),
+                id
+            );
+
+            if (fillPrice) this.scheduleMarkouts(id, order.symbol, order.side, fillPrice, filledAt);
+        } catch (error) {
+            logger.warn(`[ExecutionTca] Failed to record outcome for ${id}:`, error);
+        }
+    }
+
+    /**
+     * Record a signal the pre-trade gates stopped before it was sent. Returns the TCA id.
+     */
+    recordBlocked(order: TcaOrderStart, reason: string): string {
+        const id = this.startOrder(order);
+        this.finishOrder(id, { outcome: 'BLOCKED', error: reason });
+        return id;
+    }
+
+    /**
+     * Apply a venue fill to the RESTING order it belongs to. Partial fills
+     * update the running size, average price and fees; the order turns FILLED,
+     * and its markouts are scheduled, once its whole size has filled. Fills of
+     * orders that are not resting are ignored. Returns whether a row changed.
+     */
+    recordFill(fill: VenueFill): boolean {
+        try {
+            const row = this.getDb()
+                .prepare(`SELECT * FROM execution_tca WHERE order_id = ? AND outcome = 'RESTING'`)
+                .get(fill.orderId);
+            if (!row || !(fill.size > 0) || !(fill.price > 0)) return false;
+            const order = rowToOrder(row);
+            const filledSize = order.filledSize + fill.size;
+            const fillPrice = ((order.fillPrice ?? 0) * order.filledSize + fill.price * fill.size) / filledSize;
+            const fee = order.fee + fill.fee;
+            const feeBps = (fee / (filledSize * fillPrice)) * 10000;
+            const slippage = costBps(order.side, fillPrice, order.decisionPrice);
+            // Venue sizes are rounded to lot size, so allow for float noise
+            const complete = filledSize >= order.size * (1 - 1e-9);
+
+            this.getDb().prepare(`
+                UPDATE execution_tca SET
+                    outcome = ?, filled_size = ?, fill_price = ?, fee = ?, filled_at = ?, time_to_fill_ms = ?,
+                    impact_bps = ?, fee_bps = ?, shortfall_bps = ?
+                WHERE id = ?
+            `).run(
+                complete ? 'FILLED' : 'RESTING', filledSize, fillPrice, fee,
+                fill.timestamp, fill.timestamp - order.submittedAt,
+                costBps(order.side, fillPrice, order.arrivalMid),
+                feeBps,
+                slippage === null ? null : slippage + feeBps,
+                order.id
+            );
+
+            if (complete) this.scheduleMarkouts(order.id, order.symbol, order.side, fillPrice, fill.timestamp);
+            return true;
+        } catch (error) {
+            logger.warn(`[ExecutionTca] Failed to record fill ${fill.id} for order ${fill.orderId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Sample the mid for markouts that are due. Driven by a 1s timer while any
+     * are pending; exposed so tests can drive it with a fake clock.
+     */
+    sampleMarkouts(): number {
+        const now = this.now();
+        const due = this.pendingMarkouts.filter(markout => markout.dueAt <= now);
+        if (due.length === 0) return 0;
+        this.pendingMarkouts = this.pendingMarkouts.filter(markout => markout.dueAt > now);
+
+        for (const markout of due) {
+            // Mid moving above a buy (below a sell) is in our favour
+            const markoutBps = costBps(markout.side, this.mid(markout.symbol), markout.fillPrice);
+            if (markoutBps === null) continue;
+            try {
+                this.getDb()
+                    .prepare(`UPDATE execution_tca SET ${markout.column} = ? WHERE id = ?`)
+                    .run(markoutBps, markout.id);
+            } catch (error) {
+                logger.warn(`[ExecutionTca] Failed to record markout for ${markout.id}:`, error);
+            }
+        }
+
+        if (this.pendingMarkouts.length === 0) this.stopMarkoutTimer();
+        return due.length;
+    }
+
+    listOrders(query: TcaQuery = {}): TcaOrder[] {
+        const clauses: string[] = [];
+        const params: unknown[] = [];
+        if (query.symbol) {
+            clauses.push('symbol = ?');
+            params.push(query.symbol.toUpperCase());
+        }
+        if (query.strategyId) {
+            clauses.push('strategy_id = ?');
+            params.push(query.strategyId);
+        }
+        if (query.outcome) {
+            clauses.push('outcome = ?');
+            params.push(query.outcome);
+        }
+        if (query.since !== undefined) {
+            clauses.push('submitted_at >= ?');
+            params.push(query.since);
+        }
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        if (query.limit !== undefined) params.push(query.limit);
+
+        const rows = this.getDb()
+            .prepare(`SELECT * FROM execution_tca ${where} ORDER BY submitted_at DESC ${query.limit !== undefined ? 'LIMIT ?' : ''}`)
+            .all(...params);
+        return rows.map(rowToOrder);
+    }
+
+    /**
+     * Aggregate TCA per symbol, strategy or failure category. Orders that did
+     * not fail outright are grouped under 'NONE' by failure category.
+     */
+    summarize(groupBy: TcaGroupBy, query: Omit<TcaQuery, 'limit'> = {}): { groups: TcaGroupSummary[]; totals: TcaGroupSummary } {
+        const orders = this.listOrders(query).filter(order => order.outcome !== 'PENDING');
+        const keyOf = (order: TcaOrder): string => groupBy === 'symbol'
+            ? order.symbol
+            : groupBy === 'strategy'
+                ? (order.strategyId ?? 'unknown')
+                : (order.failureCategory ?? 'NONE');
+
+        const groups = new Map<string, TcaOrder[]>();
+        for (const order of orders) {
+            const key = keyOf(order);
+            const list = groups.get(key) ?? [];
+            list.push(order);
+            groups.set(key, list);
+        }
+
+        return {
+            groups: [...groups.entries()]
+                .map(([key, list]) => summarizeTca(key, list))
+                .sort((a, b) => b.orders - a.orders),
+            totals: summarizeTca('ALL', orders),
+        };
+    }
+
+    stop(): void {
+        this.stopMarkoutTimer();
+        this.pendingMarkouts = [];
+    }
+
+    close(): void {
+        this.stop();
+        this.db?.close();
+        this.db = null;
+    }
+
+    private mid(symbol: string): number | null {
+        const mid = this.getMid(symbol.toUpperCase());
+        return mid !== undefined && Number.isFinite(mid) && mid > 0 ? mid : null;
+    }
+
+    private scheduleMarkouts(id: string, symbol: string, side: 'BUY' | 'SELL', fillPrice: number, filledAt: number): void {
+        const [h1, h10, h60] = TCA_MARKOUT_HORIZONS_MS;
+        for (const [horizon, column] of [[h1, 'markout_1s_bps'], [h10, 'markout_10s_bps'], [h60, 'markout_60s_bps']] as const) {
+            this.pendingMarkouts.push({ id, symbol, side, fillPrice, dueAt: filledAt + horizon, column });
+        }
+        this.ensureMarkoutTimer();
+    }
+
+    private ensureMarkoutTimer(): void {
+        if (this.markoutTimer) return;
+        this.markoutTimer = setInterval(() => this.sampleMarkouts(), 1000);
+        this.markoutTimer.unref?.();
+    }
+
+    private stopMarkoutTimer(): void {
+        if (!this.markoutTimer) return;
+        clearInterval(this.markoutTimer);
+        this.markoutTimer = null;
+    }
+}
+
+const executionTca = new ExecutionTca();
+export default executionTca;
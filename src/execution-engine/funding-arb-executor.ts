@@ -0,0 +1,799 @@
+/**
+ * Funding Arbitrage Executor
+ *
+ * Trades the cross-exchange funding spreads found by CrossExchangeArbitrage:
+ * long the perp on the venue paying the lower rate, short it on the venue
+ * paying the higher one, equal base size on both so price moves cancel and
+ * the funding difference is the carry.
+ *
+ * Both legs go out together as market orders. An order the venue only
+ * acknowledges (ccxt PENDING) is settled from its fills, or from the venue
+ * position when the order cannot be looked up. If one leg does not fill, the
+ * other is flattened straight away; if they fill unevenly, the larger leg is
+ * trimmed. Open pairs are managed each cycle: funding is accrued per leg from
+ * the scanned rates, the net delta is trimmed back inside the imbalance
+ * tolerance, legs that drifted above the target notional are cut back
+ * together, and the pair is unwound when the annualized spread drops below
+ * the exit threshold, its quote goes stale or a leg disappears on the venue.
+ *
+ * Entries pass RiskManager.checkPairedEntry (emergency stop, blacklist,
+ * cooldown, daily loss breaker, per-position cap). In paper mode each venue is
+ * an in-memory MockExchangeAdapter marked at the scanned prices. Rates follow
+ * the scanner's convention of 8h funding periods.
+ *
+ * Live pairs assume nothing else trades the same symbol on the same venue
+ * account: leg sizes are reconciled against the venue's net position.
+ */
+
+import { randomUUID } from 'crypto';
+import BetterSqlite3 from 'better-sqlite3';
+import configManager from '../shared/config';
+import logger from '../shared/logger';
+import riskManager, { PairedEntryDecision, PairedEntryRequest } from '../risk-manager/risk-manager';
+import type { CrossExchangeOpportunity } from '../market-ingester/cross-exchange-arbitrage';
+import {
+    ExchangeAdapter,
+    MockExchangeAdapter,
+    VenueName,
+    VenueOrderResult,
+    VenueOrderState,
+    VenuePosition,
+    getExchangeAdapter,
+} from './venues';
+
+export const FUNDING_PERIOD_MS = 8 * 60 * 60 * 1000;
+const FUNDING_PERIODS_PER_YEAR = 3 * 365;
+// Looking up an acknowledged leg order: attempts, the wait between them, and
+// how far back its fills are searched (venue clocks drift from ours)
+const LEG_SETTLE_ATTEMPTS = 3;
+const LEG_SETTLE_DELAY_MS = 500;
+const LEG_FILL_LOOKBACK_MS = 60_000;
+
+export type FundingArbStatus = 'OPEN' | 'CLOSED' | 'FAILED';
+export type FundingArbMode = 'PAPER' | 'LIVE';
+
+export interface FundingArbConfig {
+    paper: boolean;
+    /** Target notional per leg (USD) */
+    notionalUsd: number;
+    /** Annualized carry (%) needed to open */
+    entryApr: number;
+    /** Unwind once the carry falls below this (%) */
+    exitApr: number;
+    minConfidence: number;
+    maxPositions: number;
+    leverage: number;
+    /** Net base exposure allowed, as a fraction of the leg size */
+    maxImbalance: number;
+    /** Cut both legs back once their notional is this far above target */
+    rebalanceDrift: number;
+    /** Unwind when the pair has not been quoted by the scanner for this long */
+    quoteTimeoutMs: number;
+    takerFeeRate: number;
+    paperBalance: number;
+}
+
+export interface FundingArbLegQuote {
+    venue: VenueName;
+    /** Per 8h funding period */
+    fundingRate: number;
+    markPrice: number;
+}
+
+export interface FundingArbQuote {
+    symbol: string;
+    long: FundingArbLegQuote;
+    short: FundingArbLegQuote;
+    confidence: number;
+}
+
+export interface FundingArbLeg {
+    venue: VenueName;
+    side: 'LONG' | 'SHORT';
+    size: number;
+    entryPrice: number;
+    markPrice: number;
+    fundingRate: number;
+    /** Estimated from the scanned rates; positive = received */
+    fundingAccrued: number;
+    fees: number;
+    /** From trims, failed-pair flattening and the final unwind */
+    realizedPnL: number;
+}
+
+export interface FundingArbPosition {
+    id: string;
+    symbol: string;
+    mode: FundingArbMode;
+    status: FundingArbStatus;
+    targetNotionalUsd: number;
+    long: FundingArbLeg;
+    short: FundingArbLeg;
+    entrySpreadApr: number;
+    spreadApr: number;
+    /** Realized + unrealized + funding - fees over both legs */
+    netPnL: number;
+    openedAt: number;
+    updatedAt: number;
+    lastFundingAt: number;
+    lastQuoteAt: number;
+    closedAt: number | null;
+    closeReason: string | null;
+    lastError: string | null;
+}
+
+export interface FundingArbCycleResult {
+    opened: number;
+    closed: number;
+    rebalanced: number;
+    failed: number;
+}
+
+/** The RiskManager surface the executor shares limits through */
+export interface PairedRiskGate {
+    checkPairedEntry(request: PairedEntryRequest): PairedEntryDecision;
+    updateDailyPnL(pnl: number): void;
+}
+
+export interface FundingArbExecutorOptions {
+    config?: Partial<FundingArbConfig>;
+    getAdapter?: (venue: VenueName) => ExchangeAdapter;
+    risk?: PairedRiskGate;
+    dbPath?: string;
+    now?: () => number;
+}
+
+export class FundingArbError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'FundingArbError';
+    }
+}
+
+interface LegFill {
+    filledSize: number;
+    price: number;
+    error?: string;
+    /** The venue took the order but its fills could not be confirmed */
+    unresolved?: boolean;
+}
+
+function envNumber(name: string, fallback: number): number {
+    const parsed = Number.parseFloat(process.env[name] || '');
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export function loadFundingArbConfig(): FundingArbConfig {
+    return {
+        paper: process.env.FUNDING_ARB_PAPER !== 'false',
+        notionalUsd: envNumber('FUNDING_ARB_NOTIONAL_USD', 500),
+        entryApr: envNumber('FUNDING_ARB_ENTRY_APR', 25),
+        exitApr: envNumber('FUNDING_ARB_EXIT_APR', 8),
+        minConfidence: envNumber('FUNDING_ARB_MIN_CONFIDENCE', 70),
+        maxPositions: envNumber('FUNDING_ARB_MAX_POSITIONS', 3),
+        leverage: envNumber('FUNDING_ARB_LEVERAGE', 2),
+        maxImbalance: envNumber('FUNDING_ARB_MAX_IMBALANCE', 0.02),
+        rebalanceDrift: envNumber('FUNDING_ARB_REBALANCE_DRIFT', 0.1),
+        quoteTimeoutMs: envNumber('FUNDING_ARB_QUOTE_TIMEOUT_MS', 30 * 60 * 1000),
+        takerFeeRate: envNumber('FUNDING_ARB_TAKER_FEE_RATE', 0.00045),
+        paperBalance: envNumber('FUNDING_ARB_PAPER_BALANCE', 10000),
+    };
+}
+
+/**
+ * Carry of long/short at these per-period rates, annualized in percent
+ */
+export function annualizedCarry(longFundingRate: number, shortFundingRate: number): number {
+    return (shortFundingRate - longFundingRate) * FUNDING_PERIODS_PER_YEAR * 100;
+}
+
+export function quoteFromOpportunity(opportunity: CrossExchangeOpportunity): FundingArbQuote | null {
+    const { longExchange, shortExchange } = opportunity;
+    if (!longExchange || !shortExchange || longExchange === shortExchange) return null;
+
+    const legQuote = (venue: VenueName): FundingArbLegQuote => venue === opportunity.exchangeA
+        ? { venue, fundingRate: opportunity.exchangeAFunding, markPrice: opportunity.exchangeAMarkPrice }
+        : { venue, fundingRate: opportunity.exchangeBFunding, markPrice: opportunity.exchangeBMarkPrice };
+
+    return {
+        symbol: opportunity.symbol.toUpperCase(),
+        long: legQuote(longExchange),
+        short: legQuote(shortExchange),
+        confidence: opportunity.confidence,
+    };
+}
+
+function pairKey(symbol: string, longVenue: VenueName, shortVenue: VenueName): string {
+    return `${symbol.toUpperCase()}:${longVenue}:${shortVenue}`;
+}
+
+function legDirection(leg: FundingArbLeg): 1 | -1 {
+    return leg.side === 'LONG' ? 1 : -1;
+}
+
+function legNetPnL(leg: FundingArbLeg): number {
+    const unrealized = (leg.markPrice - leg.entryPrice) * leg.size * legDirection(leg);
+    return leg.realizedPnL + unrealized + leg.fundingAccrued - leg.fees;
+}
+
+function rowToPosition(row: any): FundingArbPosition {
+    const long: FundingArbLeg = JSON.parse(row.long_leg);
+    const short: FundingArbLeg = JSON.parse(row.short_leg);
+    return {
+        id: row.id,
+        symbol: row.symbol,
+        mode: row.mode,
+        status: row.status,
+        targetNotionalUsd: row.target_notional_usd,
+        long,
+        short,
+        entrySpreadApr: row.entry_spread_apr,
+        spreadApr: row.spread_apr,
+        netPnL: legNetPnL(long) + legNetPnL(short),
+        openedAt: row.opened_at,
+        updatedAt: row.updated_at,
+        lastFundingAt: row.last_funding_at,
+        lastQuoteAt: row.last_quote_at,
+        closedAt: row.closed_at ?? null,
+        closeReason: row.close_reason ?? null,
+        lastError: row.last_error ?? null,
+    };
+}
+
+export class FundingArbExecutor {
+    readonly config: FundingArbConfig;
+    private readonly getAdapter: (venue: VenueName) => ExchangeAdapter;
+    private readonly risk: PairedRiskGate;
+    private readonly dbPath: string;
+    private readonly now: () => number;
+    private readonly paperAdapters = new Map<VenueName, MockExchangeAdapter>();
+    private db: BetterSqlite3.Database | null = null;
+    private running = false;
+
+    constructor(options: FundingArbExecutorOptions = {}) {
+        this.config = { ...loadFundingArbConfig(), ...options.config };
+        this.risk = options.risk ?? riskManager;
+        this.dbPath = options.dbPath ?? (configManager.get().database?.connection || './data/trading.db');
+        this.now = options.now ?? Date.now;
+        this.getAdapter = options.getAdapter
+            ?? (this.config.paper ? (venue) => this.paperAdapter(venue) : getExchangeAdapter);
+    }
+
+    get mode(): FundingArbMode {
+        return this.config.paper ? 'PAPER' : 'LIVE';
+    }
+
+    /**
+     * One pass over the scanner output: manage open pairs, then open new ones
+     */
+    async runCycle(opportunities: CrossExchangeOpportunity[]): Promise<FundingArbCycleResult> {
+        const result: FundingArbCycleResult = { opened: 0, closed: 0, rebalanced: 0, failed: 0 };
+        if (this.running) {
+            logger.warn('[FundingArbExecutor] Previous cycle still running, skipping');
+            return result;
+        }
+        this.running = true;
+
+        try {
+            const quotes = new Map<string, FundingArbQuote>();
+            for (const opportunity of opportunities) {
+                const quote = quoteFromOpportunity(opportunity);
+                if (quote) quotes.set(pairKey(quote.symbol, quote.long.venue, quote.short.venue), quote);
+            }
+
+            for (const position of this.listPositions({ status: 'OPEN' })) {
+                try {
+                    const before = position.long.size + position.short.size;
+                    const managed = await this.manage(position, quotes.get(pairKey(position.symbol, position.long.venue, position.short.venue)));
+                    if (managed.status === 'CLOSED') result.closed++;
+                    else if (managed.status === 'FAILED') result.failed++;
+                    else if (managed.long.size + managed.short.size < before) result.rebalanced++;
+                } catch (error) {
+                    logger.error(`[FundingArbExecutor] Failed to manage ${position.symbol} pair ${position.id}:`, error);
+                }
+            }
+
+            const openSymbols = new Set(this.listPositions({ status: 'OPEN' }).map(position => position.symbol));
+            const candidates = [...quotes.values()]
+                .filter(quote => quote.confidence >= this.config.minConfidence)
+                .filter(quote => annualizedCarry(quote.long.fundingRate, quote.short.fundingRate) >= this.config.entryApr)
+                .filter(quote => quote.long.markPrice > 0 && quote.short.markPrice > 0)
+                .sort((a, b) =>
+                    annualizedCarry(b.long.fundingRate, b.short.fundingRate) - annualizedCarry(a.long.fundingRate, a.short.fundingRate)
+                );
+
+            for (const quote of candidates) {
+                if (openSymbols.size >= this.config.maxPositions) break;
+                if (openSymbols.has(quote.symbol)) continue;
+                try {
+                    const position = await this.open(quote);
+                    if (position.status === 'OPEN') {
+                        openSymbols.add(quote.symbol);
+                        result.opened++;
+                    } else {
+                        result.failed++;
+                    }
+                } catch (error) {
+                    if (!(error instanceof FundingArbError)) throw error;
+                    logger.info(`[FundingArbExecutor] Skipping ${quote.symbol}: ${error.message}`);
+                }
+            }
+
+            return result;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Open both legs of a pair. Throws FundingArbError when the pair is not
+     * tradable; a pair whose legs did not both fill comes back FAILED and flat.
+     */
+    async open(quote: FundingArbQuote, notionalUsd: number = this.config.notionalUsd): Promise<FundingArbPosition> {
+        const symbol = quote.symbol.toUpperCase();
+        if (this.listPositions({ status: 'OPEN', symbol }).length > 0) {
+            throw new FundingArbError(`${symbol} already has an open funding arb pair`);
+        }
+
+        const longAdapter = this.getAdapter(quote.long.venue);
+        const shortAdapter = this.getAdapter(quote.short.venue);
+        for (const adapter of [longAdapter, shortAdapter]) {
+            if (!adapter.isConfigured()) {
+                throw new FundingArbError(`${adapter.venue} is not configured for trading`);
+            }
+        }
+
+        this.markPaperVenues(symbol, quote);
+        const [longBalance, shortBalance] = await Promise.all([longAdapter.getBalance(), shortAdapter.getBalance()]);
+        const decision = this.risk.checkPairedEntry({
+            symbol,
+            legNotionalUsd: notionalUsd,
+            equity: Math.min(longBalance.equity, shortBalance.equity),
+            leverage: this.config.leverage,
+        });
+        if (!decision.approved) {
+            throw new FundingArbError(decision.reason || 'Rejected by risk manager');
+        }
+
+        const referencePrice = (quote.long.markPrice + quote.short.markPrice) / 2;
+        const size = decision.maxLegNotionalUsd / referencePrice;
+        const now = this.now();
+        const spreadApr = annualizedCarry(quote.long.fundingRate, quote.short.fundingRate);
+        logger.info(
+            `[FundingArbExecutor] Opening ${symbol}: long ${quote.long.venue} / short ${quote.short.venue}, ` +
+            `${size.toFixed(6)} per leg (~$${decision.maxLegNotionalUsd.toFixed(2)}), carry ${spreadApr.toFixed(2)}% APR`
+        );
+
+        const [longFill, shortFill] = await Promise.all([
+            this.placeLeg(longAdapter, symbol, 'BUY', size, false)
+                .then(fill => this.confirmOpenFill(symbol, quote.long.venue, 'LONG', fill)),
+            this.placeLeg(shortAdapter, symbol, 'SELL', size, false)
+                .then(fill => this.confirmOpenFill(symbol, quote.short.venue, 'SHORT', fill)),
+        ]);
+
+        const newLeg = (legQuote: FundingArbLegQuote, side: 'LONG' | 'SHORT', fill: LegFill): FundingArbLeg => ({
+            venue: legQuote.venue,
+            side,
+            size: fill.filledSize,
+            entryPrice: fill.filledSize > 0 ? fill.price : legQuote.markPrice,
+            markPrice: legQuote.markPrice,
+            fundingRate: legQuote.fundingRate,
+            fundingAccrued: 0,
+            fees: fill.filledSize * fill.price * this.config.takerFeeRate,
+            realizedPnL: 0,
+        });
+
+        const position: FundingArbPosition = {
+            id: randomUUID(),
+            symbol,
+            mode: this.mode,
+            status: 'OPEN',
+            targetNotionalUsd: decision.maxLegNotionalUsd,
+            long: newLeg(quote.long, 'LONG', longFill),
+            short: newLeg(quote.short, 'SHORT', shortFill),
+            entrySpreadApr: spreadApr,
+            spreadApr,
+            netPnL: 0,
+            openedAt: now,
+            updatedAt: now,
+            lastFundingAt: now,
+            lastQuoteAt: now,
+            closedAt: null,
+            closeReason: null,
+            lastError: null,
+        };
+
+        if (longFill.filledSize <= 0 || shortFill.filledSize <= 0) {
+            // One leg missed: do not keep the other naked
+            const failed = longFill.filledSize <= 0 ? longFill : shortFill;
+            const failedSide = longFill.filledSize <= 0 ? 'long' : 'short';
+            await this.unwind(position, `${failedSide} leg failed: ${failed.error || 'not filled'}`, 'FAILED');
+            return position;
+        }
+
+        await this.trimImbalance(position);
+        this.save(position);
+        return this.getPosition(position.id)!;
+    }
+
+    /**
+     * Accrue funding, sync leg sizes with the venues, trim and unwind as needed
+     */
+    async manage(position: FundingArbPosition, quote?: FundingArbQuote): Promise<FundingArbPosition> {
+        if (position.status !== 'OPEN') return position;
+
+        const now = this.now();
+        this.accrueFunding(position, now);
+        if (quote) {
+            this.markPaperVenues(position.symbol, quote);
+            position.long.fundingRate = quote.long.fundingRate;
+            position.long.markPrice = quote.long.markPrice;
+            position.short.fundingRate = quote.short.fundingRate;
+            position.short.markPrice = quote.short.markPrice;
+            position.lastQuoteAt = now;
+        }
+        position.spreadApr = annualizedCarry(position.long.fundingRate, position.short.fundingRate);
+
+        // A leg closed on the venue (liquidation, ADL, manual) leaves the other naked
+        const [longVenueSize, shortVenueSize] = await Promise.all([
+            this.venuePositionSize(position.symbol, position.long),
+            this.venuePositionSize(position.symbol, position.short),
+        ]);
+        position.long.size = Math.min(position.long.size, longVenueSize);
+        position.short.size = Math.min(position.short.size, shortVenueSize);
+        if (position.long.size <= 0 || position.short.size <= 0) {
+            const lost = position.long.size <= 0 ? position.long : position.short;
+            await this.unwind(position, `${lost.side.toLowerCase()} leg on ${lost.venue} is gone`, 'FAILED');
+            return position;
+        }
+
+        if (position.spreadApr < this.config.exitApr) {
+            await this.unwind(position, `Carry ${position.spreadApr.toFixed(2)}% APR below exit ${this.config.exitApr}%`, 'CLOSED');
+            return position;
+        }
+        if (now - position.lastQuoteAt > this.config.quoteTimeoutMs) {
+            await this.unwind(position, 'Pair no longer quoted by the scanner', 'CLOSED');
+            return position;
+        }
+
+        await this.trimImbalance(position);
+        await this.trimDrift(position);
+        position.updatedAt = now;
+        this.save(position);
+        return this.getPosition(position.id)!;
+    }
+
+    /**
+     * Flatten both legs on request
+     */
+    async closePair(id: string, reason: string = 'Closed by request'): Promise<FundingArbPosition> {
+        const position = this.getPosition(id);
+        if (!position) {
+            throw new FundingArbError(`Funding arb pair ${id} not found`);
+        }
+        if (position.status !== 'OPEN') return position;
+
+        this.accrueFunding(position, this.now());
+        await this.unwind(position, reason, 'CLOSED');
+        return this.getPosition(id)!;
+    }
+
+    listPositions(query: { status?: FundingArbStatus; symbol?: string; limit?: number } = {}): FundingArbPosition[] {
+        const clauses: string[] = [];
+        const params: Array<string | number> = [];
+        if (query.status) {
+            clauses.push('status = ?');
+            params.push(query.status);
+        }
+        if (query.symbol) {
+            clauses.push('symbol = ?');
+            params.push(query.symbol.toUpperCase());
+        }
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        if (query.limit !== undefined) params.push(query.limit);
+
+        const rows = this.getDb()
+            .prepare(`SELECT * FROM funding_arb_positions ${where} ORDER BY opened_at DESC ${query.limit !== undefined ? 'LIMIT ?' : ''}`)
+            .all(...params);
+        return rows.map(rowToPosition);
+    }
+
+    getPosition(id: string): FundingArbPosition | null {
+        const row = this.getDb().prepare('SELECT * FROM funding_arb_positions WHERE id = ?').get(id);
+        return row ? rowToPosition(row) : null;
+    }
+
+    close(): void {
+        this.db?.close();
+        this.db = null;
+    }
+
+    private accrueFunding(position: FundingArbPosition, now: number): void {
+        const periods = Math.max(0, now - position.lastFundingAt) / FUNDING_PERIOD_MS;
+        if (periods <= 0) return;
+
+        for (const leg of [position.long, position.short]) {
+            // Longs pay a positive rate, shorts receive it
+            leg.fundingAccrued -= legDirection(leg) * leg.size * leg.markPrice * leg.fundingRate * periods;
+        }
+        position.lastFundingAt = now;
+    }
+
+    /**
+     * Trim the larger leg when the net base exposure is outside tolerance
+     */
+    private async trimImbalance(position: FundingArbPosition): Promise<void> {
+        const net = position.long.size - position.short.size;
+        const reference = Math.max(position.long.size, position.short.size);
+        if (reference <= 0 || Math.abs(net) / reference <= this.config.maxImbalance) return;
+
+        const leg = net > 0 ? position.long : position.short;
+        logger.warn(
+            `[FundingArbExecutor] ${position.symbol} legs imbalanced (long ${position.long.size}, short ${position.short.size}), ` +
+            `trimming ${leg.side.toLowerCase()} on ${leg.venue} by ${Math.abs(net)}`
+        );
+        await this.reduceLeg(position, leg, Math.abs(net));
+    }
+
+    /**
+     * Price moves grow both legs' notional together; cut them back to target
+     */
+    private async trimDrift(position: FundingArbPosition): Promise<void> {
+        const markPrice = Math.max(position.long.markPrice, position.short.markPrice);
+        const legNotional = Math.min(position.long.size, position.short.size) * markPrice;
+        if (legNotional <= position.targetNotionalUsd * (1 + this.config.rebalanceDrift)) return;
+
+        const excess = Math.min(position.long.size, position.short.size) - position.targetNotionalUsd / markPrice;
+        logger.info(
+            `[FundingArbExecutor] ${position.symbol} leg notional $${legNotional.toFixed(2)} above target ` +
+            `$${position.targetNotionalUsd.toFixed(2)}, reducing both legs by ${excess}`
+        );
+        await Promise.all([
+            this.reduceLeg(position, position.long, excess),
+            this.reduceLeg(position, position.short, excess),
+        ]);
+    }
+
+    /**
+     * Close both legs and settle the pair. Anything left on a venue keeps the pair
+     * OPEN with lastError set so the next cycle tries again.
+     */
+    private async unwind(position: FundingArbPosition, reason: string, status: Exclude<FundingArbStatus, 'OPEN'>): Promise<void> {
+        logger.info(`[FundingArbExecutor] Unwinding ${position.symbol} pair ${position.id}: ${reason}`);
+        await Promise.all([
+            this.reduceLeg(position, position.long, position.long.size),
+            this.reduceLeg(position, position.short, position.short.size),
+        ]);
+
+        const now = this.now();
+        position.updatedAt = now;
+        if (position.long.size > 0 || position.short.size > 0) {
+            position.lastError = `Unwind incomplete (${reason}): long ${position.long.size}, short ${position.short.size} still open`;
+            logger.error(`[FundingArbExecutor] ${position.lastError}`);
+            this.save(position);
+            return;
+        }
+
+        position.status = status;
+        position.closedAt = now;
+        position.closeReason = reason;
+        position.netPnL = legNetPnL(position.long) + legNetPnL(position.short);
+        this.save(position);
+        if (position.mode === 'LIVE') {
+            this.risk.updateDailyPnL(position.netPnL);
+        }
+        logger.info(`[FundingArbExecutor] ${position.symbol} pair ${status.toLowerCase()}: net ${position.netPnL.toFixed(2)} USD`);
+    }
+
+    private async reduceLeg(position: FundingArbPosition, leg: FundingArbLeg, size: number): Promise<void> {
+        const reduceBy = Math.min(size, leg.size);
+        if (reduceBy <= 0) return;
+
+        const fill = await this.placeLeg(this.getAdapter(leg.venue), position.symbol, leg.side === 'LONG' ? 'SELL' : 'BUY', reduceBy, true);
+        if (fill.unresolved) {
+            await this.syncUnresolvedReduce(position, leg, fill);
+            return;
+        }
+        if (fill.filledSize <= 0) {
+            position.lastError = `Reduce ${leg.side.toLowerCase()} on ${leg.venue} failed: ${fill.error || 'not filled'}`;
+            return;
+        }
+        leg.realizedPnL += (fill.price - leg.entryPrice) * fill.filledSize * legDirection(leg);
+        leg.fees += fill.filledSize * fill.price * this.config.takerFeeRate;
+        leg.size = Math.max(0, leg.size - fill.filledSize);
+        leg.markPrice = fill.price;
+    }
+
+    /**
+     * Market order that either fills now or is cancelled; whatever filled is returned.
+     * Anything short of FILLED with a price is settled from the order's own fills.
+     */
+    private async placeLeg(
+        adapter: ExchangeAdapter,
+        symbol: string,
+        side: 'BUY' | 'SELL',
+        size: number,
+        reduceOnly: boolean
+    ): Promise<LegFill> {
+        const placedAt = this.now();
+        let result: VenueOrderResult;
+        try {
+            result = await adapter.placeOrder({ symbol, side, size, orderType: 'market', reduceOnly, bypassCooldown: true });
+        } catch (error) {
+            return { filledSize: 0, price: 0, error: error instanceof Error ? error.message : String(error) };
+        }
+
+        if (!result.success) {
+            return { filledSize: 0, price: 0, error: `${result.status}${result.error ? `: ${result.error}` : ''}` };
+        }
+        if (result.status === 'FILLED' && result.filledPrice && result.filledPrice > 0) {
+            return { filledSize: result.filledSize ?? size, price: result.filledPrice };
+        }
+        if (!result.orderId) {
+            return { filledSize: 0, price: 0, unresolved: true, error: `${result.status} without an order id` };
+        }
+
+        try {
+            const state = await this.settleLegOrder(adapter, symbol, result.orderId, placedAt - LEG_FILL_LOOKBACK_MS);
+            if (state.filledSize > 0 && state.avgPrice) {
+                return { filledSize: state.filledSize, price: state.avgPrice };
+            }
+            // Gone from the book with no fills reported yet: filled or not, only the position can tell
+            return { filledSize: 0, price: 0, unresolved: true, error: `${result.status}, no fills reported` };
+        } catch (error) {
+            return { filledSize: 0, price: 0, unresolved: true, error: error instanceof Error ? error.message : String(error) };
+        }
+    }
+
+    /**
+     * Wait for an acknowledged order to leave the book, cancelling it if it
+     * does not, and return what it filled
+     */
+    private async settleLegOrder(adapter: ExchangeAdapter, symbol: string, orderId: string, since: number): Promise<VenueOrderState> {
+        let state = await adapter.getOrderState(symbol, orderId, since);
+        for (let attempt = 1; attempt < LEG_SETTLE_ATTEMPTS && (state.open || state.filledSize === 0); attempt++) {
+            await new Promise(resolve => setTimeout(resolve, LEG_SETTLE_DELAY_MS));
+            state = await adapter.getOrderState(symbol, orderId, since);
+        }
+        if (!state.open) return state;
+
+        if (!(await adapter.cancelOrder(symbol, orderId, { force: true, trackCooldown: false }))) {
+            throw new Error(`Cancel of ${orderId} on ${adapter.venue} failed`);
+        }
+        // Fills that landed before the cancel still count
+        return adapter.getOrderState(symbol, orderId, since);
+    }
+
+    /**
+     * An opening leg whose order could not be confirmed: the venue position,
+     * flat before the pair opened, shows what it filled
+     */
+    private async confirmOpenFill(symbol: string, venue: VenueName, side: 'LONG' | 'SHORT', fill: LegFill): Promise<LegFill> {
+        if (!fill.unresolved) return fill;
+
+        try {
+            const held = await this.venuePosition(symbol, venue, side);
+            if (held && held.size > 0 && held.entryPrice > 0) {
+                logger.warn(`[FundingArbExecutor] ${symbol} ${side.toLowerCase()} on ${venue} unconfirmed (${fill.error}), venue holds ${held.size}`);
+                return { filledSize: held.size, price: held.entryPrice };
+            }
+            return { filledSize: 0, price: 0, error: fill.error };
+        } catch (error) {
+            logger.error(`[FundingArbExecutor] ${symbol} ${side.toLowerCase()} on ${venue} could not be confirmed: ${error instanceof Error ? error.message : error}`);
+            return { filledSize: 0, price: 0, error: `${fill.error}; position unknown` };
+        }
+    }
+
+    /**
+     * A reduce that could not be confirmed: take the leg down to what the venue
+     * still holds, booking the difference at the venue's mark
+     */
+    private async syncUnresolvedReduce(position: FundingArbPosition, leg: FundingArbLeg, fill: LegFill): Promise<void> {
+        let held: VenuePosition | undefined;
+        try {
+            held = await this.venuePosition(position.symbol, leg.venue, leg.side);
+        } catch (error) {
+            position.lastError = `Reduce ${leg.side.toLowerCase()} on ${leg.venue} unconfirmed: ${fill.error}; ` +
+                `position unknown (${error instanceof Error ? error.message : error})`;
+            return;
+        }
+
+        const reduced = Math.max(0, leg.size - (held?.size ?? 0));
+        if (reduced <= 0) {
+            position.lastError = `Reduce ${leg.side.toLowerCase()} on ${leg.venue} failed: ${fill.error}`;
+            return;
+        }
+        const price = held && held.markPrice > 0 ? held.markPrice : leg.markPrice;
+        leg.realizedPnL += (price - leg.entryPrice) * reduced * legDirection(leg);
+        leg.fees += reduced * price * this.config.takerFeeRate;
+        leg.size -= reduced;
+        leg.markPrice = price;
+    }
+
+    private async venuePosition(symbol: string, venue: VenueName, side: 'LONG' | 'SHORT'): Promise<VenuePosition | undefined> {
+        const positions = await this.getAdapter(venue).getPositions();
+        return positions.find(position => position.symbol.toUpperCase() === symbol && position.side === side);
+    }
+
+    private async venuePositionSize(symbol: string, leg: FundingArbLeg): Promise<number> {
+        return (await this.venuePosition(symbol, leg.venue, leg.side))?.size ?? 0;
+    }
+
+    private markPaperVenues(symbol: string, quote: FundingArbQuote): void {
+        for (const leg of [quote.long, quote.short]) {
+            const adapter = this.getAdapter(leg.venue);
+            if (adapter instanceof MockExchangeAdapter && leg.markPrice > 0) {
+                adapter.setMarkPrice(symbol, leg.markPrice);
+            }
+        }
+    }
+
+    private paperAdapter(venue: VenueName): MockExchangeAdapter {
+        let adapter = this.paperAdapters.get(venue);
+        if (!adapter) {
+            adapter = new MockExchangeAdapter(venue, {
+                initialBalance: this.config.paperBalance,
+                feeRate: this.config.takerFeeRate,
+                leverage: this.config.leverage,
+                now: this.now,
+            });
+            this.paperAdapters.set(venue, adapter);
+        }
+        return adapter;
+    }
+
+    private save(position: FundingArbPosition): void {
+        this.getDb().prepare(`
+            INSERT INTO funding_arb_positions (
+                id, symbol, mode, status, target_notional_usd, long_leg, short_leg,
+                entry_spread_apr, spread_apr, opened_at, updated_at, last_funding_at, last_quote_at,
+                closed_at, close_reason, last_error
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                status = excluded.status, long_leg = excluded.long_leg, short_leg = excluded.short_leg,
+                spread_apr = excluded.spread_apr, updated_at = excluded.updated_at,
+                last_funding_at = excluded.last_funding_at, last_quote_at = excluded.last_quote_at,
+                closed_at = excluded.closed_at, close_reason = excluded.close_reason, last_error = excluded.last_error
+        `).run(
+            position.id, position.symbol, position.mode, position.status, position.targetNotionalUsd,
+            JSON.stringify(position.long), JSON.stringify(position.short),
+            position.entrySpreadApr, position.spreadApr, position.openedAt, position.updatedAt,
+            position.lastFundingAt, position.lastQuoteAt, position.closedAt, position.closeReason, position.lastError
+        );
+    }
+
+    private getDb(): BetterSqlite3.Database {
+        if (this.db) return this.db;
+
+        this.db = new BetterSqlite3(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS funding_arb_positions (
+                id TEXT PRIMARY KEY,
+                symbol TEXT NOT NULL,
+                mode TEXT NOT NULL,
+                status TEXT NOT NULL,
+                target_notional_usd REAL NOT NULL,
+                long_leg TEXT NOT NULL,
+                short_leg TEXT NOT NULL,
+                entry_spread_apr REAL NOT NULL,
+                spread_apr REAL NOT NULL,
+                opened_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL,
+                last_funding_at INTEGER NOT NULL,
+                last_quote_at INTEGER NOT NULL,
+                closed_at INTEGER,
+                close_reason TEXT,
+                last_error TEXT
+            )
+        `);
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_funding_arb_positions_status
+            ON funding_arb_positions(status, symbol)
+        `);
+        return this.db;
+    }
+}
+
+const fundingArbExecutor = new FundingArbExecutor();
+export default fundingArbExecutor;
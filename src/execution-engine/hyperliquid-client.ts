@@ -95,6 +95,9 @@ export interface HyperliquidPosition {
     unrealizedPnL: number;
     leverage: number;
     marginUsed: number;
+    /** Absent when the account cannot be liquidated at any price */
+    liquidationPrice?: number;
+    marginMode?: 'cross' | 'isolated';
 }
 
 export interface HyperliquidAccountState {
@@ -113,6 +116,19 @@ export interface HyperliquidOrderResult {
     error?: string;
 }
 
+export interface HyperliquidFill {
+    id: string;
+    orderId: string;
+    symbol: string;
+    side: 'BUY' | 'SELL';
+    price: number;
+    size: number;
+    fee: number;
+    realizedPnL: number;
+    liquidity: 'MAKER' | 'TAKER';
+    timestamp: number;
+}
+
 interface PendingOrderInfo {
     symbol: string;
     side: 'BUY' | 'SELL';
@@ -561,7 +577,9 @@ export class HyperliquidClient {
                             markPrice: parseFloat(pos.positionValue) / Math.abs(size),
                             unrealizedPnL: parseFloat(pos.unrealizedPnl),
                             leverage: parseFloat((assetPos.position.leverage?.value || '1').toString()),
-                            marginUsed: parseFloat(pos.marginUsed || '0')
+                            marginUsed: parseFloat(pos.marginUsed || '0'),
+                            liquidationPrice: pos.liquidationPx ? parseFloat(pos.liquidationPx) : undefined,
+                            marginMode: pos.leverage?.type
                         });
                     }
                 }
@@ -593,6 +611,37 @@ export class HyperliquidClient {
         }
     }
 
+    /**
+     * Account fills since the given time (ms), oldest first
+     */
+    async getUserFills(since: number): Promise<HyperliquidFill[]> {
+        if (!this.userAddress) {
+            throw new Error('No wallet configured');
+        }
+
+        await hyperliquidRateLimiter.throttleInfoRequest(20);
+
+        const fills = await this.publicClient.userFillsByTime({
+            user: this.userAddress as `0x${string}`,
+            startTime: since
+        });
+
+        return (fills || [])
+            .map(fill => ({
+                id: `${fill.oid}:${fill.tid}`,
+                orderId: fill.oid.toString(),
+                symbol: fill.coin,
+                side: fill.side === 'B' ? 'BUY' as const : 'SELL' as const,
+                price: parseFloat(fill.px),
+                size: parseFloat(fill.sz),
+                fee: parseFloat(fill.fee),
+                realizedPnL: parseFloat(fill.closedPnl),
+                liquidity: fill.crossed ? 'TAKER' as const : 'MAKER' as const,
+                timestamp: fill.time
+            }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
     /**
      * CRITICAL FIX: Check max orders per minute limit
      */
@@ -0,0 +1,215 @@
+/**
+ * Paper Fill Simulator
+ *
+ * Fills paper orders against the live L2 book cached in UnifiedCache (fed from
+ * the ingester's ORDER_BOOK_UPDATE stream) instead of at the signal price.
+ * Market orders walk the book level by level and pay the taker fee; limit
+ * orders take liquidity up to their price and leave the rest unfilled.
+ * When no fresh book is cached the order falls back to FillModel over a book
+ * synthesized around the reference price, and a limit it declines to fill
+ * stays unfilled.
+ *
+ * Latency is modelled by waiting before the book is read, so the fill sees
+ * whatever the book moved to in the meantime.
+ */
+
+import unifiedCache, { CachedOrderBook } from '../infrastructure/unified-cache';
+import { FillModel, OrderBook, OrderBookBuilder } from '../backtest/fill-models';
+
+export interface PaperFillConfig {
+    /** Hyperliquid base tier taker fee */
+    takerFeeRate: number;
+    makerFeeRate: number;
+    /** Delay between order submission and the book being read */
+    latencyMs: number;
+    /** Cached books older than this are ignored */
+    maxBookAgeMs: number;
+}
+
+export interface PaperFillRequest {
+    symbol: string;
+    side: 'BUY' | 'SELL';
+    size: number;
+    /** Signal / limit price; anchors the fallback book */
+    referencePrice: number;
+    orderType?: 'MARKET' | 'LIMIT';
+}
+
+export interface PaperFill {
+    /** Filled size; below the requested size when a limit was not reached */
+    size: number;
+    /** Limit size the book did not reach at its price; not filled */
+    unfilledSize: number;
+    /** Size-weighted average fill price (0 when nothing filled) */
+    price: number;
+    fee: number;
+    liquidity: 'TAKER' | 'MAKER' | 'MIXED';
+    /** Adverse move of the fill price vs the reference price, in basis points */
+    slippageBps: number;
+    bookSource: 'L2' | 'FILL_MODEL';
+    /** The visible book ran out; the rest was filled at the last visible level */
+    depthExhausted: boolean;
+    latencyMs: number;
+}
+
+export type OrderBookProvider = (symbol: string) => CachedOrderBook | undefined;
+
+function envNumber(name: string, fallback: number): number {
+    const parsed = Number.parseFloat(process.env[name] || '');
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export class PaperFillSimulator {
+    private config: PaperFillConfig;
+    private fallbackModel: FillModel;
+
+    constructor(
+        config: Partial<PaperFillConfig> = {},
+        private getOrderBook: OrderBookProvider = (symbol) => unifiedCache.getOrderBook(symbol),
+        private now: () => number = Date.now
+    ) {
+        this.config = {
+            takerFeeRate: config.takerFeeRate ?? envNumber('PAPER_TAKER_FEE_RATE', 0.00045),
+            makerFeeRate: config.makerFeeRate ?? envNumber('PAPER_MAKER_FEE_RATE', 0.00015),
+            latencyMs: config.latencyMs ?? envNumber('PAPER_LATENCY_MS', 150),
+            maxBookAgeMs: config.maxBookAgeMs ?? envNumber('PAPER_BOOK_MAX_AGE_MS', 10000),
+        };
+        this.fallbackModel = new FillModel({
+            commissionRate: this.config.takerFeeRate,
+            makerDiscount: Math.max(0, this.config.takerFeeRate - this.config.makerFeeRate),
+            randomSeed: this.now(),
+        });
+    }
+
+    async fill(request: PaperFillRequest): Promise<PaperFill> {
+        if (this.config.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.config.latencyMs));
+        }
+
+        const book = this.freshBook(request.symbol);
+        return book
+            ? this.fillAgainstBook(request, book)
+            : this.fillWithModel(request);
+    }
+
+    private freshBook(symbol: string): OrderBook | null {
+        const cached = this.getOrderBook(symbol.toUpperCase()) ?? this.getOrderBook(symbol);
+        if (!cached || this.now() - cached.lastUpdate > this.config.maxBookAgeMs) return null;
+
+        const bids = [...cached.bids].map(([price, size]) => ({ price, size })).sort((a, b) => b.price - a.price);
+        const asks = [...cached.asks].map(([price, size]) => ({ price, size })).sort((a, b) => a.price - b.price);
+        if (bids.length === 0 || asks.length === 0) return null;
+
+        return { symbol: cached.symbol, bids, asks, timestamp: cached.lastUpdate };
+    }
+
+    private fillAgainstBook(request: PaperFillRequest, book: OrderBook): PaperFill {
+        const levels = request.side === 'BUY' ? book.asks : book.bids;
+        const limit = request.orderType === 'LIMIT' && request.referencePrice > 0 ? request.referencePrice : undefined;
+        const crosses = (price: number) => limit === undefined
+            || (request.side === 'BUY' ? price <= limit : price >= limit);
+
+        let remaining = request.size;
+        let takerSize = 0;
+        let notional = 0;
+        let lastPrice = levels[0].price;
+        let limitReached = false;
+
+        for (const level of levels) {
+            if (remaining <= 0) break;
+            if (!crosses(level.price)) {
+                limitReached = true;
+                break;
+            }
+            const take = Math.min(remaining, level.size);
+            takerSize += take;
+            notional += take * level.price;
+            remaining -= take;
+            lastPrice = level.price;
+        }
+
+        let unfilledSize = 0;
+        let depthExhausted = false;
+        if (remaining > 0) {
+            if (limit !== undefined && limitReached) {
+                // Nothing left at or inside the limit price: the rest is not filled
+                unfilledSize = remaining;
+            } else {
+                depthExhausted = true;
+                takerSize += remaining;
+                notional += remaining * lastPrice;
+            }
+        }
+
+        const price = takerSize > 0 ? notional / takerSize : 0;
+        return {
+            size: takerSize,
+            unfilledSize,
+            price,
+            fee: takerSize * price * this.config.takerFeeRate,
+            liquidity: 'TAKER',
+            slippageBps: takerSize > 0 ? this.slippageBps(request, price, book) : 0,
+            bookSource: 'L2',
+            depthExhausted,
+            latencyMs: this.config.latencyMs,
+        };
+    }
+
+    private fillWithModel(request: PaperFillRequest): PaperFill {
+        const book = OrderBookBuilder.fromMarketData({
+            symbol: request.symbol,
+            timestamp: new Date(this.now()),
+            open: request.referencePrice,
+            high: request.referencePrice,
+            low: request.referencePrice,
+            close: request.referencePrice,
+            volume: 0,
+        });
+        const fills = this.fallbackModel.simulateFill({
+            orderId: `paper-${this.now()}`,
+            symbol: request.symbol,
+            side: request.side,
+            type: request.orderType === 'LIMIT' ? 'LIMIT' : 'MARKET',
+            quantity: request.size,
+            price: request.orderType === 'LIMIT' ? request.referencePrice : undefined,
+            timestamp: this.now(),
+        }, book);
+
+        // A limit the model declines to fill stays unfilled; market orders always fill
+        const fill = fills[0];
+        if (!fill && request.orderType === 'LIMIT') {
+            return {
+                size: 0,
+                unfilledSize: request.size,
+                price: 0,
+                fee: 0,
+                liquidity: 'MAKER',
+                slippageBps: 0,
+                bookSource: 'FILL_MODEL',
+                depthExhausted: false,
+                latencyMs: this.config.latencyMs,
+            };
+        }
+
+        const price = fill?.price ?? request.referencePrice;
+        return {
+            size: request.size,
+            unfilledSize: 0,
+            price,
+            fee: fill?.commission ?? price * request.size * this.config.takerFeeRate,
+            liquidity: fill?.liquiditySide === 'MAKER' ? 'MAKER' : 'TAKER',
+            slippageBps: this.slippageBps(request, price),
+            bookSource: 'FILL_MODEL',
+            depthExhausted: false,
+            latencyMs: this.config.latencyMs,
+        };
+    }
+
+    private slippageBps(request: PaperFillRequest, price: number, book?: OrderBook): number {
+        const reference = request.referencePrice > 0
+            ? request.referencePrice
+            : book ? (book.bids[0].price + book.asks[0].price) / 2 : price;
+        const direction = request.side === 'BUY' ? 1 : -1;
+        return reference > 0 ? ((price - reference) / reference) * 10000 * direction : 0;
+    }
+}
@@ -0,0 +1,382 @@
+/**
+ * Paper Ledger
+ *
+ * SQLite ledger behind PaperPortfolioManager: account balances, one row per
+ * position lifecycle (opened -> closed), every paper fill and every funding
+ * payment. Replaces the single JSON blob that used to be stored as a
+ * 'paper_portfolio' AI insight.
+ */
+
+import BetterSqlite3 from 'better-sqlite3';
+import configManager from '../shared/config';
+import { toEpochMs } from '../backtest/funding-history';
+
+export interface PaperAccountState {
+    cashBalance: number;
+    /** Net of fees and funding */
+    realizedPnL: number;
+    dailyStartValue: number;
+    feesPaid: number;
+    /** Positive = received */
+    fundingPnL: number;
+}
+
+export interface PaperLedgerPosition {
+    id: string;
+    symbol: string;
+    side: 'LONG' | 'SHORT';
+    size: number;
+    entryPrice: number;
+    entryTime: Date;
+    strategyId?: string;
+    leverage: number;
+    /** Gross price PnL realized by partial and full closes */
+    realizedPnL: number;
+    fees: number;
+    /** Positive = received */
+    funding: number;
+    /** Funding has been settled up to this time (epoch ms) */
+    lastFundingAt: number;
+    status: 'OPEN' | 'CLOSED';
+    closedAt?: Date;
+}
+
+export interface PaperLedgerTrade {
+    id: string;
+    positionId: string;
+    strategyId?: string;
+    symbol: string;
+    side: 'BUY' | 'SELL';
+    size: number;
+    price: number;
+    fee: number;
+    pnl: number;
+    entryExit: 'ENTRY' | 'EXIT';
+    type: 'MARKET' | 'LIMIT';
+    liquidity: string;
+    slippageBps: number;
+    bookSource: string;
+    timestamp: Date;
+}
+
+export interface PaperFundingPayment {
+    positionId: string;
+    symbol: string;
+    fundingRate: number;
+    markPrice: number;
+    /** Positive = received */
+    amount: number;
+    timestamp: number;
+}
+
+export class PaperLedger {
+    private db: BetterSqlite3.Database | null = null;
+
+    constructor(private dbPath: string = configManager.get().database?.connection || './data/trading.db') {}
+
+    private getDb(): BetterSqlite3.Database {
+        if (this.db) return this.db;
+
+        this.db = new BetterSqlite3(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS paper_account (
+                id INTEGER PRIMARY KEY CHECK (id = 1),
+                cash_balance REAL NOT NULL,
+                realized_pnl REAL NOT NULL,
+                daily_start_value REAL NOT NULL,
+                fees_paid REAL NOT NULL DEFAULT 0,
+                funding_pnl REAL NOT NULL DEFAULT 0,
+                updated_at INTEGER NOT NULL
+            )
+        `);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS paper_positions (
+                id TEXT PRIMARY KEY,
+                symbol TEXT NOT NULL,
+                side TEXT NOT NULL,
+                size REAL NOT NULL,
+                entry_price REAL NOT NULL,
+                leverage REAL NOT NULL,
+                strategy_id TEXT,
+                status TEXT NOT NULL DEFAULT 'OPEN',
+                realized_pnl REAL NOT NULL DEFAULT 0,
+                fees REAL NOT NULL DEFAULT 0,
+                funding REAL NOT NULL DEFAULT 0,
+                last_funding_at INTEGER NOT NULL,
+                opened_at INTEGER NOT NULL,
+                closed_at INTEGER
+            )
+        `);
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_paper_positions_status
+            ON paper_positions(status, symbol)
+        `);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS paper_trades (
+                id TEXT PRIMARY KEY,
+                position_id TEXT NOT NULL,
+                strategy_id TEXT,
+                symbol TEXT NOT NULL,
+                side TEXT NOT NULL,
+                size REAL NOT NULL,
+                price REAL NOT NULL,
+                fee REAL NOT NULL,
+                pnl REAL NOT NULL,
+                entry_exit TEXT NOT NULL,
+                type TEXT NOT NULL,
+                liquidity TEXT NOT NULL,
+                slippage_bps REAL NOT NULL,
+                book_source TEXT NOT NULL,
+                timestamp INTEGER NOT NULL
+            )
+        `);
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_paper_trades_timestamp
+            ON paper_trades(timestamp)
+        `);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS paper_funding (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                position_id TEXT NOT NULL,
+                symbol TEXT NOT NULL,
+                funding_rate REAL NOT NULL,
+                mark_price REAL NOT NULL,
+                amount REAL NOT NULL,
+                timestamp INTEGER NOT NULL
+            )
+        `);
+        return this.db;
+    }
+
+    /**
+     * Run several writes atomically
+     */
+    transaction<T>(fn: () => T): T {
+        return this.getDb().transaction(fn)();
+    }
+
+    loadAccount(): PaperAccountState | null {
+        const row = this.getDb().prepare('SELECT * FROM paper_account WHERE id = 1').get() as any;
+        if (!row) return null;
+        return {
+            cashBalance: row.cash_balance,
+            realizedPnL: row.realized_pnl,
+            dailyStartValue: row.daily_start_value,
+            feesPaid: row.fees_paid,
+            fundingPnL: row.funding_pnl,
+        };
+    }
+
+    saveAccount(account: PaperAccountState, now: number = Date.now()): void {
+        this.getDb().prepare(`
+            INSERT INTO paper_account (id, cash_balance, realized_pnl, daily_start_value, fees_paid, funding_pnl, updated_at)
+            VALUES (1, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                cash_balance = excluded.cash_balance,
+                realized_pnl = excluded.realized_pnl,
+                daily_start_value = excluded.daily_start_value,
+                fees_paid = excluded.fees_paid,
+                funding_pnl = excluded.funding_pnl,
+                updated_at = excluded.updated_at
+        `).run(
+            account.cashBalance,
+            account.realizedPnL,
+            account.dailyStartValue,
+            account.feesPaid,
+            account.fundingPnL,
+            now
+        );
+    }
+
+    openPositions(): PaperLedgerPosition[] {
+        const rows = this.getDb().prepare(`
+            SELECT * FROM paper_positions WHERE status = 'OPEN' ORDER BY opened_at ASC
+        `).all();
+        return rows.map(row => this.rowToPosition(row));
+    }
+
+    listPositions(filter: { status?: 'OPEN' | 'CLOSED'; symbol?: string; limit?: number } = {}): PaperLedgerPosition[] {
+        const clauses: string[] = [];
+        const params: any[] = [];
+        if (filter.status) {
+            clauses.push('status = ?');
+            params.push(filter.status);
+        }
+        if (filter.symbol) {
+            clauses.push('symbol = ?');
+            params.push(filter.symbol.toUpperCase());
+        }
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const rows = this.getDb().prepare(`
+            SELECT * FROM paper_positions ${where} ORDER BY opened_at DESC LIMIT ?
+        `).all(...params, filter.limit ?? 100);
+        return rows.map(row => this.rowToPosition(row));
+    }
+
+    savePosition(position: PaperLedgerPosition): void {
+        this.getDb().prepare(`
+            INSERT INTO paper_positions
+                (id, symbol, side, size, entry_price, leverage, strategy_id, status,
+                 realized_pnl, fees, funding, last_funding_at, opened_at, closed_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                size = excluded.size,
+                entry_price = excluded.entry_price,
+                status = excluded.status,
+                realized_pnl = excluded.realized_pnl,
+                fees = excluded.fees,
+                funding = excluded.funding,
+                last_funding_at = excluded.last_funding_at,
+                closed_at = excluded.closed_at
+        `).run(
+            position.id,
+            position.symbol,
+            position.side,
+            position.size,
+            position.entryPrice,
+            position.leverage,
+            position.strategyId ?? null,
+            position.status,
+            position.realizedPnL,
+            position.fees,
+            position.funding,
+            position.lastFundingAt,
+            position.entryTime.getTime(),
+            position.closedAt?.getTime() ?? null
+        );
+    }
+
+    recordTrade(trade: PaperLedgerTrade): void {
+        this.getDb().prepare(`
+            INSERT INTO paper_trades
+                (id, position_id, strategy_id, symbol, side, size, price, fee, pnl, entry_exit,
+                 type, liquidity, slippage_bps, book_source, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            trade.id,
+            trade.positionId,
+            trade.strategyId ?? null,
+            trade.symbol,
+            trade.side,
+            trade.size,
+            trade.price,
+            trade.fee,
+            trade.pnl,
+            trade.entryExit,
+            trade.type,
+            trade.liquidity,
+            trade.slippageBps,
+            trade.bookSource,
+            trade.timestamp.getTime()
+        );
+    }
+
+    listTrades(limit: number = 50): PaperLedgerTrade[] {
+        const rows = this.getDb().prepare(`
+            SELECT * FROM (SELECT * FROM paper_trades ORDER BY timestamp DESC LIMIT ?) ORDER BY timestamp ASC
+        `).all(limit) as any[];
+        return rows.map(row => ({
+            id: row.id,
+            positionId: row.position_id,
+            strategyId: row.strategy_id ?? undefined,
+            symbol: row.symbol,
+            side: row.side,
+            size: row.size,
+            price: row.price,
+            fee: row.fee,
+            pnl: row.pnl,
+            entryExit: row.entry_exit,
+            type: row.type,
+            liquidity: row.liquidity,
+            slippageBps: row.slippage_bps,
+            bookSource: row.book_source,
+            timestamp: new Date(row.timestamp),
+        }));
+    }
+
+    recordFunding(payment: PaperFundingPayment): void {
+        this.getDb().prepare(`
+            INSERT INTO paper_funding (position_id, symbol, funding_rate, mark_price, amount, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(
+            payment.positionId,
+            payment.symbol,
+            payment.fundingRate,
+            payment.markPrice,
+            payment.amount,
+            payment.timestamp
+        );
+    }
+
+    listFunding(limit: number = 100): PaperFundingPayment[] {
+        const rows = this.getDb().prepare(`
+            SELECT * FROM paper_funding ORDER BY timestamp DESC, id DESC LIMIT ?
+        `).all(limit) as any[];
+        return rows.map(row => ({
+            positionId: row.position_id,
+            symbol: row.symbol,
+            fundingRate: row.funding_rate,
+            markPrice: row.mark_price,
+            amount: row.amount,
+            timestamp: row.timestamp,
+        }));
+    }
+
+    /**
+     * Latest recorded funding rate for a symbol at or before `at` (epoch ms),
+     * from the `funding_rates` table the market ingester writes. Undefined when
+     * nothing was recorded within `maxAgeMs`.
+     */
+    fundingRateAt(symbol: string, at: number, maxAgeMs: number = 3 * 60 * 60 * 1000): number | undefined {
+        let row: any;
+        try {
+            row = this.getDb().prepare(`
+                SELECT timestamp, fundingRate FROM funding_rates
+                WHERE symbol = ?
+                  AND ((timestamp < 1000000000000 AND timestamp <= ?) OR (timestamp >= 1000000000000 AND timestamp <= ?))
+                ORDER BY CASE WHEN timestamp < 1000000000000 THEN timestamp * 1000 ELSE timestamp END DESC
+                LIMIT 1
+            `).get(symbol.toUpperCase(), Math.floor(at / 1000), at);
+        } catch {
+            // funding_rates does not exist until the ingester has run
+            return undefined;
+        }
+        if (!row || !Number.isFinite(row.fundingRate)) return undefined;
+        return at - toEpochMs(row.timestamp) <= maxAgeMs ? row.fundingRate : undefined;
+    }
+
+    reset(): void {
+        const db = this.getDb();
+        db.transaction(() => {
+            db.exec('DELETE FROM paper_account');
+            db.exec('DELETE FROM paper_positions');
+            db.exec('DELETE FROM paper_trades');
+            db.exec('DELETE FROM paper_funding');
+        })();
+    }
+
+    close(): void {
+        this.db?.close();
+        this.db = null;
+    }
+
+    private rowToPosition(row: any): PaperLedgerPosition {
+        return {
+            id: row.id,
+            symbol: row.symbol,
+            side: row.side,
+            size: row.size,
+            entryPrice: row.entry_price,
+            entryTime: new Date(row.opened_at),
+            strategyId: row.strategy_id ?? undefined,
+            leverage: row.leverage,
+            realizedPnL: row.realized_pnl,
+            fees: row.fees,
+            funding: row.funding,
+            lastFundingAt: row.last_funding_at,
+            status: row.status,
+            closedAt: row.closed_at ? new Date(row.closed_at) : undefined,
+        };
+    }
+}
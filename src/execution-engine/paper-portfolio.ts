@@ -1,19 +1,18 @@
 // Paper Portfolio Manager
 // Manages a simulated trading portfolio for paper trading mode
 
+import { v4 as uuidv4 } from 'uuid';
 import { Trade, Portfolio, Position } from '../shared/types';
 import dataManager from '../data-manager/data-manager';
 import logger from '../shared/logger';
+import { PaperFillSimulator } from './paper-fill-simulator';
+import { PaperAccountState, PaperFundingPayment, PaperLedger, PaperLedgerPosition } from './paper-ledger';
 
-export interface PaperPosition {
-    symbol: string;
-    side: 'LONG' | 'SHORT';
-    size: number;
-    entryPrice: number;
-    entryTime: Date;
-    strategyId?: string;
-    leverage: number;
-}
+/**
+ * Open paper position. Positions net per symbol like the venue does; each
+ * open -> close lifecycle is its own ledger row.
+ */
+export type PaperPosition = PaperLedgerPosition;
 
 interface PortfolioSnapshot {
     timestamp: Date;
@@ -22,27 +21,46 @@ interface PortfolioSnapshot {
     unrealizedPnL: number;
 }
 
+export interface PaperPortfolioOptions {
+    ledger?: PaperLedger;
+    fillSimulator?: PaperFillSimulator;
+    initialBalance?: number;
+}
+
+/** Hyperliquid settles funding on the hour */
+const FUNDING_INTERVAL_MS = 60 * 60 * 1000;
+
 /**
  * Paper Portfolio Manager
- * Tracks simulated positions and P&L for paper trading
+ * Tracks simulated positions and P&L for paper trading. Orders fill against
+ * the live order book (PaperFillSimulator), pay taker/maker fees, accrue the
+ * recorded funding rate every hour and are kept in the SQLite PaperLedger.
  */
 export class PaperPortfolioManager {
     private static instance: PaperPortfolioManager;
 
-    private initialBalance: number = parseFloat(process.env.PAPER_BALANCE || '30000'); // $30k starting balance (env override)
+    private initialBalance: number;
     private cashBalance: number;
     private positions: Map<string, PaperPosition> = new Map();
+    /** Net of fees and funding */
     private realizedPnL: number = 0;
-    private trades: Trade[] = [];
+    private feesPaid: number = 0;
+    private fundingPnL: number = 0;
     private snapshots: PortfolioSnapshot[] = [];
     private dailyStartValue: number;
     private lastSnapshotTime: Date;
-
-    private constructor() {
+    private ledger: PaperLedger;
+    private fillSimulator: PaperFillSimulator;
+    private ready: Promise<void>;
+
+    constructor(options: PaperPortfolioOptions = {}) {
+        this.initialBalance = options.initialBalance ?? parseFloat(process.env.PAPER_BALANCE || '30000'); // $30k starting balance (env override)
+        this.ledger = options.ledger ?? new PaperLedger();
+        this.fillSimulator = options.fillSimulator ?? new PaperFillSimulator();
         this.cashBalance = this.initialBalance;
         this.dailyStartValue = this.initialBalance;
         this.lastSnapshotTime = new Date();
-        this.loadState();
+        this.ready = this.loadState();
     }
 
     static getInstance(): PaperPortfolioManager {
@@ -53,66 +71,97 @@ export class PaperPortfolioManager {
     }
 
     /**
-     * Load persisted state from database
+     * Load persisted state from the ledger, importing the legacy AI-insight
+     * snapshot once if the ledger is still empty
      */
     private async loadState(): Promise<void> {
         try {
-            // Try to load last portfolio state from AI insights
-            const insights = await dataManager.getAIInsights('paper_portfolio', 1);
-            if (insights.length > 0 && insights[0].data) {
-                const state = insights[0].data as any;
-                this.cashBalance = state.cashBalance || this.initialBalance;
-                this.realizedPnL = state.realizedPnL || 0;
-                this.dailyStartValue = state.dailyStartValue || this.initialBalance;
-
-                // Restore positions — skip entries with corrupted data
-                if (state.positions) {
-                    for (const pos of state.positions) {
-                        if (!pos.symbol || !pos.side || !pos.entryPrice || !pos.size
-                            || !Number.isFinite(pos.entryPrice) || !Number.isFinite(pos.size) || pos.size <= 0) {
-                            logger.warn(
-                                `[PaperPortfolio] Skipping corrupted position during load: ${pos.symbol} ` +
-                                `size=${pos.size}, entryPrice=${pos.entryPrice}, side=${pos.side}`
-                            );
-                            continue;
-                        }
-                        this.positions.set(pos.symbol, {
-                            ...pos,
-                            entryTime: new Date(pos.entryTime),
-                        });
+            const account = this.ledger.loadAccount();
+            if (account) {
+                this.applyAccount(account);
+                for (const pos of this.ledger.openPositions()) {
+                    if (!pos.symbol || !pos.side || !Number.isFinite(pos.entryPrice) || pos.entryPrice <= 0
+                        || !Number.isFinite(pos.size) || pos.size <= 0) {
+                        logger.warn(
+                            `[PaperPortfolio] Skipping corrupted position during load: ${pos.symbol} ` +
+                            `size=${pos.size}, entryPrice=${pos.entryPrice}, side=${pos.side}`
+                        );
+                        continue;
                     }
+                    this.positions.set(pos.symbol.toUpperCase(), pos);
                 }
-
-                logger.info(`[PaperPortfolio] Loaded state: $${this.cashBalance.toFixed(2)} cash, ${this.positions.size} positions`);
+            } else {
+                await this.importLegacyState();
             }
+
+            logger.info(`[PaperPortfolio] Loaded state: $${this.cashBalance.toFixed(2)} cash, ${this.positions.size} positions`);
         } catch (error) {
-            logger.warn('[PaperPortfolio] Could not load state, starting fresh');
+            logger.warn('[PaperPortfolio] Could not load state, starting fresh:', error);
         }
     }
 
+    private async importLegacyState(): Promise<void> {
+        const insights = await dataManager.getAIInsights('paper_portfolio', 1);
+        const state = insights[0]?.data as any;
+        if (!state) return;
+
+        this.cashBalance = state.cashBalance || this.initialBalance;
+        this.realizedPnL = state.realizedPnL || 0;
+        this.dailyStartValue = state.dailyStartValue || this.initialBalance;
+
+        const now = Date.now();
+        this.ledger.transaction(() => {
+            for (const pos of state.positions || []) {
+                if (!pos.symbol || !pos.side || !Number.isFinite(pos.entryPrice) || !Number.isFinite(pos.size) || pos.size <= 0) {
+                    continue;
+                }
+                const position: PaperPosition = {
+                    id: uuidv4(),
+                    symbol: String(pos.symbol).toUpperCase(),
+                    side: pos.side,
+                    size: pos.size,
+                    entryPrice: pos.entryPrice,
+                    entryTime: new Date(pos.entryTime || now),
+                    strategyId: pos.strategyId,
+                    leverage: pos.leverage || 10,
+                    realizedPnL: 0,
+                    fees: 0,
+                    funding: 0,
+                    lastFundingAt: now,
+                    status: 'OPEN',
+                };
+                this.positions.set(position.symbol, position);
+                this.ledger.savePosition(position);
+            }
+            this.ledger.saveAccount(this.accountState());
+        });
+        logger.info(`[PaperPortfolio] Imported legacy paper state into the ledger (${this.positions.size} positions)`);
+    }
+
+    private applyAccount(account: PaperAccountState): void {
+        this.cashBalance = account.cashBalance;
+        this.realizedPnL = account.realizedPnL;
+        this.dailyStartValue = account.dailyStartValue;
+        this.feesPaid = account.feesPaid;
+        this.fundingPnL = account.fundingPnL;
+    }
+
+    private accountState(): PaperAccountState {
+        return {
+            cashBalance: this.cashBalance,
+            realizedPnL: this.realizedPnL,
+            dailyStartValue: this.dailyStartValue,
+            feesPaid: this.feesPaid,
+            fundingPnL: this.fundingPnL,
+        };
+    }
+
     /**
-     * Save state to database
+     * Save account balances to the ledger
      */
     async saveState(): Promise<void> {
         try {
-            const state = {
-                cashBalance: this.cashBalance,
-                realizedPnL: this.realizedPnL,
-                dailyStartValue: this.dailyStartValue,
-                positions: Array.from(this.positions.values()),
-                timestamp: new Date(),
-            };
-
-            await dataManager.saveAIInsight({
-                id: 'paper_portfolio_state',
-                type: 'paper_portfolio',
-                title: 'Paper Portfolio State',
-                description: 'Persistent paper trading portfolio state',
-                timestamp: new Date(),
-                data: state,
-                confidence: 1,
-                actionable: false,
-            });
+            this.ledger.saveAccount(this.accountState());
         } catch (error) {
             logger.error('[PaperPortfolio] Failed to save state:', error);
         }
@@ -130,13 +179,21 @@ export class PaperPortfolioManager {
      */
     removePosition(symbol: string): void {
         const symbolKey = symbol.toUpperCase();
+        const position = this.positions.get(symbolKey);
         this.positions.delete(symbolKey);
+        if (position) {
+            try {
+                this.ledger.savePosition({ ...position, status: 'CLOSED', closedAt: new Date() });
+            } catch (error) {
+                logger.error('[PaperPortfolio] Failed to close removed position in ledger:', error);
+            }
+        }
         logger.warn(`[PaperPortfolio] Removed position for ${symbolKey} (cleanup)`);
-        void this.saveState();
     }
 
     /**
-     * Execute a paper trade
+     * Execute a paper trade. `price` is the signal price: market orders fill
+     * against the book around it, limit orders use it as their limit.
      */
     async executeTrade(
         symbol: string,
@@ -144,7 +201,8 @@ export class PaperPortfolioManager {
         size: number,
         price: number,
         strategyId?: string,
-        leverage: number = 10
+        leverage: number = 10,
+        orderType: 'MARKET' | 'LIMIT' = 'MARKET'
     ): Promise<Trade> {
         // Guard: reject non-finite sizes (Infinity, NaN, negative)
         if (!Number.isFinite(size) || size <= 0) {
@@ -153,101 +211,226 @@ export class PaperPortfolioManager {
         if (!Number.isFinite(price) || price <= 0) {
             throw new Error(`[PaperPortfolio] Invalid price for ${symbol}: ${price}. Rejecting.`);
         }
+        await this.ready;
+
+        const symbolKey = symbol.toUpperCase();
+        const existingPosition = this.positions.get(symbolKey);
+        const isExit = existingPosition !== undefined
+            && ((existingPosition.side === 'LONG' && side === 'SELL') || (existingPosition.side === 'SHORT' && side === 'BUY'));
+        // Exits only ever close what is open; the remainder is dropped rather than flipping the position
+        const orderSize = isExit ? Math.min(size, existingPosition!.size) : size;
+
+        const fill = await this.fillSimulator.fill({ symbol: symbolKey, side, size: orderSize, referencePrice: price, orderType });
+        const fillSize = fill.size;
+        const fillPrice = fill.price;
+        const now = new Date();
+
+        if (fill.unfilledSize > 0) {
+            logger.info(`[PaperPortfolio] ${symbolKey} ${side} limit @ ${price}: ${fill.unfilledSize} of ${orderSize} not filled`);
+        }
+        if (fillSize <= 0) {
+            return {
+                id: uuidv4(),
+                strategyId,
+                symbol,
+                side,
+                size: 0,
+                price,
+                pnl: 0,
+                fee: 0,
+                timestamp: now,
+                type: orderType,
+                status: 'CANCELLED',
+                entryExit: isExit ? 'EXIT' : 'ENTRY',
+            };
+        }
 
-        const existingPosition = this.positions.get(symbol);
         let pnl = 0;
-        let entryExit: 'ENTRY' | 'EXIT' = 'ENTRY';
-
-        // Check if this is closing an existing position
-        if (existingPosition) {
-            if ((existingPosition.side === 'LONG' && side === 'SELL') ||
-                (existingPosition.side === 'SHORT' && side === 'BUY')) {
-                // Closing position - calculate P&L
-                const closeSize = Math.min(size, existingPosition.size);
-
-                if (existingPosition.side === 'LONG') {
-                    pnl = (price - existingPosition.entryPrice) * closeSize;
-                } else {
-                    pnl = (existingPosition.entryPrice - price) * closeSize;
-                }
-                // CRITICAL FIX: Clamp PnL to detect numerical corruption
-                // (e.g., uninitialized entryPrice, floating point overflow)
-                if (!Number.isFinite(pnl) || Math.abs(pnl) > 10000) {
-                    logger.error(
-                        `[PaperPortfolio] Absurd PnL detected for ${symbol}: ${pnl}. ` +
-                        `entryPrice=${existingPosition.entryPrice}, price=${price}, size=${closeSize}. ` +
-                        `Clamping to 0 and skipping.`
-                    );
-                    pnl = 0;
-                }
+        let position: PaperPosition;
 
-                this.realizedPnL += pnl;
-                this.cashBalance += pnl + (closeSize * existingPosition.entryPrice);
-                entryExit = 'EXIT';
-
-                // Update or remove position
-                if (closeSize >= existingPosition.size) {
-                    this.positions.delete(symbol);
-                    logger.info(`[PaperPortfolio] Closed ${symbol} position, P&L: $${pnl.toFixed(2)}`);
-                } else {
-                    existingPosition.size -= closeSize;
-                    logger.info(`[PaperPortfolio] Reduced ${symbol} position by ${closeSize}, remaining: ${existingPosition.size}`);
-                }
+        if (isExit) {
+            position = existingPosition!;
+            if (position.side === 'LONG') {
+                pnl = (fillPrice - position.entryPrice) * fillSize;
             } else {
-                // Adding to position
-                const totalCost = existingPosition.entryPrice * existingPosition.size + price * size;
-                const totalSize = existingPosition.size + size;
-                existingPosition.entryPrice = totalCost / totalSize;
-                existingPosition.size = totalSize;
-                this.cashBalance -= price * size;
-                logger.info(`[PaperPortfolio] Increased ${symbol} position to ${totalSize}`);
+                pnl = (position.entryPrice - fillPrice) * fillSize;
+            }
+            // CRITICAL FIX: Clamp PnL to detect numerical corruption
+            // (e.g., uninitialized entryPrice, floating point overflow)
+            if (!Number.isFinite(pnl) || Math.abs(pnl) > 10000) {
+                logger.error(
+                    `[PaperPortfolio] Absurd PnL detected for ${symbol}: ${pnl}. ` +
+                    `entryPrice=${position.entryPrice}, price=${fillPrice}, size=${fillSize}. ` +
+                    `Clamping to 0 and skipping.`
+                );
+                pnl = 0;
+            }
+
+            const releasedMargin = fillSize * position.entryPrice / (position.leverage || 10);
+            this.cashBalance += releasedMargin + pnl - fill.fee;
+            this.realizedPnL += pnl - fill.fee;
+            position.realizedPnL += pnl;
+            position.fees += fill.fee;
+
+            // Update or remove position
+            if (fillSize >= position.size) {
+                position.size = 0;
+                position.status = 'CLOSED';
+                position.closedAt = now;
+                this.positions.delete(symbolKey);
+                logger.info(`[PaperPortfolio] Closed ${symbolKey} position, P&L: $${pnl.toFixed(2)} (fee $${fill.fee.toFixed(2)})`);
+            } else {
+                position.size -= fillSize;
+                logger.info(`[PaperPortfolio] Reduced ${symbolKey} position by ${fillSize}, remaining: ${position.size}`);
             }
         } else {
-            // Opening new position
-            const positionSide = side === 'BUY' ? 'LONG' : 'SHORT';
-            const marginRequired = price * size / leverage;
+            const positionLeverage = existingPosition?.leverage || leverage;
+            const marginRequired = fillPrice * fillSize / positionLeverage;
+            if (marginRequired + fill.fee > this.cashBalance) {
+                throw new Error(`Insufficient balance: need $${(marginRequired + fill.fee).toFixed(2)}, have $${this.cashBalance.toFixed(2)}`);
+            }
 
-            if (marginRequired > this.cashBalance) {
-                throw new Error(`Insufficient balance: need $${marginRequired.toFixed(2)}, have $${this.cashBalance.toFixed(2)}`);
+            if (existingPosition) {
+                // Adding to position
+                position = existingPosition;
+                const totalSize = position.size + fillSize;
+                position.entryPrice = (position.entryPrice * position.size + fillPrice * fillSize) / totalSize;
+                position.size = totalSize;
+                logger.info(`[PaperPortfolio] Increased ${symbolKey} position to ${totalSize}`);
+            } else {
+                // Opening new position
+                position = {
+                    id: uuidv4(),
+                    symbol: symbolKey,
+                    side: side === 'BUY' ? 'LONG' : 'SHORT',
+                    size: fillSize,
+                    entryPrice: fillPrice,
+                    entryTime: now,
+                    strategyId,
+                    leverage,
+                    realizedPnL: 0,
+                    fees: 0,
+                    funding: 0,
+                    lastFundingAt: now.getTime(),
+                    status: 'OPEN',
+                };
+                this.positions.set(symbolKey, position);
+                logger.info(
+                    `[PaperPortfolio] Opened ${position.side} ${symbolKey} x${fillSize} @ $${fillPrice.toFixed(4)} (${leverage}x, ` +
+                    `${fill.bookSource}, slippage ${fill.slippageBps.toFixed(1)}bps)`
+                );
             }
 
-            this.positions.set(symbol, {
-                symbol,
-                side: positionSide,
-                size,
-                entryPrice: price,
-                entryTime: new Date(),
-                strategyId,
-                leverage,
-            });
+            position.fees += fill.fee;
+            this.cashBalance -= marginRequired + fill.fee;
+            this.realizedPnL -= fill.fee;
+        }
+        this.feesPaid += fill.fee;
 
-            this.cashBalance -= marginRequired;
-            logger.info(`[PaperPortfolio] Opened ${positionSide} ${symbol} x${size} @ $${price.toFixed(2)} (${leverage}x)`);
+        if (fill.depthExhausted) {
+            logger.warn(`[PaperPortfolio] ${symbolKey} ${side} ${fillSize} exceeded the visible book; remainder filled at the last level`);
         }
 
         // Create trade record
         const trade: Trade = {
-            id: crypto.randomUUID(),
+            id: uuidv4(),
             strategyId,
             symbol,
             side,
-            size,
-            price,
+            size: fillSize,
+            price: fillPrice,
             pnl,
-            fee: price * size * 0.0002, // 0.02% fee
-            timestamp: new Date(),
-            type: 'MARKET',
+            fee: fill.fee,
+            timestamp: now,
+            type: orderType,
             status: 'FILLED',
-            entryExit,
+            entryExit: isExit ? 'EXIT' : 'ENTRY',
         };
 
-        this.trades.push(trade);
-        await this.saveState();
-        this.takeSnapshot(price);
+        try {
+            this.ledger.transaction(() => {
+                this.ledger.savePosition(position);
+                this.ledger.recordTrade({
+                    id: trade.id,
+                    positionId: position.id,
+                    strategyId,
+                    symbol: symbolKey,
+                    side,
+                    size: fillSize,
+                    price: fillPrice,
+                    fee: fill.fee,
+                    pnl,
+                    entryExit: trade.entryExit,
+                    type: orderType,
+                    timestamp: now,
+                    liquidity: fill.liquidity,
+                    slippageBps: fill.slippageBps,
+                    bookSource: fill.bookSource,
+                });
+                this.ledger.saveAccount(this.accountState());
+            });
+        } catch (error) {
+            logger.error('[PaperPortfolio] Failed to write trade to the ledger:', error);
+        }
+        this.takeSnapshot(fillPrice);
 
         return trade;
     }
 
+    /**
+     * Settle funding for every funding hour each open position has been held
+     * through, at the rate the ingester recorded for that hour. Hours without
+     * a recorded rate are skipped. Returns the net amount (positive = received).
+     */
+    accrueFunding(markPrices: Map<string, number>, now: number = Date.now()): number {
+        let total = 0;
+
+        for (const position of this.positions.values()) {
+            let settleAt = Math.floor(position.lastFundingAt / FUNDING_INTERVAL_MS) * FUNDING_INTERVAL_MS + FUNDING_INTERVAL_MS;
+            if (settleAt > now) continue;
+
+            const payments: PaperFundingPayment[] = [];
+            const markPrice = markPrices.get(position.symbol) || markPrices.get(position.symbol.toUpperCase()) || position.entryPrice;
+            for (; settleAt <= now; settleAt += FUNDING_INTERVAL_MS) {
+                const rate = this.ledger.fundingRateAt(position.symbol, settleAt);
+                if (rate === undefined) continue;
+                // Positive rates: longs pay shorts
+                const amount = position.size * markPrice * rate * (position.side === 'LONG' ? -1 : 1);
+                payments.push({
+                    positionId: position.id,
+                    symbol: position.symbol,
+                    fundingRate: rate,
+                    markPrice,
+                    amount,
+                    timestamp: settleAt,
+                });
+            }
+
+            const amount = payments.reduce((sum, payment) => sum + payment.amount, 0);
+            position.funding += amount;
+            position.lastFundingAt = settleAt - FUNDING_INTERVAL_MS;
+            this.cashBalance += amount;
+            this.realizedPnL += amount;
+            this.fundingPnL += amount;
+            total += amount;
+
+            try {
+                this.ledger.transaction(() => {
+                    for (const payment of payments) this.ledger.recordFunding(payment);
+                    this.ledger.savePosition(position);
+                    this.ledger.saveAccount(this.accountState());
+                });
+            } catch (error) {
+                logger.error('[PaperPortfolio] Failed to write funding to the ledger:', error);
+            }
+            if (payments.length > 0) {
+                logger.info(`[PaperPortfolio] Funding ${position.symbol}: ${amount >= 0 ? '+' : ''}$${amount.toFixed(4)} over ${payments.length}h`);
+            }
+        }
+
+        return total;
+    }
+
     /**
      * Get current portfolio state
      */
@@ -256,7 +439,7 @@ export class PaperPortfolioManager {
         const positions: Position[] = [];
 
         for (const [symbol, pos] of this.positions) {
-            const currentPrice = currentPrices.get(symbol) || pos.entryPrice;
+            const currentPrice = currentPrices.get(symbol) || currentPrices.get(pos.symbol) || pos.entryPrice;
             let positionPnL: number;
 
             if (pos.side === 'LONG') {
@@ -349,7 +532,24 @@ export class PaperPortfolioManager {
      * Get recent trades
      */
     getTrades(limit: number = 50): Trade[] {
-        return this.trades.slice(-limit);
+        return this.ledger.listTrades(limit).map(({ positionId, liquidity, slippageBps, bookSource, ...trade }) => ({
+            ...trade,
+            status: 'FILLED' as const,
+        }));
+    }
+
+    /**
+     * Funding payments, newest first
+     */
+    getFundingPayments(limit: number = 100): PaperFundingPayment[] {
+        return this.ledger.listFunding(limit);
+    }
+
+    /**
+     * Fees paid and funding received (negative = paid) since the last reset
+     */
+    getCosts(): { fees: number; funding: number } {
+        return { fees: this.feesPaid, funding: this.fundingPnL };
     }
 
     /**
@@ -373,9 +573,11 @@ export class PaperPortfolioManager {
         this.cashBalance = this.initialBalance;
         this.positions.clear();
         this.realizedPnL = 0;
-        this.trades = [];
+        this.feesPaid = 0;
+        this.fundingPnL = 0;
         this.snapshots = [];
         this.dailyStartValue = this.initialBalance;
+        this.ledger.reset();
         logger.info('[PaperPortfolio] Reset to initial state');
     }
 
@@ -384,6 +586,7 @@ export class PaperPortfolioManager {
      */
     resetDailyTracking(currentPrices: Map<string, number>): void {
         this.dailyStartValue = this.getTotalValue(currentPrices);
+        void this.saveState();
         logger.info(`[PaperPortfolio] Daily tracking reset, starting value: $${this.dailyStartValue.toFixed(2)}`);
     }
 }
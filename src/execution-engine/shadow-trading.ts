@@ -0,0 +1,366 @@
+/**
+ * Shadow Trading
+ *
+ * In shadow mode (SHADOW_TRADING=true with PAPER_TRADING off) every signal is
+ * executed live (or on testnet) and by PaperPortfolioManager at the same time.
+ * Each live/paper pair is kept in the shadow_fills table so a strategy's live
+ * results can be split into what the signals would have earned (paper) and
+ * what execution cost on top of that: slippage, missed fills and PnL drift.
+ */
+
+import BetterSqlite3 from 'better-sqlite3';
+import configManager from '../shared/config';
+import { Trade } from '../shared/types';
+
+/**
+ * FILLED: filled at signal time; WORKING: an execution algo parent is still
+ * working it; RESTING: accepted but unfilled; REJECTED: refused by the venue;
+ * SKIPPED: not sent (blocked by a pre-trade gate, or an exit with no paper
+ * position to close)
+ */
+export type ShadowLegStatus = 'FILLED' | 'WORKING' | 'RESTING' | 'REJECTED' | 'SKIPPED';
+
+export interface ShadowLeg {
+    status: ShadowLegStatus;
+    tradeId?: string;
+    size: number;
+    price: number;
+    fee: number;
+    /** Gross price PnL of the fill (exits only) */
+    pnl: number;
+    /** Adverse move of the fill price vs the signal price, in basis points */
+    slippageBps: number;
+    error?: string;
+}
+
+export interface ShadowFillPair {
+    id: number;
+    strategyId: string;
+    symbol: string;
+    side: 'BUY' | 'SELL';
+    /** Live venue the signal was sent to */
+    venue: 'LIVE' | 'TESTNET';
+    signalPrice: number;
+    requestedSize: number;
+    live: ShadowLeg;
+    paper: ShadowLeg;
+    createdAt: number;
+    updatedAt: number;
+}
+
+export interface ShadowStrategyReport {
+    strategyId: string;
+    pairs: number;
+    bothFilled: number;
+    /** Paper filled but live did not (rejected, resting or unfilled parent) */
+    liveMissed: number;
+    /** Live filled but paper did not */
+    paperMissed: number;
+    /** Live side still being worked by an execution algo */
+    working: number;
+    avgLiveSlippageBps: number;
+    avgPaperSlippageBps: number;
+    /** Mean of live minus paper slippage over pairs where both filled */
+    slippageDivergenceBps: number;
+    liveFillRatio: number;
+    livePnL: number;
+    paperPnL: number;
+    paperFees: number;
+    /** Live minus paper gross PnL */
+    pnlDivergence: number;
+}
+
+export interface ShadowReport {
+    since: number | null;
+    strategies: ShadowStrategyReport[];
+    totals: Omit<ShadowStrategyReport, 'strategyId'>;
+}
+
+export interface ShadowFillQuery {
+    strategyId?: string;
+    symbol?: string;
+    since?: number;
+    limit?: number;
+}
+
+export function isShadowTradingEnabled(): boolean {
+    return process.env.SHADOW_TRADING === 'true' && process.env.PAPER_TRADING !== 'true';
+}
+
+/** Adverse move of `price` vs `reference` in basis points (positive = worse) */
+export function slippageBps(side: 'BUY' | 'SELL', price: number, reference: number): number {
+    if (!(reference > 0) || !(price > 0)) return 0;
+    const direction = side === 'BUY' ? 1 : -1;
+    return ((price - reference) / reference) * 10000 * direction;
+}
+
+/**
+ * Turn the settled outcome of one leg into a ShadowLeg. A PARTIAL trade is a
+ * resting order unless `working` marks it as an execution algo parent.
+ */
+export function toShadowLeg(
+    outcome: PromiseSettledResult<Trade>,
+    referencePrice: number,
+    working: boolean = false
+): ShadowLeg {
+    if (outcome.status === 'rejected') {
+        const reason = outcome.reason;
+        return {
+            status: 'REJECTED',
+            size: 0,
+            price: 0,
+            fee: 0,
+            pnl: 0,
+            slippageBps: 0,
+            error: reason instanceof Error ? reason.message : String(reason),
+        };
+    }
+
+    const trade = outcome.value;
+    if (trade.status !== 'FILLED') {
+        return {
+            status: trade.status === 'PARTIAL' ? (working ? 'WORKING' : 'RESTING') : 'REJECTED',
+            tradeId: trade.id,
+            size: 0,
+            price: 0,
+            fee: 0,
+            pnl: 0,
+            slippageBps: 0,
+        };
+    }
+
+    return {
+        status: 'FILLED',
+        tradeId: trade.id,
+        size: trade.size,
+        price: trade.price,
+        fee: trade.fee || 0,
+        pnl: trade.pnl || 0,
+        slippageBps: slippageBps(trade.side, trade.price, referencePrice),
+    };
+}
+
+export function skippedShadowLeg(error: string): ShadowLeg {
+    return { status: 'SKIPPED', size: 0, price: 0, fee: 0, pnl: 0, slippageBps: 0, error };
+}
+
+function legFromRow(row: any, prefix: 'live' | 'paper'): ShadowLeg {
+    return {
+        status: row[`${prefix}_status`],
+        tradeId: row[`${prefix}_trade_id`] ?? undefined,
+        size: row[`${prefix}_size`],
+        price: row[`${prefix}_price`],
+        fee: row[`${prefix}_fee`],
+        pnl: row[`${prefix}_pnl`],
+        slippageBps: row[`${prefix}_slippage_bps`],
+        error: row[`${prefix}_error`] ?? undefined,
+    };
+}
+
+function legParams(leg: ShadowLeg): unknown[] {
+    return [leg.status, leg.tradeId ?? null, leg.size, leg.price, leg.fee, leg.pnl, leg.slippageBps, leg.error ?? null];
+}
+
+function summarize(pairs: ShadowFillPair[]): Omit<ShadowStrategyReport, 'strategyId'> {
+    let bothFilled = 0;
+    let liveMissed = 0;
+    let paperMissed = 0;
+    let working = 0;
+    let liveFilled = 0;
+    let paperFilled = 0;
+    let liveSlippage = 0;
+    let paperSlippage = 0;
+    let divergence = 0;
+    let livePnL = 0;
+    let paperPnL = 0;
+    let paperFees = 0;
+
+    for (const pair of pairs) {
+        const live = pair.live.status === 'FILLED';
+        const paper = pair.paper.status === 'FILLED';
+        if (pair.live.status === 'WORKING') working++;
+        if (live) {
+            liveFilled++;
+            liveSlippage += pair.live.slippageBps;
+            livePnL += pair.live.pnl;
+        }
+        if (paper) {
+            paperFilled++;
+            paperSlippage += pair.paper.slippageBps;
+            paperPnL += pair.paper.pnl;
+            paperFees += pair.paper.fee;
+        }
+        if (live && paper) {
+            bothFilled++;
+            divergence += pair.live.slippageBps - pair.paper.slippageBps;
+        } else if (paper && pair.live.status !== 'WORKING') {
+            liveMissed++;
+        } else if (live) {
+            paperMissed++;
+        }
+    }
+
+    return {
+        pairs: pairs.length,
+        bothFilled,
+        liveMissed,
+        paperMissed,
+        working,
+        avgLiveSlippageBps: liveFilled > 0 ? liveSlippage / liveFilled : 0,
+        avgPaperSlippageBps: paperFilled > 0 ? paperSlippage / paperFilled : 0,
+        slippageDivergenceBps: bothFilled > 0 ? divergence / bothFilled : 0,
+        liveFillRatio: paperFilled > 0 ? liveFilled / paperFilled : 0,
+        livePnL,
+        paperPnL,
+        paperFees,
+        pnlDivergence: livePnL - paperPnL,
+    };
+}
+
+export class ShadowTradingLedger {
+    private db: BetterSqlite3.Database | null = null;
+
+    constructor(private dbPath: string = configManager.get().database?.connection || './data/trading.db') {}
+
+    private getDb(): BetterSqlite3.Database {
+        if (this.db) return this.db;
+
+        this.db = new BetterSqlite3(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS shadow_fills (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                strategy_id TEXT NOT NULL,
+                symbol TEXT NOT NULL,
+                side TEXT NOT NULL,
+                venue TEXT NOT NULL,
+                signal_price REAL NOT NULL,
+                requested_size REAL NOT NULL,
+                live_status TEXT NOT NULL,
+                live_trade_id TEXT,
+                live_size REAL NOT NULL DEFAULT 0,
+                live_price REAL NOT NULL DEFAULT 0,
+                live_fee REAL NOT NULL DEFAULT 0,
+                live_pnl REAL NOT NULL DEFAULT 0,
+                live_slippage_bps REAL NOT NULL DEFAULT 0,
+                live_error TEXT,
+                paper_status TEXT NOT NULL,
+                paper_trade_id TEXT,
+                paper_size REAL NOT NULL DEFAULT 0,
+                paper_price REAL NOT NULL DEFAULT 0,
+                paper_fee REAL NOT NULL DEFAULT 0,
+                paper_pnl REAL NOT NULL DEFAULT 0,
+                paper_slippage_bps REAL NOT NULL DEFAULT 0,
+                paper_error TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+        `);
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_shadow_fills_strategy
+            ON shadow_fills(strategy_id, created_at)
+        `);
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_shadow_fills_live_trade
+            ON shadow_fills(live_trade_id)
+        `);
+        return this.db;
+    }
+
+    recordPair(pair: Omit<ShadowFillPair, 'id' | 'createdAt' | 'updatedAt'>, now: number = Date.now()): ShadowFillPair {
+        const result = this.getDb().prepare(`
+            INSERT INTO shadow_fills (
+                strategy_id, symbol, side, venue, signal_price, requested_size,
+                live_status, live_trade_id, live_size, live_price, live_fee, live_pnl, live_slippage_bps, live_error,
+                paper_status, paper_trade_id, paper_size, paper_price, paper_fee, paper_pnl, paper_slippage_bps, paper_error,
+                created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            pair.strategyId, pair.symbol.toUpperCase(), pair.side, pair.venue, pair.signalPrice, pair.requestedSize,
+            ...legParams(pair.live),
+            ...legParams(pair.paper),
+            now, now
+        );
+        return { ...pair, symbol: pair.symbol.toUpperCase(), id: Number(result.lastInsertRowid), createdAt: now, updatedAt: now };
+    }
+
+    /**
+     * Settle the live side of a pair whose live order was still being worked
+     * (execution algo parents finish after the signal returns)
+     */
+    resolveLive(liveTradeId: string, live: ShadowLeg, now: number = Date.now()): boolean {
+        const result = this.getDb().prepare(`
+            UPDATE shadow_fills SET
+                live_status = ?, live_trade_id = ?, live_size = ?, live_price = ?, live_fee = ?,
+                live_pnl = ?, live_slippage_bps = ?, live_error = ?, updated_at = ?
+            WHERE live_trade_id = ? AND live_status = 'WORKING'
+        `).run(...legParams({ ...live, tradeId: live.tradeId ?? liveTradeId }), now, liveTradeId);
+        return result.changes > 0;
+    }
+
+    listPairs(query: ShadowFillQuery = {}): ShadowFillPair[] {
+        const clauses: string[] = [];
+        const params: unknown[] = [];
+        if (query.strategyId) {
+            clauses.push('strategy_id = ?');
+            params.push(query.strategyId);
+        }
+        if (query.symbol) {
+            clauses.push('symbol = ?');
+            params.push(query.symbol.toUpperCase());
+        }
+        if (query.since !== undefined) {
+            clauses.push('created_at >= ?');
+            params.push(query.since);
+        }
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const limit = query.limit !== undefined ? 'LIMIT ?' : '';
+        if (query.limit !== undefined) params.push(query.limit);
+
+        const rows = this.getDb()
+            .prepare(`SELECT * FROM shadow_fills ${where} ORDER BY created_at DESC, id DESC ${limit}`)
+            .all(...params) as any[];
+        return rows.map(row => ({
+            id: row.id,
+            strategyId: row.strategy_id,
+            symbol: row.symbol,
+            side: row.side,
+            venue: row.venue,
+            signalPrice: row.signal_price,
+            requestedSize: row.requested_size,
+            live: legFromRow(row, 'live'),
+            paper: legFromRow(row, 'paper'),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+        }));
+    }
+
+    /**
+     * Slippage, missed fills and PnL divergence per strategy
+     */
+    report(query: Omit<ShadowFillQuery, 'limit'> = {}): ShadowReport {
+        const pairs = this.listPairs(query);
+        const byStrategy = new Map<string, ShadowFillPair[]>();
+        for (const pair of pairs) {
+            const list = byStrategy.get(pair.strategyId) ?? [];
+            list.push(pair);
+            byStrategy.set(pair.strategyId, list);
+        }
+
+        return {
+            since: query.since ?? null,
+            strategies: [...byStrategy.entries()]
+                .map(([strategyId, list]) => ({ strategyId, ...summarize(list) }))
+                .sort((a, b) => Math.abs(b.pnlDivergence) - Math.abs(a.pnlDivergence)),
+            totals: summarize(pairs),
+        };
+    }
+
+    close(): void {
+        this.db?.close();
+        this.db = null;
+    }
+}
+
+const shadowTradingLedger = new ShadowTradingLedger();
+export default shadowTradingLedger;
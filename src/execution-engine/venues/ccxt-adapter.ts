@@ -0,0 +1,293 @@
+/**
+ * ccxt Adapter
+ *
+ * ExchangeAdapter for USDT-margined futures venues reachable through ccxt:
+ * Binance USD-M directly, and Asterdex through the same Binance-compatible
+ * fapi routes pointed at its own host. ccxt itself is only loaded when a live
+ * client is first needed; tests hand in a client instead.
+ */
+
+import type { Balance, Exchange, Order, Position, Trade } from 'ccxt';
+import logger from '../../shared/logger';
+import {
+    ExchangeAdapter,
+    ExchangeAdapterError,
+    VenueBalance,
+    VenueCancelOptions,
+    VenueFill,
+    VenueName,
+    VenueOpenOrder,
+    VenueOrderRequest,
+    VenueOrderResult,
+    VenuePosition,
+} from './exchange-adapter';
+
+/** The slice of a ccxt exchange the adapter calls */
+export type CcxtClient = Pick<Exchange,
+    'loadMarkets' | 'createOrder' | 'cancelOrder' | 'cancelAllOrders' | 'fetchOpenOrders' |
+    'fetchPositions' | 'fetchBalance' | 'fetchMyTrades'
+>;
+
+export interface CcxtAdapterConfig {
+    venue: VenueName;
+    apiKey?: string;
+    secret?: string;
+    /** Margin/settlement asset; also the quote of every market */
+    settle?: string;
+    /** Binance-compatible host to use instead of fapi.binance.com */
+    restOrigin?: string;
+    fillPollMs?: number;
+}
+
+export class CcxtExchangeAdapter extends ExchangeAdapter {
+    readonly venue: VenueName;
+    private readonly settle: string;
+    private client: CcxtClient | null;
+    private marketsLoaded = false;
+    /** ccxt needs a symbol to list trades on Binance-style venues */
+    private readonly tradedSymbols = new Set<string>();
+
+    constructor(private readonly config: CcxtAdapterConfig, client?: CcxtClient) {
+        super(config.fillPollMs);
+        this.venue = config.venue;
+        this.settle = (config.settle || 'USDT').toUpperCase();
+        this.client = client ?? null;
+    }
+
+    async initialize(): Promise<void> {
+        const client = await this.getClient();
+        if (!this.marketsLoaded) {
+            await client.loadMarkets();
+            this.marketsLoaded = true;
+        }
+    }
+
+    isConfigured(): boolean {
+        return this.client !== null || Boolean(this.config.apiKey && this.config.secret);
+    }
+
+    async placeOrder(request: VenueOrderRequest): Promise<VenueOrderResult> {
+        if (!this.isConfigured()) {
+            return { success: false, status: 'NO_WALLET', error: `${this.venue} API credentials not configured` };
+        }
+
+        const orderType = request.orderType ?? (request.price ? 'limit' : 'market');
+        if (orderType === 'limit' && !request.price) {
+            return { success: false, status: 'PRICE_ERROR', error: 'Limit order requires a price' };
+        }
+
+        const marketSymbol = this.toMarketSymbol(request.symbol);
+        const params: Record<string, unknown> = {};
+        if (request.reduceOnly) params.reduceOnly = true;
+        if (request.clientOrderId) params.newClientOrderId = request.clientOrderId;
+
+        try {
+            await this.initialize();
+            const client = await this.getClient();
+            const order = await client.createOrder(
+                marketSymbol,
+                orderType,
+                request.side === 'BUY' ? 'buy' : 'sell',
+                request.size,
+                orderType === 'limit' ? request.price : undefined,
+                params
+            );
+            this.tradedSymbols.add(marketSymbol);
+            return this.toOrderResult(order);
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            logger.error(`[CcxtExchangeAdapter] ${this.venue} order ${request.side} ${request.size} ${request.symbol} failed: ${message}`);
+            return { success: false, status: 'REJECTED', error: message };
+        }
+    }
+
+    async cancelOrder(symbol: string, orderId: string, _options: VenueCancelOptions = {}): Promise<boolean> {
+        try {
+            const client = await this.getClient();
+            await client.cancelOrder(orderId, this.toMarketSymbol(symbol));
+            return true;
+        } catch (error) {
+            logger.error(`[CcxtExchangeAdapter] ${this.venue} cancel ${orderId} (${symbol}) failed: ${error instanceof Error ? error.message : error}`);
+            return false;
+        }
+    }
+
+    async cancelAllOrders(_force: boolean = false): Promise<boolean> {
+        try {
+            const client = await this.getClient();
+            const symbols = new Set((await this.getOpenOrders()).map(order => order.symbol));
+            for (const symbol of symbols) {
+                await client.cancelAllOrders(this.toMarketSymbol(symbol));
+            }
+            return true;
+        } catch (error) {
+            logger.error(`[CcxtExchangeAdapter] ${this.venue} cancel all failed: ${error instanceof Error ? error.message : error}`);
+            return false;
+        }
+    }
+
+    async getPositions(): Promise<VenuePosition[]> {
+        const client = await this.getClient();
+        const positions = await client.fetchPositions();
+        return positions
+            .filter(position => Math.abs(position.contracts ?? 0) > 0)
+            .map(position => this.toPosition(position));
+    }
+
+    async getBalance(): Promise<VenueBalance> {
+        const client = await this.getClient();
+        const balance = await client.fetchBalance();
+        const account: Partial<Balance> = balance[this.settle] ?? {};
+        return {
+            equity: Number(account.total ?? 0),
+            available: Number(account.free ?? 0),
+            marginUsed: Number(account.used ?? 0),
+        };
+    }
+
+    async getOpenOrders(symbol?: string): Promise<VenueOpenOrder[]> {
+        const client = await this.getClient();
+        const orders = await client.fetchOpenOrders(symbol ? this.toMarketSymbol(symbol) : undefined);
+        return orders.map(order => ({
+            orderId: order.id,
+            symbol: this.toAssetSymbol(order.symbol),
+            side: order.side === 'sell' ? 'SELL' as const : 'BUY' as const,
+            price: order.price ?? 0,
+            size: order.amount ?? 0,
+            filledSize: order.filled ?? 0,
+            reduceOnly: Boolean(order.reduceOnly),
+            timestamp: order.timestamp ?? 0,
+        }));
+    }
+
+    protected async fetchFills(since: number): Promise<VenueFill[]> {
+        const client = await this.getClient();
+        // Open positions may predate this process, so their symbols are polled too
+        for (const position of await this.getPositions()) {
+            this.tradedSymbols.add(this.toMarketSymbol(position.symbol));
+        }
+
+        const fills: VenueFill[] = [];
+        for (const marketSymbol of this.tradedSymbols) {
+            const trades = await client.fetchMyTrades(marketSymbol, since);
+            fills.push(...trades.map(trade => this.toFill(trade)));
+        }
+        return fills;
+    }
+
+    /** BTC -> BTC/USDT:USDT; already-unified symbols pass through */
+    toMarketSymbol(symbol: string): string {
+        if (symbol.includes('/')) return symbol;
+        const base = symbol.toUpperCase().replace(new RegExp(`-?${this.settle}$`), '');
+        return `${base}/${this.settle}:${this.settle}`;
+    }
+
+    private toAssetSymbol(marketSymbol: string | undefined): string {
+        return (marketSymbol || '').split('/')[0];
+    }
+
+    private toOrderResult(order: Order): VenueOrderResult {
+        const filledSize = order.filled ?? 0;
+        const result: VenueOrderResult = {
+            success: true,
+            orderId: order.id,
+            filledSize: filledSize > 0 ? filledSize : undefined,
+            filledPrice: filledSize > 0 ? order.average ?? order.price : undefined,
+            status: 'RESTING',
+        };
+
+        switch (order.status) {
+            case 'closed':
+                return { ...result, status: 'FILLED' };
+            case 'canceled':
+            case 'expired':
+                return { ...result, success: false, status: 'CANCELLED', error: `Order ${order.status}` };
+            case 'rejected':
+                return { ...result, success: false, status: 'REJECTED', error: 'Order rejected by venue' };
+            default:
+                // Market orders that come back before their fill report are still in flight
+                return order.type === 'market' && filledSize === 0 ? { ...result, status: 'PENDING' } : result;
+        }
+    }
+
+    private toPosition(position: Position): VenuePosition {
+        const size = Math.abs((position.contracts ?? 0) * (position.contractSize ?? 1));
+        const markPrice = position.markPrice ?? 0;
+        const marginUsed = position.initialMargin ?? position.collateral ?? 0;
+        return {
+            symbol: this.toAssetSymbol(position.symbol),
+            side: position.side === 'short' ? 'SHORT' : 'LONG',
+            size,
+            entryPrice: position.entryPrice ?? 0,
+            markPrice,
+            unrealizedPnL: position.unrealizedPnl ?? 0,
+            leverage: position.leverage ?? (marginUsed > 0 ? (size * markPrice) / marginUsed : 1),
+            marginUsed,
+        };
+    }
+
+    private toFill(trade: Trade): VenueFill {
+        return {
+            venue: this.venue,
+            id: String(trade.id),
+            orderId: String(trade.order ?? ''),
+            symbol: this.toAssetSymbol(trade.symbol),
+            side: trade.side === 'sell' ? 'SELL' : 'BUY',
+            price: trade.price,
+            size: trade.amount ?? 0,
+            fee: trade.fee?.cost ?? 0,
+            realizedPnL: parseFloat(trade.info?.realizedPnl ?? '0') || 0,
+            liquidity: trade.takerOrMaker === 'maker' ? 'MAKER' : 'TAKER',
+            timestamp: trade.timestamp ?? 0,
+        };
+    }
+
+    private async getClient(): Promise<CcxtClient> {
+        if (this.client) return this.client;
+        if (!this.isConfigured()) {
+            throw new ExchangeAdapterError('API credentials not configured', this.venue);
+        }
+
+        const ccxt = await import('ccxt');
+        const exchange = new ccxt.binanceusdm({
+            apiKey: this.config.apiKey,
+            secret: this.config.secret,
+            enableRateLimit: true,
+            options: { warnOnFetchOpenOrdersWithoutSymbol: false },
+        });
+        if (this.config.restOrigin) {
+            const api = exchange.urls['api'] as Record<string, string>;
+            for (const key of Object.keys(api).filter(key => key.startsWith('fapi'))) {
+                api[key] = api[key].replace('https://fapi.binance.com', this.config.restOrigin);
+            }
+        }
+        this.client = exchange;
+        return exchange;
+    }
+}
+
+/**
+ * Binance USD-M futures from BINANCE_API_KEY / BINANCE_API_SECRET
+ */
+export function createBinanceFuturesAdapter(): CcxtExchangeAdapter {
+    const apiKey = process.env.BINANCE_API_KEY;
+    const secret = process.env.BINANCE_API_SECRET;
+    if (!apiKey || !secret) {
+        logger.warn('[CcxtExchangeAdapter] BINANCE_API_KEY/BINANCE_API_SECRET not set, binance venue is disabled');
+    }
+    return new CcxtExchangeAdapter({ venue: 'binance', apiKey, secret });
+}
+
+/**
+ * Asterdex futures from ASTERDEX_API_KEY / ASTERDEX_API_SECRET, on the host of
+ * ASTERDEX_REST_ENDPOINT (the market data client's setting)
+ */
+export function createAsterdexAdapter(): CcxtExchangeAdapter {
+    const apiKey = process.env.ASTERDEX_API_KEY;
+    const secret = process.env.ASTERDEX_API_SECRET;
+    if (!apiKey || !secret) {
+        logger.warn('[CcxtExchangeAdapter] ASTERDEX_API_KEY/ASTERDEX_API_SECRET not set, asterdex venue is disabled');
+    }
+    const restOrigin = new URL(process.env.ASTERDEX_REST_ENDPOINT || 'https://fapi.asterdex.com/fapi/v1').origin;
+    return new CcxtExchangeAdapter({ venue: 'asterdex', apiKey, secret, restOrigin });
+}
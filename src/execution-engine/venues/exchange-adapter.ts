@@ -0,0 +1,230 @@
+/**
+ * Exchange Adapter
+ *
+ * Venue-neutral surface the execution engine trades through: order placement,
+ * cancels, positions, balances and a polled fills stream. Each venue
+ * (Hyperliquid, Binance/Asterdex futures via ccxt, the in-memory mock) extends
+ * ExchangeAdapter and maps its own payloads onto the shared types below.
+ */
+
+import { EventEmitter } from 'events';
+import logger from '../../shared/logger';
+
+export type VenueName = 'hyperliquid' | 'asterdex' | 'binance';
+
+export const VENUE_NAMES: VenueName[] = ['hyperliquid', 'asterdex', 'binance'];
+
+export interface VenueOrderRequest {
+    /** Bare asset symbol as used across the engine (e.g. BTC) */
+    symbol: string;
+    side: 'BUY' | 'SELL';
+    size: number;
+    price?: number;
+    orderType?: 'limit' | 'market';
+    reduceOnly?: boolean;
+    clientOrderId?: string;
+    /** Hyperliquid pacing hints; other venues ignore them */
+    confidence?: number;
+    bypassCooldown?: boolean;
+}
+
+/**
+ * Same shape as HyperliquidOrderResult so existing callers keep their checks:
+ * FILLED, RESTING and PENDING are successes, anything else is a failure code.
+ */
+export interface VenueOrderResult {
+    success: boolean;
+    orderId?: string;
+    filledPrice?: number;
+    filledSize?: number;
+    status: string;
+    error?: string;
+}
+
+export interface VenueCancelOptions {
+    /** Cancel even if the venue's minimum order age has not passed */
+    force?: boolean;
+    /** Start the venue's post-cancel cooldown (Hyperliquid) */
+    trackCooldown?: boolean;
+}
+
+export interface VenuePosition {
+    symbol: string;
+    side: 'LONG' | 'SHORT';
+    size: number;
+    entryPrice: number;
+    markPrice: number;
+    unrealizedPnL: number;
+    leverage: number;
+    marginUsed: number;
+}
+
+export interface VenueBalance {
+    equity: number;
+    available: number;
+    marginUsed: number;
+}
+
+export interface VenueAccountState extends VenueBalance {
+    positions: VenuePosition[];
+}
+
+export interface VenueOpenOrder {
+    orderId: string;
+    symbol: string;
+    side: 'BUY' | 'SELL';
+    price: number;
+    size: number;
+    filledSize: number;
+    reduceOnly: boolean;
+    timestamp: number;
+}
+
+export interface VenueFill {
+    venue: VenueName;
+    /** Unique per venue; used to de-duplicate overlapping polls */
+    id: string;
+    orderId: string;
+    symbol: string;
+    side: 'BUY' | 'SELL';
+    price: number;
+    size: number;
+    fee: number;
+    realizedPnL: number;
+    liquidity: 'MAKER' | 'TAKER';
+    timestamp: number;
+}
+
+/** Where one order stands, from the venue's open orders and fills */
+export interface VenueOrderState {
+    /** Still working on the book */
+    open: boolean;
+    filledSize: number;
+    /** Size-weighted fill price; undefined until something has filled */
+    avgPrice?: number;
+    fills: VenueFill[];
+}
+
+export type VenueFillListener = (fill: VenueFill) => void;
+
+export class ExchangeAdapterError extends Error {
+    constructor(message: string, public readonly venue: VenueName) {
+        super(`[${venue}] ${message}`);
+        this.name = 'ExchangeAdapterError';
+    }
+}
+
+const FILL_EVENT = 'fill';
+
+export abstract class ExchangeAdapter {
+    abstract readonly venue: VenueName;
+
+    private readonly fills = new EventEmitter();
+    private fillTimer: NodeJS.Timeout | null = null;
+    private fillCursor = 0;
+    private seenFillIds = new Set<string>();
+    private polling = false;
+
+    constructor(private readonly fillPollMs: number = 5000) {}
+
+    abstract initialize(): Promise<void>;
+
+    abstract isConfigured(): boolean;
+
+    abstract placeOrder(request: VenueOrderRequest): Promise<VenueOrderResult>;
+
+    abstract cancelOrder(symbol: string, orderId: string, options?: VenueCancelOptions): Promise<boolean>;
+
+    abstract cancelAllOrders(force?: boolean): Promise<boolean>;
+
+    abstract getPositions(): Promise<VenuePosition[]>;
+
+    abstract getBalance(): Promise<VenueBalance>;
+
+    abstract getOpenOrders(symbol?: string): Promise<VenueOpenOrder[]>;
+
+    /**
+     * Fills at or after `since` (ms). Overlap with earlier polls is fine,
+     * repeated ids are dropped before listeners see them.
+     */
+    protected abstract fetchFills(since: number): Promise<VenueFill[]>;
+
+    /**
+     * Balance and positions together; venues that return both in one call override this
+     */
+    async getAccountState(): Promise<VenueAccountState> {
+        const [balance, positions] = await Promise.all([this.getBalance(), this.getPositions()]);
+        return { ...balance, positions };
+    }
+
+    /**
+     * Whether an order is still open and what it has filled at or after `since`
+     * (ms). Queries the venue directly, so the fills stream's cursor is untouched.
+     */
+    async getOrderState(symbol: string, orderId: string, since: number): Promise<VenueOrderState> {
+        const [openOrders, allFills] = await Promise.all([this.getOpenOrders(symbol), this.fetchFills(since)]);
+        const fills = allFills.filter(fill => fill.orderId === orderId);
+        const filledSize = fills.reduce((sum, fill) => sum + fill.size, 0);
+        return {
+            open: openOrders.some(order => order.orderId === orderId),
+            filledSize,
+            avgPrice: filledSize > 0 ? fills.reduce((sum, fill) => sum + fill.price * fill.size, 0) / filledSize : undefined,
+            fills,
+        };
+    }
+
+    /**
+     * Subscribe to account fills from `since` on. Polling starts with the first
+     * listener and stops when the last one unsubscribes.
+     */
+    onFill(listener: VenueFillListener, since: number = Date.now()): () => void {
+        if (this.fills.listenerCount(FILL_EVENT) === 0) {
+            this.fillCursor = since;
+            this.seenFillIds.clear();
+            this.fillTimer = setInterval(() => {
+                this.pollFills().catch(error =>
+                    logger.warn(`[ExchangeAdapter] ${this.venue} fill poll failed: ${error instanceof Error ? error.message : error}`)
+                );
+            }, this.fillPollMs);
+            this.fillTimer.unref();
+        }
+        this.fills.on(FILL_EVENT, listener);
+
+        return () => {
+            this.fills.off(FILL_EVENT, listener);
+            if (this.fills.listenerCount(FILL_EVENT) === 0 && this.fillTimer) {
+                clearInterval(this.fillTimer);
+                this.fillTimer = null;
+            }
+        };
+    }
+
+    /**
+     * Fetch new fills once and hand them to the listeners. Returns how many were new.
+     */
+    async pollFills(): Promise<number> {
+        if (this.polling) return 0;
+        this.polling = true;
+
+        try {
+            const fills = (await this.fetchFills(this.fillCursor))
+                .filter(fill => !this.seenFillIds.has(fill.id))
+                .sort((a, b) => a.timestamp - b.timestamp);
+            if (fills.length === 0) return 0;
+
+            // Fills at the cursor ms can show up again next poll; only those ids need remembering
+            const cursor = fills[fills.length - 1].timestamp;
+            if (cursor > this.fillCursor) {
+                this.seenFillIds.clear();
+                this.fillCursor = cursor;
+            }
+            for (const fill of fills) {
+                if (fill.timestamp === this.fillCursor) this.seenFillIds.add(fill.id);
+                this.fills.emit(FILL_EVENT, fill);
+            }
+            return fills.length;
+        } finally {
+            this.polling = false;
+        }
+    }
+}
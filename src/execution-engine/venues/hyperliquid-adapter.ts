@@ -0,0 +1,96 @@
+/**
+ * Hyperliquid Adapter
+ *
+ * ExchangeAdapter over the existing HyperliquidClient. The client keeps its
+ * cooldowns, overfill protection and pending-order tracking; this class only
+ * maps its results onto the venue-neutral types.
+ */
+
+import hyperliquidClient, { HyperliquidClient } from '../hyperliquid-client';
+import {
+    ExchangeAdapter,
+    VenueAccountState,
+    VenueBalance,
+    VenueCancelOptions,
+    VenueFill,
+    VenueName,
+    VenueOpenOrder,
+    VenueOrderRequest,
+    VenueOrderResult,
+    VenuePosition,
+} from './exchange-adapter';
+
+export class HyperliquidAdapter extends ExchangeAdapter {
+    readonly venue: VenueName = 'hyperliquid';
+
+    constructor(private readonly client: HyperliquidClient = hyperliquidClient, fillPollMs?: number) {
+        super(fillPollMs);
+    }
+
+    async initialize(): Promise<void> {
+        await this.client.initialize();
+    }
+
+    isConfigured(): boolean {
+        return this.client.isConfigured();
+    }
+
+    async placeOrder(request: VenueOrderRequest): Promise<VenueOrderResult> {
+        return this.client.placeOrder(request);
+    }
+
+    async cancelOrder(symbol: string, orderId: string, options: VenueCancelOptions = {}): Promise<boolean> {
+        return this.client.cancelOrder(symbol, orderId, options.trackCooldown ?? true, options.force ?? false);
+    }
+
+    async cancelAllOrders(force: boolean = false): Promise<boolean> {
+        return this.client.cancelAllOrders(force);
+    }
+
+    async getAccountState(): Promise<VenueAccountState> {
+        const state = await this.client.getAccountState();
+        return {
+            equity: state.equity,
+            available: state.withdrawable,
+            marginUsed: state.marginUsed,
+            positions: state.positions,
+        };
+    }
+
+    async getPositions(): Promise<VenuePosition[]> {
+        return (await this.getAccountState()).positions;
+    }
+
+    async getBalance(): Promise<VenueBalance> {
+        const { equity, available, marginUsed } = await this.getAccountState();
+        return { equity, available, marginUsed };
+    }
+
+    async getOpenOrders(symbol?: string): Promise<VenueOpenOrder[]> {
+        const orders = await this.client.getOpenOrders();
+        return orders
+            .filter((order: any) => !symbol || order.coin === symbol.toUpperCase())
+            .map((order: any) => {
+                const size = parseFloat(order.sz);
+                const origSize = parseFloat(order.origSz ?? order.sz);
+                return {
+                    orderId: order.oid.toString(),
+                    symbol: order.coin,
+                    side: order.side === 'B' ? 'BUY' as const : 'SELL' as const,
+                    price: parseFloat(order.limitPx),
+                    size: origSize,
+                    filledSize: Math.max(0, origSize - size),
+                    reduceOnly: Boolean(order.reduceOnly),
+                    timestamp: order.timestamp,
+                };
+            });
+    }
+
+    protected async fetchFills(since: number): Promise<VenueFill[]> {
+        const fills = await this.client.getUserFills(since);
+        return fills.map(fill => ({ ...fill, venue: this.venue }));
+    }
+}
+
+const hyperliquidAdapter = new HyperliquidAdapter();
+export default hyperliquidAdapter;
@@ -0,0 +1,47 @@
+/**
+ * Execution Venues
+ *
+ * Registry of exchange adapters by venue name. Hyperliquid is the engine's
+ * home venue; Binance and Asterdex adapters are built from env credentials the
+ * first time they are asked for. Tests register mocks in their place.
+ */
+
+import { ExchangeAdapter, ExchangeAdapterError, VenueName, VENUE_NAMES } from './exchange-adapter';
+import hyperliquidAdapter from './hyperliquid-adapter';
+import { createAsterdexAdapter, createBinanceFuturesAdapter } from './ccxt-adapter';
+
+export * from './exchange-adapter';
+export { HyperliquidAdapter } from './hyperliquid-adapter';
+export { CcxtExchangeAdapter, CcxtClient, CcxtAdapterConfig, createAsterdexAdapter, createBinanceFuturesAdapter } from './ccxt-adapter';
+export { MockExchangeAdapter, MockExchangeOptions } from './mock-exchange-adapter';
+
+const adapters = new Map<VenueName, ExchangeAdapter>([['hyperliquid', hyperliquidAdapter]]);
+
+const factories: Record<Exclude<VenueName, 'hyperliquid'>, () => ExchangeAdapter> = {
+    binance: createBinanceFuturesAdapter,
+    asterdex: createAsterdexAdapter,
+};
+
+export function isVenueName(value: string): value is VenueName {
+    return (VENUE_NAMES as string[]).includes(value);
+}
+
+export function getExchangeAdapter(venue: VenueName): ExchangeAdapter {
+    let adapter = adapters.get(venue);
+    if (!adapter) {
+        const factory = factories[venue as Exclude<VenueName, 'hyperliquid'>];
+        if (!factory) {
+            throw new ExchangeAdapterError('No adapter for this venue', venue);
+        }
+        adapter = factory();
+        adapters.set(venue, adapter);
+    }
+    return adapter;
+}
+
+/**
+ * Replace the adapter used for a venue (mocks, alternative accounts)
+ */
+export function registerExchangeAdapter(adapter: ExchangeAdapter): void {
+    adapters.set(adapter.venue, adapter);
+}
@@ -0,0 +1,216 @@
+/**
+ * Mock Exchange Adapter
+ *
+ * In-memory venue for tests and dry runs. Market orders fill at the mark set
+ * with setMarkPrice; limit orders rest until a mark crosses them. Positions
+ * net per symbol and realized PnL and fees move the balance.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import {
+    ExchangeAdapter,
+    VenueBalance,
+    VenueCancelOptions,
+    VenueFill,
+    VenueName,
+    VenueOpenOrder,
+    VenueOrderRequest,
+    VenueOrderResult,
+    VenuePosition,
+} from './exchange-adapter';
+
+export interface MockExchangeOptions {
+    initialBalance?: number;
+    feeRate?: number;
+    leverage?: number;
+    now?: () => number;
+}
+
+interface MockPosition {
+    /** Signed: positive long, negative short */
+    size: number;
+    entryPrice: number;
+}
+
+export class MockExchangeAdapter extends ExchangeAdapter {
+    readonly venue: VenueName;
+    private readonly feeRate: number;
+    private readonly leverage: number;
+    private readonly now: () => number;
+    private cash: number;
+    private readonly marks = new Map<string, number>();
+    private readonly positions = new Map<string, MockPosition>();
+    private readonly openOrders = new Map<string, VenueOpenOrder>();
+    private readonly fillLog: VenueFill[] = [];
+    private nextFailure: string | null = null;
+
+    constructor(venue: VenueName, options: MockExchangeOptions = {}) {
+        super();
+        this.venue = venue;
+        this.cash = options.initialBalance ?? 10000;
+        this.feeRate = options.feeRate ?? 0;
+        this.leverage = options.leverage ?? 1;
+        this.now = options.now ?? Date.now;
+    }
+
+    async initialize(): Promise<void> {}
+
+    isConfigured(): boolean {
+        return true;
+    }
+
+    /**
+     * Move the mark; resting limits it crosses fill at their limit price
+     */
+    setMarkPrice(symbol: string, price: number): void {
+        const key = symbol.toUpperCase();
+        this.marks.set(key, price);
+        for (const order of [...this.openOrders.values()]) {
+            if (order.symbol !== key) continue;
+            const crossed = order.side === 'BUY' ? price <= order.price : price >= order.price;
+            if (crossed) {
+                this.openOrders.delete(order.orderId);
+                this.applyFill(order.orderId, key, order.side, order.size, order.price, 'MAKER');
+            }
+        }
+    }
+
+    /** The next placeOrder is rejected with this error */
+    failNextOrder(error: string): void {
+        this.nextFailure = error;
+    }
+
+    async placeOrder(request: VenueOrderRequest): Promise<VenueOrderResult> {
+        if (this.nextFailure) {
+            const error = this.nextFailure;
+            this.nextFailure = null;
+            return { success: false, status: 'REJECTED', error };
+        }
+
+        const symbol = request.symbol.toUpperCase();
+        const mark = this.marks.get(symbol);
+        const orderId = uuidv4();
+        let size = request.size;
+        if (request.reduceOnly) {
+            const position = this.positions.get(symbol);
+            const closable = position && (request.side === 'BUY' ? position.size < 0 : position.size > 0)
+                ? Math.abs(position.size)
+                : 0;
+            size = Math.min(size, closable);
+            if (size <= 0) {
+                return { success: false, status: 'REJECTED', error: 'Reduce-only order would increase position' };
+            }
+        }
+
+        const marketable = request.orderType === 'market' || !request.price ||
+            (mark !== undefined && (request.side === 'BUY' ? request.price >= mark : request.price <= mark));
+        if (marketable) {
+            if (mark === undefined) {
+                return { success: false, status: 'PRICE_ERROR', error: `No mark price for ${symbol}` };
+            }
+            this.applyFill(orderId, symbol, request.side, size, mark, 'TAKER');
+            return { success: true, orderId, filledPrice: mark, filledSize: size, status: 'FILLED' };
+        }
+
+        this.openOrders.set(orderId, {
+            orderId,
+            symbol,
+            side: request.side,
+            price: request.price!,
+            size,
+            filledSize: 0,
+            reduceOnly: Boolean(request.reduceOnly),
+            timestamp: this.now(),
+        });
+        return { success: true, orderId, status: 'RESTING' };
+    }
+
+    async cancelOrder(_symbol: string, orderId: string, _options?: VenueCancelOptions): Promise<boolean> {
+        return this.openOrders.delete(orderId);
+    }
+
+    async cancelAllOrders(): Promise<boolean> {
+        this.openOrders.clear();
+        return true;
+    }
+
+    async getPositions(): Promise<VenuePosition[]> {
+        return [...this.positions.entries()].map(([symbol, position]) => {
+            const markPrice = this.marks.get(symbol) ?? position.entryPrice;
+            const size = Math.abs(position.size);
+            return {
+                symbol,
+                side: position.size > 0 ? 'LONG' as const : 'SHORT' as const,
+                size,
+                entryPrice: position.entryPrice,
+                markPrice,
+                unrealizedPnL: (markPrice - position.entryPrice) * position.size,
+                leverage: this.leverage,
+                marginUsed: (size * markPrice) / this.leverage,
+            };
+        });
+    }
+
+    async getBalance(): Promise<VenueBalance> {
+        const positions = await this.getPositions();
+        const unrealized = positions.reduce((sum, position) => sum + position.unrealizedPnL, 0);
+        const marginUsed = positions.reduce((sum, position) => sum + position.marginUsed, 0);
+        const equity = this.cash + unrealized;
+        return { equity, available: Math.max(0, equity - marginUsed), marginUsed };
+    }
+
+    async getOpenOrders(symbol?: string): Promise<VenueOpenOrder[]> {
+        return [...this.openOrders.values()].filter(order => !symbol || order.symbol === symbol.toUpperCase());
+    }
+
+    protected async fetchFills(since: number): Promise<VenueFill[]> {
+        return this.fillLog.filter(fill => fill.timestamp >= since);
+    }
+
+    private applyFill(
+        orderId: string,
+        symbol: string,
+        side: 'BUY' | 'SELL',
+        size: number,
+        price: number,
+        liquidity: 'MAKER' | 'TAKER'
+    ): void {
+        const signed = side === 'BUY' ? size : -size;
+        const position = this.positions.get(symbol) ?? { size: 0, entryPrice: price };
+        let realizedPnL = 0;
+
+        if (position.size !== 0 && Math.sign(position.size) !== Math.sign(signed)) {
+            const closed = Math.min(Math.abs(position.size), size);
+            realizedPnL = (price - position.entryPrice) * closed * Math.sign(position.size);
+        }
+
+        const nextSize = position.size + signed;
+        if (Math.abs(nextSize) < 1e-12) {
+            this.positions.delete(symbol);
+        } else if (position.size === 0 || Math.sign(nextSize) !== Math.sign(position.size)) {
+            // Opened, or flipped through zero: the remainder starts at this price
+            this.positions.set(symbol, { size: nextSize, entryPrice: price });
+        } else if (Math.sign(signed) === Math.sign(position.size)) {
+            const entryPrice = (position.entryPrice * Math.abs(position.size) + price * size) / Math.abs(nextSize);
+            this.positions.set(symbol, { size: nextSize, entryPrice });
+        } else {
+            this.positions.set(symbol, { size: nextSize, entryPrice: position.entryPrice });
+        }
+
+        const fee = size * price * this.feeRate;
+        this.cash += realizedPnL - fee;
+        this.fillLog.push({
+            venue: this.venue,
+            id: uuidv4(),
+            orderId,
+            symbol,
+            side,
+            price,
+            size,
+            fee,
+            realizedPnL,
+            liquidity,
+            timestamp: this.now(),
+        });
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * Dead Letter Store
+ *
+ * SQLite-backed dead letter queue for the EnhancedMessageBus. One row per
+ * (message, subscriber): a delivery that keeps failing bumps `attempts` on the
+ * same row instead of piling up duplicates. Rows survive restarts and can be
+ * listed, replayed and purged from the dashboard or `perps dlq`.
+ *
+ * Replay is requested by marking rows REPLAY_REQUESTED; the process that owns
+ * the subscriber picks them up (see EnhancedMessageBus.processReplayRequests),
+ * which lets the dashboard trigger replays for handlers living elsewhere.
+ */
+
+import BetterSqlite3 from 'better-sqlite3';
+import configManager from '../shared/config';
+import logger from '../shared/logger';
+import type { EnhancedMessage } from './enhanced-message-bus';
+
+export type DeadLetterStatus = 'PENDING' | 'REPLAY_REQUESTED' | 'REPLAYED';
+
+export interface DeadLetterRecord {
+    id: number;
+    messageId: string;
+    channel: string;
+    subscriber: string;
+    error: string;
+    /** Failed deliveries of this message to this subscriber */
+    attempts: number;
+    status: DeadLetterStatus;
+    originalMessage: EnhancedMessage;
+    firstFailedAt: number;
+    lastFailedAt: number;
+    replayRequestedAt?: number;
+    replayedAt?: number;
+}
+
+export interface DeadLetterFilter {
+    ids?: number[];
+    channel?: string;
+    subscriber?: string;
+    status?: DeadLetterStatus;
+    limit?: number;
+    offset?: number;
+}
+
+export interface DeadLetterStats {
+    total: number;
+    pending: number;
+    replayRequested: number;
+    replayed: number;
+    /** Unreplayed dead letters per channel */
+    byChannel: Record<string, number>;
+    /** New dead letters (first failures) in the last hour / day */
+    addedLastHour: number;
+    addedLast24h: number;
+    oldestPendingAt: number | null;
+}
+
+/** Replayed rows older than this are pruned; unreplayed rows are never dropped */
+const REPLAYED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const PRUNE_EVERY_INSERTS = 100;
+
+export class DeadLetterStore {
+    private db: BetterSqlite3.Database | null = null;
+    private insertsSincePrune: number = 0;
+
+    constructor(private dbPath: string = configManager.get().database?.connection || './data/trading.db') {}
+
+    private getDb(): BetterSqlite3.Database {
+        if (this.db) return this.db;
+
+        this.db = new BetterSqlite3(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS message_dead_letters (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id TEXT NOT NULL,
+                channel TEXT NOT NULL,
+                subscriber TEXT NOT NULL,
+                error TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 1,
+                status TEXT NOT NULL DEFAULT 'PENDING',
+                message TEXT NOT NULL,
+                first_failed_at INTEGER NOT NULL,
+                last_failed_at INTEGER NOT NULL,
+                replay_requested_at INTEGER,
+                replayed_at INTEGER,
+                UNIQUE(message_id, subscriber)
+            )
+        `);
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_dead_letters_status
+            ON message_dead_letters(status, channel)
+        `);
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_dead_letters_first_failed
+            ON message_dead_letters(first_failed_at)
+        `);
+        return this.db;
+    }
+
+    /**
+     * Record a failed delivery. A repeat failure of the same message for the
+     * same subscriber increments attempts and puts the row back to PENDING.
+     */
+    record(message: EnhancedMessage, subscriber: string, error: string, now: number = Date.now()): DeadLetterRecord {
+        const db = this.getDb();
+        db.prepare(`
+            INSERT INTO message_dead_letters
+                (message_id, channel, subscriber, error, attempts, status, message, first_failed_at, last_failed_at)
+            VALUES (?, ?, ?, ?, 1, 'PENDING', ?, ?, ?)
+            ON CONFLICT(message_id, subscriber) DO UPDATE SET
+                error = excluded.error,
+                attempts = attempts + 1,
+                status = 'PENDING',
+                last_failed_at = excluded.last_failed_at,
+                replay_requested_at = NULL
+        `).run(message.id, message.type, subscriber, error, JSON.stringify(message), now, now);
+
+        if (++this.insertsSincePrune >= PRUNE_EVERY_INSERTS) {
+            this.insertsSincePrune = 0;
+            this.pruneReplayed(now);
+        }
+
+        const row = db.prepare('SELECT * FROM message_dead_letters WHERE message_id = ? AND subscriber = ?')
+            .get(message.id, subscriber);
+        return this.rowToRecord(row);
+    }
+
+    list(filter: DeadLetterFilter = {}): { records: DeadLetterRecord[]; total: number } {
+        const { where, params } = this.buildWhere(filter);
+        const db = this.getDb();
+        const total = (db.prepare(`SELECT COUNT(*) AS n FROM message_dead_letters ${where}`).get(...params) as any).n;
+        const rows = db.prepare(`
+            SELECT * FROM message_dead_letters ${where}
+            ORDER BY last_failed_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, filter.limit ?? 100, filter.offset ?? 0);
+        return { records: rows.map(row => this.rowToRecord(row)), total };
+    }
+
+    get(id: number): DeadLetterRecord | null {
+        const row = this.getDb().prepare('SELECT * FROM message_dead_letters WHERE id = ?').get(id);
+        return row ? this.rowToRecord(row) : null;
+    }
+
+    /**
+     * Mark unreplayed rows matching the filter for replay. Returns how many were marked.
+     */
+    requestReplay(filter: Omit<DeadLetterFilter, 'status' | 'limit' | 'offset'>, now: number = Date.now()): number {
+        const { where, params } = this.buildWhere({ ...filter, status: 'PENDING' });
+        return this.getDb().prepare(`
+            UPDATE message_dead_letters SET status = 'REPLAY_REQUESTED', replay_requested_at = ? ${where}
+        `).run(now, ...params).changes;
+    }
+
+    /**
+     * Rows waiting for replay whose subscriber is one of `subscribers`
+     */
+    pendingReplays(subscribers: string[], limit: number = 100): DeadLetterRecord[] {
+        if (subscribers.length === 0) return [];
+        const rows = this.getDb().prepare(`
+            SELECT * FROM message_dead_letters
+            WHERE status = 'REPLAY_REQUESTED' AND subscriber IN (${subscribers.map(() => '?').join(', ')})
+            ORDER BY first_failed_at ASC, id ASC
+            LIMIT ?
+        `).all(...subscribers, limit);
+        return rows.map(row => this.rowToRecord(row));
+    }
+
+    markReplayed(id: number, now: number = Date.now()): void {
+        this.getDb().prepare(`
+            UPDATE message_dead_letters SET status = 'REPLAYED', replayed_at = ? WHERE id = ?
+        `).run(now, id);
+    }
+
+    /**
+     * Delete rows matching the filter. Returns how many were removed.
+     */
+    purge(filter: Omit<DeadLetterFilter, 'limit' | 'offset'>): number {
+        const { where, params } = this.buildWhere(filter);
+        const removed = this.getDb().prepare(`DELETE FROM message_dead_letters ${where}`).run(...params).changes;
+        if (removed > 0) {
+            logger.info(`[DeadLetterStore] Purged ${removed} dead letters`);
+        }
+        return removed;
+    }
+
+    stats(now: number = Date.now()): DeadLetterStats {
+        const db = this.getDb();
+        const counts = db.prepare(`
+            SELECT
+                COUNT(*) AS total,
+                SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END) AS pending,
+                SUM(CASE WHEN status = 'REPLAY_REQUESTED' THEN 1 ELSE 0 END) AS replayRequested,
+                SUM(CASE WHEN status = 'REPLAYED' THEN 1 ELSE 0 END) AS replayed,
+                SUM(CASE WHEN first_failed_at >= ? THEN 1 ELSE 0 END) AS addedLastHour,
+                SUM(CASE WHEN first_failed_at >= ? THEN 1 ELSE 0 END) AS addedLast24h,
+                MIN(CASE WHEN status != 'REPLAYED' THEN first_failed_at END) AS oldestPendingAt
+            FROM message_dead_letters
+        `).get(now - 60 * 60 * 1000, now - 24 * 60 * 60 * 1000) as any;
+
+        const byChannel: Record<string, number> = {};
+        const channelRows = db.prepare(`
+            SELECT channel, COUNT(*) AS n FROM message_dead_letters
+            WHERE status != 'REPLAYED' GROUP BY channel ORDER BY n DESC
+        `).all() as any[];
+        for (const row of channelRows) {
+            byChannel[row.channel] = row.n;
+        }
+
+        return {
+            total: counts.total,
+            pending: counts.pending ?? 0,
+            replayRequested: counts.replayRequested ?? 0,
+            replayed: counts.replayed ?? 0,
+            byChannel,
+            addedLastHour: counts.addedLastHour ?? 0,
+            addedLast24h: counts.addedLast24h ?? 0,
+            oldestPendingAt: counts.oldestPendingAt ?? null,
+        };
+    }
+
+    close(): void {
+        this.db?.close();
+        this.db = null;
+    }
+
+    private pruneReplayed(now: number): void {
+        try {
+            this.getDb().prepare(`
+                DELETE FROM message_dead_letters WHERE status = 'REPLAYED' AND replayed_at < ?
+            `).run(now - REPLAYED_RETENTION_MS);
+        } catch (error) {
+            logger.warn('[DeadLetterStore] Failed to prune replayed dead letters:', error);
+        }
+    }
+
+    private buildWhere(filter: DeadLetterFilter): { where: string; params: any[] } {
+        const clauses: string[] = [];
+        const params: any[] = [];
+        if (filter.ids) {
+            // An explicit empty id list matches nothing rather than everything
+            clauses.push(filter.ids.length > 0 ? `id IN (${filter.ids.map(() => '?').join(', ')})` : '0');
+            params.push(...filter.ids);
+        }
+        if (filter.channel) {
+            clauses.push('channel = ?');
+            params.push(filter.channel);
+        }
+        if (filter.subscriber) {
+            clauses.push('subscriber = ?');
+            params.push(filter.subscriber);
+        }
+        if (filter.status) {
+            clauses.push('status = ?');
+            params.push(filter.status);
+        }
+        return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+    }
+
+    private rowToRecord(row: any): DeadLetterRecord {
+        return {
+            id: row.id,
+            messageId: row.message_id,
+            channel: row.channel,
+            subscriber: row.subscriber,
+            error: row.error,
+            attempts: row.attempts,
+            status: row.status,
+            originalMessage: JSON.parse(row.message),
+            firstFailedAt: row.first_failed_at,
+            lastFailedAt: row.last_failed_at,
+            replayRequestedAt: row.replay_requested_at ?? undefined,
+            replayedAt: row.replayed_at ?? undefined,
+        };
+    }
+}
+
+// Singleton instance
+const deadLetterStore = new DeadLetterStore();
+
+export default deadLetterStore;
@@ -4,13 +4,14 @@
  * Extends the existing message bus with Nautilus-inspired features:
  * - Event sourcing support
  * - Correlation tracking
- * - Dead letter queue
+ * - Dead letter queue (persisted, see dead-letter-store.ts)
  * - Circuit breaker integration
  * - Message replay capability
  */
 
 import logger from '../shared/logger';
 import { EventEmitter } from 'events';
+import deadLetterStore, { DeadLetterStore, DeadLetterRecord, DeadLetterFilter } from './dead-letter-store';
 
 export interface EnhancedMessage<T = any> {
     type: string;
@@ -29,16 +30,20 @@ export interface MessageHandler<T = any> {
 
 export interface Subscription {
     channel: string;
+    /** Identifies the subscriber in dead letters, so replays reach only the handler that failed */
+    name: string;
     handler: MessageHandler;
     filter?: (message: EnhancedMessage) => boolean;
     circuitBreaker?: string;
 }
 
-export interface DeadLetterMessage {
-    originalMessage: EnhancedMessage;
-    error: string;
-    timestamp: number;
-    retryCount: number;
+export type DeadLetterMessage = DeadLetterRecord;
+
+export interface DeadLetterReplayResult {
+    replayed: number;
+    failed: number;
+    /** No subscriber with that name in this process; left for the process that has one */
+    skipped: number;
 }
 
 /**
@@ -126,12 +131,13 @@ export class MessageCircuitBreaker {
 export class EnhancedMessageBus extends EventEmitter {
     private subscriptions: Map<string, Set<Subscription>> = new Map();
     private circuitBreakers: Map<string, MessageCircuitBreaker> = new Map();
-    private deadLetterQueue: DeadLetterMessage[] = [];
     private messageHistory: EnhancedMessage[] = [];
     private serviceId: string;
     private maxHistorySize: number = 10000;
+    private anonymousSubscribers: number = 0;
+    private replayTimer: NodeJS.Timeout | null = null;
 
-    constructor() {
+    constructor(private deadLetters: DeadLetterStore = deadLetterStore) {
         super();
         this.serviceId = `service-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
     }
@@ -181,12 +187,17 @@ export class EnhancedMessageBus extends EventEmitter {
         channel: string,
         handler: MessageHandler<T>,
         options?: {
+            /** Stable subscriber name; needed to replay its dead letters after a restart */
+            name?: string;
             filter?: (message: EnhancedMessage<T>) => boolean;
             circuitBreaker?: { name: string; threshold?: number; timeoutMs?: number };
         }
     ): () => void {
         const subscription: Subscription = {
             channel,
+            name: options?.name
+                || options?.circuitBreaker?.name
+                || (handler.name && handler.name !== 'anonymous' ? handler.name : `${channel}#${++this.anonymousSubscribers}`),
             handler: handler as MessageHandler,
             filter: options?.filter,
             circuitBreaker: options?.circuitBreaker?.name,
@@ -211,6 +222,7 @@ export class EnhancedMessageBus extends EventEmitter {
         }
 
         this.subscriptions.get(channel)!.add(subscription);
+        this.startReplayPolling();
 
         // Return unsubscribe function
         return () => {
@@ -244,27 +256,36 @@ export class EnhancedMessageBus extends EventEmitter {
                 continue;
             }
 
-            // Check circuit breaker
-            if (sub.circuitBreaker) {
-                const breaker = this.circuitBreakers.get(sub.circuitBreaker);
-                if (breaker && breaker.getState() === CircuitBreakerState.OPEN) {
-                    this.addToDeadLetter(message, sub, 'Circuit breaker open');
-                    continue;
-                }
+            await this.deliver(sub, message);
+        }
+    }
+
+    /**
+     * Deliver to one subscriber; failures go to the dead letter queue
+     */
+    private async deliver(sub: Subscription, message: EnhancedMessage): Promise<boolean> {
+        // Check circuit breaker
+        if (sub.circuitBreaker) {
+            const breaker = this.circuitBreakers.get(sub.circuitBreaker);
+            if (breaker && breaker.getState() === CircuitBreakerState.OPEN) {
+                this.addToDeadLetter(message, sub, 'Circuit breaker open');
+                return false;
             }
+        }
 
-            try {
-                // Execute handler with circuit breaker if configured
-                if (sub.circuitBreaker) {
-                    const breaker = this.circuitBreakers.get(sub.circuitBreaker);
-                    breaker?.execute(() => sub.handler(message));
-                } else {
-                    await Promise.resolve(sub.handler(message));
-                }
-            } catch (error) {
-                logger.error(`[MessageBus] Handler error for ${channel}:`, error);
-                this.addToDeadLetter(message, sub, String(error));
+        try {
+            // Execute handler with circuit breaker if configured
+            if (sub.circuitBreaker) {
+                const breaker = this.circuitBreakers.get(sub.circuitBreaker);
+                await Promise.resolve(breaker?.execute(() => sub.handler(message)));
+            } else {
+                await Promise.resolve(sub.handler(message));
             }
+            return true;
+        } catch (error) {
+            logger.error(`[MessageBus] Handler error for ${message.type}:`, error);
+            this.addToDeadLetter(message, sub, error instanceof Error ? error.message : String(error));
+            return false;
         }
     }
 
@@ -272,44 +293,81 @@ export class EnhancedMessageBus extends EventEmitter {
      * Add message to dead letter queue
      */
     private addToDeadLetter(message: EnhancedMessage, subscription: Subscription, error: string): void {
-        const existing = this.deadLetterQueue.find(
-            d => d.originalMessage.id === message.id && d.retryCount < 3
-        );
-
-        if (existing) {
-            existing.retryCount++;
-        } else {
-            this.deadLetterQueue.push({
-                originalMessage: message,
-                error,
-                timestamp: Date.now(),
-                retryCount: 0,
-            });
+        try {
+            const record = this.deadLetters.record(message, subscription.name, error);
+            this.emit('deadLetter', record);
+        } catch (storeError) {
+            // Losing the dead letter must not break delivery to other subscribers
+            logger.error(`[MessageBus] Failed to store dead letter for ${message.type} (${subscription.name}):`, storeError);
         }
+    }
 
-        // Keep only last 1000 dead letters
-        if (this.deadLetterQueue.length > 1000) {
-            this.deadLetterQueue.shift();
+    /**
+     * Get dead letter queue
+     */
+    getDeadLetterQueue(filter: DeadLetterFilter = {}): DeadLetterMessage[] {
+        return this.deadLetters.list(filter).records;
+    }
+
+    /**
+     * Redeliver dead letters to the subscriber that failed them. Only
+     * subscribers registered in this process can be replayed here.
+     */
+    async replayDeadLetters(records: DeadLetterRecord[]): Promise<DeadLetterReplayResult> {
+        const result: DeadLetterReplayResult = { replayed: 0, failed: 0, skipped: 0 };
+
+        for (const record of records) {
+            const sub = this.findSubscription(record.channel, record.subscriber);
+            if (!sub) {
+                result.skipped++;
+                continue;
+            }
+            if (await this.deliver(sub, record.originalMessage)) {
+                this.deadLetters.markReplayed(record.id);
+                result.replayed++;
+            } else {
+                result.failed++;
+            }
+        }
+
+        if (records.length > 0) {
+            logger.info(`[MessageBus] Dead letter replay: ${result.replayed} replayed, ${result.failed} failed, ${result.skipped} skipped`);
         }
+        return result;
     }
 
     /**
-     * Get dead letter queue
+     * Replay pending dead letters matching the filter (all of them by default)
      */
-    getDeadLetterQueue(): DeadLetterMessage[] {
-        return [...this.deadLetterQueue];
+    async retryDeadLetters(filter: DeadLetterFilter = {}): Promise<DeadLetterReplayResult> {
+        return this.replayDeadLetters(this.deadLetters.list({ ...filter, status: 'PENDING' }).records);
     }
 
     /**
-     * Retry dead letter messages
+     * Replay rows marked REPLAY_REQUESTED (e.g. from the dashboard) for
+     * subscribers registered in this process
      */
-    async retryDeadLetters(limit: number = 10): Promise<void> {
-        const toRetry = this.deadLetterQueue.splice(0, limit);
+    async processReplayRequests(limit: number = 100): Promise<DeadLetterReplayResult> {
+        const names = [...new Set(Array.from(this.subscriptions.values()).flatMap(subs => Array.from(subs, s => s.name)))];
+        return this.replayDeadLetters(this.deadLetters.pendingReplays(names, limit));
+    }
 
-        for (const deadLetter of toRetry) {
-            const channel = deadLetter.originalMessage.type;
-            await this.emitToSubscribers(channel, deadLetter.originalMessage);
+    private findSubscription(channel: string, name: string): Subscription | undefined {
+        for (const sub of this.subscriptions.get(channel) ?? []) {
+            if (sub.name === name) return sub;
         }
+        return undefined;
+    }
+
+    private startReplayPolling(intervalMs: number = 5000): void {
+        if (this.replayTimer) return;
+
+        this.replayTimer = setInterval(() => {
+            this.processReplayRequests().catch(error => {
+                logger.warn('[MessageBus] Dead letter replay poll failed:', error);
+            });
+        }, intervalMs);
+        this.replayTimer.unref();
     }
 
     /**
@@ -383,6 +441,15 @@ export class EnhancedMessageBus extends EventEmitter {
         }
     }
 
+    private safeDeadLetterCount(): number {
+        try {
+            const stats = this.deadLetters.stats();
+            return stats.pending + stats.replayRequested;
+        } catch {
+            return 0;
+        }
+    }
+
     /**
      * Generate unique message ID
      */
@@ -394,8 +461,12 @@ export class EnhancedMessageBus extends EventEmitter {
      * Clear all state
      */
     clear(): void {
+        // Dead letters are persisted and deliberately survive this
+        if (this.replayTimer) {
+            clearInterval(this.replayTimer);
+            this.replayTimer = null;
+        }
         this.subscriptions.clear();
-        this.deadLetterQueue = [];
         this.messageHistory = [];
         logger.info('[MessageBus] Cleared all state');
     }
@@ -414,7 +485,7 @@ export class EnhancedMessageBus extends EventEmitter {
             subscriptions: Array.from(this.subscriptions.values())
                 .reduce((sum, set) => sum + set.size, 0),
             channels: this.subscriptions.size,
-            deadLetters: this.deadLetterQueue.length,
+            deadLetters: this.safeDeadLetterCount(),
             historySize: this.messageHistory.length,
             circuitBreakers: this.circuitBreakers.size,
         };
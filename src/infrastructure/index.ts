@@ -90,8 +90,16 @@ export type {
     MessageHandler,
     Subscription,
     DeadLetterMessage,
+    DeadLetterReplayResult,
 } from './enhanced-message-bus';
 export { CircuitBreakerState } from './enhanced-message-bus';
+export { default as deadLetterStore, DeadLetterStore } from './dead-letter-store';
+export type {
+    DeadLetterRecord,
+    DeadLetterStatus,
+    DeadLetterFilter,
+    DeadLetterStats,
+} from './dead-letter-store';
 
 // Unified Cache
 export { default as unifiedCache } from './unified-cache';
@@ -0,0 +1,62 @@
+// Cycle Environment
+// Lets a trading cycle run against a simulated clock and account instead of
+// live services. Used by the replay harness; live cycles never set one.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { v4 as uuidv4 } from 'uuid';
+import { TestClock } from '../backtest/simulation-clock';
+import { MarketData, Portfolio, RiskAssessment, Strategy, Trade, TradingSignal } from '../shared/types';
+
+/**
+ * Services a replayed cycle uses in place of the live execution engine,
+ * risk manager and strategy tables. Everything must answer "as of" the
+ * clock's current time.
+ */
+export interface ReplayEnvironment {
+    clock: TestClock;
+    /** Candles for the lookback window, oldest first; none that were still open at endTime */
+    getCandles(symbol: string, timeframe: string, startTime: Date, endTime: Date, limit: number): Promise<MarketData[]>;
+    getPortfolio(): Promise<Portfolio>;
+    /** Most recent trades first, none after the clock time */
+    getRecentTrades(symbol: string, limit: number): Promise<Trade[]>;
+    getStrategy(id: string): Promise<Strategy | null>;
+    getActiveStrategies(symbol: string): Promise<Strategy[]>;
+    getBestActiveStrategy(symbol: string): Promise<Strategy | null>;
+    evaluateSignal(signal: TradingSignal, portfolio: Portfolio): Promise<RiskAssessment>;
+    executeSignal(signal: TradingSignal, riskAssessment: RiskAssessment): Promise<Trade>;
+}
+
+const storage = new AsyncLocalStorage<ReplayEnvironment>();
+
+/**
+ * Run `fn` (and everything it awaits) inside a replay environment
+ */
+export function runInReplayEnvironment<T>(env: ReplayEnvironment, fn: () => Promise<T>): Promise<T> {
+    return storage.run(env, fn);
+}
+
+/**
+ * The active replay environment, or undefined for live cycles
+ */
+export function getReplayEnvironment(): ReplayEnvironment | undefined {
+    return storage.getStore();
+}
+
+/**
+ * Current time for cycle logic: the replay clock when replaying, else wall time
+ */
+export function cycleNow(): number {
+    const env = storage.getStore();
+    // TestClock keeps nanoseconds in a double, so round back to whole milliseconds
+    return env ? Math.round(env.clock.timestampMs()) : Date.now();
+}
+
+/**
+ * Id for a strategy the cycle creates on the fly: random for live cycles,
+ * derived from the replay clock when replaying so two replays of the same
+ * cycle produce the same id (it ends up in the signal and its fingerprint)
+ */
+export function cycleStrategyId(): string {
+    const env = storage.getStore();
+    return env ? `replay-strategy-${Math.round(env.clock.timestampMs())}` : uuidv4();
+}
@@ -14,12 +14,17 @@ import {
     learnerNode,
 } from './nodes';
 import logger from '../shared/logger';
-import circuitBreaker from '../shared/circuit-breaker';
+import circuitBreaker, { CircuitBreakerSystem } from '../shared/circuit-breaker';
 import { captureTrainingData } from '../data/training-capture';
 
 // Re-export types for convenience
 export { AgentState, createInitialState, PatternMatch, StrategyIdea, MarketRegime };
 
+/**
+ * The circuit breaker calls the orchestrator relies on
+ */
+export type OrchestratorBreakers = Pick<CircuitBreakerSystem, 'execute' | 'getBreakerStatus' | 'openBreaker' | 'resetBreaker'>;
+
 /**
  * Trading Graph Orchestrator
  * Runs all nodes in sequence with conditional branching
@@ -29,12 +34,17 @@ export class TradingOrchestrator {
     private consecutiveErrors: number = 0;
     private maxConsecutiveErrors: number = 5;
 
+    /**
+     * @param breakers - Circuit breakers to use (default: the shared live breakers)
+     */
+    constructor(private breakers: OrchestratorBreakers = circuitBreaker) {}
+
     /**
      * Execute one full trading cycle with enhanced error handling
      */
     async invoke(initialState: AgentState): Promise<AgentState> {
         // Check circuit breakers before starting
-        const executionBreaker = circuitBreaker.getBreakerStatus('execution');
+        const executionBreaker = this.breakers.getBreakerStatus('execution');
         if (executionBreaker?.isOpen) {
             logger.warn('[Orchestrator] Execution circuit breaker is OPEN, skipping cycle');
             return {
@@ -99,7 +109,7 @@ export class TradingOrchestrator {
 
             // Check if we need to open circuit breaker
             if (this.consecutiveErrors >= this.maxConsecutiveErrors) {
-                circuitBreaker.openBreaker('execution');
+                this.breakers.openBreaker('execution');
                 logger.error(`[Orchestrator] Opened execution circuit breaker after ${this.consecutiveErrors} consecutive errors`);
             }
 
@@ -126,7 +136,7 @@ export class TradingOrchestrator {
     ): Promise<T> {
         const breakerName = isCritical ? 'execution' : nodeName;
 
-        return circuitBreaker.execute(
+        return this.breakers.execute(
             breakerName,
             fn,
             isCritical ? undefined : () => this.getFallbackResult(nodeName)
@@ -180,7 +190,7 @@ export class TradingOrchestrator {
      */
     resetErrorCounters(): void {
         this.consecutiveErrors = 0;
-        circuitBreaker.resetBreaker('execution');
+        this.breakers.resetBreaker('execution');
         logger.info('[Orchestrator] Error counters reset');
     }
 
@@ -193,7 +203,7 @@ export class TradingOrchestrator {
         executionBreakerOpen: boolean;
         status: 'HEALTHY' | 'DEGRADED' | 'CRITICAL';
     } {
-        const executionBreaker = circuitBreaker.getBreakerStatus('execution');
+        const executionBreaker = this.breakers.getBreakerStatus('execution');
         const executionBreakerOpen = executionBreaker?.isOpen || false;
 
         let status: 'HEALTHY' | 'DEGRADED' | 'CRITICAL' = 'HEALTHY';
@@ -2,4 +2,6 @@
 
 export { AgentState, createInitialState, PatternMatch, StrategyIdea, MarketRegime } from './state';
 export { buildTradingGraph, runTradingCycle } from './graph';
+export { CycleReplay, replayRecordedCycle } from './replay';
+export type { CycleReplayOptions, CycleReplayReport, ReplayCycleRecord, RecordedCycleComparison } from './replay';
 export * from './nodes';
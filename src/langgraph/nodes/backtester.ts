@@ -6,6 +6,7 @@ import { Strategy, BacktestResult, Trade, MarketData } from '../../shared/types'
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../shared/logger';
 import { getAnalysisWorkerPool } from '../../shared/analysis-worker-pool';
+import { compileStrategy } from '../../strategy-dsl';
 
 /** Realistic backtest configuration */
 interface BacktestRealismConfig {
@@ -138,6 +139,7 @@ export async function backtesterNode(state: AgentState): Promise<Partial<AgentSt
  * - Position cooldown (min bars between entries)
  * - Funding rate charged while in position
  * - Volume filter to skip low-liquidity entries
+ * - Entry and exit rules compiled from the strategy DSL (shared with BacktestEngine)
  * - Proper Sortino (downside deviation), VaR95 (5th percentile), expectancy
  */
 export async function vectorizedBacktest(
@@ -153,40 +155,8 @@ export async function vectorizedBacktest(
     let totalFees = 0;
     let totalSlippageCost = 0;
 
-    const params = idea.parameters || {};
-    const getParam = (
-        keys: string[],
-        fallback: number,
-        min: number,
-        max: number,
-        integer: boolean = true
-    ): number => {
-        for (const key of keys) {
-            const raw = params[key];
-            const value = Number(raw);
-            if (Number.isFinite(value)) {
-                const clamped = Math.min(Math.max(value, min), max);
-                return integer ? Math.round(clamped) : clamped;
-            }
-        }
-        const clampedFallback = Math.min(Math.max(fallback, min), max);
-        return integer ? Math.round(clampedFallback) : clampedFallback;
-    };
-
-    const rsiPeriod = getParam(['rsiPeriod', 'rsi_length', 'rsiLength'], 14, 5, 40);
-    let oversold = getParam(['oversold', 'rsiOversold', 'rsiLow'], 35, 10, 50, false);
-    let overbought = getParam(['overbought', 'rsiOverbought', 'rsiHigh'], 65, 50, 90, false);
-    const bbPeriod = getParam(['bbPeriod', 'bollingerPeriod'], 20, 10, 50);
-    const bbStdDev = getParam(['bbStdDev', 'bollingerStdDev'], 2, 1.5, 3.5, false);
-    let fastPeriod = getParam(['fastPeriod', 'smaFast', 'emaFast', 'fast'], 10, 5, 30);
-    let slowPeriod = getParam(['slowPeriod', 'smaSlow', 'emaSlow', 'slow'], 30, 10, 80);
-
-    if (slowPeriod <= fastPeriod) {
-        slowPeriod = Math.min(fastPeriod + 5, 80);
-    }
-    if (oversold >= overbought) {
-        oversold = Math.max(10, overbought - 20);
-    }
+    // Entry/exit rules shared with the event-driven engine
+    const compiled = compileStrategy(idea);
 
     // Build typed arrays
     const closeSeries = closes && closes.length === candles.length
@@ -197,49 +167,15 @@ export async function vectorizedBacktest(
     const lowSeries = buildPriceSeries(candles, 'low');
     const volumeSeries = buildPriceSeries(candles, 'volume');
 
-    // Pre-compute indicators
-    const rsi = computeRSI(closeSeries, rsiPeriod);
-    const [smaFast, smaSlow] = [computeSMA(closeSeries, fastPeriod), computeSMA(closeSeries, slowPeriod)];
-    const [bbUpper, bbMiddle, bbLower] = computeBollingerBands(closeSeries, bbPeriod, bbStdDev);
-
     // Pre-compute volume percentile for filtering
     const volumeThreshold = cfg.minVolumePercentile > 0
         ? computeVolumePercentile(volumeSeries, closeSeries.length, cfg.minVolumePercentile)
         : 0;
 
-    // Generate signals as boolean arrays
-    const buySignals = new Uint8Array(closeSeries.length);
-    const sellSignals = new Uint8Array(closeSeries.length);
-
-    switch (idea.type) {
-        case 'TREND_FOLLOWING':
-            for (let i = Math.max(50, slowPeriod); i < closeSeries.length; i++) {
-                if (smaFast[i] > smaSlow[i] && smaFast[i - 1] <= smaSlow[i - 1]) {
-                    buySignals[i] = 1;
-                }
-                if (smaFast[i] < smaSlow[i] && smaFast[i - 1] >= smaSlow[i - 1]) {
-                    sellSignals[i] = 1;
-                }
-            }
-            break;
-
-        case 'MEAN_REVERSION':
-            for (let i = Math.max(50, bbPeriod, rsiPeriod); i < closeSeries.length; i++) {
-                if (closeSeries[i] < bbLower[i] && rsi[i] < oversold) {
-                    buySignals[i] = 1;
-                }
-                if (closeSeries[i] > bbUpper[i] && rsi[i] > overbought) {
-                    sellSignals[i] = 1;
-                }
-            }
-            break;
-
-        default:
-            for (let i = Math.max(50, rsiPeriod); i < closeSeries.length; i++) {
-                if (rsi[i] < oversold) buySignals[i] = 1;
-                if (rsi[i] > overbought) sellSignals[i] = 1;
-            }
-    }
+    // Signals as boolean arrays, evaluated over the whole series at once
+    const signals = compiled.evaluateSeries(candles);
+    const buySignals = signals.longEntry;
+    const sellSignals = signals.shortEntry;
 
     // Simulate trades with realistic execution
     const trades: Trade[] = [];
@@ -252,8 +188,7 @@ export async function vectorizedBacktest(
     // Estimate hours per candle from data
     const hoursPerCandle = estimateHoursPerCandle(candles);
 
-    const warmup = Math.max(50, slowPeriod, bbPeriod, rsiPeriod);
-    for (let i = warmup; i < closeSeries.length; i++) {
+    for (let i = 0; i < closeSeries.length; i++) {
         const price = closeSeries[i];
         const open = openSeries[i];
         const high = highSeries[i];
@@ -395,14 +330,31 @@ export async function vectorizedBacktest(
             }
         }
 
-        // Signal detection with cooldown and volume filter
-        const cooldownActive = (i - lastEntryBar) < cfg.minBarsBetweenEntries;
+        // Signal detection with warmup, cooldown and volume filter
+        const cooldownActive = !compiled.isWarmedUp(i) || (i - lastEntryBar) < cfg.minBarsBetweenEntries;
         const volumeOk = volumeThreshold <= 0 || volume >= volumeThreshold;
 
         // Determine execution price (next-bar open or current close)
         const execIndex = cfg.nextBarExecution ? i + 1 : i;
         const execPrice = execIndex < closeSeries.length ? openSeries[execIndex] : price;
 
+        // Rule-based exits close the position; they are not entries, so no cooldown applies
+        const ruleExit = (position > 0 && signals.longExit[i]) || (position < 0 && signals.shortExit[i]);
+        if (ruleExit && execIndex < closeSeries.length) {
+            const exitSide: 'BUY' | 'SELL' = position > 0 ? 'SELL' : 'BUY';
+            const exitPrice = applySlippage(execPrice, exitSide);
+            const pnl = position > 0
+                ? (exitPrice - entryPrice) * position
+                : (entryPrice - exitPrice) * Math.abs(position);
+            const fee = calcFee(exitPrice, Math.abs(position));
+            capital += pnl - fee;
+            totalFees += fee;
+            totalSlippageCost += Math.abs(exitPrice - execPrice) * Math.abs(position);
+            trades.push(createTrade(strategyId, idea.symbols[0], exitSide, Math.abs(position), exitPrice, pnl, candles[execIndex].timestamp, 'EXIT', fee));
+            position = 0;
+            barsInPosition = 0;
+        }
+
         if (buySignals[i] && position <= 0 && !cooldownActive && volumeOk && execIndex < closeSeries.length) {
             // Close short if exists
             if (position < 0) {
@@ -715,100 +667,4 @@ function splitIntoBatches<T>(items: T[], batchCount: number): T[][] {
     return batches.filter(batch => batch.length > 0);
 }
 
-// Vectorized indicator calculations
-function computeRSI(prices: Float64Array, period: number): Float64Array {
-    const length = prices.length;
-    const rsi = new Float64Array(length);
-    rsi.fill(50);
-
-    if (length <= period) {
-        return rsi;
-    }
-
-    let gains = 0;
-    let losses = 0;
-    for (let i = 1; i <= period; i++) {
-        const change = prices[i] - prices[i - 1];
-        if (change > 0) {
-            gains += change;
-        } else {
-            losses -= change;
-        }
-    }
-
-    let avgGain = gains / period;
-    let avgLoss = losses / period;
-    rsi[period] = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
-
-    for (let i = period + 1; i < length; i++) {
-        const change = prices[i] - prices[i - 1];
-        const gain = change > 0 ? change : 0;
-        const loss = change < 0 ? -change : 0;
-
-        avgGain = ((avgGain * (period - 1)) + gain) / period;
-        avgLoss = ((avgLoss * (period - 1)) + loss) / period;
-
-        rsi[i] = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
-    }
-
-    return rsi;
-}
-
-function computeSMA(prices: Float64Array, period: number): Float64Array {
-    const length = prices.length;
-    const sma = new Float64Array(length);
-    if (length === 0 || period <= 0) return sma;
-
-    let sum = 0;
-    for (let i = 0; i < length; i++) {
-        sum += prices[i];
-        if (i >= period) {
-            sum -= prices[i - period];
-        }
-        if (i >= period - 1) {
-            sma[i] = sum / period;
-        }
-    }
-
-    return sma;
-}
-
-function computeBollingerBands(
-    prices: Float64Array,
-    period: number,
-    stdDev: number
-): [Float64Array, Float64Array, Float64Array] {
-    const length = prices.length;
-    const upper = new Float64Array(length);
-    const middle = new Float64Array(length);
-    const lower = new Float64Array(length);
-    if (length === 0 || period <= 0) return [upper, middle, lower];
-
-    let sum = 0;
-    let sumSq = 0;
-
-    for (let i = 0; i < length; i++) {
-        const price = prices[i];
-        sum += price;
-        sumSq += price * price;
-
-        if (i >= period) {
-            const removed = prices[i - period];
-            sum -= removed;
-            sumSq -= removed * removed;
-        }
-
-        if (i >= period - 1) {
-            const mean = sum / period;
-            const variance = Math.max(0, (sumSq / period) - (mean * mean));
-            const std = Math.sqrt(variance);
-            middle[i] = mean;
-            upper[i] = mean + std * stdDev;
-            lower[i] = mean - std * stdDev;
-        }
-    }
-
-    return [upper, middle, lower];
-}
-
 export default backtesterNode;
@@ -4,6 +4,7 @@
 import { AgentState } from '../state';
 import executionEngine from '../../execution-engine/execution-engine';
 import logger from '../../shared/logger';
+import { getReplayEnvironment } from '../cycle-environment';
 
 /**
  * Executor Node
@@ -27,12 +28,15 @@ export async function executorNode(state: AgentState): Promise<Partial<AgentStat
 
         logger.info(`[ExecutorNode] Executing: ${signal.action} ${signal.symbol} x${signal.size.toFixed(4)}`);
 
-        // Execute through execution engine
-        const trade = await executionEngine.executeSignal(signal, riskAssessment);
+        // Execute through execution engine (or the replay's simulated account)
+        const replay = getReplayEnvironment();
+        const trade = replay
+            ? await replay.executeSignal(signal, riskAssessment)
+            : await executionEngine.executeSignal(signal, riskAssessment);
         const shouldLearn = trade.status === 'FILLED';
 
         const isPaperTrade = !executionEngine.isConfigured() || process.env.PAPER_TRADING === 'true';
-        const modeLabel = isPaperTrade ? '[PAPER]' : '[LIVE]';
+        const modeLabel = replay ? '[REPLAY]' : isPaperTrade ? '[PAPER]' : '[LIVE]';
 
         logger.info(
             `${modeLabel} Trade result: ${trade.side} ${trade.size} ${trade.symbol} @ ${trade.price} (${trade.status})`
@@ -4,6 +4,7 @@
 import { AgentState } from '../state';
 import logger from '../../shared/logger';
 import vectorStore from '../../data/vector-store';
+import { getReplayEnvironment } from '../cycle-environment';
 
 /**
  * Learner Node
@@ -21,6 +22,14 @@ export async function learnerNode(state: AgentState): Promise<Partial<AgentState
         };
     }
 
+    // Replays must not write back into pattern memory
+    if (getReplayEnvironment()) {
+        return {
+            currentStep: 'LEARNING_SKIPPED_REPLAY',
+            thoughts: [...state.thoughts, 'Learning skipped: replayed cycle'],
+        };
+    }
+
     try {
         // Initialize vector store
         await vectorStore.initialize();
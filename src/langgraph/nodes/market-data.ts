@@ -10,6 +10,7 @@ import { getAnalysisWorkerPool } from '../../shared/analysis-worker-pool';
 import axios from 'axios';
 import config from '../../shared/config';
 import { MarketData } from '../../shared/types';
+import { cycleNow, getReplayEnvironment } from '../cycle-environment';
 
 const lastProcessedSignature: Map<string, string> = new Map();
 const MIN_CANDLES = 50;
@@ -17,7 +18,7 @@ const MIN_BACKTEST_CANDLES = 100;
 const TARGET_CANDLES = 300;
 const DEFAULT_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
 
-function parseTimeframeMs(timeframe: string): number {
+export function parseTimeframeMs(timeframe: string): number {
     const match = timeframe.trim().match(/^(\d+)([smhd])$/i);
     if (!match) return 60 * 60 * 1000;
     const value = Number(match[1]);
@@ -90,30 +91,34 @@ async function fetchHyperliquidCandles(symbol: string, timeframe: string, count:
  */
 export async function marketDataNode(state: AgentState): Promise<Partial<AgentState>> {
     logger.info(`[MarketDataNode] Fetching data for ${state.symbol} ${state.timeframe}`);
+    const replay = getReplayEnvironment();
 
     try {
         // Fetch recent candles (last 7 days by default, scaled by timeframe)
-        const endTime = new Date();
+        const endTime = new Date(cycleNow());
         const timeframeMs = parseTimeframeMs(state.timeframe);
         const lookbackMs = Math.max(DEFAULT_LOOKBACK_MS, timeframeMs * TARGET_CANDLES);
         const startTime = new Date(endTime.getTime() - lookbackMs);
         const limit = Math.max(1000, TARGET_CANDLES);
 
-        let candles = await dataManager.getMarketData(
-            state.symbol,
-            startTime,
-            endTime,
-            limit
-        );
+        let candles = replay
+            ? await replay.getCandles(state.symbol, state.timeframe, startTime, endTime, limit)
+            : await dataManager.getMarketData(
+                state.symbol,
+                startTime,
+                endTime,
+                limit
+            );
 
-        // If not enough data in local DB, try to get whatever is available
-        if (candles.length < MIN_BACKTEST_CANDLES) {
+        // If not enough data in local DB, try to get whatever is available.
+        // Replays stay inside the stored window: both fallbacks would see the future.
+        if (!replay && candles.length < MIN_BACKTEST_CANDLES) {
             logger.warn(`[MarketDataNode] Only ${candles.length} candles in local DB, fetching all available`);
             candles = await dataManager.getMarketData(state.symbol, undefined, undefined, Math.max(limit, 2000));
         }
 
         // If still not enough data, fetch from Hyperliquid API directly
-        if (candles.length < MIN_CANDLES) {
+        if (!replay && candles.length < MIN_CANDLES) {
             logger.info(`[MarketDataNode] Fetching historical candles from Hyperliquid API for ${state.symbol}`);
             const apiCandles = await fetchHyperliquidCandles(state.symbol, state.timeframe, TARGET_CANDLES);
             if (apiCandles.length >= MIN_CANDLES) {
@@ -176,7 +181,7 @@ export async function marketDataNode(state: AgentState): Promise<Partial<AgentSt
         // Get current portfolio state
         let portfolio = state.portfolio;
         try {
-            portfolio = await executionEngine.getPortfolio();
+            portfolio = replay ? await replay.getPortfolio() : await executionEngine.getPortfolio();
         } catch (error) {
             logger.warn('[MarketDataNode] Failed to get portfolio, using default');
             portfolio = {
@@ -5,6 +5,7 @@ import { AgentState } from '../state';
 import logger from '../../shared/logger';
 import vectorStore from '../../data/vector-store';
 import { PatternMatch } from '../state';
+import { cycleNow, getReplayEnvironment } from '../cycle-environment';
 
 /**
  * Pattern Recall Node
@@ -44,7 +45,7 @@ export async function patternRecallNode(state: AgentState): Promise<Partial<Agen
         }
 
         // Query for similar patterns
-        const similarPatterns = await vectorStore.querySimilarPatterns(
+        let similarPatterns = await vectorStore.querySimilarPatterns(
             state.symbol,
             state.timeframe,
             state.candles,
@@ -52,6 +53,12 @@ export async function patternRecallNode(state: AgentState): Promise<Partial<Agen
             10 // Get top 10 similar patterns
         );
 
+        // A replayed cycle may only remember patterns stored before it ran
+        if (getReplayEnvironment()) {
+            const now = cycleNow();
+            similarPatterns = similarPatterns.filter(p => new Date(p.timestamp).getTime() <= now);
+        }
+
         // Analyze patterns for bias
         const bullishPatterns = similarPatterns.filter(p => p.outcome === 'BULLISH');
         const bearishPatterns = similarPatterns.filter(p => p.outcome === 'BEARISH');
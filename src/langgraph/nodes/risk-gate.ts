@@ -7,6 +7,7 @@ import dataManager from '../../data-manager/data-manager';
 import riskManager from '../../risk-manager/risk-manager';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../shared/logger';
+import { cycleNow, cycleStrategyId, getReplayEnvironment } from '../cycle-environment';
 
 // ENHANCED: Stricter thresholds to reduce signal spam
 const DEFAULT_OVERSOLD = 25;
@@ -203,9 +204,14 @@ export async function riskGateNode(state: AgentState): Promise<Partial<AgentStat
         const expectedMovePct = latestPrice > 0 ? Math.max(atrMovePct, bbAdjustedWidth) : 0.001;
         const minExpectedMovePct = getMinExpectedMovePct(state.regime);
 
-        const recentTrades = await dataManager.getTrades(undefined, state.symbol, 1);
+        const replay = getReplayEnvironment();
+        const recentTrades = replay
+            ? await replay.getRecentTrades(state.symbol, 1)
+            : await dataManager.getTrades(undefined, state.symbol, 1);
         const lastTrade = recentTrades[0] || null;
-        const positionStrategy = lastTrade?.strategyId ? await dataManager.getStrategy(lastTrade.strategyId) : null;
+        const positionStrategy = lastTrade?.strategyId
+            ? await (replay ? replay.getStrategy(lastTrade.strategyId) : dataManager.getStrategy(lastTrade.strategyId))
+            : null;
 
         // FIX: Active DB strategies take priority (training loop output).
         // positionStrategy only used if it's still isActive — prevents self-reinforcing
@@ -214,7 +220,9 @@ export async function riskGateNode(state: AgentState): Promise<Partial<AgentStat
 
         // Tier 1: Best active DB strategy (highest priority — training loop output)
         try {
-            activeStrategy = await dataManager.getBestActiveStrategyForSymbol(state.symbol);
+            activeStrategy = replay
+                ? await replay.getBestActiveStrategy(state.symbol)
+                : await dataManager.getBestActiveStrategyForSymbol(state.symbol);
             if (activeStrategy) {
                 logger.info(`[RiskGateNode] Using active DB strategy: ${activeStrategy.name} (${activeStrategy.id}) for ${state.symbol}`);
             }
@@ -251,7 +259,7 @@ export async function riskGateNode(state: AgentState): Promise<Partial<AgentStat
                 ? (latestPrice - openPosition.entryPrice) / openPosition.entryPrice
                 : (openPosition.entryPrice - latestPrice) / latestPrice;
 
-            const positionAgeMs = Date.now() - new Date(openPosition.entryTime || Date.now()).getTime();
+            const positionAgeMs = cycleNow() - new Date(openPosition.entryTime || cycleNow()).getTime();
 
             if (pnlPct <= -stopLoss) {
                 action = openPosition.side === 'LONG' ? 'SELL' : 'BUY';
@@ -455,7 +463,7 @@ export async function riskGateNode(state: AgentState): Promise<Partial<AgentStat
             const entryCooldownMs = Math.max(baseCooldownMs, MIN_ENTRY_COOLDOWN_MS);
             const reentryCooldownMs = Math.max(baseCooldownMs, MIN_REENTRY_COOLDOWN_MS);
             const cooldownMs = lastTrade.entryExit === 'EXIT' ? reentryCooldownMs : entryCooldownMs;
-            const lastTradeAgeMs = Date.now() - lastTrade.timestamp.getTime();
+            const lastTradeAgeMs = cycleNow() - lastTrade.timestamp.getTime();
             const reentryPriceMove = lastTrade.price > 0
                 ? Math.abs(latestPrice - lastTrade.price) / lastTrade.price
                 : 1;
@@ -536,9 +544,9 @@ export async function riskGateNode(state: AgentState): Promise<Partial<AgentStat
             size: activeStrategy?.riskParameters.maxPositionSize || 0,
             price: latestPrice,
             type: 'MARKET',
-            timestamp: new Date(),
+            timestamp: new Date(cycleNow()),
             confidence,
-            strategyId: activeStrategy?.id || lastTrade?.strategyId || uuidv4(),
+            strategyId: activeStrategy?.id || lastTrade?.strategyId || cycleStrategyId(),
             reason,
         };
 
@@ -567,7 +575,9 @@ export async function riskGateNode(state: AgentState): Promise<Partial<AgentStat
                 leverage: openPosition.leverage,
             };
         } else {
-            riskAssessment = await riskManager.evaluateSignal(signal, state.portfolio);
+            riskAssessment = replay
+                ? await replay.evaluateSignal(signal, state.portfolio)
+                : await riskManager.evaluateSignal(signal, state.portfolio);
         }
 
         if (!riskAssessment.approved) {
@@ -6,6 +6,7 @@ import { ResearchData, Strategy } from '../../shared/types';
 import glmService from '../../shared/glm-service';
 import dataManager from '../../data-manager/data-manager';
 import logger from '../../shared/logger';
+import { cycleNow, getReplayEnvironment } from '../cycle-environment';
 
 const DEFAULT_STRATEGY_LIMIT = Number.parseInt(process.env.STRATEGY_IDEATION_LIMIT || '10', 10) || 10;
 
@@ -26,7 +27,10 @@ export async function strategyIdeationNode(state: AgentState): Promise<Partial<A
   // If the training loop has promoted strategies for this symbol, use them.
   // ============================================================
   try {
-    const activeStrategies = await dataManager.getActiveStrategiesForSymbol(state.symbol);
+    const replay = getReplayEnvironment();
+    const activeStrategies = replay
+      ? await replay.getActiveStrategies(state.symbol)
+      : await dataManager.getActiveStrategiesForSymbol(state.symbol);
     if (activeStrategies.length > 0) {
       const strategyIdeas = activeStrategies
         .slice(0, DEFAULT_STRATEGY_LIMIT)
@@ -56,7 +60,7 @@ export async function strategyIdeationNode(state: AgentState): Promise<Partial<A
 
   const researchData: ResearchData = {
     topic: `${state.symbol} ${state.timeframe} Trading Strategy`,
-    timestamp: new Date(),
+    timestamp: new Date(cycleNow()),
     searchResults: [],
     scrapedContent: [],
     insights: [
@@ -128,6 +132,7 @@ function strategyToIdea(strategy: Strategy, state: AgentState): StrategyIdea {
     entryConditions: strategy.entryConditions || [],
     exitConditions: strategy.exitConditions || [],
     parameters: normalizeParameters(strategy.parameters),
+    ...(strategy.rules && { rules: strategy.rules }),
     riskParameters: strategy.riskParameters,
     confidence,
     reasoning: `Active strategy from training loop (sharpe=${strategy.performance?.sharpeRatio?.toFixed(2) || 'N/A'}, wr=${((strategy.performance?.winRate || 0) * 100).toFixed(0)}%, trades=${strategy.performance?.totalTrades || 0})`,
@@ -158,6 +163,7 @@ function mapStrategiesToIdeas(strategies: Strategy[], state: AgentState): Strate
     entryConditions: strategy.entryConditions || [],
     exitConditions: strategy.exitConditions || [],
     parameters: normalizeParameters(strategy.parameters),
+    ...(strategy.rules && { rules: strategy.rules }),
     riskParameters: strategy.riskParameters,
     confidence: 0.7,
     reasoning: `Generated from ${state.regime ?? 'unknown'} regime and pattern context`,
@@ -3,9 +3,9 @@
 
 import { AgentState } from '../state';
 import { Strategy } from '../../shared/types';
-import { v4 as uuidv4 } from 'uuid';
 import dataManager from '../../data-manager/data-manager';
 import logger from '../../shared/logger';
+import { cycleNow, cycleStrategyId } from '../cycle-environment';
 
 // MINIMUM QUALITY THRESHOLDS (tightened 2026-03-22 — drawdown was at 14.95%)
 // Previous thresholds (-0.3 Sharpe, 15% WR, 80% DD) allowed garbage strategies through.
@@ -81,7 +81,7 @@ export async function strategySelectorNode(state: AgentState): Promise<Partial<A
                 const bestIdea = state.strategyIdeas[0];
 
                 const fallbackStrategy: Strategy = {
-                    id: bestIdea.strategyId || uuidv4(),
+                    id: bestIdea.strategyId || cycleStrategyId(),
                     name: bestIdea.name,
                     description: bestIdea.description,
                     type: bestIdea.type,
@@ -108,8 +108,8 @@ export async function strategySelectorNode(state: AgentState): Promise<Partial<A
                         averageLoss: 0,
                         profitFactor: 1,
                     },
-                    createdAt: new Date(),
-                    updatedAt: new Date(),
+                    createdAt: new Date(cycleNow()),
+                    updatedAt: new Date(cycleNow()),
                 };
 
                 // NOTE: Do NOT save fallback to DB — same reason as main selector above.
@@ -190,7 +190,7 @@ export async function strategySelectorNode(state: AgentState): Promise<Partial<A
 
         // Convert StrategyIdea to Strategy
         const strategy: Strategy = {
-            id: best.idea.strategyId || uuidv4(),
+            id: best.idea.strategyId || cycleStrategyId(),
             name: best.idea.name,
             description: best.idea.description,
             type: best.idea.type,
@@ -213,8 +213,8 @@ export async function strategySelectorNode(state: AgentState): Promise<Partial<A
                 averageLoss: best.result.maxDrawdown / 10,
                 profitFactor: best.result.metrics.calmarRatio,
             },
-            createdAt: new Date(),
-            updatedAt: new Date(),
+            createdAt: new Date(cycleNow()),
+            updatedAt: new Date(cycleNow()),
         };
 
         // NOTE: Do NOT save to DB with isActive=true here.
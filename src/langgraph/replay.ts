@@ -0,0 +1,579 @@
+// Cycle Replay Harness
+// Re-runs the full trading graph over a stored time range on a TestClock:
+// candles come from the market_data table, LLM calls from recorded responses,
+// and orders fill against a simulated account. Two replays of the same range
+// produce the same decisions, so a bad live cycle can be reproduced and debugged.
+
+import crypto from 'crypto';
+import { AgentState, createInitialState, MarketRegime, StrategyIdea } from './state';
+import { TradingOrchestrator, OrchestratorBreakers } from './graph';
+import { ReplayEnvironment, runInReplayEnvironment } from './cycle-environment';
+import { parseTimeframeMs } from './nodes/market-data';
+import { TestClock } from '../backtest/simulation-clock';
+import dataManager from '../data-manager/data-manager';
+import traceStore, { TraceData } from '../data/trace-store';
+import { RiskManager } from '../risk-manager/risk-manager';
+import llmRecorder from '../shared/llm-recorder';
+import logger from '../shared/logger';
+import {
+    MarketData,
+    Portfolio,
+    Position,
+    RiskAssessment,
+    Strategy,
+    Trade,
+    TradingSignal,
+} from '../shared/types';
+
+export interface CycleReplayOptions {
+    symbol: string;
+    timeframe: string;
+    /** Time of the first cycle */
+    start: Date;
+    /** Time of the last cycle (inclusive). Default: start, i.e. a single cycle */
+    end?: Date;
+    /** Time between cycles. Default: the timeframe */
+    intervalMs?: number;
+    /** Starting account balance. Default: 10000 */
+    initialCapital?: number;
+    /** Positions open at the start. Default: rebuilt from the trades table */
+    initialPositions?: Position[];
+    /** Strategies treated as active. Default: the strategies table as it is now */
+    strategies?: Strategy[];
+    /** Taker fee charged on simulated fills. Default: 0.0005 */
+    commissionRate?: number;
+    /** Candles that replace stored ones with the same timestamp, e.g. what a live cycle actually saw */
+    candleOverrides?: MarketData[];
+}
+
+export interface ReplayCycleRecord {
+    cycleId: string;
+    time: Date;
+    currentStep: string;
+    regime: MarketRegime | null;
+    candles: number;
+    latestPrice: number | null;
+    strategyIdeas: string[];
+    selectedStrategy: string | null;
+    signal: Pick<TradingSignal, 'action' | 'size' | 'price' | 'confidence' | 'reason' | 'strategyId'> | null;
+    riskAssessment: Pick<RiskAssessment, 'approved' | 'suggestedSize' | 'riskScore' | 'leverage' | 'warnings'> | null;
+    execution: Pick<Trade, 'side' | 'size' | 'price' | 'fee' | 'pnl' | 'entryExit' | 'status'> | null;
+    llm: { hits: number; misses: number };
+    errors: string[];
+    /** sha256 of the decision fields above; equal fingerprints mean identical decisions */
+    fingerprint: string;
+}
+
+export interface CycleReplayReport {
+    symbol: string;
+    timeframe: string;
+    start: Date;
+    end: Date;
+    intervalMs: number;
+    cycles: ReplayCycleRecord[];
+    trades: Trade[];
+    finalPortfolio: Portfolio;
+    /** LLM calls with no recorded response (those steps fell back) */
+    llmMisses: number;
+    /** sha256 over all cycle fingerprints */
+    fingerprint: string;
+}
+
+export interface ReplayFieldDifference {
+    field: string;
+    recorded: unknown;
+    replayed: unknown;
+}
+
+export interface RecordedCycleComparison {
+    cycleId: string;
+    time: Date;
+    /** True when every compared decision field matches the recorded cycle */
+    matches: boolean;
+    differences: ReplayFieldDifference[];
+    /** Where the starting account came from */
+    portfolioSource: 'trace' | 'trades';
+    replay: ReplayCycleRecord;
+}
+
+const DEFAULT_CAPITAL = 10000;
+const DEFAULT_COMMISSION = 0.0005;
+
+/**
+ * Breakers for replayed cycles: node failures take the normal fallbacks, but
+ * never trip (or get blocked by) the live breakers.
+ */
+const replayBreakers: OrchestratorBreakers = {
+    async execute<T>(_name: string, fn: () => Promise<T>, fallback?: () => T | Promise<T>): Promise<T> {
+        try {
+            return await fn();
+        } catch (error) {
+            if (fallback) return fallback();
+            throw error;
+        }
+    },
+    getBreakerStatus: () => undefined,
+    openBreaker: () => false,
+    resetBreaker: () => false,
+};
+
+function sha256(value: unknown): string {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Best active strategy, ranked the way DataManager.getBestActiveStrategyForSymbol does
+ */
+function pickBestStrategy(strategies: Strategy[]): Strategy | null {
+    const ranked = [...strategies].sort((a, b) => {
+        const aScore = (a.performance?.sharpeRatio || 0) * 10 + (a.performance?.totalTrades || 0);
+        const bScore = (b.performance?.sharpeRatio || 0) * 10 + (b.performance?.totalTrades || 0);
+        return bScore - aScore;
+    });
+    return ranked[0] || null;
+}
+
+/**
+ * Rebuild the open position (if any) from the most recent trade before `before`
+ */
+function positionFromTrades(trades: Trade[], before: number): Position | null {
+    const last = trades
+        .filter(t => t.timestamp.getTime() < before)
+        .sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime())[0];
+    if (!last || last.entryExit !== 'ENTRY' || last.status !== 'FILLED') return null;
+
+    return {
+        symbol: last.symbol,
+        side: last.side === 'BUY' ? 'LONG' : 'SHORT',
+        size: last.size,
+        entryPrice: last.price,
+        markPrice: last.price,
+        unrealizedPnL: 0,
+        leverage: 1,
+        marginUsed: last.size * last.price,
+        entryTime: last.timestamp,
+    };
+}
+
+/**
+ * Simulated account behind a replay: market fills at the signal price,
+ * taker fees, isolated risk manager state.
+ */
+class ReplayAccount implements ReplayEnvironment {
+    readonly clock: TestClock;
+    readonly trades: Trade[] = [];
+    private cash: number;
+    private positions: Map<string, Position> = new Map();
+    private markPrices: Map<string, number> = new Map();
+    private riskManager: RiskManager;
+    private priorTrades: Trade[] = [];
+    private tradeSeq = 0;
+
+    constructor(private options: CycleReplayOptions, startMs: number) {
+        this.clock = new TestClock(startMs);
+        this.cash = options.initialCapital ?? DEFAULT_CAPITAL;
+        for (const position of options.initialPositions || []) {
+            this.positions.set(position.symbol, { ...position });
+            this.markPrices.set(position.symbol, position.markPrice);
+        }
+        this.riskManager = new RiskManager({ isolated: true, now: () => this.now() });
+    }
+
+    async load(): Promise<void> {
+        const before = this.now();
+        const stored = await dataManager.getTrades(undefined, this.options.symbol, 200);
+        this.priorTrades = stored.filter(t => t.timestamp.getTime() < before);
+
+        if (!this.options.initialPositions) {
+            const position = positionFromTrades(this.priorTrades, before);
+            if (position) {
+                this.positions.set(position.symbol, position);
+                this.markPrices.set(position.symbol, position.markPrice);
+            }
+        }
+    }
+
+    now(): number {
+        return Math.round(this.clock.timestampMs());
+    }
+
+    async getCandles(symbol: string, timeframe: string, startTime: Date, endTime: Date, limit: number): Promise<MarketData[]> {
+        // Stored candles hold final values; only bars that had closed by endTime were knowable
+        const lastOpen = new Date(endTime.getTime() - parseTimeframeMs(timeframe));
+        const stored = await dataManager.getMarketData(symbol, startTime, lastOpen, limit);
+
+        const byTime = new Map<number, MarketData>();
+        for (const candle of stored) byTime.set(candle.timestamp.getTime(), candle);
+        for (const candle of this.options.candleOverrides || []) {
+            const t = candle.timestamp.getTime();
+            if (candle.symbol === symbol && t >= startTime.getTime() && t <= endTime.getTime()) {
+                byTime.set(t, candle);
+            }
+        }
+
+        const candles = Array.from(byTime.values()).sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+        const latest = candles[candles.length - 1];
+        if (latest) this.markPrices.set(symbol, latest.close);
+        return candles;
+    }
+
+    async getPortfolio(): Promise<Portfolio> {
+        const positions: Position[] = [];
+        let unrealizedPnL = 0;
+        let usedBalance = 0;
+
+        for (const position of this.positions.values()) {
+            const markPrice = this.markPrices.get(position.symbol) ?? position.entryPrice;
+            const direction = position.side === 'LONG' ? 1 : -1;
+            const pnl = direction * (markPrice - position.entryPrice) * position.size;
+            const marginUsed = (position.size * markPrice) / Math.max(1, position.leverage);
+            unrealizedPnL += pnl;
+            usedBalance += marginUsed;
+            positions.push({ ...position, markPrice, unrealizedPnL: pnl, marginUsed });
+        }
+
+        const dayStart = new Date(this.now());
+        dayStart.setUTCHours(0, 0, 0, 0);
+        const dailyPnL = this.trades
+            .filter(t => t.timestamp.getTime() >= dayStart.getTime())
+            .reduce((sum, t) => sum + (t.pnl || 0) - t.fee, 0);
+
+        return {
+            totalValue: this.cash + unrealizedPnL,
+            availableBalance: Math.max(0, this.cash + unrealizedPnL - usedBalance),
+            usedBalance,
+            positions,
+            dailyPnL,
+            unrealizedPnL,
+        };
+    }
+
+    async getRecentTrades(symbol: string, limit: number): Promise<Trade[]> {
+        const now = this.now();
+        return [...this.trades, ...this.priorTrades]
+            .filter(t => t.symbol === symbol && t.timestamp.getTime() <= now)
+            .sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime())
+            .slice(0, limit);
+    }
+
+    async getStrategy(id: string): Promise<Strategy | null> {
+        if (this.options.strategies) return this.options.strategies.find(s => s.id === id) || null;
+        return dataManager.getStrategy(id);
+    }
+
+    async getActiveStrategies(symbol: string): Promise<Strategy[]> {
+        if (this.options.strategies) {
+            return this.options.strategies.filter(s => s.isActive && s.symbols.includes(symbol));
+        }
+        return dataManager.getActiveStrategiesForSymbol(symbol);
+    }
+
+    async getBestActiveStrategy(symbol: string): Promise<Strategy | null> {
+        if (this.options.strategies) return pickBestStrategy(await this.getActiveStrategies(symbol));
+        return dataManager.getBestActiveStrategyForSymbol(symbol);
+    }
+
+    evaluateSignal(signal: TradingSignal, portfolio: Portfolio): Promise<RiskAssessment> {
+        return this.riskManager.evaluateSignal(signal, portfolio);
+    }
+
+    async executeSignal(signal: TradingSignal, riskAssessment: RiskAssessment): Promise<Trade> {
+        const price = signal.price || this.markPrices.get(signal.symbol) || 0;
+        const side = signal.action === 'SELL' ? 'SELL' : 'BUY';
+        const existing = this.positions.get(signal.symbol);
+        const closing = !!existing && (existing.side === 'LONG') === (side === 'SELL');
+        const size = closing ? Math.min(signal.size, existing!.size) : signal.size;
+        const fee = size * price * (this.options.commissionRate ?? DEFAULT_COMMISSION);
+
+        let pnl = 0;
+        if (closing && existing) {
+            const direction = existing.side === 'LONG' ? 1 : -1;
+            pnl = direction * (price - existing.entryPrice) * size;
+            const remaining = existing.size - size;
+            if (remaining > 1e-12) {
+                this.positions.set(signal.symbol, { ...existing, size: remaining });
+            } else {
+                this.positions.delete(signal.symbol);
+            }
+            this.riskManager.updateDailyPnL(pnl - fee);
+        } else if (existing) {
+            const totalSize = existing.size + size;
+            this.positions.set(signal.symbol, {
+                ...existing,
+                size: totalSize,
+                entryPrice: (existing.entryPrice * existing.size + price * size) / totalSize,
+            });
+        } else {
+            this.positions.set(signal.symbol, {
+                symbol: signal.symbol,
+                side: side === 'BUY' ? 'LONG' : 'SHORT',
+                size,
+                entryPrice: price,
+                markPrice: price,
+                unrealizedPnL: 0,
+                leverage: Math.max(1, riskAssessment.leverage || 1),
+                marginUsed: 0,
+                entryTime: new Date(this.now()),
+            });
+        }
+        this.cash += pnl - fee;
+
+        const trade: Trade = {
+            id: `replay-${this.now()}-${++this.tradeSeq}`,
+            strategyId: signal.strategyId,
+            symbol: signal.symbol,
+            side,
+            size,
+            price,
+            fee,
+            pnl: closing ? pnl : undefined,
+            timestamp: new Date(this.now()),
+            type: 'MARKET',
+            status: 'FILLED',
+            entryExit: closing ? 'EXIT' : 'ENTRY',
+        };
+        this.trades.push(trade);
+        return trade;
+    }
+}
+
+/**
+ * Reduce a finished cycle to its decisions (no uuids or wall-clock times)
+ */
+function summarizeCycle(state: AgentState, time: Date, llm: { hits: number; misses: number }): ReplayCycleRecord {
+    const latest = state.candles[state.candles.length - 1];
+    const decisions = {
+        time: time.toISOString(),
+        currentStep: state.currentStep,
+        regime: state.regime,
+        candles: state.candles.length,
+        latestPrice: latest ? latest.close : null,
+        strategyIdeas: state.strategyIdeas.map(idea => idea.name),
+        selectedStrategy: state.selectedStrategy?.name ?? null,
+        signal: state.signal
+            ? {
+                action: state.signal.action,
+                size: state.signal.size,
+                price: state.signal.price,
+                confidence: state.signal.confidence,
+                reason: state.signal.reason,
+                strategyId: state.signal.strategyId,
+            }
+            : null,
+        riskAssessment: state.riskAssessment
+            ? {
+                approved: state.riskAssessment.approved,
+                suggestedSize: state.riskAssessment.suggestedSize,
+                riskScore: state.riskAssessment.riskScore,
+                leverage: state.riskAssessment.leverage,
+                warnings: state.riskAssessment.warnings,
+            }
+            : null,
+        execution: state.executionResult
+            ? {
+                side: state.executionResult.side,
+                size: state.executionResult.size,
+                price: state.executionResult.price,
+                fee: state.executionResult.fee,
+                pnl: state.executionResult.pnl,
+                entryExit: state.executionResult.entryExit,
+                status: state.executionResult.status,
+            }
+            : null,
+    };
+
+    return {
+        cycleId: state.cycleId,
+        ...decisions,
+        time,
+        llm,
+        errors: state.errors,
+        fingerprint: sha256(decisions),
+    };
+}
+
+/**
+ * Replays trading cycles for one symbol over a stored time range
+ */
+export class CycleReplay {
+    constructor(private options: CycleReplayOptions) {}
+
+    async run(): Promise<CycleReplayReport> {
+        const { symbol, timeframe } = this.options;
+        const startMs = this.options.start.getTime();
+        const endMs = (this.options.end ?? this.options.start).getTime();
+        const intervalMs = this.options.intervalMs ?? parseTimeframeMs(timeframe);
+
+        if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs < startMs) {
+            throw new Error('Replay range is invalid: end must not be before start');
+        }
+        if (intervalMs <= 0) {
+            throw new Error('Replay interval must be positive');
+        }
+
+        const account = new ReplayAccount(this.options, startMs);
+        await account.load();
+
+        // Fresh orchestrator so error counters never leak between runs
+        const orchestrator = new TradingOrchestrator(replayBreakers);
+        const cycles: ReplayCycleRecord[] = [];
+        const cycleTimes: number[] = [startMs];
+
+        account.clock.setTimer('replay-cycle', intervalMs, () => undefined);
+
+        logger.info(`[CycleReplay] Replaying ${symbol} ${timeframe} from ${this.options.start.toISOString()} to ${new Date(endMs).toISOString()}`);
+
+        while (cycleTimes.length > 0) {
+            const time = new Date(cycleTimes.shift()!);
+            const state: AgentState = {
+                ...createInitialState(symbol, timeframe),
+                cycleId: `replay-${symbol}-${time.getTime()}`,
+                cycleStartTime: time,
+            };
+
+            const { result, hits, misses } = await llmRecorder.replay(
+                () => account.now(),
+                () => runInReplayEnvironment(account, () => orchestrator.invoke(state))
+            );
+            cycles.push(summarizeCycle(result, time, { hits, misses }));
+
+            for (const event of account.clock.advanceBy(intervalMs)) {
+                const eventMs = Math.round(event.tsEvent / 1_000_000);
+                if (eventMs <= endMs) cycleTimes.push(eventMs);
+            }
+        }
+
+        const llmMisses = cycles.reduce((sum, c) => sum + c.llm.misses, 0);
+        if (llmMisses > 0) {
+            logger.warn(`[CycleReplay] ${llmMisses} LLM call(s) had no recorded response; those steps used their fallbacks`);
+        }
+
+        return {
+            symbol,
+            timeframe,
+            start: this.options.start,
+            end: new Date(endMs),
+            intervalMs,
+            cycles,
+            trades: account.trades,
+            finalPortfolio: await account.getPortfolio(),
+            llmMisses,
+            fingerprint: sha256(cycles.map(c => c.fingerprint)),
+        };
+    }
+}
+
+/**
+ * Strategies as a recorded cycle saw them: the recorded ideas (parameters and
+ * risk limits at the time) on top of the stored strategy rows.
+ */
+async function strategiesFromIdeas(ideas: StrategyIdea[], time: Date): Promise<Strategy[] | undefined> {
+    const fromDb = ideas.filter(idea => idea.strategyId);
+    if (fromDb.length === 0) return undefined;
+
+    const strategies: Strategy[] = [];
+    for (const idea of fromDb) {
+        const stored = await dataManager.getStrategy(idea.strategyId!);
+        strategies.push({
+            id: idea.strategyId!,
+            name: idea.name,
+            description: idea.description,
+            type: idea.type,
+            symbols: idea.symbols,
+            timeframe: idea.timeframe,
+            parameters: idea.parameters,
+            entryConditions: idea.entryConditions,
+            exitConditions: idea.exitConditions,
+            ...(idea.rules && { rules: idea.rules }),
+            riskParameters: idea.riskParameters,
+            isActive: true,
+            performance: stored?.performance ?? {
+                totalTrades: 0,
+                winningTrades: 0,
+                losingTrades: 0,
+                winRate: 0,
+                totalPnL: 0,
+                sharpeRatio: 0,
+                maxDrawdown: 0,
+                averageWin: 0,
+                averageLoss: 0,
+                profitFactor: 0,
+            },
+            createdAt: stored?.createdAt ?? time,
+            updatedAt: stored?.updatedAt ?? time,
+        });
+    }
+    return strategies;
+}
+
+function compareField(differences: ReplayFieldDifference[], field: string, recorded: unknown, replayed: unknown): void {
+    if (JSON.stringify(recorded ?? null) !== JSON.stringify(replayed ?? null)) {
+        differences.push({ field, recorded: recorded ?? null, replayed: replayed ?? null });
+    }
+}
+
+/**
+ * Replay a cycle stored in agent_traces and report where the replay's
+ * decisions differ from what happened live.
+ */
+export async function replayRecordedCycle(
+    cycleId: string,
+    overrides: Partial<CycleReplayOptions> = {}
+): Promise<RecordedCycleComparison> {
+    const stored = traceStore.getTraceById(cycleId);
+    if (!stored) {
+        throw new Error(`Trace not found: ${cycleId}`);
+    }
+
+    const trace = JSON.parse(stored.traceData) as TraceData;
+    const time = new Date(trace.startTime);
+    const portfolio = trace.portfolio as Portfolio | null | undefined;
+
+    const candleOverrides: MarketData[] = (trace.candles || []).map((c: any) => ({
+        ...c,
+        symbol: c.symbol || trace.symbol,
+        timestamp: new Date(c.timestamp),
+    }));
+
+    const options: CycleReplayOptions = {
+        symbol: trace.symbol,
+        timeframe: trace.timeframe || '1h',
+        start: time,
+        strategies: await strategiesFromIdeas(trace.strategyIdeas || [], time),
+        candleOverrides,
+        ...(portfolio && {
+            initialCapital: portfolio.totalValue - (portfolio.unrealizedPnL || 0),
+            initialPositions: (portfolio.positions || []).map(p => ({
+                ...p,
+                entryTime: p.entryTime ? new Date(p.entryTime) : undefined,
+            })),
+        }),
+        ...overrides,
+        end: undefined,
+    };
+
+    const report = await new CycleReplay(options).run();
+    const replay = report.cycles[0];
+
+    const differences: ReplayFieldDifference[] = [];
+    compareField(differences, 'regime', trace.regime, replay.regime);
+    compareField(differences, 'selectedStrategy', trace.selectedStrategy?.name, replay.selectedStrategy);
+    compareField(differences, 'signal.action', trace.signal?.action, replay.signal?.action);
+    compareField(differences, 'signal.size', trace.signal?.size, replay.signal?.size);
+    compareField(differences, 'signal.price', trace.signal?.price, replay.signal?.price);
+    compareField(differences, 'signal.confidence', trace.signal?.confidence, replay.signal?.confidence);
+    compareField(differences, 'signal.reason', trace.signal?.reason, replay.signal?.reason);
+    compareField(differences, 'riskAssessment.approved', trace.riskAssessment?.approved, replay.riskAssessment?.approved);
+    compareField(differences, 'riskAssessment.suggestedSize', trace.riskAssessment?.suggestedSize, replay.riskAssessment?.suggestedSize);
+    compareField(differences, 'execution.side', trace.executionResult?.side, replay.execution?.side);
+    compareField(differences, 'execution.entryExit', trace.executionResult?.entryExit, replay.execution?.entryExit);
+
+    return {
+        cycleId,
+        time,
+        matches: differences.length === 0,
+        differences,
+        portfolioSource: portfolio ? 'trace' : 'trades',
+        replay,
+    };
+}
@@ -2,6 +2,7 @@
 // This defines the shared state that flows through all nodes in the graph
 
 import { MarketData, TechnicalIndicators, Strategy, TradingSignal, RiskAssessment, Trade, BacktestResult, Portfolio } from '../../shared/types';
+import { StrategyRules } from '../strategy-dsl';
 
 /**
  * Represents a pattern match from the vector store
@@ -28,6 +29,7 @@ export interface StrategyIdea {
     entryConditions: string[];
     exitConditions: string[];
     parameters: Record<string, number>;
+    rules?: StrategyRules;
     riskParameters: {
         maxPositionSize: number;
         stopLoss: number;
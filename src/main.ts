@@ -13,6 +13,7 @@ import dashboardServer from './dashboard/dashboard-server';
 import { runDailyTraceAnalysis } from './strategy-engine/trace-analyzer';
 import circuitBreaker from './shared/circuit-breaker';
 import positionRecovery from './execution-engine/position-recovery';
+import liquidationMonitor from './risk-manager/liquidation-monitor';
 import { getTopVolumeSymbols, getExtremeFundingSymbols } from './shared/dynamic-symbols';
 import researchEngine from './research-engine';
 import cron from 'node-cron';
@@ -597,6 +598,13 @@ async function main() {
             logger.warn('[Main] Position recovery monitoring failed to start:', error);
         }
 
+        // Start liquidation distance monitoring
+        try {
+            liquidationMonitor.startMonitoring();
+        } catch (error) {
+            logger.warn('[Main] Liquidation monitor failed to start:', error);
+        }
+
         // Kill orphan child processes from previous main.js instances, then start fresh
         try {
             await cleanupOrphanChildProcesses();
@@ -823,6 +831,7 @@ function setupShutdown() {
             } catch (error) {
                 logger.error('[Main] Error stopping position recovery:', error);
             }
+            liquidationMonitor.stopMonitoring();
 
             // Stop circuit breaker health checks
             try {
@@ -8,6 +8,7 @@
  */
 
 import fundingArbitrageScanner from './funding-arbitrage-scanner';
+import fundingArbExecutor from '../execution-engine/funding-arb-executor';
 import logger from '../shared/logger';
 import * as dotenv from 'dotenv';
 
@@ -18,6 +19,7 @@ const UPDATE_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
 const EXTREME_THRESHOLD_APR = 50; // 50% APR
 const HIGH_URGENCY_THRESHOLD_APR = 100; // 100% APR
 const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const EXECUTOR_ENABLED = process.env.FUNDING_ARB_EXECUTOR_ENABLED === 'true';
 
 class FundingArbitrageJob {
   private isRunning: boolean = false;
@@ -33,6 +35,7 @@ class FundingArbitrageJob {
     logger.info('[FundingJob] Starting funding arbitrage background job...');
     logger.info(`[FundingJob] Update interval: ${UPDATE_INTERVAL_MS / 1000}s`);
     logger.info(`[FundingJob] Extreme threshold: ${EXTREME_THRESHOLD_APR}% APR`);
+    logger.info(`[FundingJob] Executor: ${EXECUTOR_ENABLED ? fundingArbExecutor.mode : 'disabled'}`);
 
     try {
       // Initialize scanner
@@ -123,6 +126,15 @@ class FundingArbitrageJob {
       // Check for cross-exchange alerts
       await this.checkCrossExchangeAlerts(crossExchangeOpps);
 
+      // Trade the cross-exchange spreads (paper unless FUNDING_ARB_PAPER=false)
+      if (EXECUTOR_ENABLED) {
+        const cycle = await fundingArbExecutor.runCycle(crossExchangeOpps);
+        logger.info(
+          `[FundingJob] Funding arb executor (${fundingArbExecutor.mode}): ${cycle.opened} opened, ` +
+          `${cycle.closed} closed, ${cycle.rebalanced} rebalanced, ${cycle.failed} failed`
+        );
+      }
+
       const duration = Date.now() - startTime;
       logger.info(`[FundingJob] Update completed in ${duration}ms`);
     } catch (error) {
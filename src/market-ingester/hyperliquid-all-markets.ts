@@ -1,6 +1,7 @@
 import axios from 'axios';
 import logger from '../shared/logger';
 import config from '../shared/config';
+import { categorizeSymbol } from '../shared/symbol-categories';
 
 interface HyperliquidMeta {
   universe: Array<{
@@ -228,54 +229,7 @@ class HyperliquidAllMarkets {
    * Categorize a coin
    */
   private categorizeCoin(coin: string): string {
-    const coinLower = coin.toLowerCase();
-    
-    // Layer 1s
-    if (['btc', 'eth', 'sol', 'avax', 'near', 'ftm', 'matic', 'sui', 'apt', 'sei', 'inj', 'ada', 'dot', 'bnb'].includes(coinLower)) {
-      return 'Layer 1';
-    }
-    
-    // Layer 2s
-    if (['arb', 'op', 'base', 'mnt', 'strk', 'zk', 'metis', 'imx'].includes(coinLower)) {
-      return 'Layer 2';
-    }
-    
-    // DeFi
-    if (['uni', 'aave', 'crv', 'comp', 'mkr', 'lido', 'pendle', 'jup', 'ray', 'dydx', 'gmx', 'gns', 'snx', 'yfi', 'sushi', '1inch', 'lend', 'aero', 'eurc'].includes(coinLower)) {
-      return 'DeFi';
-    }
-    
-    // Memes
-    if (['doge', 'shib', 'pepe', 'floki', 'bonk', 'wif', 'mog', 'popcat', 'goat', 'mooodeng', 'ai16z', 'zerebro', 'luce', 'fwog', 'spx'].includes(coinLower)) {
-      return 'Meme';
-    }
-    
-    // AI tokens
-    if (['render', 'rndr', 'tao', 'fet', 'agix', 'wld', 'arkm', 'ai16z', 'zerebro', 'griffain', 'neur', 'luna', 'vvaifu'].includes(coinLower)) {
-      return 'AI';
-    }
-    
-    // Solana ecosystem
-    if (['jto', 'jup', 'ray', 'drift', 'kmno', 'pyth'].includes(coinLower)) {
-      return 'Solana';
-    }
-    
-    // Gaming
-    if (['axs', 'sand', 'mana', 'gala', 'enj', 'ilv', 'ron', 'beam', 'imx', 'pyr'].includes(coinLower)) {
-      return 'Gaming';
-    }
-    
-    // RWA (Real World Assets)
-    if (['ondo', 'cfg', 'mpl', 'rsr', 'polymesh', 'centrifuge'].includes(coinLower)) {
-      return 'RWA';
-    }
-    
-    // Infrastructure
-    if (['link', 'grt', 'band', 'api3', 'pyth', 'dia', 'nest'].includes(coinLower)) {
-      return 'Infrastructure';
-    }
-    
-    return 'Altcoin';
+    return categorizeSymbol(coin);
   }
 
   /**
@@ -1212,6 +1212,8 @@ class MarketIngester {
       bestBid: snapshot.bids[0]?.price ?? 0,
       bestAsk: snapshot.asks[0]?.price ?? 0,
       spread: snapshot.spread,
+      bids: snapshot.bids,
+      asks: snapshot.asks,
       timestamp: new Date(),
     }).catch(() => { /* non-critical */ });
   }
@@ -1234,6 +1236,15 @@ class MarketIngester {
         price: trade.price,
         timestamp: trade.timestamp,
       }).catch(() => { /* non-critical */ });
+
+      // Trade flow for participation-rate execution
+      messageBus.publish(Channel.MARKET_TRADES, {
+        symbol,
+        price: trade.price,
+        size: trade.size,
+        side: trade.side,
+        timestamp: trade.timestamp,
+      }).catch(() => { /* non-critical */ });
     }
   }
 
@@ -5,6 +5,7 @@
 import { NewsAgentState, createInitialNewsState, TRADING_CATEGORIES } from './state';
 import {
   searchNode,
+  feedNode,
   scrapeNode,
   qualityFilterNode,
   categorizeNode,
@@ -50,18 +51,30 @@ export class NewsOrchestrator {
       logger.info(`[NewsOrchestrator] Starting news cycle ${state.cycleId}`);
       logger.info(`[NewsOrchestrator] Processing categories: ${state.categories.join(', ')}`);
 
-      // Step 1: Search for articles
-      state = { ...state, ...await this.safeExecute('search', () => searchNode(state)) };
+      // Step 1: Search for articles and poll RSS/Atom feeds and announcement pages concurrently
+      const [searchResult, feedResult] = await Promise.all([
+        this.safeExecute('search', () => searchNode(state)),
+        this.safeExecute('feed', () => feedNode(state)),
+      ]);
+      // The feed node returns only its own thoughts and errors; they follow the search node's
+      state = {
+        ...state,
+        ...searchResult,
+        feedArticles: feedResult.feedArticles ?? [],
+        thoughts: [...(searchResult.thoughts ?? state.thoughts), ...(feedResult.thoughts ?? [])],
+        errors: [...(searchResult.errors ?? state.errors), ...(feedResult.errors ?? [])],
+      };
       state.stats.searched = state.searchResults.size > 0
         ? Array.from(state.searchResults.values()).reduce((sum, arr) => sum + arr.length, 0)
         : 0;
+      state.stats.feedItems = state.feedArticles.length;
 
-      if (state.stats.searched === 0) {
+      if (state.stats.searched === 0 && state.stats.feedItems === 0) {
         logger.warn('[NewsOrchestrator] No articles found, ending cycle');
         return {
           ...state,
           currentStep: 'NO_ARTICLES_FOUND',
-          thoughts: [...state.thoughts, 'No search results returned'],
+          thoughts: [...state.thoughts, 'No search results or feed items returned'],
         };
       }
 
@@ -247,6 +260,13 @@ export class NewsOrchestrator {
           thoughts: ['Search failed, returning empty results'],
         };
 
+      case 'feed':
+        return {
+          currentStep: 'FEED_FALLBACK',
+          feedArticles: [],
+          thoughts: ['Feed polling failed, continuing with search results only'],
+        };
+
       case 'scrape':
         return {
           currentStep: 'SCRAPE_FALLBACK',
@@ -360,6 +380,7 @@ export async function runNewsCycle(): Promise<NewsAgentState> {
   logger.info(
     `[NewsOrchestrator] Cycle completed. ` +
     `Searched: ${stats.searched}, ` +
+    `Feeds: ${stats.feedItems}, ` +
     `Scraped: ${stats.scraped}, ` +
     `Filtered: ${stats.filteredQuality + stats.filteredLanguage + stats.filteredCategory}, ` +
     `Categorized: ${stats.categorized}, ` +
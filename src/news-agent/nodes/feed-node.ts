@@ -0,0 +1,41 @@
+// Feed Node
+// Polls configured RSS/Atom feeds and exchange announcement pages
+
+import { NewsAgentState } from '../state';
+import feedSourceService from '../../news-ingester/feed-source';
+import logger from '../../shared/logger';
+
+/**
+ * Feed Node
+ * Runs concurrently with the search node from the same state, so it returns
+ * only its own thoughts and errors for the orchestrator to append. Its items
+ * join search results at the scrape stage.
+ */
+export async function feedNode(state: NewsAgentState): Promise<Partial<NewsAgentState>> {
+  if (process.env.NEWS_FEEDS_ENABLED === 'false' || feedSourceService.getFeeds().length === 0) {
+    return { currentStep: 'FEED_SKIPPED', feedArticles: [] };
+  }
+
+  logger.info(`[FeedNode] Polling ${feedSourceService.getFeeds().length} feeds`);
+
+  try {
+    const { articles, polled, notModified, failed } = await feedSourceService.poll(state.categories);
+
+    return {
+      currentStep: 'FEED_COMPLETE',
+      feedArticles: articles,
+      thoughts: [
+        `Polled ${polled} feeds: ${articles.length} new items, ${notModified} unchanged, ${failed} failed`,
+      ],
+    };
+  } catch (error) {
+    logger.error('[FeedNode] Failed to poll feeds:', error);
+    return {
+      currentStep: 'FEED_ERROR',
+      feedArticles: [],
+      errors: [
+        `Feed poll failed: ${error}`,
+      ],
+    };
+  }
+}
@@ -3,6 +3,7 @@
 
 // Core pipeline nodes
 export * from './search-node';
+export * from './feed-node';
 export * from './scrape-node';
 export * from './quality-filter-node';
 export * from './categorize-node';
@@ -7,6 +7,7 @@ import logger from '../../shared/logger';
 import llmService from '../../shared/llm-service';
 import { detectLanguage } from '../../shared/filters/language';
 import { calculateQualityScore } from '../../shared/filters/quality';
+import { NewsSourceType } from '../../shared/types';
 
 interface QualityGateResult {
   passes: boolean;
@@ -16,6 +17,41 @@ interface QualityGateResult {
   isSports: boolean;
 }
 
+/**
+ * Quality score multiplier per source type. Curated feeds and exchange
+ * announcements are trusted above open search results.
+ * Override with NEWS_SOURCE_WEIGHTS, e.g. "RSS=1.1,ANNOUNCEMENT=1.5".
+ */
+const DEFAULT_SOURCE_WEIGHTS: Record<NewsSourceType, number> = {
+  SEARCH: 1,
+  RSS: 1.15,
+  ATOM: 1.15,
+  ANNOUNCEMENT: 1.3,
+};
+
+export function loadSourceWeights(): Record<NewsSourceType, number> {
+  const weights = { ...DEFAULT_SOURCE_WEIGHTS };
+  for (const pair of (process.env.NEWS_SOURCE_WEIGHTS || '').split(',')) {
+    const [key, value] = pair.split('=').map(s => s.trim());
+    const weight = Number.parseFloat(value);
+    if (key && key.toUpperCase() in weights && Number.isFinite(weight) && weight >= 0) {
+      weights[key.toUpperCase() as NewsSourceType] = weight;
+    }
+  }
+  return weights;
+}
+
+/**
+ * Quality score scaled by the article's source type, capped at 1
+ */
+export function weightQualityScore(
+  qualityScore: number,
+  sourceType: NewsSourceType | undefined,
+  weights: Record<NewsSourceType, number> = DEFAULT_SOURCE_WEIGHTS
+): number {
+  return Math.min(1, qualityScore * (weights[sourceType || 'SEARCH'] ?? 1));
+}
+
 /**
  * Quality Filter Node
  * Applies LLM-based quality gate to raw scraped articles
@@ -33,6 +69,7 @@ export async function qualityFilterNode(state: NewsAgentState): Promise<Partial<
   let filteredQuality = 0;
   let filteredCategory = 0;
   let filteredNonRelevant = 0;
+  const sourceWeights = loadSourceWeights();
 
   // Phase 1: Fast pre-filtering (language, quality score, market relevance) — sequential, no API calls
   const preFiltered: { article: RawArticle; qualityScore: number }[] = [];
@@ -46,8 +83,12 @@ export async function qualityFilterNode(state: NewsAgentState): Promise<Partial<
         continue;
       }
 
-      // Step 2: Quality score check
-      const qualityScore = calculateQualityScore(article.title, article.content);
+      // Step 2: Quality score check, weighted by source type
+      const qualityScore = weightQualityScore(
+        calculateQualityScore(article.title, article.content),
+        article.sourceType,
+        sourceWeights
+      );
       if (qualityScore < 0.3) {
         filteredQuality++;
         logger.debug(`[QualityFilterNode] Filtered low-quality article: ${article.title} (score: ${qualityScore.toFixed(2)})`);
@@ -55,7 +96,9 @@ export async function qualityFilterNode(state: NewsAgentState): Promise<Partial<
       }
 
       // Step 2b: Crypto/financial relevance pre-filter (fast, no API call)
-      const relevance = checkMarketRelevance(article.title, article.content || article.snippet || '');
+      // Exchange announcements are market news by definition
+      const relevance = article.sourceType === 'ANNOUNCEMENT'
+        || checkMarketRelevance(article.title, article.content || article.snippet || '');
       if (!relevance) {
         filteredNonRelevant++;
         logger.debug(`[QualityFilterNode] Filtered non-market article: ${article.title}`);
@@ -265,6 +308,7 @@ function buildQualityGatePrompt(article: RawArticle): string {
 
 Title: ${article.title}
 Source: ${article.source}
+Source Type: ${article.sourceType || 'SEARCH'}
 Published: ${article.publishedAt}
 Content Preview: ${article.content?.slice(0, 500) || article.snippet || ''}
 
@@ -4,7 +4,7 @@
 import { NewsAgentState, RawArticle } from '../state';
 import newsSearchService from '../../news-ingester/news-search';
 import logger from '../../shared/logger';
-import { NewsArticle } from '../../shared/types';
+import { NewsArticle, NewsItem, NewsSourceType } from '../../shared/types';
 import { detectLanguage, calculateQualityScore } from '../../shared/filters';
 
 /**
@@ -13,7 +13,8 @@ import { detectLanguage, calculateQualityScore } from '../../shared/filters';
  */
 export async function scrapeNode(state: NewsAgentState): Promise<Partial<NewsAgentState>> {
   const startTime = Date.now();
-  logger.info(`[ScrapeNode] Scraping content for ${state.rawNews.length} articles`);
+  const feedArticles = state.feedArticles || [];
+  logger.info(`[ScrapeNode] Scraping content for ${state.rawNews.length} search results and ${feedArticles.length} feed items`);
 
   const rawArticles: RawArticle[] = [];
   const scrapedArticles: NewsArticle[] = []; // For backward compatibility
@@ -22,6 +23,7 @@ export async function scrapeNode(state: NewsAgentState): Promise<Partial<NewsAge
   let filteredQuality = 0;
 
   const maxArticles = Number.parseInt(process.env.NEWS_SCRAPE_LIMIT || '120', 10) || 120;
+  const maxFeedArticles = Number.parseInt(process.env.NEWS_FEED_SCRAPE_LIMIT || '60', 10) || 60;
   const concurrency = Number.parseInt(process.env.NEWS_SCRAPE_CONCURRENCY || '8', 10) || 8;
   const minContentLength = Number.parseInt(process.env.NEWS_MIN_CONTENT_CHARS || '150', 10) || 150;
   const minQualityScore = Number.parseFloat(process.env.NEWS_MIN_TITLE_QUALITY || '0.3') || 0.3;
@@ -74,11 +76,13 @@ export async function scrapeNode(state: NewsAgentState): Promise<Partial<NewsAge
     }
   }
 
-  // Items to scrape (sorted by recency)
-  const itemsToScrape = state.rawNews
-    .slice()
-    .sort((a, b) => (b.publishedAt?.getTime() || b.createdAt.getTime()) - (a.publishedAt?.getTime() || a.createdAt.getTime()))
-    .slice(0, maxArticles);
+  // Items to scrape (sorted by recency); feed items have their own budget so search volume can't crowd them out
+  const byRecency = (a: NewsItem, b: NewsItem) =>
+    (b.publishedAt?.getTime() || b.createdAt.getTime()) - (a.publishedAt?.getTime() || a.createdAt.getTime());
+  const itemsToScrape: NewsItem[] = [
+    ...feedArticles.slice().sort(byRecency).slice(0, maxFeedArticles),
+    ...state.rawNews.slice().sort(byRecency).slice(0, maxArticles),
+  ];
 
   async function mapWithConcurrency<T, R>(
     items: T[],
@@ -111,8 +115,12 @@ export async function scrapeNode(state: NewsAgentState): Promise<Partial<NewsAge
         return null;
       }
 
-      // Step 2: Scrape full content
-      const content = await newsSearchService.scrapeArticle(newsItem.url);
+      // Step 2: Scrape full content (feeds that carry the full body skip the round trip)
+      const sourceType: NewsSourceType = newsItem.metadata?.sourceType || 'SEARCH';
+      const feedContent = sourceType !== 'SEARCH' ? newsItem.content?.trim() || '' : '';
+      const content = feedContent.length >= minContentLength
+        ? feedContent
+        : await newsSearchService.scrapeArticle(newsItem.url);
       let resolvedContent = content && content.trim().length >= minContentLength
         ? content.trim()
         : newsItem.content?.trim() || newsItem.snippet;
@@ -162,6 +170,7 @@ export async function scrapeNode(state: NewsAgentState): Promise<Partial<NewsAge
         summary: '',
         scrapedAt: new Date(),
         createdAt: newsItem.createdAt,
+        metadata: { ...(newsItem.metadata || {}), sourceType },
       } as NewsArticle;
 
       const rawArticle: RawArticle = {
@@ -173,6 +182,7 @@ export async function scrapeNode(state: NewsAgentState): Promise<Partial<NewsAge
         source: newsItem.source || extractSource(newsItem.url),
         publishedAt: newsItem.publishedAt || new Date(),
         language: filter.language,
+        sourceType,
       };
 
       // Return both for backward compatibility
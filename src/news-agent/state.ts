@@ -2,7 +2,7 @@
 // Defines the shared state that flows through the newsfeed agent
 // Rebuilt with layered filtering for real-time quality control
 
-import { NewsCategory, NewsItem, NewsArticle, SearchResult } from '../shared/types';
+import { NewsCategory, NewsItem, NewsArticle, NewsSourceType, SearchResult } from '../shared/types';
 import type { StoryCluster } from '../data/story-cluster-store';
 
 /**
@@ -17,6 +17,8 @@ export interface RawArticle {
   source: string;
   publishedAt: Date;
   language?: string;
+  /** SEARCH for SearXNG results, otherwise the feed type it was polled from */
+  sourceType?: NewsSourceType;
 }
 
 /**
@@ -56,6 +58,7 @@ export interface LabeledArticle extends CategorizedArticle {
  */
 export interface ProcessingStats {
   searched: number;
+  feedItems: number;
   scraped: number;
   filteredLanguage: number;
   filteredQuality: number;
@@ -78,6 +81,7 @@ export interface NewsAgentState {
   // Pipeline data (old structure for backward compatibility)
   searchResults: Map<NewsCategory, SearchResult[]>;
   rawNews: NewsItem[];
+  feedArticles: NewsArticle[];
   scrapedArticles: NewsArticle[];
   categorizedNews: NewsArticle[];
   storedCount: number;
@@ -137,6 +141,7 @@ export function createInitialNewsState(): NewsAgentState {
 
     searchResults: new Map(),
     rawNews: [],
+    feedArticles: [],
     scrapedArticles: [],
     categorizedNews: [],
     storedCount: 0,
@@ -152,6 +157,7 @@ export function createInitialNewsState(): NewsAgentState {
 
     stats: {
       searched: 0,
+      feedItems: 0,
       scraped: 0,
       filteredLanguage: 0,
       filteredQuality: 0,
@@ -0,0 +1,411 @@
+// Feed Source Service
+// Polls RSS/Atom feeds and exchange announcement pages alongside SearXNG search
+//
+// Each feed is fetched with a conditional GET (If-None-Match / If-Modified-Since
+// from the last response), so an unchanged feed costs a 304 and no parsing.
+// Items are normalized into the NewsArticle shape, tagged with their source
+// type in metadata.sourceType, and remembered so the same link is emitted once.
+
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { NewsArticle, NewsCategory, NewsSourceType } from '../shared/types';
+import logger from '../shared/logger';
+
+export interface FeedConfig {
+  id: string;
+  url: string;
+  /** 'feed' is RSS or Atom (detected from the document), 'announcement' an HTML listing page */
+  type: 'feed' | 'announcement';
+  /** Category the feed's items are tagged with; feeds without one run in every cycle */
+  category?: NewsCategory;
+  /** Display source; defaults to the feed's hostname */
+  source?: string;
+  /** Announcement pages: regex an anchor's href must match to count as an item */
+  linkPattern?: string;
+}
+
+export interface FeedItem {
+  title: string;
+  url: string;
+  content: string;
+  publishedAt?: Date;
+  sourceType: Exclude<NewsSourceType, 'SEARCH'>;
+}
+
+export interface FeedResponse {
+  status: number;
+  body: string;
+  headers: Record<string, string | undefined>;
+}
+
+export type FeedFetcher = (url: string, headers: Record<string, string>) => Promise<FeedResponse>;
+
+export interface FeedPollResult {
+  articles: NewsArticle[];
+  polled: number;
+  notModified: number;
+  failed: number;
+}
+
+interface FeedValidators {
+  etag?: string;
+  lastModified?: string;
+  lastPolled: number;
+}
+
+interface FeedCachePayload {
+  validators?: Array<[string, FeedValidators]>;
+  seen?: Array<[string, number]>;
+}
+
+const DEFAULT_ANNOUNCEMENT_PATTERN = 'announcement';
+const MIN_ANNOUNCEMENT_TITLE_CHARS = 15;
+
+/**
+ * Feeds from NEWS_FEEDS (JSON array of FeedConfig) plus the NEWS_FEED_URLS and
+ * NEWS_ANNOUNCEMENT_URLS comma-separated shorthands.
+ */
+export function loadFeedConfigs(): FeedConfig[] {
+  const feeds: FeedConfig[] = [];
+
+  if (process.env.NEWS_FEEDS) {
+    try {
+      const parsed = JSON.parse(process.env.NEWS_FEEDS);
+      for (const entry of Array.isArray(parsed) ? parsed : []) {
+        if (!entry?.url) continue;
+        feeds.push({
+          ...entry,
+          id: entry.id || entry.url,
+          type: entry.type === 'announcement' ? 'announcement' : 'feed',
+        });
+      }
+    } catch (error) {
+      logger.warn(`[FeedSource] Ignoring invalid NEWS_FEEDS: ${error}`);
+    }
+  }
+
+  const list = (value: string | undefined) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const url of list(process.env.NEWS_FEED_URLS)) {
+    feeds.push({ id: url, url, type: 'feed' });
+  }
+  for (const url of list(process.env.NEWS_ANNOUNCEMENT_URLS)) {
+    feeds.push({ id: url, url, type: 'announcement' });
+  }
+
+  const unique = new Map<string, FeedConfig>();
+  for (const feed of feeds) {
+    if (!unique.has(feed.id)) unique.set(feed.id, feed);
+  }
+  return Array.from(unique.values());
+}
+
+function decodeEntities(text: string): string {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(Number.parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number.parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/** Markup-free text: CDATA unwrapped, entities decoded (twice for escaped HTML bodies), tags removed */
+function toText(raw: string): string {
+  const unwrapped = raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  const html = decodeEntities(unwrapped);
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function tagText(block: string, tags: string[]): string {
+  for (const tag of tags) {
+    const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i').exec(block);
+    if (match) {
+      const text = toText(match[1]);
+      if (text) return text;
+    }
+  }
+  return '';
+}
+
+function attribute(tag: string, name: string): string | undefined {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i').exec(tag);
+  return match ? decodeEntities(match[1] ?? match[2]) : undefined;
+}
+
+function parseDate(text: string): Date | undefined {
+  if (!text) return undefined;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function resolveUrl(href: string, base: string): string | null {
+  try {
+    const url = new URL(href, base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse an RSS 2.0 / RSS 1.0 (RDF) or Atom document into feed items.
+ * Items without a title or link are dropped.
+ */
+export function parseFeed(xml: string, baseUrl: string): FeedItem[] {
+  const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+  const blockPattern = isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi;
+  const items: FeedItem[] = [];
+
+  for (const [block] of xml.matchAll(blockPattern)) {
+    const title = tagText(block, ['title']);
+    let link: string | undefined;
+
+    if (isAtom) {
+      const links = Array.from(block.matchAll(/<link\b[^>]*>/gi)).map(([tag]) => tag);
+      const alternate = links.find(tag => (attribute(tag, 'rel') || 'alternate') === 'alternate') || links[0];
+      link = alternate ? attribute(alternate, 'href') : undefined;
+    } else {
+      link = tagText(block, ['link']) || tagText(block, ['guid']);
+    }
+
+    const url = link ? resolveUrl(link, baseUrl) : null;
+    if (!title || !url) continue;
+
+    items.push({
+      title,
+      url,
+      content: isAtom
+        ? tagText(block, ['content', 'summary'])
+        : tagText(block, ['content:encoded', 'description']),
+      publishedAt: parseDate(isAtom
+        ? tagText(block, ['published', 'updated'])
+        : tagText(block, ['pubDate', 'dc:date'])),
+      sourceType: isAtom ? 'ATOM' : 'RSS',
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Pull announcement links out of an HTML listing page: anchors whose href
+ * matches the pattern and whose text is long enough to be a headline.
+ */
+export function parseAnnouncementPage(html: string, baseUrl: string, linkPattern: string = DEFAULT_ANNOUNCEMENT_PATTERN): FeedItem[] {
+  const pattern = new RegExp(linkPattern, 'i');
+  const items = new Map<string, FeedItem>();
+
+  for (const [, attrs, inner] of html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+    const href = attribute(attrs, 'href');
+    if (!href || !pattern.test(href)) continue;
+
+    const url = resolveUrl(href, baseUrl);
+    const title = toText(inner);
+    if (!url || title.length < MIN_ANNOUNCEMENT_TITLE_CHARS || items.has(url)) continue;
+
+    items.set(url, { title, url, content: '', sourceType: 'ANNOUNCEMENT' });
+  }
+
+  return Array.from(items.values());
+}
+
+function hostname(url: string): string {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Normalize a feed item into the NewsArticle shape the pipeline carries.
+ * Announcements have no date on the listing page, so they are dated when first seen.
+ */
+export function normalizeFeedItem(item: FeedItem, feed: FeedConfig, now: Date = new Date()): NewsArticle {
+  return {
+    id: crypto.randomUUID(),
+    title: item.title,
+    content: item.content,
+    source: feed.source || hostname(item.url),
+    url: item.url,
+    publishedAt: item.publishedAt || now,
+    categories: feed.category ? [feed.category] : [],
+    tags: [],
+    sentiment: 'NEUTRAL',
+    importance: 'MEDIUM',
+    snippet: item.content.slice(0, 200),
+    summary: '',
+    scrapedAt: now,
+    createdAt: now,
+    metadata: {
+      sourceType: item.sourceType,
+      feedId: feed.id,
+      feedUrl: feed.url,
+    },
+  };
+}
+
+const defaultFetcher: FeedFetcher = async (url, headers) => {
+  const response = await axios.get(url, {
+    headers: {
+      'User-Agent': 'PerpsTrader-NewsFeed/1.0',
+      Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml, text/html;q=0.8',
+      ...headers,
+    },
+    timeout: Number.parseInt(process.env.NEWS_FEED_TIMEOUT_MS || '10000', 10) || 10000,
+    responseType: 'text',
+    transformResponse: data => data,
+    validateStatus: status => status === 200 || status === 304,
+  });
+
+  return {
+    status: response.status,
+    body: typeof response.data === 'string' ? response.data : '',
+    headers: {
+      etag: response.headers['etag'] as string | undefined,
+      'last-modified': response.headers['last-modified'] as string | undefined,
+    },
+  };
+};
+
+export class FeedSourceService {
+  private feeds: FeedConfig[];
+  private fetcher: FeedFetcher;
+  private cachePath: string | null;
+  private validators: Map<string, FeedValidators>;
+  private seenUrls: Map<string, number>;
+  private pollIntervalMs: number;
+  private maxItemAgeMs: number;
+  private seenTtlMs: number;
+  private concurrency: number;
+
+  constructor(options: { feeds?: FeedConfig[]; fetcher?: FeedFetcher; cachePath?: string | null } = {}) {
+    this.feeds = options.feeds ?? loadFeedConfigs();
+    this.fetcher = options.fetcher ?? defaultFetcher;
+    this.cachePath = options.cachePath === undefined
+      ? path.join(__dirname, '../../data/news-feed-cache.json')
+      : options.cachePath;
+    this.validators = new Map();
+    this.seenUrls = new Map();
+    this.pollIntervalMs = Number.parseInt(process.env.NEWS_FEED_POLL_INTERVAL_MS || '60000', 10) || 0;
+    this.maxItemAgeMs = Number.parseInt(process.env.NEWS_FEED_MAX_AGE_MS || '86400000', 10) || 86400000;
+    this.seenTtlMs = Number.parseInt(process.env.NEWS_FEED_SEEN_TTL_MS || '604800000', 10) || 604800000;
+    this.concurrency = Number.parseInt(process.env.NEWS_FEED_CONCURRENCY || '4', 10) || 4;
+
+    this.loadCache();
+  }
+
+  getFeeds(): FeedConfig[] {
+    return [...this.feeds];
+  }
+
+  /**
+   * Poll every feed due for a refresh and return the items not emitted before.
+   * Feeds tagged with a category outside `categories` are skipped.
+   */
+  async poll(categories?: NewsCategory[], now: number = Date.now()): Promise<FeedPollResult> {
+    const due = this.feeds.filter(feed => {
+      if (feed.category && categories && categories.length > 0 && !categories.includes(feed.category)) return false;
+      const lastPolled = this.validators.get(feed.url)?.lastPolled || 0;
+      return now - lastPolled >= this.pollIntervalMs;
+    });
+
+    const result: FeedPollResult = { articles: [], polled: 0, notModified: 0, failed: 0 };
+    if (due.length === 0) return result;
+
+    let index = 0;
+    const runners = new Array(Math.min(this.concurrency, due.length)).fill(0).map(async () => {
+      while (index < due.length) {
+        const feed = due[index];
+        index += 1;
+        try {
+          const items = await this.pollFeed(feed, now);
+          result.polled += 1;
+          if (items === null) {
+            result.notModified += 1;
+            continue;
+          }
+          for (const item of items) {
+            if (this.seenUrls.has(item.url)) continue;
+            this.seenUrls.set(item.url, now);
+            if (item.publishedAt && now - item.publishedAt.getTime() > this.maxItemAgeMs) continue;
+            result.articles.push(normalizeFeedItem(item, feed, new Date(now)));
+          }
+        } catch (error) {
+          result.failed += 1;
+          logger.warn(`[FeedSource] Failed to poll ${feed.url}: ${(error as Error)?.message || error}`);
+        }
+      }
+    });
+    await Promise.all(runners);
+
+    for (const [url, seenAt] of this.seenUrls) {
+      if (now - seenAt > this.seenTtlMs) this.seenUrls.delete(url);
+    }
+    this.saveCache();
+
+    logger.info(
+      `[FeedSource] Polled ${result.polled}/${due.length} feeds: ` +
+      `${result.articles.length} new items, ${result.notModified} not modified, ${result.failed} failed`
+    );
+    return result;
+  }
+
+  /** Fetch one feed with conditional headers; null when the server answers 304 */
+  private async pollFeed(feed: FeedConfig, now: number): Promise<FeedItem[] | null> {
+    const previous = this.validators.get(feed.url);
+    const headers: Record<string, string> = {};
+    if (previous?.etag) headers['If-None-Match'] = previous.etag;
+    if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+    const response = await this.fetcher(feed.url, headers);
+
+    if (response.status === 304) {
+      this.validators.set(feed.url, { ...previous, lastPolled: now });
+      return null;
+    }
+
+    this.validators.set(feed.url, {
+      etag: response.headers['etag'],
+      lastModified: response.headers['last-modified'],
+      lastPolled: now,
+    });
+
+    return feed.type === 'announcement'
+      ? parseAnnouncementPage(response.body, feed.url, feed.linkPattern)
+      : parseFeed(response.body, feed.url);
+  }
+
+  private loadCache(): void {
+    if (!this.cachePath) return;
+    try {
+      if (!fs.existsSync(this.cachePath)) return;
+      const cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf8')) as FeedCachePayload;
+      this.validators = new Map(cache.validators || []);
+      this.seenUrls = new Map(cache.seen || []);
+      logger.debug(`[FeedSource] Loaded ${this.validators.size} feed validators, ${this.seenUrls.size} seen items`);
+    } catch (error) {
+      logger.warn('[FeedSource] Failed to load feed cache, starting fresh:', error);
+    }
+  }
+
+  private saveCache(): void {
+    if (!this.cachePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+      const cache: FeedCachePayload = {
+        validators: Array.from(this.validators.entries()),
+        seen: Array.from(this.seenUrls.entries()),
+      };
+      fs.writeFileSync(this.cachePath, JSON.stringify(cache, null, 2));
+    } catch (error) {
+      logger.warn('[FeedSource] Failed to save feed cache:', error);
+    }
+  }
+}
+
+const feedSourceService = new FeedSourceService();
+export default feedSourceService;
@@ -0,0 +1,287 @@
+// Prediction Calibration Tracker
+// Scores theorizer forecasts against resolved outcomes and feeds an edge correction back
+//
+// Every idea the theorizer produces is stored once per market and idea type
+// (the first forecast, before the market has moved towards the answer). When
+// the market settles, the forecast gets its outcome and counts towards the
+// Brier score, log loss and reliability curve of its idea type.
+//
+// The correction is an edge multiplier k per idea type: the least-squares fit
+// of (outcome - implied) = k * edge over resolved forecasts, shrunk towards 1
+// by a prior worth `priorWeight` forecasts and clamped to [0, maxMultiplier].
+// k < 1 means the theorizer overstates its edge for that type.
+
+import logger from '../shared/logger';
+import predictionStore, { PredictionStore } from '../data/prediction-store';
+import polymarketClient from './polymarket-client';
+import {
+  PredictionCalibrationReport,
+  PredictionCalibrationStats,
+  PredictionForecast,
+  PredictionIdea,
+  PredictionMarket,
+  PredictionReliabilityBin,
+} from '../shared/types';
+
+export const IDEA_TYPES = ['NEWS_MOMENTUM', 'EVENT_DRIVEN', 'PROBABILITY_DISLOCATION', 'MEAN_REVERSION'];
+
+const RELIABILITY_BINS = 10;
+const PROBABILITY_FLOOR = 1e-6;
+const SETTLED_PRICE = 0.99;
+
+export interface CalibrationOptions {
+  enabled: boolean;
+  /** Resolved forecasts of a type before its multiplier moves off 1 */
+  minResolved: number;
+  /** Pseudo-forecasts at k = 1 mixed into the fit */
+  priorWeight: number;
+  maxMultiplier: number;
+  /** Pending markets fetched per resolution check */
+  resolutionBatch: number;
+  resolutionIntervalMs: number;
+  reportTtlMs: number;
+}
+
+export type CalibrationStore = Pick<PredictionStore,
+  'recordForecasts' | 'getPendingForecastMarketIds' | 'resolveForecasts' | 'getResolvedForecasts'>;
+
+export function loadCalibrationOptions(): CalibrationOptions {
+  const number = (name: string, fallback: number) => {
+    const parsed = Number.parseFloat(process.env[name] || '');
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    enabled: process.env.PREDICTION_CALIBRATION_ENABLED !== 'false',
+    minResolved: Math.floor(number('PREDICTION_CALIBRATION_MIN_RESOLVED', 10)),
+    priorWeight: number('PREDICTION_CALIBRATION_PRIOR_WEIGHT', 20),
+    maxMultiplier: number('PREDICTION_CALIBRATION_MAX_MULTIPLIER', 1.5),
+    resolutionBatch: Math.max(1, Math.floor(number('PREDICTION_RESOLUTION_BATCH', 25))),
+    resolutionIntervalMs: number('PREDICTION_RESOLUTION_INTERVAL_MS', 30 * 60 * 1000),
+    reportTtlMs: 60 * 1000,
+  };
+}
+
+/**
+ * Implied and predicted probability of YES. Fallback ideas are always quoted
+ * in YES terms; LLM ideas that buy NO with a positive edge are quoted in NO
+ * terms and get flipped.
+ */
+export function toYesProbabilities(idea: Pick<PredictionIdea, 'outcome' | 'impliedProbability' | 'predictedProbability'>): {
+  implied: number;
+  predicted: number;
+} {
+  if (idea.outcome === 'NO' && idea.predictedProbability > idea.impliedProbability) {
+    return { implied: 1 - idea.impliedProbability, predicted: 1 - idea.predictedProbability };
+  }
+  return { implied: idea.impliedProbability, predicted: idea.predictedProbability };
+}
+
+/**
+ * YES/NO once a closed market's prices have settled, null otherwise
+ */
+export function resolvedOutcome(market: Pick<PredictionMarket, 'status' | 'yesPrice' | 'noPrice'>): 'YES' | 'NO' | null {
+  if (market.status !== 'CLOSED' && market.status !== 'RESOLVED') return null;
+  const yes = market.yesPrice ?? NaN;
+  const no = market.noPrice ?? NaN;
+  if (yes >= SETTLED_PRICE && no <= 1 - SETTLED_PRICE) return 'YES';
+  if (no >= SETTLED_PRICE && yes <= 1 - SETTLED_PRICE) return 'NO';
+  return null;
+}
+
+function outcomeValue(forecast: PredictionForecast): number {
+  return forecast.resolvedOutcome === 'YES' ? 1 : 0;
+}
+
+export function brierScore(probabilities: number[], outcomes: number[]): number {
+  if (!probabilities.length) return 0;
+  return probabilities.reduce((sum, p, i) => sum + (p - outcomes[i]) ** 2, 0) / probabilities.length;
+}
+
+export function logLoss(probabilities: number[], outcomes: number[]): number {
+  if (!probabilities.length) return 0;
+  const total = probabilities.reduce((sum, p, i) => {
+    const clipped = Math.min(1 - PROBABILITY_FLOOR, Math.max(PROBABILITY_FLOOR, p));
+    return sum - (outcomes[i] * Math.log(clipped) + (1 - outcomes[i]) * Math.log(1 - clipped));
+  }, 0);
+  return total / probabilities.length;
+}
+
+export function reliabilityCurve(probabilities: number[], outcomes: number[], bins: number = RELIABILITY_BINS): PredictionReliabilityBin[] {
+  const buckets = Array.from({ length: bins }, () => ({ count: 0, predicted: 0, observed: 0 }));
+  probabilities.forEach((p, i) => {
+    const bucket = buckets[Math.min(bins - 1, Math.max(0, Math.floor(p * bins)))];
+    bucket.count++;
+    bucket.predicted += p;
+    bucket.observed += outcomes[i];
+  });
+  return buckets
+    .map((bucket, index) => ({
+      lower: index / bins,
+      upper: (index + 1) / bins,
+      count: bucket.count,
+      meanPredicted: bucket.count ? bucket.predicted / bucket.count : 0,
+      observedFrequency: bucket.count ? bucket.observed / bucket.count : 0,
+    }))
+    .filter(bin => bin.count > 0);
+}
+
+export function edgeMultiplier(forecasts: PredictionForecast[], options: Pick<CalibrationOptions, 'minResolved' | 'priorWeight' | 'maxMultiplier'>): number {
+  if (forecasts.length < Math.max(1, options.minResolved)) return 1;
+
+  let sxy = 0;
+  let sxx = 0;
+  for (const forecast of forecasts) {
+    const edge = forecast.predictedProbability - forecast.impliedProbability;
+    sxy += edge * (outcomeValue(forecast) - forecast.impliedProbability);
+    sxx += edge * edge;
+  }
+  if (sxx <= 0) return 1;
+
+  const fitted = sxy / sxx;
+  const shrunk = (forecasts.length * fitted + options.priorWeight) / (forecasts.length + options.priorWeight);
+  return Math.min(options.maxMultiplier, Math.max(0, shrunk));
+}
+
+export class CalibrationTracker {
+  readonly options: CalibrationOptions;
+  private report: PredictionCalibrationReport | null = null;
+  private reportBuiltAt = 0;
+  private resolveCursor = 0;
+
+  constructor(
+    private store: CalibrationStore = predictionStore,
+    private fetchMarket: (marketId: string) => Promise<PredictionMarket | null> = polymarketClient.fetchMarket,
+    options: Partial<CalibrationOptions> = {},
+    private now: () => number = Date.now
+  ) {
+    this.options = { ...loadCalibrationOptions(), ...options };
+  }
+
+  /**
+   * Store the uncorrected forecast behind each idea
+   */
+  recordIdeas(ideas: PredictionIdea[]): number {
+    const forecasts: PredictionForecast[] = [];
+    for (const idea of ideas) {
+      const { implied, predicted } = toYesProbabilities(idea);
+      if (!Number.isFinite(implied) || !Number.isFinite(predicted)) continue;
+      const ideaType = idea.type || 'PREDICTION_MARKET';
+      forecasts.push({
+        id: `${idea.marketId}:${ideaType}`,
+        marketId: idea.marketId,
+        marketTitle: idea.marketTitle,
+        ideaType,
+        outcome: idea.outcome,
+        impliedProbability: implied,
+        predictedProbability: predicted,
+        edgeMultiplier: this.getEdgeMultiplier(ideaType),
+        createdAt: new Date(this.now()),
+      });
+    }
+    return this.store.recordForecasts(forecasts);
+  }
+
+  /**
+   * Settle pending forecasts for any of these markets that have resolved
+   */
+  ingestResolutions(markets: PredictionMarket[]): number {
+    const pending = new Set(this.store.getPendingForecastMarketIds());
+    let resolved = 0;
+    for (const market of markets) {
+      if (!pending.has(market.id)) continue;
+      resolved += this.settle(market);
+    }
+    return resolved;
+  }
+
+  /**
+   * Fetch a batch of markets with pending forecasts and settle the resolved
+   * ones. Batches rotate so long-dated markets do not starve the rest.
+   */
+  async resolvePending(limit: number = this.options.resolutionBatch): Promise<number> {
+    const pending = this.store.getPendingForecastMarketIds();
+    if (!pending.length) return 0;
+
+    if (this.resolveCursor >= pending.length) this.resolveCursor = 0;
+    const batch = pending.slice(this.resolveCursor, this.resolveCursor + limit);
+    this.resolveCursor += batch.length;
+
+    let resolved = 0;
+    for (const marketId of batch) {
+      const market = await this.fetchMarket(marketId);
+      if (market) resolved += this.settle(market);
+    }
+    if (resolved > 0) {
+      logger.info(`[PredictionCalibration] Resolved ${resolved} forecasts (${pending.length} markets were pending)`);
+    }
+    return resolved;
+  }
+
+  getReport(): PredictionCalibrationReport {
+    if (this.report && this.now() - this.reportBuiltAt < this.options.reportTtlMs) return this.report;
+
+    const resolved = this.store.getResolvedForecasts();
+    const byType = new Map<string, PredictionForecast[]>(IDEA_TYPES.map(type => [type, []]));
+    for (const forecast of resolved) {
+      if (!byType.has(forecast.ideaType)) byType.set(forecast.ideaType, []);
+      byType.get(forecast.ideaType)!.push(forecast);
+    }
+
+    this.report = {
+      generatedAt: new Date(this.now()),
+      pendingMarkets: this.store.getPendingForecastMarketIds().length,
+      overall: this.stats('ALL', resolved, false),
+      byType: [...byType.entries()].map(([type, forecasts]) => this.stats(type, forecasts, true)),
+    };
+    this.reportBuiltAt = this.now();
+    return this.report;
+  }
+
+  getEdgeMultiplier(ideaType: string): number {
+    if (!this.options.enabled) return 1;
+    return this.getReport().byType.find(stats => stats.ideaType === ideaType)?.edgeMultiplier ?? 1;
+  }
+
+  /**
+   * Scale the idea's edge (and predicted probability) by its type's multiplier
+   */
+  calibrate(idea: PredictionIdea): PredictionIdea {
+    const multiplier = this.getEdgeMultiplier(idea.type || 'PREDICTION_MARKET');
+    if (multiplier === 1) return idea;
+
+    const edge = idea.edge * multiplier;
+    return {
+      ...idea,
+      edge,
+      predictedProbability: idea.impliedProbability + (idea.predictedProbability - idea.impliedProbability) * multiplier,
+      summary: idea.summary ? `${idea.summary} | Calibrated x${multiplier.toFixed(2)}` : idea.summary,
+    };
+  }
+
+  private settle(market: PredictionMarket): number {
+    const outcome = resolvedOutcome(market);
+    if (!outcome) return 0;
+    const settled = this.store.resolveForecasts(market.id, outcome, new Date(this.now()));
+    if (settled > 0) this.report = null;
+    return settled;
+  }
+
+  private stats(ideaType: string, forecasts: PredictionForecast[], withMultiplier: boolean): PredictionCalibrationStats {
+    const predicted = forecasts.map(forecast => forecast.predictedProbability);
+    const implied = forecasts.map(forecast => forecast.impliedProbability);
+    const outcomes = forecasts.map(outcomeValue);
+    const scored = forecasts.length > 0;
+    return {
+      ideaType,
+      resolved: forecasts.length,
+      brierScore: scored ? brierScore(predicted, outcomes) : null,
+      logLoss: scored ? logLoss(predicted, outcomes) : null,
+      marketBrierScore: scored ? brierScore(implied, outcomes) : null,
+      edgeMultiplier: withMultiplier ? edgeMultiplier(forecasts, this.options) : 1,
+      reliability: reliabilityCurve(predicted, outcomes),
+    };
+  }
+}
+
+const calibrationTracker = new CalibrationTracker();
+export default calibrationTracker;
@@ -0,0 +1,378 @@
+// Cross-Market Consistency Arbitrage
+// Groups logically related markets and flags probability sets that break their constraints
+//
+// Groups come from Polymarket event IDs and from title parsing:
+//
+//   EXCLUSIVE   at most one YES: markets of a neg-risk event, or titles like
+//               "Will <candidate> win <the same thing>?"
+//   EXHAUSTIVE  exactly one YES: a neg-risk event with every market present
+//   NESTED      deadlines on the same question ("... by June 30?" and
+//               "... by December 31?"): YES on the earlier implies YES on the
+//               later, so P(earlier) <= P(later)
+//
+// A violation becomes a basket of equal-share legs with a guaranteed payout
+// above its cost (after fees): NO on every exclusive market when their YES
+// prices sum past 1, YES on every exhaustive market when they sum below 1,
+// NO on the earlier and YES on the later deadline when the earlier is dearer.
+// The missing legs of a basket are bought in one step, and sold back if any
+// of them fails, so a basket is never left half hedged.
+
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../shared/logger';
+import {
+  PredictionArbitrageBasket,
+  PredictionArbitrageLeg,
+  PredictionIdea,
+  PredictionMarket,
+  PredictionTrade,
+} from '../shared/types';
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+// Greedy prefix: the last "by"/"before" in the title is the deadline
+const DEADLINE_PATTERN = /^(.*\S)\s+(by|before)\s+(?:the\s+)?(?:end\s+of\s+)?([a-z0-9 ,.]+?)\s*\??\s*$/i;
+const CANDIDATE_PATTERN = /^will\s+(.+?)\s+(win|be elected|be the next|become)\s+(.+?)\s*\??\s*$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface ConsistencyOptions {
+  enabled: boolean;
+  /** Net edge per share set, after fees, before a violation is traded */
+  minEdge: number;
+  /** Fee charged on each leg's cost */
+  feeRate: number;
+  /** USD committed to a whole basket */
+  basketUsd: number;
+  maxBaskets: number;
+  /** Stored markets priced longer ago than this are left out */
+  maxPriceAgeMs: number;
+  storeLimit: number;
+}
+
+export interface ConsistencyGroup {
+  key: string;
+  kind: PredictionArbitrageBasket['kind'];
+  source: 'event' | 'title';
+  /** NESTED groups are ordered earliest deadline first */
+  markets: PredictionMarket[];
+  deadlines?: number[];
+}
+
+export function loadConsistencyOptions(): ConsistencyOptions {
+  const number = (name: string, fallback: number) => {
+    const parsed = Number.parseFloat(process.env[name] || '');
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    enabled: process.env.PREDICTION_ARB_ENABLED !== 'false',
+    minEdge: number('PREDICTION_ARB_MIN_EDGE', 0.01),
+    feeRate: number('PREDICTION_ARB_FEE_RATE', 0.02),
+    basketUsd: number('PREDICTION_ARB_BASKET_USD', 200) || 200,
+    maxBaskets: Math.floor(number('PREDICTION_ARB_MAX_BASKETS', 3)),
+    maxPriceAgeMs: number('PREDICTION_ARB_MAX_PRICE_AGE_MS', 15 * 60 * 1000),
+    storeLimit: Math.floor(number('PREDICTION_ARB_STORE_LIMIT', 500)) || 500,
+  };
+}
+
+function normalizeTitle(text: string): string {
+  return text.toLowerCase().replace(/[^a-z0-9$% ]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Deadline of a "by <date>" / "before <date>" phrase as a timestamp, or null.
+ * "by" a month or year means its end, "before" means its start. Years
+ * default to the market's close year.
+ */
+export function parseDeadline(keyword: string, phrase: string, fallbackYear: number): number | null {
+  const text = phrase.toLowerCase().replace(/\./g, '').trim();
+  const by = keyword.toLowerCase() === 'by';
+
+  const year = /^(\d{4})$/.exec(text);
+  if (year) {
+    return by ? Date.UTC(Number(year[1]) + 1, 0, 1) - 1 : Date.UTC(Number(year[1]), 0, 1);
+  }
+
+  const quarter = /^q([1-4])(?:\s+(\d{4}))?$/.exec(text);
+  if (quarter) {
+    const startMonth = (Number(quarter[1]) - 1) * 3;
+    const y = quarter[2] ? Number(quarter[2]) : fallbackYear;
+    return by ? Date.UTC(y, startMonth + 3, 1) - 1 : Date.UTC(y, startMonth, 1);
+  }
+
+  const date = /^([a-z]{3,9})(?:\s+(\d{1,2})(?:st|nd|rd|th)?)?(?:,?\s+(\d{4}))?$/.exec(text);
+  if (!date) return null;
+  const month = MONTHS.findIndex(name => name.startsWith(date[1]));
+  if (month === -1) return null;
+  const y = date[3] ? Number(date[3]) : fallbackYear;
+  if (date[2]) {
+    const start = Date.UTC(y, month, Number(date[2]));
+    return by ? start + DAY_MS - 1 : start;
+  }
+  return by ? Date.UTC(y, month + 1, 1) - 1 : Date.UTC(y, month, 1);
+}
+
+function eventInfo(market: PredictionMarket): { id: string; negRisk: boolean; marketCount: number | null } | null {
+  const meta = market.metadata as Record<string, any> | undefined;
+  const event = Array.isArray(meta?.events) ? meta!.events[0] : undefined;
+  const id = event?.id ?? meta?.eventId ?? meta?.event_id;
+  if (id === undefined || id === null) return null;
+  return {
+    id: String(id),
+    negRisk: meta?.negRisk === true || event?.negRisk === true,
+    marketCount: Array.isArray(event?.markets) ? event.markets.length : null,
+  };
+}
+
+function yesPrice(market: PredictionMarket): number {
+  return market.yesPrice as number;
+}
+
+function noPrice(market: PredictionMarket): number {
+  return Number.isFinite(market.noPrice) ? market.noPrice as number : 1 - yesPrice(market);
+}
+
+function isPriced(market: PredictionMarket): boolean {
+  if (market.status === 'CLOSED' || market.status === 'RESOLVED') return false;
+  const yes = market.yesPrice;
+  return Number.isFinite(yes) && (yes as number) > 0 && (yes as number) < 1;
+}
+
+/**
+ * Related-market groups with at least two priced markets
+ */
+export function groupRelatedMarkets(markets: PredictionMarket[], now: Date = new Date()): ConsistencyGroup[] {
+  const priced = markets.filter(isPriced);
+  const groups: ConsistencyGroup[] = [];
+
+  const events = new Map<string, { markets: PredictionMarket[]; marketCount: number | null }>();
+  for (const market of priced) {
+    const event = eventInfo(market);
+    if (!event?.negRisk) continue;
+    const entry = events.get(event.id) ?? { markets: [], marketCount: event.marketCount };
+    entry.markets.push(market);
+    events.set(event.id, entry);
+  }
+  const negRiskEvent = new Map<string, string>();
+  for (const [id, entry] of events) {
+    if (entry.markets.length < 2) continue;
+    entry.markets.forEach(market => negRiskEvent.set(market.id, id));
+    groups.push({
+      key: `event:${id}`,
+      kind: entry.marketCount !== null && entry.marketCount === entry.markets.length ? 'EXHAUSTIVE' : 'EXCLUSIVE',
+      source: 'event',
+      markets: entry.markets,
+    });
+  }
+
+  const candidates = new Map<string, Map<string, PredictionMarket>>();
+  const deadlines = new Map<string, Map<number, PredictionMarket>>();
+  for (const market of priced) {
+    const deadline = DEADLINE_PATTERN.exec(market.title);
+    if (deadline) {
+      const fallbackYear = (market.closeTime ?? now).getUTCFullYear();
+      const at = parseDeadline(deadline[2], deadline[3], fallbackYear);
+      const base = normalizeTitle(deadline[1]);
+      if (at !== null && base) {
+        const byDeadline = deadlines.get(base) ?? new Map<number, PredictionMarket>();
+        if (!byDeadline.has(at)) byDeadline.set(at, market);
+        deadlines.set(base, byDeadline);
+        continue;
+      }
+    }
+
+    const candidate = CANDIDATE_PATTERN.exec(market.title);
+    if (candidate) {
+      const key = normalizeTitle(`${candidate[2]} ${candidate[3]}`);
+      const byCandidate = candidates.get(key) ?? new Map<string, PredictionMarket>();
+      const name = normalizeTitle(candidate[1]);
+      if (!byCandidate.has(name)) byCandidate.set(name, market);
+      candidates.set(key, byCandidate);
+    }
+  }
+
+  for (const [key, byCandidate] of candidates) {
+    const members = [...byCandidate.values()];
+    if (members.length < 2) continue;
+    // Already covered by their neg-risk event
+    const eventId = negRiskEvent.get(members[0].id);
+    if (eventId && members.every(market => negRiskEvent.get(market.id) === eventId)) continue;
+    groups.push({ key: `title:${key}`, kind: 'EXCLUSIVE', source: 'title', markets: members });
+  }
+
+  for (const [base, byDeadline] of deadlines) {
+    if (byDeadline.size < 2) continue;
+    const ordered = [...byDeadline.entries()].sort((a, b) => a[0] - b[0]);
+    groups.push({
+      key: `deadline:${base}`,
+      kind: 'NESTED',
+      source: 'title',
+      markets: ordered.map(([, market]) => market),
+      deadlines: ordered.map(([at]) => at),
+    });
+  }
+
+  return groups;
+}
+
+function leg(market: PredictionMarket, outcome: 'YES' | 'NO'): PredictionArbitrageLeg {
+  return { marketId: market.id, marketTitle: market.title, outcome, price: outcome === 'YES' ? yesPrice(market) : noPrice(market) };
+}
+
+function toBasket(
+  kind: PredictionArbitrageBasket['kind'],
+  description: string,
+  legs: PredictionArbitrageLeg[],
+  minPayout: number,
+  options: ConsistencyOptions
+): PredictionArbitrageBasket | null {
+  const cost = legs.reduce((sum, item) => sum + item.price, 0);
+  const edge = minPayout - cost * (1 + options.feeRate);
+  if (!(cost > 0) || edge < options.minEdge) return null;
+  return {
+    id: `${kind}:${legs.map(item => `${item.marketId}:${item.outcome}`).join('|')}`,
+    kind,
+    description,
+    legs,
+    marketIds: legs.map(item => item.marketId),
+    cost,
+    minPayout,
+    edge,
+    sharesPerLeg: options.basketUsd / cost,
+    legsHeld: 0,
+  };
+}
+
+/**
+ * The most profitable basket a group's prices allow, if any
+ */
+export function evaluateGroup(group: ConsistencyGroup, options: ConsistencyOptions): PredictionArbitrageBasket | null {
+  const markets = group.markets;
+
+  if (group.kind === 'NESTED') {
+    let best: PredictionArbitrageBasket | null = null;
+    for (let i = 0; i < markets.length; i++) {
+      for (let j = i + 1; j < markets.length; j++) {
+        const earlier = markets[i];
+        const later = markets[j];
+        const basket = toBasket(
+          'NESTED',
+          `"${earlier.title}" at ${(yesPrice(earlier) * 100).toFixed(1)}% is priced above the later deadline "${later.title}" at ${(yesPrice(later) * 100).toFixed(1)}%`,
+          [leg(earlier, 'NO'), leg(later, 'YES')],
+          1,
+          options
+        );
+        if (basket && (!best || basket.edge > best.edge)) best = basket;
+      }
+    }
+    return best;
+  }
+
+  const yesSum = markets.reduce((sum, market) => sum + yesPrice(market), 0);
+  const label = `${markets.length} ${group.kind === 'EXHAUSTIVE' ? 'exhaustive' : 'mutually exclusive'} outcomes`;
+  const overpriced = toBasket(
+    group.kind,
+    `YES prices of ${label} sum to ${(yesSum * 100).toFixed(1)}%`,
+    markets.map(market => leg(market, 'NO')),
+    markets.length - 1,
+    options
+  );
+  if (overpriced || group.kind !== 'EXHAUSTIVE') return overpriced;
+
+  return toBasket(
+    'EXHAUSTIVE',
+    `YES prices of ${label} sum to only ${(yesSum * 100).toFixed(1)}%`,
+    markets.map(market => leg(market, 'YES')),
+    1,
+    options
+  );
+}
+
+/**
+ * Baskets for every violated group, best edge first. Legs in `held`
+ * (`${marketId}:${outcome}`) count towards legsHeld.
+ */
+export function findConsistencyViolations(
+  markets: PredictionMarket[],
+  options: ConsistencyOptions,
+  held: Set<string> = new Set(),
+  now: Date = new Date()
+): PredictionArbitrageBasket[] {
+  return groupRelatedMarkets(markets, now)
+    .map(group => evaluateGroup(group, options))
+    .filter((basket): basket is PredictionArbitrageBasket => basket !== null)
+    .map(basket => ({
+      ...basket,
+      legsHeld: basket.legs.filter(item => held.has(`${item.marketId}:${item.outcome}`)).length,
+    }))
+    .sort((a, b) => b.edge - a.edge)
+    .slice(0, options.maxBaskets);
+}
+
+/**
+ * One idea per leg not held yet. The edge on each leg is the basket's: no
+ * single leg has an edge on its own.
+ */
+export function basketIdeas(basket: PredictionArbitrageBasket, held: Set<string> = new Set()): PredictionIdea[] {
+  const returnPct = (basket.edge / basket.cost) * 100;
+  return missingLegs(basket, held)
+    .map(item => ({
+      id: uuidv4(),
+      marketId: item.marketId,
+      marketTitle: item.marketTitle,
+      outcome: item.outcome,
+      impliedProbability: item.price,
+      predictedProbability: Math.min(0.99, item.price + basket.edge),
+      edge: basket.edge,
+      confidence: 0.9,
+      timeHorizon: 'resolution',
+      catalysts: [basket.description],
+      rationale: `${basket.description}. Basket of ${basket.legs.length} legs costs ${basket.cost.toFixed(3)} ` +
+        `per share set and pays at least ${basket.minPayout}; buy ${item.outcome} here.`,
+      name: `${item.marketTitle} (${item.outcome})`,
+      type: 'CONSISTENCY_ARBITRAGE',
+      summary: `CONSISTENCY_ARBITRAGE | ${basket.kind} | Edge ${(basket.edge * 100).toFixed(1)}c (${returnPct.toFixed(1)}%) | ` +
+        `Leg ${basket.legsHeld + 1}/${basket.legs.length}`,
+      strategyId: basket.id,
+      basket,
+    }));
+}
+
+/**
+ * Legs of a basket not in `held` (`${marketId}:${outcome}`)
+ */
+export function missingLegs(basket: PredictionArbitrageBasket, held: Set<string>): PredictionArbitrageLeg[] {
+  return basket.legs.filter(item => !held.has(`${item.marketId}:${item.outcome}`));
+}
+
+/**
+ * Buy `sharesPerLeg` of every missing leg in one step. If a leg fails, the
+ * legs bought so far are sold back and the error is rethrown.
+ */
+export async function executeBasket(
+  basket: PredictionArbitrageBasket,
+  held: Set<string>,
+  trade: (leg: PredictionArbitrageLeg, action: 'BUY' | 'SELL', shares: number) => Promise<PredictionTrade>
+): Promise<PredictionTrade[]> {
+  const bought: PredictionTrade[] = [];
+  try {
+    for (const item of missingLegs(basket, held)) {
+      bought.push(await trade(item, 'BUY', basket.sharesPerLeg));
+    }
+    return bought;
+  } catch (error) {
+    for (const fill of bought.reverse()) {
+      const item = basket.legs.find(candidate => candidate.marketId === fill.marketId && candidate.outcome === fill.outcome)!;
+      try {
+        await trade(item, 'SELL', fill.shares);
+      } catch (unwindError) {
+        logger.error(`[PredictionConsistency] Failed to unwind ${item.marketTitle} (${item.outcome}) of basket ${basket.id}:`, unwindError);
+      }
+    }
+    throw error;
+  }
+}
+
+export function isStale(market: PredictionMarket, maxAgeMs: number, now: number = Date.now()): boolean {
+  return !market.updatedAt || now - market.updatedAt.getTime() > maxAgeMs;
+}
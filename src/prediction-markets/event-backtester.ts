@@ -0,0 +1,369 @@
+// Prediction Market Event Backtester
+// Replays stored market snapshots and linked news in time order through the theorizer
+//
+// Every price snapshot of a market without an open position re-runs the
+// theorizer's rule-based idea logic on the news that had been stored by then
+// (no cluster heat: story clusters keep no history). An idea opens one
+// position per market at the snapshot price, paying feeRate on the stake, and
+// the position is held to resolution, where each share pays 1 if its outcome
+// won and 0 otherwise. Positions still open at the end are marked to the last
+// snapshot. Calibration corrections are not applied: they are fitted on the
+// outcomes being replayed.
+
+import predictionStore from '../data/prediction-store';
+import newsStore from '../data/news-store';
+import logger from '../shared/logger';
+import { NewsItem, PredictionMarket, PredictionMarketSnapshot } from '../shared/types';
+import { buildFallbackIdea } from './nodes/theorizer';
+import { buildMarketIntel } from './nodes/news-context';
+import { resolvedOutcome } from './calibration';
+
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_LIMIT = 1_000_000;
+
+export interface EventBacktestOptions {
+  start?: Date;
+  end?: Date;
+  /** USD committed per entry, fee included */
+  stakeUsd: number;
+  /** Fee as a fraction of the stake, charged on entry */
+  feeRate: number;
+  /** Most recent linked articles the theorizer sees, as in the live news context */
+  newsLimit: number;
+  minConfidence: number;
+  /** Restrict the replay to these markets */
+  marketIds?: string[];
+}
+
+export interface PredictionResolution {
+  outcome: 'YES' | 'NO';
+  resolvedAt: Date;
+}
+
+export interface PredictionReplaySource {
+  getMarketIds(start?: Date, end?: Date): string[];
+  getMarket(marketId: string): PredictionMarket | null;
+  /** Oldest first */
+  getSnapshots(marketId: string): PredictionMarketSnapshot[];
+  getNews(market: PredictionMarket): Promise<NewsItem[]>;
+  getResolution(market: PredictionMarket, snapshots: PredictionMarketSnapshot[]): PredictionResolution | null;
+}
+
+export interface EventBacktestTrade {
+  marketId: string;
+  marketTitle: string;
+  ideaType: string;
+  outcome: 'YES' | 'NO';
+  entryTime: Date;
+  entryPrice: number;
+  edge: number;
+  confidence: number;
+  shares: number;
+  stake: number;
+  fee: number;
+  status: 'WON' | 'LOST' | 'OPEN';
+  /** Resolution time, or the last snapshot for open positions */
+  exitTime: Date;
+  /** 0/1 per share at resolution, last price while open */
+  exitPrice: number;
+  pnl: number;
+  lockupHours: number;
+}
+
+export interface EventBacktestStats {
+  ideaType: string;
+  trades: number;
+  settled: number;
+  open: number;
+  wins: number;
+  /** Wins / settled trades */
+  hitRate: number;
+  staked: number;
+  fees: number;
+  realizedPnl: number;
+  unrealizedPnl: number;
+  /** Realized P&L / stake of settled trades */
+  roi: number;
+  avgLockupHours: number;
+  /** Stake x days locked, settled and open */
+  capitalDays: number;
+  /** Realized P&L per capital-day of settled trades, x365 */
+  annualizedReturn: number;
+}
+
+export interface EventBacktestReport {
+  period: { start: Date | null; end: Date | null };
+  options: EventBacktestOptions;
+  marketsReplayed: number;
+  events: { snapshots: number; news: number; resolutions: number };
+  trades: EventBacktestTrade[];
+  byType: EventBacktestStats[];
+  overall: EventBacktestStats;
+  /** Most stake locked in open positions at once */
+  peakCapitalLocked: number;
+}
+
+type ReplayEvent =
+  | { time: number; order: 0; kind: 'news'; marketId: string; item: NewsItem }
+  | { time: number; order: 1; kind: 'snapshot'; marketId: string; snapshot: PredictionMarketSnapshot }
+  | { time: number; order: 2; kind: 'resolution'; marketId: string; resolution: PredictionResolution };
+
+export function loadEventBacktestOptions(): EventBacktestOptions {
+  const number = (name: string, fallback: number) => {
+    const parsed = Number.parseFloat(process.env[name] || '');
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    stakeUsd: number('PREDICTION_BACKTEST_STAKE_USD', 100) || 100,
+    feeRate: Math.min(0.5, number('PREDICTION_BACKTEST_FEE_RATE', 0.02)),
+    newsLimit: Math.floor(number('PREDICTION_NEWS_LIMIT', 8)) || 8,
+    minConfidence: number('PREDICTION_BACKTEST_MIN_CONFIDENCE', 0),
+  };
+}
+
+export const storeReplaySource: PredictionReplaySource = {
+  getMarketIds: (start, end) => predictionStore.getSnapshotMarketIds(start, end),
+  getMarket: marketId => predictionStore.getMarket(marketId),
+  getSnapshots: marketId => predictionStore.getMarketPrices(marketId, HISTORY_LIMIT),
+  getNews: market => newsStore.getNewsByMarket(market.id, market.slug, HISTORY_LIMIT),
+  getResolution(market, snapshots) {
+    const outcome = resolvedOutcome(market);
+    if (outcome) {
+      const lastSnapshot = snapshots[snapshots.length - 1]?.timestamp;
+      return { outcome, resolvedAt: market.closeTime ?? lastSnapshot ?? market.updatedAt };
+    }
+    return predictionStore.getForecastResolutions()[market.id] ?? null;
+  },
+};
+
+function emptyStats(ideaType: string): EventBacktestStats {
+  return {
+    ideaType,
+    trades: 0,
+    settled: 0,
+    open: 0,
+    wins: 0,
+    hitRate: 0,
+    staked: 0,
+    fees: 0,
+    realizedPnl: 0,
+    unrealizedPnl: 0,
+    roi: 0,
+    avgLockupHours: 0,
+    capitalDays: 0,
+    annualizedReturn: 0,
+  };
+}
+
+export function summarizeTrades(ideaType: string, trades: EventBacktestTrade[]): EventBacktestStats {
+  const stats = emptyStats(ideaType);
+  let settledStake = 0;
+  let settledCapitalDays = 0;
+  let settledLockupHours = 0;
+
+  for (const trade of trades) {
+    stats.trades++;
+    stats.staked += trade.stake;
+    stats.fees += trade.fee;
+    stats.capitalDays += trade.stake * trade.lockupHours / 24;
+    if (trade.status === 'OPEN') {
+      stats.open++;
+      stats.unrealizedPnl += trade.pnl;
+      continue;
+    }
+    stats.settled++;
+    if (trade.status === 'WON') stats.wins++;
+    stats.realizedPnl += trade.pnl;
+    settledStake += trade.stake;
+    settledCapitalDays += trade.stake * trade.lockupHours / 24;
+    settledLockupHours += trade.lockupHours;
+  }
+
+  stats.hitRate = stats.settled ? stats.wins / stats.settled : 0;
+  stats.roi = settledStake ? stats.realizedPnl / settledStake : 0;
+  stats.avgLockupHours = stats.settled ? settledLockupHours / stats.settled : 0;
+  stats.annualizedReturn = settledCapitalDays > 0 ? (stats.realizedPnl / settledCapitalDays) * 365 : 0;
+  return stats;
+}
+
+export class PredictionEventBacktester {
+  readonly options: EventBacktestOptions;
+
+  constructor(
+    private source: PredictionReplaySource = storeReplaySource,
+    options: Partial<EventBacktestOptions> = {}
+  ) {
+    this.options = { ...loadEventBacktestOptions(), ...options };
+  }
+
+  async run(): Promise<EventBacktestReport> {
+    const { start, end } = this.options;
+    const inRange = (time: number) => (!start || time >= start.getTime()) && (!end || time <= end.getTime());
+
+    const marketIds = this.options.marketIds ?? this.source.getMarketIds(start, end);
+    const markets = new Map<string, PredictionMarket>();
+    const events: ReplayEvent[] = [];
+    const counts = { snapshots: 0, news: 0, resolutions: 0 };
+
+    for (const marketId of marketIds) {
+      const snapshots = this.source.getSnapshots(marketId).filter(snapshot => inRange(snapshot.timestamp.getTime()));
+      if (!snapshots.length) continue;
+
+      const market = this.source.getMarket(marketId) ?? {
+        id: marketId,
+        title: marketId,
+        status: 'UNKNOWN' as const,
+        outcomes: [],
+        updatedAt: snapshots[snapshots.length - 1].timestamp,
+      };
+      markets.set(marketId, market);
+
+      for (const snapshot of snapshots) {
+        events.push({ time: snapshot.timestamp.getTime(), order: 1, kind: 'snapshot', marketId, snapshot });
+      }
+      const news = await this.source.getNews(market);
+      for (const item of news) {
+        const time = item.createdAt.getTime();
+        if (Number.isFinite(time) && (!end || time <= end.getTime())) {
+          events.push({ time, order: 0, kind: 'news', marketId, item });
+        }
+      }
+      const resolution = this.source.getResolution(market, snapshots);
+      if (resolution && (!end || resolution.resolvedAt.getTime() <= end.getTime())) {
+        events.push({ time: resolution.resolvedAt.getTime(), order: 2, kind: 'resolution', marketId, resolution });
+      }
+    }
+
+    events.sort((a, b) => a.time - b.time || a.order - b.order);
+
+    const seenNews = new Map<string, NewsItem[]>();
+    const lastPrice = new Map<string, PredictionMarketSnapshot>();
+    const openTrades = new Map<string, EventBacktestTrade>();
+    const resolved = new Set<string>();
+    const trades: EventBacktestTrade[] = [];
+    let capitalLocked = 0;
+    let peakCapitalLocked = 0;
+
+    for (const event of events) {
+      if (resolved.has(event.marketId)) continue;
+
+      if (event.kind === 'news') {
+        counts.news++;
+        const news = seenNews.get(event.marketId) ?? [];
+        news.push(event.item);
+        seenNews.set(event.marketId, news);
+        continue;
+      }
+
+      if (event.kind === 'resolution') {
+        counts.resolutions++;
+        resolved.add(event.marketId);
+        const trade = openTrades.get(event.marketId);
+        if (trade) {
+          this.settle(trade, event.resolution);
+          openTrades.delete(event.marketId);
+          capitalLocked -= trade.stake;
+        }
+        continue;
+      }
+
+      counts.snapshots++;
+      lastPrice.set(event.marketId, event.snapshot);
+      if (openTrades.has(event.marketId)) continue;
+
+      const trade = this.evaluate(markets.get(event.marketId)!, event.snapshot, seenNews.get(event.marketId) ?? []);
+      if (trade) {
+        trades.push(trade);
+        openTrades.set(event.marketId, trade);
+        capitalLocked += trade.stake;
+        peakCapitalLocked = Math.max(peakCapitalLocked, capitalLocked);
+      }
+    }
+
+    for (const [marketId, trade] of openTrades) {
+      this.markOpen(trade, lastPrice.get(marketId)!);
+    }
+
+    const byType = new Map<string, EventBacktestTrade[]>();
+    for (const trade of trades) {
+      if (!byType.has(trade.ideaType)) byType.set(trade.ideaType, []);
+      byType.get(trade.ideaType)!.push(trade);
+    }
+
+    const report: EventBacktestReport = {
+      period: {
+        start: events.length ? new Date(events[0].time) : null,
+        end: events.length ? new Date(events[events.length - 1].time) : null,
+      },
+      options: this.options,
+      marketsReplayed: markets.size,
+      events: counts,
+      trades,
+      byType: [...byType.entries()].map(([ideaType, typeTrades]) => summarizeTrades(ideaType, typeTrades)),
+      overall: summarizeTrades('ALL', trades),
+      peakCapitalLocked,
+    };
+
+    logger.info(
+      `[PredictionEventBacktester] Replayed ${counts.snapshots} snapshots and ${counts.news} articles over ` +
+      `${markets.size} markets: ${trades.length} trades, ROI ${(report.overall.roi * 100).toFixed(2)}%`
+    );
+    return report;
+  }
+
+  /**
+   * Re-run the theorizer on the news stored up to this snapshot
+   */
+  private evaluate(market: PredictionMarket, snapshot: PredictionMarketSnapshot, seen: NewsItem[]): EventBacktestTrade | null {
+    const yesPrice = snapshot.yesPrice ?? undefined;
+    const noPrice = snapshot.noPrice ?? (yesPrice !== undefined ? 1 - yesPrice : undefined);
+    if (yesPrice === undefined || !Number.isFinite(yesPrice)) return null;
+
+    const news = seen.slice(-this.options.newsLimit).reverse();
+    const pricedMarket: PredictionMarket = { ...market, yesPrice, noPrice };
+    const idea = buildFallbackIdea(pricedMarket, news, buildMarketIntel(pricedMarket, news, []));
+    if (!idea || idea.confidence < this.options.minConfidence) return null;
+
+    const entryPrice = idea.outcome === 'YES' ? yesPrice : noPrice;
+    if (entryPrice === undefined || !(entryPrice > 0 && entryPrice < 1)) return null;
+
+    const stake = this.options.stakeUsd;
+    const fee = stake * this.options.feeRate;
+    return {
+      marketId: market.id,
+      marketTitle: market.title,
+      ideaType: idea.type || 'PREDICTION_MARKET',
+      outcome: idea.outcome,
+      entryTime: snapshot.timestamp,
+      entryPrice,
+      edge: idea.edge,
+      confidence: idea.confidence,
+      shares: (stake - fee) / entryPrice,
+      stake,
+      fee,
+      status: 'OPEN',
+      exitTime: snapshot.timestamp,
+      exitPrice: entryPrice,
+      pnl: -fee,
+      lockupHours: 0,
+    };
+  }
+
+  private settle(trade: EventBacktestTrade, resolution: PredictionResolution): void {
+    const won = trade.outcome === resolution.outcome;
+    trade.status = won ? 'WON' : 'LOST';
+    trade.exitTime = resolution.resolvedAt;
+    trade.exitPrice = won ? 1 : 0;
+    trade.pnl = trade.shares * trade.exitPrice - trade.stake;
+    trade.lockupHours = Math.max(0, resolution.resolvedAt.getTime() - trade.entryTime.getTime()) / HOUR_MS;
+  }
+
+  private markOpen(trade: EventBacktestTrade, snapshot: PredictionMarketSnapshot): void {
+    const yes = snapshot.yesPrice;
+    const price = trade.outcome === 'YES' ? yes : (snapshot.noPrice ?? (yes !== null ? 1 - yes : null));
+    trade.exitTime = snapshot.timestamp;
+    trade.exitPrice = price ?? trade.entryPrice;
+    trade.pnl = trade.shares * trade.exitPrice - trade.stake;
+    trade.lockupHours = Math.max(0, snapshot.timestamp.getTime() - trade.entryTime.getTime()) / HOUR_MS;
+  }
+}
@@ -6,6 +6,8 @@ import predictionStore from '../data/prediction-store';
 import logger from '../shared/logger';
 import riskManager from './risk-manager';
 import alertingService from './alerting-service';
+import { MakerFill, MakerInventory, MakerQuote, MarketMaker } from './market-maker';
+import { polymarketRateLimiter } from '../infrastructure/token-bucket';
 import {
   PredictionRiskAssessment,
   PredictionSignal,
@@ -39,6 +41,8 @@ class PredictionExecutionEngine {
   private orderTimeoutMs: number;
   private slippageTolerance: number;
   private isRealTrading: boolean;
+  private marketMaker: MarketMaker;
+  private makerMode: boolean;
 
   constructor() {
     this.initialBalance = Number.parseFloat(process.env.PREDICTION_PAPER_BALANCE || '10000');
@@ -53,6 +57,20 @@ class PredictionExecutionEngine {
       logger.info('[PredictionExecution] Paper trading mode');
     }
 
+    this.marketMaker = new MarketMaker({
+      getInventory: marketId => this.getInventory(marketId),
+      onFill: fill => this.applyMakerFill(fill),
+      throttle: () => polymarketRateLimiter.throttleOrderRequest(),
+    });
+    // Resting quotes are matched by the paper simulator; there is no CLOB
+    // order gateway for live maker orders yet
+    this.makerMode = this.marketMaker.options.enabled && !this.isRealTrading;
+    if (this.marketMaker.options.enabled && this.isRealTrading) {
+      logger.warn('[PredictionExecution] Market-making mode is paper-only, ignoring PREDICTION_MARKET_MAKING');
+    } else if (this.makerMode) {
+      logger.info('[PredictionExecution] Market-making mode: quoting both sides around fair value');
+    }
+
     // Start order monitoring loop
     this.startOrderMonitoring();
   }
@@ -79,6 +97,12 @@ class PredictionExecutionEngine {
         predictionStore.upsertPosition(position);
       }
     }
+
+    if (this.marketMaker.isQuoting(marketId)) {
+      this.marketMaker.onPriceUpdate(marketId, this.currentPrices.get(marketId)!).catch(error => {
+        logger.error(`[PredictionExecution] Requote failed for ${marketId}:`, error);
+      });
+    }
   }
 
   // ========================================================================
@@ -250,9 +274,22 @@ class PredictionExecutionEngine {
       }
     }
 
+    this.addToPosition(key, signal.marketId, signal.marketId, signal.outcome, shares, price, existing);
+    this.cashBalance -= cost;
+  }
+
+  private addToPosition(
+    key: string,
+    marketId: string,
+    marketTitle: string,
+    outcome: 'YES' | 'NO',
+    shares: number,
+    price: number,
+    existing?: PredictionPosition
+  ): void {
     if (existing) {
       // Add to existing position
-      const totalCost = existing.averagePrice * existing.shares + cost;
+      const totalCost = existing.averagePrice * existing.shares + shares * price;
       const totalShares = existing.shares + shares;
       existing.averagePrice = totalCost / totalShares;
       existing.shares = totalShares;
@@ -263,9 +300,9 @@ class PredictionExecutionEngine {
     } else {
       // New position
       const position: PredictionPosition = {
-        marketId: signal.marketId,
-        marketTitle: signal.marketId, // Will be updated from caller
-        outcome: signal.outcome,
+        marketId,
+        marketTitle, // Taker entries pass the market id; updated from caller
+        outcome,
         shares,
         averagePrice: price,
         lastPrice: price,
@@ -275,8 +312,6 @@ class PredictionExecutionEngine {
       this.positions.set(key, position);
       predictionStore.upsertPosition(position);
     }
-
-    this.cashBalance -= cost;
   }
 
   private async executeSell(
@@ -290,6 +325,10 @@ class PredictionExecutionEngine {
       throw new Error('No open position to sell');
     }
 
+    return this.reducePosition(key, existing, shares, price);
+  }
+
+  private reducePosition(key: string, existing: PredictionPosition, shares: number, price: number): number {
     const sellShares = Math.min(shares, existing.shares);
     const pnl = (price - existing.averagePrice) * sellShares;
 
@@ -304,7 +343,7 @@ class PredictionExecutionEngine {
 
     if (existing.shares <= 0.0001) {
       this.positions.delete(key);
-      predictionStore.removePosition(signal.marketId, signal.outcome);
+      predictionStore.removePosition(existing.marketId, existing.outcome);
     } else {
       this.positions.set(key, existing);
       predictionStore.upsertPosition(existing);
@@ -313,6 +352,87 @@ class PredictionExecutionEngine {
     return pnl;
   }
 
+  // ========================================================================
+  // MARKET MAKING
+  // ========================================================================
+
+  public isMakerMode(): boolean {
+    return this.makerMode;
+  }
+
+  /**
+   * Quote both sides of a market around fairYes (our YES probability) instead
+   * of taking liquidity. Quotes follow updateMarketPrice until stopped.
+   */
+  public async quoteMarket(marketId: string, marketTitle: string, fairYes: number): Promise<MakerQuote[]> {
+    if (!this.makerMode) {
+      throw new Error('Market-making mode is disabled');
+    }
+    const quotes = await this.marketMaker.setFairValue(marketId, marketTitle, fairYes, this.currentPrices.get(marketId));
+    logger.info(
+      `[PredictionExecution] Quoting ${marketTitle} around ${(fairYes * 100).toFixed(1)}% YES: ` +
+      quotes.map(quote => `${quote.side} ${quote.outcome} ${quote.shares.toFixed(1)} @ ${quote.price.toFixed(2)}`).join(', ')
+    );
+    return quotes;
+  }
+
+  public stopQuoting(marketId: string): Promise<number> {
+    return this.marketMaker.stop(marketId);
+  }
+
+  public getMakerState(): ReturnType<MarketMaker['getState']> {
+    return this.marketMaker.getState();
+  }
+
+  private getInventory(marketId: string): MakerInventory {
+    return {
+      YES: this.positions.get(`${marketId}:YES`)?.shares ?? 0,
+      NO: this.positions.get(`${marketId}:NO`)?.shares ?? 0,
+    };
+  }
+
+  private applyMakerFill(fill: MakerFill): boolean {
+    const key = `${fill.marketId}:${fill.outcome}`;
+    const existing = this.positions.get(key);
+    let pnl = 0;
+
+    if (fill.side === 'BUY') {
+      const cost = fill.shares * fill.price + fill.fee;
+      if (cost > this.cashBalance) {
+        logger.warn(`[PredictionExecution] Maker fill rejected, need $${cost.toFixed(2)} and have $${this.cashBalance.toFixed(2)}`);
+        return false;
+      }
+      this.addToPosition(key, fill.marketId, fill.marketTitle, fill.outcome, fill.shares, fill.price, existing);
+      this.cashBalance -= cost;
+    } else {
+      if (!existing) return false;
+      pnl = this.reducePosition(key, existing, fill.shares, fill.price);
+      this.cashBalance -= fill.fee;
+    }
+
+    const trade: PredictionTrade = {
+      id: fill.quoteId,
+      marketId: fill.marketId,
+      marketTitle: fill.marketTitle,
+      outcome: fill.outcome,
+      side: fill.side,
+      shares: fill.shares,
+      price: fill.price,
+      fee: fill.fee,
+      pnl,
+      timestamp: new Date(fill.timestamp),
+      status: 'FILLED',
+      reason: `Maker ${fill.side === 'BUY' ? 'bid' : 'ask'} filled`,
+    };
+    predictionStore.storeTrade(trade);
+    riskManager.recordTrade(trade);
+
+    logger.info(
+      `[PredictionExecution] Maker ${fill.side} ${fill.shares.toFixed(2)} ${fill.outcome} @ ${fill.price.toFixed(2)} (${fill.marketTitle})`
+    );
+    return true;
+  }
+
   // ========================================================================
   // ORDER MANAGEMENT
   // ========================================================================
@@ -406,6 +526,11 @@ class PredictionExecutionEngine {
   }> {
     logger.error('[PredictionExecution] 🚨 EMERGENCY CLOSE ALL POSITIONS 🚨');
 
+    const cancelledQuotes = await this.marketMaker.stopAll();
+    if (cancelledQuotes > 0) {
+      logger.warn(`[PredictionExecution] Cancelled ${cancelledQuotes} resting maker quotes`);
+    }
+
     let closed = 0;
     let failed = 0;
     let totalPnl = 0;
@@ -505,6 +630,7 @@ class PredictionExecutionEngine {
     healthy: boolean;
     positions: number;
     pendingOrders: number;
+    makerQuotes: number;
     cashBalance: number;
     isRealTrading: boolean;
   } {
@@ -512,6 +638,7 @@ class PredictionExecutionEngine {
       healthy: this.cashBalance > 0,
       positions: this.positions.size,
       pendingOrders: this.pendingOrders.size,
+      makerQuotes: this.marketMaker.getQuotes().length,
       cashBalance: this.cashBalance,
       isRealTrading: this.isRealTrading,
     };
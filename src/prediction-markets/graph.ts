@@ -5,6 +5,7 @@ import {
   marketDataNode,
   newsContextNode,
   theorizerNode,
+  consistencyArbitrageNode,
   backtesterNode,
   ideaSelectorNode,
   riskGateNode,
@@ -16,6 +17,7 @@ import predictionExecutionEngine from './execution-engine';
 import positionReconciler from './position-reconciler';
 import riskManager from './risk-manager';
 import alertingService from './alerting-service';
+import calibrationTracker from './calibration';
 import logger from '../shared/logger';
 
 export { PredictionAgentState, createInitialPredictionState };
@@ -60,6 +62,7 @@ function updateStatus(state: PredictionAgentState, status: 'RUNNING' | 'IDLE' |
 export class PredictionOrchestrator {
   private stopLossCheckInterval: NodeJS.Timeout | null = null;
   private reconciliationInterval: NodeJS.Timeout | null = null;
+  private resolutionInterval: NodeJS.Timeout | null = null;
 
   constructor() {
     this.startBackgroundTasks();
@@ -75,6 +78,15 @@ export class PredictionOrchestrator {
     this.reconciliationInterval = setInterval(() => {
       positionReconciler.reconcile();
     }, 300000);
+
+    // Settle calibration forecasts for markets that have resolved
+    if (calibrationTracker.options.resolutionIntervalMs > 0) {
+      this.resolutionInterval = setInterval(() => {
+        calibrationTracker.resolvePending().catch(error => {
+          logger.warn('[PredictionOrchestrator] Forecast resolution check failed:', error);
+        });
+      }, calibrationTracker.options.resolutionIntervalMs);
+    }
   }
 
   private async checkStopLosses(): Promise<void> {
@@ -119,6 +131,12 @@ export class PredictionOrchestrator {
       state = { ...state, ...await marketDataNode(state) };
       updateStatus(state, 'RUNNING');
 
+      try {
+        calibrationTracker.ingestResolutions(state.marketUniverse);
+      } catch (error) {
+        logger.warn('[PredictionOrchestrator] Forecast resolution ingest failed:', error);
+      }
+
       if (state.activeMarkets.length === 0) {
         return {
           ...state,
@@ -132,6 +150,9 @@ export class PredictionOrchestrator {
       state = { ...state, ...await theorizerNode(state) };
       updateStatus(state, 'RUNNING');
 
+      state = { ...state, ...await consistencyArbitrageNode(state) };
+      updateStatus(state, 'RUNNING');
+
       state = { ...state, ...await backtesterNode(state) };
       updateStatus(state, 'RUNNING');
 
@@ -219,6 +240,9 @@ export class PredictionOrchestrator {
     if (this.reconciliationInterval) {
       clearInterval(this.reconciliationInterval);
     }
+    if (this.resolutionInterval) {
+      clearInterval(this.resolutionInterval);
+    }
   }
 }
 
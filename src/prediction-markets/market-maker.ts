@@ -0,0 +1,421 @@
+// Prediction Market Maker
+// Two-sided limit quotes around a fair probability with inventory skew
+//
+// Each quoted market gets a bid on YES and a bid on NO (buying NO at q is
+// selling YES at 1 - q), plus an ask on either outcome while we hold it. Quotes
+// sit halfSpread either side of the fair price, shifted by inventorySkew at a
+// full position so the book leans towards flattening, and are clamped one tick
+// behind the current market price so they never take liquidity. Bids are
+// capped so a fill cannot take an outcome past maxPositionShares (the worst
+// case payout of a binary outcome is $1 per share).
+//
+// Every place and cancel goes through the order throttle. On each price update
+// resting quotes are first matched against the new price (paper fills: a bid
+// fills once the market trades at or below it, an ask at or above), then any
+// quote whose target moved by requoteThreshold or more is cancelled and
+// replaced.
+
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../shared/logger';
+import { PredictionMarketSnapshot } from '../shared/types';
+
+const TICK = 0.01;
+const MIN_SHARES = 1;
+const SIZE_TOLERANCE = 0.1;
+
+export type MakerOutcome = 'YES' | 'NO';
+export type MakerSide = 'BUY' | 'SELL';
+export type MakerInventory = Record<MakerOutcome, number>;
+export type MakerPrice = { yesPrice?: number | null; noPrice?: number | null };
+
+export interface MarketMakerOptions {
+  enabled: boolean;
+  /** Distance of each quote from the fair price, before skew */
+  halfSpread: number;
+  quoteSizeUsd: number;
+  /** Most shares held per outcome */
+  maxPositionShares: number;
+  /** Price shift at a full net position, towards flattening */
+  inventorySkew: number;
+  /** Smallest target move that cancels and replaces a resting quote */
+  requoteThreshold: number;
+  makerFeeRate: number;
+  /** Markets stop being quoted this long after their fair value was set */
+  fairValueTtlMs: number;
+}
+
+export interface MakerQuoteTarget {
+  outcome: MakerOutcome;
+  side: MakerSide;
+  price: number;
+  shares: number;
+}
+
+export interface MakerQuote extends MakerQuoteTarget {
+  id: string;
+  marketId: string;
+  placedAt: number;
+}
+
+export interface MakerFill {
+  quoteId: string;
+  marketId: string;
+  marketTitle: string;
+  outcome: MakerOutcome;
+  side: MakerSide;
+  price: number;
+  shares: number;
+  fee: number;
+  timestamp: number;
+}
+
+export interface MarketMakerHooks {
+  getInventory(marketId: string): MakerInventory;
+  /** Apply a fill to the book; false rejects it (e.g. not enough cash) */
+  onFill(fill: MakerFill): boolean;
+  throttle(): Promise<void>;
+}
+
+export interface MarketMakerState {
+  marketId: string;
+  marketTitle: string;
+  fairYes: number;
+  fairSetAt: Date;
+  inventory: MakerInventory;
+  quotes: MakerQuote[];
+}
+
+export interface MarketMakingSimulation {
+  marketId: string;
+  fairYes: number;
+  snapshots: number;
+  fills: MakerFill[];
+  quotesPlaced: number;
+  quotesCancelled: number;
+  inventory: MakerInventory;
+  /** Cash spent (negative) or received, fees included */
+  cashFlow: number;
+  /** Cash flow plus inventory at the last snapshot's prices */
+  markToMarketPnl: number;
+}
+
+interface QuotedMarket {
+  marketId: string;
+  marketTitle: string;
+  fairYes: number;
+  fairSetAt: number;
+  lastPrice: MakerPrice;
+  quotes: MakerQuote[];
+  queue: Promise<unknown>;
+}
+
+export function loadMarketMakerOptions(): MarketMakerOptions {
+  const number = (name: string, fallback: number) => {
+    const parsed = Number.parseFloat(process.env[name] || '');
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    enabled: process.env.PREDICTION_MARKET_MAKING === 'true',
+    halfSpread: number('PREDICTION_MM_HALF_SPREAD', 0.02),
+    quoteSizeUsd: number('PREDICTION_MM_QUOTE_SIZE_USD', 50),
+    maxPositionShares: number('PREDICTION_MM_MAX_POSITION_SHARES', 500) || 500,
+    inventorySkew: number('PREDICTION_MM_INVENTORY_SKEW', 0.02),
+    requoteThreshold: number('PREDICTION_MM_REQUOTE_THRESHOLD', 0.005),
+    makerFeeRate: number('PREDICTION_MM_MAKER_FEE_RATE', 0),
+    fairValueTtlMs: number('PREDICTION_MM_FAIR_VALUE_TTL_MS', 6 * 60 * 60 * 1000),
+  };
+}
+
+function outcomePrice(price: MakerPrice, outcome: MakerOutcome): number | undefined {
+  const yes = price.yesPrice ?? undefined;
+  const no = price.noPrice ?? (yes !== undefined ? 1 - yes : undefined);
+  const value = outcome === 'YES' ? yes : no;
+  return value !== undefined && Number.isFinite(value) ? value : undefined;
+}
+
+// The epsilon keeps float noise (0.58 / 0.01 = 57.999...) from costing a tick
+function tickDown(price: number): number {
+  return Number((Math.floor(price / TICK + 1e-9) * TICK).toFixed(2));
+}
+
+function tickUp(price: number): number {
+  return Number((Math.ceil(price / TICK - 1e-9) * TICK).toFixed(2));
+}
+
+/**
+ * Quotes for both outcomes of a market given our fair YES probability, the
+ * current market price and the shares held of each outcome
+ */
+export function computeQuotes(
+  fairYes: number,
+  price: MakerPrice,
+  inventory: MakerInventory,
+  options: Pick<MarketMakerOptions, 'halfSpread' | 'quoteSizeUsd' | 'maxPositionShares' | 'inventorySkew'>
+): MakerQuoteTarget[] {
+  const net = (inventory.YES - inventory.NO) / options.maxPositionShares;
+  const skew = options.inventorySkew * Math.max(-1, Math.min(1, net));
+  const quotes: MakerQuoteTarget[] = [];
+
+  for (const outcome of ['YES', 'NO'] as MakerOutcome[]) {
+    const fair = (outcome === 'YES' ? fairYes : 1 - fairYes) + (outcome === 'YES' ? -skew : skew);
+    const market = outcomePrice(price, outcome);
+    const held = inventory[outcome];
+
+    let bid = tickDown(fair - options.halfSpread);
+    if (market !== undefined) bid = Math.min(bid, tickDown(market - TICK));
+    const bidShares = Math.min(options.quoteSizeUsd / bid, options.maxPositionShares - held);
+    if (bid >= TICK && bidShares >= MIN_SHARES) {
+      quotes.push({ outcome, side: 'BUY', price: bid, shares: bidShares });
+    }
+
+    let ask = tickUp(fair + options.halfSpread);
+    if (market !== undefined) ask = Math.max(ask, tickUp(market + TICK));
+    const askShares = Math.min(options.quoteSizeUsd / ask, held);
+    if (ask <= 1 - TICK && askShares >= MIN_SHARES) {
+      quotes.push({ outcome, side: 'SELL', price: ask, shares: askShares });
+    }
+  }
+
+  return quotes;
+}
+
+/**
+ * Paper fill rule: a resting quote fills in full once the market trades
+ * through its price
+ */
+export function quoteFills(quote: MakerQuoteTarget, price: MakerPrice): boolean {
+  const market = outcomePrice(price, quote.outcome);
+  if (market === undefined) return false;
+  return quote.side === 'BUY' ? market <= quote.price : market >= quote.price;
+}
+
+export class MarketMaker {
+  readonly options: MarketMakerOptions;
+  private markets: Map<string, QuotedMarket> = new Map();
+  private placed = 0;
+  private cancelled = 0;
+
+  constructor(
+    private hooks: MarketMakerHooks,
+    options: Partial<MarketMakerOptions> = {},
+    private now: () => number = Date.now
+  ) {
+    this.options = { ...loadMarketMakerOptions(), ...options };
+  }
+
+  isQuoting(marketId: string): boolean {
+    return this.markets.has(marketId);
+  }
+
+  /**
+   * Start (or re-centre) quoting a market around fairYes
+   */
+  setFairValue(marketId: string, marketTitle: string, fairYes: number, price: MakerPrice = {}): Promise<MakerQuote[]> {
+    if (!Number.isFinite(fairYes) || fairYes <= 0 || fairYes >= 1) {
+      return Promise.reject(new Error(`Invalid fair probability ${fairYes} for ${marketTitle}`));
+    }
+    const market: QuotedMarket = this.markets.get(marketId) ?? {
+      marketId,
+      marketTitle,
+      fairYes,
+      fairSetAt: this.now(),
+      lastPrice: price,
+      quotes: [],
+      queue: Promise.resolve(),
+    };
+    market.marketTitle = marketTitle;
+    market.fairYes = fairYes;
+    market.fairSetAt = this.now();
+    if (outcomePrice(price, 'YES') !== undefined) market.lastPrice = price;
+    this.markets.set(marketId, market);
+
+    return this.enqueue(market, async () => {
+      await this.requote(market);
+      return [...market.quotes];
+    });
+  }
+
+  /**
+   * Match resting quotes against the new price, then cancel/replace the ones
+   * whose targets moved
+   */
+  onPriceUpdate(marketId: string, price: MakerPrice): Promise<MakerFill[]> {
+    const market = this.markets.get(marketId);
+    if (!market) return Promise.resolve([]);
+
+    return this.enqueue(market, async () => {
+      market.lastPrice = price;
+      const fills = this.match(market, price);
+
+      if (this.now() - market.fairSetAt > this.options.fairValueTtlMs) {
+        logger.info(`[MarketMaker] Fair value for ${market.marketTitle} expired, pulling quotes`);
+        await this.cancelQuotes(market, market.quotes);
+        this.markets.delete(marketId);
+        return fills;
+      }
+
+      await this.requote(market);
+      return fills;
+    });
+  }
+
+  stop(marketId: string): Promise<number> {
+    const market = this.markets.get(marketId);
+    if (!market) return Promise.resolve(0);
+    this.markets.delete(marketId);
+    return this.enqueue(market, () => this.cancelQuotes(market, market.quotes));
+  }
+
+  async stopAll(): Promise<number> {
+    const counts = await Promise.all([...this.markets.keys()].map(marketId => this.stop(marketId)));
+    return counts.reduce((sum, count) => sum + count, 0);
+  }
+
+  getQuotes(): MakerQuote[] {
+    return [...this.markets.values()].flatMap(market => market.quotes);
+  }
+
+  getState(): { options: MarketMakerOptions; quotesPlaced: number; quotesCancelled: number; markets: MarketMakerState[] } {
+    return {
+      options: this.options,
+      quotesPlaced: this.placed,
+      quotesCancelled: this.cancelled,
+      markets: [...this.markets.values()].map(market => ({
+        marketId: market.marketId,
+        marketTitle: market.marketTitle,
+        fairYes: market.fairYes,
+        fairSetAt: new Date(market.fairSetAt),
+        inventory: this.hooks.getInventory(market.marketId),
+        quotes: [...market.quotes],
+      })),
+    };
+  }
+
+  private enqueue<T>(market: QuotedMarket, task: () => Promise<T>): Promise<T> {
+    const run = market.queue.then(task, task);
+    market.queue = run.catch(() => undefined);
+    return run;
+  }
+
+  private match(market: QuotedMarket, price: MakerPrice): MakerFill[] {
+    const fills: MakerFill[] = [];
+    for (const quote of [...market.quotes]) {
+      if (!quoteFills(quote, price)) continue;
+
+      const fill: MakerFill = {
+        quoteId: quote.id,
+        marketId: market.marketId,
+        marketTitle: market.marketTitle,
+        outcome: quote.outcome,
+        side: quote.side,
+        price: quote.price,
+        shares: quote.shares,
+        fee: quote.price * quote.shares * this.options.makerFeeRate,
+        timestamp: this.now(),
+      };
+      // A rejected fill leaves nothing to rest: the quote is gone either way
+      market.quotes = market.quotes.filter(resting => resting.id !== quote.id);
+      if (this.hooks.onFill(fill)) fills.push(fill);
+    }
+    return fills;
+  }
+
+  private async requote(market: QuotedMarket): Promise<void> {
+    const targets = computeQuotes(market.fairYes, market.lastPrice, this.hooks.getInventory(market.marketId), this.options);
+    const keep: MakerQuote[] = [];
+    const stale: MakerQuote[] = [];
+
+    for (const quote of market.quotes) {
+      const index = targets.findIndex(target =>
+        target.outcome === quote.outcome &&
+        target.side === quote.side &&
+        Math.abs(target.price - quote.price) < this.options.requoteThreshold &&
+        Math.abs(target.shares - quote.shares) <= quote.shares * SIZE_TOLERANCE
+      );
+      if (index === -1) {
+        stale.push(quote);
+      } else {
+        keep.push(quote);
+        targets.splice(index, 1);
+      }
+    }
+
+    await this.cancelQuotes(market, stale);
+    for (const target of targets) {
+      await this.hooks.throttle();
+      const quote: MakerQuote = { ...target, id: uuidv4(), marketId: market.marketId, placedAt: this.now() };
+      market.quotes.push(quote);
+      this.placed++;
+    }
+    if (stale.length || targets.length) {
+      logger.debug(
+        `[MarketMaker] ${market.marketTitle}: ${stale.length} cancelled, ${targets.length} placed, ${keep.length} kept`
+      );
+    }
+  }
+
+  private async cancelQuotes(market: QuotedMarket, quotes: MakerQuote[]): Promise<number> {
+    let count = 0;
+    for (const quote of [...quotes]) {
+      await this.hooks.throttle();
+      market.quotes = market.quotes.filter(resting => resting.id !== quote.id);
+      this.cancelled++;
+      count++;
+    }
+    return count;
+  }
+}
+
+/**
+ * Replay recorded snapshots (oldest first) against a market maker quoting
+ * around a fixed fair probability. Runs unthrottled with its own inventory.
+ */
+export async function simulateMarketMaking(
+  marketId: string,
+  snapshots: PredictionMarketSnapshot[],
+  fairYes: number,
+  options: Partial<MarketMakerOptions> = {}
+): Promise<MarketMakingSimulation> {
+  const inventory: MakerInventory = { YES: 0, NO: 0 };
+  let cashFlow = 0;
+  const maker = new MarketMaker({
+    getInventory: () => ({ ...inventory }),
+    onFill: fill => {
+      const value = fill.price * fill.shares;
+      if (fill.side === 'BUY') {
+        inventory[fill.outcome] += fill.shares;
+        cashFlow -= value + fill.fee;
+      } else {
+        inventory[fill.outcome] -= fill.shares;
+        cashFlow += value - fill.fee;
+      }
+      return true;
+    },
+    throttle: async () => undefined,
+  }, { ...options, fairValueTtlMs: Infinity });
+
+  const fills: MakerFill[] = [];
+  if (snapshots.length) {
+    await maker.setFairValue(marketId, marketId, fairYes, snapshots[0]);
+    for (const snapshot of snapshots.slice(1)) {
+      fills.push(...await maker.onPriceUpdate(marketId, snapshot));
+    }
+  }
+
+  const last = snapshots[snapshots.length - 1] ?? {};
+  const inventoryValue = (['YES', 'NO'] as MakerOutcome[])
+    .reduce((sum, outcome) => sum + inventory[outcome] * (outcomePrice(last, outcome) ?? 0), 0);
+  const { quotesPlaced, quotesCancelled } = maker.getState();
+
+  return {
+    marketId,
+    fairYes,
+    snapshots: snapshots.length,
+    fills,
+    quotesPlaced,
+    quotesCancelled,
+    inventory,
+    cashFlow,
+    markToMarketPnl: cashFlow + inventoryValue,
+  };
+}
@@ -0,0 +1,57 @@
+// Prediction Market Consistency Arbitrage Node
+
+import { PredictionAgentState } from '../state';
+import predictionStore from '../../data/prediction-store';
+import predictionExecutionEngine from '../execution-engine';
+import logger from '../../shared/logger';
+import { PredictionMarket } from '../../shared/types';
+import { basketIdeas, findConsistencyViolations, isStale, loadConsistencyOptions } from '../consistency-arbitrage';
+
+const options = loadConsistencyOptions();
+
+export async function consistencyArbitrageNode(state: PredictionAgentState): Promise<Partial<PredictionAgentState>> {
+  if (!options.enabled) {
+    return { currentStep: 'CONSISTENCY_SKIPPED' };
+  }
+
+  logger.info('[PredictionConsistency] Checking related markets for inconsistent prices');
+
+  // This cycle's prices win; stored markets only fill in recently priced ones
+  const markets = new Map<string, PredictionMarket>();
+  try {
+    for (const market of predictionStore.getMarkets(options.storeLimit, { statuses: ['OPEN'] })) {
+      if (!isStale(market, options.maxPriceAgeMs)) markets.set(market.id, market);
+    }
+  } catch (error) {
+    logger.warn('[PredictionConsistency] Stored markets unavailable:', error);
+  }
+  for (const market of state.marketUniverse) markets.set(market.id, market);
+
+  const portfolio = state.portfolio || predictionExecutionEngine.getPortfolio();
+  const held = new Set(portfolio.positions.map(position => `${position.marketId}:${position.outcome}`));
+  const baskets = findConsistencyViolations([...markets.values()], options, held);
+  const ideas = baskets.flatMap(basket => basketIdeas(basket, held));
+
+  // The risk gate and executor price legs from activeMarkets
+  const activeIds = new Set(state.activeMarkets.map(market => market.id));
+  const legMarkets = [...new Set(ideas.map(idea => idea.marketId))]
+    .filter(marketId => !activeIds.has(marketId))
+    .map(marketId => markets.get(marketId)!);
+  for (const market of legMarkets) {
+    predictionExecutionEngine.updateMarketPrice(market.id, market.yesPrice, market.noPrice);
+  }
+
+  return {
+    currentStep: ideas.length ? 'CONSISTENCY_VIOLATIONS' : 'CONSISTENCY_CLEAN',
+    ideas: [...state.ideas, ...ideas],
+    activeMarkets: [...state.activeMarkets, ...legMarkets],
+    thoughts: [
+      ...state.thoughts,
+      baskets.length
+        ? `Consistency: ${baskets.map(basket => `${basket.kind} ${(basket.edge * 100).toFixed(1)}c (${basket.legs.length} legs)`).join(', ')}`
+        : `Consistency: no violations across ${markets.size} markets`,
+    ],
+  };
+}
+
+export default consistencyArbitrageNode;
@@ -3,6 +3,8 @@
 import { PredictionAgentState } from '../state';
 import predictionExecutionEngine from '../execution-engine';
 import logger from '../../shared/logger';
+import { toYesProbabilities } from '../calibration';
+import { executeBasket } from '../consistency-arbitrage';
 
 export async function executorNode(state: PredictionAgentState): Promise<Partial<PredictionAgentState>> {
   logger.info('[PredictionExecutor] Executing prediction trade');
@@ -17,6 +19,72 @@ export async function executorNode(state: PredictionAgentState): Promise<Partial
 
   const marketTitle = state.activeMarkets.find(m => m.id === state.signal?.marketId)?.title || 'Unknown Market';
 
+  // Maker mode quotes around the idea's fair value instead of entering;
+  // reductions of an opposing position and arbitrage legs still execute immediately
+  const idea = state.selectedIdea;
+  if (
+    predictionExecutionEngine.isMakerMode() &&
+    state.signal.action === 'BUY' &&
+    idea?.marketId === state.signal.marketId &&
+    !idea.basket
+  ) {
+    try {
+      const fairYes = toYesProbabilities(idea).predicted;
+      const quotes = await predictionExecutionEngine.quoteMarket(state.signal.marketId, marketTitle, fairYes);
+      return {
+        currentStep: 'EXECUTION_QUOTING',
+        executionResult: null,
+        portfolio: predictionExecutionEngine.getPortfolio(),
+        thoughts: [
+          ...state.thoughts,
+          `Quoting ${quotes.length} maker orders on ${marketTitle} around ${(fairYes * 100).toFixed(1)}% YES`,
+        ],
+      };
+    } catch (error) {
+      logger.error('[PredictionExecutor] Quoting failed:', error);
+      return {
+        currentStep: 'EXECUTION_ERROR',
+        executionResult: null,
+        errors: [...state.errors, `Quoting error: ${error}`],
+      };
+    }
+  }
+
+  // Arbitrage baskets buy every missing leg together, or none of them
+  if (idea?.basket && state.signal.action === 'BUY') {
+    const signal = state.signal;
+    const risk = state.riskAssessment;
+    const held = new Set(predictionExecutionEngine.getPositions().map(position => `${position.marketId}:${position.outcome}`));
+    try {
+      const trades = await executeBasket(idea.basket, held, (leg, action, shares) => {
+        const sizeUsd = shares * leg.price;
+        return predictionExecutionEngine.executeSignal(
+          { ...signal, marketId: leg.marketId, outcome: leg.outcome, action, sizeUsd, price: leg.price },
+          { ...risk, suggestedSizeUsd: sizeUsd, maxLossUsd: sizeUsd },
+          leg.marketTitle
+        );
+      });
+
+      return {
+        currentStep: 'EXECUTION_COMPLETE',
+        executionResult: trades.find(trade => trade.marketId === signal.marketId) ?? trades[0] ?? null,
+        portfolio: predictionExecutionEngine.getPortfolio(),
+        thoughts: [
+          ...state.thoughts,
+          `Bought ${trades.length} arbitrage legs: ${trades.map(trade => `${trade.outcome} on ${trade.marketTitle}`).join(', ')}`,
+        ],
+      };
+    } catch (error) {
+      logger.error('[PredictionExecutor] Basket execution failed:', error);
+      return {
+        currentStep: 'EXECUTION_ERROR',
+        executionResult: null,
+        portfolio: predictionExecutionEngine.getPortfolio(),
+        errors: [...state.errors, `Basket execution error (legs bought this cycle were sold back): ${error}`],
+      };
+    }
+  }
+
   try {
     const trade = await predictionExecutionEngine.executeSignal(
       state.signal,
@@ -18,6 +18,27 @@ export async function ideaSelectorNode(state: PredictionAgentState): Promise<Par
     };
   }
 
+  // Arbitrage legs are priced by their basket, not by price history. The
+  // executor buys every missing leg of the selected basket at once; baskets
+  // already started (an unwind that failed) are finished first.
+  const legs = state.ideas
+    .filter(idea => idea.basket)
+    .sort((a, b) => (b.basket!.legsHeld - a.basket!.legsHeld) || (b.basket!.edge - a.basket!.edge));
+  if (legs.length) {
+    const leg = legs[0];
+    const basket = leg.basket!;
+    return {
+      currentStep: 'IDEA_SELECTED',
+      selectedIdea: leg,
+      shouldExecute: true,
+      thoughts: [
+        ...state.thoughts,
+        `Arbitrage basket: ${basket.legs.length - basket.legsHeld} of ${basket.legs.length} legs to buy, starting with ${leg.marketTitle} (${leg.outcome})`,
+        `${basket.description}; edge ${(basket.edge * 100).toFixed(1)}c per share set`,
+      ],
+    };
+  }
+
   const backtestMap = new Map(state.backtestResults.map(result => [result.ideaId, result]));
 
   const scored = state.ideas.map(idea => {
@@ -1,6 +1,7 @@
 export { marketDataNode } from './market-data';
 export { newsContextNode } from './news-context';
 export { theorizerNode } from './theorizer';
+export { consistencyArbitrageNode } from './consistency-arbitrage';
 export { backtesterNode } from './backtester';
 export { ideaSelectorNode } from './idea-selector';
 export { riskGateNode } from './risk-gate';
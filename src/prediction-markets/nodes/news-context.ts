@@ -68,7 +68,7 @@ function resolveUrgency(clusters: StoryCluster[]): 'CRITICAL' | 'HIGH' | 'MEDIUM
   return best;
 }
 
-function buildMarketIntel(
+export function buildMarketIntel(
   market: PredictionAgentState['activeMarkets'][number],
   news: NewsItem[],
   clusters: StoryCluster[],
@@ -5,6 +5,7 @@ import predictionExecutionEngine from '../execution-engine';
 import riskManager from '../risk-manager';
 import logger from '../../shared/logger';
 import { PredictionRiskAssessment } from '../../shared/types';
+import { missingLegs } from '../consistency-arbitrage';
 
 export async function riskGateNode(state: PredictionAgentState): Promise<Partial<PredictionAgentState>> {
   logger.info('[PredictionRiskGate] Evaluating risk with comprehensive checks');
@@ -89,6 +90,17 @@ export async function riskGateNode(state: PredictionAgentState): Promise<Partial
   if (opposing && riskAssessment.approved) {
     const maxCloseSize = opposing.shares * opposing.lastPrice;
     riskAssessment.suggestedSizeUsd = Math.min(riskAssessment.suggestedSizeUsd, maxCloseSize);
+  } else if (state.selectedIdea.basket && riskAssessment.approved) {
+    // Every missing leg is bought in one step with the same number of shares, so the basket pays out
+    const basket = state.selectedIdea.basket;
+    const held = new Set(portfolio.positions.map(position => `${position.marketId}:${position.outcome}`));
+    const basketSize = missingLegs(basket, held).reduce((sum, leg) => sum + basket.sharesPerLeg * leg.price, 0);
+    if (basketSize > portfolio.availableBalance) {
+      riskAssessment.approved = false;
+      riskAssessment.warnings.push(`Insufficient balance for basket: need $${basketSize.toFixed(2)}`);
+    }
+    riskAssessment.suggestedSizeUsd = basketSize;
+    riskAssessment.maxLossUsd = basketSize;
   }
 
   const signal = {
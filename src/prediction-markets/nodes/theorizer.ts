@@ -5,6 +5,7 @@ import { PredictionAgentState } from '../state';
 import { PredictionIdea, NewsItem, PredictionMarketIntel } from '../../shared/types';
 import glmService from '../../shared/glm-service';
 import logger from '../../shared/logger';
+import calibrationTracker from '../calibration';
 
 const MIN_EDGE = Number.parseFloat(process.env.PREDICTION_MIN_EDGE || '0.02');
 const MIN_SENTIMENT = Number.parseFloat(process.env.PREDICTION_MIN_SENTIMENT || '0.01');
@@ -80,7 +81,7 @@ function enrichIdea(idea: PredictionIdea, intel?: PredictionMarketIntel): Predic
   };
 }
 
-function buildFallbackIdea(
+export function buildFallbackIdea(
   market: PredictionAgentState['activeMarkets'][number],
   news: NewsItem[],
   intel?: PredictionMarketIntel,
@@ -128,6 +129,24 @@ function buildFallbackIdea(
   }, intel);
 }
 
+/**
+ * Record the raw forecasts for calibration, then scale each edge by its idea
+ * type's calibration multiplier. Ideas the correction pushes below MIN_EDGE
+ * are dropped.
+ */
+function applyCalibration(ideas: PredictionIdea[]): PredictionIdea[] {
+  try {
+    calibrationTracker.recordIdeas(ideas);
+    return ideas
+      .map(idea => ({ idea, calibrated: calibrationTracker.calibrate(idea) }))
+      .filter(({ idea, calibrated }) => calibrated.edge === idea.edge || Math.abs(calibrated.edge) >= MIN_EDGE)
+      .map(({ calibrated }) => calibrated);
+  } catch (error) {
+    logger.warn('[PredictionTheorizer] Calibration unavailable, using raw edges:', error);
+    return ideas;
+  }
+}
+
 export async function theorizerNode(state: PredictionAgentState): Promise<Partial<PredictionAgentState>> {
   logger.info('[PredictionTheorizer] Generating prediction ideas');
 
@@ -147,7 +166,7 @@ export async function theorizerNode(state: PredictionAgentState): Promise<Partia
       });
 
       if (ideas.length) {
-        const enrichedIdeas = ideas.map(idea => enrichIdea(idea, state.marketIntel[idea.marketId]));
+        const enrichedIdeas = applyCalibration(ideas.map(idea => enrichIdea(idea, state.marketIntel[idea.marketId])));
         return {
           currentStep: 'THEORIZER_COMPLETE',
           ideas: enrichedIdeas,
@@ -162,12 +181,13 @@ export async function theorizerNode(state: PredictionAgentState): Promise<Partia
     logger.warn('[PredictionTheorizer] LLM generation failed, falling back:', error);
   }
 
-  const ideas: PredictionIdea[] = [];
+  const rawIdeas: PredictionIdea[] = [];
   for (const market of state.activeMarkets) {
     const news = state.marketNews[market.id] || [];
     const idea = buildFallbackIdea(market, news, state.marketIntel[market.id]);
-    if (idea) ideas.push(idea);
+    if (idea) rawIdeas.push(idea);
   }
+  const ideas = applyCalibration(rawIdeas);
 
   return {
     currentStep: ideas.length ? 'THEORIZER_FALLBACK' : 'THEORIZER_EMPTY',
@@ -273,6 +273,17 @@ async function fetchMarkets(limit: number = 100): Promise<PredictionMarket[]> {
   return [];
 }
 
+async function fetchMarket(marketId: string): Promise<PredictionMarket | null> {
+  if (!marketId) return null;
+  try {
+    const response = await axios.get(`${DEFAULT_BASE_URL}/markets/${encodeURIComponent(marketId)}`, { timeout: 15000 });
+    return normalizeMarket(response.data);
+  } catch (error: any) {
+    logger.warn(`[Polymarket] Market fetch failed for ${marketId}:`, error.message);
+    return null;
+  }
+}
+
 async function fetchCandles(tokenId: string): Promise<{ timestamp: number; price: number }[]> {
   if (!tokenId) return [];
   try {
@@ -291,5 +302,6 @@ async function fetchCandles(tokenId: string): Promise<{ timestamp: number; price
 
 export default {
   fetchMarkets,
+  fetchMarket,
   fetchCandles,
 };
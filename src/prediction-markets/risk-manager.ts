@@ -326,11 +326,14 @@ export class RiskManager {
       };
     }
     
-    // Check for related markets (simple keyword matching)
+    // Check for related markets (simple keyword matching). Legs of the same
+    // arbitrage basket hedge each other and don't count.
     const ideaKeywords = idea.marketTitle.toLowerCase().split(' ');
+    const basketMarkets = new Set(idea.basket?.marketIds ?? []);
     let correlatedCount = 0;
     
     for (const position of positions) {
+      if (basketMarkets.has(position.marketId)) continue;
       const posKeywords = position.marketTitle.toLowerCase().split(' ');
       const overlap = ideaKeywords.filter(k => posKeywords.includes(k) && k.length > 3);
       
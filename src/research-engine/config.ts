@@ -9,6 +9,10 @@ const DEFAULT_MAX_CONCURRENT_BACKTESTS = 5;
 export interface ResearchPerformanceThresholds {
   minSharpeRatio: number;
   minWinRate: number;
+  /** Minimum walk-forward out-of-sample Sharpe for promotion (unset = not required) */
+  minOosSharpe?: number;
+  /** Maximum Monte Carlo risk of ruin (0-1) for promotion (unset = not required) */
+  maxRiskOfRuin?: number;
 }
 
 export interface ResearchEngineConfig {
@@ -30,6 +34,12 @@ function parsePositiveNumber(value: string | undefined, fallback: number): numbe
   return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
 }
 
+function parseOptionalNumber(value: string | undefined): number | undefined {
+  if (value === undefined || value.trim() === '') return undefined;
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
 function parseWinRate(value: string | undefined, fallback: number): number {
   if (!value) return fallback;
   const parsed = Number.parseFloat(value);
@@ -58,6 +68,8 @@ export function loadResearchEngineConfig(env: NodeJS.ProcessEnv = process.env):
         DEFAULT_MIN_SHARPE_RATIO
       ),
       minWinRate: parseWinRate(env.RESEARCH_MIN_WIN_RATE, DEFAULT_MIN_WIN_RATE),
+      minOosSharpe: parseOptionalNumber(env.RESEARCH_MIN_OOS_SHARPE),
+      maxRiskOfRuin: parseOptionalNumber(env.RESEARCH_MAX_RISK_OF_RUIN),
     },
     maxConcurrentBacktests: parsePositiveInt(
       env.RESEARCH_MAX_CONCURRENT_BACKTESTS,
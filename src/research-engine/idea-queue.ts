@@ -8,6 +8,7 @@ import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../shared/logger';
 import config from '../shared/config';
+import { StrategyRules } from '../strategy-dsl';
 
 export type IdeaStatus = 'PENDING' | 'QUEUED' | 'RUNNING' | 'COMPLETED' | 'FAILED' | 'REJECTED';
 export type BacktestStatus = 'PENDING' | 'RUNNING' | 'COMPLETED' | 'FAILED';
@@ -22,6 +23,7 @@ export interface StrategyIdea {
   parameters: Record<string, any>;
   entryConditions: string[];
   exitConditions: string[];
+  rules?: StrategyRules;
   riskParameters: {
     maxPositionSize: number;
     stopLoss: number;
@@ -59,6 +61,12 @@ export interface StrategyPerformance {
   maxDrawdown: number;
   totalTrades: number;
   profitFactor: number;
+  /** Walk-forward out-of-sample Sharpe; null when walk-forward was not run */
+  oosSharpe: number | null;
+  /** In-sample minus out-of-sample Sharpe; null when walk-forward was not run */
+  isOosGap: number | null;
+  /** Monte Carlo risk of ruin (0-1); null when the robustness check was not run */
+  riskOfRuin: number | null;
   updatedAt: Date;
 }
 
@@ -182,6 +190,16 @@ export class IdeaQueue {
         CREATE INDEX IF NOT EXISTS idx_strategy_performance_sharpe ON strategy_performance(sharpe)
       `);
 
+      // Walk-forward and strategy rule columns (added after the initial schema)
+      for (const sql of [
+        'ALTER TABLE strategy_performance ADD COLUMN oos_sharpe REAL',
+        'ALTER TABLE strategy_performance ADD COLUMN is_oos_gap REAL',
+        'ALTER TABLE strategy_performance ADD COLUMN mc_risk_of_ruin REAL',
+        'ALTER TABLE strategy_ideas ADD COLUMN rules TEXT',
+      ]) {
+        try { this.db.exec(sql); } catch { /* column already exists */ }
+      }
+
       logger.info('[IdeaQueue] Database tables created successfully');
     } catch (error) {
       logger.error('[IdeaQueue] Failed to create tables:', error);
@@ -200,9 +218,9 @@ export class IdeaQueue {
     const insert = this.db.prepare(`
       INSERT INTO strategy_ideas (
         id, name, description, type, symbols, timeframe, parameters,
-        entry_conditions, exit_conditions, risk_parameters, confidence,
+        entry_conditions, exit_conditions, rules, risk_parameters, confidence,
         rationale, status, market_context, params_hash, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const insertJob = this.db.prepare(`
@@ -217,8 +235,8 @@ export class IdeaQueue {
     const transaction = this.db.transaction((items: StrategyIdea[]) => {
       for (const idea of items) {
         try {
-          // Compute params_hash from name + parameters for dedup
-          const hashInput = idea.name + JSON.stringify(idea.parameters);
+          // Compute params_hash from name + parameters (+ rules) for dedup
+          const hashInput = idea.name + JSON.stringify(idea.parameters) + (idea.rules ? JSON.stringify(idea.rules) : '');
           const paramsHash = crypto.createHash('sha256').update(hashInput).digest('hex');
 
           // Check if idea with same params_hash already exists and is not archived
@@ -239,6 +257,7 @@ export class IdeaQueue {
             JSON.stringify(idea.parameters),
             JSON.stringify(idea.entryConditions),
             JSON.stringify(idea.exitConditions),
+            idea.rules ? JSON.stringify(idea.rules) : null,
             JSON.stringify(idea.riskParameters),
             idea.confidence,
             idea.rationale,
@@ -423,10 +442,10 @@ export class IdeaQueue {
     this.db.prepare(`
       INSERT OR REPLACE INTO strategy_performance (
         id, strategy_id, sharpe, win_rate, pnl, max_drawdown,
-        total_trades, profit_factor, updated_at
+        total_trades, profit_factor, oos_sharpe, is_oos_gap, mc_risk_of_ruin, updated_at
       ) VALUES (
         COALESCE((SELECT id FROM strategy_performance WHERE strategy_id = ?), ?),
-        ?, ?, ?, ?, ?, ?, ?, ?
+        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
       )
     `).run(
       strategyId,
@@ -438,6 +457,9 @@ export class IdeaQueue {
       results.maxDrawdown || 0,
       results.totalTrades || 0,
       results.profitFactor || 0,
+      results.oosSharpe ?? null,
+      results.isOosGap ?? null,
+      results.monteCarlo?.riskOfRuin ?? null,
       now
     );
   }
@@ -494,6 +516,9 @@ export class IdeaQueue {
       maxDrawdown: row.max_drawdown,
       totalTrades: row.total_trades,
       profitFactor: row.profit_factor,
+      oosSharpe: row.oos_sharpe ?? null,
+      isOosGap: row.is_oos_gap ?? null,
+      riskOfRuin: row.mc_risk_of_ruin ?? null,
       updatedAt: new Date(row.updated_at),
     }));
   }
@@ -542,6 +567,28 @@ export class IdeaQueue {
     }));
   }
 
+  /**
+   * Recorded funding rates for backtests. Timestamps are stored in seconds by
+   * the market ingester and in milliseconds by the funding scanner.
+   */
+  getFundingRatesForBacktest(symbols: string[], sinceMs: number): Array<{ symbol: string; timestamp: number; fundingRate: number }> {
+    if (!this.db || symbols.length === 0) return [];
+
+    const placeholders = symbols.map(() => '?').join(', ');
+    try {
+      return this.db.prepare(
+        `SELECT symbol, timestamp, fundingRate
+         FROM funding_rates
+         WHERE symbol IN (${placeholders})
+           AND ((timestamp >= ? AND timestamp < 1000000000000) OR timestamp >= ?)
+         ORDER BY timestamp ASC`
+      ).all(...symbols, Math.floor(sinceMs / 1000), sinceMs) as Array<{ symbol: string; timestamp: number; fundingRate: number }>;
+    } catch {
+      // funding_rates is created by the market ingester; absent on fresh installs
+      return [];
+    }
+  }
+
   /**
    * Delete old completed ideas
    */
@@ -585,6 +632,7 @@ export class IdeaQueue {
       parameters: JSON.parse(row.parameters || '{}'),
       entryConditions: JSON.parse(row.entry_conditions || '[]'),
       exitConditions: JSON.parse(row.exit_conditions || '[]'),
+      ...(row.rules && { rules: JSON.parse(row.rules) }),
       riskParameters: JSON.parse(row.risk_parameters || '{}'),
       confidence: row.confidence,
       rationale: row.rationale,
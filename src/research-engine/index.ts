@@ -6,6 +6,7 @@ import logger from '../shared/logger';
 import { MarketAnalyzer, MarketRegime } from './market-analyzer';
 import { IdeaQueue, StrategyIdea, IdeaStatus } from './idea-queue';
 import { StrategyGenerator } from './strategy-generator';
+import { researchEngineConfig } from './config';
 import cron from 'node-cron';
 
 interface ResearchEngineConfig {
@@ -193,7 +194,7 @@ export class ResearchEngine {
    */
   private async backtestStrategy(idea: StrategyIdea): Promise<any> {
     try {
-      const { BacktestEngine } = await import('../backtest/enhanced-backtest');
+      const { BacktestEngine, FundingHistory, runMonteCarlo } = await import('../backtest/enhanced-backtest');
       
       // Load recent market data using IdeaQueue's DB connection (avoids WAL locking)
       const cutoffTime = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
@@ -215,17 +216,34 @@ export class ResearchEngine {
         parameters: idea.parameters,
         entryConditions: idea.entryConditions,
         exitConditions: idea.exitConditions,
+        rules: idea.rules,
         riskParameters: idea.riskParameters,
       };
 
+      const fundingHistory = new FundingHistory(
+        this.ideaQueue.getFundingRatesForBacktest(symbols, Date.parse(cutoffTime) - 3 * 60 * 60 * 1000)
+      );
+
       const engine = new BacktestEngine({
         initialCapital: 10000,
         commissionRate: 0.0005,
         slippageBps: 5,
+        fundingHistory,
       });
 
       const result = await engine.runBacktest(strategy as any, marketData as any);
 
+      // Out-of-sample check: score the strategy on windows it was not run over
+      let walkForward: any = null;
+      try {
+        walkForward = await engine.runWalkForward(strategy as any, marketData as any);
+      } catch (wfError) {
+        logger.warn(`[ResearchEngine] Walk-forward skipped for ${idea.name}: ${wfError instanceof Error ? wfError.message : wfError}`);
+      }
+
+      // Robustness check: how much of the result depends on the trade order
+      const monteCarlo = runMonteCarlo(result);
+
       return {
         sharpeRatio: result.sharpeRatio,
         winRate: result.winRate / 100, // Convert from % to decimal
@@ -233,6 +251,17 @@ export class ResearchEngine {
         maxDrawdown: result.maxDrawdown / 100, // Convert from % to decimal
         totalTrades: result.totalTrades,
         profitFactor: (result as any).profitFactor ?? 0,
+        fundingPnl: result.metrics.fundingPnl ?? 0,
+        oosSharpe: walkForward?.oosScore ?? null,
+        isOosGap: walkForward?.gap.sharpeRatio ?? null,
+        walkForward: walkForward && {
+          windows: walkForward.windows.length,
+          inSample: walkForward.inSample,
+          outOfSample: walkForward.outOfSample,
+          gap: walkForward.gap,
+          profitableWindows: walkForward.profitableWindows,
+        },
+        monteCarlo,
         completedAt: new Date().toISOString(),
       };
     } catch (importError) {
@@ -266,7 +295,28 @@ export class ResearchEngine {
    */
   private async promoteTopStrategies(): Promise<void> {
     try {
-      const topStrategies = await this.ideaQueue.getTopStrategies(5);
+      let topStrategies = await this.ideaQueue.getTopStrategies(5);
+
+      // Require a minimum out-of-sample score when configured
+      const minOosSharpe = researchEngineConfig.performanceThresholds.minOosSharpe;
+      if (minOosSharpe !== undefined) {
+        const before = topStrategies.length;
+        topStrategies = topStrategies.filter(s => s.oosSharpe !== null && s.oosSharpe >= minOosSharpe);
+        if (topStrategies.length < before) {
+          logger.info(`[ResearchEngine] ${before - topStrategies.length} strategies held back by OOS gate (min OOS Sharpe ${minOosSharpe})`);
+        }
+      }
+
+      // Reject strategies whose result hinges on a lucky trade sequence
+      const maxRiskOfRuin = researchEngineConfig.performanceThresholds.maxRiskOfRuin;
+      if (maxRiskOfRuin !== undefined) {
+        const before = topStrategies.length;
+        topStrategies = topStrategies.filter(s => s.riskOfRuin !== null && s.riskOfRuin <= maxRiskOfRuin);
+        if (topStrategies.length < before) {
+          logger.info(`[ResearchEngine] ${before - topStrategies.length} strategies held back by Monte Carlo gate (max risk of ruin ${maxRiskOfRuin})`);
+        }
+      }
+
       if (topStrategies.length === 0) {
         logger.info('[ResearchEngine] No top strategies to promote');
         return;
@@ -387,6 +437,8 @@ export class ResearchEngine {
                 winRate: perf.winRate * 100,
                 totalPnL: perf.pnl,
                 sharpeRatio: perf.sharpe,
+                oosSharpe: perf.oosSharpe,
+                riskOfRuin: perf.riskOfRuin,
                 maxDrawdown: perf.maxDrawdown,
                 // Compute averageWin/averageLoss from profit factor and win rate
                 // PF = (avgWin * winningTrades) / (avgLoss * losingTrades)
@@ -411,9 +463,9 @@ export class ResearchEngine {
             db.prepare(`
               INSERT INTO strategies (
                 id, name, description, type, symbols, timeframe, parameters,
-                entryConditions, exitConditions, riskParameters, isActive,
+                entryConditions, exitConditions, rules, riskParameters, isActive,
                 performance, params_hash, createdAt, updatedAt
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
             `).run(
               strategyId,
               idea.name,
@@ -424,6 +476,7 @@ export class ResearchEngine {
               idea.parameters,
               idea.entry_conditions,
               idea.exit_conditions,
+              idea.rules ?? null,
               idea.risk_parameters,
               JSON.stringify({
                 source: 'backtest',
@@ -433,6 +486,8 @@ export class ResearchEngine {
                 winRate: perf.winRate * 100,
                 totalPnL: perf.pnl,
                 sharpeRatio: perf.sharpe,
+                oosSharpe: perf.oosSharpe,
+                riskOfRuin: perf.riskOfRuin,
                 maxDrawdown: perf.maxDrawdown,
                 averageWin: perf.profitFactor > 0 && perf.totalTrades > 0
                   ? Math.abs(perf.pnl) * perf.profitFactor / (Math.round(perf.totalTrades * perf.winRate) * perf.profitFactor + Math.round(perf.totalTrades * (1 - perf.winRate)))
@@ -519,9 +574,9 @@ export class ResearchEngine {
               db.prepare(`
                 INSERT INTO strategies (
                   id, name, description, type, symbols, timeframe, parameters,
-                  entryConditions, exitConditions, riskParameters, isActive,
+                  entryConditions, exitConditions, rules, riskParameters, isActive,
                   performance, params_hash, createdAt, updatedAt
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
               `).run(
                 strategyId,
                 bestTrend.name,
@@ -532,6 +587,7 @@ export class ResearchEngine {
                 bestTrend.parameters,
                 bestTrend.entry_conditions,
                 bestTrend.exit_conditions,
+                bestTrend.rules ?? null,
                 bestTrend.risk_parameters,
                 JSON.stringify({
                   source: 'backtest',
@@ -625,9 +681,9 @@ export class ResearchEngine {
               db.prepare(`
                 INSERT INTO strategies (
                   id, name, description, type, symbols, timeframe, parameters,
-                  entryConditions, exitConditions, riskParameters, isActive,
+                  entryConditions, exitConditions, rules, riskParameters, isActive,
                   performance, params_hash, createdAt, updatedAt
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
               `).run(
                 strategyId,
                 bestOfType.name,
@@ -638,6 +694,7 @@ export class ResearchEngine {
                 bestOfType.parameters,
                 bestOfType.entry_conditions,
                 bestOfType.exit_conditions,
+                bestOfType.rules ?? null,
                 bestOfType.risk_parameters,
                 JSON.stringify({
                   source: 'backtest',
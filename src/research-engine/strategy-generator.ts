@@ -5,6 +5,7 @@ import logger from '../shared/logger';
 import { MarketRegime } from './market-analyzer';
 import { StrategyIdea, IdeaStatus } from './idea-queue';
 import { v4 as uuidv4 } from 'uuid';
+import { StrategyRules, validateStrategyRules } from '../strategy-dsl';
 
 export interface GeneratedStrategy {
   name: string;
@@ -15,6 +16,7 @@ export interface GeneratedStrategy {
   parameters: Record<string, any>;
   entryConditions: string[];
   exitConditions: string[];
+  rules?: StrategyRules;
   riskParameters: {
     maxPositionSize: number;
     stopLoss: number;
@@ -98,6 +100,13 @@ Requirements:
 3. Include clear entry/exit conditions with technical indicators
 4. Risk parameters should reflect current volatility
 5. Each strategy needs a confidence score (0.0-1.0)
+6. Express the entry/exit logic as machine-readable "rules" (this is what gets backtested):
+   - A comparison is [left, operator, right]; operators: <, <=, >, >=, crossesAbove, crossesBelow
+   - Combine comparisons with {"all": [...]}, {"any": [...]} or {"not": ...}
+   - Operands: numbers, close/open/high/low/volume, rsi(14), sma(20), sma(20,volume), ema(50), atr(14), obv, ad,
+     macd(12,26,9), macd.signal(12,26,9), macd.histogram(12,26,9), bb.upper(20,2), bb.middle(20,2), bb.lower(20,2)
+   - "$name" reads a number from "parameters"; "1.5*sma(20,volume)" scales a term
+   - "long" and "short" each take an "entry" and an optional "exit"; omit a side to trade one direction only
 
 Return valid JSON only:
 {
@@ -114,6 +123,12 @@ Return valid JSON only:
       },
       "entryConditions": ["RSI < 30", "Price > EMA50"],
       "exitConditions": ["RSI > 70", "Stop loss hit"],
+      "rules": {
+        "long": {
+          "entry": { "all": [["rsi(14)", "<", "$oversold"], ["close", ">", "ema(50)"]] },
+          "exit": ["rsi(14)", ">", "$overbought"]
+        }
+      },
       "riskParameters": {
         "maxPositionSize": 0.1,
         "stopLoss": 0.03,
@@ -161,6 +176,7 @@ Return valid JSON only:
       const strategies: StrategyIdea[] = [];
 
       for (const s of parsed.strategies || []) {
+        const rules = this.parseRules(s);
         const strategy: StrategyIdea = {
           id: uuidv4(),
           name: s.name || 'Unnamed Strategy',
@@ -171,6 +187,7 @@ Return valid JSON only:
           parameters: s.parameters || {},
           entryConditions: Array.isArray(s.entryConditions) ? s.entryConditions : [],
           exitConditions: Array.isArray(s.exitConditions) ? s.exitConditions : [],
+          ...(rules && { rules }),
           riskParameters: {
             maxPositionSize: s.riskParameters?.maxPositionSize || 0.05,
             stopLoss: s.riskParameters?.stopLoss || 0.03,
@@ -344,6 +361,21 @@ Return valid JSON only:
   /**
    * Validate strategy type
    */
+  /**
+   * Rules from a generated strategy, or undefined (type-based rules) when
+   * missing or invalid
+   */
+  private parseRules(s: any): StrategyRules | undefined {
+    if (s.rules === undefined || s.rules === null) return undefined;
+
+    const error = validateStrategyRules(s.rules, s.parameters || {});
+    if (error) {
+      logger.warn(`[StrategyGenerator] Ignoring invalid rules for "${s.name || 'Unnamed Strategy'}": ${error}`);
+      return undefined;
+    }
+    return s.rules as StrategyRules;
+  }
+
   private validateStrategyType(type: string): StrategyIdea['type'] {
     const validTypes = ['TREND_FOLLOWING', 'MEAN_REVERSION', 'MARKET_MAKING', 'ARBITRAGE', 'AI_PREDICTION'];
     return validTypes.includes(type) ? type as StrategyIdea['type'] : 'TREND_FOLLOWING';
@@ -20,6 +20,8 @@ interface RiskMetrics {
     lossProbability: number;
     averageWin: number;
     averageLoss: number;
+    /** Closed trades the estimate is built from */
+    trades: number;
   };
 }
 
@@ -42,7 +44,7 @@ interface RiskThresholds {
   maxPositionSize: number;
 }
 
-class AdvancedRiskEngine {
+export class AdvancedRiskEngine {
   private db: Database.Database;
   private riskThresholds: RiskThresholds;
   private riskHistory: RiskMetrics[] = [];
@@ -53,8 +55,8 @@ class AdvancedRiskEngine {
   private dailyLossAlert40Triggered = false;
   private dailyLossAlert45Triggered = false;
 
-  constructor() {
-    this.db = new Database(process.env.DB_PATH || './data/trading.db');
+  constructor(dbPath: string = process.env.DB_PATH || './data/trading.db') {
+    this.db = new Database(dbPath);
 
     this.riskThresholds = {
       maxOverallRisk: 0.7,
@@ -178,9 +180,9 @@ class AdvancedRiskEngine {
     return Math.min(avgLeverage / this.riskThresholds.maxLeverage, 1);
   }
 
-  async calculateKellyCriterion(strategy: Strategy): Promise<RiskMetrics['KellyCriterion']> {
+  async calculateKellyCriterion(strategy: Pick<Strategy, 'id'>): Promise<RiskMetrics['KellyCriterion']> {
     try {
-      const trades = this.getHistoricalTrades(strategy.id, 100);
+      const trades = this.getClosedTrades(strategy.id, 100);
 
       if (trades.length < 10) {
         return {
@@ -189,7 +191,8 @@ class AdvancedRiskEngine {
           winProbability: 0.5,
           lossProbability: 0.5,
           averageWin: 0,
-          averageLoss: 0
+          averageLoss: 0,
+          trades: trades.length
         };
       }
 
@@ -213,11 +216,13 @@ class AdvancedRiskEngine {
         : 0.01;
 
       const expectedReturn = (winProbability * averageWin) - (lossProbability * averageLoss);
-      const f = averageLoss > 0 ? Math.max(0, Math.min(1, expectedReturn / averageLoss)) : 0.1;
+      // Kelly: f = p - q / b with payoff ratio b = average win / average loss
+      const payoffRatio = averageLoss > 0 ? averageWin / averageLoss : 0;
+      const f = payoffRatio > 0 ? Math.max(0, Math.min(1, winProbability - lossProbability / payoffRatio)) : 0;
 
       logger.info(`Kelly Criterion: f=${f.toFixed(4)}, expectedReturn=${expectedReturn.toFixed(4)}, winRate=${(winProbability * 100).toFixed(1)}%`);
 
-      return { f, expectedReturn, winProbability, lossProbability, averageWin, averageLoss };
+      return { f, expectedReturn, winProbability, lossProbability, averageWin, averageLoss, trades: trades.length };
     } catch (error) {
       logger.error('Error calculating Kelly Criterion:', error);
       return {
@@ -226,7 +231,8 @@ class AdvancedRiskEngine {
         winProbability: 0.5,
         lossProbability: 0.5,
         averageWin: 0,
-        averageLoss: 0
+        averageLoss: 0,
+        trades: 0
       };
     }
   }
@@ -281,10 +287,11 @@ Format as JSON with fields: type, level (0-1), message, recommendations[]`;
     }
   }
 
-  private getHistoricalTrades(strategyId: string, limit: number): any[] {
+  /** Closing fills only: entry rows carry no realized PnL and would dilute the win rate */
+  private getClosedTrades(strategyId: string, limit: number): any[] {
     const stmt = this.db.prepare(`
       SELECT * FROM trades 
-      WHERE strategyId = ? 
+      WHERE strategyId = ? AND entryExit = 'EXIT'
       ORDER BY timestamp DESC 
       LIMIT ?
     `);
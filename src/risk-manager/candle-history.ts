@@ -0,0 +1,68 @@
+/**
+ * Candle History
+ *
+ * Read-only, cached access to the candles table in trading.db for risk
+ * calculations (portfolio VaR, volatility-targeted sizing). A symbol without
+ * stored candles yields an empty list rather than an error.
+ */
+
+import BetterSqlite3 from 'better-sqlite3';
+import configManager from '../shared/config';
+import logger from '../shared/logger';
+
+export interface CandleBar {
+  timestamp: number;
+  high: number;
+  low: number;
+  close: number;
+}
+
+export class CandleHistory {
+  private db: BetterSqlite3.Database | null = null;
+  private cache = new Map<string, { loadedAt: number; bars: CandleBar[] }>();
+
+  constructor(
+    private dbPath: string = configManager.get().database?.connection || './data/trading.db',
+    private cacheTtlMs: number = 5 * 60 * 1000,
+    private now: () => number = Date.now
+  ) {}
+
+  /**
+   * The most recent `limit` bars, oldest first
+   */
+  getBars(symbol: string, timeframe: string, limit: number): CandleBar[] {
+    const key = `${symbol}|${timeframe}|${limit}`;
+    const cached = this.cache.get(key);
+    if (cached && this.now() - cached.loadedAt < this.cacheTtlMs) return cached.bars;
+
+    let bars: CandleBar[] = [];
+    try {
+      const rows = this.getDb().prepare(`
+        SELECT timestamp, high, low, close FROM candles
+        WHERE symbol = ? AND timeframe = ?
+        ORDER BY timestamp DESC
+        LIMIT ?
+      `).all(symbol, timeframe, limit) as CandleBar[];
+      bars = rows.reverse();
+    } catch (error) {
+      logger.warn(`[CandleHistory] No ${timeframe} candles for ${symbol}: ${error instanceof Error ? error.message : error}`);
+    }
+    this.cache.set(key, { loadedAt: this.now(), bars });
+    return bars;
+  }
+
+  close(): void {
+    this.db?.close();
+    this.db = null;
+    this.cache.clear();
+  }
+
+  private getDb(): BetterSqlite3.Database {
+    if (this.db) return this.db;
+    this.db = new BetterSqlite3(this.dbPath, { readonly: true, fileMustExist: true });
+    return this.db;
+  }
+}
+
+const candleHistory = new CandleHistory();
+export default candleHistory;
@@ -0,0 +1,180 @@
+/**
+ * Category and correlation-cluster exposure limits
+ *
+ * Per-symbol caps let the bot stack several longs that all move together.
+ * These limits cap net exposure (signed USD notional / equity) of:
+ *
+ *   category  every symbol in the same sector (categorizeSymbol); coins
+ *             without a sector ('Altcoin') are only capped by an explicit
+ *             per-category limit
+ *   cluster   the signal's symbol plus every held symbol whose rolling return
+ *             correlation with it is at or above clusterCorrelation
+ *
+ * A trade is rejected only when it pushes a group's net exposure past its cap
+ * and further from zero, so hedges and reductions always pass.
+ */
+
+import { Config, Position } from '../shared/types';
+import { categorizeSymbol } from '../shared/symbol-categories';
+import candleHistory, { CandleHistory } from './candle-history';
+import { alignReturns, correlationMatrix, toExposures } from './portfolio-var';
+
+const UNCATEGORIZED = 'Altcoin';
+const MIN_OBSERVATIONS = 30;
+
+export interface ExposureLimitSettings {
+  /** Net exposure cap per category as a fraction of equity; 0 disables */
+  maxCategoryExposure: number;
+  /** Per-category caps that replace maxCategoryExposure */
+  categoryLimits: Record<string, number>;
+  /** Net exposure cap per correlation cluster; 0 disables */
+  maxClusterExposure: number;
+  /** Return correlation at or above which two symbols share a cluster */
+  clusterCorrelation: number;
+}
+
+export interface ExposureLimiterOptions {
+  timeframe: string;
+  /** Candles of history per symbol for the rolling correlation */
+  lookbackBars: number;
+}
+
+export interface ExposureGroup {
+  name: string;
+  symbols: string[];
+  /** Signed net exposure as a fraction of equity, before and after the trade */
+  exposureBefore: number;
+  exposureAfter: number;
+  /** null when uncapped */
+  limit: number | null;
+}
+
+export interface ExposureCheck {
+  approved: boolean;
+  reason?: string;
+  category: ExposureGroup;
+  /** null when cluster limits are off or skipped */
+  cluster: ExposureGroup | null;
+}
+
+export function exposureLimitSettings(risk: Config['risk']): ExposureLimitSettings {
+  return {
+    maxCategoryExposure: risk.maxCategoryExposure ?? 0,
+    categoryLimits: risk.categoryExposureLimits ?? {},
+    maxClusterExposure: risk.maxClusterExposure ?? 0,
+    clusterCorrelation: risk.clusterCorrelation ?? 0.7,
+  };
+}
+
+export function loadExposureLimiterOptions(): ExposureLimiterOptions {
+  const lookbackBars = Number.parseInt(process.env.CLUSTER_CORRELATION_LOOKBACK_BARS || '', 10);
+  return {
+    timeframe: process.env.CLUSTER_CORRELATION_TIMEFRAME || '1h',
+    lookbackBars: Number.isFinite(lookbackBars) && lookbackBars > MIN_OBSERVATIONS ? lookbackBars : 168,
+  };
+}
+
+export class ExposureLimiter {
+  constructor(
+    private history: CandleHistory = candleHistory,
+    private options: ExposureLimiterOptions = loadExposureLimiterOptions()
+  ) {}
+
+  /**
+   * Rolling correlation of two symbols' log returns; null without enough
+   * overlapping candles
+   */
+  correlation(a: string, b: string): number | null {
+    const closes = new Map([a, b].map(symbol => [
+      symbol,
+      this.history.getBars(symbol, this.options.timeframe, this.options.lookbackBars + 1),
+    ]));
+    const returns = alignReturns(closes);
+    if ((returns.get(a)?.length ?? 0) < MIN_OBSERVATIONS) return null;
+    return correlationMatrix(returns).matrix[0][1];
+  }
+
+  /**
+   * Check adding signedNotional (positive long, negative short) of symbol
+   * to the book. useCorrelation=false skips the cluster limit (no candle reads).
+   */
+  check(
+    symbol: string,
+    signedNotional: number,
+    positions: Position[],
+    equity: number,
+    settings: ExposureLimitSettings,
+    useCorrelation: boolean = true
+  ): ExposureCheck {
+    const target = symbol.toUpperCase();
+    const exposures = toExposures(positions);
+    const categoryName = categorizeSymbol(target);
+    const categoryCap = settings.categoryLimits[categoryName] ??
+      (categoryName === UNCATEGORIZED ? 0 : settings.maxCategoryExposure);
+
+    const category = this.group(
+      categoryName,
+      target,
+      exposures.filter(exposure => categorizeSymbol(exposure.symbol) === categoryName).map(exposure => exposure.symbol),
+      exposures,
+      signedNotional,
+      equity,
+      categoryCap
+    );
+
+    let cluster: ExposureGroup | null = null;
+    if (useCorrelation && settings.maxClusterExposure > 0) {
+      const members = exposures
+        .filter(exposure => exposure.symbol !== target)
+        .filter(exposure => (this.correlation(target, exposure.symbol) ?? -Infinity) >= settings.clusterCorrelation)
+        .map(exposure => exposure.symbol);
+      cluster = this.group(`${target} cluster`, target, members, exposures, signedNotional, equity, settings.maxClusterExposure);
+    }
+
+    const breach = [category, cluster].find(group => group && this.breaches(group));
+    return {
+      approved: !breach,
+      reason: breach ? this.describe(breach, breach === category ? 'category' : 'correlation cluster') : undefined,
+      category,
+      cluster,
+    };
+  }
+
+  private group(
+    name: string,
+    target: string,
+    members: string[],
+    exposures: ReturnType<typeof toExposures>,
+    signedNotional: number,
+    equity: number,
+    cap: number
+  ): ExposureGroup {
+    const symbols = [...new Set([target, ...members])];
+    const before = exposures
+      .filter(exposure => symbols.includes(exposure.symbol))
+      .reduce((sum, exposure) => sum + exposure.notional, 0);
+    const scale = equity > 0 ? 1 / equity : 0;
+    return {
+      name,
+      symbols,
+      exposureBefore: before * scale,
+      exposureAfter: (before + signedNotional) * scale,
+      limit: cap > 0 ? cap : null,
+    };
+  }
+
+  private breaches(group: ExposureGroup): boolean {
+    if (group.limit === null) return false;
+    const after = Math.abs(group.exposureAfter);
+    return after > group.limit && after > Math.abs(group.exposureBefore);
+  }
+
+  private describe(group: ExposureGroup, kind: string): string {
+    const side = group.exposureAfter > 0 ? 'long' : 'short';
+    return `${group.name} net ${side} exposure ${(Math.abs(group.exposureAfter) * 100).toFixed(1)}% of equity ` +
+      `(${group.symbols.join(', ')}) would exceed the ${(group.limit! * 100).toFixed(1)}% ${kind} limit`;
+  }
+}
+
+const exposureLimiter = new ExposureLimiter();
+export default exposureLimiter;
@@ -0,0 +1,337 @@
+/**
+ * Liquidation Distance Monitor
+ *
+ * Polls the Hyperliquid account, measures how far the live mid is from each
+ * position's liquidation price and escalates as the gap closes. Tiers are set
+ * as the share of the position's own buffer at entry that is left, so a fresh
+ * 20x entry (~4.5% from liquidation) and a 3x one both start at 100%:
+ *
+ *   ALERT       log + publish only
+ *   REDUCE      reduce-only market order for a fraction of the position
+ *   DELEVERAGE  lower the symbol's leverage (adds margin from the account)
+ *   CLOSE       reduce-only market order for the whole position
+ *
+ * Every action is written to the safety_events table and published on
+ * Channel.RISK_LIMIT_BREACH. An action is repeated for a symbol only after
+ * actionCooldownMs unless the position has escalated to a tighter tier.
+ */
+
+import hyperliquidClient, { HyperliquidClient, HyperliquidPosition } from '../execution-engine/hyperliquid-client';
+import safetyStore, { SafetyEventPayload } from '../data/safety-store';
+import logger from '../shared/logger';
+import messageBus, { Channel } from '../shared/message-bus';
+
+export type LiquidationAction = 'ALERT' | 'REDUCE' | 'DELEVERAGE' | 'CLOSE';
+
+/** Tightest tier first */
+const ACTION_ORDER: LiquidationAction[] = ['CLOSE', 'DELEVERAGE', 'REDUCE', 'ALERT'];
+
+export interface LiquidationMonitorConfig {
+  enabled: boolean;
+  intervalMs: number;
+  /**
+   * Share of the entry-to-liquidation distance still left at or below which
+   * each action fires (0.5 = half the buffer is gone); 0 disables it
+   */
+  thresholds: Record<LiquidationAction, number>;
+  /** Share of the position sold by a REDUCE */
+  reduceFraction: number;
+  /** DELEVERAGE sets leverage to floor(current * factor), minimum 1 */
+  deleverageFactor: number;
+  actionCooldownMs: number;
+}
+
+export interface LiquidationDistance {
+  symbol: string;
+  side: 'LONG' | 'SHORT';
+  size: number;
+  leverage: number;
+  price: number;
+  liquidationPrice: number;
+  /** (price - liquidation) / price for longs, mirrored for shorts */
+  distancePct: number;
+  /** distancePct as a share of the same distance at the entry price */
+  bufferRemaining: number;
+  action: LiquidationAction | null;
+}
+
+export interface LiquidationActionResult extends LiquidationDistance {
+  action: LiquidationAction;
+  success: boolean;
+  detail: string;
+}
+
+export type LiquidationClient = Pick<HyperliquidClient, 'isConfigured' | 'getAccountState' | 'getAllMids' | 'placeOrder' | 'updateLeverage'>;
+
+export interface LiquidationMonitorOptions {
+  config?: Partial<LiquidationMonitorConfig>;
+  client?: LiquidationClient;
+  logEvent?: (payload: SafetyEventPayload) => void;
+  publish?: (data: Record<string, unknown>) => Promise<unknown>;
+  now?: () => number;
+}
+
+export function loadLiquidationMonitorConfig(): LiquidationMonitorConfig {
+  const number = (name: string, fallback: number) => {
+    const parsed = Number.parseFloat(process.env[name] || '');
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    enabled: process.env.LIQUIDATION_MONITOR_ENABLED !== 'false',
+    intervalMs: number('LIQUIDATION_MONITOR_INTERVAL_MS', 15000),
+    thresholds: {
+      ALERT: number('LIQUIDATION_ALERT_BUFFER', 0.5),
+      REDUCE: number('LIQUIDATION_REDUCE_BUFFER', 0.35),
+      DELEVERAGE: number('LIQUIDATION_DELEVERAGE_BUFFER', 0.2),
+      CLOSE: number('LIQUIDATION_CLOSE_BUFFER', 0.1),
+    },
+    reduceFraction: Math.min(1, number('LIQUIDATION_REDUCE_FRACTION', 0.25)),
+    deleverageFactor: Math.min(1, number('LIQUIDATION_DELEVERAGE_FACTOR', 0.5)),
+    actionCooldownMs: number('LIQUIDATION_ACTION_COOLDOWN_MS', 60000),
+  };
+}
+
+/**
+ * Distance from price to liquidation as a fraction of price; Infinity when
+ * the position has no liquidation price
+ */
+export function liquidationDistance(side: 'LONG' | 'SHORT', price: number, liquidationPrice?: number): number {
+  if (!liquidationPrice || liquidationPrice <= 0 || price <= 0) return Infinity;
+  return side === 'LONG' ? (price - liquidationPrice) / price : (liquidationPrice - price) / price;
+}
+
+/**
+ * Share of a position's liquidation buffer at entry that is left at `price`:
+ * 1 when just opened (or in profit), 0 at liquidation, Infinity without a
+ * liquidation price
+ */
+export function remainingLiquidationBuffer(
+  side: 'LONG' | 'SHORT',
+  entryPrice: number,
+  price: number,
+  liquidationPrice?: number
+): number {
+  const distance = liquidationDistance(side, price, liquidationPrice);
+  if (!Number.isFinite(distance)) return Infinity;
+  // Cross margin can move the liquidation price past the entry; measure from here then
+  const reference = Math.max(liquidationDistance(side, entryPrice, liquidationPrice), distance);
+  return reference > 0 ? Math.max(0, distance) / reference : 0;
+}
+
+export class LiquidationMonitor {
+  readonly config: LiquidationMonitorConfig;
+  private readonly client: LiquidationClient;
+  private readonly logEvent: (payload: SafetyEventPayload) => void;
+  private readonly publish: (data: Record<string, unknown>) => Promise<unknown>;
+  private readonly now: () => number;
+  private monitoringInterval: NodeJS.Timeout | null = null;
+  private checking = false;
+  /** Last action taken per symbol, cleared once the position is back outside every tier */
+  private lastAction = new Map<string, { action: LiquidationAction; at: number }>();
+  private lastDistances: LiquidationDistance[] = [];
+
+  constructor(options: LiquidationMonitorOptions = {}) {
+    const defaults = loadLiquidationMonitorConfig();
+    this.config = {
+      ...defaults,
+      ...options.config,
+      thresholds: { ...defaults.thresholds, ...options.config?.thresholds },
+    };
+    this.client = options.client ?? hyperliquidClient;
+    this.logEvent = options.logEvent ?? (payload => safetyStore.logEvent(payload));
+    this.publish = options.publish ?? (data => messageBus.publish(Channel.RISK_LIMIT_BREACH, data));
+    this.now = options.now ?? Date.now;
+  }
+
+  startMonitoring(intervalMs: number = this.config.intervalMs): void {
+    if (!this.config.enabled) {
+      logger.info('[LiquidationMonitor] Disabled (LIQUIDATION_MONITOR_ENABLED=false)');
+      return;
+    }
+    this.stopMonitoring();
+    this.monitoringInterval = setInterval(() => {
+      void this.check().catch(error => logger.error('[LiquidationMonitor] Check failed:', error));
+    }, intervalMs);
+    logger.info(`[LiquidationMonitor] Started monitoring (interval: ${intervalMs}ms)`);
+  }
+
+  stopMonitoring(): void {
+    if (this.monitoringInterval) {
+      clearInterval(this.monitoringInterval);
+      this.monitoringInterval = null;
+      logger.info('[LiquidationMonitor] Stopped monitoring');
+    }
+  }
+
+  /** Distances measured by the last check */
+  getDistances(): LiquidationDistance[] {
+    return this.lastDistances;
+  }
+
+  /**
+   * Measure every open position and run the action its distance calls for
+   */
+  async check(): Promise<LiquidationActionResult[]> {
+    // Paper trading has no wallet and nothing to liquidate
+    if (this.checking || !this.client.isConfigured()) return [];
+    this.checking = true;
+    try {
+      const [state, mids] = await Promise.all([this.client.getAccountState(), this.client.getAllMids()]);
+      const distances = state.positions.map(position => this.measure(position, mids[position.symbol]));
+      this.lastDistances = distances;
+
+      const held = new Set(distances.map(distance => distance.symbol));
+      for (const symbol of this.lastAction.keys()) {
+        if (!held.has(symbol)) this.lastAction.delete(symbol);
+      }
+
+      const results: LiquidationActionResult[] = [];
+      for (let i = 0; i < distances.length; i++) {
+        const distance = distances[i];
+        if (!distance.action) {
+          this.lastAction.delete(distance.symbol);
+          continue;
+        }
+        if (!this.isDue(distance.symbol, distance.action)) continue;
+        results.push(await this.act(state.positions[i], distance as LiquidationDistance & { action: LiquidationAction }));
+      }
+      return results;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  private measure(position: HyperliquidPosition, mid: number | undefined): LiquidationDistance {
+    const price = mid && mid > 0 ? mid : position.markPrice;
+    const distancePct = liquidationDistance(position.side, price, position.liquidationPrice);
+    const bufferRemaining = remainingLiquidationBuffer(position.side, position.entryPrice, price, position.liquidationPrice);
+    const action = ACTION_ORDER.find(candidate => {
+      const threshold = this.config.thresholds[candidate];
+      return threshold > 0 && bufferRemaining <= threshold;
+    }) ?? null;
+    return {
+      symbol: position.symbol,
+      side: position.side,
+      size: position.size,
+      leverage: position.leverage,
+      price,
+      liquidationPrice: position.liquidationPrice ?? 0,
+      distancePct,
+      bufferRemaining,
+      action,
+    };
+  }
+
+  /** Tighter tiers always run; the same or a looser tier waits out the cooldown */
+  private isDue(symbol: string, action: LiquidationAction): boolean {
+    const last = this.lastAction.get(symbol);
+    if (!last) return true;
+    if (ACTION_ORDER.indexOf(action) < ACTION_ORDER.indexOf(last.action)) return true;
+    return this.now() - last.at >= this.config.actionCooldownMs;
+  }
+
+  private async act(
+    position: HyperliquidPosition,
+    distance: LiquidationDistance & { action: LiquidationAction }
+  ): Promise<LiquidationActionResult> {
+    const exitSide = position.side === 'LONG' ? 'SELL' : 'BUY';
+    let { action } = distance;
+    let success = true;
+    let detail = 'alert only';
+
+    try {
+      if (action === 'DELEVERAGE') {
+        const target = Math.max(1, Math.floor(position.leverage * this.config.deleverageFactor));
+        if (target < position.leverage) {
+          success = await this.client.updateLeverage(position.symbol, target, position.marginMode !== 'isolated');
+          detail = success ? `leverage ${position.leverage}x -> ${target}x` : `leverage update to ${target}x failed`;
+        } else {
+          success = false;
+          detail = `leverage already ${position.leverage}x`;
+        }
+        // Nothing left to take off by leverage: fall back to cutting size
+        if (!success) {
+          logger.warn(`[LiquidationMonitor] ${position.symbol} ${detail}, reducing size instead`);
+          action = 'REDUCE';
+        }
+      }
+
+      if (action === 'REDUCE' || action === 'CLOSE') {
+        const size = action === 'CLOSE' ? position.size : position.size * this.config.reduceFraction;
+        const result = await this.client.placeOrder({
+          symbol: position.symbol,
+          side: exitSide,
+          size,
+          reduceOnly: true,
+          orderType: 'market',
+          bypassCooldown: true,
+          confidence: 1,
+        });
+        success = result.success;
+        detail = result.success
+          ? `${exitSide} ${result.filledSize ?? size} reduce-only (${result.status})`
+          : `${exitSide} ${size} reduce-only failed: ${result.status}${result.error ? `: ${result.error}` : ''}`;
+      }
+    } catch (error) {
+      success = false;
+      detail = `${action} failed: ${error instanceof Error ? error.message : String(error)}`;
+    }
+
+    // Only a defense that went through starts the cooldown; a failed one is retried on the next poll
+    if (success) {
+      this.lastAction.set(position.symbol, { action: distance.action, at: this.now() });
+    } else {
+      this.lastAction.delete(position.symbol);
+    }
+    const result: LiquidationActionResult = { ...distance, action, success, detail };
+    this.record(result);
+    return result;
+  }
+
+  private record(result: LiquidationActionResult): void {
+    const distancePct = (result.distancePct * 100).toFixed(2);
+    const bufferPct = (result.bufferRemaining * 100).toFixed(0);
+    const message = `[LiquidationMonitor] ${result.action} ${result.side} ${result.symbol}: ` +
+      `${distancePct}% from liquidation at ${result.liquidationPrice} (price ${result.price}, ${bufferPct}% of entry buffer left) - ${result.detail}`;
+    if (result.action === 'ALERT') {
+      logger.warn(message);
+    } else {
+      logger.error(message);
+    }
+
+    this.logEvent({
+      eventType: 'liquidation_distance',
+      triggerValue: result.bufferRemaining,
+      threshold: this.config.thresholds[result.action],
+      timestamp: new Date(this.now()),
+      details: {
+        symbol: result.symbol,
+        side: result.side,
+        action: result.action,
+        success: result.success,
+        detail: result.detail,
+        distancePct: result.distancePct,
+        price: result.price,
+        liquidationPrice: result.liquidationPrice,
+        size: result.size,
+        leverage: result.leverage,
+      },
+    });
+
+    void this.publish({
+      type: 'LIQUIDATION_DISTANCE',
+      symbol: result.symbol,
+      side: result.side,
+      action: result.action,
+      success: result.success,
+      distancePct: result.distancePct,
+      bufferRemaining: result.bufferRemaining,
+      price: result.price,
+      liquidationPrice: result.liquidationPrice,
+      detail: result.detail,
+    }).catch(error => logger.debug('[LiquidationMonitor] Publish failed:', error));
+  }
+}
+
+const liquidationMonitor = new LiquidationMonitor();
+export default liquidationMonitor;
@@ -0,0 +1,366 @@
+/**
+ * Portfolio VaR / CVaR and stress tests
+ *
+ * Loss distribution of the current positions from stored candle returns
+ * (candles table in trading.db):
+ *
+ *   historical  P&L of today's exposures replayed over every past horizon
+ *               window (overlapping), VaR = loss quantile, CVaR = mean of the
+ *               losses beyond it
+ *   parametric  Gaussian on the sample mean/covariance of those returns,
+ *               scaled to the horizon
+ *
+ * Stress scenarios are applied to the same exposures: a BTC crash with alts
+ * moved by their beta to BTC, a funding spike and a liquidity gap. Losses are
+ * positive USD amounts.
+ */
+
+import configManager from '../shared/config';
+import { Position } from '../shared/types';
+import { CandleHistory } from './candle-history';
+
+export interface PortfolioRiskOptions {
+  /** VaR confidence level, e.g. 0.95 */
+  confidence: number;
+  timeframe: string;
+  /** Candles of history per symbol */
+  lookbackBars: number;
+  /** Bars per VaR horizon (24 x 1h = one day) */
+  horizonBars: number;
+  /** Closes are reloaded after this long */
+  cacheTtlMs: number;
+}
+
+export interface RiskExposure {
+  symbol: string;
+  /** Signed USD notional: positive long, negative short */
+  notional: number;
+  markPrice: number;
+}
+
+export interface VarEstimate {
+  var: number;
+  cvar: number;
+  varPct: number;
+  cvarPct: number;
+}
+
+export interface StressResult {
+  name: string;
+  description: string;
+  pnl: number;
+  pnlPct: number;
+  bySymbol: Record<string, number>;
+}
+
+export interface PortfolioRiskReport {
+  timestamp: string;
+  equity: number;
+  confidence: number;
+  timeframe: string;
+  horizonBars: number;
+  /** Horizon windows the historical estimate was built from */
+  observations: number;
+  exposures: RiskExposure[];
+  grossExposure: number;
+  historical: VarEstimate | null;
+  parametric: VarEstimate | null;
+  correlation: { symbols: string[]; matrix: number[][] };
+  betaToBtc: Record<string, number>;
+  stress: StressResult[];
+  /** Symbols held without enough candle history; left out of VaR */
+  missingSymbols: string[];
+}
+
+export interface StressContext {
+  /** Beta of the symbol's returns to BTC's; 1 when unknown */
+  beta: (symbol: string) => number;
+}
+
+export interface StressScenario {
+  name: string;
+  description: string;
+  /** P&L of one exposure under the scenario */
+  apply: (exposure: RiskExposure, context: StressContext) => number;
+}
+
+const BTC_CRASH = -0.2;
+const FUNDING_SPIKE_RATE = 0.003; // per 8h period
+const FUNDING_SPIKE_PERIODS = 3;
+const LIQUIDITY_GAP = 0.08;
+const LIQUIDITY_GAP_SLIPPAGE = 0.01;
+const MIN_OBSERVATIONS = 30;
+
+export const DEFAULT_STRESS_SCENARIOS: StressScenario[] = [
+  {
+    name: 'btc_crash',
+    description: 'BTC -20%, other assets moved by their beta to BTC',
+    apply: (exposure, context) => exposure.notional * BTC_CRASH * (exposure.symbol === 'BTC' ? 1 : context.beta(exposure.symbol)),
+  },
+  {
+    name: 'funding_spike',
+    description: 'Funding at 0.3% per 8h against every position for 24h',
+    apply: (exposure) => -Math.abs(exposure.notional) * FUNDING_SPIKE_RATE * FUNDING_SPIKE_PERIODS,
+  },
+  {
+    name: 'liquidity_gap',
+    description: 'Prices gap 8% against every position and exits pay 1% slippage',
+    apply: (exposure) => -Math.abs(exposure.notional) * (LIQUIDITY_GAP + LIQUIDITY_GAP_SLIPPAGE),
+  },
+];
+
+export function loadPortfolioRiskOptions(): PortfolioRiskOptions {
+  const number = (name: string, fallback: number) => {
+    const parsed = Number.parseFloat(process.env[name] || '');
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+  };
+  return {
+    confidence: Math.min(0.999, number('RISK_VAR_CONFIDENCE', 0.95)),
+    timeframe: process.env.RISK_VAR_TIMEFRAME || '1h',
+    lookbackBars: Math.floor(number('RISK_VAR_LOOKBACK_BARS', 720)),
+    horizonBars: Math.floor(number('RISK_VAR_HORIZON_BARS', 24)),
+    cacheTtlMs: 5 * 60 * 1000,
+  };
+}
+
+export function toExposures(positions: Array<Pick<Position, 'symbol' | 'side' | 'size' | 'markPrice' | 'entryPrice'>>): RiskExposure[] {
+  const bySymbol = new Map<string, RiskExposure>();
+  for (const position of positions) {
+    const symbol = position.symbol.toUpperCase();
+    const markPrice = position.markPrice || position.entryPrice || 0;
+    const notional = Math.abs(position.size) * markPrice * (position.side === 'SHORT' ? -1 : 1);
+    const existing = bySymbol.get(symbol);
+    if (existing) {
+      existing.notional += notional;
+    } else {
+      bySymbol.set(symbol, { symbol, notional, markPrice });
+    }
+  }
+  return [...bySymbol.values()].filter(exposure => exposure.notional !== 0);
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+ */
+export function normalQuantile(p: number): number {
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p <= 0 || p >= 1) throw new RangeError(`Quantile probability must be in (0, 1), got ${p}`);
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function normalDensity(x: number): number {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Log returns per symbol on the timestamps every symbol has a close for
+ */
+export function alignReturns(closes: Map<string, Array<{ timestamp: number; close: number }>>): Map<string, number[]> {
+  const symbols = [...closes.keys()];
+  if (symbols.length === 0) return new Map();
+
+  const priceMaps = symbols.map(symbol => new Map(closes.get(symbol)!.map(bar => [bar.timestamp, bar.close])));
+  const timestamps = [...priceMaps[0].keys()]
+    .filter(timestamp => priceMaps.every(prices => (prices.get(timestamp) ?? 0) > 0))
+    .sort((a, b) => a - b);
+
+  const returns = new Map<string, number[]>();
+  symbols.forEach((symbol, index) => {
+    const prices = priceMaps[index];
+    const series: number[] = [];
+    for (let i = 1; i < timestamps.length; i++) {
+      series.push(Math.log(prices.get(timestamps[i])! / prices.get(timestamps[i - 1])!));
+    }
+    returns.set(symbol, series);
+  });
+  return returns;
+}
+
+function mean(values: number[]): number {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function covariance(a: number[], b: number[]): number {
+  const n = Math.min(a.length, b.length);
+  if (n < 2) return 0;
+  const meanA = mean(a.slice(0, n));
+  const meanB = mean(b.slice(0, n));
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += (a[i] - meanA) * (b[i] - meanB);
+  return sum / (n - 1);
+}
+
+export function correlationMatrix(returns: Map<string, number[]>): { symbols: string[]; matrix: number[][] } {
+  const symbols = [...returns.keys()];
+  const matrix = symbols.map(a => symbols.map(b => {
+    if (a === b) return 1;
+    const x = returns.get(a)!;
+    const y = returns.get(b)!;
+    const denominator = Math.sqrt(covariance(x, x) * covariance(y, y));
+    return denominator > 0 ? covariance(x, y) / denominator : 0;
+  }));
+  return { symbols, matrix };
+}
+
+/**
+ * Loss quantile and tail mean of a P&L sample (losses returned positive)
+ */
+export function historicalVar(pnl: number[], confidence: number): { var: number; cvar: number } {
+  if (pnl.length === 0) return { var: 0, cvar: 0 };
+  const sorted = [...pnl].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.floor((1 - confidence) * sorted.length));
+  const tail = sorted.slice(0, index + 1);
+  return { var: Math.max(0, -sorted[index]), cvar: Math.max(0, -mean(tail)) };
+}
+
+/**
+ * Gaussian VaR/CVaR for P&L with this mean and standard deviation
+ */
+export function parametricVar(pnlMean: number, pnlStd: number, confidence: number): { var: number; cvar: number } {
+  const z = normalQuantile(confidence);
+  return {
+    var: Math.max(0, z * pnlStd - pnlMean),
+    cvar: Math.max(0, (pnlStd * normalDensity(z)) / (1 - confidence) - pnlMean),
+  };
+}
+
+function toEstimate(estimate: { var: number; cvar: number }, equity: number): VarEstimate {
+  return {
+    ...estimate,
+    varPct: equity > 0 ? estimate.var / equity : 0,
+    cvarPct: equity > 0 ? estimate.cvar / equity : 0,
+  };
+}
+
+export class PortfolioRiskAnalyzer {
+  readonly options: PortfolioRiskOptions;
+  private readonly history: CandleHistory;
+
+  constructor(
+    dbPath: string = configManager.get().database?.connection || './data/trading.db',
+    options: Partial<PortfolioRiskOptions> = {},
+    private scenarios: StressScenario[] = DEFAULT_STRESS_SCENARIOS,
+    private now: () => number = Date.now
+  ) {
+    this.options = { ...loadPortfolioRiskOptions(), ...options };
+    this.history = new CandleHistory(dbPath, this.options.cacheTtlMs, now);
+  }
+
+  analyze(positions: Array<Pick<Position, 'symbol' | 'side' | 'size' | 'markPrice' | 'entryPrice'>>, equity: number): PortfolioRiskReport {
+    const exposures = toExposures(positions);
+    const { confidence, horizonBars } = this.options;
+
+    const closes = new Map<string, Array<{ timestamp: number; close: number }>>();
+    const missingSymbols: string[] = [];
+    for (const symbol of new Set(['BTC', ...exposures.map(exposure => exposure.symbol)])) {
+      const bars = this.history.getBars(symbol, this.options.timeframe, this.options.lookbackBars + 1);
+      if (bars.length > horizonBars + 1) {
+        closes.set(symbol, bars);
+      } else if (exposures.some(exposure => exposure.symbol === symbol)) {
+        missingSymbols.push(symbol);
+      }
+    }
+    const returns = alignReturns(closes);
+    const btcReturns = returns.get('BTC');
+    const betaToBtc: Record<string, number> = {};
+    if (btcReturns) {
+      const btcVariance = covariance(btcReturns, btcReturns);
+      for (const [symbol, series] of returns) {
+        betaToBtc[symbol] = btcVariance > 0 ? covariance(series, btcReturns) / btcVariance : 1;
+      }
+    }
+
+    // Historical: today's exposures over every overlapping horizon window
+    const held = exposures.filter(exposure => returns.has(exposure.symbol));
+    const length = held.length > 0 ? returns.get(held[0].symbol)!.length : 0;
+    const pnl: number[] = [];
+    for (let start = 0; start + horizonBars <= length; start++) {
+      let windowPnl = 0;
+      for (const exposure of held) {
+        const series = returns.get(exposure.symbol)!;
+        let logReturn = 0;
+        for (let i = start; i < start + horizonBars; i++) logReturn += series[i];
+        windowPnl += exposure.notional * (Math.exp(logReturn) - 1);
+      }
+      pnl.push(windowPnl);
+    }
+
+    // Parametric: per-bar mean and covariance scaled to the horizon
+    let parametric: VarEstimate | null = null;
+    if (held.length > 0 && length >= MIN_OBSERVATIONS) {
+      let pnlMean = 0;
+      let pnlVariance = 0;
+      for (const a of held) {
+        pnlMean += a.notional * mean(returns.get(a.symbol)!);
+        for (const b of held) {
+          pnlVariance += a.notional * b.notional * covariance(returns.get(a.symbol)!, returns.get(b.symbol)!);
+        }
+      }
+      parametric = toEstimate(
+        parametricVar(pnlMean * horizonBars, Math.sqrt(Math.max(0, pnlVariance) * horizonBars), confidence),
+        equity
+      );
+    }
+
+    const context: StressContext = { beta: symbol => betaToBtc[symbol] ?? 1 };
+    const stress = this.scenarios.map(scenario => {
+      const bySymbol: Record<string, number> = {};
+      for (const exposure of exposures) bySymbol[exposure.symbol] = scenario.apply(exposure, context);
+      const total = Object.values(bySymbol).reduce((sum, value) => sum + value, 0);
+      return {
+        name: scenario.name,
+        description: scenario.description,
+        pnl: total,
+        pnlPct: equity > 0 ? total / equity : 0,
+        bySymbol,
+      };
+    });
+
+    return {
+      timestamp: new Date(this.now()).toISOString(),
+      equity,
+      confidence,
+      timeframe: this.options.timeframe,
+      horizonBars,
+      observations: pnl.length,
+      exposures,
+      grossExposure: exposures.reduce((sum, exposure) => sum + Math.abs(exposure.notional), 0),
+      historical: held.length > 0 && pnl.length >= MIN_OBSERVATIONS ? toEstimate(historicalVar(pnl, confidence), equity) : null,
+      parametric,
+      correlation: correlationMatrix(returns),
+      betaToBtc,
+      stress,
+      missingSymbols,
+    };
+  }
+
+  /**
+   * CVaR used for limits: historical when there is enough history, else parametric
+   */
+  static tailLoss(report: PortfolioRiskReport): VarEstimate | null {
+    return report.historical ?? report.parametric;
+  }
+
+  close(): void {
+    this.history.close();
+  }
+}
+
+const portfolioRiskAnalyzer = new PortfolioRiskAnalyzer();
+export default portfolioRiskAnalyzer;
@@ -0,0 +1,208 @@
+/**
+ * Position Sizing Modes
+ *
+ * Target notional for a new entry, before RiskManager applies its exposure,
+ * margin and max-loss caps:
+ *
+ *   fixed        0.5-1% of available balance at risk over the stop (RiskManager default)
+ *   volatility   a one-ATR move costs targetVolPct of equity
+ *   kelly        kellyFraction x the strategy's Kelly fraction of equity at risk over the stop
+ *   risk_parity  riskParityBudgetPct of equity per ATR split equally across the open
+ *                positions and the new one (inverse-volatility weights)
+ *
+ * The mode and its parameters come from POSITION_SIZING_* with per-strategy
+ * overrides in POSITION_SIZING_OVERRIDES (JSON keyed by strategy id). A mode
+ * without the data it needs (candles, trade history) falls back to fixed.
+ */
+
+import { Position } from '../shared/types';
+import logger from '../shared/logger';
+import candleHistory from './candle-history';
+
+export type SizingMode = 'fixed' | 'volatility' | 'kelly' | 'risk_parity';
+
+export const SIZING_MODES: SizingMode[] = ['fixed', 'volatility', 'kelly', 'risk_parity'];
+
+export interface SizingSettings {
+  mode: SizingMode;
+  /** volatility: equity lost to a one-ATR move, e.g. 0.01 */
+  targetVolPct: number;
+  /** risk_parity: equity lost to a one-ATR move across the whole book */
+  riskParityBudgetPct: number;
+  atrTimeframe: string;
+  atrPeriod: number;
+  /** Share of full Kelly to bet, e.g. 0.25 */
+  kellyFraction: number;
+  /** Closed trades needed before Kelly is trusted */
+  kellyMinTrades: number;
+}
+
+export interface SizingConfig {
+  defaults: SizingSettings;
+  overrides: Record<string, Partial<SizingSettings>>;
+}
+
+export interface SizingContext {
+  symbol: string;
+  strategyId: string;
+  price: number;
+  equity: number;
+  stopLossPct: number;
+  positions: Position[];
+}
+
+export interface SizingTarget {
+  mode: SizingMode;
+  /** USD notional before RiskManager's caps; null keeps the fixed fractional target */
+  targetNotional: number | null;
+  detail: string;
+  atrPct?: number;
+  kellyF?: number;
+  kellyTrades?: number;
+  /** risk_parity: notional per symbol, including the new entry */
+  riskParityTargets?: Record<string, number>;
+}
+
+export interface SizingDataSource {
+  /** Latest ATR as a fraction of price */
+  getAtrPct(symbol: string, timeframe: string, period: number): Promise<number | null>;
+  getKelly(strategyId: string): Promise<{ f: number; trades: number }>;
+}
+
+export function isSizingMode(value: unknown): value is SizingMode {
+  return typeof value === 'string' && (SIZING_MODES as string[]).includes(value);
+}
+
+export function loadSizingConfig(): SizingConfig {
+  const number = (name: string, fallback: number) => {
+    const parsed = Number.parseFloat(process.env[name] || '');
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+  };
+  const mode = process.env.POSITION_SIZING_MODE;
+
+  let overrides: Record<string, Partial<SizingSettings>> = {};
+  if (process.env.POSITION_SIZING_OVERRIDES) {
+    try {
+      overrides = JSON.parse(process.env.POSITION_SIZING_OVERRIDES);
+    } catch (error) {
+      logger.warn(`[PositionSizing] Ignoring POSITION_SIZING_OVERRIDES: ${error instanceof Error ? error.message : error}`);
+    }
+  }
+
+  return {
+    defaults: {
+      mode: isSizingMode(mode) ? mode : 'fixed',
+      targetVolPct: number('POSITION_SIZING_TARGET_VOL', 0.01),
+      riskParityBudgetPct: number('POSITION_SIZING_RISK_PARITY_BUDGET', 0.03),
+      atrTimeframe: process.env.POSITION_SIZING_ATR_TIMEFRAME || '1h',
+      atrPeriod: Math.floor(number('POSITION_SIZING_ATR_PERIOD', 14)),
+      kellyFraction: Math.min(1, number('POSITION_SIZING_KELLY_FRACTION', 0.25)),
+      kellyMinTrades: Math.floor(number('POSITION_SIZING_KELLY_MIN_TRADES', 20)),
+    },
+    overrides,
+  };
+}
+
+/**
+ * Defaults, then the strategy's override, then an explicit mode
+ */
+export function resolveSizingSettings(config: SizingConfig, strategyId: string, mode?: SizingMode): SizingSettings {
+  const settings = { ...config.defaults, ...config.overrides[strategyId] };
+  if (mode) settings.mode = mode;
+  if (!isSizingMode(settings.mode)) settings.mode = 'fixed';
+  return settings;
+}
+
+export const defaultSizingDataSource: SizingDataSource = {
+  async getAtrPct(symbol, timeframe, period) {
+    const bars = candleHistory.getBars(symbol, timeframe, period * 3);
+    if (bars.length <= period) return null;
+    const { default: taModule } = await import('../ta-module/ta-module');
+    const atr = taModule.calculateATR(
+      bars.map(bar => bar.high),
+      bars.map(bar => bar.low),
+      bars.map(bar => bar.close),
+      period
+    );
+    const latest = atr[atr.length - 1];
+    const close = bars[bars.length - 1].close;
+    return latest > 0 && close > 0 ? latest / close : null;
+  },
+  async getKelly(strategyId) {
+    const { default: advancedRiskEngine } = await import('./advanced-risk');
+    const kelly = await advancedRiskEngine.calculateKellyCriterion({ id: strategyId });
+    return { f: kelly.f, trades: kelly.trades };
+  },
+};
+
+export async function computeSizingTarget(
+  settings: SizingSettings,
+  context: SizingContext,
+  source: SizingDataSource = defaultSizingDataSource
+): Promise<SizingTarget> {
+  const fallback = (reason: string): SizingTarget => ({
+    mode: settings.mode,
+    targetNotional: null,
+    detail: `${reason}, using fixed fractional`,
+  });
+
+  switch (settings.mode) {
+    case 'volatility': {
+      const atrPct = await source.getAtrPct(context.symbol, settings.atrTimeframe, settings.atrPeriod);
+      if (!atrPct) return fallback(`no ${settings.atrTimeframe} ATR for ${context.symbol}`);
+      return {
+        mode: 'volatility',
+        targetNotional: (context.equity * settings.targetVolPct) / atrPct,
+        detail: `ATR ${(atrPct * 100).toFixed(2)}%, target ${(settings.targetVolPct * 100).toFixed(2)}% of equity per ATR`,
+        atrPct,
+      };
+    }
+
+    case 'kelly': {
+      const { f, trades } = await source.getKelly(context.strategyId);
+      if (trades < settings.kellyMinTrades) {
+        return fallback(`${trades}/${settings.kellyMinTrades} trades of history`);
+      }
+      const riskPct = settings.kellyFraction * f;
+      return {
+        mode: 'kelly',
+        targetNotional: riskPct > 0 ? (context.equity * riskPct) / Math.max(context.stopLossPct, Number.EPSILON) : 0,
+        detail: `Kelly f=${f.toFixed(3)} over ${trades} trades x ${settings.kellyFraction} = ${(riskPct * 100).toFixed(2)}% of equity at risk`,
+        kellyF: f,
+        kellyTrades: trades,
+      };
+    }
+
+    case 'risk_parity': {
+      const symbols = [...new Set([
+        ...context.positions.map(position => position.symbol.toUpperCase()),
+        context.symbol.toUpperCase(),
+      ])];
+      const atrBySymbol = new Map<string, number>();
+      for (const symbol of symbols) {
+        const atrPct = await source.getAtrPct(symbol, settings.atrTimeframe, settings.atrPeriod);
+        if (atrPct) atrBySymbol.set(symbol, atrPct);
+      }
+      const atrPct = atrBySymbol.get(context.symbol.toUpperCase());
+      if (!atrPct) return fallback(`no ${settings.atrTimeframe} ATR for ${context.symbol}`);
+
+      // Symbols without ATR still take a share of the budget
+      const budgetPerSymbol = (context.equity * settings.riskParityBudgetPct) / symbols.length;
+      const riskParityTargets: Record<string, number> = {};
+      for (const [symbol, symbolAtrPct] of atrBySymbol) {
+        riskParityTargets[symbol] = budgetPerSymbol / symbolAtrPct;
+      }
+      return {
+        mode: 'risk_parity',
+        targetNotional: budgetPerSymbol / atrPct,
+        detail: `${symbols.length} position(s) sharing ${(settings.riskParityBudgetPct * 100).toFixed(2)}% of equity per ATR, ` +
+          `ATR ${(atrPct * 100).toFixed(2)}%`,
+        atrPct,
+        riskParityTargets,
+      };
+    }
+
+    default:
+      return { mode: 'fixed', targetNotional: null, detail: 'fixed fractional' };
+  }
+}
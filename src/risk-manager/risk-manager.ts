@@ -10,8 +10,93 @@ import {
   close as closeRiskStateStore,
   RISK_KEYS,
 } from './risk-state-store';
+import portfolioRiskAnalyzer, { PortfolioRiskAnalyzer } from './portfolio-var';
+import exposureLimiter, { ExposureLimiter, exposureLimitSettings } from './exposure-limits';
+import {
+  SIZING_MODES,
+  SizingConfig,
+  SizingDataSource,
+  SizingMode,
+  SizingTarget,
+  computeSizingTarget,
+  defaultSizingDataSource,
+  loadSizingConfig,
+  resolveSizingSettings,
+} from './position-sizing';
+
+export interface RiskManagerOptions {
+  /**
+   * Keep state in memory only: nothing is restored from or written to
+   * data/risk_state.db and the emergency stop never touches the exchange.
+   * Used by cycle replay. Default: false
+   */
+  isolated?: boolean;
+  /** Clock for cooldowns, daily resets and holding times. Default: Date.now */
+  now?: () => number;
+  /**
+   * Reject signals whose position would take portfolio CVaR past this
+   * fraction of equity. Default: RISK_MAX_CVAR_PCT, off for isolated instances
+   */
+  maxCvarPct?: number;
+  /** Loss distribution source for the CVaR limit. Default: the shared analyzer */
+  portfolioRisk?: PortfolioRiskAnalyzer;
+  /**
+   * Sizing mode and per-strategy overrides. Default: POSITION_SIZING_*, fixed
+   * fractional for isolated instances (replay must not read live candles)
+   */
+  sizing?: SizingConfig;
+  /** ATR and Kelly inputs for the sizing modes. Default: candles table and trade history */
+  sizingSource?: SizingDataSource;
+  /**
+   * Category and correlation-cluster caps (limits come from the live risk
+   * config). Isolated instances only apply the category caps
+   */
+  exposureLimiter?: ExposureLimiter;
+}
+
+export interface SizingPreviewEntry {
+  mode: SizingMode;
+  suggestedSize: number;
+  notional: number;
+  /** Loss at the stop */
+  riskUsd: number;
+  detail: string;
+}
+
+export interface SizingPreview extends SizingPreviewEntry {
+  symbol: string;
+  strategyId: string;
+  price: number;
+  stopLossPct: number;
+  target: SizingTarget;
+  /** Every mode for the same signal */
+  comparison: SizingPreviewEntry[];
+}
+
+export interface PairedEntryRequest {
+  symbol: string;
+  /** Requested notional per leg */
+  legNotionalUsd: number;
+  /** Equity of the smaller of the two venue accounts */
+  equity: number;
+  leverage: number;
+}
+
+export interface PairedEntryDecision {
+  approved: boolean;
+  /** Requested notional clipped to the per-position cap (the cap itself when rejected) */
+  maxLegNotionalUsd: number;
+  reason?: string;
+}
 
 export class RiskManager {
+  private readonly isolated: boolean;
+  private readonly now: () => number;
+  private readonly maxCvarPct: number | null;
+  private readonly portfolioRisk: PortfolioRiskAnalyzer;
+  private readonly sizingConfig: SizingConfig;
+  private readonly sizingSource: SizingDataSource;
+  private readonly exposureLimiter: ExposureLimiter;
   private maxPositionSize: number;
   private maxDailyLoss: number;
   private maxLeverage: number = 100;
@@ -46,7 +131,19 @@ export class RiskManager {
   // This value is monotonic increasing (tightening) and is never reduced.
   private positionTrailingStopFloors: Map<string, number> = new Map();
 
-  constructor() {
+  constructor(options: RiskManagerOptions = {}) {
+    this.isolated = options.isolated ?? false;
+    this.now = options.now ?? Date.now;
+    const envMaxCvarPct = Number.parseFloat(process.env.RISK_MAX_CVAR_PCT || '');
+    this.maxCvarPct = options.maxCvarPct ??
+      (!this.isolated && Number.isFinite(envMaxCvarPct) && envMaxCvarPct > 0 ? envMaxCvarPct : null);
+    this.portfolioRisk = options.portfolioRisk ?? portfolioRiskAnalyzer;
+    this.sizingConfig = options.sizing ?? (this.isolated
+      ? { defaults: { ...loadSizingConfig().defaults, mode: 'fixed' }, overrides: {} }
+      : loadSizingConfig());
+    this.sizingSource = options.sizingSource ?? defaultSizingDataSource;
+    this.exposureLimiter = options.exposureLimiter ?? exposureLimiter;
+
     const riskConfig = config.getSection('risk');
     this.maxPositionSize = riskConfig.maxPositionSize;
     this.maxDailyLoss = riskConfig.maxDailyLoss;
@@ -54,7 +151,7 @@ export class RiskManager {
     this.emergencyStopActive = riskConfig.emergencyStop;
 
     // Restore persisted state from SQLite
-    const persisted = restoreRiskState();
+    const persisted = this.isolated ? {} : restoreRiskState();
     this.dailyPnL = persisted[RISK_KEYS.dailyPnL] ?? 0;
     this.consecutiveLosses = persisted[RISK_KEYS.consecutiveLosses] ?? 0;
     this.cooldownUntil = persisted[RISK_KEYS.cooldownUntil] ?? null;
@@ -64,7 +161,7 @@ export class RiskManager {
     this.dailyLossAlert45Triggered = persisted[RISK_KEYS.dailyLossAlert2Triggered] ?? false;
 
     const restoredDate = persisted[RISK_KEYS.lastResetDate];
-    this.lastResetDate = restoredDate ? new Date(restoredDate) : new Date();
+    this.lastResetDate = restoredDate ? new Date(restoredDate) : new Date(this.now());
 
     logger.info(
       `[RiskManager] State restored: dailyPnL=$${this.dailyPnL.toFixed(2)}, ` +
@@ -165,8 +262,9 @@ export class RiskManager {
         };
       }
 
-      // Calculate position size based on risk budget and stop distance.
-      const suggestedSize = this.calculatePositionSize(signal, portfolio, stopLoss);
+      // Calculate position size based on the sizing mode, risk budget and stop distance.
+      const sizing = await this.getSizingTarget(signal, portfolio, stopLoss);
+      const suggestedSize = this.calculatePositionSize(signal, portfolio, stopLoss, sizing.targetNotional);
 
       // Calculate risk score
       const riskScore = this.calculateRiskScore(signal, portfolio, suggestedSize);
@@ -177,12 +275,28 @@ export class RiskManager {
         `R:R validated at 1:${riskRewardRatio.toFixed(2)} (required 1:${requiredRiskRewardRatio.toFixed(2)})`
       );
 
+      if (sizing.mode !== 'fixed') {
+        warnings.push(`Sizing ${sizing.mode}: ${sizing.detail}`);
+      }
+
+      const cvarBreach = suggestedSize > 0 ? this.checkCvarLimit(signal, portfolio, suggestedSize) : null;
+      if (cvarBreach) {
+        warnings.push(cvarBreach);
+      }
+
+      const exposureBreach = suggestedSize > 0 ? this.checkExposureLimits(signal, portfolio, suggestedSize) : null;
+      if (exposureBreach) {
+        warnings.push(exposureBreach);
+      }
+
       // Determine if approved
       const approved = suggestedSize > 0 &&
         riskScore < 0.7 &&
         !this.isCooldownActive() &&
         this.dailyPnL > -this.DAILY_LOSS_CIRCUIT_BREAKER_USD &&
-        riskRewardRatio >= requiredRiskRewardRatio;
+        riskRewardRatio >= requiredRiskRewardRatio &&
+        !cvarBreach &&
+        !exposureBreach;
 
       const assessment: RiskAssessment = {
         approved,
@@ -203,7 +317,125 @@ export class RiskManager {
     }
   }
 
-  private calculatePositionSize(signal: TradingSignal, portfolio: Portfolio, stopLossPct: number): number {
+  /**
+   * Portfolio CVaR with the proposed position added; returns the rejection
+   * reason when it breaches maxCvarPct of equity
+   */
+  private checkCvarLimit(signal: TradingSignal, portfolio: Portfolio, suggestedSize: number): string | null {
+    if (this.maxCvarPct === null || !signal.price || portfolio.totalValue <= 0) return null;
+
+    const proposed: Position = {
+      symbol: signal.symbol,
+      side: signal.action === 'SELL' ? 'SHORT' : 'LONG',
+      size: suggestedSize,
+      entryPrice: signal.price,
+      markPrice: signal.price,
+      unrealizedPnL: 0,
+      leverage: this.maxLeverage,
+      marginUsed: 0,
+    };
+    try {
+      const report = this.portfolioRisk.analyze([...portfolio.positions, proposed], portfolio.totalValue);
+      const tail = PortfolioRiskAnalyzer.tailLoss(report);
+      if (tail && tail.cvarPct > this.maxCvarPct) {
+        return `Portfolio CVaR ${(tail.cvarPct * 100).toFixed(2)}% of equity would exceed the ` +
+          `${(this.maxCvarPct * 100).toFixed(2)}% limit`;
+      }
+    } catch (error) {
+      logger.warn(`[RiskManager] CVaR check skipped: ${error instanceof Error ? error.message : error}`);
+    }
+    return null;
+  }
+
+  /**
+   * Net category / correlation-cluster exposure with the proposed trade
+   * added; returns the rejection reason when a cap would be exceeded
+   */
+  private checkExposureLimits(signal: TradingSignal, portfolio: Portfolio, suggestedSize: number): string | null {
+    if (!signal.price || portfolio.totalValue <= 0) return null;
+
+    const signedNotional = suggestedSize * signal.price * (signal.action === 'SELL' ? -1 : 1);
+    try {
+      const check = this.exposureLimiter.check(
+        signal.symbol,
+        signedNotional,
+        portfolio.positions,
+        portfolio.totalValue,
+        exposureLimitSettings(config.getSection('risk')),
+        !this.isolated
+      );
+      if (check.reason) {
+        logger.warn(`[RiskManager] Rejecting ${signal.action} ${signal.symbol}: ${check.reason}`);
+      }
+      return check.reason ?? null;
+    } catch (error) {
+      logger.warn(`[RiskManager] Exposure limit check skipped: ${error instanceof Error ? error.message : error}`);
+      return null;
+    }
+  }
+
+  /**
+   * Size a hypothetical signal under its resolved mode and under every mode,
+   * without placing anything or touching risk state
+   */
+  async previewPositionSize(signal: TradingSignal, portfolio: Portfolio, mode?: SizingMode): Promise<SizingPreview> {
+    const { stopLoss } = this.calculateStopLossAndTakeProfit(signal, portfolio);
+    const price = signal.price || 0;
+    const entry = async (entryMode?: SizingMode): Promise<SizingPreviewEntry & { target: SizingTarget }> => {
+      const target = await this.getSizingTarget(signal, portfolio, stopLoss, entryMode);
+      const suggestedSize = this.calculatePositionSize(signal, portfolio, stopLoss, target.targetNotional);
+      const notional = suggestedSize * price;
+      return { mode: target.mode, suggestedSize, notional, riskUsd: notional * stopLoss, detail: target.detail, target };
+    };
+
+    const { target, ...resolved } = await entry(mode);
+    const comparison: SizingPreviewEntry[] = [];
+    for (const candidate of SIZING_MODES) {
+      const { target: _target, ...result } = await entry(candidate);
+      comparison.push(result);
+    }
+    return {
+      ...resolved,
+      symbol: signal.symbol,
+      strategyId: signal.strategyId,
+      price,
+      stopLossPct: stopLoss,
+      target,
+      comparison,
+    };
+  }
+
+  private async getSizingTarget(
+    signal: TradingSignal,
+    portfolio: Portfolio,
+    stopLossPct: number,
+    mode?: SizingMode
+  ): Promise<SizingTarget> {
+    const settings = resolveSizingSettings(this.sizingConfig, signal.strategyId, mode);
+    if (settings.mode === 'fixed') {
+      return { mode: 'fixed', targetNotional: null, detail: 'fixed fractional' };
+    }
+    try {
+      return await computeSizingTarget(settings, {
+        symbol: signal.symbol,
+        strategyId: signal.strategyId,
+        price: signal.price || 0,
+        equity: Math.max(portfolio.totalValue, portfolio.availableBalance, 0),
+        stopLossPct,
+        positions: portfolio.positions,
+      }, this.sizingSource);
+    } catch (error) {
+      logger.warn(`[RiskManager] ${settings.mode} sizing failed, using fixed fractional: ${error instanceof Error ? error.message : error}`);
+      return { mode: settings.mode, targetNotional: null, detail: 'sizing data unavailable, using fixed fractional' };
+    }
+  }
+
+  private calculatePositionSize(
+    signal: TradingSignal,
+    portfolio: Portfolio,
+    stopLossPct: number,
+    targetNotional: number | null = null
+  ): number {
     if (this.isCooldownActive()) {
       const cooldownRemainingMs = this.getCooldownRemainingMs();
       logger.error(
@@ -224,7 +456,12 @@ export class RiskManager {
     const riskBudgetUsd = portfolio.availableBalance * riskPercent;
 
     const safeStopLossPct = Math.max(0.006, stopLossPct);
-    const targetNotionalFromRisk = riskBudgetUsd / safeStopLossPct;
+    // A sizing mode replaces the fixed fractional target; the caps below still apply.
+    if (targetNotional !== null && targetNotional <= 0) {
+      logger.warn(`[RiskManager] Sizing mode resolved ${signal.symbol} target notional to 0`);
+      return 0;
+    }
+    const targetNotionalFromRisk = targetNotional ?? riskBudgetUsd / safeStopLossPct;
 
     // Reduce sizing when there is already exposure in this symbol.
     const currentExposure = this.getCurrentExposure(signal.symbol, portfolio);
@@ -520,7 +757,7 @@ export class RiskManager {
   }
 
   private isCooldownActive(): boolean {
-    return this.cooldownUntil !== null && Date.now() < this.cooldownUntil;
+    return this.cooldownUntil !== null && this.now() < this.cooldownUntil;
   }
 
   private getCooldownRemainingMs(): number {
@@ -528,23 +765,23 @@ export class RiskManager {
       return 0;
     }
 
-    return Math.max(0, this.cooldownUntil - Date.now());
+    return Math.max(0, this.cooldownUntil - this.now());
   }
 
   private trackTradeResult(won: boolean): void {
     if (won) {
       this.consecutiveLosses = 0;
       this.cooldownUntil = null;
-      setRiskState(RISK_KEYS.consecutiveLosses, 0);
-      setRiskState(RISK_KEYS.cooldownUntil, null);
+      this.saveState(RISK_KEYS.consecutiveLosses, 0);
+      this.saveState(RISK_KEYS.cooldownUntil, null);
       return;
     }
 
     this.consecutiveLosses += 1;
-    setRiskState(RISK_KEYS.consecutiveLosses, this.consecutiveLosses);
+    this.saveState(RISK_KEYS.consecutiveLosses, this.consecutiveLosses);
     if (this.consecutiveLosses >= 4 && !this.isCooldownActive()) {
-      this.cooldownUntil = Date.now() + this.REVENGE_COOLDOWN_MS;
-      setRiskState(RISK_KEYS.cooldownUntil, this.cooldownUntil);
+      this.cooldownUntil = this.now() + this.REVENGE_COOLDOWN_MS;
+      this.saveState(RISK_KEYS.cooldownUntil, this.cooldownUntil);
       logger.error(
         `[RiskManager] CRITICAL: ${this.consecutiveLosses} consecutive losses - trading halted for 1 hour cooldown until ${new Date(this.cooldownUntil).toISOString()}`
       );
@@ -572,7 +809,7 @@ export class RiskManager {
       const warnings: string[] = [];
 
       if (openTimeMs !== undefined && Number.isFinite(openTimeMs)) {
-        const holdingTimeMs = Date.now() - openTimeMs;
+        const holdingTimeMs = this.now() - openTimeMs;
         const forceExitHoldingMs = 2 * 60 * 60 * 1000; // 2 hours
         if (holdingTimeMs > forceExitHoldingMs && unrealizedPnLPercentage < -0.01) {
           warnings.push(
@@ -691,7 +928,7 @@ export class RiskManager {
     }
 
     if (openTimeMs !== undefined && Number.isFinite(openTimeMs)) {
-      const holdingTimeMs = Date.now() - openTimeMs;
+      const holdingTimeMs = this.now() - openTimeMs;
       const forceExitHoldingMs = 2 * 60 * 60 * 1000; // 2 hours
       if (holdingTimeMs > forceExitHoldingMs && unrealizedPnLPct < -0.01) {
         logger.warn(
@@ -728,7 +965,7 @@ export class RiskManager {
    */
   registerPositionOpen(symbol: string, side: string, stopLossPct?: number): void {
     const positionKey = `${symbol}_${side}`;
-    this.positionOpenTimes.set(positionKey, Date.now());
+    this.positionOpenTimes.set(positionKey, this.now());
 
     // CRITICAL FIX: Set hard stop that can only tighten.
     const hardStop = this.setOrTightenHardStop(positionKey, stopLossPct ?? this.DEFAULT_STOP_LOSS_PCT);
@@ -736,7 +973,7 @@ export class RiskManager {
     this.positionTrailingStopFloors.set(positionKey, -hardStop);
 
     logger.info(
-      `[RiskManager] Position registered: ${positionKey} at ${new Date().toISOString()} with HARD STOP at -${(hardStop * 100).toFixed(2)}%`
+      `[RiskManager] Position registered: ${positionKey} at ${new Date(this.now()).toISOString()} with HARD STOP at -${(hardStop * 100).toFixed(2)}%`
     );
   }
 
@@ -781,7 +1018,7 @@ export class RiskManager {
   updateDailyPnL(pnl: number): void {
     this.updateTradeResult(pnl);
     this.dailyPnL += pnl;
-    setRiskState(RISK_KEYS.dailyPnL, this.dailyPnL);
+    this.saveState(RISK_KEYS.dailyPnL, this.dailyPnL);
     logger.info(`Daily P&L updated: ${this.dailyPnL.toFixed(2)}`);
     this.logDailyLossApproachAlerts();
 
@@ -791,13 +1028,13 @@ export class RiskManager {
         `(hard limit -$${this.DAILY_LOSS_CIRCUIT_BREAKER_USD.toFixed(2)})`
       );
       this.emergencyStopReason = `Daily loss limit exceeded: $${this.dailyPnL.toFixed(2)}`;
-      setRiskState(RISK_KEYS.emergencyStopReason, this.emergencyStopReason);
+      this.saveState(RISK_KEYS.emergencyStopReason, this.emergencyStopReason);
       void this.activateEmergencyStop();
     }
   }
 
   private resetDailyPnLIfNeeded(): void {
-    const today = new Date();
+    const today = new Date(this.now());
     const isSameDay = today.toDateString() === this.lastResetDate.toDateString();
 
     if (!isSameDay) {
@@ -805,8 +1042,8 @@ export class RiskManager {
       this.lastResetDate = today;
       this.dailyLossAlert40Triggered = false;
       this.dailyLossAlert45Triggered = false;
-      resetRiskDaily();
-      setRiskState(RISK_KEYS.lastResetDate, today.toISOString());
+      if (!this.isolated) resetRiskDaily();
+      this.saveState(RISK_KEYS.lastResetDate, today.toISOString());
       logger.info('Daily P&L reset for new day');
     }
   }
@@ -818,8 +1055,8 @@ export class RiskManager {
         logger.error(`Emergency stop reason: ${this.emergencyStopReason}`);
       }
       this.emergencyStopActive = true;
-      setRiskState(RISK_KEYS.emergencyStopActive, true);
-      setRiskState(RISK_KEYS.emergencyStopReason, this.emergencyStopReason);
+      this.saveState(RISK_KEYS.emergencyStopActive, true);
+      this.saveState(RISK_KEYS.emergencyStopReason, this.emergencyStopReason);
       await this.forceCloseAllPositions();
 
       logger.error('Emergency stop activated - all trading halted');
@@ -833,15 +1070,15 @@ export class RiskManager {
   disableEmergencyStop(): void {
     this.emergencyStopActive = false;
     this.emergencyStopReason = '';
-    setRiskState(RISK_KEYS.emergencyStopActive, false);
-    setRiskState(RISK_KEYS.emergencyStopReason, '');
+    this.saveState(RISK_KEYS.emergencyStopActive, false);
+    this.saveState(RISK_KEYS.emergencyStopReason, '');
     logger.info('Emergency stop disabled - trading resumed');
   }
 
   private logDailyLossApproachAlerts(): void {
     if (this.dailyPnL <= -this.DAILY_LOSS_ALERT_1_USD && !this.dailyLossAlert40Triggered) {
       this.dailyLossAlert40Triggered = true;
-      setRiskState(RISK_KEYS.dailyLossAlert1Triggered, true);
+      this.saveState(RISK_KEYS.dailyLossAlert1Triggered, true);
       logger.error(
         `CRITICAL: Approaching daily loss breaker: PnL=$${this.dailyPnL.toFixed(2)} (threshold -$${this.DAILY_LOSS_ALERT_1_USD.toFixed(2)})`
       );
@@ -849,15 +1086,24 @@ export class RiskManager {
 
     if (this.dailyPnL <= -this.DAILY_LOSS_ALERT_2_USD && !this.dailyLossAlert45Triggered) {
       this.dailyLossAlert45Triggered = true;
-      setRiskState(RISK_KEYS.dailyLossAlert2Triggered, true);
+      this.saveState(RISK_KEYS.dailyLossAlert2Triggered, true);
       logger.error(
         `CRITICAL: Approaching daily loss breaker: PnL=$${this.dailyPnL.toFixed(2)} (threshold -$${this.DAILY_LOSS_ALERT_2_USD.toFixed(2)})`
       );
     }
   }
 
+  private saveState(key: string, value: any): void {
+    if (!this.isolated) setRiskState(key, value);
+  }
+
   private async forceCloseAllPositions(): Promise<void> {
     try {
+      if (this.isolated) {
+        logger.warn('[RiskManager] Isolated instance: skipping exchange close of positions');
+        return;
+      }
+
       if (!hyperliquidClient.isConfigured()) {
         logger.error('[RiskManager] CRITICAL: Unable to close positions - Hyperliquid client is not configured');
         return;
@@ -940,6 +1186,38 @@ export class RiskManager {
     return positionSize <= this.maxPositionSize && leverage <= this.maxLeverage;
   }
 
+  /**
+   * Gate for delta-neutral pairs (funding arbitrage). Each leg is capped like a
+   * single position, since a failed partner leg can leave either one naked.
+   */
+  checkPairedEntry(request: PairedEntryRequest): PairedEntryDecision {
+    this.resetDailyPnLIfNeeded();
+    const maxLegNotionalUsd = Math.max(0, request.equity * this.maxPositionSize);
+    const reject = (reason: string): PairedEntryDecision => ({ approved: false, maxLegNotionalUsd, reason });
+
+    if (this.emergencyStopActive) {
+      return reject('Emergency stop is active');
+    }
+    const blockedSymbols = process.env.BLOCKED_SYMBOLS?.split(',').map(s => s.trim().toUpperCase()) || [];
+    if (blockedSymbols.includes(request.symbol.toUpperCase())) {
+      return reject(`Symbol ${request.symbol} is on circuit breaker blacklist`);
+    }
+    if (this.isCooldownActive()) {
+      return reject(`Trading cooldown active: ${Math.ceil(this.getCooldownRemainingMs() / 60000)} minute(s) remaining`);
+    }
+    if (this.dailyPnL <= -this.DAILY_LOSS_CIRCUIT_BREAKER_USD) {
+      return reject(`Daily loss circuit breaker hit ($${this.dailyPnL.toFixed(2)})`);
+    }
+    if (request.leverage > this.maxLeverage) {
+      return reject(`Leverage ${request.leverage}x exceeds max ${this.maxLeverage}x`);
+    }
+    if (maxLegNotionalUsd <= 0) {
+      return reject('No equity available for a new position');
+    }
+
+    return { approved: true, maxLegNotionalUsd: Math.min(request.legNotionalUsd, maxLegNotionalUsd) };
+  }
+
   calculatePortfolioRisk(portfolio: Portfolio): {
     totalRisk: number;
     concentrationRisk: number;
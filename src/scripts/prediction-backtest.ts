@@ -0,0 +1,97 @@
+/**
+ * Prediction Market Replay Backtest
+ *
+ * Replays stored prediction-market snapshots and linked news in time order
+ * through the theorizer, holds each position to resolution and reports ROI,
+ * hit rate and capital lockup per idea type.
+ *
+ * Usage:
+ *   npx ts-node src/scripts/prediction-backtest.ts [--start <ISO>] [--end <ISO>] [--market <id>]...
+ *     [--stake N] [--fee-rate N] [--min-confidence N] [--trades] [--json]
+ */
+
+import { EventBacktestOptions, EventBacktestStats, PredictionEventBacktester } from '../prediction-markets/event-backtester';
+
+function parseArgs(): Partial<EventBacktestOptions> & { trades: boolean; json: boolean } {
+  const args = process.argv.slice(2);
+  const options: Partial<EventBacktestOptions> = {};
+  const marketIds: string[] = [];
+  let trades = false;
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--start': options.start = new Date(args[++i]); break;
+      case '--end': options.end = new Date(args[++i]); break;
+      case '--market': marketIds.push(args[++i]); break;
+      case '--stake': options.stakeUsd = Number.parseFloat(args[++i]) || undefined; break;
+      case '--fee-rate': {
+        const feeRate = Number.parseFloat(args[++i]);
+        options.feeRate = Number.isFinite(feeRate) ? feeRate : undefined;
+        break;
+      }
+      case '--min-confidence': options.minConfidence = Number.parseFloat(args[++i]) || 0; break;
+      case '--trades': trades = true; break;
+      case '--json': json = true; break;
+    }
+  }
+
+  if (marketIds.length) options.marketIds = marketIds;
+  for (const key of Object.keys(options) as (keyof EventBacktestOptions)[]) {
+    if (options[key] === undefined) delete options[key];
+  }
+  return { ...options, trades, json };
+}
+
+function formatStats(stats: EventBacktestStats): string {
+  return `  ${stats.ideaType.padEnd(24)} ${String(stats.trades).padStart(5)} ${String(stats.settled).padStart(7)} ` +
+    `${(stats.hitRate * 100).toFixed(1).padStart(6)}% ${(stats.roi * 100).toFixed(2).padStart(8)}% ` +
+    `${stats.realizedPnl.toFixed(2).padStart(10)} ${stats.unrealizedPnl.toFixed(2).padStart(10)} ` +
+    `${stats.avgLockupHours.toFixed(1).padStart(9)}h ${(stats.annualizedReturn * 100).toFixed(1).padStart(8)}%`;
+}
+
+async function main(): Promise<void> {
+  const { trades, json, ...options } = parseArgs();
+  for (const date of [options.start, options.end]) {
+    if (date && Number.isNaN(date.getTime())) {
+      console.error('--start and --end must be ISO dates');
+      process.exit(1);
+    }
+  }
+
+  const report = await new PredictionEventBacktester(undefined, options).run();
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const period = report.period.start && report.period.end
+    ? `${report.period.start.toISOString()} -> ${report.period.end.toISOString()}`
+    : 'no stored history';
+  console.log(`Replayed ${report.marketsReplayed} market(s), ${period}`);
+  console.log(`  Events: ${report.events.snapshots} snapshots, ${report.events.news} articles, ${report.events.resolutions} resolutions`);
+  console.log(`  Stake $${report.options.stakeUsd} per trade, fee ${(report.options.feeRate * 100).toFixed(2)}%`);
+  console.log('');
+  console.log(`  ${'Type'.padEnd(24)} Trades Settled    Hit       ROI   Realized Unrealized   Lockup   Annual.`);
+  for (const stats of report.byType) console.log(formatStats(stats));
+  console.log(formatStats(report.overall));
+  console.log(`  Peak capital locked: $${report.peakCapitalLocked.toFixed(2)}`);
+
+  if (trades) {
+    console.log('');
+    for (const trade of report.trades) {
+      console.log(
+        `  ${trade.entryTime.toISOString()}  ${trade.status.padEnd(4)} ${trade.outcome.padEnd(3)} @ ${trade.entryPrice.toFixed(3)} ` +
+        `-> ${trade.exitPrice.toFixed(3)}  ${trade.pnl.toFixed(2).padStart(8)}  ${trade.ideaType.padEnd(24)} ${trade.marketTitle}`
+      );
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Prediction backtest failed:', error);
+    process.exit(1);
+  });
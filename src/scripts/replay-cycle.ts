@@ -0,0 +1,116 @@
+/**
+ * Trading Cycle Replay
+ *
+ * Re-runs the LangGraph trading cycle against stored candles and recorded LLM
+ * responses (see LLM_RECORD_RESPONSES). Either replays one recorded cycle from
+ * agent_traces and diffs it against what happened live, or replays a range.
+ *
+ * Usage:
+ *   npx ts-node src/scripts/replay-cycle.ts --cycle <cycleId>
+ *   npx ts-node src/scripts/replay-cycle.ts --symbol BTC --timeframe 1h --start <ISO> [--end <ISO>]
+ *     [--interval-ms N] [--capital N] [--json]
+ */
+
+import { CycleReplay, replayRecordedCycle } from '../langgraph/replay';
+
+function parseArgs(): {
+  cycleId?: string;
+  symbol: string;
+  timeframe: string;
+  start?: Date;
+  end?: Date;
+  intervalMs?: number;
+  capital?: number;
+  json: boolean;
+} {
+  const args = process.argv.slice(2);
+  let cycleId: string | undefined;
+  let symbol = 'BTC';
+  let timeframe = '1h';
+  let start: Date | undefined;
+  let end: Date | undefined;
+  let intervalMs: number | undefined;
+  let capital: number | undefined;
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--cycle': cycleId = args[++i]; break;
+      case '--symbol': symbol = (args[++i] || symbol).toUpperCase(); break;
+      case '--timeframe': timeframe = args[++i] || timeframe; break;
+      case '--start': start = new Date(args[++i]); break;
+      case '--end': end = new Date(args[++i]); break;
+      case '--interval-ms': intervalMs = Number.parseInt(args[++i], 10) || undefined; break;
+      case '--capital': capital = Number.parseFloat(args[++i]) || undefined; break;
+      case '--json': json = true; break;
+    }
+  }
+
+  return { cycleId, symbol, timeframe, start, end, intervalMs, capital, json };
+}
+
+async function main(): Promise<void> {
+  const config = parseArgs();
+
+  if (config.cycleId) {
+    const comparison = await replayRecordedCycle(config.cycleId, {
+      ...(config.capital !== undefined && { initialCapital: config.capital }),
+    });
+
+    if (config.json) {
+      console.log(JSON.stringify(comparison, null, 2));
+      return;
+    }
+
+    console.log(`Cycle ${comparison.cycleId} @ ${comparison.time.toISOString()} (account from ${comparison.portfolioSource})`);
+    console.log(`  Step: ${comparison.replay.currentStep}`);
+    console.log(`  Signal: ${comparison.replay.signal?.action || 'none'}  Executed: ${comparison.replay.execution ? 'yes' : 'no'}`);
+    console.log(`  LLM: ${comparison.replay.llm.hits} recorded, ${comparison.replay.llm.misses} missing`);
+    if (comparison.matches) {
+      console.log('  Replay matches the recorded cycle');
+    } else {
+      console.log(`  ${comparison.differences.length} difference(s):`);
+      for (const diff of comparison.differences) {
+        console.log(`    ${diff.field}: recorded=${JSON.stringify(diff.recorded)} replayed=${JSON.stringify(diff.replayed)}`);
+      }
+    }
+    return;
+  }
+
+  if (!config.start || Number.isNaN(config.start.getTime())) {
+    console.error('Either --cycle <id> or --start <ISO date> is required');
+    process.exit(1);
+  }
+
+  const report = await new CycleReplay({
+    symbol: config.symbol,
+    timeframe: config.timeframe,
+    start: config.start,
+    end: config.end,
+    intervalMs: config.intervalMs,
+    initialCapital: config.capital,
+  }).run();
+
+  if (config.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`Replayed ${report.cycles.length} cycle(s) for ${report.symbol} ${report.timeframe}`);
+  for (const cycle of report.cycles) {
+    console.log(
+      `  ${cycle.time.toISOString()}  ${cycle.currentStep.padEnd(28)} ` +
+      `${(cycle.signal?.action || '-').padEnd(5)} ${cycle.execution ? `${cycle.execution.side} ${cycle.execution.size.toFixed(4)} @ ${cycle.execution.price}` : ''}`
+    );
+  }
+  console.log(`  Trades: ${report.trades.length}  Final value: ${report.finalPortfolio.totalValue.toFixed(2)}`);
+  console.log(`  LLM misses: ${report.llmMisses}`);
+  console.log(`  Fingerprint: ${report.fingerprint}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Replay failed:', error);
+    process.exit(1);
+  });
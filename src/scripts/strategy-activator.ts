@@ -313,9 +313,9 @@ function main() {
             db.prepare(`
               INSERT OR REPLACE INTO strategies (
                 id, name, description, type, symbols, timeframe, parameters,
-                entryConditions, exitConditions, riskParameters, isActive,
+                entryConditions, exitConditions, rules, riskParameters, isActive,
                 performance, createdAt, updatedAt
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
             `).run(
               strategyId,
               idea.name,
@@ -326,6 +326,7 @@ function main() {
               idea.parameters,
               idea.entry_conditions,
               idea.exit_conditions,
+              idea.rules ?? null,
               idea.risk_parameters,
               JSON.stringify({
                 totalTrades: perf?.total_trades || 0,
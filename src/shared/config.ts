@@ -3,6 +3,19 @@ import fs from 'fs';
 import path from 'path';
 import { Config } from './types';
 
+/**
+ * CATEGORY_EXPOSURE_LIMITS, e.g. "Meme:0.2,AI:0.3"
+ */
+function parseCategoryLimits(value?: string): Record<string, number> {
+  const limits: Record<string, number> = {};
+  for (const entry of (value || '').split(',')) {
+    const [category, limit] = entry.split(':').map(part => part.trim());
+    const parsed = parseFloat(limit);
+    if (category && Number.isFinite(parsed)) limits[category] = parsed;
+  }
+  return limits;
+}
+
 class ConfigManager {
   private config: Config;
   private configPath: string;
@@ -44,7 +57,11 @@ class ConfigManager {
         maxPositionSize: parseFloat(process.env.MAX_POSITION_SIZE || '0.1'),
         maxDailyLoss: parseFloat(process.env.MAX_DAILY_LOSS || '0.05'),
         maxLeverage: parseInt(process.env.MAX_LEVERAGE || '100'),
-        emergencyStop: process.env.EMERGENCY_STOP === 'true'
+        emergencyStop: process.env.EMERGENCY_STOP === 'true',
+        maxCategoryExposure: parseFloat(process.env.MAX_CATEGORY_EXPOSURE || '0.5'),
+        categoryExposureLimits: parseCategoryLimits(process.env.CATEGORY_EXPOSURE_LIMITS),
+        maxClusterExposure: parseFloat(process.env.MAX_CLUSTER_EXPOSURE || '0.75'),
+        clusterCorrelation: parseFloat(process.env.CLUSTER_CORRELATION_THRESHOLD || '0.7')
       },
       safety: {
         dailyLossLimit: parseFloat(process.env.SAFETY_DAILY_LOSS_LIMIT || '50'),
@@ -116,6 +133,9 @@ class ConfigManager {
         if (parsed.safety) {
           mergedConfig.safety = { ...defaultConfig.safety, ...parsed.safety };
         }
+        if (parsed.risk) {
+          mergedConfig.risk = { ...defaultConfig.risk, ...parsed.risk };
+        }
 
         return mergedConfig;
       }
@@ -6,6 +6,7 @@ import crypto from 'crypto';
 import configManager from '../shared/config';
 import logger from '../shared/logger';
 import { acquireRateLimitSlot, reportRateLimitHit, reportSuccess } from './shared-rate-limiter';
+import llmRecorder from './llm-recorder';
 import { Strategy, ResearchData, PredictionIdea, PredictionMarket, NewsItem } from '../shared/types';
 
 const config = configManager.get();
@@ -37,6 +38,8 @@ export class GLMAIService {
      * Check if the service is configured
      */
     canUseService(): boolean {
+        // Replays answer from recorded responses and never reach the API
+        if (llmRecorder.isReplaying()) return true;
         return !!this.apiKey && this.apiKey.length > 0 && this.apiKey !== 'your-api-key-here';
     }
 
@@ -108,6 +111,10 @@ export class GLMAIService {
      */
     private async callAPI(prompt: string, retries: number = 5, modelOverride?: string, temperature: number = 0.7): Promise<string> {
         const modelToUse = modelOverride || this.model;
+        const requestHash = llmRecorder.hashRequest(modelToUse, temperature, prompt);
+        const recorded = llmRecorder.replayResponse(requestHash);
+        if (recorded !== undefined) return recorded;
+
         for (let attempt = 1; attempt <= retries; attempt++) {
             try {
                 // Shared rate limit: enforce minimum interval across all z.ai services
@@ -159,6 +166,7 @@ export class GLMAIService {
                         .map((d: any) => d.text)
                         .join('\n');
                 }
+                llmRecorder.record(requestHash, modelToUse, temperature, prompt, content);
                 return content;
             } catch (error: any) {
                 const status = error?.response?.status;
@@ -4,6 +4,7 @@
 import { Queue, Worker, Job } from 'bullmq';
 import logger from './logger';
 import messageBus from './message-bus';
+import type { BacktestJobData } from '../backtest-worker/job-processor';
 
 // Job types
 export enum JobType {
@@ -58,13 +59,8 @@ export interface EmbedBatchJob {
   priority?: number;
 }
 
-export interface BacktestJob {
-  strategy: any;
-  symbol: string;
-  timeframe: string;
-  from: number;
-  to: number;
-}
+// Same payload the backtest workers consume from BACKTEST_QUEUE
+export type BacktestJob = BacktestJobData;
 
 export interface PatternSearchJob {
   query: {
@@ -99,6 +95,9 @@ const QUEUE_CONFIG = {
   },
 };
 
+// Queue the backtest worker pool (src/backtest-worker) listens on
+const BACKTEST_QUEUE = 'backtest-queue';
+
 // Queue registry
 const queues = new Map<string, Queue>();
 const workers = new Map<string, Worker>();
@@ -226,8 +225,23 @@ class JobQueueManager {
    * Add a backtest job
    */
   async addBacktestJob(data: BacktestJob): Promise<Job> {
-    const queue = getQueue('backtesting');
-    return queue.add(JobType.STRATEGY_BACKTEST, data);
+    const queue = getQueue(BACKTEST_QUEUE);
+    return queue.add('backtest', data, {
+      jobId: data.jobId,
+      priority: data.priority || 5,
+      backoff: {
+        type: 'exponential',
+        delay: 5000,
+      },
+    });
+  }
+
+  /**
+   * Look up a backtest job (state and return value) by id
+   */
+  async getBacktestJob(jobId: string): Promise<Job<BacktestJob> | undefined> {
+    const queue = getQueue(BACKTEST_QUEUE);
+    return queue.getJob(jobId);
   }
 
   /**
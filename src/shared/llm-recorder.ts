@@ -0,0 +1,159 @@
+// LLM Response Recorder
+// Stores GLM responses so trading cycles can be replayed later without the API.
+// Recording is opt-in (LLM_RECORD_RESPONSES=true). Requests are keyed by a hash
+// of model, temperature and prompt; replays pick the recording closest in time.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import BetterSqlite3 from 'better-sqlite3';
+import crypto from 'crypto';
+import configManager from './config';
+import logger from './logger';
+
+const fullConfig = configManager.get();
+const defaultDbPath = fullConfig.database?.connection || './data/trading.db';
+
+export interface LlmRecording {
+    requestHash: string;
+    model: string;
+    temperature: number;
+    prompt: string;
+    response: string;
+    /** Epoch milliseconds */
+    recordedAt: number;
+}
+
+/**
+ * Thrown inside a replay when no recording exists for a request
+ */
+export class LlmReplayMissError extends Error {
+    constructor(public readonly requestHash: string) {
+        super(`No recorded LLM response for request ${requestHash.slice(0, 12)}`);
+        this.name = 'LlmReplayMissError';
+    }
+}
+
+interface ReplaySession {
+    /** Simulated time of the call, used to pick among several recordings */
+    now: () => number;
+    hits: number;
+    misses: number;
+}
+
+export class LlmRecorder {
+    private db: BetterSqlite3.Database | null = null;
+    private recordEnabled: boolean = process.env.LLM_RECORD_RESPONSES === 'true';
+    private replayStorage = new AsyncLocalStorage<ReplaySession>();
+
+    /**
+     * @param dbPath - SQLite file for recordings (default: the trading database)
+     */
+    constructor(private dbPath: string = defaultDbPath) {}
+
+    private getDb(): BetterSqlite3.Database {
+        if (this.db) return this.db;
+
+        this.db = new BetterSqlite3(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS llm_recordings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                request_hash TEXT NOT NULL,
+                model TEXT NOT NULL,
+                temperature REAL NOT NULL,
+                prompt TEXT NOT NULL,
+                response TEXT NOT NULL,
+                recorded_at INTEGER NOT NULL
+            )
+        `);
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_llm_recordings_hash
+            ON llm_recordings(request_hash, recorded_at)
+        `);
+        return this.db;
+    }
+
+    hashRequest(model: string, temperature: number, prompt: string): string {
+        return crypto.createHash('sha256').update(`${model}\n${temperature}\n${prompt}`).digest('hex');
+    }
+
+    isRecording(): boolean {
+        return this.recordEnabled;
+    }
+
+    setRecording(enabled: boolean): void {
+        this.recordEnabled = enabled;
+    }
+
+    isReplaying(): boolean {
+        return this.replayStorage.getStore() !== undefined;
+    }
+
+    /**
+     * Store a live response. Never throws: recording must not affect trading.
+     */
+    record(requestHash: string, model: string, temperature: number, prompt: string, response: string): void {
+        if (!this.recordEnabled || this.isReplaying()) return;
+
+        try {
+            this.getDb().prepare(`
+                INSERT INTO llm_recordings (request_hash, model, temperature, prompt, response, recorded_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(requestHash, model, temperature, prompt, response, Date.now());
+        } catch (error) {
+            logger.warn('[LlmRecorder] Failed to record response:', error);
+        }
+    }
+
+    /**
+     * Recording for a request, closest to `at` (epoch ms) when several exist
+     */
+    find(requestHash: string, at?: number): LlmRecording | null {
+        const row = this.getDb().prepare(`
+            SELECT request_hash, model, temperature, prompt, response, recorded_at
+            FROM llm_recordings
+            WHERE request_hash = ?
+            ORDER BY ABS(recorded_at - ?) ASC, id ASC
+            LIMIT 1
+        `).get(requestHash, at ?? Date.now()) as any;
+
+        if (!row) return null;
+        return {
+            requestHash: row.request_hash,
+            model: row.model,
+            temperature: row.temperature,
+            prompt: row.prompt,
+            response: row.response,
+            recordedAt: row.recorded_at,
+        };
+    }
+
+    /**
+     * Run `fn` with LLM calls answered from recordings. Returns the result
+     * with hit/miss counts for the calls made inside it.
+     */
+    async replay<T>(now: () => number, fn: () => Promise<T>): Promise<{ result: T; hits: number; misses: number }> {
+        const session: ReplaySession = { now, hits: 0, misses: 0 };
+        const result = await this.replayStorage.run(session, fn);
+        return { result, hits: session.hits, misses: session.misses };
+    }
+
+    /**
+     * Recorded response when replaying, undefined for live calls.
+     * Throws LlmReplayMissError when replaying and nothing was recorded.
+     */
+    replayResponse(requestHash: string): string | undefined {
+        const session = this.replayStorage.getStore();
+        if (!session) return undefined;
+
+        const recording = this.find(requestHash, session.now());
+        if (!recording) {
+            session.misses++;
+            throw new LlmReplayMissError(requestHash);
+        }
+        session.hits++;
+        return recording.response;
+    }
+}
+
+const llmRecorder = new LlmRecorder();
+export default llmRecorder;
@@ -17,6 +17,7 @@ export enum Channel {
   MARKET_DATA = 'market:data',
   MARKET_SNAPSHOT = 'market:snapshot',
   ORDER_BOOK_UPDATE = 'market:orderbook',
+  MARKET_TRADES = 'market:trades',         // Public trade prints (symbol, price, size, side)
 
   // News events
   NEWS_SCRAPE_START = 'news:scrape:start',
@@ -1,3 +1,5 @@
+import { StrategyRules } from '../strategy-dsl/types';
+
 export interface TradingSignal {
   id: string;
   symbol: string;
@@ -21,6 +23,8 @@ export interface Strategy {
   parameters: Record<string, any>;
   entryConditions: string[];
   exitConditions: string[];
+  /** Declarative entry/exit rules; when absent the backtesters use the built-in rules for `type` */
+  rules?: StrategyRules;
   riskParameters: {
     maxPositionSize: number;
     stopLoss: number;
@@ -75,6 +79,10 @@ export interface BacktestResult {
     totalFees: number;
     avgSlippageCost: number;
     expectancy: number;
+    /** Net funding received (negative when paid); not included in totalFees */
+    fundingPnl?: number;
+    /** Share of funding periods charged from recorded rates (0-1) */
+    fundingCoverage?: number;
   };
 }
 
@@ -243,6 +251,13 @@ export interface Config {
     maxDailyLoss: number;
     maxLeverage: number;
     emergencyStop: boolean;
+    /** Max net exposure per symbol category as a fraction of equity (0 disables) */
+    maxCategoryExposure?: number;
+    /** Per-category overrides of maxCategoryExposure, keyed by category name */
+    categoryExposureLimits?: Record<string, number>;
+    /** Max net exposure across symbols correlated at or above clusterCorrelation (0 disables) */
+    maxClusterExposure?: number;
+    clusterCorrelation?: number;
   };
   safety: {
     dailyLossLimit: number;
@@ -295,6 +310,9 @@ export type NewsImportance = 'LOW' | 'MEDIUM' | 'HIGH' | 'CRITICAL';
 
 export type NewsSentiment = 'BULLISH' | 'BEARISH' | 'NEUTRAL';
 
+/** Where an article entered the pipeline: a SearXNG query or a polled feed */
+export type NewsSourceType = 'SEARCH' | 'RSS' | 'ATOM' | 'ANNOUNCEMENT';
+
 export interface NewsItem {
   id: string;
   title: string;
@@ -431,6 +449,33 @@ export interface PredictionIdea {
   linkedClusterCount?: number;
   heatScore?: number;
   sentimentScore?: number;
+  /** Set on legs of a cross-market consistency arbitrage */
+  basket?: PredictionArbitrageBasket;
+}
+
+export interface PredictionArbitrageLeg {
+  marketId: string;
+  marketTitle: string;
+  outcome: 'YES' | 'NO';
+  price: number;
+}
+
+export interface PredictionArbitrageBasket {
+  id: string;
+  /** EXCLUSIVE: at most one YES; EXHAUSTIVE: exactly one YES; NESTED: first implies second */
+  kind: 'EXCLUSIVE' | 'EXHAUSTIVE' | 'NESTED';
+  description: string;
+  legs: PredictionArbitrageLeg[];
+  marketIds: string[];
+  /** Cost of one share of every leg */
+  cost: number;
+  /** Guaranteed payout of one share of every leg */
+  minPayout: number;
+  /** minPayout - cost */
+  edge: number;
+  sharesPerLeg: number;
+  /** Legs already held when the basket was built */
+  legsHeld: number;
 }
 
 export interface PredictionBacktestResult {
@@ -448,6 +493,55 @@ export interface PredictionBacktestResult {
   totalTrades?: number;
 }
 
+/** A theorizer forecast, stored once per market and idea type */
+export interface PredictionForecast {
+  id: string;
+  marketId: string;
+  marketTitle: string;
+  ideaType: string;
+  outcome: 'YES' | 'NO';
+  /** Market-implied probability of YES when the idea was generated */
+  impliedProbability: number;
+  /** Uncorrected theorizer probability of YES */
+  predictedProbability: number;
+  /** Calibration edge multiplier applied when the idea was generated */
+  edgeMultiplier: number;
+  createdAt: Date;
+  resolvedOutcome?: 'YES' | 'NO';
+  resolvedAt?: Date;
+}
+
+export interface PredictionReliabilityBin {
+  /** Predicted YES probability range [lower, upper) */
+  lower: number;
+  upper: number;
+  count: number;
+  meanPredicted: number;
+  observedFrequency: number;
+}
+
+export interface PredictionCalibrationStats {
+  ideaType: string;
+  resolved: number;
+  /** null until a forecast of this type has resolved */
+  brierScore: number | null;
+  logLoss: number | null;
+  /** Brier score of the market-implied probabilities on the same forecasts */
+  marketBrierScore: number | null;
+  /** Multiplier applied to the theorizer's edge for this idea type */
+  edgeMultiplier: number;
+  /** Non-empty bins only */
+  reliability: PredictionReliabilityBin[];
+}
+
+export interface PredictionCalibrationReport {
+  generatedAt: Date;
+  /** Markets with forecasts still waiting for an outcome */
+  pendingMarkets: number;
+  overall: PredictionCalibrationStats;
+  byType: PredictionCalibrationStats[];
+}
+
 export interface PredictionSignal {
   id: string;
   marketId: string;
@@ -0,0 +1,449 @@
+/**
+ * Strategy Rule Compiler
+ *
+ * Turns declarative StrategyRules into a CompiledStrategy that both backtest
+ * engines run: `evaluateSeries` for the vectorized backtester and
+ * `createRunner` for the event-driven one. Both read the same streaming
+ * indicators, so on the same candles they fire on the same bars.
+ */
+
+import {
+    StrategyBarSignal,
+    StrategyRuleOperator,
+    StrategyRules,
+    StrategySignalSeries,
+} from './types';
+import {
+    IndicatorBar,
+    IndicatorSpec,
+    INDICATOR_DEFAULTS,
+    PRICE_FIELDS,
+    PriceField,
+    StreamingIndicator,
+    checkIndicatorArgs,
+    computeIndicatorSeries,
+    createIndicator,
+    indicatorKey,
+    indicatorWarmup,
+    isIndicatorName,
+} from './indicators';
+import { legacyRules } from './presets';
+
+export class StrategyRulesError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'StrategyRulesError';
+    }
+}
+
+/**
+ * Anything the compiler can build rules for: explicit `rules`, or a legacy
+ * `type` whose built-in rules read their thresholds from `parameters`.
+ */
+export interface StrategyDefinition {
+    type: string;
+    parameters?: Record<string, any>;
+    rules?: StrategyRules;
+}
+
+const OPERATORS: StrategyRuleOperator[] = ['<', '<=', '>', '>=', 'crossesAbove', 'crossesBelow'];
+
+interface CompiledOperand {
+    /** Indicator key, or undefined for a constant */
+    key?: string;
+    value: number;
+}
+
+type CompiledNode =
+    | { kind: 'cmp'; left: CompiledOperand; op: StrategyRuleOperator; right: CompiledOperand }
+    | { kind: 'all' | 'any'; children: CompiledNode[] }
+    | { kind: 'not'; child: CompiledNode };
+
+interface CompiledSide {
+    entry: CompiledNode;
+    exit?: CompiledNode;
+}
+
+/**
+ * Bar-by-bar evaluation for the event-driven engine. Feed every candle in
+ * order, including warmup bars, so indicator state matches the series.
+ */
+export class StrategyRunner {
+    private indicators = new Map<string, StreamingIndicator>();
+    private current = new Map<string, number>();
+    private previous = new Map<string, number>();
+
+    constructor(private strategy: CompiledStrategy) {
+        for (const [key, spec] of strategy.indicators) {
+            this.indicators.set(key, createIndicator(spec));
+        }
+    }
+
+    next(bar: IndicatorBar): StrategyBarSignal {
+        [this.previous, this.current] = [this.current, this.previous];
+        for (const [key, indicator] of this.indicators) {
+            this.current.set(key, indicator.update(bar));
+        }
+
+        const { long, short } = this.strategy;
+        return {
+            longEntry: long ? this.fires(long.entry) : false,
+            shortEntry: short ? this.fires(short.entry) : false,
+            longExit: long?.exit ? this.fires(long.exit) : false,
+            shortExit: short?.exit ? this.fires(short.exit) : false,
+        };
+    }
+
+    /** A rule is false until all of its inputs are defined, whatever its operators */
+    private fires(node: CompiledNode): boolean {
+        return this.ready(node) && this.test(node);
+    }
+
+    private ready(node: CompiledNode): boolean {
+        switch (node.kind) {
+            case 'all':
+            case 'any': return node.children.every(child => this.ready(child));
+            case 'not': return this.ready(node.child);
+        }
+
+        const crosses = node.op === 'crossesAbove' || node.op === 'crossesBelow';
+        return [node.left, node.right].every(operand =>
+            !Number.isNaN(this.value(operand, this.current)) &&
+            (!crosses || !Number.isNaN(this.value(operand, this.previous))));
+    }
+
+    private value(operand: CompiledOperand, values: Map<string, number>): number {
+        if (operand.key === undefined) return operand.value;
+        return operand.value * (values.get(operand.key) ?? NaN);
+    }
+
+    private test(node: CompiledNode): boolean {
+        switch (node.kind) {
+            case 'all': return node.children.every(child => this.test(child));
+            case 'any': return node.children.some(child => this.test(child));
+            case 'not': return !this.test(node.child);
+        }
+
+        const a = this.value(node.left, this.current);
+        const b = this.value(node.right, this.current);
+        switch (node.op) {
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case 'crossesAbove':
+                return a > b && this.value(node.left, this.previous) <= this.value(node.right, this.previous);
+            case 'crossesBelow':
+                return a < b && this.value(node.left, this.previous) >= this.value(node.right, this.previous);
+        }
+    }
+}
+
+export class CompiledStrategy {
+    /**
+     * Bars needed before every referenced indicator (and the previous value a
+     * cross compares against) is defined, so bar warmupBars - 1 is the first
+     * one every rule can fire on. Each rule is false until its own inputs
+     * are, negated or not.
+     */
+    readonly warmupBars: number;
+
+    constructor(
+        readonly rules: StrategyRules,
+        readonly indicators: Map<string, IndicatorSpec>,
+        readonly long: CompiledSide | undefined,
+        readonly short: CompiledSide | undefined,
+        warmupBars: number
+    ) {
+        this.warmupBars = warmupBars;
+    }
+
+    createRunner(): StrategyRunner {
+        return new StrategyRunner(this);
+    }
+
+    /**
+     * Whether enough bars have been seen for a bar to open a position. Both
+     * backtesters gate entries on this so they start trading on the same bar.
+     */
+    isWarmedUp(barIndex: number): boolean {
+        return barIndex + 1 >= this.warmupBars;
+    }
+
+    /**
+     * Evaluate every bar of a series at once
+     */
+    evaluateSeries(bars: IndicatorBar[]): StrategySignalSeries {
+        const series = new Map<string, Float64Array>();
+        for (const [key, spec] of this.indicators) {
+            series.set(key, computeIndicatorSeries(spec, bars));
+        }
+
+        const length = bars.length;
+        const mask = (node: CompiledNode | undefined): Uint8Array => {
+            if (!node) return new Uint8Array(length);
+            const out = evaluateMask(node, series, length);
+            const ready = readyMask(node, series, length);
+            for (let i = 0; i < length; i++) out[i] &= ready[i];
+            return out;
+        };
+
+        return {
+            longEntry: mask(this.long?.entry),
+            shortEntry: mask(this.short?.entry),
+            longExit: mask(this.long?.exit),
+            shortExit: mask(this.short?.exit),
+        };
+    }
+}
+
+/**
+ * Bars on which every operand of a rule is defined, and the previous bar's
+ * value too where a cross compares against it
+ */
+function readyMask(node: CompiledNode, series: Map<string, Float64Array>, length: number): Uint8Array {
+    const out = new Uint8Array(length).fill(1);
+    const children = node.kind === 'cmp' ? [] : node.kind === 'not' ? [node.child] : node.children;
+    for (const child of children) {
+        const ready = readyMask(child, series, length);
+        for (let i = 0; i < length; i++) out[i] &= ready[i];
+    }
+    if (node.kind !== 'cmp') return out;
+
+    const crosses = node.op === 'crossesAbove' || node.op === 'crossesBelow';
+    for (const operand of [node.left, node.right]) {
+        if (operand.key === undefined) continue;
+        const raw = series.get(operand.key)!;
+        for (let i = 0; i < length; i++) {
+            const defined = !Number.isNaN(raw[i]) && (!crosses || (i > 0 && !Number.isNaN(raw[i - 1])));
+            if (!defined) out[i] = 0;
+        }
+    }
+    return out;
+}
+
+function evaluateMask(node: CompiledNode, series: Map<string, Float64Array>, length: number): Uint8Array {
+    const out = new Uint8Array(length);
+
+    switch (node.kind) {
+        case 'all':
+        case 'any': {
+            const masks = node.children.map(child => evaluateMask(child, series, length));
+            const every = node.kind === 'all';
+            for (let i = 0; i < length; i++) {
+                out[i] = (every ? masks.every(m => m[i] === 1) : masks.some(m => m[i] === 1)) ? 1 : 0;
+            }
+            return out;
+        }
+        case 'not': {
+            const inner = evaluateMask(node.child, series, length);
+            for (let i = 0; i < length; i++) out[i] = inner[i] ? 0 : 1;
+            return out;
+        }
+    }
+
+    const operandSeries = (operand: CompiledOperand): Float64Array => {
+        const values = new Float64Array(length);
+        if (operand.key === undefined) {
+            values.fill(operand.value);
+            return values;
+        }
+        const raw = series.get(operand.key)!;
+        for (let i = 0; i < length; i++) values[i] = operand.value * raw[i];
+        return values;
+    };
+    const a = operandSeries(node.left);
+    const b = operandSeries(node.right);
+
+    for (let i = 0; i < length; i++) {
+        let hit = false;
+        switch (node.op) {
+            case '<': hit = a[i] < b[i]; break;
+            case '<=': hit = a[i] <= b[i]; break;
+            case '>': hit = a[i] > b[i]; break;
+            case '>=': hit = a[i] >= b[i]; break;
+            case 'crossesAbove': hit = i > 0 && a[i] > b[i] && a[i - 1] <= b[i - 1]; break;
+            case 'crossesBelow': hit = i > 0 && a[i] < b[i] && a[i - 1] >= b[i - 1]; break;
+        }
+        out[i] = hit ? 1 : 0;
+    }
+    return out;
+}
+
+/**
+ * Compiles one rule tree, collecting the indicators it references
+ */
+class RuleParser {
+    readonly indicators = new Map<string, IndicatorSpec>();
+    warmupBars = 0;
+
+    constructor(private parameters: Record<string, any>) {}
+
+    side(raw: unknown, path: string): CompiledSide | undefined {
+        if (raw === undefined || raw === null) return undefined;
+        if (!isPlainObject(raw)) throw new StrategyRulesError(`${path}: expected an object with an entry condition`);
+        const side = raw as Record<string, unknown>;
+        if (side.entry === undefined) throw new StrategyRulesError(`${path}.entry: missing`);
+        return {
+            entry: this.condition(side.entry, `${path}.entry`),
+            ...(side.exit !== undefined && { exit: this.condition(side.exit, `${path}.exit`) }),
+        };
+    }
+
+    private condition(raw: unknown, path: string): CompiledNode {
+        if (Array.isArray(raw)) {
+            if (raw.length !== 3) throw new StrategyRulesError(`${path}: a comparison is [left, operator, right]`);
+            const [left, op, right] = raw;
+            if (!OPERATORS.includes(op)) {
+                throw new StrategyRulesError(`${path}: unknown operator ${JSON.stringify(op)} (use ${OPERATORS.join(', ')})`);
+            }
+            const crosses = op === 'crossesAbove' || op === 'crossesBelow';
+            return {
+                kind: 'cmp',
+                left: this.operand(left, `${path}[0]`, crosses),
+                op,
+                right: this.operand(right, `${path}[2]`, crosses),
+            };
+        }
+
+        if (isPlainObject(raw)) {
+            const node = raw as Record<string, unknown>;
+            const keys = Object.keys(node);
+            if (keys.length === 1 && (keys[0] === 'all' || keys[0] === 'any')) {
+                const children = node[keys[0]];
+                if (!Array.isArray(children) || children.length === 0) {
+                    throw new StrategyRulesError(`${path}.${keys[0]}: expected a non-empty list of conditions`);
+                }
+                return {
+                    kind: keys[0] as 'all' | 'any',
+                    children: children.map((child, i) => this.condition(child, `${path}.${keys[0]}[${i}]`)),
+                };
+            }
+            if (keys.length === 1 && keys[0] === 'not') {
+                return { kind: 'not', child: this.condition(node.not, `${path}.not`) };
+            }
+        }
+
+        throw new StrategyRulesError(`${path}: expected [left, operator, right], {all: [...]}, {any: [...]} or {not: ...}`);
+    }
+
+    private operand(raw: unknown, path: string, crosses: boolean): CompiledOperand {
+        if (typeof raw === 'number') {
+            if (!Number.isFinite(raw)) throw new StrategyRulesError(`${path}: number must be finite`);
+            return { value: raw };
+        }
+        if (typeof raw !== 'string' || raw.trim() === '') {
+            throw new StrategyRulesError(`${path}: expected a number, indicator or $parameter`);
+        }
+
+        const text = raw.replace(/\s+/g, '');
+        const star = text.indexOf('*');
+        let scale = 1;
+        let term = text;
+        if (star >= 0) {
+            scale = this.scalar(text.slice(0, star), path);
+            term = text.slice(star + 1);
+        }
+
+        const numeric = this.tryScalar(term, path);
+        if (numeric !== undefined) return { value: scale * numeric };
+
+        const spec = this.indicator(term, path);
+        const key = indicatorKey(spec);
+        this.indicators.set(key, spec);
+        this.warmupBars = Math.max(this.warmupBars, indicatorWarmup(spec) + (crosses ? 2 : 1));
+        return { key, value: scale };
+    }
+
+    private indicator(term: string, path: string): IndicatorSpec {
+        const match = term.match(/^([a-z][a-z.]*)(?:\((.*)\))?$/i);
+        if (!match) throw new StrategyRulesError(`${path}: cannot parse ${JSON.stringify(term)}`);
+
+        const name = match[1].toLowerCase();
+        if (!isIndicatorName(name)) {
+            throw new StrategyRulesError(`${path}: unknown indicator ${JSON.stringify(name)}`);
+        }
+
+        const rawArgs = match[2] !== undefined && match[2] !== '' ? match[2].split(',') : [];
+        let source: PriceField | undefined;
+        if ((name === 'sma' || name === 'ema') && rawArgs.length > 0) {
+            const last = rawArgs[rawArgs.length - 1].toLowerCase();
+            if ((PRICE_FIELDS as string[]).includes(last)) {
+                source = last as PriceField;
+                rawArgs.pop();
+            }
+        }
+
+        const defaults = INDICATOR_DEFAULTS[name];
+        if (rawArgs.length > defaults.length) {
+            throw new StrategyRulesError(`${path}: ${name} takes at most ${defaults.length} argument(s)`);
+        }
+        const args = defaults.map((fallback, i) => (i < rawArgs.length ? this.scalar(rawArgs[i], path) : fallback));
+
+        const spec: IndicatorSpec = { name, args, ...(source && { source }) };
+        const error = checkIndicatorArgs(spec);
+        if (error) throw new StrategyRulesError(`${path}: ${error}`);
+        return spec;
+    }
+
+    private scalar(text: string, path: string): number {
+        const value = this.tryScalar(text, path);
+        if (value === undefined) throw new StrategyRulesError(`${path}: expected a number or $parameter, got ${JSON.stringify(text)}`);
+        return value;
+    }
+
+    private tryScalar(text: string, path: string): number | undefined {
+        if (text.startsWith('$')) {
+            const name = text.slice(1);
+            const value = Number(this.parameters[name]);
+            if (!Object.prototype.hasOwnProperty.call(this.parameters, name) || !Number.isFinite(value)) {
+                throw new StrategyRulesError(`${path}: parameter ${text} is not a number in strategy parameters`);
+            }
+            return value;
+        }
+        if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+        return undefined;
+    }
+}
+
+function isPlainObject(value: unknown): boolean {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Compile rules, resolving $parameters against `parameters`.
+ * Throws StrategyRulesError describing the first problem found.
+ */
+export function compileRules(rules: StrategyRules, parameters: Record<string, any> = {}): CompiledStrategy {
+    if (!isPlainObject(rules)) throw new StrategyRulesError('rules: expected an object with long and/or short sides');
+    const extra = Object.keys(rules).filter(key => key !== 'long' && key !== 'short');
+    if (extra.length > 0) throw new StrategyRulesError(`rules: unexpected key(s) ${extra.join(', ')}`);
+
+    const parser = new RuleParser(parameters || {});
+    const long = parser.side(rules.long, 'long');
+    const short = parser.side(rules.short, 'short');
+    if (!long && !short) throw new StrategyRulesError('rules: need at least one of long or short');
+
+    return new CompiledStrategy(rules, parser.indicators, long, short, parser.warmupBars);
+}
+
+/**
+ * Compile a strategy's own rules, or the built-in rules for its type
+ */
+export function compileStrategy(strategy: StrategyDefinition): CompiledStrategy {
+    const parameters = strategy.parameters || {};
+    return compileRules(strategy.rules ?? legacyRules(strategy.type, parameters), parameters);
+}
+
+/**
+ * Error message for rules that would not compile, or null when they do
+ */
+export function validateStrategyRules(rules: unknown, parameters: Record<string, any> = {}): string | null {
+    try {
+        compileRules(rules as StrategyRules, parameters);
+        return null;
+    } catch (error) {
+        if (error instanceof StrategyRulesError) return error.message;
+        throw error;
+    }
+}
@@ -0,0 +1,11 @@
+/**
+ * Strategy DSL
+ *
+ * One declarative entry/exit format for strategies, compiled for both the
+ * vectorized and the event-driven backtester.
+ */
+
+export * from './types';
+export { StrategyRulesError, StrategyDefinition, CompiledStrategy, StrategyRunner, compileRules, compileStrategy, validateStrategyRules } from './compiler';
+export { legacyRules } from './presets';
+export { IndicatorName, IndicatorSpec, computeIndicatorSeries } from './indicators';
@@ -0,0 +1,369 @@
+/**
+ * Streaming Indicators
+ *
+ * Bar-by-bar versions of the TAModule indicators. Each one returns NaN until it
+ * has enough history, so a series built from them stays aligned with the
+ * candles it came from. The event-driven engine feeds them one bar at a time
+ * and the vectorized engine runs them over a whole series up front; both get
+ * identical values.
+ *
+ * Definitions follow TAModule (technicalindicators): Wilder RSI and ATR,
+ * SMA-seeded EMA and MACD, population standard deviation for Bollinger Bands,
+ * OBV from the second bar, and TAModule's own accumulation/distribution line.
+ */
+
+export type PriceField = 'open' | 'high' | 'low' | 'close' | 'volume';
+
+export interface IndicatorBar {
+    open: number;
+    high: number;
+    low: number;
+    close: number;
+    volume: number;
+}
+
+export type IndicatorName =
+    | PriceField
+    | 'rsi'
+    | 'sma'
+    | 'ema'
+    | 'macd'
+    | 'macd.signal'
+    | 'macd.histogram'
+    | 'bb.upper'
+    | 'bb.middle'
+    | 'bb.lower'
+    | 'atr'
+    | 'obv'
+    | 'ad';
+
+export interface IndicatorSpec {
+    name: IndicatorName;
+    /** Numeric arguments with defaults filled in (periods, band width) */
+    args: number[];
+    /** Input series for sma/ema. Default: close */
+    source?: PriceField;
+}
+
+export interface StreamingIndicator {
+    update(bar: IndicatorBar): number;
+}
+
+export const PRICE_FIELDS: PriceField[] = ['open', 'high', 'low', 'close', 'volume'];
+
+/** Default arguments, matching the periods TAModule uses */
+export const INDICATOR_DEFAULTS: Record<IndicatorName, number[]> = {
+    open: [],
+    high: [],
+    low: [],
+    close: [],
+    volume: [],
+    rsi: [14],
+    sma: [20],
+    ema: [20],
+    macd: [12, 26, 9],
+    'macd.signal': [12, 26, 9],
+    'macd.histogram': [12, 26, 9],
+    'bb.upper': [20, 2],
+    'bb.middle': [20, 2],
+    'bb.lower': [20, 2],
+    atr: [14],
+    obv: [],
+    ad: [],
+};
+
+export function isIndicatorName(name: string): name is IndicatorName {
+    return Object.prototype.hasOwnProperty.call(INDICATOR_DEFAULTS, name);
+}
+
+/**
+ * Canonical key, so the same indicator referenced twice is computed once
+ */
+export function indicatorKey(spec: IndicatorSpec): string {
+    if (spec.args.length === 0) return spec.name;
+    const source = spec.source && spec.source !== 'close' ? `,${spec.source}` : '';
+    return `${spec.name}(${spec.args.join(',')}${source})`;
+}
+
+/**
+ * Index of the first bar with a value
+ */
+export function indicatorWarmup(spec: IndicatorSpec): number {
+    const [a, b, c] = spec.args;
+    switch (spec.name) {
+        case 'rsi':
+        case 'atr':
+            return a;
+        case 'sma':
+        case 'ema':
+        case 'bb.upper':
+        case 'bb.middle':
+        case 'bb.lower':
+            return a - 1;
+        case 'macd':
+            return Math.max(a, b) - 1;
+        case 'macd.signal':
+        case 'macd.histogram':
+            return Math.max(a, b) + c - 2;
+        case 'obv':
+            return 1;
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Check argument ranges. Returns an error message or null.
+ */
+export function checkIndicatorArgs(spec: IndicatorSpec): string | null {
+    const expected = INDICATOR_DEFAULTS[spec.name].length;
+    if (spec.args.length !== expected) {
+        return `${spec.name} takes ${expected} argument(s), got ${spec.args.length}`;
+    }
+    const isPeriod = (v: number) => Number.isInteger(v) && v >= 1 && v <= 1000;
+    switch (spec.name) {
+        case 'bb.upper':
+        case 'bb.middle':
+        case 'bb.lower':
+            if (!isPeriod(spec.args[0])) return `${spec.name} period must be an integer between 1 and 1000`;
+            if (!(spec.args[1] > 0)) return `${spec.name} width must be positive`;
+            return null;
+        case 'macd':
+        case 'macd.signal':
+        case 'macd.histogram':
+            if (!spec.args.every(isPeriod)) return `${spec.name} periods must be integers between 1 and 1000`;
+            if (spec.args[0] >= spec.args[1]) return `${spec.name} fast period must be shorter than the slow period`;
+            return null;
+        default:
+            if (!spec.args.every(isPeriod)) return `${spec.name} period must be an integer between 1 and 1000`;
+            return null;
+    }
+}
+
+class FieldIndicator implements StreamingIndicator {
+    constructor(private field: PriceField) {}
+
+    update(bar: IndicatorBar): number {
+        return bar[this.field];
+    }
+}
+
+class SmaIndicator implements StreamingIndicator {
+    private window: number[] = [];
+    private sum = 0;
+
+    constructor(private period: number, private field: PriceField = 'close') {}
+
+    update(bar: IndicatorBar): number {
+        return this.next(bar[this.field]);
+    }
+
+    next(value: number): number {
+        this.window.push(value);
+        this.sum += value;
+        if (this.window.length > this.period) {
+            this.sum -= this.window.shift()!;
+        }
+        return this.window.length === this.period ? this.sum / this.period : NaN;
+    }
+}
+
+class EmaIndicator implements StreamingIndicator {
+    private seed: SmaIndicator;
+    private value = NaN;
+    private readonly k: number;
+
+    constructor(period: number, private field: PriceField = 'close') {
+        this.seed = new SmaIndicator(period);
+        this.k = 2 / (period + 1);
+    }
+
+    update(bar: IndicatorBar): number {
+        return this.next(bar[this.field]);
+    }
+
+    next(value: number): number {
+        if (Number.isNaN(this.value)) {
+            this.value = this.seed.next(value);
+        } else {
+            this.value = (value - this.value) * this.k + this.value;
+        }
+        return this.value;
+    }
+}
+
+class RsiIndicator implements StreamingIndicator {
+    private prevClose = NaN;
+    private changes = 0;
+    private avgGain = 0;
+    private avgLoss = 0;
+
+    constructor(private period: number) {}
+
+    update(bar: IndicatorBar): number {
+        const close = bar.close;
+        const prev = this.prevClose;
+        this.prevClose = close;
+        if (Number.isNaN(prev)) return NaN;
+
+        const change = close - prev;
+        const gain = change > 0 ? change : 0;
+        const loss = change < 0 ? -change : 0;
+        this.changes++;
+
+        if (this.changes < this.period) {
+            this.avgGain += gain;
+            this.avgLoss += loss;
+            return NaN;
+        }
+        if (this.changes === this.period) {
+            this.avgGain = (this.avgGain + gain) / this.period;
+            this.avgLoss = (this.avgLoss + loss) / this.period;
+        } else {
+            this.avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+            this.avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+        }
+        return this.avgLoss === 0 ? 100 : 100 - 100 / (1 + this.avgGain / this.avgLoss);
+    }
+}
+
+class MacdIndicator implements StreamingIndicator {
+    private fast: EmaIndicator;
+    private slow: EmaIndicator;
+    private signal: EmaIndicator;
+
+    constructor(
+        fastPeriod: number,
+        slowPeriod: number,
+        signalPeriod: number,
+        private part: 'macd' | 'signal' | 'histogram'
+    ) {
+        this.fast = new EmaIndicator(fastPeriod);
+        this.slow = new EmaIndicator(slowPeriod);
+        this.signal = new EmaIndicator(signalPeriod);
+    }
+
+    update(bar: IndicatorBar): number {
+        const fast = this.fast.next(bar.close);
+        const slow = this.slow.next(bar.close);
+        if (Number.isNaN(fast) || Number.isNaN(slow)) return NaN;
+
+        const macd = fast - slow;
+        const signal = this.signal.next(macd);
+        if (this.part === 'macd') return macd;
+        if (this.part === 'signal') return signal;
+        return macd - signal;
+    }
+}
+
+class BollingerIndicator implements StreamingIndicator {
+    private window: number[] = [];
+
+    constructor(
+        private period: number,
+        private width: number,
+        private part: 'upper' | 'middle' | 'lower'
+    ) {}
+
+    update(bar: IndicatorBar): number {
+        this.window.push(bar.close);
+        if (this.window.length > this.period) this.window.shift();
+        if (this.window.length < this.period) return NaN;
+
+        let sum = 0;
+        for (const v of this.window) sum += v;
+        const mean = sum / this.period;
+        if (this.part === 'middle') return mean;
+
+        let sumSq = 0;
+        for (const v of this.window) sumSq += (v - mean) ** 2;
+        const band = Math.sqrt(sumSq / this.period) * this.width;
+        return this.part === 'upper' ? mean + band : mean - band;
+    }
+}
+
+class AtrIndicator implements StreamingIndicator {
+    private prevClose = NaN;
+    private ranges = 0;
+    private value = 0;
+
+    constructor(private period: number) {}
+
+    update(bar: IndicatorBar): number {
+        const prev = this.prevClose;
+        this.prevClose = bar.close;
+        if (Number.isNaN(prev)) return NaN;
+
+        const trueRange = Math.max(bar.high - bar.low, Math.abs(bar.high - prev), Math.abs(bar.low - prev));
+        this.ranges++;
+
+        if (this.ranges < this.period) {
+            this.value += trueRange;
+            return NaN;
+        }
+        if (this.ranges === this.period) {
+            this.value = (this.value + trueRange) / this.period;
+        } else {
+            this.value = (this.value * (this.period - 1) + trueRange) / this.period;
+        }
+        return this.value;
+    }
+}
+
+class ObvIndicator implements StreamingIndicator {
+    private prevClose = NaN;
+    private value = 0;
+
+    update(bar: IndicatorBar): number {
+        const prev = this.prevClose;
+        this.prevClose = bar.close;
+        if (Number.isNaN(prev)) return NaN;
+
+        if (bar.close > prev) this.value += bar.volume;
+        else if (bar.close < prev) this.value -= bar.volume;
+        return this.value;
+    }
+}
+
+class AdIndicator implements StreamingIndicator {
+    private value = 0;
+
+    update(bar: IndicatorBar): number {
+        if (bar.high !== bar.low) {
+            const multiplier = ((bar.close - bar.low) - (bar.high - bar.close)) / (bar.high - bar.low);
+            this.value += multiplier * bar.volume;
+        }
+        return this.value;
+    }
+}
+
+export function createIndicator(spec: IndicatorSpec): StreamingIndicator {
+    const [a, b, c] = spec.args;
+    switch (spec.name) {
+        case 'rsi': return new RsiIndicator(a);
+        case 'sma': return new SmaIndicator(a, spec.source);
+        case 'ema': return new EmaIndicator(a, spec.source);
+        case 'macd': return new MacdIndicator(a, b, c, 'macd');
+        case 'macd.signal': return new MacdIndicator(a, b, c, 'signal');
+        case 'macd.histogram': return new MacdIndicator(a, b, c, 'histogram');
+        case 'bb.upper': return new BollingerIndicator(a, b, 'upper');
+        case 'bb.middle': return new BollingerIndicator(a, b, 'middle');
+        case 'bb.lower': return new BollingerIndicator(a, b, 'lower');
+        case 'atr': return new AtrIndicator(a);
+        case 'obv': return new ObvIndicator();
+        case 'ad': return new AdIndicator();
+        default: return new FieldIndicator(spec.name);
+    }
+}
+
+/**
+ * Run an indicator over a whole series
+ */
+export function computeIndicatorSeries(spec: IndicatorSpec, bars: IndicatorBar[]): Float64Array {
+    const indicator = createIndicator(spec);
+    const out = new Float64Array(bars.length);
+    for (let i = 0; i < bars.length; i++) {
+        out[i] = indicator.update(bars[i]);
+    }
+    return out;
+}
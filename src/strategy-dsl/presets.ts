@@ -0,0 +1,82 @@
+/**
+ * Built-in Rules for Legacy Strategy Types
+ *
+ * Strategies without explicit rules still trade by `type`. These are the rules
+ * both backtesters used to hard-code, with one set of parameter aliases,
+ * defaults and sanity clamps so the engines can no longer disagree:
+ *   - TREND_FOLLOWING: fast SMA crossing the slow SMA
+ *   - MEAN_REVERSION:  close outside a Bollinger band with RSI confirming
+ *   - anything else:   RSI oversold / overbought
+ */
+
+import { StrategyRules } from './types';
+
+function readParam(
+    params: Record<string, any>,
+    keys: string[],
+    fallback: number,
+    min: number,
+    max: number,
+    integer: boolean = true
+): number {
+    let value = fallback;
+    for (const key of keys) {
+        const candidate = Number(params[key]);
+        if (params[key] !== undefined && params[key] !== null && Number.isFinite(candidate)) {
+            value = candidate;
+            break;
+        }
+    }
+    const clamped = Math.min(Math.max(value, min), max);
+    return integer ? Math.round(clamped) : clamped;
+}
+
+function rsiThresholds(params: Record<string, any>, oversoldDefault: number, overboughtDefault: number): [number, number] {
+    let oversold = readParam(params, ['oversold', 'rsiOversold', 'rsiLow'], oversoldDefault, 10, 50, false);
+    const overbought = readParam(params, ['overbought', 'rsiOverbought', 'rsiHigh'], overboughtDefault, 50, 90, false);
+    if (oversold >= overbought) {
+        oversold = Math.max(10, overbought - 20);
+    }
+    return [oversold, overbought];
+}
+
+export function legacyRules(type: string, parameters: Record<string, any> = {}): StrategyRules {
+    const params = parameters || {};
+    const rsiPeriod = readParam(params, ['rsiPeriod', 'rsi_length', 'rsiLength'], 14, 5, 40);
+    const rsi = `rsi(${rsiPeriod})`;
+
+    switch (type) {
+        case 'TREND_FOLLOWING': {
+            const fastPeriod = readParam(params, ['fastPeriod', 'smaFast', 'emaFast', 'fast'], 10, 5, 30);
+            let slowPeriod = readParam(params, ['slowPeriod', 'smaSlow', 'emaSlow', 'slow'], 30, 10, 80);
+            if (slowPeriod <= fastPeriod) {
+                slowPeriod = Math.min(fastPeriod + 5, 80);
+            }
+            const fast = `sma(${fastPeriod})`;
+            const slow = `sma(${slowPeriod})`;
+            return {
+                long: { entry: [fast, 'crossesAbove', slow] },
+                short: { entry: [fast, 'crossesBelow', slow] },
+            };
+        }
+
+        case 'MEAN_REVERSION': {
+            const [oversold, overbought] = rsiThresholds(params, 35, 65);
+            const bbPeriod = readParam(params, ['bbPeriod', 'bollingerPeriod'], 20, 10, 50);
+            const bbStdDev = readParam(params, ['bbStdDev', 'bollingerStdDev'], 2, 1.5, 3.5, false);
+            const band = `(${bbPeriod},${bbStdDev})`;
+            return {
+                long: { entry: { all: [['close', '<', `bb.lower${band}`], [rsi, '<', oversold]] } },
+                short: { entry: { all: [['close', '>', `bb.upper${band}`], [rsi, '>', overbought]] } },
+            };
+        }
+
+        default: {
+            const [oversold, overbought] = rsiThresholds(params, 30, 70);
+            return {
+                long: { entry: [rsi, '<', oversold] },
+                short: { entry: [rsi, '>', overbought] },
+            };
+        }
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * Strategy DSL Types
+ *
+ * Declarative entry/exit rules over TAModule indicators. Rules are plain JSON
+ * so they can be written by the LLM, generated by the evolution engine and
+ * stored alongside a strategy.
+ *
+ * Operands are numbers or strings:
+ *   - price fields:  close, open, high, low, volume
+ *   - indicators:    rsi(14), sma(20), sma(20,volume), ema(50), atr(14), obv, ad,
+ *                    macd(12,26,9), macd.signal(12,26,9), macd.histogram(12,26,9),
+ *                    bb.upper(20,2), bb.middle(20,2), bb.lower(20,2)
+ *   - parameters:    $oversold (looked up in strategy.parameters)
+ *   - scaled terms:  1.5*sma(20,volume), $volumeThreshold*sma(20,volume)
+ * Indicator arguments may also be parameters: ema($emaFast).
+ *
+ * Example (long-only RSI mean reversion):
+ *   { "long": { "entry": ["rsi(14)", "<", "$oversold"], "exit": ["rsi(14)", ">", 55] } }
+ */
+
+export type StrategyRuleOperand = number | string;
+
+export type StrategyRuleOperator = '<' | '<=' | '>' | '>=' | 'crossesAbove' | 'crossesBelow';
+
+export type StrategyRuleComparison = [StrategyRuleOperand, StrategyRuleOperator, StrategyRuleOperand];
+
+export type StrategyRuleCondition =
+    | StrategyRuleComparison
+    | { all: StrategyRuleCondition[] }
+    | { any: StrategyRuleCondition[] }
+    | { not: StrategyRuleCondition };
+
+export interface StrategyRuleSide {
+    /** Open a position on this side (reversing the other side) */
+    entry: StrategyRuleCondition;
+    /** Close an open position on this side. Stops and targets still come from riskParameters */
+    exit?: StrategyRuleCondition;
+}
+
+export interface StrategyRules {
+    long?: StrategyRuleSide;
+    short?: StrategyRuleSide;
+}
+
+/**
+ * What a strategy's rules said on one bar
+ */
+export interface StrategyBarSignal {
+    longEntry: boolean;
+    shortEntry: boolean;
+    longExit: boolean;
+    shortExit: boolean;
+}
+
+/**
+ * The same flags for a whole candle series, one byte per bar
+ */
+export interface StrategySignalSeries {
+    longEntry: Uint8Array;
+    shortEntry: Uint8Array;
+    longExit: Uint8Array;
+    shortExit: Uint8Array;
+}
@@ -243,7 +243,7 @@ export class TAModule {
     }
   }
 
-  private calculateATR(highs: number[], lows: number[], closes: number[], period: number = 14): number[] {
+  calculateATR(highs: number[], lows: number[], closes: number[], period: number = 14): number[] {
     try {
       return technicalIndicators.ATR.calculate({
         high: highs,
@@ -20,6 +20,7 @@ export interface ApiData {
   strategies: any;
   orders?: any;
   backtest?: any;
+  tca?: any;
 }
 
 // =============================================================================
@@ -187,6 +188,16 @@ export async function fetchBacktestHistory(): Promise<any> {
   return apiFetch<{ runs: any[]; total: number }>('/api/agent/backtest/history');
 }
 
+export async function fetchTca(): Promise<any> {
+  const [bySymbol, byStrategy, byFailure] = await Promise.all([
+    apiFetch('/api/agent/execution/tca?groupBy=symbol&since=24'),
+    apiFetch('/api/agent/execution/tca?groupBy=strategy&since=24'),
+    apiFetch('/api/agent/execution/tca?groupBy=failureCategory&since=24'),
+  ]);
+  if (!bySymbol && !byStrategy && !byFailure) return null;
+  return { bySymbol, byStrategy, byFailure };
+}
+
 export function getApiUrl(): string {
   return API_BASE;
 }
@@ -133,6 +133,7 @@ export function FooterBar({ activeView, refreshInterval, loading }: FooterBarPro
     { key: '6', short: 'Pred' },
     { key: '7', short: 'Ordr' },
     { key: '8', short: 'Btst' },
+    { key: '9', short: 'TCA' },
   ];
 
   return (
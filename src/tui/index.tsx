@@ -14,6 +14,7 @@ import {
   fetchAllData,
   fetchOrders,
   fetchBacktestHistory,
+  fetchTca,
   getApiUrl,
   ApiData,
 } from './api';
@@ -27,6 +28,7 @@ import {
   PredictionsView,
   OrdersView,
   BacktestView,
+  ExecutionView,
 } from './views';
 import {
   ConfirmDialog,
@@ -50,6 +52,7 @@ const VIEW_NAMES = [
   'Predictions',
   'Orders',
   'Backtest',
+  'Execution',
 ] as const;
 
 const DEFAULT_REFRESH_INTERVAL = 5; // seconds
@@ -139,6 +142,15 @@ function App() {
     } catch { /* ignore */ }
   }, []);
 
+  const refreshTca = useCallback(async () => {
+    try {
+      const result = await fetchTca();
+      if (mountedRef.current && result) {
+        setData((prev) => ({ ...prev, tca: result }));
+      }
+    } catch { /* ignore */ }
+  }, []);
+
   // Initial fetch + auto-refresh
   useEffect(() => {
     mountedRef.current = true;
@@ -150,6 +162,7 @@ function App() {
       // Also refresh view-specific data
       if (activeView === 6) refreshOrders();     // Orders view
       if (activeView === 7) refreshBacktest();    // Backtest view
+      if (activeView === 8) refreshTca();         // Execution view
     }, refreshInterval * 1000);
 
     // Uptime ticker
@@ -169,7 +182,8 @@ function App() {
   useEffect(() => {
     if (activeView === 6) refreshOrders();
     if (activeView === 7) refreshBacktest();
-  }, [activeView, refreshOrders, refreshBacktest]);
+    if (activeView === 8) refreshTca();
+  }, [activeView, refreshOrders, refreshBacktest, refreshTca]);
 
   // =============================================================================
   // Item count helpers for scrolling bounds
@@ -246,8 +260,8 @@ function App() {
     // If action result toast is shown, any key dismisses
     if (actionResult) return;
 
-    // View switching: 1-8
-    if (input >= '1' && input <= '8') {
+    // View switching: 1-9
+    if (input >= '1' && input <= '9') {
       setActiveView(parseInt(input) - 1);
       setScrollOffset(0);
       setSelectedIndex(0);
@@ -265,6 +279,7 @@ function App() {
       refresh();
       if (activeView === 6) refreshOrders();
       if (activeView === 7) refreshBacktest();
+      if (activeView === 8) refreshTca();
       return;
     }
 
@@ -401,6 +416,8 @@ function App() {
         return <OrdersView {...props} />;
       case 7:
         return <BacktestView {...props} />;
+      case 8:
+        return <ExecutionView {...props} />;
       default:
         return <DashboardView {...props} />;
     }
@@ -450,7 +467,7 @@ function App() {
         {'  '}{T.icons.settings} Keyboard Shortcuts
       </Text>
       <Box flexDirection="column" marginTop={1}>
-        <Text color={T.colors.text}><Text color={T.colors.mauve} bold>{'  '}[1-8]</Text> Switch views</Text>
+        <Text color={T.colors.text}><Text color={T.colors.mauve} bold>{'  '}[1-9]</Text> Switch views</Text>
         <Text color={T.colors.text}><Text color={T.colors.mauve} bold>{'  '}[h/l]</Text> Previous/next view</Text>
         <Text color={T.colors.text}><Text color={T.colors.mauve} bold>{'  '}{'\u2191\u2193 j/k'}</Text> Select / scroll</Text>
         <Text color={T.colors.text}><Text color={T.colors.mauve} bold>{'  '}[g/End]</Text> Scroll to top/bottom</Text>
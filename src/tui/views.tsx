@@ -1,5 +1,5 @@
 // =============================================================================
-// PerpsTrader TUI — Views (Dashboard, Positions, News, Risk, Strategies, Predictions)
+// PerpsTrader TUI — Views (Dashboard, Positions, News, Risk, Strategies, Predictions, Orders, Backtest, Execution)
 // =============================================================================
 
 import React from 'react';
@@ -1119,3 +1119,122 @@ export function BacktestView({ data, loading, scrollOffset, selectedIndex = 0 }:
     </Box>
   );
 }
+
+// =============================================================================
+// 9. EXECUTION VIEW — Transaction cost analysis of live orders (last 24h)
+// =============================================================================
+
+/** Costs are positive when they hurt; markouts are positive when they help */
+function bps(value: number | null | undefined): string {
+  return value == null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}bp`;
+}
+
+function costColor(value: number | null | undefined): string {
+  if (value == null) return T.colors.overlay0;
+  return value > 0 ? T.colors.red : T.colors.green;
+}
+
+function TcaTable({ rows }: { rows: any[] }) {
+  return (
+    <Box flexDirection="column">
+      <Text color={T.colors.overlay1} bold>
+        {'  '}{'Key'.padEnd(16)}{'Orders'.padEnd(8)}{'Fill%'.padEnd(8)}{'Shortfall'.padEnd(11)}{'Impact'.padEnd(10)}{'Fees'.padEnd(9)}{'MO 1s'.padEnd(9)}{'MO 10s'.padEnd(9)}{'MO 60s'.padEnd(9)}{'TTF'}
+      </Text>
+      {rows.map((row: any, i: number) => (
+        <Box key={i}>
+          <Text>
+            {'  '}
+            <Text bold>{T.truncate(String(row.key), 15).padEnd(16)}</Text>
+            <Text>{String(row.orders).padEnd(8)}</Text>
+            <Text color={row.fillRate < 0.5 ? T.colors.red : T.colors.text}>{`${(row.fillRate * 100).toFixed(0)}%`.padEnd(8)}</Text>
+            <Text color={costColor(row.avgShortfallBps)}>{bps(row.avgShortfallBps).padEnd(11)}</Text>
+            <Text color={costColor(row.avgImpactBps)}>{bps(row.avgImpactBps).padEnd(10)}</Text>
+            <Text color={T.colors.overlay1}>{bps(row.avgFeeBps).padEnd(9)}</Text>
+            <Text color={costColor(row.avgMarkout1sBps == null ? null : -row.avgMarkout1sBps)}>{bps(row.avgMarkout1sBps).padEnd(9)}</Text>
+            <Text color={costColor(row.avgMarkout10sBps == null ? null : -row.avgMarkout10sBps)}>{bps(row.avgMarkout10sBps).padEnd(9)}</Text>
+            <Text color={costColor(row.avgMarkout60sBps == null ? null : -row.avgMarkout60sBps)}>{bps(row.avgMarkout60sBps).padEnd(9)}</Text>
+            <Text color={T.colors.overlay0}>{row.avgTimeToFillMs == null ? '-' : `${Math.round(row.avgTimeToFillMs)}ms`}</Text>
+          </Text>
+        </Box>
+      ))}
+    </Box>
+  );
+}
+
+export function ExecutionView({ data, loading }: ViewProps) {
+  const tca = data.tca;
+
+  if (loading && !tca) {
+    return (
+      <Box flexDirection="column" alignItems="center" flexGrow={1} paddingTop={2}>
+        <Spinner text="Loading execution quality..." />
+      </Box>
+    );
+  }
+
+  const totals = tca?.bySymbol?.totals;
+  const bySymbol: any[] = tca?.bySymbol?.groups || [];
+  const byStrategy: any[] = tca?.byStrategy?.groups || [];
+  const byFailure: any[] = (tca?.byFailure?.groups || []).filter((g: any) => g.key !== 'NONE');
+
+  return (
+    <Box flexDirection="column" flexGrow={1}>
+      <Box marginBottom={1}>
+        <Text color={T.colors.subtext1} bold>
+          {'  '}{T.icons.chart} Execution Quality (24h)
+        </Text>
+      </Box>
+
+      {!totals || totals.orders === 0 ? (
+        <Panel title="No Orders" icon={T.icons.bullet}>
+          <EmptyState message="No live orders recorded in the last 24h" />
+        </Panel>
+      ) : (
+        <>
+          <Box flexDirection="row">
+            <Panel title="Orders" icon={T.icons.chart} flex={1}>
+              <DataRow label="Sent" value={`${totals.orders}`} />
+              <DataRow label="Filled" value={`${totals.filled}`} valueColor={T.colors.green} />
+              <DataRow label="Resting" value={`${totals.resting}`} valueColor={T.colors.yellow} />
+              <DataRow label="Failed" value={`${totals.failed}`} valueColor={totals.failed > 0 ? T.colors.red : T.colors.text} />
+              <DataRow label="Fill Rate" value={`${(totals.fillRate * 100).toFixed(1)}%`} />
+            </Panel>
+
+            <Panel title="Costs" icon={T.icons.down} flex={1}>
+              <DataRow label="Shortfall" value={bps(totals.avgShortfallBps)} valueColor={costColor(totals.avgShortfallBps)} />
+              <DataRow label="Delay" value={bps(totals.avgDelayBps)} valueColor={costColor(totals.avgDelayBps)} />
+              <DataRow label="Impact" value={bps(totals.avgImpactBps)} valueColor={costColor(totals.avgImpactBps)} />
+              <DataRow label="Fees" value={`${bps(totals.avgFeeBps)} (${T.formatUSD(totals.totalFees)})`} />
+              <DataRow
+                label="Time to Fill"
+                value={totals.avgTimeToFillMs == null ? '-' : `${Math.round(totals.avgTimeToFillMs)}ms`}
+              />
+            </Panel>
+
+            <Panel title="Markouts" icon={T.icons.up} flex={1}>
+              <DataRow label="1s" value={bps(totals.avgMarkout1sBps)} valueColor={T.pnlColor(totals.avgMarkout1sBps || 0)} />
+              <DataRow label="10s" value={bps(totals.avgMarkout10sBps)} valueColor={T.pnlColor(totals.avgMarkout10sBps || 0)} />
+              <DataRow label="60s" value={bps(totals.avgMarkout60sBps)} valueColor={T.pnlColor(totals.avgMarkout60sBps || 0)} />
+            </Panel>
+          </Box>
+
+          <Panel title="By Symbol" icon={T.icons.chart}>
+            <TcaTable rows={bySymbol.slice(0, 8)} />
+          </Panel>
+
+          <Panel title="By Strategy" icon={T.icons.strategy}>
+            <TcaTable rows={byStrategy.slice(0, 8)} />
+          </Panel>
+
+          {byFailure.length > 0 && (
+            <Panel title="Failures" icon={T.icons.warning}>
+              {byFailure.map((group: any, i: number) => (
+                <DataRow key={i} label={group.key} value={`${group.orders}`} valueColor={T.colors.red} />
+              ))}
+            </Panel>
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
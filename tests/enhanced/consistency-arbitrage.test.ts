@@ -0,0 +1,154 @@
+/**
+ * Consistency Arbitrage Tests
+ * Deadline parsing, grouping of neg-risk events, candidate and deadline
+ * titles, basket construction after fees, leg selection finishing baskets
+ * already started, and buying a basket's legs together or not at all.
+ */
+
+import {
+    ConsistencyOptions,
+    basketIdeas,
+    executeBasket,
+    findConsistencyViolations,
+    groupRelatedMarkets,
+    parseDeadline,
+} from '../../src/prediction-markets/consistency-arbitrage';
+import { ideaSelectorNode } from '../../src/prediction-markets/nodes/idea-selector';
+import { createInitialPredictionState } from '../../src/prediction-markets/state';
+import { PredictionArbitrageLeg, PredictionMarket, PredictionTrade } from '../../src/shared/types';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const options: ConsistencyOptions = {
+    enabled: true,
+    minEdge: 0.01,
+    feeRate: 0.02,
+    basketUsd: 200,
+    maxBaskets: 10,
+    maxPriceAgeMs: 15 * 60 * 1000,
+    storeLimit: 500,
+};
+
+function market(id: string, title: string, yesPrice: number, metadata?: Record<string, any>): PredictionMarket {
+    return {
+        id,
+        title,
+        status: 'OPEN',
+        outcomes: [],
+        yesPrice,
+        noPrice: Number((1 - yesPrice).toFixed(2)),
+        closeTime: new Date(Date.UTC(2026, 11, 31)),
+        updatedAt: new Date(),
+        metadata,
+    };
+}
+
+const markets = [
+    market('june', 'Ceasefire between Russia and Ukraine by June 30?', 0.4),
+    market('dec', 'Ceasefire between Russia and Ukraine by December 31?', 0.3),
+    market('alice', 'Will Alice win the 2028 mayoral race?', 0.5),
+    market('bob', 'Will Bob win the 2028 mayoral race?', 0.45),
+    market('carol', 'Will Carol win the 2028 mayoral race?', 0.2),
+    market('dave', 'Will Dave win the chess final?', 0.3),
+    market('erin', 'Will Erin win the chess final?', 0.4),
+    market('cut', 'Fed cuts 25 bps in March?', 0.4, { negRisk: true, events: [{ id: 'fed', markets: [{}, {}] }] }),
+    market('hold', 'Fed holds in March?', 0.45, { negRisk: true, events: [{ id: 'fed', markets: [{}, {}] }] }),
+    { ...market('old', 'Will Frank win the chess final?', 0.9), status: 'CLOSED' as const },
+];
+
+describe('Consistency Arbitrage', () => {
+    it('parses deadlines and groups related markets', () => {
+        expect(parseDeadline('by', 'June 30', 2026)).toBe(Date.UTC(2026, 5, 30) + DAY_MS - 1);
+        expect(parseDeadline('by', 'Dec. 31st, 2027', 2026)).toBe(Date.UTC(2027, 11, 31) + DAY_MS - 1);
+        expect(parseDeadline('by', 'June', 2026)).toBe(Date.UTC(2026, 6, 1) - 1);
+        expect(parseDeadline('before', '2027', 2026)).toBe(Date.UTC(2027, 0, 1));
+        expect(parseDeadline('by', 'Q3', 2026)).toBe(Date.UTC(2026, 9, 1) - 1);
+        expect(parseDeadline('by', 'sec', 2026)).toBeNull();
+
+        const groups = groupRelatedMarkets(markets);
+        const summary = groups.map(group => `${group.kind} ${group.markets.map(item => item.id).join(',')}`);
+        expect(summary).toEqual([
+            'EXHAUSTIVE cut,hold',
+            'EXCLUSIVE alice,bob,carol',
+            'EXCLUSIVE dave,erin',
+            'NESTED june,dec',
+        ]);
+    });
+
+    it('builds fee-adjusted baskets for violated constraints only', () => {
+        const baskets = findConsistencyViolations(markets, options);
+        expect(baskets.map(basket => basket.kind)).toEqual(['EXHAUSTIVE', 'EXCLUSIVE', 'NESTED']);
+
+        const [exhaustive, exclusive, nested] = baskets;
+        // Fed outcomes sum to 85%: one share of each pays exactly $1
+        expect(exhaustive.legs.map(leg => leg.outcome)).toEqual(['YES', 'YES']);
+        expect(exhaustive.edge).toBeCloseTo(1 - 0.85 * 1.02, 9);
+
+        // Candidates sum to 115%: NO on all three pays at least $2
+        expect(exclusive.legs.map(leg => `${leg.marketId}:${leg.outcome}`)).toEqual(['alice:NO', 'bob:NO', 'carol:NO']);
+        expect(exclusive.minPayout).toBe(2);
+        expect(exclusive.edge).toBeCloseTo(2 - 1.85 * 1.02, 9);
+
+        // June at 40% above December at 30%
+        expect(nested.legs.map(leg => `${leg.marketId}:${leg.outcome}`)).toEqual(['june:NO', 'dec:YES']);
+        expect(nested.cost).toBeCloseTo(0.9, 9);
+        expect(nested.sharesPerLeg).toBeCloseTo(200 / 0.9, 9);
+
+        expect(findConsistencyViolations(markets, { ...options, minEdge: 0.12 }).map(basket => basket.kind)).toEqual(['EXHAUSTIVE']);
+    });
+
+    it('emits the remaining legs and selects started baskets first', async () => {
+        const held = new Set(['june:NO']);
+        const baskets = findConsistencyViolations(markets, options, held);
+        const nested = baskets.find(basket => basket.kind === 'NESTED')!;
+        expect(nested.legsHeld).toBe(1);
+
+        const ideas = basketIdeas(nested, held);
+        expect(ideas).toHaveLength(1);
+        expect(ideas[0].marketId).toBe('dec');
+        expect(ideas[0].outcome).toBe('YES');
+        expect(ideas[0].type).toBe('CONSISTENCY_ARBITRAGE');
+        expect(ideas[0].summary).toMatch(/NESTED .* Leg 2\/2$/);
+
+        const state = createInitialPredictionState();
+        state.ideas = baskets.flatMap(basket => basketIdeas(basket, held));
+        const selected = await ideaSelectorNode(state);
+        expect(selected.shouldExecute).toBe(true);
+        expect(selected.selectedIdea!.marketId).toBe('dec');
+    });
+
+    it('buys every missing leg in one step and sells them back if one fails', async () => {
+        const exclusive = findConsistencyViolations(markets, options).find(basket => basket.kind === 'EXCLUSIVE')!;
+        const orders: string[] = [];
+        const trader = (failOn?: string) => async (leg: PredictionArbitrageLeg, action: 'BUY' | 'SELL', shares: number): Promise<PredictionTrade> => {
+            if (leg.marketId === failOn && action === 'BUY') throw new Error('Slippage too high');
+            orders.push(`${action} ${leg.marketId}:${leg.outcome} ${shares.toFixed(2)}`);
+            return {
+                id: `${action}-${leg.marketId}`,
+                marketId: leg.marketId,
+                marketTitle: leg.marketTitle,
+                outcome: leg.outcome,
+                side: action,
+                shares,
+                price: leg.price,
+                fee: 0,
+                timestamp: new Date(),
+                status: 'FILLED',
+            };
+        };
+        const shares = exclusive.sharesPerLeg.toFixed(2);
+
+        const trades = await executeBasket(exclusive, new Set(['alice:NO']), trader());
+        expect(trades.map(trade => trade.marketId)).toEqual(['bob', 'carol']);
+        expect(orders).toEqual([`BUY bob:NO ${shares}`, `BUY carol:NO ${shares}`]);
+
+        orders.length = 0;
+        await expect(executeBasket(exclusive, new Set(), trader('carol'))).rejects.toThrow('Slippage too high');
+        expect(orders).toEqual([
+            `BUY alice:NO ${shares}`,
+            `BUY bob:NO ${shares}`,
+            `SELL bob:NO ${shares}`,
+            `SELL alice:NO ${shares}`,
+        ]);
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Cycle Replay Tests
+ * Replaying a stored range through the full trading graph with recorded LLM
+ * responses is deterministic, and the LLM recorder reports cache misses
+ * instead of calling the API during a replay.
+ */
+
+import { CycleReplay, CycleReplayOptions } from '../../src/langgraph/replay';
+import { LlmRecorder, LlmReplayMissError } from '../../src/shared/llm-recorder';
+import llmRecorder from '../../src/shared/llm-recorder';
+import { MarketData } from '../../src/shared/types';
+
+jest.mock('../../src/shared/llm-recorder', () => {
+    const actual = jest.requireActual('../../src/shared/llm-recorder');
+    return { ...actual, __esModule: true, default: new actual.LlmRecorder(':memory:') };
+});
+
+jest.mock('../../src/data-manager/data-manager', () => ({
+    __esModule: true,
+    default: {
+        getTrades: async () => [],
+        getMarketData: async (symbol: string, start: Date, end: Date, limit: number) =>
+            candles.filter(c => c.symbol === symbol && c.timestamp >= start && c.timestamp <= end).slice(-limit),
+    },
+}));
+
+jest.mock('../../src/execution-engine/execution-engine', () => ({
+    __esModule: true,
+    default: { isConfigured: () => false },
+}));
+
+jest.mock('../../src/data/vector-store', () => ({
+    __esModule: true,
+    default: { initialize: async () => undefined, querySimilarPatterns: async () => [] },
+}));
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2026, 8, 1);
+
+/** Seeded hourly candles with a trend and noise */
+function generateCandles(count: number, seed: number): MarketData[] {
+    let state = seed;
+    const random = () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+
+    const out: MarketData[] = [];
+    let close = 60000;
+    for (let i = 0; i < count; i++) {
+        const open = close;
+        close = open * (1 + 0.004 * Math.sin(i / 12) + (random() - 0.5) * 0.01);
+        out.push({
+            symbol: 'BTC',
+            timestamp: new Date(START + i * HOUR),
+            open,
+            high: Math.max(open, close) * (1 + random() * 0.003),
+            low: Math.min(open, close) * (1 - random() * 0.003),
+            close,
+            volume: 100 + random() * 400,
+        });
+    }
+    return out;
+}
+
+const candles = generateCandles(300, 11);
+
+const RECORDED_STRATEGIES = JSON.stringify({
+    strategies: [{
+        name: 'Recorded RSI Reversion',
+        description: 'Buys oversold dips',
+        type: 'MEAN_REVERSION',
+        symbols: ['BTC'],
+        timeframe: '1h',
+        parameters: { rsiPeriod: 14, oversold: 35, overbought: 65 },
+        entryConditions: ['RSI below oversold'],
+        exitConditions: ['RSI above overbought'],
+        riskParameters: { maxPositionSize: 0.05, stopLoss: 0.02, takeProfit: 0.04, maxLeverage: 2 },
+    }],
+});
+
+const options: CycleReplayOptions = {
+    symbol: 'BTC',
+    timeframe: '1h',
+    start: new Date(START + 250 * HOUR),
+    end: new Date(START + 252 * HOUR),
+    strategies: [],
+};
+
+describe('Cycle Replay', () => {
+    const env = { ...process.env };
+
+    beforeAll(() => {
+        process.env.ANALYSIS_WORKERS_ENABLED = 'false';
+    });
+
+    afterAll(() => {
+        process.env = { ...env };
+    });
+
+    it('replays a stored range twice from recorded LLM responses with identical fingerprints', async () => {
+        // Without recordings every LLM call misses and ideation falls back
+        const missed = new Set<string>();
+        const replayResponse = llmRecorder.replayResponse.bind(llmRecorder);
+        const spy = jest.spyOn(llmRecorder, 'replayResponse').mockImplementation((hash: string) => {
+            try {
+                return replayResponse(hash);
+            } catch (error) {
+                if (error instanceof LlmReplayMissError) missed.add(error.requestHash);
+                throw error;
+            }
+        });
+
+        const unrecorded = await new CycleReplay(options).run();
+        expect(unrecorded.cycles).toHaveLength(3);
+        expect(unrecorded.llmMisses).toBeGreaterThan(0);
+        expect(missed.size).toBeGreaterThan(0);
+
+        // Record an answer for each request the cycles made
+        llmRecorder.setRecording(true);
+        for (const hash of missed) {
+            llmRecorder.record(hash, 'test-model', 0.7, 'strategy prompt', RECORDED_STRATEGIES);
+        }
+        llmRecorder.setRecording(false);
+
+        const first = await new CycleReplay(options).run();
+        const second = await new CycleReplay(options).run();
+        spy.mockRestore();
+
+        expect(first.llmMisses).toBe(0);
+        expect(first.cycles.every(c => c.llm.hits > 0)).toBe(true);
+        expect(first.cycles.map(c => c.strategyIdeas)).toEqual(first.cycles.map(() => ['Recorded RSI Reversion']));
+
+        expect(second.fingerprint).toBe(first.fingerprint);
+        expect(second.cycles.map(c => c.fingerprint)).toEqual(first.cycles.map(c => c.fingerprint));
+        expect(second.trades).toEqual(first.trades);
+        expect(first.fingerprint).not.toBe(unrecorded.fingerprint);
+
+        // Strategies created on the fly get ids from the replay clock, not uuids
+        for (const cycle of first.cycles) {
+            if (cycle.signal) expect(cycle.signal.strategyId).toBe(`replay-strategy-${cycle.time.getTime()}`);
+        }
+    });
+});
+
+describe('LLM Recorder', () => {
+    let recorder: LlmRecorder;
+    const hash = (prompt: string) => recorder.hashRequest('test-model', 0.7, prompt);
+
+    beforeEach(() => {
+        recorder = new LlmRecorder(':memory:');
+    });
+
+    it('counts a miss and throws LlmReplayMissError when nothing was recorded', async () => {
+        const { result, hits, misses } = await recorder.replay(() => START, async () => {
+            try {
+                return recorder.replayResponse(hash('never recorded'));
+            } catch (error) {
+                return error;
+            }
+        });
+
+        expect(result).toBeInstanceOf(LlmReplayMissError);
+        expect((result as LlmReplayMissError).requestHash).toBe(hash('never recorded'));
+        expect({ hits, misses }).toEqual({ hits: 0, misses: 1 });
+    });
+
+    it('answers live calls with undefined and does not record while disabled or replaying', async () => {
+        expect(recorder.replayResponse(hash('live'))).toBeUndefined();
+
+        recorder.record(hash('live'), 'test-model', 0.7, 'live', 'ignored');
+        expect(recorder.find(hash('live'))).toBeNull();
+
+        recorder.setRecording(true);
+        await recorder.replay(() => START, async () => {
+            recorder.record(hash('live'), 'test-model', 0.7, 'live', 'ignored');
+        });
+        expect(recorder.find(hash('live'))).toBeNull();
+
+        recorder.record(hash('live'), 'test-model', 0.7, 'live', 'kept');
+        expect(recorder.find(hash('live'))?.response).toBe('kept');
+    });
+
+    it('replays the recording closest to the simulated time', async () => {
+        recorder.setRecording(true);
+        const now = jest.spyOn(Date, 'now');
+        now.mockReturnValue(START);
+        recorder.record(hash('p'), 'test-model', 0.7, 'p', 'early');
+        now.mockReturnValue(START + 10 * HOUR);
+        recorder.record(hash('p'), 'test-model', 0.7, 'p', 'late');
+        now.mockRestore();
+
+        const early = await recorder.replay(() => START + HOUR, async () => recorder.replayResponse(hash('p')));
+        const late = await recorder.replay(() => START + 8 * HOUR, async () => recorder.replayResponse(hash('p')));
+
+        expect(early).toEqual({ result: 'early', hits: 1, misses: 0 });
+        expect(late.result).toBe('late');
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Dead Letter Queue Tests
+ * Failed EnhancedMessageBus deliveries are persisted per subscriber, replayed
+ * only to the subscriber that failed, and survive a new bus instance.
+ */
+
+import { EnhancedMessageBus } from '../../src/infrastructure/enhanced-message-bus';
+import { DeadLetterStore } from '../../src/infrastructure/dead-letter-store';
+
+describe('Dead Letter Queue', () => {
+    let store: DeadLetterStore;
+    let bus: EnhancedMessageBus;
+
+    beforeEach(() => {
+        store = new DeadLetterStore(':memory:');
+        bus = new EnhancedMessageBus(store);
+    });
+
+    afterEach(() => {
+        bus.clear();
+        store.close();
+    });
+
+    it('stores failed deliveries with channel, subscriber, error and attempts', async () => {
+        bus.subscribe('position_change', () => { throw new Error('db locked'); }, { name: 'position-writer' });
+
+        const messageId = await bus.publish('position_change', { symbol: 'BTC', size: 1 });
+        const [letter] = bus.getDeadLetterQueue();
+        expect(letter.messageId).toBe(messageId);
+        expect(letter.channel).toBe('position_change');
+        expect(letter.subscriber).toBe('position-writer');
+        expect(letter.error).toBe('db locked');
+        expect(letter.attempts).toBe(1);
+        expect(letter.originalMessage.data).toEqual({ symbol: 'BTC', size: 1 });
+
+        // A failed replay bumps the same row rather than adding another
+        await bus.retryDeadLetters();
+        const after = bus.getDeadLetterQueue();
+        expect(after).toHaveLength(1);
+        expect(after[0].attempts).toBe(2);
+        expect(after[0].status).toBe('PENDING');
+    });
+
+    it('replays only to the subscriber that failed', async () => {
+        let healthyCalls = 0;
+        let failing = true;
+        const received: any[] = [];
+        bus.subscribe('risk_alert', () => { healthyCalls++; }, { name: 'notifier' });
+        bus.subscribe('risk_alert', (message) => {
+            if (failing) throw new Error('handler down');
+            received.push(message.data);
+        }, { name: 'risk-recorder' });
+
+        await bus.publish('risk_alert', { level: 'HIGH' });
+        expect(healthyCalls).toBe(1);
+
+        failing = false;
+        const result = await bus.retryDeadLetters({ subscriber: 'risk-recorder' });
+        expect(result).toEqual({ replayed: 1, failed: 0, skipped: 0 });
+        expect(received).toEqual([{ level: 'HIGH' }]);
+        expect(healthyCalls).toBe(1);
+        expect(store.list({ status: 'REPLAYED' }).total).toBe(1);
+    });
+
+    it('replays requested dead letters from a new bus after a restart', async () => {
+        bus.subscribe('position_change', async () => { throw new Error('timeout'); }, { name: 'position-writer' });
+        await bus.publish('position_change', { symbol: 'ETH' });
+        bus.clear();
+
+        // Requested from the dashboard; a new process owns the subscriber
+        expect(store.requestReplay({ channel: 'position_change' })).toBe(1);
+        const restarted = new EnhancedMessageBus(store);
+        const received: any[] = [];
+        restarted.subscribe('position_change', (message) => { received.push(message.data); }, { name: 'position-writer' });
+
+        const result = await restarted.processReplayRequests();
+        restarted.clear();
+        expect(result.replayed).toBe(1);
+        expect(received).toEqual([{ symbol: 'ETH' }]);
+    });
+
+    it('reports growth and purges by filter', async () => {
+        bus.subscribe('a', () => { throw new Error('x'); }, { name: 'sub-a' });
+        bus.subscribe('b', () => { throw new Error('y'); }, { name: 'sub-b' });
+        await bus.publish('a', 1);
+        await bus.publish('a', 2);
+        await bus.publish('b', 3);
+
+        const stats = store.stats();
+        expect(stats.pending).toBe(3);
+        expect(stats.addedLastHour).toBe(3);
+        expect(stats.byChannel).toEqual({ a: 2, b: 1 });
+        expect(bus.getStatistics().deadLetters).toBe(3);
+
+        expect(store.purge({ channel: 'a' })).toBe(2);
+        expect(store.purge({ ids: [] })).toBe(0);
+        expect(store.stats().pending).toBe(1);
+    });
+});
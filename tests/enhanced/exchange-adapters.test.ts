@@ -0,0 +1,139 @@
+/**
+ * Exchange Adapter Tests
+ * The in-memory mock venue, the fills stream de-duplication and the ccxt
+ * adapter's mapping of orders, positions, balances and trades.
+ */
+
+import { CcxtClient, CcxtExchangeAdapter } from '../../src/execution-engine/venues/ccxt-adapter';
+import { VenueFill } from '../../src/execution-engine/venues/exchange-adapter';
+import { MockExchangeAdapter } from '../../src/execution-engine/venues/mock-exchange-adapter';
+
+describe('Exchange Adapters', () => {
+    describe('mock venue', () => {
+        let clock: number;
+        let venue: MockExchangeAdapter;
+
+        beforeEach(() => {
+            clock = 1_000;
+            venue = new MockExchangeAdapter('binance', { initialBalance: 1000, feeRate: 0.001, now: () => clock });
+            venue.setMarkPrice('BTC', 100);
+        });
+
+        it('fills market orders, rests limits and nets positions', async () => {
+            const entry = await venue.placeOrder({ symbol: 'btc', side: 'BUY', size: 2, orderType: 'market' });
+            expect(entry.status).toBe('FILLED');
+            expect(entry.filledPrice).toBe(100);
+
+            const limit = await venue.placeOrder({ symbol: 'BTC', side: 'SELL', size: 2, price: 110, orderType: 'limit', reduceOnly: true });
+            expect(limit.status).toBe('RESTING');
+            expect(await venue.getOpenOrders('BTC')).toHaveLength(1);
+
+            venue.setMarkPrice('BTC', 105);
+            const [position] = await venue.getPositions();
+            expect(position.side).toBe('LONG');
+            expect(position.unrealizedPnL).toBeCloseTo(10, 9);
+
+            venue.setMarkPrice('BTC', 111);
+            expect(await venue.getPositions()).toHaveLength(0);
+            const balance = await venue.getBalance();
+            // +20 realized, fees 0.2 on entry and 0.22 on exit
+            expect(balance.equity).toBeCloseTo(1000 + 20 - 0.2 - 0.22, 9);
+
+            const rejected = await venue.placeOrder({ symbol: 'BTC', side: 'SELL', size: 1, reduceOnly: true });
+            expect(rejected.success).toBe(false);
+            venue.failNextOrder('Insufficient margin');
+            expect((await venue.placeOrder({ symbol: 'BTC', side: 'BUY', size: 1 })).error).toBe('Insufficient margin');
+        });
+
+        it('streams each fill once across overlapping polls', async () => {
+            const seen: VenueFill[] = [];
+            const unsubscribe = venue.onFill(fill => seen.push(fill), clock);
+
+            await venue.placeOrder({ symbol: 'BTC', side: 'BUY', size: 1 });
+            await venue.placeOrder({ symbol: 'BTC', side: 'BUY', size: 1 });
+            expect(await venue.pollFills()).toBe(2);
+            expect(await venue.pollFills()).toBe(0);
+
+            clock += 500;
+            await venue.placeOrder({ symbol: 'BTC', side: 'SELL', size: 2 });
+            expect(await venue.pollFills()).toBe(1);
+            unsubscribe();
+
+            expect(seen.map(fill => fill.side)).toEqual(['BUY', 'BUY', 'SELL']);
+            expect(seen[2].realizedPnL).toBe(0);
+            expect(seen.every(fill => fill.venue === 'binance')).toBe(true);
+        });
+    });
+
+    describe('ccxt venue', () => {
+        let calls: any[][];
+        let adapter: CcxtExchangeAdapter;
+
+        beforeEach(() => {
+            calls = [];
+            const client = {
+                loadMarkets: async () => ({}),
+                createOrder: async (...args: any[]) => {
+                    calls.push(['createOrder', ...args]);
+                    return args[1] === 'market'
+                        ? { id: '11', status: 'closed', type: 'market', filled: args[3], average: 100.5 }
+                        : { id: '12', status: 'open', type: 'limit', filled: 0, price: args[4] };
+                },
+                cancelOrder: async (...args: any[]) => { calls.push(['cancelOrder', ...args]); return {}; },
+                cancelAllOrders: async (...args: any[]) => { calls.push(['cancelAllOrders', ...args]); return []; },
+                fetchOpenOrders: async () => [
+                    { id: '12', symbol: 'ETH/USDT:USDT', side: 'sell', price: 2000, amount: 1, filled: 0.25, timestamp: 5 },
+                ],
+                fetchPositions: async () => [
+                    { symbol: 'BTC/USDT:USDT', contracts: 0.5, contractSize: 1, side: 'short', entryPrice: 101, markPrice: 100, unrealizedPnl: 0.5, leverage: 5, initialMargin: 10 },
+                    { symbol: 'SOL/USDT:USDT', contracts: 0, side: 'long' },
+                ],
+                fetchBalance: async () => ({ USDT: { total: 500, free: 450, used: 50 } }),
+                fetchMyTrades: async (symbol: string, since: number) => {
+                    calls.push(['fetchMyTrades', symbol, since]);
+                    return symbol === 'BTC/USDT:USDT'
+                        ? [{ id: 't1', order: '11', symbol, side: 'buy', price: 100.5, amount: 0.5, fee: { cost: 0.02 }, takerOrMaker: 'taker', timestamp: 10, info: { realizedPnl: '0' } }]
+                        : [];
+                },
+            } as unknown as CcxtClient;
+            adapter = new CcxtExchangeAdapter({ venue: 'asterdex' }, client);
+        });
+
+        it('maps orders onto the engine result statuses', async () => {
+            const market = await adapter.placeOrder({ symbol: 'BTC', side: 'BUY', size: 0.5, orderType: 'market' });
+            expect(market).toEqual({ success: true, orderId: '11', filledSize: 0.5, filledPrice: 100.5, status: 'FILLED' });
+            expect(calls[0]).toEqual(['createOrder', 'BTC/USDT:USDT', 'market', 'buy', 0.5, undefined, {}]);
+
+            const limit = await adapter.placeOrder({ symbol: 'ETH', side: 'SELL', size: 1, price: 2000, reduceOnly: true });
+            expect(limit.status).toBe('RESTING');
+            expect(calls[1][6]).toEqual({ reduceOnly: true });
+
+            const [open] = await adapter.getOpenOrders();
+            expect(open.symbol).toBe('ETH');
+            expect(open.filledSize).toBe(0.25);
+            expect(await adapter.cancelAllOrders()).toBe(true);
+            expect(calls[2]).toEqual(['cancelAllOrders', 'ETH/USDT:USDT']);
+        });
+
+        it('reads positions, balance and fills per traded symbol', async () => {
+            const state = await adapter.getAccountState();
+            expect(state.equity).toBe(500);
+            expect(state.available).toBe(450);
+            expect(state.positions).toHaveLength(1);
+            expect(state.positions[0]).toEqual({
+                symbol: 'BTC', side: 'SHORT', size: 0.5, entryPrice: 101, markPrice: 100,
+                unrealizedPnL: 0.5, leverage: 5, marginUsed: 10,
+            });
+
+            const seen: VenueFill[] = [];
+            const unsubscribe = adapter.onFill(fill => seen.push(fill), 0);
+            expect(await adapter.pollFills()).toBe(1);
+            unsubscribe();
+            expect(seen[0].venue).toBe('asterdex');
+            expect(seen[0].liquidity).toBe('TAKER');
+            expect(seen[0].fee).toBe(0.02);
+            // The open BTC position is what put the symbol on the poll list
+            expect(calls.filter(call => call[0] === 'fetchMyTrades').map(call => call[1])).toEqual(['BTC/USDT:USDT']);
+        });
+    });
+});
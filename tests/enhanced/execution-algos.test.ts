@@ -0,0 +1,227 @@
+/**
+ * Execution Algorithm Tests
+ * TWAP, iceberg and participation-rate parents driven by a fake clock and a
+ * fake exchange: child sizing, fill tracking against the parent, cancel, and
+ * children settled only from the fills the venue reports for them.
+ */
+
+import {
+    ChildOrderRequest,
+    ExecutionAlgoError,
+    ExecutionAlgoManager,
+    ParentOrder,
+    parseExecutionAlgoConfig,
+    selectExecutionAlgo,
+} from '../../src/execution-engine/execution-algos';
+import { VenueOrderResult, VenueOrderState } from '../../src/execution-engine/venues/exchange-adapter';
+
+describe('Execution Algorithms', () => {
+    let clock: number;
+    let placed: ChildOrderRequest[];
+    let cancelled: string[];
+    let rest: boolean;
+    let placeResult: VenueOrderResult | null;
+    let cancelOutcome: boolean | Error;
+    let childStates: Record<string, VenueOrderState | Error>;
+    let finished: ParentOrder[];
+    let manager: ExecutionAlgoManager;
+
+    beforeEach(() => {
+        clock = 1_000_000;
+        placed = [];
+        cancelled = [];
+        rest = false;
+        placeResult = null;
+        cancelOutcome = true;
+        childStates = {};
+        finished = [];
+        manager = new ExecutionAlgoManager({
+            now: () => clock,
+            placeChild: async (request) => {
+                placed.push(request);
+                if (placeResult) return { ...placeResult, orderId: String(placed.length) };
+                return rest
+                    ? { success: true, status: 'RESTING', orderId: String(placed.length) }
+                    : { success: true, status: 'FILLED', filledSize: request.size, filledPrice: 100 + placed.length };
+            },
+            cancelChild: async (_symbol, orderId) => {
+                cancelled.push(orderId);
+                if (cancelOutcome instanceof Error) throw cancelOutcome;
+                return cancelOutcome;
+            },
+            getChildState: async (_symbol, orderId) => {
+                const state = childStates[orderId] ?? { open: false, filledSize: 0, fills: [] };
+                if (state instanceof Error) throw state;
+                return state;
+            },
+        });
+        manager.on('finished', parent => finished.push(parent));
+    });
+
+    afterEach(async () => {
+        await manager.cancelAll();
+    });
+
+    it('slices a TWAP evenly over its window', async () => {
+        const fills: number[] = [];
+        manager.on('fill', parent => fills.push(parent.filledSize));
+        const { id } = manager.start({
+            symbol: 'sol', side: 'BUY', size: 10, strategyId: 's1',
+            algo: { type: 'TWAP', durationMs: 4000, slices: 4 },
+        });
+
+        await manager.tick();
+        await manager.tick(); // same slice: nothing new
+        expect(placed.map(p => p.size)).toEqual([2.5]);
+
+        for (let i = 0; i < 3; i++) {
+            clock += 1000;
+            await manager.tick();
+        }
+        expect(placed).toHaveLength(4);
+        expect(finished).toHaveLength(1);
+        expect(finished[0].id).toBe(id);
+        expect(finished[0].status).toBe('COMPLETED');
+        expect(finished[0].filledSize).toBe(10);
+        expect(finished[0].avgFillPrice).toBeCloseTo(102.5);
+        // Every child fill is reported while the parent works, not only at the end
+        expect(fills).toEqual([2.5, 5, 7.5, 10]);
+    });
+
+    it('sends one iceberg clip at a time and cancels stale resting clips', async () => {
+        rest = true;
+        manager.start({
+            symbol: 'DOGE', side: 'SELL', size: 1000, strategyId: 's1',
+            algo: { type: 'ICEBERG', clipSize: 300 },
+            orderType: 'limit', price: 0.1,
+        });
+
+        await manager.tick();
+        clock += 5000;
+        await manager.tick();
+        expect(placed.map(p => p.size)).toEqual([300]);
+
+        clock += 30000;
+        await manager.tick();
+        expect(cancelled).toEqual(['1']);
+        expect(placed.map(p => p.size)).toEqual([300, 300]);
+
+        rest = false;
+        clock += 30000;
+        for (let i = 0; i < 4; i++) await manager.tick();
+        expect(cancelled).toEqual(['1', '2']);
+        expect(placed.map(p => p.size)).toEqual([300, 300, 300, 300, 300, 100]);
+        expect(finished[0].status).toBe('COMPLETED');
+        expect(finished[0].filledSize).toBe(1000);
+    });
+
+    it('caps POV children at the participation rate of observed volume', async () => {
+        manager.start({
+            symbol: 'WIF', side: 'BUY', size: 100, strategyId: 's1',
+            algo: { type: 'POV', participationRate: 0.2, minChildFraction: 0.05 },
+        });
+
+        await manager.tick();
+        expect(placed).toHaveLength(0);
+
+        manager.recordMarketTrade('WIF', 20);
+        manager.recordMarketTrade('BTC', 1000);
+        await manager.tick();
+        expect(placed).toHaveLength(0); // 4 < minimum child of 5
+
+        manager.recordMarketTrade('wif', 80);
+        await manager.tick();
+        expect(placed.map(p => p.size)).toEqual([20]);
+        expect(manager.hasWorkingParent('WIF')).toBe(true);
+    });
+
+    it('cancels working parents, keeping fills received so far', async () => {
+        rest = false;
+        const { id } = manager.start({
+            symbol: 'ARB', side: 'BUY', size: 9, strategyId: 's1',
+            algo: { type: 'TWAP', durationMs: 9000, slices: 3 },
+        });
+        await manager.tick();
+
+        rest = true;
+        clock += 3000;
+        await manager.tick();
+
+        expect(await manager.cancelAll('emergency stop')).toBe(1);
+        expect(cancelled).toEqual(['2']);
+        expect(finished[0].status).toBe('CANCELLED');
+        expect(finished[0].filledSize).toBe(3);
+        expect(manager.getParentOrder(id)!.reason).toBe('emergency stop');
+
+        clock += 3000;
+        await manager.tick();
+        expect(placed).toHaveLength(2);
+    });
+
+    it('keeps a child unresolved while its cancel or state lookup fails, then books only confirmed fills', async () => {
+        rest = true;
+        manager.start({
+            symbol: 'DOGE', side: 'SELL', size: 1000, strategyId: 's1',
+            algo: { type: 'ICEBERG', clipSize: 300 },
+            orderType: 'limit', price: 0.1,
+        });
+        await manager.tick();
+
+        cancelOutcome = new Error('socket hang up');
+        childStates['1'] = new Error('socket hang up');
+        clock += 30000;
+        await manager.tick();
+        let parent = manager.getParentOrders()[0];
+        expect(parent.filledSize).toBe(0);
+        expect(parent.children[0].status).toBe('RESTING');
+        expect(placed).toHaveLength(1);
+
+        // Gone from the book and no cancel: only the reported fill counts
+        cancelOutcome = false;
+        childStates['1'] = { open: false, filledSize: 120, avgPrice: 0.1002, fills: [] };
+        clock += 1000;
+        await manager.tick();
+        parent = manager.getParentOrders()[0];
+        expect(parent.filledSize).toBe(120);
+        expect(parent.avgFillPrice).toBeCloseTo(0.1002, 10);
+        expect(parent.children[0]).toMatchObject({ status: 'CANCELLED', filledSize: 120 });
+        expect(placed.map(p => p.size)).toEqual([300, 300]);
+    });
+
+    it('waits for the fill report of a market child instead of booking it at 0', async () => {
+        placeResult = { success: true, status: 'PENDING' };
+        manager.start({
+            symbol: 'ETH', side: 'BUY', size: 4, strategyId: 's1',
+            algo: { type: 'TWAP', durationMs: 4000, slices: 2 },
+        });
+
+        await manager.tick();
+        cancelOutcome = false;
+        await manager.tick(); // no fills reported yet
+        expect(manager.getParentOrders()[0].filledSize).toBe(0);
+
+        childStates['1'] = { open: false, filledSize: 2, avgPrice: 2500, fills: [] };
+        await manager.tick();
+        const parent = manager.getParentOrders()[0];
+        expect(parent.filledSize).toBe(2);
+        expect(parent.avgFillPrice).toBe(2500);
+        expect(parent.children[0].status).toBe('FILLED');
+    });
+
+    it('selects by strategy first, then risk tier, above the notional floor', () => {
+        const config = parseExecutionAlgoConfig(JSON.stringify({
+            strategies: { maker: 'DIRECT', alts: { type: 'ICEBERG', clipSize: 50 } },
+            tiers: { HIGH: { type: 'TWAP', minNotionalUsd: 5000 } },
+        }));
+
+        expect(selectExecutionAlgo(config, { strategyId: 'alts', riskScore: 0.1, notionalUsd: 10 })!.type).toBe('ICEBERG');
+        expect(selectExecutionAlgo(config, { strategyId: 'maker', riskScore: 0.65, notionalUsd: 1e6 })).toBeNull();
+        expect(selectExecutionAlgo(config, { strategyId: 'x', riskScore: 0.65, notionalUsd: 6000 })!.durationMs).toBe(300000);
+        expect(selectExecutionAlgo(config, { strategyId: 'x', riskScore: 0.65, notionalUsd: 100 })).toBeNull();
+        expect(selectExecutionAlgo(config, { strategyId: 'x', riskScore: 0.2, notionalUsd: 6000 })).toBeNull();
+
+        expect(() => parseExecutionAlgoConfig('{"tiers":{"EXTREME":{"type":"TWAP"}}}')).toThrow(ExecutionAlgoError);
+        expect(() => parseExecutionAlgoConfig('{"tiers":{"LOW":{"type":"POV","participationRate":2}}}'))
+            .toThrow(/participationRate/);
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Execution TCA Tests
+ * Decision / arrival / fill costs, markouts sampled on a fake clock, resting
+ * orders settled from venue fills, blocked signals and aggregation per
+ * symbol, strategy and failure category.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ExecutionTca } from '../../src/execution-engine/execution-tca';
+import { VenueFill } from '../../src/execution-engine/venues';
+
+describe('Execution TCA', () => {
+    let dir: string;
+    let clock: number;
+    let mids: Map<string, number>;
+    let tca: ExecutionTca;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tca-'));
+        clock = 1_000_000;
+        mids = new Map([['BTC', 100.1]]);
+        tca = new ExecutionTca(path.join(dir, 'trading.db'), symbol => mids.get(symbol), () => clock);
+    });
+
+    afterEach(() => {
+        tca.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('splits implementation shortfall into delay, impact and fees', () => {
+        const id = tca.startOrder({
+            symbol: 'btc', side: 'BUY', size: 2, strategyId: 'momentum', orderType: 'market',
+            decisionPrice: 100, decisionAt: clock - 500,
+        });
+        clock += 250;
+        tca.finishOrder(id, { outcome: 'FILLED', orderId: 'oid-1', filledSize: 2, fillPrice: 100.2, fee: 0.1002 });
+
+        const [order] = tca.listOrders();
+        expect(order.symbol).toBe('BTC');
+        expect(order.orderId).toBe('oid-1');
+        expect(order.arrivalMid).toBe(100.1);
+        expect(order.timeToFillMs).toBe(250);
+        expect(order.delayBps).toBeCloseTo(10, 6);
+        expect(order.impactBps).toBeCloseTo((0.1 / 100.1) * 10000, 6);
+        expect(order.feeBps).toBeCloseTo(5, 6);
+        expect(order.shortfallBps).toBeCloseTo(20 + 5, 6);
+        expect(order.markout1sBps).toBeNull();
+    });
+
+    it('samples markouts at 1s, 10s and 60s after the fill', () => {
+        const id = tca.startOrder({ symbol: 'BTC', side: 'SELL', size: 1, orderType: 'market', decisionPrice: 100 });
+        tca.finishOrder(id, { outcome: 'FILLED', filledSize: 1, fillPrice: 100 });
+
+        mids.set('BTC', 99.9);
+        clock += 1000;
+        expect(tca.sampleMarkouts()).toBe(1);
+        mids.set('BTC', 100.2);
+        clock += 9000;
+        expect(tca.sampleMarkouts()).toBe(1);
+        clock += 50000;
+        tca.sampleMarkouts();
+
+        const [order] = tca.listOrders();
+        // Sold at 100: a lower mid afterwards is in our favour
+        expect(order.markout1sBps).toBeCloseTo(10, 6);
+        expect(order.markout10sBps).toBeCloseTo(-20, 6);
+        expect(order.markout60sBps).toBeCloseTo(-20, 6);
+        // No fee given: the taker estimate applies
+        expect(order.fee).toBeCloseTo(100 * 0.00045, 9);
+    });
+
+    it('settles resting orders from venue fills', () => {
+        const venueFill = (id: string, orderId: string, price: number, size: number, fee: number, timestamp: number): VenueFill => ({
+            venue: 'hyperliquid', id, orderId, symbol: 'BTC', side: 'BUY', price, size, fee,
+            realizedPnL: 0, liquidity: 'MAKER', timestamp,
+        });
+        const id = tca.startOrder({ symbol: 'BTC', side: 'BUY', size: 2, orderType: 'limit', decisionPrice: 100 });
+        tca.finishOrder(id, { outcome: 'RESTING', orderId: 'r1' });
+        const submittedAt = clock;
+
+        // Fills of other orders are not ours to settle
+        expect(tca.recordFill(venueFill('f0', 'other', 99, 1, 0, submittedAt + 100))).toBe(false);
+
+        expect(tca.recordFill(venueFill('f1', 'r1', 99.9, 1, 0.01, submittedAt + 2000))).toBe(true);
+        let [order] = tca.listOrders();
+        expect(order.outcome).toBe('RESTING');
+        expect(order.filledSize).toBe(1);
+
+        clock = submittedAt + 5000;
+        expect(tca.recordFill(venueFill('f2', 'r1', 100.1, 1, 0.01, submittedAt + 5000))).toBe(true);
+        [order] = tca.listOrders();
+        expect(order.outcome).toBe('FILLED');
+        expect(order.filledSize).toBe(2);
+        expect(order.fillPrice).toBeCloseTo(100, 9);
+        expect(order.fee).toBeCloseTo(0.02, 9);
+        expect(order.timeToFillMs).toBe(5000);
+        expect(order.shortfallBps).toBeCloseTo(1, 6);
+
+        // Settled orders take no more fills; markouts run from the final fill
+        expect(tca.recordFill(venueFill('f3', 'r1', 100, 1, 0, submittedAt + 6000))).toBe(false);
+        mids.set('BTC', 100.2);
+        clock += 1000;
+        expect(tca.sampleMarkouts()).toBe(1);
+        expect(tca.listOrders()[0].markout1sBps).toBeCloseTo(20, 6);
+    });
+
+    it('records blocked signals with the gate reason', () => {
+        tca.recordBlocked(
+            { symbol: 'BTC', side: 'SELL', size: 1, strategyId: 'a', orderType: 'market', decisionPrice: 100 },
+            'Safety monitor blocked order'
+        );
+
+        const [order] = tca.listOrders({ outcome: 'BLOCKED' });
+        expect(order.failureCategory).toBe('BLOCKED');
+        expect(order.error).toBe('Safety monitor blocked order');
+        expect(order.fillPrice).toBeNull();
+        expect(tca.summarize('failureCategory').groups.map(g => g.key)).toEqual(['BLOCKED']);
+    });
+
+    it('aggregates per symbol, strategy and failure category', () => {
+        const fill = (symbol: string, strategyId: string, price: number, size: number) => {
+            const id = tca.startOrder({ symbol, side: 'BUY', size, strategyId, orderType: 'market', decisionPrice: 100 });
+            tca.finishOrder(id, { outcome: 'FILLED', filledSize: size, fillPrice: price, fee: 0 });
+        };
+        fill('BTC', 'a', 100.1, 1);
+        fill('BTC', 'b', 100.4, 3);
+        fill('ETH', 'a', 100, 1);
+        tca.finishOrder(
+            tca.startOrder({ symbol: 'ETH', side: 'BUY', size: 1, strategyId: 'a', orderType: 'limit', decisionPrice: 100 }),
+            { outcome: 'REJECTED', error: 'Insufficient margin' }
+        );
+        tca.finishOrder(
+            tca.startOrder({ symbol: 'ETH', side: 'BUY', size: 1, strategyId: 'b', orderType: 'limit', decisionPrice: 100 }),
+            { outcome: 'RESTING', orderId: 'r1' }
+        );
+        tca.startOrder({ symbol: 'SOL', side: 'BUY', size: 1, orderType: 'market', decisionPrice: 100 });
+
+        const bySymbol = tca.summarize('symbol');
+        const btc = bySymbol.groups.find(g => g.key === 'BTC')!;
+        expect(btc.filled).toBe(2);
+        // Notional weighted: (10 * 100.1 + 40 * 301.2) / 401.3
+        expect(btc.avgShortfallBps).toBeCloseTo((10 * 100.1 + 40 * 301.2) / 401.3, 6);
+        const eth = bySymbol.groups.find(g => g.key === 'ETH')!;
+        expect(eth.orders).toBe(3);
+        expect(eth.resting).toBe(1);
+        expect(eth.failed).toBe(1);
+        expect(eth.fillRate).toBeCloseTo(1 / 3, 6);
+        // Still-pending orders are left out
+        expect(bySymbol.totals.orders).toBe(5);
+
+        expect(tca.summarize('strategy').groups.map(g => g.key).sort()).toEqual(['a', 'b']);
+        const byFailure = tca.summarize('failureCategory');
+        expect(byFailure.groups.map(g => [g.key, g.orders])).toEqual([['NONE', 4], ['REJECTED', 1]]);
+        expect(tca.listOrders({ outcome: 'REJECTED' })[0].error).toBe('Insufficient margin');
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Exposure Limits Tests
+ * Net category caps with per-category overrides, correlation clusters built
+ * from a synthetic candles table, hedges passing, and the rejection reason
+ * surfacing from RiskManager.evaluateSignal.
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CandleHistory } from '../../src/risk-manager/candle-history';
+import { ExposureLimitSettings, ExposureLimiter } from '../../src/risk-manager/exposure-limits';
+import { RiskManager } from '../../src/risk-manager/risk-manager';
+import config from '../../src/shared/config';
+import { Portfolio, Position } from '../../src/shared/types';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function position(symbol: string, side: 'LONG' | 'SHORT', notional: number): Position {
+    return { symbol, side, size: notional / 10, entryPrice: 10, markPrice: 10, unrealizedPnL: 0, leverage: 1, marginUsed: 0 };
+}
+
+describe('Exposure Limits', () => {
+    let dir: string;
+    let history: CandleHistory;
+    let limiter: ExposureLimiter;
+    const settings: ExposureLimitSettings = {
+        maxCategoryExposure: 0.5,
+        categoryLimits: {},
+        maxClusterExposure: 0.75,
+        clusterCorrelation: 0.7,
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exposure-limits-'));
+        const dbPath = path.join(dir, 'trading.db');
+        const db = new Database(dbPath);
+        db.exec('CREATE TABLE candles (symbol TEXT, timeframe TEXT, timestamp INTEGER, open REAL, high REAL, low REAL, close REAL, volume REAL)');
+        const insert = db.prepare('INSERT INTO candles VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+
+        // LINK tracks UNI bar for bar; ONDO moves on its own
+        let seed = 7;
+        const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+        const prices = { UNI: 10, LINK: 20, ONDO: 1 };
+        for (let i = 0; i < 200; i++) {
+            for (const [symbol, price] of Object.entries(prices)) {
+                insert.run(symbol, '1h', i * HOUR_MS, price, price, price, price, 1);
+            }
+            const move = (random() - 0.5) * 0.02;
+            prices.UNI *= Math.exp(move);
+            prices.LINK *= Math.exp(move * 1.2);
+            prices.ONDO *= Math.exp((random() - 0.5) * 0.02);
+        }
+        db.close();
+
+        history = new CandleHistory(dbPath);
+        limiter = new ExposureLimiter(history, { timeframe: '1h', lookbackBars: 168 });
+    });
+
+    afterEach(() => {
+        history.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('caps net category exposure but lets hedges through', () => {
+        const positions = [position('DOGE', 'LONG', 3000), position('WIF', 'LONG', 2000)];
+
+        const stacked = limiter.check('PEPE', 1000, positions, 10000, settings, false);
+        expect(stacked.approved).toBe(false);
+        expect(stacked.category.name).toBe('Meme');
+        expect(stacked.category.exposureAfter).toBeCloseTo(0.6, 9);
+        expect(stacked.reason).toBe('Meme net long exposure 60.0% of equity (PEPE, DOGE, WIF) would exceed the 50.0% category limit');
+
+        expect(limiter.check('PEPE', -1000, positions, 10000, settings, false).approved).toBe(true);
+        expect(limiter.check('PEPE', 1000, positions, 10000, { ...settings, categoryLimits: { Meme: 0.7 } }, false).approved).toBe(true);
+
+        // Uncategorized coins need an explicit cap
+        const altcoins = [position('FOO', 'LONG', 9000)];
+        expect(limiter.check('BAR', 1000, altcoins, 10000, settings, false).approved).toBe(true);
+        expect(limiter.check('BAR', 1000, altcoins, 10000, { ...settings, categoryLimits: { Altcoin: 0.5 } }, false).approved).toBe(false);
+    });
+
+    it('groups correlated symbols across categories into a cluster', () => {
+        expect(limiter.correlation('LINK', 'UNI')).toBeGreaterThan(0.99);
+        expect(Math.abs(limiter.correlation('ONDO', 'UNI')!)).toBeLessThan(0.3);
+        expect(limiter.correlation('LINK', 'NONE')).toBeNull();
+
+        const positions = [position('UNI', 'LONG', 5000), position('ONDO', 'LONG', 1000)];
+        const correlated = limiter.check('LINK', 3000, positions, 10000, settings);
+        expect(correlated.approved).toBe(false);
+        expect(correlated.cluster!.symbols).toEqual(['LINK', 'UNI']);
+        expect(correlated.reason).toMatch(/LINK cluster net long exposure 80\.0% .* 75\.0% correlation cluster limit/);
+
+        expect(limiter.check('ONDO', 3000, positions, 10000, settings).approved).toBe(true);
+        expect(limiter.check('LINK', 3000, positions, 10000, settings, false).cluster).toBeNull();
+    });
+
+    it('rejects the signal in RiskManager with the limit as the reason', async () => {
+        const risk = config.getSection('risk');
+        const saved = { ...risk };
+        risk.maxCategoryExposure = 0.01;
+        risk.categoryExposureLimits = {};
+        try {
+            const portfolio: Portfolio = {
+                totalValue: 10000,
+                availableBalance: 10000,
+                usedBalance: 0,
+                positions: [position('DOGE', 'LONG', 20000)],
+                dailyPnL: 0,
+                unrealizedPnL: 0,
+            };
+            const signal = {
+                id: 'sig-1',
+                symbol: 'WIF',
+                action: 'BUY' as const,
+                size: 1,
+                price: 10,
+                type: 'MARKET' as const,
+                timestamp: new Date(),
+                confidence: 0.9,
+                strategyId: 'test',
+                reason: 'test',
+            };
+
+            const riskManager = new RiskManager({ isolated: true, exposureLimiter: limiter });
+            const rejected = await riskManager.evaluateSignal(signal, portfolio);
+            expect(rejected.suggestedSize).toBeGreaterThan(0);
+            expect(rejected.approved).toBe(false);
+            expect(rejected.warnings.some(warning => /^Meme net long exposure .* 1\.0% category limit$/.test(warning))).toBe(true);
+
+            const hedge = await riskManager.evaluateSignal({ ...signal, action: 'SELL' }, portfolio);
+            expect(hedge.warnings.some(warning => /category limit/.test(warning))).toBe(false);
+        } finally {
+            Object.assign(risk, saved);
+        }
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Feed Source Tests
+ * RSS, Atom and announcement-page parsing, normalization into NewsArticle
+ * tagged by source type, conditional polling with ETag/Last-Modified, and
+ * source-type weighting in the quality filter.
+ */
+
+import {
+    FeedConfig,
+    FeedFetcher,
+    FeedSourceService,
+    parseAnnouncementPage,
+    parseFeed,
+} from '../../src/news-ingester/feed-source';
+import { weightQualityScore } from '../../src/news-agent/nodes/quality-filter-node';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Desk</title>
+  <item>
+    <title><![CDATA[SEC approves spot ETH ETF options]]></title>
+    <link>https://news.example.com/eth-options</link>
+    <description>&lt;p&gt;The SEC approved &amp;amp; listed options.&lt;/p&gt;</description>
+    <pubDate>Mon, 19 Oct 2026 11:30:00 GMT</pubDate>
+  </item>
+  <item>
+    <title>Old story</title>
+    <link>/old-story</link>
+    <pubDate>Mon, 12 Oct 2026 11:30:00 GMT</pubDate>
+  </item>
+  <item><description>No title, dropped</description></item>
+</channel></rss>`;
+
+const ATOM = `<feed xmlns="http://www.w3.org/2005/Atom">
+  <entry>
+    <title type="html">Fed holds rates steady</title>
+    <link rel="self" href="https://atom.example.com/self/1"/>
+    <link rel="alternate" href="https://atom.example.com/fed-holds"/>
+    <summary>Policy unchanged.</summary>
+    <updated>2026-10-19T10:00:00Z</updated>
+  </entry>
+</feed>`;
+
+const ANNOUNCEMENTS = `<html><body>
+  <a href="/en/support/announcement/list-abc">Binance Will List ABC Token (ABC) with Seed Tag</a>
+  <a href="/en/support/announcement/list-abc">Binance Will List ABC Token (ABC) with Seed Tag</a>
+  <a href="/en/support/announcement/x">Short</a>
+  <a href="/en/markets">Markets overview and trading pairs</a>
+</body></html>`;
+
+const rssFeed: FeedConfig = { id: 'desk', url: 'https://news.example.com/rss', type: 'feed', category: 'CRYPTO' };
+const announcementFeed: FeedConfig = { id: 'binance', url: 'https://www.binance.com/en/support/announcement', type: 'announcement', source: 'binance' };
+
+describe('Feed Source', () => {
+    it('parses RSS items, decoding CDATA and escaped HTML and resolving relative links', () => {
+        const items = parseFeed(RSS, rssFeed.url);
+        expect(items).toHaveLength(2);
+        expect(items[0]).toMatchObject({
+            title: 'SEC approves spot ETH ETF options',
+            url: 'https://news.example.com/eth-options',
+            content: 'The SEC approved & listed options.',
+            sourceType: 'RSS',
+        });
+        expect(items[0].publishedAt?.toISOString()).toBe('2026-10-19T11:30:00.000Z');
+        expect(items[1].url).toBe('https://news.example.com/old-story');
+    });
+
+    it('parses Atom entries using the alternate link', () => {
+        const [entry] = parseFeed(ATOM, 'https://atom.example.com/feed');
+        expect(entry).toMatchObject({
+            title: 'Fed holds rates steady',
+            url: 'https://atom.example.com/fed-holds',
+            content: 'Policy unchanged.',
+            sourceType: 'ATOM',
+        });
+    });
+
+    it('extracts announcement links matching the pattern with headline-length text', () => {
+        const items = parseAnnouncementPage(ANNOUNCEMENTS, announcementFeed.url);
+        expect(items).toEqual([{
+            title: 'Binance Will List ABC Token (ABC) with Seed Tag',
+            url: 'https://www.binance.com/en/support/announcement/list-abc',
+            content: '',
+            sourceType: 'ANNOUNCEMENT',
+        }]);
+    });
+
+    it('polls with conditional headers, skips 304s, stale and already-seen items', async () => {
+        const requests: Array<Record<string, string>> = [];
+        let notModified = false;
+        const fetcher: FeedFetcher = async (url, headers) => {
+            requests.push(headers);
+            if (notModified) return { status: 304, body: '', headers: {} };
+            return {
+                status: 200,
+                body: url === rssFeed.url ? RSS : ANNOUNCEMENTS,
+                headers: { etag: `"${url.length}"`, 'last-modified': 'Mon, 19 Oct 2026 11:30:00 GMT' },
+            };
+        };
+        const service = new FeedSourceService({ feeds: [rssFeed, announcementFeed], fetcher, cachePath: null });
+
+        const first = await service.poll(['CRYPTO'], NOW);
+        expect(first).toMatchObject({ polled: 2, notModified: 0, failed: 0 });
+        expect(first.articles.map(a => a.title).sort()).toEqual([
+            'Binance Will List ABC Token (ABC) with Seed Tag',
+            'SEC approves spot ETH ETF options',
+        ]);
+
+        const rss = first.articles.find(a => a.url.includes('eth-options'))!;
+        expect(rss).toMatchObject({ source: 'news.example.com', categories: ['CRYPTO'] });
+        expect(rss.metadata).toEqual({ sourceType: 'RSS', feedId: 'desk', feedUrl: rssFeed.url });
+        const announcement = first.articles.find(a => a.source === 'binance')!;
+        expect(announcement.metadata?.sourceType).toBe('ANNOUNCEMENT');
+        expect(announcement.publishedAt?.getTime()).toBe(NOW);
+
+        // Same content again: every link was already emitted
+        const second = await service.poll(['CRYPTO'], NOW + 60 * 60 * 1000);
+        expect(second.articles).toHaveLength(0);
+        expect(requests[2]).toEqual({
+            'If-None-Match': `"${rssFeed.url.length}"`,
+            'If-Modified-Since': 'Mon, 19 Oct 2026 11:30:00 GMT',
+        });
+
+        notModified = true;
+        const third = await service.poll(['CRYPTO'], NOW + 2 * 60 * 60 * 1000);
+        expect(third).toMatchObject({ polled: 2, notModified: 2, articles: [] });
+    });
+
+    it('skips feeds outside the cycle categories and feeds polled too recently', async () => {
+        const fetcher = jest.fn<ReturnType<FeedFetcher>, Parameters<FeedFetcher>>(
+            async () => ({ status: 200, body: RSS, headers: {} })
+        );
+        const service = new FeedSourceService({ feeds: [rssFeed], fetcher, cachePath: null });
+
+        expect((await service.poll(['STOCKS'], NOW)).polled).toBe(0);
+        await service.poll(['CRYPTO'], NOW);
+        await service.poll(['CRYPTO'], NOW + 1000);
+        expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('counts failed feeds without failing the poll', async () => {
+        const service = new FeedSourceService({
+            feeds: [rssFeed],
+            fetcher: async () => { throw new Error('timeout'); },
+            cachePath: null,
+        });
+        expect(await service.poll(undefined, NOW)).toMatchObject({ polled: 0, failed: 1, articles: [] });
+    });
+
+    it('weights quality scores by source type, capped at 1', () => {
+        expect(weightQualityScore(0.5, undefined)).toBe(0.5);
+        expect(weightQualityScore(0.5, 'SEARCH')).toBe(0.5);
+        expect(weightQualityScore(0.5, 'ANNOUNCEMENT')).toBeCloseTo(0.65);
+        expect(weightQualityScore(0.9, 'RSS')).toBe(1);
+        expect(weightQualityScore(0.5, 'RSS', { SEARCH: 1, RSS: 2, ATOM: 1, ANNOUNCEMENT: 1 })).toBe(1);
+    });
+});
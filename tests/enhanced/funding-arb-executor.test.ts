@@ -0,0 +1,193 @@
+/**
+ * Funding Arbitrage Executor Tests
+ * Paired entries on two mock venues: failed-leg flattening, funding accrual
+ * per leg, drift trims, lost legs, the spread-based unwind and legs a venue
+ * acknowledges before it reports their fills.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    FUNDING_PERIOD_MS,
+    FundingArbError,
+    FundingArbExecutor,
+    FundingArbQuote,
+    PairedRiskGate,
+} from '../../src/execution-engine/funding-arb-executor';
+import { MockExchangeAdapter } from '../../src/execution-engine/venues/mock-exchange-adapter';
+import { VenueName, VenueOrderRequest, VenueOrderResult, VenueOrderState } from '../../src/execution-engine/venues/exchange-adapter';
+import type { CrossExchangeOpportunity } from '../../src/market-ingester/cross-exchange-arbitrage';
+
+/** Answers market orders like ccxt on Binance: PENDING, fill reported afterwards */
+class AckingExchangeAdapter extends MockExchangeAdapter {
+    orderLookupFails = false;
+
+    async placeOrder(request: VenueOrderRequest): Promise<VenueOrderResult> {
+        const result = await super.placeOrder(request);
+        return result.success && request.orderType === 'market'
+            ? { success: true, orderId: result.orderId, status: 'PENDING' }
+            : result;
+    }
+
+    async getOrderState(symbol: string, orderId: string, since: number): Promise<VenueOrderState> {
+        if (this.orderLookupFails) throw new Error('Request timed out');
+        return super.getOrderState(symbol, orderId, since);
+    }
+}
+
+function quote(shortRate: number, price: number = 100): FundingArbQuote {
+    return {
+        symbol: 'BTC',
+        long: { venue: 'hyperliquid', fundingRate: 0.0001, markPrice: price },
+        short: { venue: 'binance', fundingRate: shortRate, markPrice: price },
+        confidence: 90,
+    };
+}
+
+describe('Funding Arbitrage Executor', () => {
+    let dir: string;
+    let clock: number;
+    let venues: Map<VenueName, MockExchangeAdapter>;
+    let dailyPnL: number[];
+    let approve: boolean;
+    let executor: FundingArbExecutor;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'funding-arb-'));
+        clock = 1_000_000;
+        venues = new Map([
+            ['hyperliquid', new MockExchangeAdapter('hyperliquid', { now: () => clock })],
+            ['binance', new MockExchangeAdapter('binance', { now: () => clock })],
+        ]);
+        dailyPnL = [];
+        approve = true;
+        const risk: PairedRiskGate = {
+            checkPairedEntry: request => approve
+                ? { approved: true, maxLegNotionalUsd: Math.min(request.legNotionalUsd, request.equity * 0.5) }
+                : { approved: false, maxLegNotionalUsd: 0, reason: 'Emergency stop is active' },
+            updateDailyPnL: pnl => { dailyPnL.push(pnl); },
+        };
+        executor = new FundingArbExecutor({
+            config: { paper: false, notionalUsd: 1000, takerFeeRate: 0, entryApr: 25, exitApr: 8 },
+            getAdapter: venue => venues.get(venue)!,
+            risk,
+            dbPath: path.join(dir, 'trading.db'),
+            now: () => clock,
+        });
+    });
+
+    afterEach(() => {
+        executor.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('accrues funding per leg and unwinds when the carry collapses', async () => {
+        const position = await executor.open(quote(0.0005));
+        expect(position.status).toBe('OPEN');
+        expect(position.long.size).toBeCloseTo(10, 9);
+        expect(position.short.size).toBeCloseTo(10, 9);
+        expect(position.entrySpreadApr).toBeCloseTo(0.0004 * 3 * 365 * 100, 6);
+        await expect(executor.open(quote(0.0005))).rejects.toThrow(FundingArbError);
+
+        clock += FUNDING_PERIOD_MS;
+        const managed = await executor.manage(position, quote(0.0005));
+        // Long pays 0.01% of $1000, short receives 0.05%
+        expect(managed.long.fundingAccrued).toBeCloseTo(-0.1, 9);
+        expect(managed.short.fundingAccrued).toBeCloseTo(0.5, 9);
+
+        clock += FUNDING_PERIOD_MS / 2;
+        const closed = await executor.manage(managed, quote(0.0001));
+        expect(closed.status).toBe('CLOSED');
+        expect(closed.closeReason).toMatch(/below exit/);
+        // Second half period still at the old rates
+        expect(closed.netPnL).toBeCloseTo(0.4 * 1.5, 9);
+        expect(dailyPnL).toHaveLength(1);
+        expect(await venues.get('hyperliquid')!.getPositions()).toHaveLength(0);
+        expect(await venues.get('binance')!.getPositions()).toHaveLength(0);
+    });
+
+    it('flattens the filled leg when its partner fails', async () => {
+        venues.get('binance')!.failNextOrder('Insufficient margin');
+        const position = await executor.open(quote(0.0005));
+        expect(position.status).toBe('FAILED');
+        expect(position.closeReason).toMatch(/short leg failed: REJECTED: Insufficient margin/);
+        expect(await venues.get('hyperliquid')!.getPositions()).toHaveLength(0);
+
+        approve = false;
+        await expect(executor.open(quote(0.0005))).rejects.toThrow('Emergency stop is active');
+    });
+
+    it('trims drifted legs and unwinds when a leg disappears', async () => {
+        const position = await executor.open(quote(0.0005));
+        const trimmed = await executor.manage(position, quote(0.0005, 125));
+        // $1250 per leg is above the 10% drift band: cut back to $1000
+        expect(trimmed.long.size).toBeCloseTo(8, 9);
+        expect(trimmed.short.size).toBeCloseTo(8, 9);
+        expect(trimmed.status).toBe('OPEN');
+
+        // The short is closed on the venue behind the executor's back
+        await venues.get('binance')!.placeOrder({ symbol: 'BTC', side: 'BUY', size: 8, reduceOnly: true });
+        const failed = await executor.manage(trimmed, quote(0.0005, 125));
+        expect(failed.status).toBe('FAILED');
+        expect(failed.closeReason).toMatch(/short leg on binance is gone/);
+        expect(await venues.get('hyperliquid')!.getPositions()).toHaveLength(0);
+    });
+
+    it('opens the best scanned spreads above the entry threshold', async () => {
+        const opportunity = (symbol: string, funding: number, confidence: number) => ({
+            symbol,
+            exchangeA: 'hyperliquid',
+            exchangeB: 'binance',
+            exchangeAFunding: 0,
+            exchangeBFunding: funding,
+            exchangeAMarkPrice: 50,
+            exchangeBMarkPrice: 50,
+            longExchange: 'hyperliquid',
+            shortExchange: 'binance',
+            confidence,
+        }) as unknown as CrossExchangeOpportunity;
+        for (const venue of venues.values()) {
+            for (const symbol of ['ETH', 'SOL', 'ARB']) venue.setMarkPrice(symbol, 50);
+        }
+
+        const result = await executor.runCycle([
+            opportunity('ETH', 0.0003, 90),
+            opportunity('SOL', 0.0001, 90),
+            opportunity('ARB', 0.001, 50),
+        ]);
+        expect(result.opened).toBe(1);
+        expect(executor.listPositions({ status: 'OPEN' }).map(p => p.symbol)).toEqual(['ETH']);
+    });
+
+    it('settles legs the venue acknowledges before filling instead of failing the pair', async () => {
+        const binance = new AckingExchangeAdapter('binance', { now: () => clock });
+        venues.set('binance', binance);
+
+        const position = await executor.open(quote(0.0005));
+        expect(position.status).toBe('OPEN');
+        expect(position.short.size).toBeCloseTo(10, 9);
+        expect(position.short.entryPrice).toBe(100);
+        expect((await binance.getPositions())[0]).toMatchObject({ side: 'SHORT', size: 10 });
+
+        // Order lookups fail: the venue position decides what the unwind did, priced at the last quote
+        binance.orderLookupFails = true;
+        const closed = await executor.manage(position, quote(0.0001, 95));
+        expect(closed.status).toBe('CLOSED');
+        expect(closed.short.size).toBe(0);
+        expect(closed.short.realizedPnL).toBeCloseTo(50, 9);
+        expect(await binance.getPositions()).toHaveLength(0);
+    });
+
+    it('reads an unconfirmed opening leg from the venue position, never at a price of 0', async () => {
+        const binance = new AckingExchangeAdapter('binance', { now: () => clock });
+        binance.orderLookupFails = true;
+        venues.set('binance', binance);
+
+        const position = await executor.open(quote(0.0005));
+        expect(position.status).toBe('OPEN');
+        expect(position.short.size).toBeCloseTo(10, 9);
+        expect(position.short.entryPrice).toBe(100);
+        expect(position.short.markPrice).toBe(100);
+    });
+});
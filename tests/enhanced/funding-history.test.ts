@@ -0,0 +1,150 @@
+/**
+ * Funding History Tests
+ * Recorded funding rates are looked up by time (seconds or milliseconds, with
+ * a max age), charged by the backtester at every funding time a position is
+ * open with the right sign for longs and shorts, and reported apart from
+ * trading PnL.
+ */
+
+import BetterSqlite3 from 'better-sqlite3';
+import { BacktestEngine } from '../../src/backtest/enhanced-backtest';
+import { FundingHistory, FundingRecord, toEpochMs } from '../../src/backtest/funding-history';
+import { MarketData, Strategy } from '../../src/shared/types';
+import { StrategyRules } from '../../src/strategy-dsl';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2026, 7, 1);
+
+/** Flat 4h candles at 100: no trading PnL, only fees and funding */
+function flatCandles(bars: number): MarketData[] {
+    return Array.from({ length: bars }, (_, i) => ({
+        symbol: 'BTC',
+        timestamp: new Date(START + i * 4 * HOUR),
+        open: 100,
+        high: 100,
+        low: 100,
+        close: 100,
+        volume: 1_000_000,
+    }));
+}
+
+function alwaysIn(rules: StrategyRules): Strategy {
+    return {
+        id: 'funding-test',
+        name: 'Funding Test',
+        description: '',
+        type: 'TREND_FOLLOWING',
+        symbols: ['BTC'],
+        timeframe: '4h',
+        parameters: {},
+        entryConditions: [],
+        exitConditions: [],
+        rules,
+        riskParameters: { maxPositionSize: 0.5, stopLoss: 100, takeProfit: 100, maxLeverage: 1 },
+        isActive: true,
+        performance: {} as any,
+        createdAt: new Date(START),
+        updatedAt: new Date(START),
+    };
+}
+
+const LONG = alwaysIn({ long: { entry: ['close', '>', 0] } });
+const SHORT = alwaysIn({ short: { entry: ['close', '>', 0] } });
+
+/** A different recorded rate every hour so each funding time is distinguishable */
+const rateAtHour = (h: number) => 0.00001 * (1 + (h % 5));
+const RECORDS: FundingRecord[] = Array.from({ length: 48 }, (_, h) => ({
+    symbol: 'BTC',
+    timestamp: START + h * HOUR,
+    fundingRate: rateAtHour(h),
+}));
+
+async function run(strategy: Strategy, records: FundingRecord[] = RECORDS) {
+    const engine = new BacktestEngine({
+        slippageBps: 0,
+        latencyMs: 0,
+        randomSeed: 5,
+        fundingHistory: new FundingHistory(records),
+    });
+    return engine.runBacktest(strategy, flatCandles(10));
+}
+
+/** Funding owed on the position, filled at 4h (bar 1) and held to 36h (the last bar) */
+function expectedFunding(result: Awaited<ReturnType<typeof run>>, rate: (h: number) => number): number {
+    const size = result.trades.filter(t => t.entryExit === 'ENTRY').reduce((sum, t) => sum + t.size, 0);
+    let owed = 0;
+    for (let h = 5; h <= 36; h++) owed += size * 100 * rate(h);
+    return owed;
+}
+
+describe('Funding History', () => {
+    it('returns the latest recorded rate, and nothing once it is older than the max age', () => {
+        const history = new FundingHistory([
+            { symbol: 'btc', timestamp: START / 1000, fundingRate: 0.0001 }, // epoch seconds
+            { symbol: 'BTC', timestamp: START + 2 * HOUR, fundingRate: -0.0002 },
+        ], { maxAgeMs: 3 * HOUR });
+
+        expect(toEpochMs(START / 1000)).toBe(START);
+        expect(history.size).toBe(2);
+        expect(history.rateAt('BTC', START - 1)).toBeUndefined();
+        expect(history.rateAt('BTC', START + HOUR)).toBe(0.0001);
+        expect(history.rateAt('BTC', START + 2 * HOUR)).toBe(-0.0002);
+        expect(history.rateAt('BTC', START + 5 * HOUR)).toBe(-0.0002);
+        expect(history.rateAt('BTC', START + 5 * HOUR + 1)).toBeUndefined();
+        expect(history.rateAt('ETH', START)).toBeUndefined();
+    });
+
+    it('loads rates written in seconds and milliseconds from funding_rates', () => {
+        const db = new BetterSqlite3(':memory:');
+        db.exec('CREATE TABLE funding_rates (id INTEGER PRIMARY KEY AUTOINCREMENT, symbol TEXT, timestamp INTEGER, fundingRate REAL)');
+        const insert = db.prepare('INSERT INTO funding_rates (symbol, timestamp, fundingRate) VALUES (?, ?, ?)');
+        insert.run('BTC', START / 1000, 0.0001); // MarketIngester
+        insert.run('BTC', START + HOUR, 0.0003); // funding scanner
+        insert.run('BTC', START + 30 * HOUR, 0.0009); // out of range
+
+        const history = FundingHistory.fromDatabase(db, ['btc'], START + HOUR, START + 10 * HOUR);
+        db.close();
+
+        expect(history.size).toBe(2);
+        expect(history.rateAt('BTC', START + 30 * 60 * 1000)).toBe(0.0001);
+        expect(history.rateAt('BTC', START + 2 * HOUR)).toBe(0.0003);
+    });
+
+    it('charges the recorded rate at each funding time while a long is open', async () => {
+        const result = await run(LONG);
+
+        expect(result.metrics.fundingCoverage).toBe(1);
+        // 4h bars, hourly funding: every funding time after the fill, up to the last bar
+        expect(result.metrics.fundingPnl).toBeCloseTo(-expectedFunding(result, rateAtHour), 8);
+    });
+
+    it('has shorts receive positive rates and pay negative ones', async () => {
+        const short = await run(SHORT);
+        expect(short.metrics.fundingPnl).toBeGreaterThan(0);
+        expect(short.metrics.fundingPnl).toBeCloseTo(expectedFunding(short, rateAtHour), 8);
+
+        const negative = RECORDS.map(r => ({ ...r, fundingRate: -r.fundingRate }));
+        const long = await run(LONG, negative);
+        const shortNegative = await run(SHORT, negative);
+        expect(long.metrics.fundingPnl).toBeGreaterThan(0);
+        expect(shortNegative.metrics.fundingPnl).toBeLessThan(0);
+        expect(shortNegative.metrics.fundingPnl).toBeCloseTo(-short.metrics.fundingPnl!, 8);
+    });
+
+    it('reports funding apart from trading PnL and fees', async () => {
+        const result = await run(LONG);
+
+        const tradingPnl = result.trades.reduce((sum, t) => sum + (t.pnl || 0), 0);
+        const fees = result.trades.reduce((sum, t) => sum + t.fee, 0);
+        expect(result.metrics.totalFees).toBeCloseTo(fees, 8);
+        expect(result.finalCapital - result.initialCapital).toBeCloseTo(tradingPnl - fees + result.metrics.fundingPnl!, 6);
+    });
+
+    it('falls back to the flat rate for periods without a recent record', async () => {
+        const result = await run(LONG, RECORDS.slice(0, 20));
+
+        expect(result.metrics.fundingCoverage).toBeGreaterThan(0);
+        expect(result.metrics.fundingCoverage).toBeLessThan(1);
+        expect(result.metrics.fundingPnl).toBeLessThan(0);
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * Liquidation Monitor Tests
+ * Distance from live mids to the liquidation price relative to each
+ * position's buffer at entry, the alert/reduce/deleverage/close escalation,
+ * the per-symbol cooldown and the records sent to the safety store and
+ * message bus.
+ */
+
+import { HyperliquidPosition } from '../../src/execution-engine/hyperliquid-client';
+import { SafetyEventPayload } from '../../src/data/safety-store';
+import {
+    LiquidationClient,
+    LiquidationMonitor,
+    liquidationDistance,
+    remainingLiquidationBuffer,
+} from '../../src/risk-manager/liquidation-monitor';
+
+function position(symbol: string, side: 'LONG' | 'SHORT', liquidationPrice: number | undefined, leverage: number = 10): HyperliquidPosition {
+    return {
+        symbol, side, size: 4, entryPrice: 100, markPrice: 100, unrealizedPnL: 0,
+        leverage, marginUsed: 40, liquidationPrice, marginMode: 'cross',
+    };
+}
+
+describe('Liquidation Monitor', () => {
+    let clock: number;
+    let positions: HyperliquidPosition[];
+    let mids: Record<string, number>;
+    let orders: any[];
+    let leverageCalls: any[];
+    let leverageOk: boolean;
+    let orderFailures: number;
+    let events: SafetyEventPayload[];
+    let published: any[];
+    let monitor: LiquidationMonitor;
+
+    let client: LiquidationClient;
+
+    beforeEach(() => {
+        clock = 0;
+        positions = [];
+        mids = {};
+        orders = [];
+        leverageCalls = [];
+        leverageOk = true;
+        orderFailures = 0;
+        events = [];
+        published = [];
+        client = {
+            isConfigured: () => true,
+            getAccountState: async () => ({ equity: 1000, withdrawable: 500, marginUsed: 100, positions }),
+            getAllMids: async () => mids,
+            placeOrder: async (params: any) => {
+                orders.push(params);
+                if (orderFailures > 0) {
+                    orderFailures -= 1;
+                    throw new Error('exchange unavailable');
+                }
+                return { success: true, status: 'FILLED', filledSize: params.size };
+            },
+            updateLeverage: async (...args: any[]) => {
+                leverageCalls.push(args);
+                return leverageOk;
+            },
+        } as unknown as LiquidationClient;
+        monitor = new LiquidationMonitor({
+            config: {
+                thresholds: { ALERT: 0.6, REDUCE: 0.5, DELEVERAGE: 0.3, CLOSE: 0.15 },
+                reduceFraction: 0.25,
+                deleverageFactor: 0.5,
+                actionCooldownMs: 60000,
+            },
+            client,
+            logEvent: payload => { events.push(payload); },
+            publish: async data => { published.push(data); },
+            now: () => clock,
+        });
+    });
+
+    it('measures distance on either side of the price', () => {
+        expect(liquidationDistance('LONG', 100, 90)).toBeCloseTo(0.1, 12);
+        expect(liquidationDistance('SHORT', 100, 104)).toBeCloseTo(0.04, 12);
+        expect(liquidationDistance('LONG', 100, undefined)).toBe(Infinity);
+
+        // Entry 100, liquidation 80: half the 20% buffer is gone at 90
+        expect(remainingLiquidationBuffer('LONG', 100, 90, 80)).toBeCloseTo(0.1111 / 0.2, 3);
+        expect(remainingLiquidationBuffer('LONG', 100, 110, 80)).toBe(1);
+        expect(remainingLiquidationBuffer('SHORT', 100, 104, 104)).toBe(0);
+        expect(remainingLiquidationBuffer('LONG', 100, 100, undefined)).toBe(Infinity);
+    });
+
+    it('leaves a just-opened 20x position alone with the default tiers', async () => {
+        const defaults = new LiquidationMonitor({
+            client,
+            logEvent: payload => { events.push(payload); },
+            publish: async data => { published.push(data); },
+            now: () => clock,
+        });
+        // 20x isolated: about 4.5% from liquidation from the first tick
+        positions = [{ ...position('BTC', 'LONG', 95.5, 20), marginMode: 'isolated' }];
+        mids = { BTC: 100.02 };
+
+        expect(await defaults.check()).toHaveLength(0);
+        expect(defaults.getDistances()[0].distancePct).toBeLessThan(0.05);
+        expect(defaults.getDistances()[0].bufferRemaining).toBe(1);
+        expect(orders).toHaveLength(0);
+        expect(leverageCalls).toHaveLength(0);
+
+        // Half the buffer gone is only an alert; the cuts come later
+        mids = { BTC: 97.6 };
+        const [alert] = await defaults.check();
+        expect(alert.action).toBe('ALERT');
+        expect(orders).toHaveLength(0);
+    });
+
+    it('escalates from alert to close as the mid approaches liquidation', async () => {
+        positions = [position('BTC', 'LONG', 80), position('ETH', 'SHORT', undefined)];
+
+        mids = { BTC: 100 };
+        expect(await monitor.check()).toHaveLength(0);
+
+        mids = { BTC: 90 };
+        const [alert] = await monitor.check();
+        expect(alert.action).toBe('ALERT');
+        expect(orders).toHaveLength(0);
+
+        mids = { BTC: 88 };
+        const [reduce] = await monitor.check();
+        expect(reduce.action).toBe('REDUCE');
+        expect(orders[0]).toEqual({
+            symbol: 'BTC', side: 'SELL', size: 1, reduceOnly: true, orderType: 'market', bypassCooldown: true, confidence: 1,
+        });
+        // Same tier inside the cooldown does nothing
+        expect(await monitor.check()).toHaveLength(0);
+
+        mids = { BTC: 84 };
+        const [deleverage] = await monitor.check();
+        expect(deleverage.action).toBe('DELEVERAGE');
+        expect(leverageCalls[0]).toEqual(['BTC', 5, true]);
+
+        mids = { BTC: 82 };
+        const [close] = await monitor.check();
+        expect(close.action).toBe('CLOSE');
+        expect(orders[1].size).toBe(4);
+
+        expect(events.map(event => event.details!.action)).toEqual(['ALERT', 'REDUCE', 'DELEVERAGE', 'CLOSE']);
+        expect(events.every(event => event.eventType === 'liquidation_distance')).toBe(true);
+        expect(events[3].threshold).toBe(0.15);
+        expect(published.map(data => data.action)).toEqual(['ALERT', 'REDUCE', 'DELEVERAGE', 'CLOSE']);
+        expect(published[3].type).toBe('LIQUIDATION_DISTANCE');
+    });
+
+    it('reduces size when leverage cannot go lower and repeats after the cooldown', async () => {
+        // 4% buffer at entry, about a quarter left
+        positions = [position('SOL', 'SHORT', 104, 1)];
+        mids = { SOL: 103 };
+
+        const [first] = await monitor.check();
+        expect(first.action).toBe('REDUCE');
+        expect(first.detail).toMatch(/BUY 1 reduce-only/);
+        expect(leverageCalls).toHaveLength(0);
+
+        clock += 60000;
+        leverageOk = false;
+        positions = [position('SOL', 'SHORT', 104, 10)];
+        const [second] = await monitor.check();
+        expect(leverageCalls).toHaveLength(1);
+        expect(second.action).toBe('REDUCE');
+        expect(orders).toHaveLength(2);
+    });
+
+    it('retries a failed close on the next poll instead of waiting out the cooldown', async () => {
+        positions = [position('BTC', 'LONG', 80)];
+        mids = { BTC: 82 };
+        orderFailures = 1;
+
+        const [failed] = await monitor.check();
+        expect(failed).toMatchObject({ action: 'CLOSE', success: false });
+        expect(failed.detail).toMatch(/exchange unavailable/);
+
+        clock += 1000;
+        const [retried] = await monitor.check();
+        expect(retried).toMatchObject({ action: 'CLOSE', success: true });
+        expect(orders).toHaveLength(2);
+
+        // Once it went through, the cooldown applies again
+        clock += 1000;
+        expect(await monitor.check()).toHaveLength(0);
+    });
+});
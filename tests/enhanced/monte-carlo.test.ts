@@ -0,0 +1,136 @@
+/**
+ * Monte Carlo Robustness Tests
+ * Seeded runs are reproducible, shuffling reorders trades without changing
+ * the final equity, drawdown percentiles match the known distribution of a
+ * small trade list, and the risk-of-ruin promotion gate.
+ */
+
+import { runMonteCarlo } from '../../src/backtest/monte-carlo';
+import { assessStrategy } from '../../src/backtest-worker/result-analyzer';
+import { BacktestResult, Strategy, Trade } from '../../src/shared/types';
+
+const START = Date.UTC(2026, 6, 1);
+const CAPITAL = 10000;
+
+/** Round trips returning the given fractions of equity, in order */
+function resultFromReturns(returns: number[]): BacktestResult {
+    const trades: Trade[] = [];
+    let equity = CAPITAL;
+    returns.forEach((r, i) => {
+        const pnl = r * equity;
+        equity += pnl;
+        const base = { symbol: 'BTC', size: 0.1, price: 100, fee: 0, type: 'MARKET' as const, status: 'FILLED' as const };
+        trades.push({ ...base, id: `e${i}`, side: 'BUY', timestamp: new Date(START + i * 2000), entryExit: 'ENTRY' });
+        trades.push({ ...base, id: `x${i}`, side: 'SELL', pnl, timestamp: new Date(START + i * 2000 + 1000), entryExit: 'EXIT' });
+    });
+
+    const wins = returns.filter(r => r > 0).length;
+    return {
+        strategyId: 'candidate',
+        period: { start: new Date(START), end: new Date(START + returns.length * 2000) },
+        initialCapital: CAPITAL,
+        finalCapital: equity,
+        totalReturn: ((equity - CAPITAL) / CAPITAL) * 100,
+        annualizedReturn: 40,
+        sharpeRatio: 2,
+        maxDrawdown: 10,
+        winRate: (wins / returns.length) * 100,
+        totalTrades: returns.length,
+        trades,
+        profitFactor: 2,
+        metrics: {} as any,
+    };
+}
+
+// Two 10% losses and three 12% wins. Any win fully recovers a single loss, so
+// a path's max drawdown is 19% when the losses are adjacent (4 of the 10
+// placements) and 10% otherwise.
+const RETURNS = [0.12, -0.1, 0.12, -0.1, 0.12];
+
+describe('Monte Carlo Robustness', () => {
+    it('reproduces a run exactly from its seed', () => {
+        const result = resultFromReturns(RETURNS);
+        const a = runMonteCarlo(result, { simulations: 200, randomSeed: 7 });
+        const b = runMonteCarlo(result, { simulations: 200, randomSeed: 7 });
+        const c = runMonteCarlo(result, { simulations: 200, randomSeed: 8 });
+
+        expect(b).toEqual(a);
+        expect(a.seed).toBe(7);
+        expect(c.finalEquity).not.toEqual(a.finalEquity);
+    });
+
+    it('shuffles trade order without changing final equity', () => {
+        const result = resultFromReturns(RETURNS);
+        const report = runMonteCarlo(result, { method: 'SHUFFLE', simulations: 500, slippageStdBps: 0, randomSeed: 1 });
+
+        expect(report.roundTrips).toBe(5);
+        expect(report.finalEquity.lower).toBeCloseTo(result.finalCapital, 6);
+        expect(report.finalEquity.upper).toBeCloseTo(result.finalCapital, 6);
+        expect(report.probabilityOfLoss).toBe(0);
+        // But the order still matters for the path: drawdowns differ between paths
+        expect(report.maxDrawdown.upper).toBeGreaterThan(report.maxDrawdown.lower);
+    });
+
+    it('reports drawdown percentiles from the shuffled paths', () => {
+        const report = runMonteCarlo(resultFromReturns(RETURNS), {
+            method: 'SHUFFLE',
+            simulations: 2000,
+            slippageStdBps: 0,
+            randomSeed: 42,
+        });
+
+        expect(report.confidenceLevel).toBe(90);
+        expect(report.maxDrawdown.lower).toBeCloseTo(10, 6);
+        expect(report.maxDrawdown.median).toBeCloseTo(10, 6);
+        expect(report.maxDrawdown.upper).toBeCloseTo(19, 6);
+        // 40% of paths at 19%, the rest at 10%
+        expect(report.maxDrawdown.mean).toBeGreaterThan(13);
+        expect(report.maxDrawdown.mean).toBeLessThan(14.2);
+    });
+
+    it('counts a path as ruined once equity breaches the ruin drawdown', () => {
+        const result = resultFromReturns(RETURNS);
+        const config = { method: 'SHUFFLE' as const, simulations: 2000, slippageStdBps: 0, randomSeed: 42 };
+
+        // Ruin is measured from initial capital: at 15% only paths opening
+        // with both losses (equity 0.81) breach it, 1 in 10
+        const tight = runMonteCarlo(result, { ...config, ruinDrawdown: 0.15 });
+        expect(tight.ruinThreshold).toBe(0.15);
+        expect(tight.riskOfRuin).toBeGreaterThan(0.07);
+        expect(tight.riskOfRuin).toBeLessThan(0.13);
+
+        const loose = runMonteCarlo(result, { ...config, ruinDrawdown: 0.25 });
+        expect(loose.riskOfRuin).toBe(0);
+    });
+});
+
+describe('Risk-of-Ruin Promotion Gate', () => {
+    const strategy = { id: 'candidate' } as Strategy;
+    const result = resultFromReturns([...RETURNS, ...RETURNS, ...RETURNS]);
+    const config = { method: 'SHUFFLE' as const, simulations: 1000, slippageStdBps: 0, randomSeed: 42 };
+
+    it('rejects a strategy whose risk of ruin exceeds the limit', () => {
+        const monteCarlo = runMonteCarlo(result, { ...config, ruinDrawdown: 0.15 });
+        const assessment = assessStrategy(result, strategy, { minWinRate: 50, maxRiskOfRuin: 0.05 }, { monteCarlo });
+
+        expect(monteCarlo.riskOfRuin).toBeGreaterThan(0.05);
+        expect(assessment.isViable).toBe(false);
+        expect(assessment.reasons.some(r => r.includes('exceeds limit (5.0%)'))).toBe(true);
+        expect(assessment.monteCarlo?.riskOfRuin).toBe(monteCarlo.riskOfRuin);
+
+        // Without the limit the same result is viable
+        expect(assessStrategy(result, strategy, { minWinRate: 50 }).isViable).toBe(true);
+    });
+
+    it('requires a Monte Carlo report once a limit is set and passes one within it', () => {
+        const missing = assessStrategy(result, strategy, { minWinRate: 50, maxRiskOfRuin: 0.05 });
+        expect(missing.isViable).toBe(false);
+        expect(missing.reasons).toContain('No Monte Carlo report; risk of ruin limit required (5.0%)');
+
+        const monteCarlo = runMonteCarlo(result, { ...config, ruinDrawdown: 0.5 });
+        expect(monteCarlo.riskOfRuin).toBe(0);
+        const assessment = assessStrategy(result, strategy, { minWinRate: 50, maxRiskOfRuin: 0.05 }, { monteCarlo });
+        expect(assessment.isViable).toBe(true);
+        expect(assessment.reasons).toContain('Monte Carlo risk of ruin 0.0% within limit (5.0%)');
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Paper Fill Tests
+ * Paper orders walk the cached L2 book, pay taker/maker fees, leave limit size
+ * the book does not reach unfilled, accrue recorded funding hourly and are
+ * kept in the paper ledger.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import BetterSqlite3 from 'better-sqlite3';
+import { CachedOrderBook } from '../../src/infrastructure/unified-cache';
+import { PaperFillSimulator } from '../../src/execution-engine/paper-fill-simulator';
+import { PaperLedger } from '../../src/execution-engine/paper-ledger';
+import { PaperPortfolioManager } from '../../src/execution-engine/paper-portfolio';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Paper Fills', () => {
+    const clock = 10 * HOUR;
+    let books: Map<string, CachedOrderBook>;
+    let simulator: PaperFillSimulator;
+
+    beforeEach(() => {
+        books = new Map([['SOL', {
+            symbol: 'SOL',
+            bids: new Map([[99.9, 5], [99.8, 10]]),
+            asks: new Map([[100.1, 5], [100.2, 10]]),
+            lastUpdate: clock - 1000,
+        }]]);
+        simulator = new PaperFillSimulator(
+            { takerFeeRate: 0.0005, makerFeeRate: 0.0001, latencyMs: 0, maxBookAgeMs: 5000 },
+            symbol => books.get(symbol),
+            () => clock
+        );
+    });
+
+    it('walks the book for market orders and charges the taker fee', async () => {
+        const fill = await simulator.fill({ symbol: 'sol', side: 'BUY', size: 8, referencePrice: 100 });
+        expect(fill.bookSource).toBe('L2');
+        expect(fill.price).toBeCloseTo((5 * 100.1 + 3 * 100.2) / 8, 6);
+        expect(fill.fee).toBeCloseTo(8 * fill.price * 0.0005, 6);
+        expect(fill.liquidity).toBe('TAKER');
+        expect(fill.slippageBps).toBeGreaterThan(10);
+
+        const deep = await simulator.fill({ symbol: 'SOL', side: 'SELL', size: 20, referencePrice: 100 });
+        expect(deep.depthExhausted).toBe(true);
+        expect(deep.price).toBeCloseTo((5 * 99.9 + 15 * 99.8) / 20, 6);
+    });
+
+    it('leaves the part of a limit order beyond its price unfilled', async () => {
+        const fill = await simulator.fill({ symbol: 'SOL', side: 'BUY', size: 8, referencePrice: 100.1, orderType: 'LIMIT' });
+        expect(fill.size).toBe(5);
+        expect(fill.unfilledSize).toBe(3);
+        expect(fill.price).toBeCloseTo(100.1, 6);
+        expect(fill.fee).toBeCloseTo(5 * 100.1 * 0.0005, 6);
+
+        const away = await simulator.fill({ symbol: 'SOL', side: 'SELL', size: 2, referencePrice: 100, orderType: 'LIMIT' });
+        expect(away.size).toBe(0);
+        expect(away.unfilledSize).toBe(2);
+        expect(away.fee).toBe(0);
+    });
+
+    it('leaves a limit order the fill model declines unfilled', async () => {
+        books.get('SOL')!.lastUpdate = clock - 60000;
+        const fills = [];
+        for (let i = 0; i < 10; i++) {
+            fills.push(await simulator.fill({ symbol: 'SOL', side: 'BUY', size: 1, referencePrice: 95, orderType: 'LIMIT' }));
+        }
+        const declined = fills.filter(fill => fill.size === 0);
+        expect(declined.length).toBeGreaterThan(0);
+        expect(declined.every(fill => fill.unfilledSize === 1 && fill.fee === 0)).toBe(true);
+        expect(fills.filter(fill => fill.size > 0).every(fill => fill.size === 1 && fill.unfilledSize === 0)).toBe(true);
+    });
+
+    it('falls back to the fill model when the cached book is stale', async () => {
+        books.get('SOL')!.lastUpdate = clock - 60000;
+        const fill = await simulator.fill({ symbol: 'SOL', side: 'BUY', size: 1, referencePrice: 100 });
+        expect(fill.bookSource).toBe('FILL_MODEL');
+        expect(fill.price).toBeGreaterThanOrEqual(100);
+        expect(fill.fee).toBeGreaterThan(0);
+    });
+
+    describe('portfolio ledger', () => {
+        let dir: string;
+        let dbPath: string;
+        let ledger: PaperLedger;
+        let portfolio: PaperPortfolioManager;
+
+        beforeEach(async () => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-ledger-'));
+            dbPath = path.join(dir, 'trading.db');
+            const db = new BetterSqlite3(dbPath);
+            db.exec('CREATE TABLE funding_rates (symbol TEXT, timestamp INTEGER, fundingRate REAL, nextFundingTime INTEGER)');
+            // Epoch seconds as the ingester writes them
+            db.prepare('INSERT INTO funding_rates VALUES (?, ?, ?, ?)').run('SOL', Math.floor((Date.now() - 2.5 * HOUR) / 1000), 0.0001, 0);
+            db.close();
+
+            ledger = new PaperLedger(dbPath);
+            // Funding is settled on wall-clock hours, so run the book on the real clock here
+            books.get('SOL')!.lastUpdate = Date.now();
+            simulator = new PaperFillSimulator({ takerFeeRate: 0.0005, makerFeeRate: 0.0001, latencyMs: 0 }, symbol => books.get(symbol));
+            portfolio = new PaperPortfolioManager({ ledger, fillSimulator: simulator, initialBalance: 10000 });
+        });
+
+        afterEach(() => {
+            ledger.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('books fees into cash and keeps each position lifecycle in the ledger', async () => {
+            const entry = await portfolio.executeTrade('SOL', 'BUY', 5, 100, 'strat-a', 10);
+            expect(entry.price).toBeCloseTo(100.1, 6);
+            expect(entry.fee).toBeCloseTo(5 * 100.1 * 0.0005, 6);
+            expect(portfolio.getAvailableBalance()).toBeCloseTo(10000 - 50.05 - entry.fee, 6);
+
+            const exit = await portfolio.executeTrade('sol', 'SELL', 9, 100, 'strat-a', 10);
+            expect(exit.entryExit).toBe('EXIT');
+            expect(exit.size).toBe(5);
+            expect(exit.pnl).toBeCloseTo((99.9 - 100.1) * 5, 6);
+            expect(portfolio.getPositions()).toHaveLength(0);
+            expect(portfolio.getRealizedPnL()).toBeCloseTo(exit.pnl! - entry.fee - exit.fee, 6);
+            expect(portfolio.getAvailableBalance()).toBeCloseTo(10000 + portfolio.getRealizedPnL(), 6);
+
+            const [closed] = ledger.listPositions({ status: 'CLOSED' });
+            expect(closed.symbol).toBe('SOL');
+            expect(closed.fees).toBeCloseTo(entry.fee + exit.fee, 6);
+            expect(portfolio.getTrades().map(t => t.entryExit)).toEqual(['ENTRY', 'EXIT']);
+
+            // State survives a restart
+            const restarted = new PaperPortfolioManager({ ledger, fillSimulator: simulator, initialBalance: 10000 });
+            await restarted.executeTrade('SOL', 'SELL', 1, 100);
+            expect(restarted.getRealizedPnL()).toBeLessThan(portfolio.getRealizedPnL());
+        });
+
+        it('books only the filled part of a limit order', async () => {
+            const partial = await portfolio.executeTrade('SOL', 'BUY', 8, 100.1, 'strat-a', 10, 'LIMIT');
+            expect(partial.status).toBe('FILLED');
+            expect(partial.size).toBe(5);
+            expect(portfolio.getPositions()[0].size).toBe(5);
+            const cash = portfolio.getAvailableBalance();
+
+            const missed = await portfolio.executeTrade('SOL', 'BUY', 2, 100, 'strat-a', 10, 'LIMIT');
+            expect(missed.status).toBe('CANCELLED');
+            expect(missed.size).toBe(0);
+            expect(portfolio.getPositions()[0].size).toBe(5);
+            expect(portfolio.getAvailableBalance()).toBe(cash);
+            expect(portfolio.getTrades()).toHaveLength(1);
+        });
+
+        it('accrues the recorded funding rate each funding hour', async () => {
+            await portfolio.executeTrade('SOL', 'BUY', 5, 100, 'strat-a', 10);
+            const [position] = portfolio.getPositions();
+            position.lastFundingAt = Date.now() - 2 * HOUR;
+            const cash = portfolio.getAvailableBalance();
+
+            const paid = portfolio.accrueFunding(new Map([['SOL', 100]]));
+            // Two funding hours at the same recorded rate; longs pay a positive rate
+            expect(paid).toBeCloseTo(-2 * 5 * 100 * 0.0001, 6);
+            expect(portfolio.getAvailableBalance()).toBeCloseTo(cash + paid, 6);
+            expect(portfolio.getFundingPayments()).toHaveLength(2);
+            expect(portfolio.accrueFunding(new Map([['SOL', 100]]))).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Parameter Sweep Tests
+ * Grid expansion and the matrix / heatmap / sensitivity summaries built from
+ * finished sweep backtests.
+ */
+
+import {
+    ParameterSweepError,
+    SweepCell,
+    expandParameterGrid,
+    expandParameterRange,
+    summarizeSweep,
+} from '../../src/backtest/parameter-sweep';
+
+describe('Parameter Sweep', () => {
+
+    describe('grid expansion', () => {
+
+        it('walks stepped ranges without floating-point drift', () => {
+            expect(expandParameterRange('k', { min: 0.1, max: 0.5, step: 0.1 })).toEqual([0.1, 0.2, 0.3, 0.4, 0.5]);
+            expect(expandParameterRange('n', [30, 10, 30, 20])).toEqual([10, 20, 30]);
+        });
+
+        it('builds the cartesian product', () => {
+            const grid = expandParameterGrid({ fast: { min: 5, max: 15, step: 5 }, slow: [20, 40] });
+            expect(grid).toHaveLength(6);
+            expect(grid[0]).toEqual({ fast: 5, slow: 20 });
+            expect(grid[5]).toEqual({ fast: 15, slow: 40 });
+        });
+
+        it('rejects bad ranges and oversized grids', () => {
+            expect(() => expandParameterRange('x', { min: 5, max: 1, step: 1 })).toThrow(ParameterSweepError);
+            expect(() => expandParameterRange('x', { min: 1, max: 5, step: 0 })).toThrow(/step must be positive/);
+            expect(() => expandParameterGrid({})).toThrow(/at least one parameter/);
+            expect(() => expandParameterGrid({ a: { min: 1, max: 50, step: 1 }, b: { min: 1, max: 50, step: 1 } }, 100))
+                .toThrow(/2500 combinations exceeds the limit of 100/);
+        });
+    });
+
+    describe('summary', () => {
+        const axes = { fast: [5, 10], slow: [20, 40] };
+        const cells: SweepCell[] = [];
+        for (const fast of axes.fast) {
+            for (const slow of axes.slow) {
+                for (const symbol of ['BTC', 'ETH']) {
+                    cells.push({
+                        jobId: `sweep_${cells.length}`,
+                        parameters: { fast, slow },
+                        symbol,
+                        timeframe: '1h',
+                        status: 'COMPLETED',
+                        metrics: { sharpeRatio: fast / slow + (symbol === 'ETH' ? 0.1 : 0), maxDrawdown: slow / 100 },
+                    });
+                }
+            }
+        }
+        // One backtest still running: left out of every average
+        cells[cells.length - 1] = { ...cells[cells.length - 1], status: 'PENDING', metrics: undefined };
+
+        const summary = summarizeSweep(axes, cells, 'sharpeRatio');
+
+        it('lays results out as combinations by market', () => {
+            expect(summary.matrix.columns).toEqual(['BTC:1h', 'ETH:1h']);
+            expect(summary.matrix.rows).toHaveLength(4);
+            expect(summary.matrix.rows[3].values).toEqual([0.25, null]);
+            expect(summary.matrix.rows[3].mean).toBeCloseTo(0.25);
+            expect(summary.best!.parameters).toEqual({ fast: 10, slow: 20 });
+        });
+
+        it('averages each parameter pair into a heatmap', () => {
+            expect(summary.heatmaps).toHaveLength(1);
+            const [heatmap] = summary.heatmaps;
+            expect(heatmap.x).toBe('fast');
+            expect(heatmap.y).toBe('slow');
+            expect(heatmap.values[0][0]).toBeCloseTo(0.3);
+            expect(heatmap.values[1][1]).toBeCloseTo(0.25);
+        });
+
+        it('reports per-parameter sensitivity', () => {
+            const fast = summary.sensitivity.find(s => s.parameter === 'fast')!;
+            expect(fast.values).toEqual([5, 10]);
+            expect(fast.mean[0]).toBeCloseTo((0.25 + 0.35 + 0.125 + 0.225) / 4);
+            expect(fast.spread).toBeGreaterThan(0);
+        });
+
+        it('prefers the lowest drawdown when ranking by maxDrawdown', () => {
+            expect(summarizeSweep(axes, cells, 'maxDrawdown').best!.parameters.slow).toBe(20);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Portfolio Backtest Tests
+ * Several legs on one cross-margined account: forced liquidation when the
+ * shared maintenance margin is breached, per-leg contributions that add up to
+ * the portfolio PnL, and the correlation of per-leg PnL.
+ */
+
+import { BacktestEngine } from '../../src/backtest/enhanced-backtest';
+import { PortfolioLeg } from '../../src/backtest/portfolio';
+import { MarketData, Strategy } from '../../src/shared/types';
+
+const START = Date.UTC(2026, 9, 1);
+const HOUR = 60 * 60 * 1000;
+
+/** Always long, never exits on rules; stops and targets far out of reach */
+function alwaysLong(id: string, maxPositionSize: number): Strategy {
+    return {
+        id,
+        name: id,
+        description: '',
+        type: 'TREND_FOLLOWING',
+        symbols: [],
+        timeframe: '1h',
+        parameters: {},
+        entryConditions: [],
+        exitConditions: [],
+        rules: { long: { entry: ['close', '>', 0] } },
+        riskParameters: { maxPositionSize, stopLoss: 100, takeProfit: 100, maxLeverage: 10 },
+        isActive: true,
+        performance: {} as any,
+        createdAt: new Date(START),
+        updatedAt: new Date(START),
+    };
+}
+
+function candlesFrom(symbol: string, closes: number[]): MarketData[] {
+    return closes.map((close, i) => {
+        const open = i === 0 ? close : closes[i - 1];
+        return {
+            symbol,
+            timestamp: new Date(START + i * HOUR),
+            open,
+            high: Math.max(open, close),
+            low: Math.min(open, close),
+            close,
+            volume: 1_000_000,
+        };
+    });
+}
+
+function legs(btcSize: number, ethSize: number): PortfolioLeg[] {
+    return [
+        { symbol: 'BTC', strategy: alwaysLong('btc-long', btcSize) },
+        { symbol: 'ETH', strategy: alwaysLong('eth-long', ethSize) },
+    ];
+}
+
+const engine = () => new BacktestEngine({ initialCapital: 10000, commissionRate: 0.0002, slippageBps: 0, latencyMs: 0, randomSeed: 7 });
+
+describe('Portfolio Backtest', () => {
+    it('liquidates every leg when a crash in one breaches the shared maintenance margin', async () => {
+        const flat = Array(12).fill(100);
+        const crash = [50, 50, 50, 50, 50, 48, 45, 40, 36, 36, 36, 36];
+        const candles = [...candlesFrom('BTC', flat), ...candlesFrom('ETH', crash)];
+
+        const result = await engine().runPortfolioBacktest(legs(3, 3), candles, { defaultMaxLeverage: 10 });
+
+        expect(result.liquidations.length).toBeGreaterThanOrEqual(1);
+        const [event] = result.liquidations;
+        expect(event.accountValue).toBeLessThan(event.maintenanceMargin);
+        expect(event.positions.map(p => p.symbol).sort()).toEqual(['BTC', 'ETH']);
+        // BTC never moved, yet it is closed with the rest of the account
+        const btcExit = result.trades.find(t => t.symbol === 'BTC' && t.entryExit === 'EXIT');
+        expect(btcExit?.timestamp.getTime()).toBe(event.timestamp.getTime());
+
+        expect(result.legs.find(l => l.symbol === 'ETH')!.netPnl).toBeLessThan(0);
+        expect(result.margin.maxMaintenanceRatio).toBeGreaterThan(0);
+    });
+
+    it('does not liquidate the same positions under a lower leverage', async () => {
+        const flat = Array(12).fill(100);
+        const crash = [50, 50, 50, 50, 50, 48, 45, 40, 36, 36, 36, 36];
+        const candles = [...candlesFrom('BTC', flat), ...candlesFrom('ETH', crash)];
+
+        const result = await engine().runPortfolioBacktest(legs(0.5, 0.5), candles, { defaultMaxLeverage: 10 });
+
+        expect(result.liquidations).toHaveLength(0);
+        expect(result.trades.some(t => t.entryExit === 'EXIT')).toBe(true);
+    });
+
+    it('reports per-leg contributions that sum to the portfolio PnL', async () => {
+        const btc = [100, 101, 103, 102, 105, 107, 106, 109, 111, 110];
+        const eth = [50, 49.5, 49, 49.2, 48.5, 48, 48.4, 47.5, 47, 47.2];
+        const candles = [...candlesFrom('BTC', btc), ...candlesFrom('ETH', eth)];
+
+        const result = await engine().runPortfolioBacktest(legs(0.5, 0.5), candles);
+
+        const btcLeg = result.legs.find(l => l.symbol === 'BTC')!;
+        const ethLeg = result.legs.find(l => l.symbol === 'ETH')!;
+        expect(btcLeg.netPnl).toBeGreaterThan(0);
+        expect(ethLeg.netPnl).toBeLessThan(0);
+
+        const total = result.legs.reduce((sum, l) => sum + l.netPnl, 0);
+        expect(total).toBeCloseTo(result.finalCapital - result.initialCapital, 6);
+        expect(btcLeg.realizedPnl - btcLeg.fees - btcLeg.funding).toBeCloseTo(btcLeg.netPnl, 6);
+        expect(btcLeg.returnPct).toBeCloseTo((btcLeg.netPnl / 10000) * 100, 6);
+        // Shares of |total| keep their sign and add up to the sign of the total
+        expect(btcLeg.contributionPct + ethLeg.contributionPct).toBeCloseTo(Math.sign(total) * 100, 6);
+    });
+
+    it('correlates per-leg PnL: co-moving legs near 1, opposite legs near -1', async () => {
+        const wave = Array.from({ length: 24 }, (_, i) => 100 + 5 * Math.sin(i / 2));
+        const mirrored = wave.map(p => 200 - p);
+        const candles = [
+            ...candlesFrom('BTC', wave),
+            ...candlesFrom('ETH', wave.map(p => p / 2)),
+            ...candlesFrom('SOL', mirrored),
+        ];
+        const threeLegs: PortfolioLeg[] = [
+            ...legs(0.3, 0.3),
+            { symbol: 'SOL', strategy: alwaysLong('sol-long', 0.3) },
+        ];
+
+        const { correlation } = await engine().runPortfolioBacktest(threeLegs, candles);
+
+        expect(correlation.symbols).toEqual(['BTC', 'ETH', 'SOL']);
+        expect(correlation.matrix).toHaveLength(3);
+        for (let a = 0; a < 3; a++) {
+            expect(correlation.matrix[a][a]).toBe(1);
+            for (let b = 0; b < 3; b++) {
+                expect(correlation.matrix[a][b]).toBeCloseTo(correlation.matrix[b][a], 10);
+            }
+        }
+        expect(correlation.matrix[0][1]).toBeGreaterThan(0.9);
+        expect(correlation.matrix[0][2]).toBeLessThan(-0.9);
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Portfolio VaR Tests
+ * Historical and parametric VaR/CVaR from a synthetic candles table, the
+ * correlation matrix and betas, the stress scenarios and the CVaR limit in
+ * RiskManager.evaluateSignal.
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    PortfolioRiskAnalyzer,
+    historicalVar,
+    normalQuantile,
+    parametricVar,
+} from '../../src/risk-manager/portfolio-var';
+import { RiskManager } from '../../src/risk-manager/risk-manager';
+import { Portfolio, Position } from '../../src/shared/types';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function position(symbol: string, side: 'LONG' | 'SHORT', size: number, markPrice: number): Position {
+    return { symbol, side, size, entryPrice: markPrice, markPrice, unrealizedPnL: 0, leverage: 1, marginUsed: 0 };
+}
+
+describe('Portfolio VaR', () => {
+    let dir: string;
+    let analyzer: PortfolioRiskAnalyzer;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-var-'));
+        const dbPath = path.join(dir, 'trading.db');
+        const db = new Database(dbPath);
+        db.exec('CREATE TABLE candles (symbol TEXT, timeframe TEXT, timestamp INTEGER, open REAL, high REAL, low REAL, close REAL, volume REAL)');
+        const insert = db.prepare('INSERT INTO candles VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+
+        // ETH moves 1.5x BTC every bar; SOL has no history
+        let seed = 42;
+        const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+        let btc = 100;
+        let eth = 50;
+        for (let i = 0; i < 400; i++) {
+            const timestamp = i * HOUR_MS;
+            insert.run('BTC', '1h', timestamp, btc, btc, btc, btc, 1);
+            insert.run('ETH', '1h', timestamp, eth, eth, eth, eth, 1);
+            const move = (random() - 0.5) * 0.02;
+            btc *= Math.exp(move);
+            eth *= Math.exp(1.5 * move);
+        }
+        db.close();
+
+        analyzer = new PortfolioRiskAnalyzer(dbPath, { confidence: 0.95, lookbackBars: 720, horizonBars: 4 });
+    });
+
+    afterEach(() => {
+        analyzer.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('computes the tail from quantiles and the normal distribution', () => {
+        expect(normalQuantile(0.95)).toBeCloseTo(1.644854, 5);
+        expect(normalQuantile(0.01)).toBeCloseTo(-2.326348, 5);
+
+        const pnl = Array.from({ length: 100 }, (_, i) => i - 50);
+        expect(historicalVar(pnl, 0.95)).toEqual({ var: 45, cvar: 47.5 });
+
+        const gaussian = parametricVar(0, 100, 0.95);
+        expect(gaussian.var).toBeCloseTo(164.485, 2);
+        expect(gaussian.cvar).toBeCloseTo(206.271, 2);
+    });
+
+    it('measures correlation, betas and hedged VaR from stored candles', () => {
+        const long = analyzer.analyze([
+            position('BTC', 'LONG', 10, 100),
+            position('ETH', 'LONG', 10, 50),
+            position('SOL', 'LONG', 5, 20),
+        ], 10000);
+        expect(long.missingSymbols).toEqual(['SOL']);
+        expect(long.correlation.symbols).toEqual(['BTC', 'ETH']);
+        expect(long.correlation.matrix[0][1]).toBeCloseTo(1, 9);
+        expect(long.betaToBtc.ETH).toBeCloseTo(1.5, 9);
+        expect(long.observations).toBe(400 - 1 - 4 + 1);
+        expect(long.historical!.var).toBeGreaterThan(0);
+        expect(long.historical!.cvar).toBeGreaterThanOrEqual(long.historical!.var);
+        expect(long.parametric!.cvarPct).toBeCloseTo(long.parametric!.cvar / 10000, 12);
+
+        // Short ETH sized to the beta offsets nearly all of the BTC risk
+        const hedged = analyzer.analyze([position('BTC', 'LONG', 10, 100), position('ETH', 'SHORT', 1000 / 75, 50)], 10000);
+        expect(hedged.parametric!.var).toBeLessThan(long.parametric!.var * 0.05);
+        expect(hedged.historical!.var).toBeLessThan(long.historical!.var * 0.05);
+    });
+
+    it('runs the stress scenarios against current exposures', () => {
+        const report = analyzer.analyze([position('BTC', 'LONG', 10, 100), position('ETH', 'SHORT', 10, 50)], 5000);
+        const [crash, funding, gap] = report.stress;
+
+        expect(crash.name).toBe('btc_crash');
+        expect(crash.bySymbol.BTC).toBeCloseTo(-200, 9);
+        // Short ETH gains 1.5 x 20% on $500
+        expect(crash.bySymbol.ETH).toBeCloseTo(150, 6);
+        expect(crash.pnlPct).toBeCloseTo(-50 / 5000, 6);
+
+        expect(funding.pnl).toBeCloseTo(-1500 * 0.003 * 3, 9);
+        expect(gap.pnl).toBeCloseTo(-1500 * 0.09, 9);
+    });
+
+    it('rejects signals that push CVaR past the limit', async () => {
+        const portfolio: Portfolio = {
+            totalValue: 10000,
+            availableBalance: 10000,
+            usedBalance: 0,
+            positions: [position('ETH', 'LONG', 400, 50)],
+            dailyPnL: 0,
+            unrealizedPnL: 0,
+        };
+        const signal = {
+            id: 'sig-1',
+            symbol: 'BTC',
+            action: 'BUY' as const,
+            size: 1,
+            price: 100,
+            type: 'MARKET' as const,
+            timestamp: new Date(),
+            confidence: 0.9,
+            strategyId: 'test',
+            reason: 'test',
+        };
+
+        const strict = new RiskManager({ isolated: true, maxCvarPct: 0.001, portfolioRisk: analyzer });
+        const rejected = await strict.evaluateSignal(signal, portfolio);
+        expect(rejected.approved).toBe(false);
+        expect(rejected.warnings.some(warning => /Portfolio CVaR .* exceed/.test(warning))).toBe(true);
+
+        const loose = new RiskManager({ isolated: true, maxCvarPct: 10, portfolioRisk: analyzer });
+        const assessment = await loose.evaluateSignal(signal, portfolio);
+        expect(assessment.warnings.some(warning => /Portfolio CVaR/.test(warning))).toBe(false);
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Position Sizing Tests
+ * Target notional per sizing mode, per-strategy overrides, fallbacks when
+ * ATR or trade history is missing, and the modes flowing through
+ * RiskManager's caps and sizing preview, and Kelly computed from closed
+ * trades only.
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AdvancedRiskEngine } from '../../src/risk-manager/advanced-risk';
+import {
+    SizingConfig,
+    SizingDataSource,
+    computeSizingTarget,
+    resolveSizingSettings,
+} from '../../src/risk-manager/position-sizing';
+import { RiskManager } from '../../src/risk-manager/risk-manager';
+import { Portfolio, Position, TradingSignal } from '../../src/shared/types';
+
+const config: SizingConfig = {
+    defaults: {
+        mode: 'fixed',
+        targetVolPct: 0.01,
+        riskParityBudgetPct: 0.03,
+        atrTimeframe: '1h',
+        atrPeriod: 14,
+        kellyFraction: 0.25,
+        kellyMinTrades: 20,
+    },
+    overrides: {
+        'strat-vol': { mode: 'volatility' },
+        'strat-kelly': { mode: 'kelly', kellyFraction: 0.5 },
+    },
+};
+
+function position(symbol: string): Position {
+    return { symbol, side: 'LONG', size: 1, entryPrice: 10, markPrice: 10, unrealizedPnL: 0, leverage: 1, marginUsed: 10 };
+}
+
+describe('Position Sizing', () => {
+    let atr: Record<string, number>;
+    let kelly: Record<string, { f: number; trades: number }>;
+    let source: SizingDataSource;
+
+    beforeEach(() => {
+        atr = { ETH: 0.4, SOL: 0.2 };
+        kelly = { 'strat-kelly': { f: 0.04, trades: 50 }, 'strat-new': { f: 0.5, trades: 5 } };
+        source = {
+            getAtrPct: async symbol => atr[symbol] ?? null,
+            getKelly: async strategyId => kelly[strategyId] ?? { f: 0, trades: 0 },
+        };
+    });
+
+    it('resolves the mode from defaults, strategy overrides and explicit requests', () => {
+        expect(resolveSizingSettings(config, 'other').mode).toBe('fixed');
+        expect(resolveSizingSettings(config, 'strat-vol').mode).toBe('volatility');
+        expect(resolveSizingSettings(config, 'strat-kelly').kellyFraction).toBe(0.5);
+        expect(resolveSizingSettings(config, 'strat-vol', 'risk_parity').mode).toBe('risk_parity');
+    });
+
+    it('computes the target notional for each mode', async () => {
+        const context = { symbol: 'ETH', strategyId: 'strat-kelly', price: 100, equity: 10000, stopLossPct: 0.01, positions: [position('SOL')] };
+
+        const volatility = await computeSizingTarget({ ...config.defaults, mode: 'volatility' }, context, source);
+        // $100 lost per one-ATR move of 40%
+        expect(volatility.targetNotional).toBeCloseTo(250, 9);
+
+        const kellyTarget = await computeSizingTarget(resolveSizingSettings(config, 'strat-kelly'), context, source);
+        // Half Kelly of 4% = 2% of equity at risk over a 1% stop
+        expect(kellyTarget.targetNotional).toBeCloseTo(20000, 6);
+        expect(kellyTarget.kellyTrades).toBe(50);
+
+        const parity = await computeSizingTarget({ ...config.defaults, mode: 'risk_parity' }, context, source);
+        // $300 per ATR split over SOL and ETH
+        expect(parity.targetNotional).toBeCloseTo(150 / 0.4, 9);
+        expect(parity.riskParityTargets!.SOL).toBeCloseTo(150 / 0.2, 9);
+
+        const thin = await computeSizingTarget({ ...config.defaults, mode: 'kelly' }, { ...context, strategyId: 'strat-new' }, source);
+        expect(thin.targetNotional).toBeNull();
+        expect(thin.detail).toMatch(/5\/20 trades/);
+
+        const noCandles = await computeSizingTarget({ ...config.defaults, mode: 'volatility' }, { ...context, symbol: 'PEPE' }, source);
+        expect(noCandles.targetNotional).toBeNull();
+    });
+
+    it('feeds the mode through RiskManager caps and the preview', async () => {
+        const riskManager = new RiskManager({ isolated: true, sizing: config, sizingSource: source });
+        const portfolio: Portfolio = {
+            totalValue: 10000,
+            availableBalance: 10000,
+            usedBalance: 0,
+            positions: [],
+            dailyPnL: 0,
+            unrealizedPnL: 0,
+        };
+        const signal: TradingSignal = {
+            id: 'sig-1',
+            symbol: 'ETH',
+            action: 'BUY',
+            size: 0,
+            price: 100,
+            type: 'MARKET',
+            timestamp: new Date(),
+            confidence: 0.9,
+            strategyId: 'strat-vol',
+            reason: 'test',
+        };
+
+        const assessment = await riskManager.evaluateSignal(signal, portfolio);
+        expect(assessment.suggestedSize).toBeCloseTo(2.5, 9);
+        expect(assessment.warnings.some(warning => /^Sizing volatility: ATR 40.00%/.test(warning))).toBe(true);
+
+        kelly['strat-kelly'] = { f: 0, trades: 50 };
+        const noEdge = await riskManager.evaluateSignal({ ...signal, strategyId: 'strat-kelly' }, portfolio);
+        expect(noEdge.suggestedSize).toBe(0);
+        expect(noEdge.approved).toBe(false);
+
+        const preview = await riskManager.previewPositionSize(signal, portfolio);
+        expect(preview.mode).toBe('volatility');
+        expect(preview.notional).toBeCloseTo(250, 6);
+        expect(preview.comparison.map(entry => entry.mode)).toEqual(['fixed', 'volatility', 'kelly', 'risk_parity']);
+        expect(preview.comparison[0].notional).toBeGreaterThan(250);
+        // strat-vol has no trade history, so Kelly falls back to fixed
+        expect(preview.comparison[2].detail).toMatch(/0\/20 trades/);
+        expect(preview.comparison[2].notional).toBeCloseTo(preview.comparison[0].notional, 6);
+    });
+});
+
+describe('Kelly Trade History', () => {
+    let dir: string;
+    let dbPath: string;
+    let db: Database.Database;
+
+    /** Round trips on $1000 notional returning the given fractions, each with a zero-PnL entry row */
+    function recordRoundTrips(strategyId: string, returns: number[]): void {
+        const insert = db.prepare('INSERT INTO trades VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+        returns.forEach((r, i) => {
+            const opened = new Date(Date.UTC(2026, 8, 1, i)).toISOString();
+            const closed = new Date(Date.UTC(2026, 8, 1, i, 30)).toISOString();
+            insert.run(`${strategyId}-e${i}`, strategyId, 'ETH', 'BUY', 10, 100, 0, 0, opened, 'MARKET', 'FILLED', 'ENTRY');
+            insert.run(`${strategyId}-x${i}`, strategyId, 'ETH', 'SELL', 10, 100, 0, r * 1000, closed, 'MARKET', 'FILLED', 'EXIT');
+        });
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kelly-'));
+        dbPath = path.join(dir, 'trading.db');
+        db = new Database(dbPath);
+        db.exec(`CREATE TABLE trades (
+            id TEXT PRIMARY KEY, strategyId TEXT NOT NULL, symbol TEXT NOT NULL, side TEXT NOT NULL,
+            size REAL NOT NULL, price REAL NOT NULL, fee REAL DEFAULT 0, pnl REAL DEFAULT 0,
+            timestamp TEXT NOT NULL, type TEXT NOT NULL, status TEXT NOT NULL, entryExit TEXT NOT NULL
+        )`);
+    });
+
+    afterEach(() => {
+        db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('computes Kelly from exits only, ignoring entry rows', async () => {
+        // Six +10% and six -5%
+        recordRoundTrips('strat-kelly', Array.from({ length: 12 }, (_, i) => (i % 2 === 0 ? 0.1 : -0.05)));
+        const kelly = await new AdvancedRiskEngine(dbPath).calculateKellyCriterion({ id: 'strat-kelly' });
+
+        expect(kelly.trades).toBe(12);
+        expect(kelly.winProbability).toBeCloseTo(0.5, 9);
+        expect(kelly.lossProbability).toBeCloseTo(0.5, 9);
+        expect(kelly.averageWin).toBeCloseTo(0.1, 9);
+        expect(kelly.averageLoss).toBeCloseTo(0.05, 9);
+        // p - q / b = 0.5 - 0.5 / 2
+        expect(kelly.f).toBeCloseTo(0.25, 9);
+    });
+
+    it('sizes by p - q/b for a known win rate and payoff ratio', async () => {
+        // 60% winners, wins three times the size of losses
+        recordRoundTrips('strat-payoff', [0.15, -0.05, 0.15, 0.15, -0.05, 0.15, -0.05, 0.15, -0.05, 0.15]);
+        const kelly = await new AdvancedRiskEngine(dbPath).calculateKellyCriterion({ id: 'strat-payoff' });
+
+        expect(kelly.winProbability).toBeCloseTo(0.6, 9);
+        expect(kelly.averageWin / kelly.averageLoss).toBeCloseTo(3, 9);
+        expect(kelly.f).toBeCloseTo(0.6 - 0.4 / 3, 9);
+
+        // No edge: 40% winners at b = 1.25 gives a negative Kelly, clamped to 0
+        recordRoundTrips('strat-no-edge', [0.0625, -0.05, -0.05, 0.0625, -0.05, -0.05, 0.0625, -0.05, 0.0625, -0.05]);
+        expect((await new AdvancedRiskEngine(dbPath).calculateKellyCriterion({ id: 'strat-no-edge' })).f).toBe(0);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Prediction Calibration Tests
+ * Brier score, log loss and reliability bins, forecast storage and
+ * resolution against a temporary predictions database, and the edge
+ * multiplier fed back into ideas.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PredictionStore } from '../../src/data/prediction-store';
+import {
+    CalibrationTracker,
+    brierScore,
+    logLoss,
+    reliabilityCurve,
+    resolvedOutcome,
+    toYesProbabilities,
+} from '../../src/prediction-markets/calibration';
+import { PredictionIdea, PredictionMarket } from '../../src/shared/types';
+
+function idea(marketId: string, type: string, predictedProbability: number = 0.7): PredictionIdea {
+    return {
+        id: `idea-${marketId}`,
+        marketId,
+        marketTitle: `Market ${marketId}`,
+        outcome: predictedProbability >= 0.5 ? 'YES' : 'NO',
+        impliedProbability: 0.5,
+        predictedProbability,
+        edge: predictedProbability - 0.5,
+        confidence: 0.7,
+        timeHorizon: '7d',
+        catalysts: [],
+        rationale: 'test',
+        type,
+        summary: type,
+    };
+}
+
+function market(id: string, status: PredictionMarket['status'], yesPrice: number): PredictionMarket {
+    return { id, title: `Market ${id}`, status, outcomes: [], yesPrice, noPrice: 1 - yesPrice, updatedAt: new Date() };
+}
+
+describe('Prediction Calibration', () => {
+    let dir: string;
+    let store: PredictionStore;
+    let markets: Record<string, PredictionMarket>;
+    let tracker: CalibrationTracker;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prediction-calibration-'));
+        store = new PredictionStore(path.join(dir, 'predictions.db'));
+        markets = {};
+        tracker = new CalibrationTracker(
+            store,
+            async marketId => markets[marketId] ?? null,
+            { enabled: true, minResolved: 10, priorWeight: 20, maxMultiplier: 1.5, resolutionBatch: 25, reportTtlMs: 0 }
+        );
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('scores probabilities and reads settled outcomes', () => {
+        expect(brierScore([0.8, 0.3], [1, 0])).toBeCloseTo(0.065, 12);
+        expect(logLoss([0.8, 0.3], [1, 0])).toBeCloseTo(-(Math.log(0.8) + Math.log(0.7)) / 2, 12);
+
+        const bins = reliabilityCurve([0.82, 0.88, 0.31], [1, 0, 0]);
+        expect(bins).toHaveLength(2);
+        expect(bins[1]).toEqual({ lower: 0.8, upper: 0.9, count: 2, meanPredicted: 0.85, observedFrequency: 0.5 });
+
+        // An LLM idea buying NO at 0.4 with a 0.6 view is quoted in NO terms
+        expect(toYesProbabilities({ outcome: 'NO', impliedProbability: 0.4, predictedProbability: 0.6 }).predicted).toBeCloseTo(0.4, 12);
+        expect(toYesProbabilities({ outcome: 'NO', impliedProbability: 0.6, predictedProbability: 0.4 }).predicted).toBe(0.4);
+
+        expect(resolvedOutcome(market('a', 'CLOSED', 1))).toBe('YES');
+        expect(resolvedOutcome(market('a', 'RESOLVED', 0))).toBe('NO');
+        expect(resolvedOutcome(market('a', 'CLOSED', 0.5))).toBeNull();
+        expect(resolvedOutcome(market('a', 'OPEN', 1))).toBeNull();
+    });
+
+    it('resolves stored forecasts and shrinks an overstated edge', async () => {
+        const ids = Array.from({ length: 12 }, (_, i) => `m${i}`);
+        expect(tracker.recordIdeas(ids.map(id => idea(id, 'NEWS_MOMENTUM')))).toBe(12);
+        // Only the first forecast per market and type is kept
+        expect(tracker.recordIdeas([idea('m0', 'NEWS_MOMENTUM', 0.9), idea('open', 'EVENT_DRIVEN')])).toBe(1);
+
+        // Half the 70% calls come true, the market's 50% was right
+        ids.forEach((id, i) => { markets[id] = market(id, 'CLOSED', i % 2 === 0 ? 1 : 0); });
+        markets.open = market('open', 'OPEN', 0.6);
+        expect(await tracker.resolvePending()).toBe(12);
+        expect(store.getPendingForecastMarketIds()).toEqual(['open']);
+
+        const report = tracker.getReport();
+        const momentum = report.byType.find(stats => stats.ideaType === 'NEWS_MOMENTUM')!;
+        expect(report.pendingMarkets).toBe(1);
+        expect(momentum.resolved).toBe(12);
+        expect(momentum.brierScore).toBeCloseTo(0.29, 12);
+        expect(momentum.marketBrierScore).toBeCloseTo(0.25, 12);
+        // No edge in hindsight: (12 x 0 + 20 x 1) / 32
+        expect(momentum.edgeMultiplier).toBeCloseTo(0.625, 12);
+        expect(report.byType.find(stats => stats.ideaType === 'EVENT_DRIVEN')!.brierScore).toBeNull();
+
+        const calibrated = tracker.calibrate(idea('new', 'NEWS_MOMENTUM'));
+        expect(calibrated.edge).toBeCloseTo(0.125, 12);
+        expect(calibrated.predictedProbability).toBeCloseTo(0.625, 12);
+        expect(calibrated.summary).toBe('NEWS_MOMENTUM | Calibrated x0.63');
+        expect(tracker.calibrate(idea('new', 'EVENT_DRIVEN')).edge).toBeCloseTo(0.2, 12);
+    });
+
+    it('settles pending forecasts from markets seen in a cycle', () => {
+        tracker.recordIdeas([idea('a', 'MEAN_REVERSION', 0.3), idea('b', 'MEAN_REVERSION', 0.3)]);
+
+        expect(tracker.ingestResolutions([market('a', 'CLOSED', 0), market('b', 'OPEN', 0.2), market('c', 'CLOSED', 1)])).toBe(1);
+        const [forecast] = store.getResolvedForecasts();
+        expect(forecast.marketId).toBe('a');
+        expect(forecast.resolvedOutcome).toBe('NO');
+        expect(forecast.predictedProbability).toBe(0.3);
+        expect(tracker.getReport().overall.brierScore).toBeCloseTo(0.09, 12);
+    });
+});
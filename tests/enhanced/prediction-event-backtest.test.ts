@@ -0,0 +1,129 @@
+/**
+ * Prediction Event Backtest Tests
+ * Time-ordered replay of snapshots and news through the fallback theorizer,
+ * 0/1 settlement with entry fees, open positions marked to market, and the
+ * per-type ROI, hit rate and capital lockup.
+ */
+
+import {
+    PredictionEventBacktester,
+    PredictionReplaySource,
+    PredictionResolution,
+} from '../../src/prediction-markets/event-backtester';
+import { NewsItem, PredictionMarket, PredictionMarketSnapshot } from '../../src/shared/types';
+
+const HOUR_MS = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+const at = (hours: number) => new Date(T0 + hours * HOUR_MS);
+
+function snapshot(marketId: string, hours: number, yesPrice: number): PredictionMarketSnapshot {
+    return { marketId, timestamp: at(hours), yesPrice, noPrice: 1 - yesPrice };
+}
+
+function news(id: string, hours: number, sentiment: NewsItem['sentiment']): NewsItem {
+    return {
+        id,
+        title: `Headline ${id}`,
+        source: 'test',
+        url: `https://example.com/${id}`,
+        categories: [],
+        tags: [],
+        sentiment,
+        importance: 'MEDIUM',
+        snippet: '',
+        scrapedAt: at(hours),
+        createdAt: at(hours),
+    };
+}
+
+function fakeSource(
+    snapshots: Record<string, PredictionMarketSnapshot[]>,
+    articles: Record<string, NewsItem[]>,
+    resolutions: Record<string, PredictionResolution>
+): PredictionReplaySource {
+    return {
+        getMarketIds: () => Object.keys(snapshots),
+        getMarket: (marketId): PredictionMarket => ({
+            id: marketId,
+            title: `Market ${marketId}`,
+            status: resolutions[marketId] ? 'CLOSED' : 'OPEN',
+            outcomes: [],
+            updatedAt: at(0),
+        }),
+        getSnapshots: marketId => snapshots[marketId] ?? [],
+        getNews: async market => articles[market.id] ?? [],
+        getResolution: market => resolutions[market.id] ?? null,
+    };
+}
+
+describe('Prediction Event Backtest', () => {
+    const source = fakeSource(
+        {
+            // 50/50 with no news: no idea until bullish news lands at hour 1
+            news: [snapshot('news', 0, 0.5), snapshot('news', 2, 0.4), snapshot('news', 10, 0.7)],
+            // Fades an 80% favourite that goes on to win
+            fade: [snapshot('fade', 0, 0.8)],
+            // Never resolves; marked at the last price
+            open: [snapshot('open', 0, 0.2), snapshot('open', 24, 0.15)],
+        },
+        { news: [news('n1', 1, 'BULLISH')] },
+        {
+            news: { outcome: 'YES', resolvedAt: at(50) },
+            fade: { outcome: 'YES', resolvedAt: at(24) },
+        }
+    );
+
+    it('trades on news only after it was published and settles at resolution', async () => {
+        const report = await new PredictionEventBacktester(source, { stakeUsd: 100, feeRate: 0.02, newsLimit: 8, minConfidence: 0 }).run();
+
+        expect(report.marketsReplayed).toBe(3);
+        expect(report.events).toEqual({ snapshots: 6, news: 1, resolutions: 2 });
+        expect(report.trades).toHaveLength(3);
+
+        const won = report.trades.find(trade => trade.marketId === 'news')!;
+        expect(won.entryTime).toEqual(at(2));
+        expect(won.outcome).toBe('YES');
+        expect(won.ideaType).toBe('PROBABILITY_DISLOCATION');
+        expect(won.status).toBe('WON');
+        expect(won.shares).toBeCloseTo(98 / 0.4, 9);
+        expect(won.pnl).toBeCloseTo(145, 9);
+        expect(won.lockupHours).toBe(48);
+
+        const lost = report.trades.find(trade => trade.marketId === 'fade')!;
+        expect(lost.outcome).toBe('NO');
+        expect(lost.ideaType).toBe('MEAN_REVERSION');
+        expect(lost.status).toBe('LOST');
+        expect(lost.pnl).toBe(-100);
+
+        const open = report.trades.find(trade => trade.marketId === 'open')!;
+        expect(open.status).toBe('OPEN');
+        expect(open.exitPrice).toBeCloseTo(0.15, 9);
+        expect(open.lockupHours).toBe(24);
+    });
+
+    it('reports ROI, hit rate and capital lockup per idea type', async () => {
+        const report = await new PredictionEventBacktester(source, { stakeUsd: 100, feeRate: 0.02, newsLimit: 8, minConfidence: 0 }).run();
+
+        const overall = report.overall;
+        expect(overall.trades).toBe(3);
+        expect(overall.settled).toBe(2);
+        expect(overall.open).toBe(1);
+        expect(overall.hitRate).toBe(0.5);
+        expect(overall.fees).toBeCloseTo(6, 9);
+        expect(overall.realizedPnl).toBeCloseTo(45, 9);
+        expect(overall.roi).toBeCloseTo(0.225, 9);
+        expect(overall.avgLockupHours).toBe(36);
+        // 100 x 2 days + 100 x 1 day settled, plus 100 x 1 day still open
+        expect(overall.capitalDays).toBeCloseTo(400, 9);
+        expect(overall.annualizedReturn).toBeCloseTo(45 / 300 * 365, 9);
+        expect(report.peakCapitalLocked).toBe(300);
+
+        const dislocation = report.byType.find(stats => stats.ideaType === 'PROBABILITY_DISLOCATION')!;
+        expect(dislocation.roi).toBeCloseTo(1.45, 9);
+        expect(dislocation.hitRate).toBe(1);
+
+        const windowed = await new PredictionEventBacktester(source, { stakeUsd: 100, feeRate: 0, newsLimit: 8, minConfidence: 0, end: at(30) }).run();
+        expect(windowed.trades.find(trade => trade.marketId === 'news')!.status).toBe('OPEN');
+        expect(windowed.overall.settled).toBe(1);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Prediction Market Maker Tests
+ * Quote placement around fair value with post-only clamps, inventory skew and
+ * the per-outcome share cap, paper fills and throttled cancel/replace on price
+ * updates, and the replay simulator over recorded snapshots.
+ */
+
+import {
+    MakerFill,
+    MakerInventory,
+    MarketMaker,
+    computeQuotes,
+    simulateMarketMaking,
+} from '../../src/prediction-markets/market-maker';
+import { PredictionMarketSnapshot } from '../../src/shared/types';
+
+const options = {
+    enabled: true,
+    halfSpread: 0.02,
+    quoteSizeUsd: 50,
+    maxPositionShares: 500,
+    inventorySkew: 0.02,
+    requoteThreshold: 0.005,
+    makerFeeRate: 0,
+    fairValueTtlMs: 60 * 60 * 1000,
+};
+
+const price = (yesPrice: number) => ({ yesPrice, noPrice: Number((1 - yesPrice).toFixed(2)) });
+
+describe('Prediction Market Maker', () => {
+    it('quotes both outcomes behind the market and leans on inventory', () => {
+        const flat = computeQuotes(0.6, price(0.55), { YES: 0, NO: 0 }, options);
+        // The YES bid would cross the 0.55 market, so it sits a tick behind
+        expect(flat).toEqual([
+            { outcome: 'YES', side: 'BUY', price: 0.54, shares: 50 / 0.54 },
+            { outcome: 'NO', side: 'BUY', price: 0.38, shares: 50 / 0.38 },
+        ]);
+
+        // Full YES position: no more YES bids, an ask to unload, NO bid lifted
+        const long = computeQuotes(0.6, price(0.55), { YES: 500, NO: 0 }, options);
+        expect(long.find(quote => quote.outcome === 'YES' && quote.side === 'BUY')).toBeUndefined();
+        expect(long.find(quote => quote.outcome === 'YES' && quote.side === 'SELL')!.price).toBe(0.6);
+        expect(long.find(quote => quote.outcome === 'NO' && quote.side === 'BUY')!.price).toBe(0.4);
+
+        // Bids shrink to the room left under the cap
+        const nearCap = computeQuotes(0.6, price(0.55), { YES: 480, NO: 0 }, options);
+        expect(nearCap.find(quote => quote.outcome === 'YES' && quote.side === 'BUY')!.shares).toBeCloseTo(20, 9);
+    });
+
+    it('fills resting quotes and cancels/replaces through the throttle', async () => {
+        const inventory: MakerInventory = { YES: 0, NO: 0 };
+        const booked: MakerFill[] = [];
+        let throttled = 0;
+        const maker = new MarketMaker({
+            getInventory: () => ({ ...inventory }),
+            onFill: fill => {
+                inventory[fill.outcome] += fill.side === 'BUY' ? fill.shares : -fill.shares;
+                booked.push(fill);
+                return true;
+            },
+            throttle: async () => { throttled++; },
+        }, options);
+
+        const quotes = await maker.setFairValue('m1', 'Market 1', 0.6, price(0.55));
+        expect(quotes.map(quote => `${quote.side} ${quote.outcome} ${quote.price}`)).toEqual(['BUY YES 0.54', 'BUY NO 0.38']);
+        expect(throttled).toBe(2);
+
+        // Market trades through the YES bid: one fill, a new bid and a YES ask
+        const fills = await maker.onPriceUpdate('m1', price(0.53));
+        expect(fills).toHaveLength(1);
+        expect(`${fills[0].side} ${fills[0].outcome} ${fills[0].price}`).toBe('BUY YES 0.54');
+        expect(booked).toEqual(fills);
+        expect(maker.getQuotes().map(quote => `${quote.side} ${quote.outcome} ${quote.price}`))
+            .toEqual(['BUY NO 0.38', 'BUY YES 0.52', 'SELL YES 0.62']);
+        expect(throttled).toBe(4);
+
+        // A rally without fills lets the YES bid back up towards fair value
+        expect(await maker.onPriceUpdate('m1', price(0.56))).toEqual([]);
+        expect(maker.getQuotes().find(quote => quote.outcome === 'YES' && quote.side === 'BUY')!.price).toBe(0.55);
+        expect(throttled).toBe(6);
+        expect(maker.getState().quotesCancelled).toBe(1);
+
+        expect(await maker.stop('m1')).toBe(3);
+        expect(maker.getQuotes()).toEqual([]);
+        expect(await maker.onPriceUpdate('m1', price(0.3))).toEqual([]);
+    });
+
+    it('replays recorded snapshots and marks the inventory to market', async () => {
+        const snapshots: PredictionMarketSnapshot[] = [0.5, 0.47, 0.55, 0.5].map((yes, i) => ({
+            marketId: 'm1',
+            timestamp: new Date(Date.UTC(2026, 0, 1, i)),
+            ...price(yes),
+        }));
+
+        const result = await simulateMarketMaking('m1', snapshots, 0.5, options);
+        expect(result.snapshots).toBe(4);
+        // Dip fills the YES bid; the rally lifts the YES ask and hits the NO bid
+        expect(result.fills.map(fill => `${fill.side} ${fill.outcome} ${fill.price}`))
+            .toEqual(['BUY YES 0.48', 'BUY NO 0.48', 'SELL YES 0.52']);
+        expect(result.inventory.YES).toBeCloseTo(50 / 0.48 - 50 / 0.52, 9);
+        expect(result.cashFlow).toBeCloseTo(-50, 9);
+        expect(result.markToMarketPnl).toBeCloseTo(-50 + (50 / 0.48 - 50 / 0.52) * 0.5 + (50 / 0.48) * 0.5, 9);
+
+        expect((await simulateMarketMaking('m1', [], 0.5, options)).fills).toEqual([]);
+    });
+});
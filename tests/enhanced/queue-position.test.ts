@@ -0,0 +1,133 @@
+/**
+ * Queue-Position Fill Model Tests
+ * Replays a small recorded L2 snapshot and trade tape (MarketIngester's
+ * order_book and market_trades tables) and checks that a resting order only
+ * fills once the volume queued ahead of it has traded.
+ */
+
+import BetterSqlite3 from 'better-sqlite3';
+import { L2History, QueuePositionFillModel } from '../../src/backtest/queue-position';
+import { SimulatedOrder } from '../../src/backtest/fill-models';
+
+// MarketIngester stores epoch seconds
+const T0 = 1_790_000_000;
+
+function recordTape(prints: Array<[offsetSec: number, price: number, size: number, side: 'buy' | 'sell']>, books: Array<[offsetSec: number, bids: number[][], asks: number[][]]>): L2History {
+    const db = new BetterSqlite3(':memory:');
+    db.exec(`
+        CREATE TABLE order_book (
+            id INTEGER PRIMARY KEY AUTOINCREMENT, symbol TEXT NOT NULL, timestamp INTEGER NOT NULL,
+            bids TEXT NOT NULL, asks TEXT NOT NULL, midPrice REAL NOT NULL, spread REAL NOT NULL
+        );
+        CREATE TABLE market_trades (
+            id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp INTEGER NOT NULL, price REAL NOT NULL,
+            size REAL NOT NULL, side TEXT NOT NULL, symbol TEXT NOT NULL
+        );
+    `);
+    const levels = (rows: number[][]) => JSON.stringify(rows.map(([price, size]) => ({ price, size })));
+    const insertBook = db.prepare('INSERT INTO order_book (symbol, timestamp, bids, asks, midPrice, spread) VALUES (?, ?, ?, ?, ?, ?)');
+    for (const [offset, bids, asks] of books) {
+        insertBook.run('BTC', T0 + offset, levels(bids), levels(asks), (bids[0][0] + asks[0][0]) / 2, asks[0][0] - bids[0][0]);
+    }
+    const insertTrade = db.prepare('INSERT INTO market_trades (timestamp, price, size, side, symbol) VALUES (?, ?, ?, ?, ?)');
+    for (const [offset, price, size, side] of prints) {
+        insertTrade.run(T0 + offset, price, size, side, 'BTC');
+    }
+
+    const history = L2History.fromDatabase(db, ['btc'], T0 * 1000, (T0 + 60) * 1000);
+    db.close();
+    return history;
+}
+
+// 5 BTC bid at 100 ahead of us; asks start at 100.5
+const OPENING_BOOK: [number, number[][], number[][]] = [0, [[100, 5], [99.5, 3]], [[100.5, 4], [101, 6]]];
+
+const bid: SimulatedOrder = {
+    orderId: 'o1',
+    symbol: 'BTC',
+    side: 'BUY',
+    type: 'LIMIT',
+    quantity: 1,
+    price: 100,
+    timeInForce: 'ALO',
+    timestamp: 0,
+};
+
+function simulate(history: L2History, order: SimulatedOrder = bid) {
+    const model = new QueuePositionFillModel(history, { commissionRate: 0.0005, makerDiscount: 0.0002, latencyMs: 10 });
+    return model.simulateLimitOrder(order, T0 * 1000, (T0 + 60) * 1000);
+}
+
+describe('Queue-Position Fill Model', () => {
+    it('loads recorded snapshots and prints from the ingester tables', () => {
+        const history = recordTape([[1, 100, 2, 'sell']], [OPENING_BOOK]);
+        expect(history.snapshotCount).toBe(1);
+        expect(history.printCount).toBe(1);
+        expect(history.bookAt('BTC', T0 * 1000 + 500)?.bids[0]).toEqual({ price: 100, size: 5 });
+    });
+
+    it('fills only after the volume queued ahead has traded', () => {
+        const history = recordTape([
+            [1, 100, 2, 'sell'],
+            [2, 100, 2, 'sell'],
+            [3, 100, 1.5, 'sell'], // 1 left ahead, 0.5 reaches us
+            [4, 100.5, 3, 'buy'], // lifts asks, never trades with a bid
+            [5, 100, 1, 'sell'],
+        ], [OPENING_BOOK]);
+
+        const result = simulate(history);
+
+        expect(result.queueAheadAtEntry).toBe(5);
+        expect(result.status).toBe('FILLED');
+        expect(result.fills.map(f => [f.timestamp, f.quantity])).toEqual([
+            [(T0 + 3) * 1000, 0.5],
+            [(T0 + 5) * 1000, 0.5],
+        ]);
+        expect(result.fills.every(f => f.liquiditySide === 'MAKER' && f.price === 100)).toBe(true);
+        expect(result.fills[0].commission).toBeCloseTo(100 * 0.5 * 0.0003, 10);
+    });
+
+    it('does not fill when price touches the order but the queue ahead is not consumed', () => {
+        const history = recordTape([
+            [1, 100, 2, 'sell'],
+            [2, 100, 1.5, 'sell'],
+            [3, 100.5, 4, 'buy'],
+        ], [
+            OPENING_BOOK,
+            // Bid at 100 holds with the untraded remainder; asks never come down
+            [4, [[100, 1.5], [99.5, 3]], [[100.5, 2], [101, 6]]],
+        ]);
+
+        const result = simulate(history);
+
+        expect(result.status).toBe('UNFILLED');
+        expect(result.fills).toHaveLength(0);
+        expect(result.remainingQuantity).toBe(1);
+    });
+
+    it('moves up the queue when size ahead is cancelled', () => {
+        const history = recordTape([
+            [1, 100, 1, 'sell'],
+            [3, 100, 1.5, 'sell'],
+        ], [
+            OPENING_BOOK,
+            // 4 expected after the print, 1 left: 3 cancelled from the 4 ahead
+            [2, [[100, 1], [99.5, 3]], [[100.5, 4]]],
+        ]);
+
+        const result = simulate(history);
+
+        expect(result.status).toBe('PARTIAL');
+        expect(result.filledQuantity).toBeCloseTo(0.5, 10);
+        expect(result.fills[0].timestamp).toBe((T0 + 3) * 1000);
+    });
+
+    it('fills the whole order when the market trades through its price', () => {
+        const history = recordTape([[2, 99.5, 0.1, 'sell']], [OPENING_BOOK]);
+
+        const result = simulate(history);
+
+        expect(result.status).toBe('FILLED');
+        expect(result.fills).toEqual([expect.objectContaining({ quantity: 1, price: 100, timestamp: (T0 + 2) * 1000 })]);
+    });
+});
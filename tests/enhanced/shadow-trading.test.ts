@@ -0,0 +1,110 @@
+/**
+ * Shadow Trading Tests
+ * Live/paper fill pairs: leg classification, settling working parents and the
+ * per-strategy divergence report.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Trade } from '../../src/shared/types';
+import {
+    ShadowTradingLedger,
+    skippedShadowLeg,
+    toShadowLeg,
+} from '../../src/execution-engine/shadow-trading';
+
+function trade(overrides: Partial<Trade>): Trade {
+    return {
+        id: 't1',
+        strategyId: 'momentum',
+        symbol: 'BTC',
+        side: 'BUY',
+        size: 1,
+        price: 100,
+        fee: 0,
+        pnl: 0,
+        timestamp: new Date(0),
+        type: 'MARKET',
+        status: 'FILLED',
+        entryExit: 'ENTRY',
+        ...overrides,
+    };
+}
+
+const fulfilled = (value: Trade): PromiseSettledResult<Trade> => ({ status: 'fulfilled', value });
+
+describe('Shadow Trading', () => {
+    let dir: string;
+    let ledger: ShadowTradingLedger;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shadow-'));
+        ledger = new ShadowTradingLedger(path.join(dir, 'trading.db'));
+    });
+
+    afterEach(() => {
+        ledger.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('classifies each leg from its settled outcome', () => {
+        const filled = toShadowLeg(fulfilled(trade({ side: 'SELL', price: 99.5 })), 100);
+        expect(filled.status).toBe('FILLED');
+        expect(filled.slippageBps).toBeCloseTo(50, 6);
+
+        expect(toShadowLeg(fulfilled(trade({ status: 'PARTIAL' })), 100).status).toBe('RESTING');
+        expect(toShadowLeg(fulfilled(trade({ status: 'PARTIAL' })), 100, true).status).toBe('WORKING');
+
+        const rejected = toShadowLeg({ status: 'rejected', reason: new Error('Order cooldown active') }, 100);
+        expect(rejected.status).toBe('REJECTED');
+        expect(rejected.error).toBe('Order cooldown active');
+    });
+
+    it('reports slippage, missed fills and PnL divergence per strategy', () => {
+        const base = { symbol: 'btc', side: 'BUY' as const, venue: 'LIVE' as const, signalPrice: 100, requestedSize: 1 };
+        ledger.recordPair({
+            ...base, strategyId: 'momentum',
+            live: toShadowLeg(fulfilled(trade({ price: 100.3 })), 100),
+            paper: toShadowLeg(fulfilled(trade({ price: 100.1, fee: 0.05 })), 100),
+        }, 1000);
+        ledger.recordPair({
+            ...base, strategyId: 'momentum', side: 'SELL',
+            live: toShadowLeg(fulfilled(trade({ side: 'SELL', price: 101, pnl: 0.7 })), 101.2),
+            paper: toShadowLeg(fulfilled(trade({ side: 'SELL', price: 101.2, pnl: 1.1, fee: 0.05 })), 101.2),
+        }, 2000);
+        ledger.recordPair({
+            ...base, strategyId: 'momentum',
+            live: toShadowLeg({ status: 'rejected', reason: new Error('Hourly order limit reached') }, 100),
+            paper: toShadowLeg(fulfilled(trade({})), 100),
+        }, 3000);
+        ledger.recordPair({
+            ...base, strategyId: 'breakout',
+            live: toShadowLeg(fulfilled(trade({ id: 'parent-1', status: 'PARTIAL', size: 0 })), 100, true),
+            paper: skippedShadowLeg('No paper position to close'),
+        }, 4000);
+
+        const report = ledger.report();
+        expect(report.strategies.map(s => s.strategyId)).toEqual(['momentum', 'breakout']);
+        const [momentum, breakout] = report.strategies;
+        expect(momentum.pairs).toBe(3);
+        expect(momentum.bothFilled).toBe(2);
+        expect(momentum.liveMissed).toBe(1);
+        expect(momentum.avgLiveSlippageBps).toBeCloseTo((30 + 2e3 / 101.2) / 2, 6);
+        expect(momentum.slippageDivergenceBps).toBeCloseTo((20 + 2e3 / 101.2) / 2, 6);
+        expect(momentum.pnlDivergence).toBeCloseTo(-0.4, 6);
+        expect(momentum.paperFees).toBeCloseTo(0.1, 6);
+        expect(breakout.working).toBe(1);
+        expect(report.totals.pairs).toBe(4);
+
+        // The parent finishes after the signal returned
+        expect(ledger.resolveLive('parent-1', { status: 'FILLED', size: 1, price: 100.2, fee: 0, pnl: 0, slippageBps: 20 })).toBe(true);
+        expect(ledger.resolveLive('parent-1', { status: 'REJECTED', size: 0, price: 0, fee: 0, pnl: 0, slippageBps: 0 })).toBe(false);
+        const [pair] = ledger.listPairs({ strategyId: 'breakout' });
+        expect(pair.symbol).toBe('BTC');
+        expect(pair.live.status).toBe('FILLED');
+        expect(pair.live.tradeId).toBe('parent-1');
+        expect(ledger.report({ strategyId: 'breakout' }).totals.paperMissed).toBe(1);
+        expect(ledger.listPairs({ since: 2500 })).toHaveLength(2);
+    });
+});
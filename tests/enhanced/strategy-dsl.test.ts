@@ -0,0 +1,256 @@
+/**
+ * Strategy DSL Parity Tests
+ * The vectorized backtester evaluates compiled rules over a whole series and
+ * BacktestEngine runs them bar by bar; both must fire on exactly the same bars,
+ * and the indicators must agree with TAModule (technicalindicators).
+ */
+
+import * as technicalIndicators from 'technicalindicators';
+import {
+    StrategyRules,
+    StrategySignalSeries,
+    compileRules,
+    compileStrategy,
+    computeIndicatorSeries,
+    validateStrategyRules,
+} from '../../src/strategy-dsl';
+import { EVOLVED_STRATEGY_RULES } from '../../src/evolution-engine/types';
+import { BacktestEngine } from '../../src/backtest/enhanced-backtest';
+import { vectorizedBacktest } from '../../src/langgraph/nodes/backtester';
+import { MarketData, Strategy, Trade } from '../../src/shared/types';
+
+interface Bar {
+    open: number;
+    high: number;
+    low: number;
+    close: number;
+    volume: number;
+}
+
+/** Deterministic trending/ranging candles with noise */
+function generateBars(count: number, seed: number = 7): Bar[] {
+    let state = seed;
+    const random = () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+
+    const bars: Bar[] = [];
+    let close = 100;
+    for (let i = 0; i < count; i++) {
+        const open = close;
+        close = Math.max(1, open * (1 + 0.01 * Math.sin(i / 15) + (random() - 0.5) * 0.02));
+        bars.push({
+            open,
+            high: Math.max(open, close) * (1 + random() * 0.005),
+            low: Math.min(open, close) * (1 - random() * 0.005),
+            close,
+            volume: 1000 + random() * 4000,
+        });
+    }
+    return bars;
+}
+
+function runBarByBar(rules: StrategyRules, parameters: Record<string, any>, bars: Bar[]): StrategySignalSeries {
+    const runner = compileRules(rules, parameters).createRunner();
+    const out: StrategySignalSeries = {
+        longEntry: new Uint8Array(bars.length),
+        shortEntry: new Uint8Array(bars.length),
+        longExit: new Uint8Array(bars.length),
+        shortExit: new Uint8Array(bars.length),
+    };
+    bars.forEach((bar, i) => {
+        const flags = runner.next(bar);
+        out.longEntry[i] = flags.longEntry ? 1 : 0;
+        out.shortEntry[i] = flags.shortEntry ? 1 : 0;
+        out.longExit[i] = flags.longExit ? 1 : 0;
+        out.shortExit[i] = flags.shortExit ? 1 : 0;
+    });
+    return out;
+}
+
+function expectTailClose(ours: Float64Array, theirs: number[], tolerance: number): void {
+    const offset = ours.length - theirs.length;
+    expect(offset).toBeGreaterThanOrEqual(0);
+    for (let i = 0; i < offset; i++) {
+        expect(Number.isNaN(ours[i])).toBe(true);
+    }
+    theirs.forEach((value, i) => {
+        expect(Math.abs(ours[offset + i] - value)).toBeLessThanOrEqual(tolerance * Math.max(1, Math.abs(value)));
+    });
+}
+
+describe('Strategy DSL', () => {
+    const bars = generateBars(400);
+    const closes = bars.map(b => b.close);
+    const highs = bars.map(b => b.high);
+    const lows = bars.map(b => b.low);
+    const volumes = bars.map(b => b.volume);
+
+    describe('indicators match TAModule', () => {
+
+        it('RSI', () => {
+            // technicalindicators rounds RSI to two decimals
+            const theirs = technicalIndicators.RSI.calculate({ values: closes, period: 14 });
+            expectTailClose(computeIndicatorSeries({ name: 'rsi', args: [14] }, bars), theirs, 0.006);
+        });
+
+        it('SMA and EMA', () => {
+            expectTailClose(computeIndicatorSeries({ name: 'sma', args: [20] }, bars),
+                technicalIndicators.SMA.calculate({ values: closes, period: 20 }), 1e-9);
+            expectTailClose(computeIndicatorSeries({ name: 'ema', args: [20] }, bars),
+                technicalIndicators.EMA.calculate({ values: closes, period: 20 }), 1e-9);
+        });
+
+        it('MACD', () => {
+            const theirs = technicalIndicators.MACD.calculate({
+                values: closes,
+                fastPeriod: 12,
+                slowPeriod: 26,
+                signalPeriod: 9,
+                SimpleMAOscillator: false,
+                SimpleMASignal: false,
+            }).filter(d => d.signal !== undefined);
+            expectTailClose(computeIndicatorSeries({ name: 'macd.signal', args: [12, 26, 9] }, bars), theirs.map(d => d.signal!), 1e-9);
+            expectTailClose(computeIndicatorSeries({ name: 'macd.histogram', args: [12, 26, 9] }, bars), theirs.map(d => d.histogram!), 1e-9);
+        });
+
+        it('Bollinger Bands', () => {
+            const theirs = technicalIndicators.BollingerBands.calculate({ values: closes, period: 20, stdDev: 2 });
+            expectTailClose(computeIndicatorSeries({ name: 'bb.upper', args: [20, 2] }, bars), theirs.map(d => d.upper), 1e-9);
+            expectTailClose(computeIndicatorSeries({ name: 'bb.lower', args: [20, 2] }, bars), theirs.map(d => d.lower), 1e-9);
+        });
+
+        it('ATR and OBV', () => {
+            expectTailClose(computeIndicatorSeries({ name: 'atr', args: [14] }, bars),
+                technicalIndicators.ATR.calculate({ high: highs, low: lows, close: closes, period: 14 }), 1e-9);
+            expectTailClose(computeIndicatorSeries({ name: 'obv', args: [] }, bars),
+                technicalIndicators.OBV.calculate({ close: closes, volume: volumes }), 1e-9);
+        });
+    });
+
+    describe('vectorized and bar-by-bar evaluation agree', () => {
+        const cases: Array<[string, StrategyRules, Record<string, any>]> = [
+            ['trend following preset', compileStrategy({ type: 'TREND_FOLLOWING', parameters: {} }).rules, {}],
+            ['mean reversion preset', compileStrategy({ type: 'MEAN_REVERSION', parameters: { oversold: 45, overbought: 55 } }).rules, {}],
+            ['RSI preset', compileStrategy({ type: 'AI_PREDICTION', parameters: { rsiPeriod: 7 } }).rules, {}],
+            ['evolved strategy', EVOLVED_STRATEGY_RULES, { emaFast: 8, emaSlow: 21, rsiOverbought: 70, rsiOversold: 30, volumeThreshold: 1.1 }],
+            ['MACD, ATR, OBV and AD', {
+                long: {
+                    entry: { all: [['macd(12,26,9)', 'crossesAbove', 'macd.signal(12,26,9)'], ['atr(14)', '<', '0.02*close'], ['obv', '>', 0]] },
+                    exit: { any: [['macd.histogram(12,26,9)', '<', 0], ['ad', 'crossesBelow', 0]] },
+                },
+                short: {
+                    entry: { all: [['close', 'crossesBelow', 'bb.middle(20,2)'], { not: ['rsi(14)', '<', '$floor'] }] },
+                    exit: ['close', '>', 'ema(10)'],
+                },
+            }, { floor: 35 }],
+        ];
+
+        it.each(cases)('%s', (_name, rules, parameters) => {
+            const compiled = compileRules(rules, parameters);
+            const vectorized = compiled.evaluateSeries(bars);
+            const barByBar = runBarByBar(rules, parameters, bars);
+
+            for (const key of ['longEntry', 'shortEntry', 'longExit', 'shortExit'] as const) {
+                expect(Array.from(barByBar[key])).toEqual(Array.from(vectorized[key]));
+            }
+            // Each case should actually trade on these candles
+            expect(vectorized.longEntry.some(v => v === 1) || vectorized.shortEntry.some(v => v === 1)).toBe(true);
+            // Nothing fires before every indicator is warmed up
+            expect(vectorized.longEntry.slice(0, compiled.warmupBars - 1).every(v => v === 0)).toBe(true);
+        });
+
+        it('keeps negated rules false while their indicators warm up', () => {
+            const rules: StrategyRules = {
+                long: { entry: { not: ['rsi(14)', '<', 30] } },
+                short: { entry: { any: [['close', '<', 0], { not: ['close', 'crossesAbove', 'sma(20)'] }] } },
+            };
+            const compiled = compileRules(rules, {});
+            const vectorized = compiled.evaluateSeries(bars);
+            const barByBar = runBarByBar(rules, {}, bars);
+
+            for (const key of ['longEntry', 'shortEntry'] as const) {
+                expect(Array.from(barByBar[key])).toEqual(Array.from(vectorized[key]));
+            }
+            // RSI(14) is first defined on bar 14; the cross needs sma(20) on bars 19 and 20
+            expect(vectorized.longEntry.slice(0, 14).every(v => v === 0)).toBe(true);
+            expect(vectorized.longEntry[14]).toBe(1);
+            expect(vectorized.shortEntry.slice(0, 20).every(v => v === 0)).toBe(true);
+            expect(vectorized.shortEntry[20]).toBe(1);
+            expect(compiled.warmupBars).toBe(21);
+        });
+    });
+
+    describe('both backtesters trade the same bars', () => {
+        const START = Date.UTC(2026, 6, 1);
+        const HOUR = 60 * 60 * 1000;
+        const candles: MarketData[] = bars.map((bar, i) => ({ ...bar, symbol: 'BTC', timestamp: new Date(START + i * HOUR) }));
+
+        /** Stops and targets are out of reach, so only the rules open and close positions */
+        function strategyFor(rules: StrategyRules): Strategy {
+            return {
+                id: 'parity',
+                name: 'Parity',
+                description: '',
+                type: 'TREND_FOLLOWING',
+                symbols: ['BTC'],
+                timeframe: '1h',
+                parameters: {},
+                entryConditions: [],
+                exitConditions: [],
+                rules,
+                riskParameters: { maxPositionSize: 0.1, stopLoss: 100, takeProfit: 100, maxLeverage: 1 },
+                isActive: true,
+                performance: {} as any,
+                createdAt: new Date(START),
+                updatedAt: new Date(START),
+            };
+        }
+
+        const fills = (trades: Trade[]) => trades.map(t => `${t.entryExit} ${t.side} @${(t.timestamp.getTime() - START) / HOUR}`);
+
+        const cases: Array<[string, StrategyRules]> = [
+            ['trend following preset', compileStrategy({ type: 'TREND_FOLLOWING', parameters: {} }).rules],
+            ['mean reversion preset', compileStrategy({ type: 'MEAN_REVERSION', parameters: { oversold: 45, overbought: 55 } }).rules],
+            ['negated rules during warmup', {
+                long: { entry: { not: ['rsi(14)', '<', 55] }, exit: ['close', 'crossesBelow', 'ema(10)'] },
+                short: { entry: { not: ['close', '>', 'sma(50)'] } },
+            }],
+        ];
+
+        it.each(cases)('%s', async (_name, rules) => {
+            const strategy = strategyFor(rules);
+            const engine = new BacktestEngine({ slippageBps: 0, latencyMs: 0, randomSeed: 11 });
+            const eventDriven = await engine.runBacktest(strategy, candles);
+            const vectorized = await vectorizedBacktest({ ...strategy, confidence: 1, reasoning: '', strategyId: strategy.id }, candles);
+
+            expect(vectorized.trades.length).toBeGreaterThan(2);
+            expect(fills(eventDriven.trades)).toEqual(fills(vectorized.trades));
+            expect(eventDriven.trades.length).toBe(vectorized.trades.length);
+            // Nothing opens before the compiled warmup, counting next-bar execution
+            const firstFill = (vectorized.trades[0].timestamp.getTime() - START) / HOUR;
+            expect(firstFill).toBeGreaterThanOrEqual(compileRules(rules, {}).warmupBars);
+        });
+    });
+
+    describe('validation', () => {
+
+        it('accepts rules that reference parameters', () => {
+            expect(validateStrategyRules({ long: { entry: ['rsi($len)', '<', '$low'] } }, { len: 10, low: 25 })).toBeNull();
+        });
+
+        it('reports where rules are wrong', () => {
+            expect(validateStrategyRules({ long: { entry: ['rsi(14)', '<<', 30] } })).toMatch(/^long\.entry: unknown operator/);
+            expect(validateStrategyRules({ short: { entry: { all: [['vwap(20)', '>', 'close']] } } })).toMatch(/short\.entry\.all\[0\]\[0\]: unknown indicator/);
+            expect(validateStrategyRules({ long: { entry: ['close', '>', '$missing'] } })).toMatch(/parameter \$missing/);
+            expect(validateStrategyRules({})).toMatch(/at least one of long or short/);
+        });
+
+        it('falls back to type rules when a strategy has none', () => {
+            const compiled = compileStrategy({ type: 'TREND_FOLLOWING', parameters: { fastPeriod: 5, slowPeriod: 20 } });
+            expect(compiled.rules.long!.entry).toEqual(['sma(5)', 'crossesAbove', 'sma(20)']);
+            expect(compiled.warmupBars).toBe(21);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Walk-Forward Validation Tests
+ * Train/test windows never overlap, test windows are warmed up on the tail of
+ * their train window without trading, and the out-of-sample promotion gate
+ * rejects strategies that only work in sample.
+ */
+
+import { BacktestEngine } from '../../src/backtest/enhanced-backtest';
+import { buildWalkForwardResult, buildWalkForwardWindows } from '../../src/backtest/walk-forward';
+import { assessStrategy } from '../../src/backtest-worker/result-analyzer';
+import { BacktestResult, MarketData, Strategy, Trade } from '../../src/shared/types';
+
+const START = Date.UTC(2026, 6, 1);
+const HOUR = 60 * 60 * 1000;
+
+/** Hourly candles with a distinct close per bar (100, 101, ...) */
+function rampCandles(count: number, symbols: string[] = ['BTC']): MarketData[] {
+    const out: MarketData[] = [];
+    for (let i = 0; i < count; i++) {
+        for (const symbol of symbols) {
+            const close = 100 + i;
+            out.push({
+                symbol,
+                timestamp: new Date(START + i * HOUR),
+                open: close - 0.5,
+                high: close + 0.2,
+                low: close - 0.7,
+                close,
+                volume: 1000,
+            });
+        }
+    }
+    return out;
+}
+
+const alwaysLong: Strategy = {
+    id: 'always-long',
+    name: 'Always Long',
+    description: '',
+    type: 'TREND_FOLLOWING',
+    symbols: ['BTC'],
+    timeframe: '1h',
+    parameters: {},
+    entryConditions: [],
+    exitConditions: [],
+    rules: { long: { entry: ['close', '>', 0] } },
+    riskParameters: { maxPositionSize: 0.1, stopLoss: 100, takeProfit: 100, maxLeverage: 1 },
+    isActive: true,
+    performance: {} as any,
+    createdAt: new Date(START),
+    updatedAt: new Date(START),
+};
+
+function exitTrade(pnl: number): Trade {
+    return {
+        id: `t${pnl}`,
+        symbol: 'BTC',
+        side: 'SELL',
+        size: 1,
+        price: 100,
+        fee: 0,
+        pnl,
+        timestamp: new Date(START),
+        type: 'MARKET',
+        status: 'FILLED',
+        entryExit: 'EXIT',
+    };
+}
+
+function fakeResult(sharpeRatio: number, pnls: number[]): BacktestResult {
+    const net = pnls.reduce((a, b) => a + b, 0);
+    const wins = pnls.filter(p => p > 0).length;
+    return {
+        strategyId: 'candidate',
+        period: { start: new Date(START), end: new Date(START + 100 * HOUR) },
+        initialCapital: 10000,
+        finalCapital: 10000 + net,
+        totalReturn: net / 100,
+        annualizedReturn: net / 10,
+        sharpeRatio,
+        maxDrawdown: 5,
+        winRate: (wins / pnls.length) * 100,
+        totalTrades: pnls.length,
+        trades: pnls.map(exitTrade),
+        profitFactor: 2,
+        metrics: {} as any,
+    };
+}
+
+describe('Walk-Forward Validation', () => {
+    it('splits rolling windows with no train/test overlap and contiguous test windows', () => {
+        const candles = rampCandles(100, ['BTC', 'ETH']);
+        const windows = buildWalkForwardWindows(candles, { trainBars: 40, testBars: 15, warmupBars: 10 });
+
+        expect(windows).toHaveLength(4);
+        for (const window of windows) {
+            expect(window.trainEnd.getTime()).toBeLessThan(window.testStart.getTime());
+            expect(window.trainCandles.every(c => c.timestamp < window.testStart)).toBe(true);
+            // Both symbols stay aligned: every bar appears once per symbol
+            expect(window.trainCandles).toHaveLength(40 * 2);
+            expect(window.testEnd.getTime() - window.testStart.getTime()).toBe(14 * HOUR);
+        }
+        for (let i = 1; i < windows.length; i++) {
+            expect(windows[i].testStart.getTime()).toBe(windows[i - 1].testEnd.getTime() + HOUR);
+            // Rolling: the train window moves with the test window
+            expect(windows[i].trainStart.getTime()).toBe(windows[i - 1].trainStart.getTime() + 15 * HOUR);
+        }
+
+        const anchored = buildWalkForwardWindows(candles, { trainBars: 40, testBars: 15, anchored: true });
+        expect(anchored.every(w => w.trainStart.getTime() === START)).toBe(true);
+        expect(anchored[3].trainCandles).toHaveLength((40 + 3 * 15) * 2);
+    });
+
+    it('returns no windows when there is not enough data for one train and test window', () => {
+        expect(buildWalkForwardWindows(rampCandles(50), { trainBars: 40, testBars: 15 })).toEqual([]);
+    });
+
+    it('prefixes test windows with warmup bars from the end of the train window, never before it', () => {
+        const candles = rampCandles(100);
+        const [first] = buildWalkForwardWindows(candles, { trainBars: 40, testBars: 20, warmupBars: 10 });
+
+        expect(first.testCandles[0].timestamp.getTime()).toBe(first.testStart.getTime() - 10 * HOUR);
+        expect(first.testCandles.filter(c => c.timestamp >= first.testStart)).toHaveLength(20);
+
+        const [capped] = buildWalkForwardWindows(candles, { trainBars: 40, testBars: 20, warmupBars: 500 });
+        expect(capped.testCandles[0].timestamp.getTime()).toBe(capped.trainStart.getTime());
+    });
+
+    it('trades nothing during warmup and still enters on the first out-of-sample bar', async () => {
+        const candles = rampCandles(100);
+        const [window] = buildWalkForwardWindows(candles, { trainBars: 40, testBars: 20, warmupBars: 10 });
+        const engine = new BacktestEngine({ slippageBps: 0, latencyMs: 0, randomSeed: 3 });
+
+        const result = await engine.runBacktest(alwaysLong, window.testCandles, { warmupUntil: window.testStart });
+
+        const testStartClose = 100 + 40;
+        const entries = result.trades.filter(t => t.entryExit === 'ENTRY');
+        expect(entries.length).toBeGreaterThan(0);
+        // Signal on the first test bar, filled on the next one; warmup signals never block it
+        expect(entries[0].price).toBeCloseTo(testStartClose + 1, 0);
+        expect(result.trades.every(t => t.price > testStartClose - 0.5)).toBe(true);
+        expect(result.period.start.getTime()).toBe(window.testStart.getTime());
+    });
+});
+
+describe('Out-of-Sample Promotion Gate', () => {
+    const strategy = { ...alwaysLong, id: 'candidate' };
+    const strongPnls = [120, 80, -40, 150, 90, -30, 110, 60, -20, 100, 70, 50];
+    const inSample = fakeResult(2.5, strongPnls);
+    const windows = buildWalkForwardWindows(rampCandles(100), { trainBars: 40, testBars: 30 });
+
+    it('rejects a strategy that is strong in sample but weak out of sample', () => {
+        const walkForward = buildWalkForwardResult('candidate', windows, windows.map(() => ({
+            parameters: {},
+            inSample,
+            outOfSample: fakeResult(-0.4, [-60, 20, -80, -30, 10, -50]),
+        })));
+
+        expect(walkForward.oosScore).toBeLessThan(0);
+        expect(walkForward.gap.sharpeRatio).toBeGreaterThan(2);
+        expect(walkForward.profitableWindows).toBe(0);
+
+        const assessment = assessStrategy(inSample, strategy, { minOosSharpe: 0.5 }, { walkForward });
+        expect(assessment.isViable).toBe(false);
+        expect(assessment.shouldActivate).toBe(false);
+        expect(assessment.reasons.some(r => r.startsWith('Out-of-sample Sharpe -0.40 below threshold (0.5)'))).toBe(true);
+        expect(assessment.walkForward).toMatchObject({ oosScore: walkForward.oosScore, windows: windows.length });
+
+        // The same in-sample result passes without the gate
+        expect(assessStrategy(inSample, strategy).isViable).toBe(true);
+    });
+
+    it('requires a walk-forward result once a minimum OOS score is set', () => {
+        const assessment = assessStrategy(inSample, strategy, { minOosSharpe: 0.5 });
+        expect(assessment.isViable).toBe(false);
+        expect(assessment.reasons).toContain('No walk-forward result; out-of-sample score required (0.5)');
+    });
+
+    it('promotes a strategy that holds up out of sample', () => {
+        const walkForward = buildWalkForwardResult('candidate', windows, windows.map(() => ({
+            parameters: {},
+            inSample,
+            outOfSample: fakeResult(1.8, strongPnls),
+        })));
+
+        const assessment = assessStrategy(inSample, strategy, { minOosSharpe: 0.5 }, { walkForward });
+        expect(walkForward.efficiency).toBeCloseTo(1.8 / 2.5, 6);
+        expect(assessment.isViable).toBe(true);
+        expect(assessment.shouldActivate).toBe(true);
+    });
+});
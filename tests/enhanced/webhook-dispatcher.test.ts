@@ -0,0 +1,142 @@
+/**
+ * Webhook Dispatcher Tests
+ * HMAC-signed deliveries, retry with exponential backoff against a failing
+ * endpoint, auto-disable after consecutive failed deliveries, and replay as a
+ * new delivery linked to the original.
+ */
+
+import axios from 'axios';
+import {
+    DispatchableWebhook,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    WebhookDispatcher,
+    signWebhookPayload,
+} from '../../src/dashboard/webhook-dispatcher';
+
+jest.mock('axios');
+const post = axios.post as jest.MockedFunction<typeof axios.post>;
+
+const message = { id: 'msg-1', source: 'execution-engine', timestamp: new Date('2026-10-19T12:00:00Z'), data: { symbol: 'BTC', size: 1 } };
+
+function respond(status: number) {
+    return { status, data: '', headers: {}, statusText: '', config: {} } as any;
+}
+
+describe('Webhook Dispatcher', () => {
+    let dispatcher: WebhookDispatcher;
+    let webhook: DispatchableWebhook;
+    let updates: number;
+    const env = { ...process.env };
+
+    async function start(overrides: Record<string, string> = {}) {
+        Object.assign(process.env, {
+            WEBHOOK_MAX_ATTEMPTS: '3',
+            WEBHOOK_BACKOFF_MS: '100',
+            WEBHOOK_DISABLE_AFTER_FAILURES: '2',
+            ...overrides,
+        });
+        dispatcher = new WebhookDispatcher(':memory:');
+        await dispatcher.start({
+            getWebhook: (id) => (id === webhook.id ? webhook : undefined),
+            getWebhooks: () => [webhook],
+            onWebhookUpdated: () => { updates += 1; },
+            agentNames: [],
+        });
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        post.mockReset();
+        updates = 0;
+        webhook = { id: 'wh_1', url: 'https://hooks.example.com/perps', events: ['trade'], secret: 's3cret', active: true };
+    });
+
+    afterEach(() => {
+        dispatcher.stop();
+        jest.useRealTimers();
+        process.env = { ...env };
+    });
+
+    it('signs the exact body with HMAC-SHA256 over timestamp and payload', async () => {
+        await start();
+        post.mockResolvedValue(respond(200));
+
+        dispatcher.dispatch('trade', 'execution:filled', message);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(post).toHaveBeenCalledTimes(1);
+        const [url, body, config] = post.mock.calls[0];
+        const headers = config!.headers as Record<string, string>;
+        expect(url).toBe(webhook.url);
+        expect(headers[SIGNATURE_HEADER]).toBe(signWebhookPayload('s3cret', headers[TIMESTAMP_HEADER], body as string));
+
+        const [delivery] = dispatcher.getDeliveries('wh_1').deliveries;
+        expect(JSON.parse(body as string)).toMatchObject({ id: delivery.id, event: 'trade', data: message.data });
+        expect(delivery).toMatchObject({ status: 'success', attempts: 1, responseStatus: 200 });
+    });
+
+    it('retries a failing endpoint with growing backoff until it succeeds', async () => {
+        await start();
+        const callTimes: number[] = [];
+        post.mockImplementation(async () => {
+            callTimes.push(Date.now());
+            return respond(callTimes.length < 3 ? 503 : 200);
+        });
+
+        dispatcher.dispatch('trade', 'execution:filled', message);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(dispatcher.getDeliveries('wh_1').deliveries[0]).toMatchObject({ status: 'pending', attempts: 1, error: 'HTTP 503' });
+
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(callTimes).toHaveLength(3);
+        // base * 2^(n-1) plus up to one base of jitter
+        expect(callTimes[1] - callTimes[0]).toBeGreaterThanOrEqual(100);
+        expect(callTimes[2] - callTimes[1]).toBeGreaterThanOrEqual(200);
+        expect(dispatcher.getDeliveries('wh_1').deliveries[0]).toMatchObject({ status: 'success', attempts: 3 });
+        expect(webhook.consecutiveFailures).toBe(0);
+    });
+
+    it('disables a webhook after consecutive failed deliveries and stops sending to it', async () => {
+        await start({ WEBHOOK_MAX_ATTEMPTS: '1' });
+        post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+        dispatcher.dispatch('trade', 'execution:filled', message);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(webhook.active).toBe(true);
+        expect(webhook.consecutiveFailures).toBe(1);
+
+        dispatcher.dispatch('trade', 'execution:filled', message);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(webhook.active).toBe(false);
+        expect(webhook.disabledReason).toContain('2 consecutive failed deliveries');
+        expect(updates).toBe(2);
+
+        dispatcher.dispatch('trade', 'execution:filled', message);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(post).toHaveBeenCalledTimes(2);
+        expect(dispatcher.getDeliveries('wh_1', { status: 'failed' }).total).toBe(2);
+    });
+
+    it('replays a delivery as a new delivery carrying its own id and replay_of', async () => {
+        await start({ WEBHOOK_MAX_ATTEMPTS: '1', WEBHOOK_DISABLE_AFTER_FAILURES: '1' });
+        post.mockResolvedValueOnce(respond(500));
+
+        dispatcher.dispatch('trade', 'execution:filled', message);
+        await jest.advanceTimersByTimeAsync(0);
+        const [original] = dispatcher.getDeliveries('wh_1').deliveries;
+        expect(original.status).toBe('failed');
+        expect(webhook.active).toBe(false);
+
+        post.mockResolvedValueOnce(respond(200));
+        const replay = await dispatcher.replay(original.id);
+
+        expect(replay).toMatchObject({ status: 'success', replayOf: original.id });
+        expect(replay!.id).not.toBe(original.id);
+        expect((replay!.payload as any).id).toBe(replay!.id);
+        expect(JSON.parse(post.mock.calls[1][1] as string).id).toBe(replay!.id);
+        expect(webhook.active).toBe(true);
+        expect(dispatcher.getDeliveries('wh_1').total).toBe(2);
+    });
+});